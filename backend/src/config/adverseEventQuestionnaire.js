@@ -0,0 +1,138 @@
+/**
+ * ============================================================================
+ * Adverse Event Questionnaire
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The 7 high-value follow-up questions for an adverse event report.
+ * Single source of truth for:
+ * - GET /api/adverse-events/:id/questions (AdverseEventFollowUp.js renders them)
+ * - POST /api/adverse-events/:id/submit (answers are validated against them)
+ *
+ * Each question object contains:
+ * - id: Unique identifier, also the key in the submitted responses
+ * - question / subtext: Text shown to the patient
+ * - type: 'single' | 'multi'
+ * - options: { value, label, icon } (urgent / serious mark red-flag answers)
+ * - textPrompt: Prompt for optional free-text input
+ * - dataFields: Safety fields the answer fills in
+ *
+ * Every question must be answered.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// QUESTIONS
+// ============================================================================
+
+const ADVERSE_EVENT_QUESTIONS = [
+    {
+        id: 'timeToOnset',
+        question: 'When did the reaction start after taking the medicine?',
+        subtext: 'This helps us understand if the medicine caused the reaction',
+        type: 'single',
+        options: [
+            { value: 'immediate', label: 'Within minutes', icon: '⚡' },
+            { value: 'hours', label: 'Within hours', icon: '🕐' },
+            { value: 'next_day', label: 'Next day', icon: '📅' },
+            { value: 'few_days', label: 'After a few days', icon: '📆' },
+            { value: 'week_plus', label: 'After a week or more', icon: '🗓️' },
+        ],
+        dataFields: ['Time-to-onset', 'Causality assessment'],
+    },
+    {
+        id: 'symptoms',
+        question: 'What symptoms did you experience?',
+        subtext: 'Select all that apply',
+        type: 'multi',
+        options: [
+            { value: 'nausea', label: 'Nausea / Vomiting', icon: '🤢' },
+            { value: 'dizziness', label: 'Dizziness', icon: '💫' },
+            { value: 'rash', label: 'Skin rash / Itching', icon: '🔴' },
+            { value: 'headache', label: 'Headache', icon: '🤕' },
+            { value: 'breathing', label: 'Breathing difficulty', icon: '😮‍💨', urgent: true },
+            { value: 'swelling', label: 'Swelling', icon: '😶', urgent: true },
+            { value: 'stomach', label: 'Stomach pain', icon: '😣' },
+            { value: 'fatigue', label: 'Fatigue / Weakness', icon: '😴' },
+            { value: 'other', label: 'Other', icon: '📝' },
+        ],
+        textPrompt: 'Describe your symptoms:',
+        dataFields: ['Event description', 'Seriousness indicators'],
+    },
+    {
+        id: 'severity',
+        question: 'How severe was the reaction?',
+        subtext: 'Rate the intensity at its worst',
+        type: 'single',
+        options: [
+            { value: 'mild', label: 'Mild - Noticeable but manageable', icon: '😊' },
+            { value: 'moderate', label: 'Moderate - Affected daily activities', icon: '😐' },
+            { value: 'severe', label: 'Severe - Could not do normal activities', icon: '😰' },
+        ],
+        dataFields: ['Severity grading'],
+    },
+    {
+        id: 'medicalAttention',
+        question: 'Did you require medical attention?',
+        subtext: 'This helps classify the seriousness',
+        type: 'single',
+        options: [
+            { value: 'none', label: 'No, managed at home', icon: '🏠' },
+            { value: 'doctor', label: 'Visited a doctor', icon: '👨‍⚕️' },
+            { value: 'emergency', label: 'Emergency room visit', icon: '🚑', serious: true },
+            { value: 'hospital', label: 'Hospitalized', icon: '🏥', serious: true },
+        ],
+        dataFields: ['Serious vs non-serious classification'],
+    },
+    {
+        id: 'actionTaken',
+        question: 'What action was taken with the medicine?',
+        subtext: 'This helps us understand what worked',
+        type: 'single',
+        options: [
+            { value: 'continued', label: 'Continued taking it', icon: '▶️' },
+            { value: 'reduced', label: 'Reduced the dose', icon: '📉' },
+            { value: 'stopped', label: 'Stopped taking it', icon: '⏹️' },
+            { value: 'restarted', label: 'Stopped then restarted', icon: '🔄' },
+        ],
+        dataFields: ['Dechallenge information'],
+    },
+    {
+        id: 'outcome',
+        question: 'What happened to the symptoms after this action?',
+        subtext: 'Current status of your symptoms',
+        type: 'single',
+        options: [
+            { value: 'resolved', label: 'Completely resolved', icon: '✅' },
+            { value: 'improved', label: 'Improved but not fully', icon: '📈' },
+            { value: 'unchanged', label: 'No change', icon: '➡️' },
+            { value: 'worsened', label: 'Got worse', icon: '📉' },
+            { value: 'unknown', label: 'Not sure yet', icon: '❓' },
+        ],
+        dataFields: ['Outcome', 'Causality support'],
+    },
+    {
+        id: 'concomitantMeds',
+        question: 'Were you taking any other medicines or supplements?',
+        subtext: 'Including over-the-counter and herbal products',
+        type: 'single',
+        options: [
+            { value: 'none', label: 'No other medicines', icon: '🚫' },
+            { value: 'prescription', label: 'Yes, prescription medicines', icon: '💊' },
+            { value: 'otc', label: 'Yes, over-the-counter', icon: '🏪' },
+            { value: 'supplements', label: 'Yes, supplements/herbal', icon: '🌿' },
+            { value: 'multiple', label: 'Multiple other medicines', icon: '💊💊' },
+        ],
+        textPrompt: 'List the other medicines:',
+        dataFields: ['Confounder assessment', 'Interaction assessment'],
+    },
+];
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    ADVERSE_EVENT_QUESTIONS,
+};
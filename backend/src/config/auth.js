@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * Authentication Configuration
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Single source of truth for JWT and session settings used by doctor/staff
+ * authentication. Shared by authRoutes.js (which SIGNS tokens),
+ * middleware/auth.js (which VERIFIES tokens on every protected request)
+ * and sessionService.js (which manages refresh tokens).
+ *
+ * WHY A SEPARATE CONFIG FILE?
+ * - Signing and verification MUST use the same secret
+ * - Keeping it in one place prevents the two drifting apart
+ * - Mirrors firebase.js and groq.js (one config module per concern)
+ *
+ * SECURITY NOTE:
+ * The fallback secret exists for local development only.
+ * Always set JWT_SECRET in .env for any shared or production deployment.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+require('dotenv').config();  // Load JWT_SECRET from environment
+
+// ============================================================================
+// JWT SETTINGS
+// ============================================================================
+
+/**
+ * JWT Secret Key
+ * IMPORTANT: In production, this should be a strong random string in .env
+ * Used to sign and verify JWT tokens
+ */
+const JWT_SECRET = process.env.JWT_SECRET || 'nest2o-secret-key-2024';
+
+/**
+ * Access token (JWT) lifetime
+ * Kept short: a leaked access token is only useful for a few minutes.
+ * The frontend silently renews it with the refresh token.
+ */
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+/**
+ * Refresh token lifetime in days (sliding)
+ * Every refresh rotates the token and pushes the expiry forward,
+ * so a session only ends after this many days WITHOUT use.
+ */
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Grace period for a just-rotated refresh token (seconds)
+ * Two browser tabs can refresh at the same moment; the loser presents the
+ * previous token. Inside this window that is treated as a race, not theft.
+ */
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+/**
+ * Roles allowed to log in to the clinician dashboards
+ * Patients never log in - they verify by OTP and receive a short-lived
+ * patient token scoped to one follow-up (see PATIENT SESSION SETTINGS)
+ */
+const USER_ROLES = ['doctor', 'staff', 'admin'];
+
+/**
+ * Roles a user may pick when self-registering
+ * Admins are created with `npm run create-admin` or promoted by another admin
+ */
+const SELF_REGISTER_ROLES = ['doctor', 'staff'];
+
+/**
+ * Minimum password length for registration, password change and admin reset
+ */
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Hospital assigned when none is given at registration
+ * Also used for records created before hospital scoping existed
+ * (documents without a hospitalId are treated as belonging here)
+ */
+const DEFAULT_HOSPITAL_ID = 'default-hospital';
+
+// ============================================================================
+// ACCOUNT TOKEN SETTINGS
+// ============================================================================
+
+/**
+ * Lifetime of a "forgot password" link (minutes)
+ * Short on purpose - the link grants full access to the account.
+ */
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * Lifetime of an email verification link (hours)
+ * A new link can be requested from the login page at any time.
+ */
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// ============================================================================
+// TWO-FACTOR SETTINGS
+// ============================================================================
+
+/**
+ * Issuer name shown next to the account in authenticator apps
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'NEST 2O';
+
+/**
+ * Time allowed between the password step and the code step (minutes)
+ */
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+
+/**
+ * Wrong codes allowed per login attempt before the password must be
+ * entered again (keeps 6-digit codes from being brute-forced)
+ */
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// ============================================================================
+// PATIENT SESSION SETTINGS
+// ============================================================================
+
+/**
+ * Lifetime of the patient token issued after OTP verification (minutes)
+ * Covers filling in the questionnaire; after that the patient requests
+ * a new code. Bounds how long a leaked token or unattended browser can
+ * be used to submit answers.
+ */
+const PATIENT_SESSION_TTL_MINUTES = parseInt(process.env.PATIENT_SESSION_TTL_MINUTES) || 30;
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    JWT_SECRET,                  // Shared signing/verification secret
+    JWT_EXPIRES_IN,              // Access token lifetime passed to jwt.sign()
+    REFRESH_TOKEN_TTL_DAYS,      // Idle lifetime of a session
+    REFRESH_REUSE_GRACE_SECONDS, // Concurrent-refresh tolerance
+    USER_ROLES,                  // Valid values for users.role
+    SELF_REGISTER_ROLES,         // Roles allowed on POST /register
+    MIN_PASSWORD_LENGTH,         // Shared password policy
+    DEFAULT_HOSPITAL_ID,         // Fallback tenant for users and legacy records
+    PASSWORD_RESET_TTL_MINUTES,  // Forgot-password link lifetime
+    EMAIL_VERIFICATION_TTL_HOURS, // Verify-email link lifetime
+    TOTP_ISSUER,                 // Authenticator app label
+    TWO_FACTOR_CHALLENGE_TTL_MINUTES, // Password → code step window
+    TWO_FACTOR_MAX_ATTEMPTS,     // Wrong codes per login attempt
+    PATIENT_SESSION_TTL_MINUTES, // Patient token lifetime after OTP
+};
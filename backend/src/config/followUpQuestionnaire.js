@@ -0,0 +1,464 @@
+/**
+ * ============================================================================
+ * Follow-Up Questionnaire - Versioned Response Schema
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Single source of truth for the patient follow-up questionnaire: question
+ * IDs, texts, option values/labels and the branching paths. Shared by:
+ * - PatientFollowUp.js (renders it - sent with the drafts)
+ * - responseValidationService.js (validates submissions against it)
+ * - followUpSummaryService.js (builds the doctor's structured summary)
+ *
+ * WHY VERSIONED?
+ * Follow-ups are stored for years. Each submission records the
+ * schemaVersion it was answered with, so older records can still be read
+ * after questions or option values change. When changing an option value
+ * or removing a question, bump RESPONSE_SCHEMA_VERSION and teach
+ * followUpSummaryService.getAnswers() to read the previous version.
+ * New questions and label/text changes do not need a new version.
+ *
+ * SUBMISSION FORMAT (version 1):
+ * {
+ *   schemaVersion: 1,
+ *   answers: { overallStatus: { selected: 'had_problem', notes: '...' }, ... },
+ *   personalizedAnswers: [{ questionId, selected, notes }]
+ * }
+ *
+ * Each question object contains:
+ * - id: Unique identifier, also the key in `answers`
+ * - question: Main question text shown to patient
+ * - subtext: Explanatory text to help patient understand
+ * - options: Selectable answers with value, label, icon
+ *   (urgent: true → needs urgent attention, serious: true → serious case)
+ * - textPrompt: Prompt for optional free-text input
+ * - dataExtracted: Safety fields this question populates
+ * - category: Grouping for the question
+ * - multiSelect: If true, allows selecting multiple options
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// VERSION
+// ============================================================================
+
+/**
+ * Current response schema version (see "WHY VERSIONED?" above)
+ */
+const RESPONSE_SCHEMA_VERSION = 1;
+
+/**
+ * Longest free-text note accepted per answer (characters)
+ * Also used for the adverse event questionnaire.
+ */
+const MAX_NOTES_LENGTH = 1000;
+
+// ============================================================================
+// QUESTION DEFINITIONS - SMART BRANCHING FLOW
+// ============================================================================
+// First understand patient status (Q1), then branch accordingly
+// ============================================================================
+
+const QUESTIONS = {
+    // ===================================================================
+    // PHASE 1: UNDERSTAND PATIENT STATUS
+    // These questions are asked of ALL patients to determine branching
+    // ===================================================================
+
+    /**
+     * Q1: Overall Status - THE MOST IMPORTANT FIRST QUESTION
+     *
+     * This question determines which path the questionnaire takes:
+     * - fully_recovered/improving → Positive path
+     * - had_problem → Adverse event path
+     * - same → Neutral path
+     *
+     * CRITICAL: The selected value here selects the entry in PATHS
+     */
+    overallStatus: {
+        id: 'overallStatus',
+        question: "How are you feeling after taking the prescribed medicine?",
+        subtext: "This helps us understand your current health status",
+        options: [
+            { value: 'fully_recovered', label: 'Fully recovered / Feeling great', icon: '✅' },
+            { value: 'improving', label: 'Getting better gradually', icon: '📈' },
+            { value: 'same', label: 'No change in my condition', icon: '➡️' },
+            { value: 'had_problem', label: 'Experienced some problems', icon: '⚠️' },
+        ],
+        textPrompt: "Tell us more about how you're feeling:",
+        dataExtracted: ['Treatment outcome', 'Patient status', 'Recovery assessment', 'Follow-up priority'],
+        category: 'status',
+    },
+
+    /**
+     * Q2: Medication Adherence - Did they complete the course?
+     *
+     * Important for causality assessment:
+     * - If patient didn't complete course, adverse events may be due to discontinuation
+     * - If patient completed course and had issues, stronger causality signal
+     */
+    medicationAdherence: {
+        id: 'medicationAdherence',
+        question: "Did you complete the full course of medication?",
+        subtext: "Taking medication as prescribed is important for recovery",
+        options: [
+            { value: 'completed', label: 'Yes, completed the full course', icon: '✓' },
+            { value: 'still_taking', label: 'Still taking it as prescribed', icon: '💊' },
+            { value: 'missed_some', label: 'Missed a few doses', icon: '📅' },
+            { value: 'stopped_early', label: 'Stopped before completing', icon: '🛑' },
+        ],
+        textPrompt: "If you missed doses or stopped early, please explain why:",
+        dataExtracted: ['Medication adherence', 'Compliance status', 'Treatment completion', 'Dose regularity'],
+        category: 'adherence',
+    },
+
+    // ===================================================================
+    // PHASE 1b: POSITIVE PATH QUESTIONS
+    // Only asked if overallStatus is 'fully_recovered' or 'improving'
+    // ===================================================================
+
+    /**
+     * Q3: Symptom Improvement (Positive Path)
+     * Quantifies treatment efficacy for outcomes tracking
+     */
+    symptomImprovement: {
+        id: 'symptomImprovement',
+        question: "How much have your original symptoms improved?",
+        subtext: "Compared to when you first visited the doctor",
+        options: [
+            { value: 'fully_resolved', label: 'Completely gone', icon: '🎉' },
+            { value: 'mostly_better', label: 'Mostly better (70-90%)', icon: '😊' },
+            { value: 'somewhat_better', label: 'Somewhat better (30-70%)', icon: '🙂' },
+            { value: 'little_better', label: 'Only slightly better', icon: '😐' },
+        ],
+        textPrompt: "Which symptoms have improved the most?",
+        dataExtracted: ['Symptom resolution', 'Treatment efficacy', 'Recovery rate', 'Clinical response'],
+        category: 'improvement',
+    },
+
+    /**
+     * Q4: Improvement Timeline (Positive Path)
+     * Captures time-to-response for efficacy analysis
+     */
+    improvementTimeline: {
+        id: 'improvementTimeline',
+        question: "When did you start noticing improvement?",
+        subtext: "This helps assess how well the treatment worked",
+        options: [
+            { value: 'within_24hrs', label: 'Within 24 hours', icon: '⚡' },
+            { value: '2_3_days', label: 'After 2-3 days', icon: '📅' },
+            { value: 'within_week', label: 'Within a week', icon: '📆' },
+            { value: 'after_week', label: 'After a week or more', icon: '🗓️' },
+        ],
+        textPrompt: "Describe how your recovery progressed:",
+        dataExtracted: ['Time to improvement', 'Treatment response time', 'Efficacy timeline', 'Recovery pattern'],
+        category: 'timeline',
+    },
+
+    // ===================================================================
+    // PHASE 2: ADVERSE EVENT PATH QUESTIONS
+    // Only asked if overallStatus is 'had_problem'
+    // These questions capture full ICSR (Individual Case Safety Report) data
+    // ===================================================================
+
+    /**
+     * Q5: Problem Type (Adverse Path)
+     *
+     * Classifies the type of adverse experience:
+     * - side_effects: Direct drug-related event
+     * - condition_worse: Treatment failure or worsening
+     * - new_symptoms: Possibly drug-related new condition
+     * - not_working: Treatment inefficacy
+     */
+    problemType: {
+        id: 'problemType',
+        question: "What kind of problem did you experience?",
+        subtext: "Select the option that best describes your situation",
+        options: [
+            { value: 'side_effects', label: 'Side effects from the medicine', icon: '💊' },
+            { value: 'condition_worse', label: 'Original condition got worse', icon: '📉' },
+            { value: 'new_symptoms', label: 'New unrelated symptoms appeared', icon: '🆕' },
+            { value: 'not_working', label: 'Medicine doesn\'t seem to work', icon: '❌' },
+        ],
+        textPrompt: "Please describe what happened:",
+        dataExtracted: ['Problem classification', 'Event type', 'Causality assessment', 'Clinical concern'],
+        category: 'problem_type',
+    },
+
+    /**
+     * Q6: Time to Onset (Adverse Path) - CRITICAL FOR CAUSALITY
+     *
+     * Time-to-onset is one of the strongest causality indicators:
+     * - Immediate (within 1 hour): Strong causality for allergic reactions
+     * - Same day: Strong causality for GI effects
+     * - 2-7 days: Moderate causality
+     * - After 1 week: Weaker causality unless known delayed effect
+     */
+    timeToOnset: {
+        id: 'timeToOnset',
+        question: "When did this problem start after taking the medicine?",
+        subtext: "This helps determine if the medicine is related",
+        options: [
+            { value: 'within_1hr', label: 'Within 1 hour', icon: '⚡' },
+            { value: 'same_day', label: 'Same day', icon: '📅' },
+            { value: 'next_day', label: 'Next day', icon: '➡️' },
+            { value: '2_7_days', label: '2-7 days later', icon: '📆' },
+            { value: 'after_week', label: 'After 1 week', icon: '🗓️' },
+        ],
+        textPrompt: "Can you describe what you first noticed?",
+        dataExtracted: ['Time-to-onset', 'Temporal association', 'Causality strength', 'Signal detection'],
+        category: 'onset',
+    },
+
+    /**
+     * Q7: Symptoms Experienced (Adverse Path) - MULTI-SELECT
+     *
+     * Captures specific adverse event terms for MedDRA coding
+     * Multi-select because patients often experience multiple symptoms
+     *
+     * URGENT FLAGS:
+     * - breathing, swelling → Potentially life-threatening (anaphylaxis risk)
+     */
+    symptoms: {
+        id: 'symptoms',
+        question: "What symptoms did you experience?",
+        subtext: "Select all that apply",
+        multiSelect: true,  // Patient can select multiple symptoms
+        options: [
+            { value: 'nausea', label: 'Nausea / Vomiting', icon: '🤢' },
+            { value: 'dizziness', label: 'Dizziness / Lightheadedness', icon: '💫' },
+            { value: 'rash', label: 'Skin rash / Itching', icon: '🔴' },
+            { value: 'stomach', label: 'Stomach pain / Diarrhea', icon: '😣' },
+            { value: 'headache', label: 'Severe headache', icon: '🤕' },
+            { value: 'fatigue', label: 'Extreme fatigue / Weakness', icon: '😴' },
+            { value: 'breathing', label: 'Breathing difficulty', icon: '😮‍💨', urgent: true },
+            { value: 'swelling', label: 'Swelling (face/lips/throat)', icon: '😶', urgent: true },
+            { value: 'other', label: 'Other symptoms', icon: '📝' },
+        ],
+        textPrompt: "Describe your symptoms in detail:",
+        dataExtracted: ['Event terms', 'Medical classification', 'Seriousness indicators', 'MedDRA coding'],
+        category: 'symptoms',
+    },
+
+    /**
+     * Q8: Severity (Adverse Path)
+     *
+     * Severity grading per regulatory standards:
+     * - mild: Grade 1 - noticeable but no functional impact
+     * - moderate: Grade 2 - some functional limitation
+     * - severe: Grade 3 - significant functional impact (urgent)
+     */
+    severity: {
+        id: 'severity',
+        question: "How severe was the problem at its worst?",
+        subtext: "This helps prioritize your case",
+        options: [
+            { value: 'mild', label: 'Mild - Noticed but didn\'t affect daily life', icon: '🟢' },
+            { value: 'moderate', label: 'Moderate - Affected some daily activities', icon: '🟡' },
+            { value: 'severe', label: 'Severe - Significantly impacted daily life', icon: '🔴', urgent: true },
+        ],
+        textPrompt: "How did this affect your daily routine?",
+        dataExtracted: ['Severity grading', 'Clinical impact', 'Risk prioritization', 'Follow-up urgency'],
+        category: 'severity',
+    },
+
+    /**
+     * Q9: Medical Attention Needed (Adverse Path) - SERIOUSNESS CRITERIA
+     *
+     * Determines seriousness per ICH E2D criteria:
+     * - hospital → SERIOUS: Required hospitalization
+     * - emergency → SERIOUS: Life-threatening or ER visit
+     * - doctor → May be serious depending on intervention
+     * - none → Non-serious (managed at home)
+     */
+    medicalAttention: {
+        id: 'medicalAttention',
+        question: "Did you need medical attention for this problem?",
+        subtext: "This determines case seriousness",
+        options: [
+            { value: 'none', label: 'No, managed at home', icon: '🏠' },
+            { value: 'doctor', label: 'Visited a doctor', icon: '👨‍⚕️' },
+            { value: 'emergency', label: 'Emergency room visit', icon: '🚑', urgent: true, serious: true },
+            { value: 'hospital', label: 'Hospital admission', icon: '🏥', urgent: true, serious: true },
+        ],
+        textPrompt: "What treatment or advice did you receive?",
+        dataExtracted: ['Seriousness assessment', 'Hospitalization flag', 'Regulatory criteria', 'Escalation trigger'],
+        category: 'seriousness',
+    },
+
+    /**
+     * Q10: Action Taken with Medicine (Adverse Path) - DECHALLENGE DATA
+     *
+     * Dechallenge = What happens when drug is stopped
+     * - If problem resolves when drug stopped → Strong causality
+     * - If problem persists when drug stopped → Weaker causality
+     */
+    actionTaken: {
+        id: 'actionTaken',
+        question: "What did you do with the medicine after the problem?",
+        subtext: "Your response helps assess the situation",
+        options: [
+            { value: 'stopped', label: 'Stopped taking it', icon: '🛑' },
+            { value: 'reduced', label: 'Reduced the dose', icon: '📉' },
+            { value: 'continued', label: 'Continued as prescribed', icon: '➡️' },
+            { value: 'doctor_advised', label: 'Doctor advised to stop/change', icon: '👨‍⚕️' },
+        ],
+        textPrompt: "Who made this decision?",
+        dataExtracted: ['Action taken', 'Dechallenge status', 'Risk-benefit decision', 'Physician response'],
+        category: 'action',
+    },
+
+    /**
+     * Q11: Outcome After Action (Adverse Path) - DECHALLENGE RESULT
+     *
+     * - resolved: Positive dechallenge → Strong causality
+     * - improved: Partial positive dechallenge → Moderate causality
+     * - no_change: Negative dechallenge → Weaker causality (or irreversible event)
+     * - worsened: Requires immediate attention
+     */
+    outcomeAfterAction: {
+        id: 'outcomeAfterAction',
+        question: "What happened after taking this action?",
+        subtext: "This helps establish the link between medicine and problem",
+        options: [
+            { value: 'resolved', label: 'Problem completely resolved', icon: '✅' },
+            { value: 'improved', label: 'Improved significantly', icon: '📈' },
+            { value: 'no_change', label: 'No change', icon: '➡️' },
+            { value: 'worsened', label: 'Got worse', icon: '📉' },
+        ],
+        textPrompt: "How long did it take to see this change?",
+        dataExtracted: ['Outcome', 'Dechallenge result', 'Causality reinforcement', 'Case completeness'],
+        category: 'outcome',
+    },
+
+    // ===================================================================
+    // PHASE 3: COMMON QUESTIONS FOR ALL PATHS
+    // ===================================================================
+
+    /**
+     * Q12: Other Medications - CONCOMITANT DRUG DATA
+     * Drug-drug interactions and confounders for causality assessment
+     */
+    otherMedications: {
+        id: 'otherMedications',
+        question: "Were you taking any other medicines during this time?",
+        subtext: "Including vitamins, supplements, or herbal products",
+        options: [
+            { value: 'none', label: 'No other medications', icon: '✓' },
+            { value: 'prescription', label: 'Other prescription medicines', icon: '💊' },
+            { value: 'otc', label: 'Over-the-counter medicines', icon: '🏪' },
+            { value: 'supplements', label: 'Vitamins/Supplements/Herbal', icon: '🌿' },
+        ],
+        textPrompt: "Please list them if possible:",
+        dataExtracted: ['Concomitant medications', 'Drug interactions', 'Confounding factors', 'Complete picture'],
+        category: 'concomitant',
+    },
+
+    /**
+     * Q13: Follow-Up Needs - PATIENT ENGAGEMENT
+     *
+     * - all_good: Case can be closed
+     * - questions / callback / appointment: Patient wants to be contacted
+     */
+    needsFollowUp: {
+        id: 'needsFollowUp',
+        question: "Would you like any further assistance?",
+        subtext: "We're here to help",
+        options: [
+            { value: 'all_good', label: 'No, I\'m doing fine', icon: '👍' },
+            { value: 'questions', label: 'I have some questions', icon: '❓' },
+            { value: 'callback', label: 'Please call me back', icon: '📞' },
+            { value: 'appointment', label: 'Need a follow-up appointment', icon: '📅' },
+        ],
+        textPrompt: "Any specific questions or concerns?",
+        dataExtracted: ['Follow-up need', 'Patient engagement', 'Support required', 'Next steps'],
+        category: 'followup',
+    },
+};
+
+// ============================================================================
+// BRANCHING PATHS
+// ============================================================================
+
+/**
+ * Questions asked of everyone, before any path-specific question
+ * (the personalized questions of a follow-up come right after these)
+ */
+const BASE_QUESTIONS = ['overallStatus', 'medicationAdherence'];
+
+/**
+ * One path per group of overallStatus answers
+ *
+ * 1. POSITIVE (fully_recovered/improving): recovery data
+ * 2. ADVERSE (had_problem): full safety report
+ * 3. NEUTRAL (same): basic follow-up
+ */
+const PATHS = {
+    positive: {
+        statuses: ['fully_recovered', 'improving'],
+        questions: ['symptomImprovement', 'improvementTimeline', 'otherMedications', 'needsFollowUp'],
+    },
+    adverse: {
+        statuses: ['had_problem'],
+        questions: [
+            'problemType', 'timeToOnset', 'symptoms', 'severity', 'medicalAttention',
+            'actionTaken', 'outcomeAfterAction', 'otherMedications', 'needsFollowUp',
+        ],
+    },
+    neutral: {
+        statuses: ['same'],
+        questions: ['otherMedications', 'needsFollowUp'],
+    },
+};
+
+/**
+ * Path for an overallStatus answer
+ *
+ * @param {string} status - overallStatus value
+ * @returns {'positive'|'adverse'|'neutral'|null} null until the status is known
+ */
+function getPathType(status) {
+    const entry = Object.entries(PATHS).find(([, path]) => path.statuses.includes(status));
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Question IDs asked for an overallStatus answer, in order
+ *
+ * @param {string} status - overallStatus value
+ * @returns {string[]} Base questions + the path's questions
+ */
+function getQuestionOrder(status) {
+    const pathType = getPathType(status);
+    return pathType ? [...BASE_QUESTIONS, ...PATHS[pathType].questions] : BASE_QUESTIONS;
+}
+
+/**
+ * The questionnaire as sent to the patient form
+ *
+ * @returns {{version: number, maxNotesLength: number, questions: object,
+ *            baseQuestions: string[], paths: object}}
+ */
+function getQuestionnaire() {
+    return {
+        version: RESPONSE_SCHEMA_VERSION,
+        maxNotesLength: MAX_NOTES_LENGTH,
+        questions: QUESTIONS,
+        baseQuestions: BASE_QUESTIONS,
+        paths: PATHS,
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    RESPONSE_SCHEMA_VERSION,
+    MAX_NOTES_LENGTH,
+    QUESTIONS,
+    getPathType,        // overallStatus → 'positive' | 'adverse' | 'neutral'
+    getQuestionOrder,   // overallStatus → question IDs asked
+    getQuestionnaire,   // Everything the patient form needs
+};
@@ -0,0 +1,186 @@
+/**
+ * ============================================================================
+ * Audit Middleware - Append-Only Log of Patient Data Access
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Records WHO touched WHICH patient record, WHEN, FROM WHERE and with
+ * WHAT RESULT. Required for medical data compliance (HIPAA/GDPR/DISHA
+ * access logging) and for investigating incidents (SECURITY.md §10, §15).
+ *
+ * AUDITED ACCESS:
+ * - Follow-up summary read       GET  /follow-ups/:id/summary
+ * - Follow-up case closure       POST /follow-ups/:id/close
+ * - Follow-up OTP verification   POST /follow-ups/:id/verify-otp
+ * - Follow-up OTP resend         POST /follow-ups/:id/resend-otp
+ * - Adverse event case read      GET  /adverse-events/:id/case
+ * - Causality assessment         PUT  /adverse-events/:id/causality
+ * - E2B export                   GET  /adverse-events/:id/export/e2b
+ * - CIOMS I form                 GET  /adverse-events/:id/export/cioms
+ * - Regulatory status change     POST /adverse-events/:id/regulatory-status
+ * - Duplicate merge / dismissal  POST /adverse-events/:id/duplicates/:duplicateId/merge|dismiss
+ * - Adverse event OTP            POST /adverse-events/:id/verify-otp
+ * - Adverse event OTP resend     POST /adverse-events/:id/resend-otp
+ * - Prescription view            GET  /prescriptions/:id
+ *
+ * HOW IT IS WIRED:
+ * 1. auditAccess(action, resourceType) is added to a route BEFORE
+ *    requireRole(), so refused attempts (401/403) are logged too
+ * 2. The handler calls setAuditContext(res, record) once it has loaded
+ *    the record - this adds caseId, patient and owning doctor/hospital
+ * 3. When the response finishes, one entry is written to 'auditLog'
+ *    with the outcome derived from the HTTP status
+ *
+ * APPEND-ONLY:
+ * Entries are only ever created (add). No route updates or deletes them;
+ * production Firestore rules must deny update/delete on 'auditLog'.
+ *
+ * WHY ON 'finish'?
+ * - The outcome (success / denied / not found) is only known at the end
+ * - Logging never delays or breaks the response; a failed write is
+ *   reported to the console instead
+ *
+ * COLLECTION: 'auditLog'
+ * { timestamp, action, resourceType, resourceId, outcome, statusCode,
+ *   actorId, actorName, actorRole, ipAddress, userAgent, method, route,
+ *   caseId, patientPhone, doctorId, hospitalId }
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalize a phone number for storage and lookup
+ * "+91 98765-43210" and "+919876543210" must find the same entries
+ *
+ * @param {string|null} phone - Phone as entered
+ * @returns {string|null} Digits with optional leading +
+ */
+function normalizePhone(phone) {
+    if (!phone) return null;
+    return String(phone).replace(/[^\d+]/g, '');
+}
+
+/**
+ * Map an HTTP status to an audit outcome
+ *
+ * @param {number} statusCode - Response status
+ * @returns {string} 'success' | 'denied' | 'not_found' | 'failed' | 'error'
+ */
+function outcomeFor(statusCode) {
+    if (statusCode < 400) return 'success';
+    if (statusCode === 401 || statusCode === 403) return 'denied';
+    if (statusCode === 404) return 'not_found';
+    if (statusCode < 500) return 'failed';    // e.g. wrong OTP
+    return 'error';
+}
+
+// ============================================================================
+// WRITER
+// ============================================================================
+
+/**
+ * Append one audit entry
+ *
+ * @param {object} entry - Fields described in the module header
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(entry) {
+    await db.collection('auditLog').add({
+        timestamp: new Date(),
+        ...entry,
+        patientPhone: normalizePhone(entry.patientPhone),
+    });
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Audit every request to a route
+ *
+ * @param {string} action - e.g. 'followUp.summary.view'
+ * @param {string} resourceType - 'followUp' | 'adverseEvent' | 'prescription'
+ * @returns {function} Express middleware
+ *
+ * @example
+ * router.get('/:id/summary', auditAccess('followUp.summary.view', 'followUp'),
+ *     requireRole('doctor'), async (req, res) => { ... });
+ */
+function auditAccess(action, resourceType) {
+    return (req, res, next) => {
+        res.locals.audit = {};
+
+        res.on('finish', () => {
+            const context = res.locals.audit || {};
+
+            recordAuditEvent({
+                action,
+                resourceType,
+                resourceId: req.params.id || null,
+                outcome: outcomeFor(res.statusCode),
+                statusCode: res.statusCode,
+
+                // Actor - public routes (OTP links) have no logged-in user
+                actorId: req.user?.userId || null,
+                actorName: req.user?.name || null,
+                actorRole: req.user?.role || 'public',
+                ipAddress: req.ip || null,
+                userAgent: req.headers['user-agent'] || null,
+                method: req.method,
+                route: req.originalUrl,
+
+                // Record context (set by the handler, null if never loaded)
+                caseId: context.caseId || null,
+                patientPhone: context.patientPhone || null,
+                doctorId: context.doctorId || null,
+                hospitalId: context.hospitalId || null,
+            }).catch(error => {
+                console.error('Audit Log Error:', error);
+            });
+        });
+
+        next();
+    };
+}
+
+/**
+ * Attach the loaded record to the pending audit entry
+ * Call as soon as the handler has fetched the record, BEFORE any
+ * ownership check, so denied attempts still name the patient/case.
+ *
+ * @param {object} res - Express response
+ * @param {object} record - Prescription, follow-up or adverse event data
+ */
+function setAuditContext(res, record) {
+    if (!res.locals.audit || !record) return;
+
+    Object.assign(res.locals.audit, {
+        caseId: record.caseId,
+        patientPhone: record.patientPhone,
+        doctorId: record.doctorId,
+        hospitalId: record.hospitalId || DEFAULT_HOSPITAL_ID,  // Legacy records
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    auditAccess,        // Route middleware
+    setAuditContext,    // Enrich the entry from inside a handler
+    recordAuditEvent,   // Direct write for non-route events
+    normalizePhone,     // Shared by the audit query endpoint
+};
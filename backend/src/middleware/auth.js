@@ -0,0 +1,312 @@
+/**
+ * ============================================================================
+ * Authentication Middleware - JWT Verification & Role Enforcement
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Verifies the JWT issued by authRoutes.js and attaches the authenticated
+ * doctor/staff identity to the request as req.user.
+ *
+ * ACCESS TOKENS vs SESSIONS:
+ * Access tokens are short-lived JWTs that carry a sessionId. Each request
+ * also checks the session document, so logout and revocation take effect
+ * immediately rather than when the JWT expires (see sessionService.js).
+ *
+ * WHY THIS EXISTS:
+ * Routes used to trust a doctorId sent by the caller (query string, URL param
+ * or body). Anyone could read another doctor's follow-up summaries simply by
+ * changing that value. All ownership checks now compare against req.user,
+ * which can only come from a token signed with our secret.
+ *
+ * HOW IT IS WIRED:
+ * 1. authenticate - mounted ONCE in server.js for every /api request.
+ *    Decodes the bearer token if present, but never blocks by itself,
+ *    because patient routes (OTP links) are public and carry no token.
+ * 2. requireRole(...roles) - added to individual protected routes.
+ *    Rejects with 401 if there is no valid identity, 403 if the role
+ *    is not allowed.
+ *
+ * req.user SHAPE:
+ * { userId, email, name, role, specialization, hospitalId, mustChangePassword, sessionId }
+ *
+ * HOSPITAL SCOPING (multi-tenancy):
+ * Several clinics share one deployment. Every user, prescription, follow-up
+ * and adverse event carries a hospitalId, and staff only ever see records
+ * from their own hospital. isSameHospital() is the single comparison used
+ * by all routes.
+ *
+ * USAGE:
+ * router.get('/:id/summary', requireRole('doctor'), async (req, res) => {
+ *     if (followUp.doctorId !== req.user.userId) { ...403... }
+ * });
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+/**
+ * jsonwebtoken - JWT verification
+ */
+const jwt = require('jsonwebtoken');
+
+/**
+ * Firebase Firestore database connection
+ * Used to load fresh user data (role changes, deactivation)
+ */
+const { db } = require('../config/firebase');
+
+/**
+ * Shared JWT secret (same one authRoutes.js signs with)
+ * and the fallback hospital for legacy records
+ */
+const { JWT_SECRET, DEFAULT_HOSPITAL_ID } = require('../config/auth');
+
+/**
+ * Session checks - access tokens die with their session (logout/revocation)
+ */
+const { isSessionActive } = require('../services/sessionService');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Routes a user with a temporary password (admin reset) may still use
+ * Paths are relative to the /api mount point
+ */
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/auth/change-password', '/auth/logout', '/auth/logout-all'];
+
+// ============================================================================
+// TOKEN EXTRACTION
+// ============================================================================
+
+/**
+ * Extract bearer token from the Authorization header
+ *
+ * @param {object} req - Express request
+ * @returns {string|null} Raw JWT or null if header missing/malformed
+ */
+function getBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+    // Remove 'Bearer ' prefix
+    return authHeader.split(' ')[1] || null;
+}
+
+// ============================================================================
+// AUTHENTICATE (Global)
+// ============================================================================
+
+/**
+ * Decode the JWT (if any) and attach req.user
+ *
+ * WORKFLOW:
+ * 1. No token → req.user = null, continue (public routes still work)
+ * 2. Verify signature and expiry
+ * 3. Check the token's session has not been revoked (logout, reset)
+ * 4. Fetch fresh user data from database
+ *    - Don't trust token data alone: role may have changed,
+ *      account may have been deactivated since the token was issued
+ * 5. Temporary password (mustChangePassword) → only change-password
+ *    and logout accept the token until it is replaced
+ * 6. Attach req.user, or record why authentication failed
+ *
+ * WHY NOT REJECT HERE?
+ * This runs for every route, including the patient OTP flow.
+ * A stale token sent to a public route should not break it - only routes
+ * guarded by requireRole() turn a failed authentication into an error.
+ */
+async function authenticate(req, res, next) {
+    req.user = null;
+    req.authFailure = null;
+
+    const token = getBearerToken(req);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        // jwt.verify throws if token is invalid or expired
+        const decoded = jwt.verify(token, JWT_SECRET);
+
+        // ========== CHECK SESSION ==========
+        // Tokens without a session predate refresh tokens - treat as expired
+        const sessionDoc = decoded.sessionId
+            ? await db.collection('sessions').doc(decoded.sessionId).get()
+            : null;
+        if (!sessionDoc?.exists || !isSessionActive(sessionDoc.data()) || sessionDoc.data().userId !== decoded.userId) {
+            req.authFailure = { status: 401, error: 'Session has expired. Please log in again.' };
+            return next();
+        }
+
+        // ========== FETCH FRESH USER DATA ==========
+        const userDoc = await db.collection('users').doc(decoded.userId).get();
+        if (!userDoc.exists) {
+            req.authFailure = { status: 401, error: 'User not found' };
+            return next();
+        }
+
+        const userData = userDoc.data();
+
+        if (!userData.isActive) {
+            req.authFailure = { status: 403, error: 'Account is deactivated. Contact administrator.' };
+            return next();
+        }
+
+        // ========== TEMPORARY PASSWORD ==========
+        if (userData.mustChangePassword === true && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+            req.authFailure = {
+                status: 403,
+                code: 'PASSWORD_CHANGE_REQUIRED',
+                error: 'You must change your temporary password before continuing.',
+            };
+            return next();
+        }
+
+        // Attach identity (exclude password)
+        req.user = {
+            userId: userDoc.id,
+            email: userData.email,
+            name: userData.name,
+            role: userData.role,
+            specialization: userData.specialization || null,
+            hospitalId: userData.hospitalId || DEFAULT_HOSPITAL_ID,
+            mustChangePassword: userData.mustChangePassword === true,
+            sessionId: decoded.sessionId,
+        };
+
+        next();
+
+    } catch (error) {
+        // Handle JWT-specific errors
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            req.authFailure = { status: 401, error: 'Invalid or expired token' };
+            return next();
+        }
+        // Database or unexpected errors go to the global error handler
+        next(error);
+    }
+}
+
+// ============================================================================
+// REQUIRE ROLE (Per-Route)
+// ============================================================================
+
+/**
+ * Create middleware that only lets authenticated users with one of the
+ * given roles through
+ *
+ * @param {...string} allowedRoles - e.g. 'doctor', 'staff', 'admin'
+ *                                   (none = any authenticated user)
+ * @returns {function} Express middleware
+ *
+ * RESPONSES:
+ * - 401: No token, invalid/expired token, or user no longer exists
+ * - 403: Account deactivated, temporary password not yet changed
+ *        (code: 'PASSWORD_CHANGE_REQUIRED'), or role not allowed
+ */
+function requireRole(...allowedRoles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            const failure = req.authFailure || { status: 401, error: 'Authentication required' };
+            return res.status(failure.status).json({
+                success: false,
+                ...(failure.code && { code: failure.code }),
+                error: failure.error,
+            });
+        }
+
+        if (allowedRoles.length > 0 && !allowedRoles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Insufficient permissions for this action',
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Require any authenticated doctor or staff user
+ * Shorthand for requireRole() with no role restriction
+ */
+const requireAuth = requireRole();
+
+// ============================================================================
+// HOSPITAL SCOPING
+// ============================================================================
+
+/**
+ * Check whether a record belongs to the user's hospital
+ *
+ * Records created before hospital scoping have no hospitalId;
+ * they are treated as belonging to the default hospital.
+ *
+ * @param {object} user - req.user
+ * @param {object} record - Firestore document data (prescription, follow-up, etc.)
+ * @returns {boolean} True if both belong to the same hospital
+ */
+function isSameHospital(user, record) {
+    const recordHospital = record?.hospitalId || DEFAULT_HOSPITAL_ID;
+    return recordHospital === (user?.hospitalId || DEFAULT_HOSPITAL_ID);
+}
+
+/**
+ * Authorize access to a /doctor/:doctorId list route
+ *
+ * MUST run after requireRole().
+ *
+ * RULES:
+ * - Doctor: may only list their own records
+ * - Staff: may list any ACTIVE doctor in their own hospital
+ *
+ * RESPONSES:
+ * - 403: Another doctor's data, or doctor outside the staff member's hospital
+ */
+async function authorizeDoctorParam(req, res, next) {
+    try {
+        const { doctorId } = req.params;
+
+        if (req.user.role === 'doctor') {
+            if (doctorId !== req.user.userId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Unauthorized: You can only view your own records',
+                });
+            }
+            return next();
+        }
+
+        // Staff: doctor must exist and belong to the same hospital
+        const doctorDoc = await db.collection('users').doc(doctorId).get();
+        if (!doctorDoc.exists || doctorDoc.data().role !== 'doctor' || !isSameHospital(req.user, doctorDoc.data())) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Doctor is not part of your hospital',
+            });
+        }
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    authenticate,         // Global: decode JWT and attach req.user (mounted in server.js)
+    requireRole,          // Per-route: enforce login + role
+    requireAuth,          // Per-route: enforce login only
+    isSameHospital,       // Compare a record's hospitalId with req.user's
+    authorizeDoctorParam, // Per-route: own records (doctor) / same hospital (staff)
+};
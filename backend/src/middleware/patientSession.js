@@ -0,0 +1,127 @@
+/**
+ * ============================================================================
+ * Patient Session Middleware - Short-Lived Token After OTP Verification
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Patients have no account. Proving "I received the OTP" used to set a
+ * permanent otpVerified flag on the record, so anyone who later learned
+ * the follow-up UUID could read drafts and submit answers. Now a
+ * successful OTP verification returns a patient token, and the patient
+ * routes require it.
+ *
+ * TOKEN:
+ * - JWT signed with JWT_SECRET, audience 'patient'
+ *   (staff tokens have no audience and are rejected here; patient tokens
+ *   have no session and are rejected by authenticate())
+ * - Scoped to ONE record: { targetType, targetId }
+ * - Expires after PATIENT_SESSION_TTL_MINUTES (default 30)
+ * - Sent by the frontend in the X-Patient-Token header
+ *
+ * PROTECTED ROUTES:
+ * - GET  /follow-ups/:id/drafts        POST /follow-ups/:id/submit
+ * - GET  /adverse-events/:id/questions POST /adverse-events/:id/submit
+ *
+ * EXPIRED TOKEN:
+ * Routes answer 403 with code PATIENT_SESSION_REQUIRED; the frontend
+ * sends the patient back to the code screen, where they can request a
+ * new code (the old one was consumed on first use).
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, PATIENT_SESSION_TTL_MINUTES } = require('../config/auth');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PATIENT_AUDIENCE = 'patient';
+const PATIENT_TOKEN_HEADER = 'x-patient-token';
+
+// ============================================================================
+// ISSUE
+// ============================================================================
+
+/**
+ * Create a patient token for one follow-up / adverse event
+ * Call only after verifyOTP() succeeded.
+ *
+ * @param {string} targetType - 'followUp' | 'adverseEvent'
+ * @param {string} targetId - Record ID the patient verified for
+ * @returns {{patientToken: string, expiresAt: Date}}
+ */
+function issuePatientToken(targetType, targetId) {
+    const patientToken = jwt.sign(
+        { targetType, targetId },
+        JWT_SECRET,
+        {
+            audience: PATIENT_AUDIENCE,
+            subject: targetId,
+            expiresIn: `${PATIENT_SESSION_TTL_MINUTES}m`,
+        }
+    );
+
+    return {
+        patientToken,
+        expiresAt: new Date(Date.now() + PATIENT_SESSION_TTL_MINUTES * 60 * 1000),
+    };
+}
+
+// ============================================================================
+// REQUIRE (Per-Route)
+// ============================================================================
+
+/**
+ * Require a valid patient token for the record in req.params.id
+ *
+ * @param {string} targetType - 'followUp' | 'adverseEvent'
+ * @returns {function} Express middleware
+ *
+ * @example
+ * router.post('/:id/submit', requirePatientSession('followUp'), async (req, res) => { ... });
+ */
+function requirePatientSession(targetType) {
+    return (req, res, next) => {
+        const token = req.headers[PATIENT_TOKEN_HEADER];
+
+        try {
+            if (!token) throw new Error('missing');
+
+            const decoded = jwt.verify(token, JWT_SECRET, { audience: PATIENT_AUDIENCE });
+
+            // A token for one follow-up must not unlock another
+            if (decoded.targetType !== targetType || decoded.targetId !== req.params.id) {
+                throw new Error('wrong record');
+            }
+
+            req.patientSession = {
+                targetType: decoded.targetType,
+                targetId: decoded.targetId,
+            };
+
+            next();
+
+        } catch (error) {
+            return res.status(403).json({
+                success: false,
+                error: 'Your session has expired. Please verify with a code again.',
+                code: 'PATIENT_SESSION_REQUIRED',
+            });
+        }
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    issuePatientToken,      // After successful OTP verification
+    requirePatientSession,  // Route guard for patient-only endpoints
+};
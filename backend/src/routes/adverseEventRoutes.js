@@ -8,7 +8,9 @@
  * Converts minimal patient input into regulatory-ready safety cases.
  * 
  * ⚠️ CRITICAL: Patient safety is the top priority.
- * - Urgent events trigger immediate alerts
+ * - Urgent events trigger immediate alerts (services/alertService.js) -
+ *   for reports linked to a real prescription or made by a logged-in
+ *   user; anonymous reports are flagged on the dashboard only
  * - All data is consent-gated
  * - Complete audit trail maintained
  * 
@@ -22,6 +24,12 @@
  * STEP 7: Complete safety case obtained
  * STEP 8: Regulatory-ready output
  * 
+ * FROM FOLLOW-UPS:
+ * A routine follow-up answered with "Experienced some problems" opens
+ * (or completes) a case too, already filled in from the follow-up's
+ * answers - see services/adverseEventService.js. Such cases have
+ * source 'follow_up' and followUpId set.
+ * 
  * SAFETY FIELDS COLLECTED:
  * - Time-to-onset (causality assessment)
  * - Event description (MedDRA ready)
@@ -31,6 +39,34 @@
  * - Outcome (resolved, improved, not resolved)
  * - Concomitant medications (interaction assessment)
  * 
+ * CAUSALITY:
+ * Every assessed case carries a computed Naranjo score and WHO-UMC
+ * category (machineCausality); the assigned doctor records their own
+ * assessment next to it (clinicianCausality) - services/causalityService.js
+ * 
+ * REGULATORY OUTPUT:
+ * GET /:id/export/e2b renders the case as an ICH E2B(R3) ICSR
+ * (services/e2bExportService.js), GET /:id/export/cioms as a CIOMS I
+ * form PDF (services/ciomsFormService.js). regulatoryStatus moves
+ * triage → medical_review → submitted → acknowledged
+ * (POST /:id/regulatory-status); a case is only marked submitted when
+ * its E2B message has every required element. Serious cases carry a
+ * 7/15-day reporting clock; GET /regulatory-queue lists the doctor's
+ * open cases by due date (services/regulatoryWorkflowService.js).
+ * 
+ * DUPLICATES:
+ * A new case is scored against the hospital's recent cases (same
+ * patient, drug, onset window, symptoms); likely duplicates are listed
+ * on both cases (suspectedDuplicates). The reviewing doctor merges one
+ * into the other - every source report is kept on the surviving case and
+ * the duplicate is marked merged, never deleted - or dismisses the
+ * suggestion (services/duplicateCaseService.js).
+ * 
+ * HOSPITAL SCOPING:
+ * Each case is stamped with a hospitalId (from the linked prescription,
+ * the reporting user, or the assigned doctor). Case and list routes only
+ * return cases from the caller's hospital.
+ * 
  * @author NEST 2O Team
  */
 
@@ -40,10 +76,60 @@
 
 const express = require('express');
 const router = express.Router();
-const { db } = require('../config/firebase');
-const { createOTP, verifyOTP, isOTPVerified } = require('../services/otpService');
+const { admin, db } = require('../config/firebase');
+const { createOTP, verifyOTP, isOTPVerified, reserveOTPResend, getLiveSessionEnd } = require('../services/otpService');
 const { sendOTPBoth } = require('../services/whatsappService');
 const { v4: uuidv4 } = require('uuid');
+const { requireRole, isSameHospital, authorizeDoctorParam } = require('../middleware/auth');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+const { auditAccess, setAuditContext } = require('../middleware/audit');
+const { issuePatientToken, requirePatientSession } = require('../middleware/patientSession');
+const { getPrescriptionMedicines } = require('../services/medicineService');
+const { ADVERSE_EVENT_QUESTIONS } = require('../config/adverseEventQuestionnaire');
+const { MAX_NOTES_LENGTH } = require('../config/followUpQuestionnaire');
+const { buildResponseSchema, validateAnswers } = require('../services/responseValidationService');
+const { raiseUrgentAlert } = require('../services/alertService');
+const { getEmergencyGuidance, buildGuidanceRecord } = require('../services/emergencyGuidanceService');
+const { buildE2BMessage } = require('../services/e2bExportService');
+const { buildCiomsPdf } = require('../services/ciomsFormService');
+const { detectSignals } = require('../services/signalDetectionService');
+const { reserveAnonymousReport } = require('../services/reportRateLimitService');
+const {
+    flagSuspectedDuplicates,
+    openDuplicateCount,
+    dismissSuspectedDuplicate,
+    mergeDuplicateCase,
+} = require('../services/duplicateCaseService');
+const {
+    REGULATORY_NEXT_STATUS,
+    regulatoryStatusOf,
+    startReportingClock,
+    stopReportingClock,
+    clockStatus,
+    compareByDeadline,
+} = require('../services/regulatoryWorkflowService');
+const {
+    NARANJO_QUESTIONS,
+    WHO_UMC_CATEGORIES,
+    assessCausality,
+    buildClinicianAssessment,
+} = require('../services/causalityService');
+const {
+    identifyMissingFields,
+    processFollowUpResponses,
+    assessCase,
+    generateCaseSummary,
+} = require('../services/adverseEventService');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Case statuses in which the patient may still submit the questionnaire
+ * (reported → follow_up_sent → data_collected; later ones are done)
+ */
+const PATIENT_SUBMITTABLE_STATUSES = ['reported', 'follow_up_sent'];
 
 // ============================================================================
 // STEP 2: REPORT ADVERSE EVENT (Patient or Doctor)
@@ -61,6 +147,33 @@ const { v4: uuidv4 } = require('uuid');
  * Minimal required info:
  * - prescriptionId OR drug name
  * - Brief description of the event
+ * 
+ * SUSPECT MEDICINE:
+ * - medicineId (optional): which medicine of the linked prescription
+ *   the reaction is attributed to (e.g. "med_2"); 400 if it is not on
+ *   the prescription
+ * - Without medicineId, a single-medicine prescription implies its
+ *   only medicine
+ * 
+ * EMERGENCY GUIDANCE:
+ * - emergencyGuidance (optional): { shownAt, triggers } - sent when the
+ *   form showed the emergency guidance (red-flag symptom checked);
+ *   stored on the case
+ * 
+ * ASSIGNED DOCTOR:
+ * Logged-in doctor reporting (from the JWT) → the prescription's doctor
+ * → doctorId from the body (staff, or a patient without a prescription)
+ * 
+ * ANONYMOUS REPORTS (not logged in, no matching prescription):
+ * - Stored and listed as usual, marked anonymousReport: true
+ * - Urgent keywords flag the case on the dashboard but page nobody -
+ *   anyone can send this request, so it must not wake clinicians
+ * 
+ * RATE LIMIT (reporters who are not logged in):
+ * Daily cap per phone number and per IP (reportRateLimitService.js);
+ * 429 with retryAfterSeconds when reached
+ * 
+ * Public endpoint
  */
 router.post('/', async (req, res) => {
     try {
@@ -69,10 +182,12 @@ router.post('/', async (req, res) => {
             patientPhone,
             patientName,
             drugName,
+            medicineId,
             eventDescription,
             reporterType, // 'patient', 'doctor', 'staff'
             doctorId,
             urgencyIndicators, // ['breathing', 'swelling', 'unconscious', etc.]
+            emergencyGuidance,
         } = req.body;
 
         // ========== VALIDATE BASIC INFO ==========
@@ -83,6 +198,15 @@ router.post('/', async (req, res) => {
             });
         }
 
+        const guidance = buildGuidanceRecord(emergencyGuidance);
+        if (!guidance.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Emergency guidance record is not valid',
+                fieldErrors: guidance.errors,
+            });
+        }
+
         // ========== LINK TO PRESCRIPTION (if available) ==========
         let prescriptionData = null;
         let linkedPrescriptionId = prescriptionId;
@@ -94,17 +218,56 @@ router.post('/', async (req, res) => {
             }
         }
 
+        // ========== RATE LIMIT (PUBLIC REPORTERS) ==========
+        if (!req.user) {
+            const limit = await reserveAnonymousReport(patientPhone || prescriptionData?.patientPhone || null, req.ip || null);
+            if (!limit.allowed) {
+                return res.status(429).json({
+                    success: false,
+                    error: limit.message,
+                    retryAfterSeconds: limit.retryAfterSeconds,
+                });
+            }
+        }
+
+        // Tied to a real prescription or a logged-in reporter - may page clinicians
+        const anonymousReport = !prescriptionData && !req.user;
+
+        // ========== SUSPECT MEDICINE ==========
+        const prescribedMedicines = prescriptionData ? getPrescriptionMedicines(prescriptionData) : [];
+        let suspectMedicine = null;
+
+        if (medicineId) {
+            suspectMedicine = prescribedMedicines.find(m => m.id === medicineId);
+            if (!suspectMedicine) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Medicine not found on the linked prescription',
+                });
+            }
+        } else if (prescribedMedicines.length === 1) {
+            suspectMedicine = prescribedMedicines[0];
+        }
+
         // ========== DETECT URGENCY ==========
         const urgentKeywords = ['breathing', 'swelling', 'unconscious', 'seizure', 'chest pain', 'anaphylaxis', 'severe'];
-        const isUrgent = urgentKeywords.some(keyword => 
+        const matchedUrgentKeywords = urgentKeywords.filter(keyword => 
             eventDescription.toLowerCase().includes(keyword) ||
             (urgencyIndicators && urgencyIndicators.includes(keyword))
         );
+        const isUrgent = matchedUrgentKeywords.length > 0;
 
         // ========== CREATE ADVERSE EVENT CASE ==========
         const caseId = `AE-${Date.now()}`;
         const adverseEventId = uuidv4();
 
+        // Doctor Info (authenticated doctor reporting on their own behalf wins,
+        // then the prescription's doctor - a body doctorId never overrides it)
+        const assignedDoctorId = req.user?.role === 'doctor'
+            ? req.user.userId
+            : prescriptionData?.doctorId || doctorId || null;
+        const hospitalId = await resolveHospitalId(prescriptionData, req.user, assignedDoctorId);
+
         const adverseEventData = {
             id: adverseEventId,
             caseId,
@@ -114,20 +277,27 @@ router.post('/', async (req, res) => {
             patientName: patientName || prescriptionData?.patientName || null,
             patientAge: prescriptionData?.patientAge || null,
             
-            // Drug Info (from OCR prescription)
+            // Drug Info (suspect medicine of the prescription, if known)
             prescriptionId: linkedPrescriptionId || null,
-            drugName: drugName || prescriptionData?.medicineName || null,
-            dosage: prescriptionData?.dosage || null,
+            medicineId: suspectMedicine?.id || null,
+            // An explicitly chosen medicine wins over the free-text drug name
+            drugName: medicineId
+                ? suspectMedicine.name
+                : drugName || suspectMedicine?.name || prescriptionData?.medicineName || null,
+            dosage: suspectMedicine ? suspectMedicine.strength : prescriptionData?.dosage || null,
+            frequency: suspectMedicine?.frequencyText || suspectMedicine?.frequencyCode || null,
             indication: prescriptionData?.condition || null,
             
             // Doctor Info
-            doctorId: doctorId || prescriptionData?.doctorId || null,
+            doctorId: assignedDoctorId,
             doctorName: prescriptionData?.doctorName || null,
+            hospitalId,
             
             // Event Info (Initial Report)
             initialReport: eventDescription,
             reporterType: reporterType || 'patient',
             reportedAt: new Date().toISOString(),
+            anonymousReport,        // No login, no prescription - never pages anyone
             
             // Safety Fields (to be collected via follow-up)
             timeToOnset: null,
@@ -140,9 +310,10 @@ router.post('/', async (req, res) => {
             concomitantMeds: null,
             
             // Case Status
-            status: 'reported', // reported → follow_up_sent → data_collected → complete → closed
+            status: 'reported', // reported → follow_up_sent → data_collected → complete → closed (or merged)
             isUrgent,
             urgencyIndicators: urgencyIndicators || [],
+            emergencyGuidance: toCaseRecord(guidance.record), // Shown on the report form
             
             // Follow-up tracking
             followUpId: null,
@@ -150,7 +321,8 @@ router.post('/', async (req, res) => {
             dataComplete: false,
             
             // Regulatory
-            regulatoryStatus: 'pending', // pending → submitted → acknowledged
+            regulatoryStatus: 'triage', // triage → medical_review → submitted → acknowledged
+            reportingClock: null,       // Started when the case is assessed serious
             
             // Timestamps
             createdAt: new Date().toISOString(),
@@ -163,10 +335,33 @@ router.post('/', async (req, res) => {
         // ========== SAVE TO DATABASE ==========
         await db.collection('adverseEvents').doc(adverseEventId).set(adverseEventData);
 
+        // ========== SUSPECTED DUPLICATES ==========
+        // Same reaction reported twice (e.g. patient and staff) - flagged for
+        // the reviewer, never merged automatically
+        try {
+            await flagSuspectedDuplicates(adverseEventId, adverseEventData);
+        } catch (duplicateError) {
+            console.error('Duplicate Check Error:', duplicateError);
+        }
+
         // ========== URGENT CASE ALERT ==========
-        if (isUrgent) {
-            console.log('🚨 URGENT ADVERSE EVENT REPORTED:', caseId);
-            // TODO: Send immediate alert to doctor/PV team
+        // Doctor + on-call roster, escalated if nobody acknowledges (alertService.js)
+        // Anonymous reports stay flagged on the dashboard without paging anyone
+        if (isUrgent && !anonymousReport) {
+            try {
+                await raiseUrgentAlert({
+                    source: 'adverse_event',
+                    recordId: adverseEventId,
+                    hospitalId,
+                    doctorId: assignedDoctorId,
+                    caseId,
+                    patientName: adverseEventData.patientName,
+                    patientPhone: adverseEventData.patientPhone,
+                    reasons: matchedUrgentKeywords.map(keyword => `Reported: ${keyword}`),
+                });
+            } catch (alertError) {
+                console.error('Raise Urgent Alert Error:', alertError);
+            }
         }
 
         // ========== AUTO-TRIGGER FOLLOW-UP IF PATIENT PHONE AVAILABLE ==========
@@ -176,25 +371,28 @@ router.post('/', async (req, res) => {
         if (adverseEventData.patientPhone && missingFields.length > 0) {
             try {
                 // Create OTP for follow-up
-                const otp = await createOTP(adverseEventId, 'adverseEvents');
+                const { otp } = await createOTP(adverseEventId, 'adverseEvent');
                 
                 // Generate follow-up link
                 const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/adverse-event/${adverseEventId}/follow-up`;
                 
                 // Send OTP via WhatsApp/SMS
-                const sendResult = await sendOTPBoth(
-                    adverseEventData.patientPhone,
+                const sendResult = await sendOTPBoth({
+                    to: adverseEventData.patientPhone,
                     otp,
                     verificationLink,
-                    caseId
-                );
+                    caseId,
+                });
+                const whatsappSent = sendResult.whatsapp.success;
+                const smsSent = sendResult.sms.success;
                 
                 followUpTriggered = true;
+                // SECURITY: Never echo the OTP - this endpoint is public,
+                // so the code must only reach the patient's phone
                 followUpDetails = {
-                    otp,
                     verificationLink,
-                    whatsappSent: sendResult.whatsapp,
-                    smsSent: sendResult.sms,
+                    whatsappSent,
+                    smsSent,
                 };
 
                 // Update case status
@@ -235,6 +433,51 @@ router.post('/', async (req, res) => {
     }
 });
 
+// ============================================================================
+// EMERGENCY GUIDANCE (Report Form)
+// ============================================================================
+
+/**
+ * GET /api/adverse-events/emergency-guidance?prescriptionId=
+ * Emergency instructions and contact numbers for the report form,
+ * shown as soon as a red-flag symptom is checked
+ * 
+ * RESPONSE:
+ * - 200: { instructions, contacts } of the prescription's hospital
+ *   (or the reporter's / default hospital)
+ * 
+ * Public endpoint - returns no patient data, and the same default
+ * guidance for an unknown prescription
+ */
+router.get('/emergency-guidance', async (req, res) => {
+    try {
+        const { prescriptionId } = req.query;
+
+        let prescriptionData = null;
+        if (typeof prescriptionId === 'string' && prescriptionId) {
+            const prescriptionDoc = await db.collection('prescriptions').doc(prescriptionId).get();
+            if (prescriptionDoc.exists) {
+                prescriptionData = prescriptionDoc.data();
+            }
+        }
+
+        const hospitalId = await resolveHospitalId(prescriptionData, req.user, null);
+        const { instructions, contacts } = await getEmergencyGuidance(hospitalId);
+
+        res.json({
+            success: true,
+            data: { instructions, contacts },
+        });
+
+    } catch (error) {
+        console.error('Get Emergency Guidance Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get emergency guidance',
+        });
+    }
+});
+
 // ============================================================================
 // STEP 4: VERIFY OTP FOR FOLLOW-UP
 // ============================================================================
@@ -242,30 +485,39 @@ router.post('/', async (req, res) => {
 /**
  * POST /api/adverse-events/:id/verify-otp
  * Patient verifies identity before completing follow-up
+ * 
+ * Returns { patientToken, expiresAt } - required (X-Patient-Token header)
+ * by the questions and submit routes.
  */
-router.post('/:id/verify-otp', async (req, res) => {
+router.post('/:id/verify-otp', auditAccess('adverseEvent.otp.verify', 'adverseEvent'), async (req, res) => {
     try {
         const { id } = req.params;
         const { otp } = req.body;
 
-        const isValid = await verifyOTP(id, otp, 'adverseEvent');
+        // Name the patient/case in the audit entry
+        setAuditContext(res, (await db.collection('adverseEvents').doc(id).get()).data());
 
-        if (!isValid) {
+        if (!otp) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid or expired OTP',
+                error: 'OTP is required',
             });
         }
 
-        // Update case status
-        await db.collection('adverseEvents').doc(id).update({
-            otpVerified: true,
-            otpVerifiedAt: new Date().toISOString(),
-        });
+        // Checks expiry, attempts and the code; marks the case verified
+        const result = await verifyOTP(id, otp, 'adverseEvent');
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.message,
+            });
+        }
 
         res.json({
             success: true,
-            message: 'OTP verified successfully',
+            message: result.message,
+            data: issuePatientToken('adverseEvent', id),
         });
 
     } catch (error) {
@@ -277,6 +529,125 @@ router.post('/:id/verify-otp', async (req, res) => {
     }
 });
 
+// ============================================================================
+// STEP 4b: RESEND OTP
+// ============================================================================
+
+/**
+ * POST /api/adverse-events/:id/resend-otp
+ * Patient requests a new code for the safety follow-up
+ * 
+ * Same rules as POST /api/follow-ups/:id/resend-otp: no new code while a
+ * verified patient session is live, cooldown and daily cap per phone
+ * number, code only sent to the phone on the case.
+ * 
+ * RESPONSE:
+ * - 200: { expiresAt, resendAvailableInSeconds, whatsappSent, smsSent }
+ * - 400: Already submitted / no patient phone on the case
+ * - 404: Case not found
+ * - 409: A verified patient session is still live - { retryAfterSeconds }
+ * - 429: Cooldown or daily cap - { retryAfterSeconds }
+ * - 502: Code could not be delivered
+ * - 503: Messaging not configured
+ */
+router.post('/:id/resend-otp', auditAccess('adverseEvent.otp.resend', 'adverseEvent'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const aeDoc = await db.collection('adverseEvents').doc(id).get();
+
+        if (!aeDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Adverse event not found',
+            });
+        }
+
+        const aeData = aeDoc.data();
+        setAuditContext(res, aeData);
+
+        if (aeData.dataComplete) {
+            return res.status(400).json({
+                success: false,
+                error: 'This follow-up has already been submitted.',
+            });
+        }
+
+        if (!aeData.patientPhone) {
+            return res.status(400).json({
+                success: false,
+                error: 'No phone number on this report',
+            });
+        }
+
+        // A verified patient is still answering - a new code would end
+        // their session and their submit would be refused
+        const sessionEndsAt = getLiveSessionEnd(aeData);
+        if (sessionEndsAt) {
+            return res.status(409).json({
+                success: false,
+                error: 'This link was verified a few minutes ago and the questions are still open. Please continue there, or request a new code once that session has ended.',
+                retryAfterSeconds: Math.ceil((sessionEndsAt.getTime() - Date.now()) / 1000),
+            });
+        }
+
+        if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+            return res.status(503).json({
+                success: false,
+                error: 'Codes cannot be sent right now. Please contact your doctor.',
+            });
+        }
+
+        // ========== RATE LIMIT ==========
+        const limit = await reserveOTPResend(id, 'adverseEvent', aeData.patientPhone);
+
+        if (!limit.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: limit.message,
+                retryAfterSeconds: limit.retryAfterSeconds,
+            });
+        }
+
+        // ========== NEW OTP ==========
+        const { otp, expiresAt } = await createOTP(id, 'adverseEvent');
+
+        const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/adverse-event/${id}/follow-up`;
+        const results = await sendOTPBoth({
+            to: aeData.patientPhone,
+            otp,
+            verificationLink,
+            caseId: aeData.caseId,
+        });
+
+        if (!results.whatsapp.success && !results.sms.success) {
+            console.error('Resend AE OTP delivery failed:', results.whatsapp.error, results.sms.error);
+            return res.status(502).json({
+                success: false,
+                error: 'We could not send a new code. Please try again later or contact your doctor.',
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'A new code has been sent to your phone.',
+            data: {
+                expiresAt,
+                resendAvailableInSeconds: limit.retryAfterSeconds,
+                whatsappSent: results.whatsapp.success,
+                smsSent: results.sms.success,
+            },
+        });
+
+    } catch (error) {
+        console.error('Resend AE OTP Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send a new code',
+        });
+    }
+});
+
 // ============================================================================
 // STEP 5: GET FOLLOW-UP QUESTIONS
 // ============================================================================
@@ -289,8 +660,10 @@ router.post('/:id/verify-otp', async (req, res) => {
  * - What's already known from prescription
  * - What was mentioned in initial report
  * - Urgency indicators
+ * 
+ * Requires the patient token from verify-otp (X-Patient-Token header).
  */
-router.get('/:id/questions', async (req, res) => {
+router.get('/:id/questions', requirePatientSession('adverseEvent'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -325,6 +698,8 @@ router.get('/:id/questions', async (req, res) => {
                 initialReport: aeData.initialReport,
                 questions,
                 totalQuestions: questions.length,
+                maxNotesLength: MAX_NOTES_LENGTH,
+                emergencyGuidance: await getEmergencyGuidance(aeData.hospitalId),
                 estimatedTime: '2-3 minutes',
             },
         });
@@ -347,11 +722,47 @@ router.get('/:id/questions', async (req, res) => {
  * Patient submits follow-up responses
  * 
  * After this, the safety case is complete and regulatory-ready
+ * 
+ * BODY:
+ * - responses: { questionId: { selected, notes } } - one answer to each
+ *   question from GET /:id/questions; selected is an option value (array
+ *   of values for multi-select questions), notes up to 1000 characters
+ * - consent: boolean - MUST be true
+ * - emergencyGuidance (optional): { shownAt, triggers } - sent when the
+ *   form showed the emergency guidance; stored as followUpEmergencyGuidance
+ *   (emergencyGuidance is the one from the report form)
+ * 
+ * RESPONSE:
+ * - 400: Missing consent, or invalid responses with
+ *        fieldErrors: [{ field, message }] (e.g. field 'responses.severity')
+ * - 409: Responses already submitted (status is past 'follow_up_sent')
+ * 
+ * Requires the patient token from verify-otp (X-Patient-Token header).
+ * Responses are accepted once: the status change happens in a
+ * transaction that also clears otpVerified, so a replay gets 409.
  */
-router.post('/:id/submit', async (req, res) => {
+router.post('/:id/submit', requirePatientSession('adverseEvent'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { responses, consent } = req.body;
+        const { responses, consent, emergencyGuidance } = req.body;
+
+        // Get existing data
+        const aeDoc = await db.collection('adverseEvents').doc(id).get();
+        if (!aeDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Adverse event not found',
+            });
+        }
+        const aeData = aeDoc.data();
+
+        // Only once, and never on a case merged into another
+        if (!PATIENT_SUBMITTABLE_STATUSES.includes(aeData.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'These responses have already been submitted',
+            });
+        }
 
         // Verify OTP
         const verified = await isOTPVerified(id, 'adverseEvent');
@@ -362,24 +773,39 @@ router.post('/:id/submit', async (req, res) => {
             });
         }
 
-        // Require consent
-        if (!consent) {
+        // Require consent (boolean true, not just truthy)
+        if (consent !== true) {
             return res.status(400).json({
                 success: false,
                 error: 'Patient consent is required',
             });
         }
 
-        // Get existing data
-        const aeDoc = await db.collection('adverseEvents').doc(id).get();
-        const aeData = aeDoc.data();
+        // ========== VALIDATE RESPONSES ==========
+        // Against the same questions the patient was shown
+        const check = validateAnswers(buildResponseSchema(ADVERSE_EVENT_QUESTIONS), responses, 'responses');
+        const guidance = buildGuidanceRecord(emergencyGuidance);
+        if (!check.valid || !guidance.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Some answers are not valid',
+                fieldErrors: [...check.errors, ...guidance.errors],
+            });
+        }
 
         // ========== PROCESS RESPONSES ==========
-        const processedData = processFollowUpResponses(responses);
+        const processedData = processFollowUpResponses(check.answers);
 
         // ========== ASSESS CASE SEVERITY ==========
         const caseAssessment = assessCase(processedData);
 
+        // Serious → expedited-reporting clock starts now (day 0)
+        const reportingClock = startReportingClock({
+            ...aeData,
+            ...processedData,
+            overallSeriousness: caseAssessment.seriousness,
+        });
+
         // ========== UPDATE ADVERSE EVENT ==========
         const updatedData = {
             ...processedData,
@@ -392,16 +818,47 @@ router.post('/:id/submit', async (req, res) => {
             overallSeverity: caseAssessment.severity,
             overallSeriousness: caseAssessment.seriousness,
             causalityIndicators: caseAssessment.causalityIndicators,
+            machineCausality: caseAssessment.causality,
             requiresExpedited: caseAssessment.requiresExpedited,
+            reportingClock,
             
             // Summary
             summary: generateCaseSummary(aeData, processedData, caseAssessment),
             
+            // Emergency guidance shown while answering (red-flag answer)
+            ...(guidance.record && { followUpEmergencyGuidance: toCaseRecord(guidance.record) }),
+            
+            otpVerified: false,     // Verification is used up by the submission
             updatedAt: new Date().toISOString(),
             submittedAt: new Date().toISOString(),
         };
 
-        await db.collection('adverseEvents').doc(id).update(updatedData);
+        // Re-checked in the transaction: two concurrent submits cannot both win
+        const aeRef = db.collection('adverseEvents').doc(id);
+        const stored = await db.runTransaction(async (transaction) => {
+            const current = await transaction.get(aeRef);
+            if (!PATIENT_SUBMITTABLE_STATUSES.includes(current.data()?.status)) {
+                return false;
+            }
+            transaction.update(aeRef, updatedData);
+            return true;
+        });
+
+        if (!stored) {
+            return res.status(409).json({
+                success: false,
+                error: 'These responses have already been submitted',
+            });
+        }
+
+        // ========== SIGNAL DETECTION ==========
+        // The case now has its symptoms and consent - re-run the hospital's
+        // drug-reaction analysis (a failure never affects the patient)
+        try {
+            await detectSignals(aeData.hospitalId || DEFAULT_HOSPITAL_ID);
+        } catch (signalError) {
+            console.error('Signal Detection Error:', signalError);
+        }
 
         res.json({
             success: true,
@@ -435,12 +892,31 @@ router.post('/:id/submit', async (req, res) => {
  * GET /api/adverse-events/:id/case
  * Get complete adverse event case for review
  * 
- * Only accessible after patient consent
+ * Only accessible to the assigned doctor in the case's hospital,
+ * and only after patient consent
+ * 
+ * CAUSALITY:
+ * - machineCausality: { naranjo: { answers, score, category },
+ *   whoUmc: { category, criteria } } - computed now for cases assessed
+ *   before causality was stored
+ * - clinicianCausality: the doctor's assessment, or null
+ * - causalityOptions: { naranjoQuestions, whoUmcCategories } for the form
+ * 
+ * REGULATORY:
+ * - regulatoryStatus: triage | medical_review | submitted | acknowledged
+ * - reportingClock: { day0, dueDate, deadlineDays, basis, daysRemaining,
+ *   overdue, dueSoon, submittedAt, metDeadline }, or null (not serious)
+ * 
+ * DUPLICATES:
+ * - suspectedDuplicates: [{ adverseEventId, caseId, reporterType,
+ *   reportedAt, score, reasons, status, resolvedAt, resolvedBy }]
+ * - sourceReports: every report merged into this case (its own first)
+ * - mergedInto: { adverseEventId, caseId, mergedAt, mergedBy } once the
+ *   case itself was merged into another
  */
-router.get('/:id/case', async (req, res) => {
+router.get('/:id/case', auditAccess('adverseEvent.case.view', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { doctorId } = req.query;
 
         const aeDoc = await db.collection('adverseEvents').doc(id).get();
         if (!aeDoc.exists) {
@@ -451,6 +927,15 @@ router.get('/:id/case', async (req, res) => {
         }
 
         const aeData = aeDoc.data();
+        setAuditContext(res, aeData);
+
+        // Verify doctor ownership (identity from JWT)
+        if (aeData.doctorId !== req.user.userId || !isSameHospital(req.user, aeData)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have access to this case',
+            });
+        }
 
         // Check consent
         if (!aeData.consent) {
@@ -460,24 +945,574 @@ router.get('/:id/case', async (req, res) => {
             });
         }
 
-        // Verify doctor ownership
-        if (doctorId && aeData.doctorId !== doctorId) {
+        res.json({
+            success: true,
+            data: {
+                ...aeData,
+                machineCausality: aeData.machineCausality || assessCausality(aeData),
+                clinicianCausality: aeData.clinicianCausality || null,
+                regulatoryStatus: regulatoryStatusOf(aeData),
+                reportingClock: clockStatus(aeData.reportingClock),
+                causalityOptions: {
+                    naranjoQuestions: NARANJO_QUESTIONS,
+                    whoUmcCategories: WHO_UMC_CATEGORIES,
+                },
+            },
+        });
+
+    } catch (error) {
+        console.error('Get Case Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get case',
+        });
+    }
+});
+
+// ============================================================================
+// CAUSALITY ASSESSMENT (Doctor)
+// ============================================================================
+
+/**
+ * PUT /api/adverse-events/:id/causality
+ * Record the doctor's causality assessment of a case
+ * 
+ * BODY:
+ * - whoUmcCategory: certain | probable | possible | unlikely |
+ *   conditional | unassessable
+ * - naranjoAnswers (optional): { [questionId]: 'yes' | 'no' | 'unknown' }
+ *   - answers that differ from the computed ones; questions left out
+ *   keep the computed answer
+ * - reason: required when the category or any answer differs from the
+ *   computed assessment
+ * 
+ * WORKFLOW:
+ * 1. Same access rules as GET /:id/case (assigned doctor, consent given)
+ * 2. Compare with the machine assessment of the current case data
+ * 3. Store clinicianCausality (the machine assessment is kept unchanged)
+ * 
+ * RESPONSE:
+ * - 200: { machineCausality, clinicianCausality }
+ * - 400: Invalid assessment, fieldErrors: [{ field, message }]
+ * - 401/403: Not logged in / not the assigned doctor / no consent
+ * - 404: Case not found
+ * - 500: Server error
+ */
+router.put('/:id/causality', auditAccess('adverseEvent.causality.update', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const found = await findCaseForDoctor(id, req.user, res);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error,
+            });
+        }
+        const { aeData } = found;
+
+        // ========== VALIDATE AGAINST THE MACHINE ASSESSMENT ==========
+        const machineCausality = aeData.machineCausality || assessCausality(aeData);
+        const result = buildClinicianAssessment(req.body, machineCausality, req.user);
+        if (!result.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Causality assessment is not valid',
+                fieldErrors: result.errors,
+            });
+        }
+
+        await db.collection('adverseEvents').doc(id).update({
+            machineCausality,
+            clinicianCausality: result.assessment,
+            updatedAt: new Date().toISOString(),
+        });
+
+        res.json({
+            success: true,
+            data: {
+                machineCausality,
+                clinicianCausality: result.assessment,
+            },
+        });
+
+    } catch (error) {
+        console.error('Update Causality Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save causality assessment',
+        });
+    }
+});
+
+// ============================================================================
+// REGULATORY OUTPUT (E2B Export, CIOMS I Form & Submission Status)
+// ============================================================================
+
+/**
+ * GET /api/adverse-events/:id/export/e2b
+ * The case as an ICH E2B(R3) ICSR XML message
+ * 
+ * QUERY:
+ * - format=json: { valid, errors, warnings, messageId, xml } instead of
+ *   the XML file - for showing what is missing
+ * 
+ * WORKFLOW:
+ * 1. Same access rules as GET /:id/case (assigned doctor, consent given)
+ * 2. Map the case (and the other medicines of its prescription) onto
+ *    the E2B message and check the required elements
+ * 3. Record the export on the case (e2bExport: { exportedAt, exportedBy,
+ *    messageId, valid, errors })
+ * 
+ * RESPONSE:
+ * - 200: XML file (X-E2B-Valid: true|false, X-E2B-Missing: element IDs),
+ *        or the JSON above
+ * - 401/403: Not logged in / not the assigned doctor / no consent
+ * - 404: Case not found
+ * - 500: Server error
+ */
+router.get('/:id/export/e2b', auditAccess('adverseEvent.export.e2b', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const found = await findCaseForDoctor(id, req.user, res);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error,
+            });
+        }
+
+        const message = await buildCaseE2BMessage(found.aeData);
+
+        await db.collection('adverseEvents').doc(id).update({
+            e2bExport: {
+                exportedAt: new Date().toISOString(),
+                exportedBy: { userId: req.user.userId, name: req.user.name },
+                messageId: message.messageId,
+                valid: message.valid,
+                errors: message.errors,
+            },
+        });
+
+        if (req.query.format === 'json') {
+            return res.json({
+                success: true,
+                data: message,
+            });
+        }
+
+        res.set({
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${found.aeData.caseId}-e2b.xml"`,
+            'X-E2B-Valid': String(message.valid),
+            'X-E2B-Missing': message.errors.map(e => e.element).join(','),
+        });
+        res.send(message.xml);
+
+    } catch (error) {
+        console.error('E2B Export Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export case',
+        });
+    }
+});
+
+/**
+ * GET /api/adverse-events/:id/export/cioms
+ * The case as a filled-in CIOMS I form (PDF)
+ * 
+ * WORKFLOW:
+ * 1. Same access rules as GET /:id/case (assigned doctor, consent given)
+ * 2. Fill the form from the case and its linked prescription - every
+ *    page is watermarked with the caseId and generation time
+ * 3. Record the generation on the case (ciomsExports: [{ generatedAt,
+ *    generatedBy }]), so it is known which printed copies exist
+ * 
+ * RESPONSE:
+ * - 200: PDF file (<caseId>-cioms.pdf)
+ * - 401/403: Not logged in / not the assigned doctor / no consent
+ * - 404: Case not found
+ * - 500: Server error
+ */
+router.get('/:id/export/cioms', auditAccess('adverseEvent.export.cioms', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const found = await findCaseForDoctor(id, req.user, res);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error,
+            });
+        }
+        const { aeData } = found;
+
+        const generatedAt = new Date();
+        const { prescription, medicines } = await loadCasePrescription(aeData);
+        const pdf = await buildCiomsPdf(aeData, { prescription, medicines, generatedAt });
+
+        // arrayUnion appends atomically - two exports at once both stay recorded
+        await db.collection('adverseEvents').doc(id).update({
+            ciomsExports: admin.firestore.FieldValue.arrayUnion({
+                generatedAt: generatedAt.toISOString(),
+                generatedBy: { userId: req.user.userId, name: req.user.name },
+            }),
+        });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${aeData.caseId}-cioms.pdf"`,
+        });
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('CIOMS Export Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate CIOMS form',
+        });
+    }
+});
+
+/**
+ * POST /api/adverse-events/:id/regulatory-status
+ * Move the case along triage → medical_review → submitted → acknowledged
+ * 
+ * BODY:
+ * - status: 'medical_review' | 'submitted' | 'acknowledged' (the next status only)
+ * - notes (optional): e.g. triage findings, the regulator's acknowledgement number
+ * 
+ * A case is only marked submitted when its E2B message (current data)
+ * has every required element. Submitting stops the reporting clock and
+ * records whether it was in time (reportingClock.metDeadline).
+ * 
+ * RESPONSE:
+ * - 200: { regulatoryStatus, regulatoryHistory, reportingClock }
+ * - 400: Not the next status, or notes too long
+ * - 401/403: Not logged in / not the assigned doctor / no consent
+ * - 404: Case not found
+ * - 409: E2B required elements missing (data.errors: [{ element, message }])
+ * - 500: Server error
+ */
+router.post('/:id/regulatory-status', auditAccess('adverseEvent.regulatory.update', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, notes } = req.body;
+
+        const found = await findCaseForDoctor(id, req.user, res);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error,
+            });
+        }
+
+        if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 1000)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Notes must be text of at most 1000 characters',
+            });
+        }
+
+        // ========== CHECK AND WRITE IN ONE TRANSACTION ==========
+        // Two reviewers moving the same case at once: the second sees the
+        // status the first wrote and is refused, so no history entry is lost
+        const aeRef = db.collection('adverseEvents').doc(id);
+        const result = await db.runTransaction(async (transaction) => {
+            const aeDoc = await transaction.get(aeRef);
+            if (!aeDoc.exists) {
+                return { status: 404, error: 'Adverse event not found' };
+            }
+            const aeData = aeDoc.data();
+
+            if (aeData.mergedIntoId) {
+                return {
+                    status: 409,
+                    error: `This case was merged into ${aeData.mergedInto.caseId} - report that case instead`,
+                };
+            }
+
+            const current = regulatoryStatusOf(aeData);
+            if (REGULATORY_NEXT_STATUS[current] !== status) {
+                return {
+                    status: 400,
+                    error: REGULATORY_NEXT_STATUS[current]
+                        ? `A ${current} case can only be marked ${REGULATORY_NEXT_STATUS[current]}`
+                        : `The case is already ${current}`,
+                };
+            }
+
+            // ========== E2B MUST BE COMPLETE BEFORE SUBMISSION ==========
+            if (status === 'submitted') {
+                const message = await buildCaseE2BMessage(aeData);
+                if (!message.valid) {
+                    return {
+                        status: 409,
+                        error: 'The E2B report is missing required elements',
+                        data: { errors: message.errors },
+                    };
+                }
+            }
+
+            const now = new Date().toISOString();
+            const reportingClock = status === 'submitted'
+                ? stopReportingClock(aeData.reportingClock, new Date(now))
+                : aeData.reportingClock || null;
+            const regulatoryHistory = [
+                ...(aeData.regulatoryHistory || []),
+                {
+                    from: current,
+                    to: status,
+                    notes: notes?.trim() || null,
+                    by: { userId: req.user.userId, name: req.user.name },
+                    at: now,
+                },
+            ];
+
+            transaction.update(aeRef, {
+                regulatoryStatus: status,
+                regulatoryHistory,
+                reportingClock,
+                updatedAt: now,
+            });
+            return { regulatoryHistory, reportingClock };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error,
+                ...(result.data && { data: result.data }),
+            });
+        }
+        const { regulatoryHistory, reportingClock } = result;
+
+        res.json({
+            success: true,
+            data: {
+                regulatoryStatus: status,
+                regulatoryHistory,
+                reportingClock: clockStatus(reportingClock),
+            },
+        });
+
+    } catch (error) {
+        console.error('Update Regulatory Status Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update regulatory status',
+        });
+    }
+});
+
+// ============================================================================
+// DUPLICATE CASES (For Doctor)
+// ============================================================================
+
+/**
+ * Load both cases of a suspected duplicate pair for the reviewing doctor
+ * 
+ * The reviewed case must be the doctor's and consented (findCaseForDoctor);
+ * the other case must be an open suggestion on it.
+ * 
+ * @param {object} req - Express request (params.id, params.duplicateId)
+ * @param {object} res - Express response (audit context)
+ * @returns {Promise<object>} { aeData, duplicateData } or { status, error }
+ *   duplicateData is null when the other case no longer exists
+ */
+async function findDuplicatePair(req, res) {
+    const { id, duplicateId } = req.params;
+
+    const found = await findCaseForDoctor(id, req.user, res);
+    if (found.error) return found;
+    const { aeData } = found;
+
+    const suggestion = (aeData.suspectedDuplicates || []).find(s => s.adverseEventId === duplicateId);
+    if (!suggestion) {
+        return { status: 404, error: 'This case is not suggested as a duplicate' };
+    }
+    if (suggestion.status !== 'open') {
+        return { status: 409, error: `This suggestion was already ${suggestion.status}` };
+    }
+
+    const duplicateDoc = await db.collection('adverseEvents').doc(duplicateId).get();
+    return { aeData, duplicateData: duplicateDoc.exists ? duplicateDoc.data() : null };
+}
+
+/**
+ * POST /api/adverse-events/:id/duplicates/:duplicateId/merge
+ * Merge a suspected duplicate into this case
+ * 
+ * This case survives: it keeps its own data and lists every report that
+ * went into it (sourceReports). The duplicate is marked merged
+ * (mergedInto) and leaves the regulatory queue and signal detection.
+ * 
+ * RESPONSE:
+ * - 200: { sourceReports, suspectedDuplicates }
+ * - 401/403: Not logged in / not the assigned doctor of both cases /
+ *            no patient consent on this case
+ * - 404: Case not found, or the other case is not suggested as a duplicate
+ * - 409: Suggestion already resolved, or one of the cases is already
+ *        merged into another
+ * - 500: Server error
+ */
+router.post('/:id/duplicates/:duplicateId/merge', auditAccess('adverseEvent.duplicate.merge', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
+    try {
+        const { id, duplicateId } = req.params;
+
+        const found = await findDuplicatePair(req, res);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error,
+            });
+        }
+        const { aeData, duplicateData } = found;
+
+        if (!duplicateData) {
+            return res.status(404).json({
+                success: false,
+                error: 'The suggested duplicate no longer exists',
+            });
+        }
+        if (duplicateData.doctorId !== req.user.userId || !isSameHospital(req.user, duplicateData)) {
             return res.status(403).json({
                 success: false,
-                error: 'You do not have access to this case',
+                error: 'The suggested duplicate is assigned to another doctor',
+            });
+        }
+        if (aeData.mergedIntoId || duplicateData.mergedIntoId) {
+            return res.status(409).json({
+                success: false,
+                error: `${aeData.mergedIntoId ? aeData.caseId : duplicateData.caseId} is already merged into another case`,
+            });
+        }
+
+        const result = await mergeDuplicateCase(id, aeData, duplicateId, duplicateData, req.user);
+
+        // Signal counts no longer include the merged case
+        try {
+            await detectSignals(aeData.hospitalId || DEFAULT_HOSPITAL_ID);
+        } catch (signalError) {
+            console.error('Signal Detection Error:', signalError);
+        }
+
+        res.json({
+            success: true,
+            data: result,
+        });
+
+    } catch (error) {
+        console.error('Merge Duplicate Case Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to merge cases',
+        });
+    }
+});
+
+/**
+ * POST /api/adverse-events/:id/duplicates/:duplicateId/dismiss
+ * "Not a duplicate" - close the suggestion on both cases
+ * 
+ * RESPONSE:
+ * - 200: { suspectedDuplicates }
+ * - 401/403: Not logged in / not the assigned doctor / no patient consent
+ * - 404: Case not found, or the other case is not suggested as a duplicate
+ * - 409: Suggestion already resolved
+ * - 500: Server error
+ */
+router.post('/:id/duplicates/:duplicateId/dismiss', auditAccess('adverseEvent.duplicate.dismiss', 'adverseEvent'), requireRole('doctor'), async (req, res) => {
+    try {
+        const { id, duplicateId } = req.params;
+
+        const found = await findDuplicatePair(req, res);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                error: found.error,
             });
         }
 
+        const suspectedDuplicates = await dismissSuspectedDuplicate(id, found.aeData, duplicateId, found.duplicateData, req.user);
+
         res.json({
             success: true,
-            data: aeData,
+            data: { suspectedDuplicates },
         });
 
     } catch (error) {
-        console.error('Get Case Error:', error);
+        console.error('Dismiss Duplicate Case Error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get case',
+            error: 'Failed to dismiss the suggestion',
+        });
+    }
+});
+
+// ============================================================================
+// REGULATORY QUEUE (For Doctor)
+// ============================================================================
+
+/**
+ * GET /api/adverse-events/regulatory-queue
+ * The logged-in doctor's cases still on their way to the regulator
+ * (everything not yet acknowledged or merged into another case), most
+ * urgent deadline first
+ * 
+ * ORDER:
+ * 1. Running reporting clocks by due date (overdue cases first)
+ * 2. Cases without a running clock (not serious, or already
+ *    submitted), oldest report first
+ * 
+ * RESPONSE:
+ * - 200: [{ id, caseId, patientName, drugName, regulatoryStatus,
+ *   seriousness, reportingClock (with daysRemaining / overdue /
+ *   dueSoon), consent, dataComplete, reportedAt, lastStep }]
+ * - 401/403: Not logged in / not a doctor
+ * - 500: Server error
+ */
+router.get('/regulatory-queue', requireRole('doctor'), async (req, res) => {
+    try {
+        const snapshot = await db.collection('adverseEvents')
+            .where('doctorId', '==', req.user.userId)
+            .get();
+
+        const queue = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            const regulatoryStatus = regulatoryStatusOf(data);
+            if (regulatoryStatus === 'acknowledged' || data.mergedIntoId || !isSameHospital(req.user, data)) return;
+
+            queue.push({
+                id: doc.id,
+                caseId: data.caseId,
+                patientName: data.patientName,
+                drugName: data.drugName,
+                regulatoryStatus,
+                seriousness: data.overallSeriousness || null,
+                reportingClock: clockStatus(data.reportingClock),
+                consent: Boolean(data.consent),
+                dataComplete: Boolean(data.dataComplete),
+                reportedAt: data.reportedAt || data.createdAt,
+                lastStep: data.regulatoryHistory?.[data.regulatoryHistory.length - 1] || null,
+            });
+        });
+
+        queue.sort(compareByDeadline);
+
+        res.json({
+            success: true,
+            data: queue,
+        });
+
+    } catch (error) {
+        console.error('Regulatory Queue Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load regulatory queue',
         });
     }
 });
@@ -489,8 +1524,18 @@ router.get('/:id/case', async (req, res) => {
 /**
  * GET /api/adverse-events/doctor/:doctorId
  * Get all adverse events for a doctor
+ * 
+ * Doctors can only list their own cases; staff can list any doctor's
+ * in their own hospital
+ * 
+ * Each case includes source ('report' | 'follow_up') and followUpId,
+ * the follow-up it was opened from (or null), whoUmcCategory (the
+ * doctor's causality category, else the computed one), consent
+ * (whether the case can be opened / exported yet), suspectedDuplicates
+ * (number of open duplicate suggestions) and mergedInto (case ID of the
+ * case it was merged into, or null)
  */
-router.get('/doctor/:doctorId', async (req, res) => {
+router.get('/doctor/:doctorId', requireRole('doctor', 'staff'), authorizeDoctorParam, async (req, res) => {
     try {
         const { doctorId } = req.params;
 
@@ -513,6 +1558,15 @@ router.get('/doctor/:doctorId', async (req, res) => {
                 severity: data.overallSeverity,
                 createdAt: data.createdAt,
                 dataComplete: data.dataComplete,
+                consent: Boolean(data.consent),
+                source: data.source || 'report',
+                anonymousReport: data.anonymousReport === true,
+                followUpId: data.followUpId || null,
+                suspectedDuplicates: openDuplicateCount(data),
+                mergedInto: data.mergedInto?.caseId || null,
+                whoUmcCategory: data.clinicianCausality?.whoUmc.category
+                    || data.machineCausality?.whoUmc.category
+                    || null,
             });
         });
 
@@ -535,222 +1589,105 @@ router.get('/doctor/:doctorId', async (req, res) => {
 // ============================================================================
 
 /**
- * Identify missing mandatory safety fields
+ * Work out which hospital a new adverse event belongs to
+ * 
+ * Priority: linked prescription → logged-in reporter → assigned doctor
+ * → default hospital (anonymous patient report with no links)
  */
-function identifyMissingFields(aeData) {
-    const requiredFields = [
-        { field: 'timeToOnset', label: 'Time of onset' },
-        { field: 'symptoms', label: 'Symptoms experienced' },
-        { field: 'severity', label: 'Severity' },
-        { field: 'seriousness', label: 'Seriousness (hospitalization)' },
-        { field: 'actionTaken', label: 'Action taken with drug' },
-        { field: 'outcome', label: 'Outcome' },
-        { field: 'concomitantMeds', label: 'Other medications' },
-    ];
-
-    return requiredFields.filter(f => {
-        const value = aeData[f.field];
-        return !value || (Array.isArray(value) && value.length === 0);
-    });
+async function resolveHospitalId(prescriptionData, user, doctorId) {
+    if (prescriptionData?.hospitalId) return prescriptionData.hospitalId;
+    if (user?.hospitalId) return user.hospitalId;
+
+    if (doctorId) {
+        const doctorDoc = await db.collection('users').doc(doctorId).get();
+        if (doctorDoc.exists && doctorDoc.data().hospitalId) {
+            return doctorDoc.data().hospitalId;
+        }
+    }
+
+    return DEFAULT_HOSPITAL_ID;
 }
 
 /**
- * Generate smart follow-up questions
- * Only 7 high-value questions as specified
+ * Load a case for its assigned doctor
+ * Same rules as GET /:id/case: assigned doctor in the case's hospital,
+ * and only after patient consent. Adds the case to the audit entry.
+ * 
+ * @param {string} id - Adverse event document ID
+ * @param {object} user - Doctor from the JWT
+ * @param {object} res - Express response (audit context)
+ * @returns {Promise<{status?: number, error?: string, aeData?: object}>}
  */
-function generateSmartQuestions(aeData) {
-    return [
-        {
-            id: 'timeToOnset',
-            question: 'When did the reaction start after taking the medicine?',
-            subtext: 'This helps us understand if the medicine caused the reaction',
-            type: 'single',
-            options: [
-                { value: 'immediate', label: 'Within minutes', icon: '⚡' },
-                { value: 'hours', label: 'Within hours', icon: '🕐' },
-                { value: 'next_day', label: 'Next day', icon: '📅' },
-                { value: 'few_days', label: 'After a few days', icon: '📆' },
-                { value: 'week_plus', label: 'After a week or more', icon: '🗓️' },
-            ],
-            dataFields: ['Time-to-onset', 'Causality assessment'],
-        },
-        {
-            id: 'symptoms',
-            question: 'What symptoms did you experience?',
-            subtext: 'Select all that apply',
-            type: 'multi',
-            options: [
-                { value: 'nausea', label: 'Nausea / Vomiting', icon: '🤢' },
-                { value: 'dizziness', label: 'Dizziness', icon: '💫' },
-                { value: 'rash', label: 'Skin rash / Itching', icon: '🔴' },
-                { value: 'headache', label: 'Headache', icon: '🤕' },
-                { value: 'breathing', label: 'Breathing difficulty', icon: '😮‍💨', urgent: true },
-                { value: 'swelling', label: 'Swelling', icon: '😶', urgent: true },
-                { value: 'stomach', label: 'Stomach pain', icon: '😣' },
-                { value: 'fatigue', label: 'Fatigue / Weakness', icon: '😴' },
-                { value: 'other', label: 'Other', icon: '📝' },
-            ],
-            textPrompt: 'Describe your symptoms:',
-            dataFields: ['Event description', 'Seriousness indicators'],
-        },
-        {
-            id: 'severity',
-            question: 'How severe was the reaction?',
-            subtext: 'Rate the intensity at its worst',
-            type: 'single',
-            options: [
-                { value: 'mild', label: 'Mild - Noticeable but manageable', icon: '😊' },
-                { value: 'moderate', label: 'Moderate - Affected daily activities', icon: '😐' },
-                { value: 'severe', label: 'Severe - Could not do normal activities', icon: '😰' },
-            ],
-            dataFields: ['Severity grading'],
-        },
-        {
-            id: 'medicalAttention',
-            question: 'Did you require medical attention?',
-            subtext: 'This helps classify the seriousness',
-            type: 'single',
-            options: [
-                { value: 'none', label: 'No, managed at home', icon: '🏠' },
-                { value: 'doctor', label: 'Visited a doctor', icon: '👨‍⚕️' },
-                { value: 'emergency', label: 'Emergency room visit', icon: '🚑', serious: true },
-                { value: 'hospital', label: 'Hospitalized', icon: '🏥', serious: true },
-            ],
-            dataFields: ['Serious vs non-serious classification'],
-        },
-        {
-            id: 'actionTaken',
-            question: 'What action was taken with the medicine?',
-            subtext: 'This helps us understand what worked',
-            type: 'single',
-            options: [
-                { value: 'continued', label: 'Continued taking it', icon: '▶️' },
-                { value: 'reduced', label: 'Reduced the dose', icon: '📉' },
-                { value: 'stopped', label: 'Stopped taking it', icon: '⏹️' },
-                { value: 'restarted', label: 'Stopped then restarted', icon: '🔄' },
-            ],
-            dataFields: ['Dechallenge information'],
-        },
-        {
-            id: 'outcome',
-            question: 'What happened to the symptoms after this action?',
-            subtext: 'Current status of your symptoms',
-            type: 'single',
-            options: [
-                { value: 'resolved', label: 'Completely resolved', icon: '✅' },
-                { value: 'improved', label: 'Improved but not fully', icon: '📈' },
-                { value: 'unchanged', label: 'No change', icon: '➡️' },
-                { value: 'worsened', label: 'Got worse', icon: '📉' },
-                { value: 'unknown', label: 'Not sure yet', icon: '❓' },
-            ],
-            dataFields: ['Outcome', 'Causality support'],
-        },
-        {
-            id: 'concomitantMeds',
-            question: 'Were you taking any other medicines or supplements?',
-            subtext: 'Including over-the-counter and herbal products',
-            type: 'single',
-            options: [
-                { value: 'none', label: 'No other medicines', icon: '🚫' },
-                { value: 'prescription', label: 'Yes, prescription medicines', icon: '💊' },
-                { value: 'otc', label: 'Yes, over-the-counter', icon: '🏪' },
-                { value: 'supplements', label: 'Yes, supplements/herbal', icon: '🌿' },
-                { value: 'multiple', label: 'Multiple other medicines', icon: '💊💊' },
-            ],
-            textPrompt: 'List the other medicines:',
-            dataFields: ['Confounder assessment', 'Interaction assessment'],
-        },
-    ];
+async function findCaseForDoctor(id, user, res) {
+    const aeDoc = await db.collection('adverseEvents').doc(id).get();
+    if (!aeDoc.exists) {
+        return { status: 404, error: 'Adverse event not found' };
+    }
+
+    const aeData = aeDoc.data();
+    setAuditContext(res, aeData);
+
+    if (aeData.doctorId !== user.userId || !isSameHospital(user, aeData)) {
+        return { status: 403, error: 'You do not have access to this case' };
+    }
+    if (!aeData.consent) {
+        return { status: 403, error: 'Patient has not provided consent to share this data' };
+    }
+    return { aeData };
 }
 
 /**
- * Process follow-up responses into structured data
+ * Linked prescription of a case and its medicines (the suspect drug and
+ * the concomitant drugs of the regulatory reports)
+ * 
+ * @param {object} aeData - Adverse event case
+ * @returns {Promise<{prescription: object|null, medicines: object[]}>}
  */
-function processFollowUpResponses(responses) {
-    return {
-        timeToOnset: responses.timeToOnset?.selected,
-        symptoms: responses.symptoms?.selected || [],
-        symptomsDescription: responses.symptoms?.notes,
-        severity: responses.severity?.selected,
-        medicalAttention: responses.medicalAttention?.selected,
-        actionTaken: responses.actionTaken?.selected,
-        outcome: responses.outcome?.selected,
-        concomitantMeds: responses.concomitantMeds?.selected,
-        concomitantMedsDetails: responses.concomitantMeds?.notes,
-    };
+async function loadCasePrescription(aeData) {
+    if (!aeData.prescriptionId) {
+        return { prescription: null, medicines: [] };
+    }
+    const prescriptionDoc = await db.collection('prescriptions').doc(aeData.prescriptionId).get();
+    if (!prescriptionDoc.exists) {
+        return { prescription: null, medicines: [] };
+    }
+    const prescription = prescriptionDoc.data();
+    return { prescription, medicines: getPrescriptionMedicines(prescription) };
 }
 
 /**
- * Assess case severity and seriousness
+ * E2B message of a case, with the other medicines of its prescription
+ * as concomitant drugs
+ * 
+ * @param {object} aeData - Adverse event case
+ * @returns {Promise<object>} From buildE2BMessage
  */
-function assessCase(data) {
-    // Determine seriousness (regulatory definition)
-    const isSerious = 
-        data.medicalAttention === 'hospital' ||
-        data.medicalAttention === 'emergency' ||
-        data.symptoms?.includes('breathing') ||
-        data.symptoms?.includes('swelling');
-
-    // Determine if expedited reporting needed (serious cases need 15-day reporting)
-    const requiresExpedited = isSerious && data.outcome !== 'resolved';
-
-    // Causality indicators
-    const causalityIndicators = [];
-    
-    if (['immediate', 'hours'].includes(data.timeToOnset)) {
-        causalityIndicators.push('Temporal association (onset within hours)');
-    }
-    
-    if (data.actionTaken === 'stopped' && ['resolved', 'improved'].includes(data.outcome)) {
-        causalityIndicators.push('Positive dechallenge (improved after stopping)');
-    }
-    
-    if (data.actionTaken === 'restarted') {
-        causalityIndicators.push('Rechallenge performed');
-    }
-    
-    if (data.concomitantMeds === 'none') {
-        causalityIndicators.push('No confounders (no other medications)');
-    }
+async function buildCaseE2BMessage(aeData) {
+    const { medicines } = await loadCasePrescription(aeData);
+    return buildE2BMessage(aeData, { medicines });
+}
 
+/**
+ * Emergency guidance record in the case's timestamp format (ISO strings)
+ * 
+ * @param {object|null} record - From buildGuidanceRecord
+ * @returns {object|null}
+ */
+function toCaseRecord(record) {
+    if (!record) return null;
     return {
-        severity: data.severity,
-        seriousness: isSerious ? 'serious' : 'non-serious',
-        requiresExpedited,
-        causalityIndicators,
+        ...record,
+        shownAt: record.shownAt.toISOString(),
+        recordedAt: record.recordedAt.toISOString(),
     };
 }
 
 /**
- * Generate case summary for regulatory reporting
+ * Generate smart follow-up questions
+ * Only 7 high-value questions as specified (config/adverseEventQuestionnaire.js)
  */
-function generateCaseSummary(original, processed, assessment) {
-    const lines = [
-        `Case ID: ${original.caseId}`,
-        `Drug: ${original.drugName}`,
-        ``,
-        `INITIAL REPORT:`,
-        original.initialReport,
-        ``,
-        `FOLLOW-UP DATA:`,
-        `- Time to onset: ${processed.timeToOnset}`,
-        `- Symptoms: ${processed.symptoms?.join(', ')}`,
-        `- Severity: ${processed.severity}`,
-        `- Medical attention: ${processed.medicalAttention}`,
-        `- Action taken: ${processed.actionTaken}`,
-        `- Outcome: ${processed.outcome}`,
-        `- Concomitant medications: ${processed.concomitantMeds}`,
-        ``,
-        `ASSESSMENT:`,
-        `- Overall severity: ${assessment.severity}`,
-        `- Seriousness: ${assessment.seriousness}`,
-        `- Requires expedited reporting: ${assessment.requiresExpedited ? 'YES' : 'No'}`,
-        ``,
-        `CAUSALITY INDICATORS:`,
-        ...assessment.causalityIndicators.map(c => `- ${c}`),
-    ];
-
-    return lines.join('\n');
+function generateSmartQuestions(aeData) {
+    return ADVERSE_EVENT_QUESTIONS;
 }
 
 module.exports = router;
@@ -0,0 +1,228 @@
+/**
+ * ============================================================================
+ * Alert Routes - Urgent Case Alerts
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Dashboard side of urgent case alerting: doctors and staff see the
+ * alerts nobody has acknowledged yet and acknowledge them; hospital
+ * admins choose who is on call.
+ * Raising, notifying and escalating lives in services/alertService.js.
+ *
+ * ENDPOINTS:
+ * - GET  / - Unacknowledged alerts [doctor/staff]
+ * - POST /:id/acknowledge - Acknowledge an alert [doctor/staff]
+ * - GET  /on-call - On-call roster of the hospital [admin]
+ * - PUT  /on-call - Replace the on-call roster [admin]
+ *
+ * AUTHORIZATION:
+ * - Staff see every alert of their hospital
+ * - Doctors see alerts for their own cases, and every alert of their
+ *   hospital while they are on call
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+const { requireRole } = require('../middleware/auth');
+const {
+    ACK_MINUTES,
+    listOpenAlerts,
+    acknowledgeAlert,
+    getOnCallUserIds,
+    setOnCallUserIds,
+} = require('../services/alertService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Whether a user may be on call for a hospital
+ * (active doctor or staff member of that hospital)
+ *
+ * @param {string} userId - User document ID
+ * @param {string} hospitalId - Hospital of the roster
+ * @returns {Promise<boolean>}
+ */
+async function isOnCallCandidate(userId, hospitalId) {
+    const doc = await db.collection('users').doc(userId).get();
+    if (!doc.exists) return false;
+
+    const data = doc.data();
+    return (data.hospitalId || DEFAULT_HOSPITAL_ID) === hospitalId
+        && ['doctor', 'staff'].includes(data.role)
+        && data.isActive !== false;
+}
+
+// ============================================================================
+// ALERTS (Dashboard Banner)
+// ============================================================================
+
+/**
+ * GET /api/alerts
+ * Unacknowledged urgent alerts the user can handle
+ *
+ * RESPONSE:
+ * - 200: { alerts: [{ id, source, recordId, adverseEventId, doctorId,
+ *          caseId, patientName, patientPhone, reasons, createdAt,
+ *          ackDueAt, escalatedAt }], ackMinutes } - oldest first
+ * - 401/403: Not logged in / not a doctor or staff member
+ * - 500: Server error
+ */
+router.get('/', requireRole('doctor', 'staff'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                alerts: await listOpenAlerts(req.user),
+                ackMinutes: ACK_MINUTES,
+            },
+        });
+    } catch (error) {
+        console.error('List Urgent Alerts Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch alerts',
+        });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Acknowledge an urgent alert - stops escalation and removes it from
+ * every dashboard
+ *
+ * RESPONSE:
+ * - 200: { id, status, acknowledgedAt, acknowledgedBy }
+ * - 401/403: Not logged in / not allowed to handle this alert
+ * - 404: Alert not found
+ * - 409: Already acknowledged (acknowledgedBy says by whom)
+ * - 500: Server error
+ */
+router.post('/:id/acknowledge', requireRole('doctor', 'staff'), async (req, res) => {
+    try {
+        const result = await acknowledgeAlert(req.params.id, req.user);
+
+        if (result.status !== 200) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error,
+                ...(result.alert && { data: result.alert }),
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.alert,
+        });
+
+    } catch (error) {
+        console.error('Acknowledge Urgent Alert Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to acknowledge alert',
+        });
+    }
+});
+
+// ============================================================================
+// ON-CALL ROSTER (Admin)
+// ============================================================================
+
+/**
+ * GET /api/alerts/on-call
+ * On-call roster of the admin's hospital
+ * Users deactivated (or moved) since they were put on call are left out,
+ * so saving the returned list back always passes validation.
+ *
+ * RESPONSE:
+ * - 200: { userIds, ackMinutes }
+ * - 401/403: Not logged in / not an admin
+ * - 500: Server error
+ */
+router.get('/on-call', requireRole('admin'), async (req, res) => {
+    try {
+        const userIds = [];
+        for (const userId of await getOnCallUserIds(req.user.hospitalId)) {
+            if (await isOnCallCandidate(userId, req.user.hospitalId)) {
+                userIds.push(userId);
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                userIds,
+                ackMinutes: ACK_MINUTES,
+            },
+        });
+    } catch (error) {
+        console.error('Get On-Call Roster Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch on-call roster',
+        });
+    }
+});
+
+/**
+ * PUT /api/alerts/on-call
+ * Replace the on-call roster of the admin's hospital
+ *
+ * BODY:
+ * - userIds: string[] - active doctors/staff of this hospital
+ *   (empty list = only the prescribing doctor is alerted first)
+ *
+ * RESPONSE:
+ * - 200: { userIds }
+ * - 400: Not a list, or a user who is not an active doctor/staff
+ *        member of this hospital
+ * - 401/403: Not logged in / not an admin
+ * - 500: Server error
+ */
+router.put('/on-call', requireRole('admin'), async (req, res) => {
+    try {
+        const { userIds } = req.body;
+
+        if (!Array.isArray(userIds) || !userIds.every(id => typeof id === 'string' && id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'userIds must be a list of user IDs',
+            });
+        }
+
+        const uniqueIds = [...new Set(userIds)];
+        for (const userId of uniqueIds) {
+            if (!(await isOnCallCandidate(userId, req.user.hospitalId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `User ${userId} is not an active doctor or staff member of this hospital`,
+                });
+            }
+        }
+
+        await setOnCallUserIds(req.user.hospitalId, uniqueIds, req.user.userId);
+
+        res.json({
+            success: true,
+            data: { userIds: uniqueIds },
+        });
+
+    } catch (error) {
+        console.error('Update On-Call Roster Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update on-call roster',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * Audit Routes - Query the Patient Data Access Log
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets doctors and hospital administrators answer "who looked at this
+ * patient's data / this case, and when?" from the append-only auditLog
+ * written by middleware/audit.js.
+ *
+ * ENDPOINTS:
+ * - GET / - Search audit entries by patient phone or case ID
+ *
+ * ACCESS:
+ * - Doctor: entries for records they own (auditLog.doctorId)
+ * - Admin: every entry of their hospital (auditLog.hospitalId)
+ * - Staff and patients: no access
+ *
+ * READ-ONLY:
+ * There are deliberately no endpoints to edit or delete entries.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { requireRole } = require('../middleware/auth');
+const { normalizePhone } = require('../middleware/audit');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// ============================================================================
+// QUERY AUDIT LOG
+// ============================================================================
+
+/**
+ * GET /api/audit-log
+ * Search the audit log
+ *
+ * QUERY (all optional):
+ * - patientPhone: string - Patient phone (spaces/dashes ignored)
+ * - caseId: string - Case reference (e.g. CASE-..., AE-...)
+ * - limit: number - Max entries (default 100, 1 to 500)
+ *
+ * RESPONSE:
+ * - 200: Entries, newest first
+ * - 400: A parameter was repeated or is not a plain value
+ * - 401: Not logged in
+ * - 403: Not a doctor/admin
+ * - 500: Server error
+ *
+ * NOTES:
+ * Only entries whose record was found carry a patient/case; attempts on
+ * unknown IDs cannot be attributed to a doctor or hospital and are only
+ * visible in the database itself.
+ */
+router.get('/', requireRole('doctor', 'admin'), async (req, res) => {
+    try {
+        // ========== VALIDATE ==========
+        // A repeated parameter (?caseId=a&caseId=b) arrives as an array
+        const invalid = ['patientPhone', 'caseId', 'limit']
+            .filter(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid query parameter: ${invalid.join(', ')} must be a single value`,
+            });
+        }
+
+        const { patientPhone, caseId } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        // ========== SCOPE ==========
+        let query = req.user.role === 'admin'
+            ? db.collection('auditLog').where('hospitalId', '==', req.user.hospitalId)
+            : db.collection('auditLog').where('doctorId', '==', req.user.userId);
+
+        // ========== FILTERS ==========
+        if (patientPhone) {
+            query = query.where('patientPhone', '==', normalizePhone(patientPhone));
+        }
+        if (caseId) {
+            query = query.where('caseId', '==', caseId.trim());
+        }
+
+        const snapshot = await query
+            .orderBy('timestamp', 'desc')
+            .limit(limit)
+            .get();
+
+        const entries = snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+            timestamp: doc.data().timestamp?.toDate?.() || doc.data().timestamp,
+        }));
+
+        res.json({
+            success: true,
+            data: entries,
+        });
+
+    } catch (error) {
+        console.error('Get Audit Log Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch audit log',
+        });
+    }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -1,31 +1,67 @@
 /**
  * ============================================================================
- * Authentication Routes - Doctor & Staff Login/Registration
+ * Authentication Routes - Doctor & Staff Login/Registration, User Management
  * ============================================================================
  * 
  * PURPOSE:
- * Handles authentication for doctors and staff members.
+ * Handles authentication for doctors and staff members, and lets
+ * administrators manage accounts in their hospital.
  * This is NOT for patient authentication (patients use OTP verification).
  * 
  * USER ROLES:
  * 1. Doctor: Can create prescriptions, initiate follow-ups, view summaries
  * 2. Staff: Can view all prescriptions, help with data entry
+ * 3. Admin: Manages doctor/staff accounts of their hospital
+ *    (cannot self-register - created with `npm run create-admin`)
  * 
  * AUTHENTICATION METHOD:
- * - JWT (JSON Web Token) based authentication
- * - Tokens expire after 24 hours
+ * - Short-lived JWT access tokens (15 minutes, JWT_EXPIRES_IN)
+ * - Rotating refresh tokens stored (hashed) in the 'sessions' collection
+ *   (see services/sessionService.js)
+ * - Tokens verified for all routes by middleware/auth.js
  * - Passwords hashed with bcrypt (salt rounds: 10)
  * 
  * ENDPOINTS:
  * - POST /register - Create new doctor/staff account
- * - POST /login - Authenticate and get JWT token
- * - GET /me - Get current user info from token
- * - GET /doctors - List all active doctors (for staff)
+ * - POST /login - Authenticate and get access + refresh tokens
+ *   (or a two-factor challenge when 2FA is enabled/required)
+ * - POST /login/2fa/setup - Enroll in 2FA during login (hospital requires it)
+ * - POST /login/2fa - Complete login with an authenticator or backup code
+ * - POST /refresh - Exchange a refresh token for new tokens
+ * - POST /logout - Revoke the current session
+ * - POST /logout-all - Revoke every session of the user (requires login)
+ * - GET /me - Get current user info from token (requires login)
+ * - GET /doctors - List active doctors in the caller's hospital (requires login)
+ * - POST /change-password - Change own password (requires login)
+ * 
+ * PASSWORD RESET & EMAIL VERIFICATION (public, token links sent by email):
+ * - POST /forgot-password - Email a single-use password reset link
+ * - POST /reset-password - Set a new password using that link
+ * - POST /verify-email - Confirm the email address using the registration link
+ * - POST /resend-verification - Email a new verification link
+ * 
+ * TWO-FACTOR MANAGEMENT: see twoFactorRoutes.js (/api/auth/2fa)
+ * 
+ * ADMIN ENDPOINTS (admin role, own hospital only):
+ * - GET /users - List/search users
+ * - PATCH /users/:id/status - Activate or deactivate an account
+ * - PATCH /users/:id/role - Change role and specialization
+ * - PATCH /users/:id/hospital - Move a user to another hospital
+ * - POST /users/:id/reset-password - Force a password reset
+ * - POST /users/:id/reset-2fa - Remove 2FA from a user who lost their device
+ * - GET/PATCH /hospital-settings - Hospital-wide policy (require 2FA,
+ *   patient emergency guidance, signal detection thresholds)
  * 
  * SECURITY NOTES:
  * - Passwords never stored in plain text
  * - JWT secret should be in environment variables
  * - Deactivated accounts cannot login
+ * - New accounts cannot login until their email address is verified
+ *   and an admin of the requested hospital has approved them
+ * - Forgot-password/resend responses are identical whether or not the
+ *   email exists (prevents enumeration)
+ * - Logout, password changes/resets and deactivation revoke sessions
+ *   server-side; access tokens stop working immediately
  * 
  * @author NEST 2O Team
  */
@@ -57,16 +93,75 @@ const bcrypt = require('bcryptjs');
  */
 const jwt = require('jsonwebtoken');
 
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
+/**
+ * Shared JWT configuration (same secret the auth middleware verifies with)
+ */
+const {
+    JWT_SECRET,
+    JWT_EXPIRES_IN,
+    USER_ROLES,
+    SELF_REGISTER_ROLES,
+    MIN_PASSWORD_LENGTH,
+    DEFAULT_HOSPITAL_ID,
+    PASSWORD_RESET_TTL_MINUTES,
+    EMAIL_VERIFICATION_TTL_HOURS,
+} = require('../config/auth');
+
+/**
+ * Node.js crypto - random temporary passwords for admin resets
+ */
+const crypto = require('crypto');
+
+/**
+ * Session service - refresh tokens and server-side revocation
+ */
+const {
+    createSession,
+    rotateRefreshToken,
+    findSessionByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+} = require('../services/sessionService');
+
+/**
+ * Account token service - single-use reset/verification links
+ */
+const { createAccountToken, consumeAccountToken } = require('../services/accountTokenService');
 
 /**
- * JWT Secret Key
- * IMPORTANT: In production, this should be a strong random string in .env
- * Used to sign and verify JWT tokens
+ * Email service - delivers the reset/verification links
  */
-const JWT_SECRET = process.env.JWT_SECRET || 'nest2o-secret-key-2024';
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emailService');
+
+/**
+ * Two-factor service - TOTP verification and login challenges
+ */
+const {
+    generateSecret,
+    verifyTotp,
+    buildEnrollment,
+    generateBackupCodes,
+    consumeBackupCode,
+    createLoginChallenge,
+    getLoginChallenge,
+    recordFailedAttempt,
+    isTwoFactorRequired,
+} = require('../services/twoFactorService');
+
+/**
+ * Emergency guidance - shown to patients who report red-flag symptoms
+ */
+const { getEmergencyGuidance, validateEmergencyGuidance } = require('../services/emergencyGuidanceService');
+
+/**
+ * Signal detection - thresholds that raise potential drug-reaction signals
+ */
+const { getSignalThresholds, validateSignalThresholds, detectSignals } = require('../services/signalDetectionService');
+
+/**
+ * Authentication middleware - enforces login/role on protected routes
+ */
+const { requireAuth, requireRole, isSameHospital } = require('../middleware/auth');
 
 // ============================================================================
 // REGISTRATION ENDPOINT
@@ -80,21 +175,27 @@ const JWT_SECRET = process.env.JWT_SECRET || 'nest2o-secret-key-2024';
  * 1. Validate required fields
  * 2. Check if email already exists
  * 3. Hash password with bcrypt
- * 4. Create user document in Firestore
- * 5. Generate JWT token
- * 6. Return user data and token
+ * 4. Create user document in Firestore (emailVerified: false,
+ *    isActive: false, approvalStatus: 'pending')
+ * 5. Email a verification link
+ * 6. Return user data - NO tokens; login is possible once the
+ *    email address has been verified AND an admin of the requested
+ *    hospital has approved the account (PATCH /users/:id/status)
  * 
  * REQUEST BODY:
  * - email: string (required) - User's email address
  * - password: string (required) - Password (min 6 chars recommended)
  * - name: string (required) - Full name
- * - role: 'doctor' | 'staff' (required) - User role
+ * - role: 'doctor' | 'staff' (required) - User role ('admin' is rejected)
  * - specialization: string (optional) - Doctor's specialization
- * - hospitalId: string (optional) - Hospital identifier
+ * - hospitalId: string (optional) - Hospital to join (defaults to 'default-hospital')
+ *   All prescriptions, follow-ups and adverse events are scoped to this hospital,
+ *   so the account stays inactive until that hospital's admin approves it
  * - phone: string (optional) - Contact number
  * 
  * RESPONSE:
- * - 201: User created successfully with token
+ * - 201: User created, verification email sent (emailVerificationRequired: true,
+ *        approvalRequired: true)
  * - 400: Validation error or user exists
  * - 500: Server error
  */
@@ -111,7 +212,8 @@ router.post('/register', async (req, res) => {
         }
 
         // Validate role is either 'doctor' or 'staff'
-        if (!['doctor', 'staff'].includes(role)) {
+        // (admins cannot self-register)
+        if (!SELF_REGISTER_ROLES.includes(role)) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid role. Must be "doctor" or "staff"',
@@ -139,32 +241,32 @@ router.post('/register', async (req, res) => {
             name,
             role,
             specialization: role === 'doctor' ? specialization || null : null,  // Only for doctors
-            hospitalId: hospitalId || 'default-hospital',
+            hospitalId: hospitalId || DEFAULT_HOSPITAL_ID,  // Requested - approved by its admin
             phone: phone || null,
             createdAt: new Date(),
-            isActive: true,                 // Can be deactivated by admin
+            isActive: false,                // Activated when an admin approves the account
+            approvalStatus: 'pending',      // 'approved' once activated by an admin
+            emailVerified: false,           // Set by POST /verify-email
         };
 
         const userRef = await db.collection('users').add(userData);
 
-        // ========== GENERATE JWT TOKEN ==========
-        // Include minimal info in token (avoid sensitive data)
-        const token = jwt.sign(
-            { userId: userRef.id, email: userData.email, role: userData.role, name: userData.name },
-            JWT_SECRET,
-            { expiresIn: '24h' }  // Token valid for 24 hours
-        );
+        // ========== SEND VERIFICATION EMAIL ==========
+        await sendVerificationLink(userRef.id, userData);
 
         // Return success (exclude password from response)
         res.status(201).json({
             success: true,
+            message: 'Account created. Check your email to verify your address. You can log in once an administrator of your hospital has approved the account.',
             data: {
                 userId: userRef.id,
                 email: userData.email,
                 name: userData.name,
                 role: userData.role,
                 specialization: userData.specialization,
-                token,
+                hospitalId: userData.hospitalId,
+                emailVerificationRequired: true,
+                approvalRequired: true,
             },
         });
 
@@ -189,23 +291,30 @@ router.post('/register', async (req, res) => {
  * 1. Validate email and password provided
  * 2. Find user by email
  * 3. Verify password using bcrypt
- * 4. Check if account is active
- * 5. Generate new JWT token
- * 6. Update last login timestamp
- * 7. Return user data and token
+ * 4. Check if account is active and email verified
+ * 5. 2FA enabled, or required by the hospital → return a challenge
+ *    instead of tokens (finish with POST /login/2fa)
+ * 6. Start a session (access + refresh token)
+ * 7. Update last login timestamp
+ * 8. Return user data and tokens
  * 
  * REQUEST BODY:
  * - email: string (required)
  * - password: string (required)
  * 
  * RESPONSE:
- * - 200: Login successful with token
+ * - 200: Login successful with token, OR
+ *        { twoFactorRequired: true, setupRequired, challengeToken }
  * - 401: Invalid credentials
- * - 403: Account deactivated
+ * - 403: Account deactivated, email not verified (code: 'EMAIL_NOT_VERIFIED'),
+ *        or waiting for admin approval (code: 'APPROVAL_PENDING')
  * - 500: Server error
  * 
  * SECURITY:
  * - Same error message for wrong email or password (prevents enumeration)
+ * - Verification status is only revealed after a correct password
+ * - Accounts created before verification existed have no emailVerified
+ *   field and are not blocked
  * - Password compared using timing-safe bcrypt.compare()
  */
 router.post('/login', async (req, res) => {
@@ -245,6 +354,23 @@ router.post('/login', async (req, res) => {
         }
 
         // ========== CHECK ACCOUNT STATUS ==========
+        if (userData.emailVerified === false) {
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                error: 'Please verify your email address before logging in.',
+            });
+        }
+
+        // Self-registered, not yet approved by the hospital's admin
+        if (userData.approvalStatus === 'pending') {
+            return res.status(403).json({
+                success: false,
+                code: 'APPROVAL_PENDING',
+                error: 'Your account is waiting for approval by an administrator of your hospital.',
+            });
+        }
+
         if (!userData.isActive) {
             return res.status(403).json({
                 success: false,
@@ -252,30 +378,25 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // ========== GENERATE JWT TOKEN ==========
-        const token = jwt.sign(
-            { userId: userDoc.id, email: userData.email, role: userData.role, name: userData.name },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-
-        // Update last login timestamp (for audit purposes)
-        await db.collection('users').doc(userDoc.id).update({
-            lastLogin: new Date(),
-        });
+        // ========== TWO-FACTOR ==========
+        // No tokens yet - the session starts after POST /login/2fa
+        const setupRequired = !userData.twoFactorEnabled && await isTwoFactorRequired(userData.hospitalId);
+        if (userData.twoFactorEnabled || setupRequired) {
+            const challengeToken = await createLoginChallenge(userDoc.id, setupRequired);
+            return res.json({
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    setupRequired,      // Hospital requires 2FA, user must enroll now
+                    challengeToken,
+                },
+            });
+        }
 
-        // Return success with user data and token
+        // ========== START SESSION ==========
         res.json({
             success: true,
-            data: {
-                userId: userDoc.id,
-                email: userData.email,
-                name: userData.name,
-                role: userData.role,
-                specialization: userData.specialization,
-                hospitalId: userData.hospitalId,
-                token,
-            },
+            data: await completeLogin(req, userDoc.id, userData),
         });
 
     } catch (error) {
@@ -288,98 +409,367 @@ router.post('/login', async (req, res) => {
 });
 
 // ============================================================================
-// CURRENT USER ENDPOINT
+// TWO-FACTOR LOGIN STEP
 // ============================================================================
 
 /**
- * GET /api/auth/me
- * Get current user information from JWT token
+ * POST /api/auth/login/2fa/setup
+ * Enroll in 2FA during login (only when the hospital requires it and
+ * the user has not enrolled yet)
+ * 
+ * REQUEST BODY:
+ * - challengeToken: string (required) - From POST /login
+ * 
+ * RESPONSE:
+ * - 200: { secret, otpauthUri, qrCode } - scan, then POST /login/2fa
+ * - 400: Challenge is not an enrollment challenge
+ * - 401: Challenge invalid/expired
+ * - 500: Server error
+ */
+router.post('/login/2fa/setup', async (req, res) => {
+    try {
+        const challenge = await getLoginChallenge(req.body.challengeToken);
+        if (!challenge.success) {
+            return res.status(401).json({
+                success: false,
+                error: challenge.message,
+            });
+        }
+
+        if (!challenge.data.setupRequired) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already set up',
+            });
+        }
+
+        // New pending secret - only activated once a code from it is verified
+        const userRef = db.collection('users').doc(challenge.data.userId);
+        const secret = generateSecret();
+        await userRef.update({ twoFactorPendingSecret: secret });
+
+        res.json({
+            success: true,
+            data: await buildEnrollment(secret, (await userRef.get()).data().email),
+        });
+
+    } catch (error) {
+        console.error('2FA Login Setup Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start two-factor setup',
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step - verify the code and start the session
  * 
  * WORKFLOW:
- * 1. Extract token from Authorization header
- * 2. Verify and decode token
- * 3. Fetch fresh user data from database
- * 4. Return user information
+ * 1. Load the challenge (not expired, not used, attempts left)
+ * 2. Enrollment challenge: verify against the pending secret, enable 2FA
+ *    and generate backup codes (returned ONCE)
+ * 3. Otherwise: verify the authenticator code, or redeem a backup code
+ * 4. Wrong code → attempt counted (5 per password login)
+ * 5. Start the session exactly like POST /login
  * 
- * HEADERS:
- * - Authorization: Bearer <token>
+ * REQUEST BODY:
+ * - challengeToken: string (required) - From POST /login
+ * - code: string - 6-digit authenticator code
+ * - backupCode: string - Alternative to code (not during enrollment)
  * 
  * RESPONSE:
- * - 200: User data returned
- * - 401: No token or invalid token
- * - 404: User not found
- * 
- * USE CASES:
- * - Frontend checking if user is still logged in
- * - Getting fresh user data after page refresh
- * - Validating token before sensitive operations
+ * - 200: Same data as POST /login (+ backupCodes after enrollment,
+ *        + backupCodesRemaining after using a backup code)
+ * - 400: No code given / enrollment not started
+ * - 401: Invalid code (attemptsRemaining) or challenge expired
+ * - 403: Account deactivated
+ * - 500: Server error
  */
-router.get('/me', async (req, res) => {
+router.post('/login/2fa', async (req, res) => {
     try {
-        // ========== EXTRACT TOKEN ==========
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        const { challengeToken, code, backupCode } = req.body;
+
+        if (!code && !backupCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: code or backupCode',
+            });
+        }
+
+        // ========== LOAD CHALLENGE ==========
+        const challenge = await getLoginChallenge(challengeToken);
+        if (!challenge.success) {
             return res.status(401).json({
                 success: false,
-                error: 'No token provided',
+                error: challenge.message,
             });
         }
 
-        // Remove 'Bearer ' prefix
-        const token = authHeader.split(' ')[1];
-        
-        // ========== VERIFY TOKEN ==========
-        // jwt.verify throws if token is invalid or expired
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const userRef = db.collection('users').doc(challenge.data.userId);
+        const userDoc = await userRef.get();
+        const userData = userDoc.exists ? userDoc.data() : null;
 
-        // ========== FETCH FRESH USER DATA ==========
-        // Don't trust token data alone - fetch from database
-        const userDoc = await db.collection('users').doc(decoded.userId).get();
-        if (!userDoc.exists) {
-            return res.status(404).json({
+        if (!userData?.isActive) {
+            return res.status(403).json({
                 success: false,
-                error: 'User not found',
+                error: 'Account is deactivated. Contact administrator.',
             });
         }
 
-        const userData = userDoc.data();
+        // ========== VERIFY CODE ==========
+        let updates = null;
+        let extra = {};
+
+        if (challenge.data.setupRequired) {
+            // Enrollment: first code proves the app was set up correctly
+            if (!userData.twoFactorPendingSecret) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Scan the QR code first',
+                });
+            }
+            const step = verifyTotp(userData.twoFactorPendingSecret, code);
+            if (step !== null) {
+                const { codes, hashes } = generateBackupCodes();
+                updates = {
+                    twoFactorEnabled: true,
+                    twoFactorSecret: userData.twoFactorPendingSecret,
+                    twoFactorPendingSecret: null,
+                    twoFactorBackupCodes: hashes,
+                    twoFactorLastStep: step,
+                    twoFactorEnabledAt: new Date(),
+                };
+                extra = { backupCodes: codes };
+            }
+        } else if (code) {
+            const step = verifyTotp(userData.twoFactorSecret, code, userData.twoFactorLastStep ?? -1);
+            if (step !== null) {
+                updates = { twoFactorLastStep: step };
+            }
+        } else {
+            const remaining = consumeBackupCode(userData.twoFactorBackupCodes, backupCode);
+            if (remaining) {
+                updates = { twoFactorBackupCodes: remaining };
+                extra = { backupCodesRemaining: remaining.length };
+            }
+        }
+
+        if (!updates) {
+            const attemptsRemaining = await recordFailedAttempt(challenge.ref, challenge.data);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid verification code',
+                attemptsRemaining,
+            });
+        }
+
+        // ========== START SESSION ==========
+        await userRef.update(updates);
+        await challenge.ref.update({ usedAt: new Date() });
 
-        // Return user data (exclude password)
         res.json({
             success: true,
             data: {
-                userId: userDoc.id,
-                email: userData.email,
-                name: userData.name,
-                role: userData.role,
-                specialization: userData.specialization,
-                hospitalId: userData.hospitalId,
+                ...(await completeLogin(req, userDoc.id, { ...userData, ...updates })),
+                ...extra,
             },
         });
 
     } catch (error) {
-        // Handle JWT-specific errors
-        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        console.error('2FA Login Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify code',
+        });
+    }
+});
+
+// ============================================================================
+// REFRESH TOKEN ENDPOINT
+// ============================================================================
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (and a new refresh token)
+ * 
+ * WORKFLOW:
+ * 1. Rotate the refresh token (old one stops working)
+ * 2. Re-check the user still exists and is active
+ * 3. Sign a new short-lived access token for the same session
+ * 
+ * REQUEST BODY:
+ * - refreshToken: string (required)
+ * 
+ * RESPONSE:
+ * - 200: { token, refreshToken }
+ * - 400: refreshToken missing
+ * - 401: Token invalid, expired, revoked or reused
+ * - 403: Account deactivated
+ * - 500: Server error
+ * 
+ * NOTES:
+ * Public route - the access token has usually expired when this is called.
+ * The refresh token itself is the credential.
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: refreshToken',
+            });
+        }
+
+        // ========== ROTATE ==========
+        const rotation = await rotateRefreshToken(refreshToken);
+        if (!rotation.success) {
             return res.status(401).json({
                 success: false,
-                error: 'Invalid or expired token',
+                error: rotation.message,
+            });
+        }
+
+        // ========== RE-CHECK USER ==========
+        const userDoc = await db.collection('users').doc(rotation.userId).get();
+        if (!userDoc.exists || !userDoc.data().isActive) {
+            await revokeSession(rotation.sessionId, 'account_inactive');
+            return res.status(userDoc.exists ? 403 : 401).json({
+                success: false,
+                error: userDoc.exists ? 'Account is deactivated. Contact administrator.' : 'User not found',
             });
         }
-        console.error('Get User Error:', error);
+
+        res.json({
+            success: true,
+            data: {
+                token: signToken(userDoc.id, userDoc.data(), rotation.sessionId),
+                refreshToken: rotation.refreshToken,
+            },
+        });
+
+    } catch (error) {
+        console.error('Refresh Token Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh session',
+        });
+    }
+});
+
+// ============================================================================
+// LOGOUT ENDPOINTS
+// ============================================================================
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ * 
+ * The session is identified by the access token if it is still valid,
+ * otherwise by the refresh token in the body - so logout works even
+ * after the access token has expired.
+ * 
+ * REQUEST BODY:
+ * - refreshToken: string (optional)
+ * 
+ * RESPONSE:
+ * - 200: Always (logging out twice is not an error)
+ * - 500: Server error
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        const sessionId = req.user?.sessionId || await findSessionByRefreshToken(req.body.refreshToken);
+
+        if (sessionId) {
+            await revokeSession(sessionId, 'logout');
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully',
+        });
+
+    } catch (error) {
+        console.error('Logout Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to logout',
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the logged-in user ("log out all devices")
+ * 
+ * RESPONSE:
+ * - 200: { revokedSessions } - includes the current session
+ * - 401: Not logged in
+ * - 500: Server error
+ */
+router.post('/logout-all', requireAuth, async (req, res) => {
+    try {
+        const revokedSessions = await revokeAllSessions(req.user.userId, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Logged out from all devices',
+            data: { revokedSessions },
+        });
+
+    } catch (error) {
+        console.error('Logout All Error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get user info',
+            error: 'Failed to logout from all devices',
         });
     }
 });
 
+// ============================================================================
+// CURRENT USER ENDPOINT
+// ============================================================================
+
+/**
+ * GET /api/auth/me
+ * Get current user information from JWT token
+ * 
+ * WORKFLOW:
+ * 1. Auth middleware verifies the token and loads fresh user data
+ * 2. Return user information from req.user
+ * 
+ * HEADERS:
+ * - Authorization: Bearer <token>
+ * 
+ * RESPONSE:
+ * - 200: User data returned
+ * - 401: No token, invalid token, or user not found
+ * - 403: Account deactivated
+ * 
+ * USE CASES:
+ * - Frontend checking if user is still logged in
+ * - Getting fresh user data after page refresh
+ * - Validating token before sensitive operations
+ */
+router.get('/me', requireAuth, (req, res) => {
+    // req.user is loaded fresh from the database by the auth middleware
+    // (password is never attached to req.user)
+    res.json({
+        success: true,
+        data: req.user,
+    });
+});
+
 // ============================================================================
 // LIST DOCTORS ENDPOINT
 // ============================================================================
 
 /**
  * GET /api/auth/doctors
- * Get all active doctors
+ * Get all active doctors in the caller's hospital
  * 
  * PURPOSE:
  * - Staff can see list of doctors when assigning prescriptions
@@ -387,17 +777,21 @@ router.get('/me', async (req, res) => {
  * 
  * RESPONSE:
  * - 200: Array of doctors with basic info
+ * - 401: Not logged in
  * - 500: Server error
  * 
  * NOTES:
+ * - Requires doctor or staff login
+ * - Only returns doctors from the caller's hospital
  * - Only returns active doctors
  * - Excludes sensitive info (password, etc.)
  * - Used by staff dashboard
  */
-router.get('/doctors', async (req, res) => {
+router.get('/doctors', requireRole('doctor', 'staff'), async (req, res) => {
     try {
-        // Query only active doctors
+        // Query only active doctors from the caller's hospital
         const doctorsSnapshot = await db.collection('users')
+            .where('hospitalId', '==', req.user.hospitalId)
             .where('role', '==', 'doctor')
             .where('isActive', '==', true)
             .get();
@@ -428,6 +822,1021 @@ router.get('/doctors', async (req, res) => {
     }
 });
 
+// ============================================================================
+// CHANGE PASSWORD ENDPOINT
+// ============================================================================
+
+/**
+ * POST /api/auth/change-password
+ * Change the logged-in user's own password
+ * 
+ * WORKFLOW:
+ * 1. Verify current password (or the temporary one from an admin reset)
+ * 2. Hash and store the new password
+ * 3. Clear mustChangePassword and record passwordChangedAt
+ * 4. Revoke every OTHER session (the current device stays logged in)
+ * 
+ * REQUEST BODY:
+ * - currentPassword: string (required)
+ * - newPassword: string (required, min 6 chars)
+ * 
+ * RESPONSE:
+ * - 200: Password changed
+ * - 400: Validation error or current password wrong
+ *        (not 401 - the session itself is still valid)
+ * - 401: Not logged in
+ * - 500: Server error
+ */
+router.post('/change-password', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        // ========== VALIDATION ==========
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: currentPassword, newPassword',
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            });
+        }
+
+        // ========== VERIFY CURRENT PASSWORD ==========
+        const userRef = db.collection('users').doc(req.user.userId);
+        const userData = (await userRef.get()).data();
+
+        const isValidPassword = await bcrypt.compare(currentPassword, userData.password);
+        if (!isValidPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Current password is incorrect',
+            });
+        }
+
+        // ========== STORE NEW PASSWORD ==========
+        await userRef.update({
+            password: await bcrypt.hash(newPassword, 10),
+            mustChangePassword: false,
+            passwordChangedAt: new Date(),
+        });
+
+        // Sign out other devices that may know the old password
+        await revokeAllSessions(req.user.userId, 'password_change', req.user.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+        });
+
+    } catch (error) {
+        console.error('Change Password Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change password',
+        });
+    }
+});
+
+// ============================================================================
+// FORGOT PASSWORD ENDPOINT
+// ============================================================================
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link
+ * 
+ * WORKFLOW:
+ * 1. Look up the account by email
+ * 2. If it exists and is active, issue a single-use reset token
+ *    (older unused reset links stop working)
+ * 3. Email the link: FRONTEND_URL/reset-password/<token>
+ * 
+ * REQUEST BODY:
+ * - email: string (required)
+ * 
+ * RESPONSE:
+ * - 200: Always the same message, whether or not the account exists
+ * - 400: Email missing
+ * - 500: Server error
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: email',
+            });
+        }
+
+        const usersSnapshot = await db.collection('users').where('email', '==', email.toLowerCase()).get();
+        const userDoc = usersSnapshot.docs[0];
+
+        // Deactivated accounts are silently skipped - a reset would not let them in
+        if (userDoc && userDoc.data().isActive) {
+            const { token } = await createAccountToken(userDoc.id, 'password_reset');
+            const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${token}`;
+
+            const emailResult = await sendPasswordResetEmail({
+                to: userDoc.data().email,
+                name: userDoc.data().name,
+                resetLink,
+                expiry: `${PASSWORD_RESET_TTL_MINUTES} minutes`,
+            });
+            warnIfUndelivered(emailResult, 'Password reset');
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent.',
+        });
+
+    } catch (error) {
+        console.error('Forgot Password Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process password reset request',
+        });
+    }
+});
+
+// ============================================================================
+// RESET PASSWORD ENDPOINT
+// ============================================================================
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using an emailed reset link
+ * 
+ * WORKFLOW:
+ * 1. Validate the new password
+ * 2. Redeem the token (single use, not expired)
+ * 3. Store the new password; the email address is now proven too
+ * 4. Revoke every session (someone else may know the old password)
+ * 
+ * REQUEST BODY:
+ * - token: string (required) - From the reset link
+ * - newPassword: string (required)
+ * 
+ * RESPONSE:
+ * - 200: Password reset - user can log in
+ * - 400: Validation error, or link invalid/expired/used
+ * - 500: Server error
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        // ========== VALIDATION ==========
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: token, newPassword',
+            });
+        }
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+            });
+        }
+
+        // ========== REDEEM TOKEN ==========
+        const result = await consumeAccountToken(token, 'password_reset');
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.message,
+            });
+        }
+
+        const userRef = db.collection('users').doc(result.userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists || !userDoc.data().isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired link',
+            });
+        }
+
+        // ========== STORE NEW PASSWORD ==========
+        await userRef.update({
+            password: await bcrypt.hash(newPassword, 10),
+            mustChangePassword: false,
+            passwordChangedAt: new Date(),
+            // Receiving the link proves ownership of the address
+            emailVerified: true,
+            emailVerifiedAt: userDoc.data().emailVerifiedAt || new Date(),
+        });
+
+        await revokeAllSessions(result.userId, 'password_reset');
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. You can now log in.',
+        });
+
+    } catch (error) {
+        console.error('Reset Password (link) Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset password',
+        });
+    }
+});
+
+// ============================================================================
+// EMAIL VERIFICATION ENDPOINTS
+// ============================================================================
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address using the link sent at registration
+ * 
+ * REQUEST BODY:
+ * - token: string (required) - From the verification link
+ * 
+ * RESPONSE:
+ * - 200: Email verified - user can log in
+ * - 400: Link invalid/expired/used
+ * - 500: Server error
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const result = await consumeAccountToken(token, 'email_verification');
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.message,
+            });
+        }
+
+        await db.collection('users').doc(result.userId).update({
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+        });
+
+        res.json({
+            success: true,
+            message: 'Email verified. You can now log in.',
+        });
+
+    } catch (error) {
+        console.error('Verify Email Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify email',
+        });
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Email a new verification link (previous links stop working)
+ * 
+ * REQUEST BODY:
+ * - email: string (required)
+ * 
+ * RESPONSE:
+ * - 200: Always the same message, whether or not the account exists
+ *        or is already verified
+ * - 400: Email missing
+ * - 500: Server error
+ */
+router.post('/resend-verification', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: email',
+            });
+        }
+
+        const usersSnapshot = await db.collection('users').where('email', '==', email.toLowerCase()).get();
+        const userDoc = usersSnapshot.docs[0];
+
+        if (userDoc && userDoc.data().emailVerified === false) {
+            await sendVerificationLink(userDoc.id, userDoc.data());
+        }
+
+        res.json({
+            success: true,
+            message: 'If this email needs verification, a new link has been sent.',
+        });
+
+    } catch (error) {
+        console.error('Resend Verification Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resend verification email',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: LIST / SEARCH USERS
+// ============================================================================
+
+/**
+ * GET /api/auth/users
+ * List doctor/staff/admin accounts in the admin's hospital
+ * 
+ * QUERY (all optional):
+ * - search: string - Case-insensitive match on name or email
+ * - role: 'doctor' | 'staff' | 'admin'
+ * - status: 'active' | 'inactive'
+ * 
+ * RESPONSE:
+ * - 200: Array of users (passwords never included), sorted by name
+ * - 401: Not logged in
+ * - 403: Not an admin
+ * - 500: Server error
+ * 
+ * NOTES:
+ * - Search is done in memory: Firestore has no substring queries,
+ *   and a single hospital has few enough accounts for this to be cheap
+ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { search, role, status } = req.query;
+
+        let query = db.collection('users').where('hospitalId', '==', req.user.hospitalId);
+        if (role) {
+            query = query.where('role', '==', role);
+        }
+        if (status === 'active' || status === 'inactive') {
+            query = query.where('isActive', '==', status === 'active');
+        }
+
+        const snapshot = await query.get();
+
+        const term = (search || '').trim().toLowerCase();
+        const users = snapshot.docs
+            .map(toPublicUser)
+            .filter(user => !term ||
+                user.name?.toLowerCase().includes(term) ||
+                user.email?.toLowerCase().includes(term))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        res.json({
+            success: true,
+            data: users,
+        });
+
+    } catch (error) {
+        console.error('List Users Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch users',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: ACTIVATE / DEACTIVATE
+// ============================================================================
+
+/**
+ * PATCH /api/auth/users/:id/status
+ * Activate or deactivate an account
+ * Activating a self-registered account approves it (approvalStatus: 'approved')
+ * 
+ * BODY:
+ * - isActive: boolean (required)
+ * 
+ * RESPONSE:
+ * - 200: Updated user
+ * - 400: isActive missing, or admin trying to deactivate themselves
+ * - 401/403: Not logged in / not an admin
+ * - 404: User not found in this hospital
+ * - 500: Server error
+ * 
+ * NOTES:
+ * Deactivation takes effect immediately - all of the user's sessions
+ * are revoked, and the auth middleware re-reads isActive on every request.
+ */
+router.patch('/users/:id/status', requireRole('admin'), async (req, res) => {
+    try {
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'isActive must be true or false',
+            });
+        }
+
+        // Prevent an admin from locking themselves out
+        if (req.params.id === req.user.userId && !isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot deactivate your own account',
+            });
+        }
+
+        const userDoc = await getManagedUser(req, res);
+        if (!userDoc) return;
+
+        const approving = isActive && userDoc.data().approvalStatus === 'pending';
+        const updates = {
+            isActive,
+            updatedAt: new Date(),
+            updatedBy: req.user.userId,
+        };
+        if (approving) {
+            updates.approvalStatus = 'approved';
+            updates.approvedAt = new Date();
+            updates.approvedBy = req.user.userId;
+        }
+        await userDoc.ref.update(updates);
+
+        if (!isActive) {
+            await revokeAllSessions(userDoc.id, 'deactivated');
+        }
+
+        res.json({
+            success: true,
+            message: approving ? 'Account approved' : isActive ? 'Account reactivated' : 'Account deactivated',
+            data: toPublicUser({ id: userDoc.id, data: () => ({ ...userDoc.data(), ...updates }) }),
+        });
+
+    } catch (error) {
+        console.error('Update User Status Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update account status',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: CHANGE ROLE / SPECIALIZATION
+// ============================================================================
+
+/**
+ * PATCH /api/auth/users/:id/role
+ * Change a user's role and/or specialization
+ * 
+ * BODY (at least one):
+ * - role: 'doctor' | 'staff' | 'admin'
+ * - specialization: string (doctors only - cleared for other roles)
+ * 
+ * RESPONSE:
+ * - 200: Updated user
+ * - 400: Invalid role, nothing to update, or admin demoting themselves
+ * - 401/403: Not logged in / not an admin
+ * - 404: User not found in this hospital
+ * - 500: Server error
+ */
+router.patch('/users/:id/role', requireRole('admin'), async (req, res) => {
+    try {
+        const { role, specialization } = req.body;
+
+        if (role === undefined && specialization === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide role and/or specialization',
+            });
+        }
+
+        if (role !== undefined && !USER_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`,
+            });
+        }
+
+        // Keep at least the acting admin in place
+        if (req.params.id === req.user.userId && role !== undefined && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot remove your own admin role',
+            });
+        }
+
+        const userDoc = await getManagedUser(req, res);
+        if (!userDoc) return;
+
+        // Specialization only applies to doctors (same rule as registration)
+        const newRole = role || userDoc.data().role;
+        const updates = {
+            role: newRole,
+            specialization: newRole === 'doctor'
+                ? (specialization !== undefined ? specialization || null : userDoc.data().specialization || null)
+                : null,
+            updatedAt: new Date(),
+            updatedBy: req.user.userId,
+        };
+        await userDoc.ref.update(updates);
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            data: toPublicUser({ id: userDoc.id, data: () => ({ ...userDoc.data(), ...updates }) }),
+        });
+
+    } catch (error) {
+        console.error('Update User Role Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update user',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: MOVE TO ANOTHER HOSPITAL
+// ============================================================================
+
+/**
+ * PATCH /api/auth/users/:id/hospital
+ * Move a user of the admin's hospital to another hospital
+ * 
+ * BODY:
+ * - hospitalId: string (required) - Target hospital identifier
+ * 
+ * RESPONSE:
+ * - 200: Updated user
+ * - 400: hospitalId missing or unchanged, or admin moving themselves
+ * - 401/403: Not logged in / not an admin
+ * - 404: User not found in this hospital
+ * - 500: Server error
+ * 
+ * NOTES:
+ * hospitalId decides which records a user can see, so only admins can
+ * change it (registration only records the requested hospital). The
+ * moved account is inactive and pending until an admin of the target
+ * hospital approves it; all of its sessions are revoked.
+ */
+router.patch('/users/:id/hospital', requireRole('admin'), async (req, res) => {
+    try {
+        const hospitalId = typeof req.body.hospitalId === 'string' ? req.body.hospitalId.trim() : '';
+
+        if (!hospitalId) {
+            return res.status(400).json({
+                success: false,
+                error: 'hospitalId is required',
+            });
+        }
+
+        if (req.params.id === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot move your own account',
+            });
+        }
+
+        const userDoc = await getManagedUser(req, res);
+        if (!userDoc) return;
+
+        if (hospitalId === (userDoc.data().hospitalId || DEFAULT_HOSPITAL_ID)) {
+            return res.status(400).json({
+                success: false,
+                error: 'User already belongs to this hospital',
+            });
+        }
+
+        const updates = {
+            hospitalId,
+            isActive: false,
+            approvalStatus: 'pending',
+            movedFromHospitalId: userDoc.data().hospitalId || DEFAULT_HOSPITAL_ID,
+            updatedAt: new Date(),
+            updatedBy: req.user.userId,
+        };
+        await userDoc.ref.update(updates);
+        await revokeAllSessions(userDoc.id, 'hospital_changed');
+
+        res.json({
+            success: true,
+            message: 'User moved. An administrator of the new hospital must approve the account.',
+            data: toPublicUser({ id: userDoc.id, data: () => ({ ...userDoc.data(), ...updates }) }),
+        });
+
+    } catch (error) {
+        console.error('Move User Hospital Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to move user',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: FORCE PASSWORD RESET
+// ============================================================================
+
+/**
+ * POST /api/auth/users/:id/reset-password
+ * Replace a user's password with a random temporary one
+ * 
+ * WORKFLOW:
+ * 1. Generate a random temporary password
+ * 2. Store its hash, set mustChangePassword and passwordChangedAt
+ * 3. Revoke all of the user's existing sessions
+ * 4. Return the temporary password ONCE so the admin can hand it over
+ * 
+ * RESPONSE:
+ * - 200: { temporaryPassword }
+ * - 401/403: Not logged in / not an admin
+ * - 404: User not found in this hospital
+ * - 500: Server error
+ * 
+ * SECURITY:
+ * The temporary password is never stored or logged in plain text.
+ * The user is asked to choose a new password at next login.
+ */
+router.post('/users/:id/reset-password', requireRole('admin'), async (req, res) => {
+    try {
+        const userDoc = await getManagedUser(req, res);
+        if (!userDoc) return;
+
+        // 12 URL-safe characters (~72 bits of entropy)
+        const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+
+        await userDoc.ref.update({
+            password: await bcrypt.hash(temporaryPassword, 10),
+            mustChangePassword: true,
+            passwordChangedAt: new Date(),
+            updatedAt: new Date(),
+            updatedBy: req.user.userId,
+        });
+
+        await revokeAllSessions(userDoc.id, 'admin_password_reset');
+
+        res.json({
+            success: true,
+            message: 'Password reset. Share the temporary password with the user securely.',
+            data: {
+                userId: userDoc.id,
+                temporaryPassword,
+            },
+        });
+
+    } catch (error) {
+        console.error('Reset Password Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset password',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: RESET TWO-FACTOR
+// ============================================================================
+
+/**
+ * POST /api/auth/users/:id/reset-2fa
+ * Remove two-factor authentication from a user who lost their
+ * authenticator device and backup codes
+ * 
+ * RESPONSE:
+ * - 200: 2FA removed (user enrolls again at next login if the
+ *        hospital requires it)
+ * - 401/403: Not logged in / not an admin
+ * - 404: User not found in this hospital
+ * - 500: Server error
+ * 
+ * NOTES:
+ * Admins cannot reset their own 2FA here - use POST /2fa/disable.
+ */
+router.post('/users/:id/reset-2fa', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.params.id === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot reset your own two-factor authentication here',
+            });
+        }
+
+        const userDoc = await getManagedUser(req, res);
+        if (!userDoc) return;
+
+        await userDoc.ref.update({
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorPendingSecret: null,
+            twoFactorBackupCodes: [],
+            twoFactorLastStep: null,
+            updatedAt: new Date(),
+            updatedBy: req.user.userId,
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication removed',
+        });
+
+    } catch (error) {
+        console.error('Reset 2FA Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset two-factor authentication',
+        });
+    }
+});
+
+// ============================================================================
+// ADMIN: HOSPITAL SETTINGS
+// ============================================================================
+
+/**
+ * GET /api/auth/hospital-settings
+ * Settings of the admin's hospital
+ * 
+ * RESPONSE:
+ * - 200: { hospitalId, requireTwoFactor, emergencyGuidance, signalThresholds }
+ *   emergencyGuidance: { instructions, contacts, isDefault } - isDefault
+ *   when the hospital has not set its own yet
+ *   signalThresholds: { minCases, minPrr, minChiSquare, minRorLower, isDefault }
+ * - 401/403: Not logged in / not an admin
+ * - 500: Server error
+ */
+router.get('/hospital-settings', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                hospitalId: req.user.hospitalId,
+                requireTwoFactor: await isTwoFactorRequired(req.user.hospitalId),
+                emergencyGuidance: await getEmergencyGuidance(req.user.hospitalId),
+                signalThresholds: await getSignalThresholds(req.user.hospitalId),
+            },
+        });
+    } catch (error) {
+        console.error('Get Hospital Settings Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch hospital settings',
+        });
+    }
+});
+
+/**
+ * PATCH /api/auth/hospital-settings
+ * Update the settings of the admin's hospital
+ * 
+ * REQUEST BODY (at least one):
+ * - requireTwoFactor: boolean
+ *   true → every doctor/staff/admin of this hospital must complete 2FA
+ *   at login; users without 2FA enroll during their next login.
+ *   Existing sessions are not interrupted.
+ * - emergencyGuidance: { instructions: string[], contacts: [{ label, phone }] }
+ *   Shown to patients the moment they report a red-flag symptom
+ *   (services/emergencyGuidanceService.js)
+ * - signalThresholds: { minCases, minPrr, minChiSquare, minRorLower }
+ *   When a drug-reaction pair is raised as a potential signal
+ *   (services/signalDetectionService.js). Detection re-runs right away.
+ * 
+ * RESPONSE:
+ * - 200: Updated settings
+ * - 400: Validation error (fieldErrors for emergencyGuidance / signalThresholds)
+ * - 401/403: Not logged in / not an admin
+ * - 500: Server error
+ */
+router.patch('/hospital-settings', requireRole('admin'), async (req, res) => {
+    try {
+        const { requireTwoFactor, emergencyGuidance, signalThresholds } = req.body;
+        const updates = {};
+
+        if (requireTwoFactor === undefined && emergencyGuidance === undefined && signalThresholds === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing to update',
+            });
+        }
+
+        if (requireTwoFactor !== undefined) {
+            if (typeof requireTwoFactor !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'requireTwoFactor must be true or false',
+                });
+            }
+            updates.requireTwoFactor = requireTwoFactor;
+        }
+
+        if (emergencyGuidance !== undefined) {
+            const check = validateEmergencyGuidance(emergencyGuidance);
+            if (!check.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Emergency guidance is not valid',
+                    fieldErrors: check.errors,
+                });
+            }
+            updates.emergencyGuidance = check.guidance;
+        }
+
+        if (signalThresholds !== undefined) {
+            const check = validateSignalThresholds(signalThresholds);
+            if (!check.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Signal thresholds are not valid',
+                    fieldErrors: check.errors,
+                });
+            }
+            updates.signalThresholds = check.thresholds;
+        }
+
+        await db.collection('hospitals').doc(req.user.hospitalId).set({
+            ...updates,
+            updatedAt: new Date(),
+            updatedBy: req.user.userId,
+        }, { merge: true });
+
+        // New thresholds apply to the signal list straight away
+        if (updates.signalThresholds) {
+            try {
+                await detectSignals(req.user.hospitalId);
+            } catch (detectError) {
+                console.error('Signal Detection Error:', detectError);
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                hospitalId: req.user.hospitalId,
+                requireTwoFactor: await isTwoFactorRequired(req.user.hospitalId),
+                emergencyGuidance: await getEmergencyGuidance(req.user.hospitalId),
+                signalThresholds: await getSignalThresholds(req.user.hospitalId),
+            },
+        });
+
+    } catch (error) {
+        console.error('Update Hospital Settings Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update hospital settings',
+        });
+    }
+});
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Sign an access token (JWT) for a user's session
+ * Include minimal info in token (avoid sensitive data) -
+ * the auth middleware re-reads everything else from the database
+ * 
+ * @param {string} userId - User document ID
+ * @param {object} userData - User document data
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} Signed JWT (valid for JWT_EXPIRES_IN)
+ */
+function signToken(userId, userData, sessionId) {
+    return jwt.sign(
+        { userId, sessionId, email: userData.email, role: userData.role, name: userData.name },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+/**
+ * Start a new session at login/registration
+ * 
+ * @param {object} req - Express request (device info)
+ * @param {string} userId - User document ID
+ * @param {object} userData - User document data
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function startSession(req, userId, userData) {
+    const { sessionId, refreshToken } = await createSession(userId, req);
+    return {
+        token: signToken(userId, userData, sessionId),
+        refreshToken,
+    };
+}
+
+/**
+ * Start the session after all login checks passed
+ * Shared by POST /login and POST /login/2fa
+ * 
+ * @param {object} req - Express request (device info)
+ * @param {string} userId - User document ID
+ * @param {object} userData - User document data
+ * @returns {Promise<object>} Login response data (user + tokens)
+ */
+async function completeLogin(req, userId, userData) {
+    const { token, refreshToken } = await startSession(req, userId, userData);
+
+    // Update last login timestamp (for audit purposes)
+    await db.collection('users').doc(userId).update({
+        lastLogin: new Date(),
+    });
+
+    return {
+        userId,
+        email: userData.email,
+        name: userData.name,
+        role: userData.role,
+        specialization: userData.specialization,
+        hospitalId: userData.hospitalId,
+        mustChangePassword: userData.mustChangePassword === true,  // Set after an admin reset
+        twoFactorEnabled: userData.twoFactorEnabled === true,
+        token,
+        refreshToken,
+    };
+}
+
+/**
+ * Issue an email verification token and email the link
+ * 
+ * @param {string} userId - User document ID
+ * @param {object} userData - User document data (email, name)
+ */
+async function sendVerificationLink(userId, userData) {
+    const { token } = await createAccountToken(userId, 'email_verification');
+    const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${token}`;
+
+    const emailResult = await sendVerificationEmail({
+        to: userData.email,
+        name: userData.name,
+        verificationLink,
+        expiry: `${EMAIL_VERIFICATION_TTL_HOURS} hours`,
+    });
+    warnIfUndelivered(emailResult, 'Email verification');
+}
+
+/**
+ * Warn when a password reset / verification email could not be sent
+ * 
+ * The link is a credential, so it is NEVER returned in the API response
+ * and never written to the server log - only the failure is logged.
+ * 
+ * @param {object} emailResult - Result of the email service call
+ * @param {string} label - What the email was for (log prefix)
+ */
+function warnIfUndelivered(emailResult, label) {
+    if (emailResult.success) return;
+    console.warn(`⚠️ ${label} email not sent: ${emailResult.error}`);
+}
+
+/**
+ * Convert a user document to API output (password and hashes removed)
+ * 
+ * @param {object} doc - Firestore document snapshot
+ * @returns {object} Safe user object
+ */
+function toPublicUser(doc) {
+    const data = doc.data();
+    return {
+        userId: doc.id,
+        email: data.email,
+        name: data.name,
+        role: data.role,
+        specialization: data.specialization || null,
+        hospitalId: data.hospitalId || DEFAULT_HOSPITAL_ID,
+        phone: data.phone || null,
+        isActive: data.isActive === true,
+        approvalPending: data.approvalStatus === 'pending',
+        mustChangePassword: data.mustChangePassword === true,
+        emailVerified: data.emailVerified !== false,  // Missing = created before verification existed
+        twoFactorEnabled: data.twoFactorEnabled === true,
+        createdAt: data.createdAt?.toDate?.() || data.createdAt || null,
+        lastLogin: data.lastLogin?.toDate?.() || data.lastLogin || null,
+    };
+}
+
+/**
+ * Load the user targeted by an admin route (req.params.id)
+ * 
+ * Users from other hospitals are reported as "not found" so an admin
+ * cannot probe which IDs exist elsewhere.
+ * 
+ * @returns {object|null} Firestore document snapshot, or null if a
+ *                        404 response has already been sent
+ */
+async function getManagedUser(req, res) {
+    const userDoc = await db.collection('users').doc(req.params.id).get();
+
+    if (!userDoc.exists || !isSameHospital(req.user, userDoc.data())) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found',
+        });
+        return null;
+    }
+
+    return userDoc;
+}
+
 // ============================================================================
 // EXPORT ROUTER
 // ============================================================================
@@ -16,25 +16,31 @@
  * STEP 4: POST /:id/verify-otp - Patient verifies identity with OTP
  * STEP 5: GET /:id/drafts - AI generates draft statements and questions
  * STEP 6-7: POST /:id/submit - Patient verifies, edits, and submits with consent
- * STEP 8: (Internal) - AI generates doctor summary
+ * STEP 8: (Internal) - Structured doctor summary, plus optional AI narrative;
+ *         a reported problem also opens an adverse event case
  * STEP 9: GET /:id/summary - Doctor views patient-verified summary
  * 
  * SECURITY MODEL:
  * 1. OTP Verification Gate: Patient must verify OTP before seeing ANY content
  * 2. Consent Gate: Doctor sees NOTHING until patient explicitly submits
  * 3. Authorization: Doctors can only access their own follow-ups
+ *    (identity taken from the verified JWT - req.user - never from params)
+ * 4. Hospital scoping: follow-ups inherit the prescription's hospitalId;
+ *    staff can only act on follow-ups from their own hospital
  * 
  * STATUS FLOW:
- * pending_verification → verified → submitted → ready_for_review → closed
+ * pending_verification → verified → ready_for_review → closed
+ * (older follow-ups may also be 'submitted', before ready_for_review)
  * 
  * ENDPOINTS:
- * - POST / - Create follow-up (STEP 3)
- * - POST /:id/verify-otp - Verify OTP (STEP 4)
- * - GET /:id/drafts - Get AI drafts (STEP 5)
- * - POST /:id/submit - Submit responses (STEP 6-7)
- * - GET /:id/summary - Doctor view summary (STEP 9)
- * - POST /:id/close - Close case
- * - GET /doctor/:doctorId - List doctor's follow-ups
+ * - POST / - Create follow-up (STEP 3) [doctor/staff]
+ * - POST /:id/verify-otp - Verify OTP (STEP 4) [patient]
+ * - GET /:id/drafts - Get AI drafts (STEP 5) [patient]
+ * - POST /:id/submit - Submit responses (STEP 6-7) [patient]
+ * - GET /:id/summary - Doctor view summary (STEP 9) [owning doctor]
+ * - POST /:id/close - Close case [owning doctor]
+ * - GET /doctor/:doctorId - List doctor's follow-ups [own doctor/staff]
+ * - GET /escalated - Unanswered follow-ups escalated to staff [staff]
  * 
  * @author NEST 2O Team
  */
@@ -58,13 +64,24 @@ const { db } = require('../config/firebase');
  * OTP Service - handles OTP generation and verification
  * CRITICAL: This is the security gateway for patient identity
  */
-const { createOTP, verifyOTP, isOTPVerified } = require('../services/otpService');
+const { createOTP, verifyOTP, isOTPVerified, reserveOTPResend, getLiveSessionEnd } = require('../services/otpService');
 
 /**
  * AI Service - generates drafts and summaries
  * ONLY called AFTER OTP verification
  */
-const { generateDraftStatements, generateDoctorSummary, generatePersonalizedQuestions } = require('../services/aiService');
+const {
+    generateDraftStatements,
+    generateDoctorSummary,
+    normalizePersonalizedQuestions,
+} = require('../services/aiService');
+
+/**
+ * Questionnaire and structured summary - no AI involved
+ */
+const { getQuestionnaire } = require('../config/followUpQuestionnaire');
+const { buildStructuredSummary } = require('../services/followUpSummaryService');
+const { validateFollowUpResponses } = require('../services/responseValidationService');
 
 /**
  * WhatsApp/SMS Service - delivers OTP to patient
@@ -72,9 +89,64 @@ const { generateDraftStatements, generateDoctorSummary, generatePersonalizedQues
 const { sendOTPWhatsApp, sendOTPSMS, sendOTPBoth } = require('../services/whatsappService');
 
 /**
- * UUID generation for unique follow-up IDs
+ * Follow-up service - creates the follow-up, OTP and sends it
+ * (shared with the follow-up scheduler)
+ */
+const { initiateFollowUp } = require('../services/followUpService');
+
+/**
+ * Follow-up schedules - closing a case cancels the remaining ones
+ */
+const { changeScheduleStatus } = require('../services/followUpScheduleService');
+
+/**
+ * Adverse event service - opens a safety case when the patient
+ * reports a problem
+ */
+const { openCaseFromFollowUp } = require('../services/adverseEventService');
+
+/**
+ * Alert service - urgent answers alert the doctor and on-call staff
+ */
+const { raiseUrgentAlert } = require('../services/alertService');
+
+/**
+ * Signal detection - a new case can raise a drug-reaction signal
  */
-const { v4: uuidv4 } = require('uuid');
+const { detectSignals } = require('../services/signalDetectionService');
+
+/**
+ * Duplicate check - a case opened from a follow-up may already have been
+ * reported (e.g. by staff from a phone call)
+ */
+const { flagSuspectedDuplicates } = require('../services/duplicateCaseService');
+
+/**
+ * Emergency guidance - shown to the patient on a red-flag answer
+ */
+const { getEmergencyGuidance, buildGuidanceRecord } = require('../services/emergencyGuidanceService');
+
+/**
+ * Medicine list of a prescription (new list or legacy single fields)
+ */
+const { getPrescriptionMedicines } = require('../services/medicineService');
+
+/**
+ * Authentication middleware - role enforcement
+ * req.user is attached globally in server.js
+ */
+const { requireRole, isSameHospital, authorizeDoctorParam } = require('../middleware/auth');
+
+/**
+ * Audit middleware - logs every access to patient data (auditLog collection)
+ */
+const { auditAccess, setAuditContext } = require('../middleware/audit');
+
+/**
+ * Patient session - short-lived token issued after OTP verification,
+ * required by the patient-facing drafts and submit routes
+ */
+const { issuePatientToken, requirePatientSession } = require('../middleware/patientSession');
 
 // ============================================================================
 // STEP 3: CREATE FOLLOW-UP (Doctor Initiates)
@@ -86,38 +158,37 @@ const { v4: uuidv4 } = require('uuid');
  * 
  * WORKFLOW:
  * 1. Validate request and prescription ownership
- * 2. Create follow-up record in Firestore
- * 3. Generate personalized questions using AI
- * 4. Generate OTP for patient verification
- * 5. Send OTP via WhatsApp and SMS
- * 6. Update prescription status
- * 7. Return follow-up details
+ * 2. initiateFollowUp() (services/followUpService.js):
+ *    create follow-up record, AI questions, OTP, update prescription
+ *    status, send OTP via WhatsApp and SMS
+ * 3. Return follow-up details
  * 
  * REQUEST BODY:
  * - prescriptionId: string (required) - ID of prescription to follow up on
- * - doctorId: string (required) - Doctor's user ID
  * 
  * RESPONSE:
  * - 201: Follow-up created, OTP sent
  * - 400: Missing fields or invalid phone
- * - 403: Unauthorized (prescription belongs to different doctor)
+ * - 401: Not logged in
+ * - 403: Unauthorized (prescription belongs to different doctor or hospital)
  * - 404: Prescription not found
  * - 500: Server error
  * 
  * SECURITY:
  * - Doctor can only create follow-up for their own prescriptions
+ * - Staff send on behalf of the prescribing doctor, same hospital only
  * - Patient phone required for WhatsApp delivery
  * - OTP only returned if WhatsApp AND SMS both fail (for manual sharing)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('doctor', 'staff'), async (req, res) => {
     try {
-        const { prescriptionId, doctorId } = req.body;
+        const { prescriptionId } = req.body;
 
         // ========== VALIDATION ==========
-        if (!prescriptionId || !doctorId) {
+        if (!prescriptionId) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: prescriptionId, doctorId',
+                error: 'Missing required field: prescriptionId',
             });
         }
 
@@ -134,13 +205,21 @@ router.post('/', async (req, res) => {
         const prescription = prescriptionDoc.data();
 
         // SECURITY: Doctor can only follow up on their own prescriptions
-        if (prescription.doctorId !== doctorId) {
+        if (req.user.role === 'doctor' && prescription.doctorId !== req.user.userId) {
             return res.status(403).json({
                 success: false,
                 error: 'Unauthorized: Prescription does not belong to this doctor',
             });
         }
 
+        // SECURITY: Staff can only follow up on their own hospital's prescriptions
+        if (!isSameHospital(req.user, prescription)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Prescription does not belong to your hospital',
+            });
+        }
+
         // Phone number is required for WhatsApp delivery
         if (!prescription.patientPhone) {
             return res.status(400).json({
@@ -149,67 +228,17 @@ router.post('/', async (req, res) => {
             });
         }
 
-        // ========== CREATE FOLLOW-UP DOCUMENT ==========
-        const followUpId = uuidv4();
-        const followUpData = {
-            prescriptionId,
-            doctorId,
-            patientPhone: prescription.patientPhone,
-            patientName: prescription.patientName || null,
-            caseId: prescription.caseId,
-            status: 'pending_verification',  // Initial status - waiting for OTP
-            createdAt: new Date(),
-            otpVerified: false,              // Security flag
-            patientConsent: false,           // Consent flag - CRITICAL
-        };
-
-        await db.collection('followUps').doc(followUpId).set(followUpData);
-
-        // ========== GENERATE PERSONALIZED QUESTIONS ==========
-        // AI generates condition-specific questions based on prescription
-        const questionsResult = await generatePersonalizedQuestions(prescription);
-        if (questionsResult.success && questionsResult.questions) {
-            await db.collection('followUps').doc(followUpId).update({
-                personalizedQuestions: questionsResult.questions,
-            });
-        }
-
-        // ========== GENERATE OTP ==========
-        const { otp, expiresAt } = await createOTP(followUpId);
-
-        // ========== UPDATE PRESCRIPTION STATUS ==========
-        await db.collection('prescriptions').doc(prescriptionId).update({
-            status: 'follow_up_sent',
-        });
-
-        // ========== BUILD VERIFICATION LINKS ==========
-        const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${followUpId}`;
-        const prescriptionLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/prescription/${prescriptionId}`;
-
-        // ========== SEND OTP VIA WHATSAPP AND SMS ==========
-        let whatsappSent = false;
-        let smsSent = false;
-        
-        // Only send if Twilio is configured
-        if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-            const results = await sendOTPBoth({
-                to: prescription.patientPhone,
-                otp,
-                verificationLink,
-                caseId: prescription.caseId,
-                followUpId,
-            });
-            whatsappSent = results.whatsapp.success;
-            smsSent = results.sms.success;
-            
-            // Log failures for debugging
-            if (!whatsappSent) {
-                console.error('WhatsApp send failed:', results.whatsapp.error);
-            }
-            if (!smsSent) {
-                console.error('SMS send failed:', results.sms.error);
-            }
-        }
+        // ========== CREATE FOLLOW-UP, OTP AND SEND ==========
+        // Shared with the follow-up scheduler (services/followUpService.js)
+        const {
+            followUpId,
+            otp,
+            otpExpiresAt,
+            verificationLink,
+            prescriptionLink,
+            whatsappSent,
+            smsSent,
+        } = await initiateFollowUp(prescriptionId, prescription, { source: 'manual' });
 
         // ========== RETURN RESPONSE ==========
         // Only include OTP if BOTH delivery methods failed (for manual sharing)
@@ -219,7 +248,7 @@ router.post('/', async (req, res) => {
                 followUpId,
                 patientPhone: prescription.patientPhone,
                 otp: (whatsappSent || smsSent) ? undefined : otp,  // Security: hide if sent
-                otpExpiresAt: expiresAt,
+                otpExpiresAt,
                 verificationLink,
                 prescriptionLink,
                 caseId: prescription.caseId,
@@ -254,7 +283,7 @@ router.post('/', async (req, res) => {
  * 1. Receive OTP from patient
  * 2. Validate OTP (correct code, not expired, not used)
  * 3. Mark follow-up as verified
- * 4. Return success
+ * 4. Return a patient token for the drafts/submit calls
  * 
  * PARAMS:
  * - id: string - Follow-up document ID
@@ -263,7 +292,7 @@ router.post('/', async (req, res) => {
  * - otp: string - 4-digit OTP code
  * 
  * RESPONSE:
- * - 200: OTP verified successfully
+ * - 200: { patientToken, expiresAt }
  * - 400: Invalid/expired OTP
  * - 500: Server error
  * 
@@ -271,12 +300,17 @@ router.post('/', async (req, res) => {
  * - OTP expires after 10 minutes
  * - OTP can only be used once
  * - Failed attempts are logged
+ * - patientToken is scoped to this follow-up and expires after
+ *   PATIENT_SESSION_TTL_MINUTES
  */
-router.post('/:id/verify-otp', async (req, res) => {
+router.post('/:id/verify-otp', auditAccess('followUp.otp.verify', 'followUp'), async (req, res) => {
     try {
         const { id } = req.params;
         const { otp } = req.body;
 
+        // Name the patient/case in the audit entry
+        setAuditContext(res, (await db.collection('followUps').doc(id).get()).data());
+
         if (!otp) {
             return res.status(400).json({
                 success: false,
@@ -298,6 +332,7 @@ router.post('/:id/verify-otp', async (req, res) => {
         res.json({
             success: true,
             message: result.message,
+            data: issuePatientToken('followUp', id),
         });
 
     } catch (error) {
@@ -309,6 +344,133 @@ router.post('/:id/verify-otp', async (req, res) => {
     }
 });
 
+// ============================================================================
+// STEP 4b: RESEND OTP (Expired or lost code)
+// ============================================================================
+
+/**
+ * POST /api/follow-ups/:id/resend-otp
+ * Patient requests a new code from the verification page
+ * 
+ * WORKFLOW:
+ * 1. Load follow-up (must exist and not be submitted yet)
+ * 2. Refuse while a verified patient session is live (the new code
+ *    would end it), then enforce resend cooldown and daily cap
+ * 3. Replace the OTP challenge (old code stops working)
+ * 4. Send the new code via WhatsApp and SMS
+ * 
+ * PARAMS:
+ * - id: string - Follow-up document ID
+ * 
+ * RESPONSE:
+ * - 200: { expiresAt, resendAvailableInSeconds, whatsappSent, smsSent }
+ * - 400: Already submitted
+ * - 404: Follow-up not found
+ * - 409: A verified patient session is still live - { retryAfterSeconds }
+ * - 429: Cooldown or daily cap - { retryAfterSeconds }
+ * - 502: Code could not be delivered
+ * - 503: Messaging not configured
+ * 
+ * SECURITY:
+ * - Public (the patient has no account); the code only ever goes to the
+ *   phone stored on the follow-up and is never returned in the response
+ */
+router.post('/:id/resend-otp', auditAccess('followUp.otp.resend', 'followUp'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const followUpDoc = await db.collection('followUps').doc(id).get();
+
+        if (!followUpDoc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Follow-up not found',
+            });
+        }
+
+        const followUpData = followUpDoc.data();
+        setAuditContext(res, followUpData);
+
+        // A verified patient whose session expired may ask again;
+        // once answers are submitted there is nothing left to unlock
+        if (followUpData.patientConsent || ['submitted', 'closed'].includes(followUpData.status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'This follow-up has already been submitted.',
+            });
+        }
+
+        // A verified patient is still answering - a new code would end
+        // their session and their submit would be refused
+        const sessionEndsAt = getLiveSessionEnd(followUpData);
+        if (sessionEndsAt) {
+            return res.status(409).json({
+                success: false,
+                error: 'This link was verified a few minutes ago and the questions are still open. Please continue there, or request a new code once that session has ended.',
+                retryAfterSeconds: Math.ceil((sessionEndsAt.getTime() - Date.now()) / 1000),
+            });
+        }
+
+        // Without Twilio the code cannot reach the patient - the doctor
+        // has to share it manually from a new follow-up
+        if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+            return res.status(503).json({
+                success: false,
+                error: 'Codes cannot be sent right now. Please contact your doctor.',
+            });
+        }
+
+        // ========== RATE LIMIT ==========
+        const limit = await reserveOTPResend(id, 'followUp', followUpData.patientPhone);
+
+        if (!limit.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: limit.message,
+                retryAfterSeconds: limit.retryAfterSeconds,
+            });
+        }
+
+        // ========== NEW OTP ==========
+        const { otp, expiresAt } = await createOTP(id);
+
+        const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${id}`;
+        const results = await sendOTPBoth({
+            to: followUpData.patientPhone,
+            otp,
+            verificationLink,
+            caseId: followUpData.caseId,
+            followUpId: id,
+        });
+
+        if (!results.whatsapp.success && !results.sms.success) {
+            console.error('Resend OTP delivery failed:', results.whatsapp.error, results.sms.error);
+            return res.status(502).json({
+                success: false,
+                error: 'We could not send a new code. Please try again later or contact your doctor.',
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'A new code has been sent to your phone.',
+            data: {
+                expiresAt,
+                resendAvailableInSeconds: limit.retryAfterSeconds,
+                whatsappSent: results.whatsapp.success,
+                smsSent: results.sms.success,
+            },
+        });
+
+    } catch (error) {
+        console.error('Resend OTP Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send a new code',
+        });
+    }
+});
+
 // ============================================================================
 // STEP 5: GET AI DRAFTS (After OTP Verification)
 // ============================================================================
@@ -319,8 +481,11 @@ router.post('/:id/verify-otp', async (req, res) => {
  * 
  * ⚠️ CRITICAL: Only accessible AFTER OTP verification
  * 
+ * HEADERS:
+ * - X-Patient-Token: token from verify-otp
+ * 
  * WORKFLOW:
- * 1. Verify OTP has been validated
+ * 1. Verify patient token and that OTP has been validated
  * 2. Check if drafts already exist (cached)
  * 3. If not, generate new drafts using AI
  * 4. Return drafts + personalized questions + prescription info
@@ -329,17 +494,23 @@ router.post('/:id/verify-otp', async (req, res) => {
  * - id: string - Follow-up document ID
  * 
  * RESPONSE:
- * - 200: Drafts, questions, and prescription info
- * - 403: OTP not verified
+ * - 200: Drafts, questionnaire, questions, and prescription info
+ * - 403: OTP not verified / patient session expired
  * - 404: Follow-up not found
  * - 500: Server error
  * 
  * NOTES:
  * - Drafts are CACHED - generated only once
  * - Patient can edit all drafts before submission
- * - Personalized questions generated during STEP 3
+ * - Personalized questions generated during STEP 3, returned as
+ *   [{ id, question, category, type, options, required }] - the patient
+ *   form asks them after its base questions
+ * - questionnaire: the versioned questionnaire the form renders
+ *   (config/followUpQuestionnaire.js)
+ * - emergencyGuidance: { instructions, contacts } of the follow-up's
+ *   hospital - the form shows it as soon as an urgent option is chosen
  */
-router.get('/:id/drafts', async (req, res) => {
+router.get('/:id/drafts', requirePatientSession('followUp'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -363,6 +534,7 @@ router.get('/:id/drafts', async (req, res) => {
 
         const followUpData = followUpDoc.data();
         const prescriptionInfo = await getPrescriptionInfo(followUpData.prescriptionId);
+        const emergencyGuidance = await getEmergencyGuidance(followUpData.hospitalId);
 
         // If drafts already exist, return them (caching)
         if (followUpData.aiDrafts) {
@@ -372,7 +544,9 @@ router.get('/:id/drafts', async (req, res) => {
                     drafts: followUpData.aiDrafts,
                     prescriptionInfo,
                     prescriptionId: followUpData.prescriptionId,
-                    personalizedQuestions: followUpData.personalizedQuestions || [],
+                    personalizedQuestions: normalizePersonalizedQuestions(followUpData.personalizedQuestions),
+                    questionnaire: getQuestionnaire(),
+                    emergencyGuidance,
                 },
             });
         }
@@ -393,7 +567,9 @@ router.get('/:id/drafts', async (req, res) => {
                 drafts: result.drafts,
                 prescriptionInfo,
                 prescriptionId: followUpData.prescriptionId,
-                personalizedQuestions: followUpData.personalizedQuestions || [],
+                personalizedQuestions: normalizePersonalizedQuestions(followUpData.personalizedQuestions),
+                questionnaire: getQuestionnaire(),
+                emergencyGuidance,
             },
         });
 
@@ -417,13 +593,16 @@ router.get('/:id/drafts', async (req, res) => {
  * ⚠️ CRITICAL: This is the EXPLICIT CONSENT action.
  * Only after this click does data become visible to doctor.
  * 
+ * HEADERS:
+ * - X-Patient-Token: token from verify-otp
+ * 
  * WORKFLOW:
- * 1. Verify OTP has been validated
+ * 1. Verify patient token and that OTP has been validated
  * 2. Require explicit consent (consent === true)
  * 3. Validate response format
- * 4. Store verified responses
- * 5. Mark consent timestamp
- * 6. Generate doctor summary (STEP 8)
+ * 4. Store verified responses and the structured summary (STEP 8)
+ * 5. Mark consent timestamp - follow-up is now ready for review
+ * 6. Add the optional AI narrative (STEP 8)
  * 7. Return success
  * 
  * PARAMS:
@@ -431,26 +610,60 @@ router.get('/:id/drafts', async (req, res) => {
  * 
  * BODY:
  * - responses: object - Patient's verified/edited responses
+ *   - schemaVersion: questionnaire version the answers follow (currently 1)
+ *   - answers: { questionId: { selected, notes } } - selected is an option
+ *     value (array of values for multi-select questions); every question
+ *     on the patient's path must be answered, and no other
+ *   - personalizedAnswers (optional): answers to the AI questions
+ *     [{ questionId, selected, notes }]; every required question must
+ *     be answered
+ *   Notes are optional, up to 1000 characters. Validation rules:
+ *   services/responseValidationService.js
  * - consent: boolean - MUST be true (explicit consent)
+ * - emergencyGuidance (optional): { shownAt, triggers } - sent when the
+ *   form showed the emergency guidance; stored on the follow-up
  * 
  * RESPONSE:
  * - 200: Submission successful
- * - 400: Missing consent or invalid responses
- * - 403: OTP not verified
+ * - 400: Missing consent, or invalid responses with
+ *        fieldErrors: [{ field, message }] (e.g. field 'answers.severity')
+ * - 403: OTP not verified / patient session expired
+ * - 409: Already submitted (status is past 'pending_verification')
  * - 500: Server error
  * 
  * SECURITY:
  * - OTP must be verified before submission
+ * - Patient token must be valid (knowing the follow-up ID is not enough)
+ * - Answers are accepted ONCE: the status change is made in a
+ *   transaction, and otpVerified is cleared with it, so a replayed
+ *   request (same token or a second tab) gets 409
  * - Explicit consent required (boolean true)
  * - Consent timestamp recorded for audit
  * - Data only visible to doctor after this point
+ * 
+ * ADVERSE EVENTS:
+ * When overallStatus is 'had_problem', the answers also open (or complete)
+ * an adverse event case, linked both ways (followUps.adverseEventId,
+ * adverseEvents.followUpId). A failure here is logged and does not fail
+ * the submission.
+ * Urgent answers (e.g. breathing difficulty) also raise an urgent alert
+ * to the doctor and the on-call roster (services/alertService.js).
  */
-router.post('/:id/submit', async (req, res) => {
+router.post('/:id/submit', requirePatientSession('followUp'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { responses, consent } = req.body;
+        const { responses, consent, emergencyGuidance } = req.body;
 
-        // ========== SECURITY: VERIFY OTP FIRST ==========
+        // ========== ALREADY SUBMITTED ==========
+        const followUpDoc = await db.collection('followUps').doc(id).get();
+        if (followUpDoc.exists && followUpDoc.data().status !== 'pending_verification') {
+            return res.status(409).json({
+                success: false,
+                error: 'This follow-up has already been submitted',
+            });
+        }
+
+        // ========== SECURITY: VERIFY OTP ==========
         const verified = await isOTPVerified(id);
         if (!verified) {
             return res.status(403).json({
@@ -469,28 +682,121 @@ router.post('/:id/submit', async (req, res) => {
         }
 
         // ========== VALIDATE RESPONSES ==========
-        if (!responses || typeof responses !== 'object') {
+        // Against the questionnaire and this follow-up's personalized questions
+        const check = validateFollowUpResponses(
+            responses,
+            normalizePersonalizedQuestions(followUpDoc.data()?.personalizedQuestions)
+        );
+        if (!check.valid) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid responses format',
+                error: 'Some answers are not valid',
+                fieldErrors: check.errors,
             });
         }
+        const { verifiedResponses, personalizedAnswers } = check;
+
+        // Emergency guidance shown during the form (red-flag answer)
+        const guidance = buildGuidanceRecord(emergencyGuidance);
+        if (!guidance.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Some answers are not valid',
+                fieldErrors: guidance.errors,
+            });
+        }
+
+        // ========== STEP 8: STRUCTURED SUMMARY ==========
+        // Built from the answers alone (no AI), so it is always there
+        const structuredSummary = buildStructuredSummary({ verifiedResponses, personalizedAnswers });
 
         // ========== STORE VERIFIED RESPONSES ==========
-        await db.collection('followUps').doc(id).update({
-            verifiedResponses: responses,       // Patient's edited/confirmed responses
-            patientConsent: true,               // CRITICAL: Consent flag
-            consentTimestamp: new Date(),       // Audit trail
-            status: 'submitted',                // Status update
+        // Re-checked in the transaction: two concurrent submits cannot both win
+        const now = new Date();
+        const followUpRef = db.collection('followUps').doc(id);
+        const stored = await db.runTransaction(async (transaction) => {
+            const current = await transaction.get(followUpRef);
+            if (current.data()?.status !== 'pending_verification') {
+                return false;
+            }
+
+            transaction.update(followUpRef, {
+                verifiedResponses,                  // Patient's edited/confirmed responses
+                personalizedAnswers,                // One entry per answered AI question
+                structuredSummary,                  // What the doctor reviews
+                summaryGeneratedAt: now,
+                patientConsent: true,               // CRITICAL: Consent flag
+                consentTimestamp: now,              // Audit trail
+                status: 'ready_for_review',         // Status change triggers doctor notification
+                otpVerified: false,                 // Verification is used up by the submission
+                ...(guidance.record && { emergencyGuidance: guidance.record }), // Patient saw emergency advice
+            });
+            return true;
         });
 
-        // ========== STEP 8: GENERATE DOCTOR SUMMARY ==========
-        // AI formats the verified responses for doctor review
+        if (!stored) {
+            return res.status(409).json({
+                success: false,
+                error: 'This follow-up has already been submitted',
+            });
+        }
+
+        // ========== ADVERSE EVENT CASE ==========
+        // Patient reported a problem - hand it to the safety workflow
+        let adverseEventCase = null;
+        try {
+            adverseEventCase = await openCaseFromFollowUp(id, followUpDoc.data(), verifiedResponses, structuredSummary);
+        } catch (caseError) {
+            console.error('Open Adverse Event From Follow-Up Error:', caseError);
+        }
+
+        // ========== SUSPECTED DUPLICATES ==========
+        // Only for a newly opened case (a completed one was checked when reported)
+        if (adverseEventCase?.created) {
+            try {
+                const caseDoc = await db.collection('adverseEvents').doc(adverseEventCase.adverseEventId).get();
+                await flagSuspectedDuplicates(adverseEventCase.adverseEventId, caseDoc.data());
+            } catch (duplicateError) {
+                console.error('Duplicate Check Error:', duplicateError);
+            }
+        }
+
+        // ========== SIGNAL DETECTION ==========
+        // Re-run the hospital's drug-reaction analysis with the new case
+        if (adverseEventCase) {
+            try {
+                await detectSignals(adverseEventCase.hospitalId);
+            } catch (signalError) {
+                console.error('Signal Detection Error:', signalError);
+            }
+        }
+
+        // ========== URGENT CASE ALERT ==========
+        // Doctor + on-call roster, escalated if nobody acknowledges (alertService.js)
+        if (structuredSummary.flags.needsUrgentAttention) {
+            const followUpData = followUpDoc.data();
+            try {
+                await raiseUrgentAlert({
+                    source: 'follow_up',
+                    recordId: id,
+                    adverseEventId: adverseEventCase?.adverseEventId || null,
+                    hospitalId: followUpData.hospitalId,
+                    doctorId: followUpData.doctorId,
+                    caseId: followUpData.caseId,
+                    patientName: followUpData.patientName,
+                    patientPhone: followUpData.patientPhone,
+                    reasons: structuredSummary.highlights,
+                });
+            } catch (alertError) {
+                console.error('Raise Urgent Alert Error:', alertError);
+            }
+        }
+
+        // ========== STEP 8: OPTIONAL AI NARRATIVE ==========
+        // Even if it fails, the doctor has the structured summary
         const summaryResult = await generateDoctorSummary(id);
 
-        if (!summaryResult.success) {
-            // Even if summary fails, data is still submitted
-            // Doctor can still see raw responses
+        if (!summaryResult.success && !summaryResult.skipped) {
             console.error('Summary generation failed:', summaryResult.error);
         }
 
@@ -519,20 +825,22 @@ router.post('/:id/submit', async (req, res) => {
  * ⚠️ CRITICAL: Only accessible AFTER patient consent
  * 
  * WORKFLOW:
- * 1. Validate doctor ID
+ * 1. Authenticate doctor (JWT)
  * 2. Verify doctor ownership of follow-up
  * 3. Verify patient has consented
- * 4. Return summary and prescription info
+ * 4. Return the structured summary, the optional AI narrative (summary),
+ *    answers to the personalized questions and prescription info
+ * 5. adverseEvent: { id, caseId, status, isUrgent } of the safety case opened from
+ *    this follow-up, or null
+ * 6. emergencyGuidance: { shownAt, triggers, recordedAt } when the patient
+ *    was shown emergency guidance while answering, or null
  * 
  * PARAMS:
  * - id: string - Follow-up document ID
  * 
- * QUERY:
- * - doctorId: string - Doctor's user ID (required)
- * 
  * RESPONSE:
  * - 200: Summary data
- * - 400: Missing doctor ID
+ * - 401: Not logged in
  * - 403: Unauthorized or no consent
  * - 404: Follow-up not found
  * - 500: Server error
@@ -542,18 +850,9 @@ router.post('/:id/submit', async (req, res) => {
  * - Patient must have given explicit consent
  * - No data visible until patient submits
  */
-router.get('/:id/summary', async (req, res) => {
+router.get('/:id/summary', auditAccess('followUp.summary.view', 'followUp'), requireRole('doctor'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { doctorId } = req.query;
-
-        // Validate doctor ID provided
-        if (!doctorId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Doctor ID required',
-            });
-        }
 
         // ========== FETCH FOLLOW-UP ==========
         const followUpDoc = await db.collection('followUps').doc(id).get();
@@ -566,9 +865,10 @@ router.get('/:id/summary', async (req, res) => {
         }
 
         const followUpData = followUpDoc.data();
+        setAuditContext(res, followUpData);
 
         // ========== SECURITY: VERIFY DOCTOR OWNERSHIP ==========
-        if (followUpData.doctorId !== doctorId) {
+        if (followUpData.doctorId !== req.user.userId || !isSameHospital(req.user, followUpData)) {
             return res.status(403).json({
                 success: false,
                 error: 'Unauthorized: This follow-up does not belong to you',
@@ -587,18 +887,43 @@ router.get('/:id/summary', async (req, res) => {
         const prescriptionDoc = await db.collection('prescriptions').doc(followUpData.prescriptionId).get();
         const prescription = prescriptionDoc.data();
 
+        // ========== LINKED ADVERSE EVENT ==========
+        let adverseEvent = null;
+        if (followUpData.adverseEventId) {
+            const aeDoc = await db.collection('adverseEvents').doc(followUpData.adverseEventId).get();
+            if (aeDoc.exists) {
+                adverseEvent = {
+                    id: aeDoc.id,
+                    caseId: aeDoc.data().caseId,
+                    status: aeDoc.data().status,
+                    isUrgent: aeDoc.data().isUrgent,
+                };
+            }
+        }
+
         // Return summary data
         res.json({
             success: true,
             data: {
                 caseId: followUpData.caseId,
-                summary: followUpData.doctorSummary,
+                // Structured summary is always there (built on the fly for
+                // follow-ups submitted before it existed); narrative is optional
+                structuredSummary: followUpData.structuredSummary || buildStructuredSummary(followUpData),
+                summary: followUpData.doctorSummary || null,
                 prescription: {
                     medicineName: prescription.medicineName,
                     dosage: prescription.dosage,
                     duration: prescription.duration,
                     condition: prescription.condition,
+                    medicines: getPrescriptionMedicines(prescription),
                 },
+                personalizedAnswers: followUpData.personalizedAnswers || [],
+                adverseEvent,
+                emergencyGuidance: followUpData.emergencyGuidance ? {
+                    triggers: followUpData.emergencyGuidance.triggers,
+                    shownAt: followUpData.emergencyGuidance.shownAt?.toDate?.() || followUpData.emergencyGuidance.shownAt,
+                    recordedAt: followUpData.emergencyGuidance.recordedAt?.toDate?.() || followUpData.emergencyGuidance.recordedAt,
+                } : null,
                 submittedAt: followUpData.consentTimestamp,
                 status: followUpData.status,
             },
@@ -626,32 +951,26 @@ router.get('/:id/summary', async (req, res) => {
  * 2. Update follow-up status to 'closed'
  * 3. Update prescription status to 'completed'
  * 4. Record resolution notes
+ * 5. Cancel the prescription's remaining automatic follow-ups
+ *    (scheduled/paused entries → cancelled, reason 'case_closed')
  * 
  * PARAMS:
  * - id: string - Follow-up document ID
  * 
  * BODY:
- * - doctorId: string (required) - Doctor's user ID
  * - resolution: string (optional) - Doctor's resolution notes
  * 
  * RESPONSE:
- * - 200: Case closed successfully
- * - 400: Missing doctor ID
+ * - 200: Case closed successfully ({ scheduleCancelled })
+ * - 401: Not logged in
  * - 403: Unauthorized
  * - 404: Follow-up not found
  * - 500: Server error
  */
-router.post('/:id/close', async (req, res) => {
+router.post('/:id/close', auditAccess('followUp.case.close', 'followUp'), requireRole('doctor'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { doctorId, resolution } = req.body;
-
-        if (!doctorId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Doctor ID required',
-            });
-        }
+        const { resolution } = req.body;
 
         const followUpDoc = await db.collection('followUps').doc(id).get();
 
@@ -663,9 +982,10 @@ router.post('/:id/close', async (req, res) => {
         }
 
         const followUpData = followUpDoc.data();
+        setAuditContext(res, followUpData);
 
         // SECURITY: Verify doctor ownership
-        if (followUpData.doctorId !== doctorId) {
+        if (followUpData.doctorId !== req.user.userId || !isSameHospital(req.user, followUpData)) {
             return res.status(403).json({
                 success: false,
                 error: 'Unauthorized',
@@ -684,9 +1004,21 @@ router.post('/:id/close', async (req, res) => {
             status: 'completed',
         });
 
+        // ========== CANCEL REMAINING SCHEDULED FOLLOW-UPS ==========
+        // A completed prescription gets no more automatic follow-ups;
+        // nothing to do when there is no active/paused schedule
+        let scheduleCancelled = false;
+        try {
+            const result = await changeScheduleStatus(followUpData.prescriptionId, 'cancel', req.user.userId, 'case_closed');
+            scheduleCancelled = result.success;
+        } catch (scheduleError) {
+            console.error('Cancel Follow-Up Schedule Error:', scheduleError);
+        }
+
         res.json({
             success: true,
             message: 'Case closed successfully',
+            data: { scheduleCancelled },
         });
 
     } catch (error) {
@@ -708,6 +1040,7 @@ router.post('/:id/close', async (req, res) => {
  * 
  * PURPOSE:
  * Doctor dashboard lists their follow-ups with status.
+ * Staff can list follow-ups of any doctor in their hospital.
  * Summary only visible for consented follow-ups.
  * 
  * PARAMS:
@@ -715,13 +1048,23 @@ router.post('/:id/close', async (req, res) => {
  * 
  * RESPONSE:
  * - 200: Array of follow-ups with basic info
+ * - 401: Not logged in
+ * - 403: Doctor requesting another doctor's follow-ups,
+ *        or staff requesting a doctor from another hospital
  * - 500: Server error
  * 
  * PRIVACY:
  * - hasSummary flag indicates if patient has consented
  * - Actual summary not included in list view
+ * 
+ * REMINDERS:
+ * - reminderCount, lastContactedAt and escalatedAt come from the
+ *   automatic reminder job (services/reminderService.js)
+ * 
+ * ADVERSE EVENTS:
+ * - adverseEventId: safety case opened from the follow-up (or null)
  */
-router.get('/doctor/:doctorId', async (req, res) => {
+router.get('/doctor/:doctorId', requireRole('doctor', 'staff'), authorizeDoctorParam, async (req, res) => {
     try {
         const { doctorId } = req.params;
 
@@ -743,6 +1086,10 @@ router.get('/doctor/:doctorId', async (req, res) => {
                 createdAt: data.createdAt?.toDate?.() || data.createdAt,
                 // Only show summary available flag if consent given
                 hasSummary: data.patientConsent === true,
+                reminderCount: data.reminderCount || 0,
+                lastContactedAt: data.lastContactedAt?.toDate?.() || data.lastContactedAt || null,
+                escalatedAt: data.escalatedAt?.toDate?.() || data.escalatedAt || null,
+                adverseEventId: data.adverseEventId || null,
             });
         }
 
@@ -760,6 +1107,67 @@ router.get('/doctor/:doctorId', async (req, res) => {
     }
 });
 
+// ============================================================================
+// ESCALATED FOLLOW-UPS (Staff Call List)
+// ============================================================================
+
+/**
+ * GET /api/follow-ups/escalated
+ * Unanswered follow-ups escalated to the staff member's hospital
+ * 
+ * PURPOSE:
+ * After the last automatic reminder goes unanswered, the reminder job
+ * escalates the follow-up. Staff use this list to call the patients.
+ * Follow-ups leave the list as soon as the patient submits.
+ * 
+ * RESPONSE:
+ * - 200: Array of escalated follow-ups (oldest escalation first)
+ * - 401: Not logged in
+ * - 403: Not staff
+ * - 500: Server error
+ * 
+ * PRIVACY:
+ * - Patient name and phone only (needed to call) - no medical content
+ */
+router.get('/escalated', requireRole('staff'), async (req, res) => {
+    try {
+        const snapshot = await db.collection('followUps')
+            .where('hospitalId', '==', req.user.hospitalId)
+            .where('status', '==', 'pending_verification')
+            .where('escalatedAt', '!=', null)
+            .get();
+
+        const followUps = snapshot.docs
+            .map(doc => {
+                const data = doc.data();
+                return {
+                    id: doc.id,
+                    caseId: data.caseId,
+                    doctorId: data.doctorId,
+                    patientName: data.patientName,
+                    patientPhone: data.patientPhone,
+                    createdAt: data.createdAt?.toDate?.() || data.createdAt,
+                    reminderCount: data.reminderCount || 0,
+                    lastContactedAt: data.lastContactedAt?.toDate?.() || data.lastContactedAt || null,
+                    escalatedAt: data.escalatedAt?.toDate?.() || data.escalatedAt,
+                };
+            })
+            .sort((a, b) => new Date(a.escalatedAt) - new Date(b.escalatedAt));
+
+        res.json({
+            success: true,
+            data: followUps,
+        });
+
+    } catch (error) {
+        console.error('Get Escalated Follow-Ups Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch escalated follow-ups',
+        });
+    }
+});
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -783,6 +1191,7 @@ async function getPrescriptionInfo(prescriptionId) {
         dosage: data.dosage,
         duration: data.duration,
         condition: data.condition,
+        medicines: getPrescriptionMedicines(data),
     };
 }
 
@@ -18,12 +18,19 @@
  * - Exception: OCR scan uses AI to parse prescription images
  * 
  * ENDPOINTS:
- * - POST /scan - OCR scan prescription image
- * - POST / - Create new prescription
- * - GET /all - Get all prescriptions (staff)
- * - GET /doctor/:doctorId - Get doctor's prescriptions
- * - GET /:id - Get single prescription
- * - PATCH /:id - Update patient details
+ * - POST /scan - OCR scan prescription image (doctor/staff)
+ * - POST / - Create new prescription (doctor/staff)
+ * - GET /all - Get all prescriptions in the staff member's hospital (staff)
+ * - GET /doctor/:doctorId - Get doctor's prescriptions (own doctor/staff)
+ * - GET /:id/patient-view - Patient's view of a prescription (public - patient link)
+ * - GET /:id - Get full prescription (own doctor/staff)
+ * - PATCH /:id - Update patient details (own doctor/staff)
+ * 
+ * AUTHORIZATION:
+ * - Doctor identity always comes from the verified JWT (req.user)
+ * - A doctorId in the URL or body is never trusted for doctors
+ * - Every prescription is stamped with the creator's hospitalId;
+ *   staff only see and edit prescriptions from their own hospital
  * 
  * DATA STORAGE:
  * - Collection: 'prescriptions' in Firestore
@@ -58,6 +65,31 @@ const { v4: uuidv4 } = require('uuid');
  */
 const { processPrescriptionImage } = require('../services/ocrService');
 
+/**
+ * Medicine list validation and legacy-format conversion
+ */
+const {
+    normalizeMedicines,
+    getPrescriptionMedicines,
+    summarizeMedicines,
+} = require('../services/medicineService');
+
+/**
+ * Authentication middleware - role enforcement
+ * req.user is attached globally in server.js
+ */
+const { requireRole, isSameHospital, authorizeDoctorParam } = require('../middleware/auth');
+
+/**
+ * Audit middleware - logs every access to patient data (auditLog collection)
+ */
+const { auditAccess, setAuditContext } = require('../middleware/audit');
+
+/**
+ * Follow-up schedule - automatic follow-ups based on the prescription duration
+ */
+const { createScheduleForPrescription } = require('../services/followUpScheduleService');
+
 // ============================================================================
 // OCR SCAN ENDPOINT
 // ============================================================================
@@ -84,7 +116,7 @@ const { processPrescriptionImage } = require('../services/ocrService');
  * Doctor uploads photo of handwritten prescription
  * System extracts patient info, medicines, dosages automatically
  */
-router.post('/scan', async (req, res) => {
+router.post('/scan', requireRole('doctor', 'staff'), async (req, res) => {
     try {
         const { image } = req.body;
 
@@ -135,17 +167,23 @@ router.post('/scan', async (req, res) => {
  * 
  * WORKFLOW:
  * 1. Validate required fields
- * 2. Validate phone number format
- * 3. Generate unique case ID
- * 4. Store in Firestore
- * 5. Return created prescription
+ * 2. Validate the medicine list (medicineService)
+ * 3. Validate phone number format
+ * 4. Generate unique case ID
+ * 5. Store in Firestore
+ * 6. Schedule automatic follow-ups from the duration (doctor's defaults)
+ * 7. Return created prescription
  * 
  * REQUIRED FIELDS:
- * - medicineName: string - Name of prescribed medicine
- * - dosage: string - Dosage instructions (e.g., "500mg twice daily")
+ * - medicines: Array - One entry per medicine:
+ *   { name*, strength, frequencyCode ("1-0-1"), frequencyText,
+ *     duration (defaults to the prescription duration), instructions }
+ *   Older clients may send medicineName + dosage instead (one medicine)
  * - duration: string - Treatment duration (e.g., "7 days")
  * - patientPhone: string - Patient's phone (for WhatsApp)
- * - doctorId: string - ID of prescribing doctor
+ * - doctorId: string - ID of prescribing doctor (STAFF ONLY -
+ *   doctors always create prescriptions under their own ID;
+ *   staff may only pick a doctor from their own hospital)
  * 
  * OPTIONAL FIELDS:
  * - patientName: string - Patient's name
@@ -156,38 +194,57 @@ router.post('/scan', async (req, res) => {
  * RESPONSE:
  * - 201: Prescription created successfully
  * - 400: Validation error
+ * - 401: Not logged in
+ * - 403: Doctor is not part of the staff member's hospital
  * - 500: Server error
  * 
  * CASE ID FORMAT:
  * CASE-XXXXXXXX (8 random alphanumeric characters)
  * Used for patient reference and tracking
+ * 
+ * STORED MEDICINE FIELDS:
+ * - medicines: normalized list, each entry with a stable id (med_1, ...)
+ * - medicineName / dosage: readable summary of the list, kept for
+ *   older screens and message templates
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('doctor', 'staff'), async (req, res) => {
     try {
         console.log('📝 CREATE PRESCRIPTION - Request received:', req.body);
         
         const {
-            medicineName,
-            dosage,
             duration,
             patientPhone,
             patientName,
             patientEmail,
-            doctorId,
             condition,
             notes,
         } = req.body;
 
+        // SECURITY: Doctors can only prescribe under their own identity
+        // Staff enter prescriptions on behalf of a doctor
+        const doctorId = req.user.role === 'doctor' ? req.user.userId : req.body.doctorId;
+
         // ========== VALIDATION ==========
         // Check all required fields are present
-        if (!medicineName || !dosage || !duration || !patientPhone || !doctorId) {
+        if (!duration || !patientPhone || !doctorId) {
             console.log('❌ Validation failed - Missing fields');
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: medicineName, dosage, duration, patientPhone, doctorId',
+                error: 'Missing required fields: medicines, duration, patientPhone, doctorId',
             });
         }
 
+        // Validate each medicine (accepts the legacy medicineName/dosage fields too)
+        const medicineCheck = normalizeMedicines(req.body);
+        if (!medicineCheck.valid) {
+            console.log('❌ Validation failed -', medicineCheck.error);
+            return res.status(400).json({
+                success: false,
+                error: medicineCheck.error,
+            });
+        }
+        const { medicines } = medicineCheck;
+
         // Validate phone number (at least 10 digits)
         // Phone is critical for WhatsApp delivery
         const phoneDigits = patientPhone.replace(/\D/g, '');
@@ -198,6 +255,17 @@ router.post('/', async (req, res) => {
             });
         }
 
+        // SECURITY: Staff can only prescribe on behalf of a doctor in their hospital
+        if (req.user.role === 'staff') {
+            const doctorDoc = await db.collection('users').doc(doctorId).get();
+            if (!doctorDoc.exists || doctorDoc.data().role !== 'doctor' || !isSameHospital(req.user, doctorDoc.data())) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Unauthorized: Doctor is not part of your hospital',
+                });
+            }
+        }
+
         // ========== GENERATE CASE ID ==========
         // Format: CASE-XXXXXXXX (8 uppercase alphanumeric chars)
         // Used for patient reference and support inquiries
@@ -206,13 +274,14 @@ router.post('/', async (req, res) => {
         // ========== CREATE PRESCRIPTION DOCUMENT ==========
         const prescriptionData = {
             caseId,
-            medicineName,
-            dosage,
+            medicines,
+            ...summarizeMedicines(medicines),  // Legacy medicineName / dosage
             duration,
             patientPhone,
             patientName: patientName || null,
             patientEmail: patientEmail || null,
             doctorId,
+            hospitalId: req.user.hospitalId,  // Tenant - inherited by follow-ups and adverse events
             condition: condition || null,
             notes: notes || null,
             createdAt: new Date(),
@@ -222,6 +291,16 @@ router.post('/', async (req, res) => {
         // Save to Firestore
         const prescriptionRef = await db.collection('prescriptions').add(prescriptionData);
 
+        // ========== SCHEDULE AUTOMATIC FOLLOW-UPS ==========
+        // A scheduling failure must not lose the prescription -
+        // the doctor can still send follow-ups manually
+        let followUpSchedule = null;
+        try {
+            followUpSchedule = await createScheduleForPrescription(prescriptionRef.id, prescriptionData);
+        } catch (scheduleError) {
+            console.error('Create Follow-Up Schedule Error:', scheduleError);
+        }
+
         // Return created prescription with ID
         console.log('✅ Prescription created successfully:', prescriptionRef.id);
         res.status(201).json({
@@ -230,6 +309,8 @@ router.post('/', async (req, res) => {
                 id: prescriptionRef.id,
                 caseId,
                 ...prescriptionData,
+                medicines: getPrescriptionMedicines(prescriptionData),  // Inherited durations filled in
+                followUpSchedule,
             },
         });
 
@@ -249,25 +330,29 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/prescriptions/all
- * Get all prescriptions (for staff dashboard)
+ * Get all prescriptions in the staff member's hospital (for staff dashboard)
  * 
  * PURPOSE:
  * Staff members need to see all prescriptions across all doctors
- * for administrative purposes and data entry assistance.
+ * of their hospital for administrative purposes and data entry assistance.
  * 
  * RESPONSE:
- * - 200: Array of all prescriptions (newest first)
+ * - 200: Array of the hospital's prescriptions (newest first)
+ * - 401: Not logged in
+ * - 403: Not a staff member
  * - 500: Server error
  * 
  * NOTES:
- * - Returns prescriptions from ALL doctors
+ * - Returns prescriptions from ALL doctors of the caller's hospital
+ * - Other hospitals' prescriptions are never returned
  * - Sorted by creation date (descending)
  * - Used by staff dashboard only
  */
-router.get('/all', async (req, res) => {
+router.get('/all', requireRole('staff'), async (req, res) => {
     try {
-        // Query all prescriptions, newest first
+        // Query the hospital's prescriptions, newest first
         const snapshot = await db.collection('prescriptions')
+            .where('hospitalId', '==', req.user.hospitalId)
             .orderBy('createdAt', 'desc')
             .get();
 
@@ -277,6 +362,7 @@ router.get('/all', async (req, res) => {
             prescriptions.push({
                 id: doc.id,
                 ...doc.data(),
+                medicines: getPrescriptionMedicines(doc.data()),  // Older prescriptions: one entry
                 // Convert Firestore Timestamp to Date
                 createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt,
             });
@@ -306,6 +392,7 @@ router.get('/all', async (req, res) => {
  * 
  * PURPOSE:
  * Doctors can only see their own prescriptions.
+ * Staff can see prescriptions of any doctor in their hospital.
  * This endpoint filters by doctorId.
  * 
  * PARAMS:
@@ -313,13 +400,16 @@ router.get('/all', async (req, res) => {
  * 
  * RESPONSE:
  * - 200: Array of doctor's prescriptions (newest first)
+ * - 401: Not logged in
+ * - 403: Doctor requesting another doctor's prescriptions,
+ *        or staff requesting a doctor from another hospital
  * - 500: Server error
  * 
  * USED BY:
  * Doctor dashboard to list their prescriptions
  * and initiate follow-ups
  */
-router.get('/doctor/:doctorId', async (req, res) => {
+router.get('/doctor/:doctorId', requireRole('doctor', 'staff'), authorizeDoctorParam, async (req, res) => {
     try {
         const { doctorId } = req.params;
 
@@ -335,6 +425,7 @@ router.get('/doctor/:doctorId', async (req, res) => {
             prescriptions.push({
                 id: doc.id,
                 ...doc.data(),
+                medicines: getPrescriptionMedicines(doc.data()),
                 createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt,
             });
         });
@@ -353,31 +444,99 @@ router.get('/doctor/:doctorId', async (req, res) => {
     }
 });
 
+// ============================================================================
+// GET PRESCRIPTION - PATIENT VIEW
+// ============================================================================
+
+/**
+ * GET /api/prescriptions/:id/patient-view
+ * What the patient sees of their prescription
+ * 
+ * PURPOSE:
+ * - Patient prescription page (link in their WhatsApp message)
+ * - Drug picker of the adverse event report page
+ * 
+ * PARAMS:
+ * - id: string - Prescription document ID
+ * 
+ * RESPONSE:
+ * - 200: { id, caseId, medicines, medicineName, duration, condition,
+ *          notes, status, createdAt }
+ * - 404: Prescription not found
+ * - 500: Server error
+ * 
+ * NOTE:
+ * This is a PUBLIC endpoint - anyone holding the link can call it, so it
+ * returns only what the patient page shows: no patient name or contact
+ * details, doctor or hospital. Doctors and
+ * staff read the full record through GET /:id.
+ */
+router.get('/:id/patient-view', auditAccess('prescription.patientView', 'prescription'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const doc = await db.collection('prescriptions').doc(id).get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prescription not found',
+            });
+        }
+
+        setAuditContext(res, doc.data());
+
+        const data = doc.data();
+        res.json({
+            success: true,
+            data: {
+                id: doc.id,
+                caseId: data.caseId,
+                medicines: getPrescriptionMedicines(data),
+                medicineName: data.medicineName || null,
+                duration: data.duration || null,
+                condition: data.condition || null,
+                notes: data.notes || null,
+                status: data.status,
+                createdAt: data.createdAt?.toDate?.() || data.createdAt,
+            },
+        });
+
+    } catch (error) {
+        console.error('Get Patient Prescription Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch prescription',
+        });
+    }
+});
+
 // ============================================================================
 // GET SINGLE PRESCRIPTION ENDPOINT
 // ============================================================================
 
 /**
  * GET /api/prescriptions/:id
- * Get a specific prescription by ID
+ * Get the full prescription record
  * 
  * PURPOSE:
- * - View prescription details
- * - Patient can view their own prescription (public endpoint)
+ * - View prescription details, including patient contact details
  * 
  * PARAMS:
  * - id: string - Prescription document ID
  * 
  * RESPONSE:
  * - 200: Prescription data
+ * - 403: Prescription of another doctor / hospital
  * - 404: Prescription not found
  * - 500: Server error
  * 
- * NOTE:
- * This is a PUBLIC endpoint - no authentication required.
- * Patients access this via the link in their WhatsApp message.
+ * SECURITY:
+ * - Doctors can only view their own prescriptions
+ * - Staff can only view prescriptions from their own hospital
+ * - Patients use GET /:id/patient-view instead
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', auditAccess('prescription.view', 'prescription'), requireRole('doctor', 'staff'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -391,11 +550,30 @@ router.get('/:id', async (req, res) => {
             });
         }
 
+        setAuditContext(res, doc.data());
+
+        // SECURITY: Doctors can only view their own prescriptions
+        if (req.user.role === 'doctor' && doc.data().doctorId !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Prescription does not belong to this doctor',
+            });
+        }
+
+        // SECURITY: Staff can only view prescriptions from their own hospital
+        if (!isSameHospital(req.user, doc.data())) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Prescription does not belong to your hospital',
+            });
+        }
+
         res.json({
             success: true,
             data: {
                 id: doc.id,
                 ...doc.data(),
+                medicines: getPrescriptionMedicines(doc.data()),
                 createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt,
             },
         });
@@ -431,6 +609,8 @@ router.get('/:id', async (req, res) => {
  * 
  * RESPONSE:
  * - 200: Update successful
+ * - 401: Not logged in
+ * - 403: Prescription belongs to a different doctor or hospital
  * - 404: Prescription not found
  * - 500: Server error
  * 
@@ -439,7 +619,7 @@ router.get('/:id', async (req, res) => {
  * - Does not modify prescription/medicine data
  * - Records update timestamp
  */
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requireRole('doctor', 'staff'), async (req, res) => {
     try {
         const { id } = req.params;
         const { patientPhone, patientEmail, patientName } = req.body;
@@ -454,6 +634,22 @@ router.patch('/:id', async (req, res) => {
             });
         }
 
+        // SECURITY: Doctors can only edit their own prescriptions
+        if (req.user.role === 'doctor' && doc.data().doctorId !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Prescription does not belong to this doctor',
+            });
+        }
+
+        // SECURITY: Staff can only edit prescriptions from their own hospital
+        if (!isSameHospital(req.user, doc.data())) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized: Prescription does not belong to your hospital',
+            });
+        }
+
         // Build update object with only provided fields
         // This allows partial updates
         const updates = {};
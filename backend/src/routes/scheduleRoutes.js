@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * Schedule Routes - Automatic Follow-Up Campaigns
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets doctors choose when automatic follow-ups are sent for their new
+ * prescriptions, and lets doctors/staff see, pause, resume or cancel the
+ * schedule of a single prescription.
+ * Scheduling itself lives in services/followUpScheduleService.js.
+ *
+ * ENDPOINTS:
+ * - GET  /defaults - Doctor's default schedule [doctor]
+ * - PUT  /defaults - Save doctor's default schedule [doctor]
+ * - GET  /prescription/:id - Schedule of one prescription [owning doctor/staff]
+ * - POST /prescription/:id/pause - Hold pending follow-ups [owning doctor/staff]
+ * - POST /prescription/:id/resume - Release held follow-ups [owning doctor/staff]
+ * - POST /prescription/:id/cancel - Cancel pending follow-ups [owning doctor/staff]
+ *
+ * AUTHORIZATION:
+ * - Defaults always belong to the logged-in doctor (req.user)
+ * - Prescription schedules follow the prescription rules: doctors only
+ *   their own, staff only their hospital's
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { db } = require('../config/firebase');
+const { requireRole, isSameHospital } = require('../middleware/auth');
+const {
+    DEFAULT_OFFSETS,
+    validateOffsets,
+    getDoctorScheduleDefaults,
+    saveDoctorScheduleDefaults,
+    getPrescriptionSchedule,
+    changeScheduleStatus,
+} = require('../services/followUpScheduleService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Load a prescription the current user may manage
+ * Sends the 404/403 response itself and returns null on failure.
+ *
+ * @param {object} req - Express request (params.id, user)
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} Prescription data
+ */
+async function loadPrescription(req, res) {
+    const doc = await db.collection('prescriptions').doc(req.params.id).get();
+
+    if (!doc.exists) {
+        res.status(404).json({
+            success: false,
+            error: 'Prescription not found',
+        });
+        return null;
+    }
+
+    // SECURITY: Doctors can only manage their own prescriptions
+    if (req.user.role === 'doctor' && doc.data().doctorId !== req.user.userId) {
+        res.status(403).json({
+            success: false,
+            error: 'Unauthorized: Prescription does not belong to this doctor',
+        });
+        return null;
+    }
+
+    // SECURITY: Staff can only manage prescriptions from their own hospital
+    if (!isSameHospital(req.user, doc.data())) {
+        res.status(403).json({
+            success: false,
+            error: 'Unauthorized: Prescription does not belong to your hospital',
+        });
+        return null;
+    }
+
+    return doc.data();
+}
+
+// ============================================================================
+// DOCTOR DEFAULTS
+// ============================================================================
+
+/**
+ * GET /api/follow-up-schedules/defaults
+ * Get the logged-in doctor's default schedule
+ *
+ * RESPONSE:
+ * - 200: { enabled, offsets, isDefault, systemDefaults }
+ * - 401: Not logged in
+ * - 403: Not a doctor
+ * - 500: Server error
+ */
+router.get('/defaults', requireRole('doctor'), async (req, res) => {
+    try {
+        const defaults = await getDoctorScheduleDefaults(req.user.userId);
+
+        res.json({
+            success: true,
+            data: {
+                ...defaults,
+                systemDefaults: DEFAULT_OFFSETS,
+            },
+        });
+
+    } catch (error) {
+        console.error('Get Schedule Defaults Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch follow-up schedule',
+        });
+    }
+});
+
+/**
+ * PUT /api/follow-up-schedules/defaults
+ * Save the logged-in doctor's default schedule
+ *
+ * REQUEST BODY:
+ * - enabled: boolean - Schedule follow-ups for new prescriptions
+ * - offsets: Array<{ type, value, label }>
+ *   type: 'percent_of_course' (value 1-100) | 'days_after_end' (value 0-90)
+ *
+ * RESPONSE:
+ * - 200: Saved
+ * - 400: Invalid offsets
+ * - 401: Not logged in
+ * - 403: Not a doctor
+ * - 500: Server error
+ *
+ * NOTES:
+ * Only prescriptions created after saving use the new schedule;
+ * existing schedules are left as they are.
+ */
+router.put('/defaults', requireRole('doctor'), async (req, res) => {
+    try {
+        const { enabled, offsets } = req.body;
+
+        const validation = validateOffsets(offsets);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: validation.error,
+            });
+        }
+
+        await saveDoctorScheduleDefaults(req.user.userId, {
+            enabled: enabled !== false,
+            offsets: validation.offsets,
+        });
+
+        res.json({
+            success: true,
+            message: 'Follow-up schedule saved. It applies to new prescriptions.',
+            data: {
+                enabled: enabled !== false,
+                offsets: validation.offsets,
+                isDefault: false,
+            },
+        });
+
+    } catch (error) {
+        console.error('Save Schedule Defaults Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save follow-up schedule',
+        });
+    }
+});
+
+// ============================================================================
+// PRESCRIPTION SCHEDULE
+// ============================================================================
+
+/**
+ * GET /api/follow-up-schedules/prescription/:id
+ * Get the schedule of one prescription
+ *
+ * RESPONSE:
+ * - 200: { followUpSchedule, entries }
+ * - 401: Not logged in
+ * - 403: Prescription belongs to a different doctor or hospital
+ * - 404: Prescription not found
+ * - 500: Server error
+ */
+router.get('/prescription/:id', requireRole('doctor', 'staff'), async (req, res) => {
+    try {
+        const prescription = await loadPrescription(req, res);
+        if (!prescription) return;
+
+        const entries = await getPrescriptionSchedule(req.params.id);
+
+        res.json({
+            success: true,
+            data: {
+                followUpSchedule: prescription.followUpSchedule || { status: 'none' },
+                entries,
+            },
+        });
+
+    } catch (error) {
+        console.error('Get Prescription Schedule Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch follow-up schedule',
+        });
+    }
+});
+
+/**
+ * POST /api/follow-up-schedules/prescription/:id/pause
+ * POST /api/follow-up-schedules/prescription/:id/resume
+ * POST /api/follow-up-schedules/prescription/:id/cancel
+ * Change the schedule of one prescription
+ *
+ * BEHAVIOUR:
+ * - pause: pending follow-ups are held
+ * - resume: held follow-ups are released; any whose date passed while
+ *   paused are skipped instead of being sent late
+ * - cancel: pending follow-ups are cancelled (cannot be undone)
+ *
+ * RESPONSE:
+ * - 200: { followUpSchedule, entries }
+ * - 401: Not logged in
+ * - 403: Prescription belongs to a different doctor or hospital
+ * - 404: Prescription not found
+ * - 409: Not allowed from the current status (e.g. resume an active schedule)
+ * - 500: Server error
+ */
+router.post('/prescription/:id/:action(pause|resume|cancel)', requireRole('doctor', 'staff'), async (req, res) => {
+    try {
+        const prescription = await loadPrescription(req, res);
+        if (!prescription) return;
+
+        const result = await changeScheduleStatus(req.params.id, req.params.action, req.user.userId);
+        if (!result.success) {
+            return res.status(409).json({
+                success: false,
+                error: result.message,
+            });
+        }
+
+        const entries = await getPrescriptionSchedule(req.params.id);
+
+        res.json({
+            success: true,
+            data: {
+                followUpSchedule: result.followUpSchedule,
+                entries,
+            },
+        });
+
+    } catch (error) {
+        console.error('Change Prescription Schedule Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update follow-up schedule',
+        });
+    }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
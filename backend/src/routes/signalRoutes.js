@@ -0,0 +1,215 @@
+/**
+ * ============================================================================
+ * Signal Routes - Drug-Reaction Signal Detection
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Looks across the hospital's adverse event cases for drugs that are
+ * reported with a reaction more often than the other drugs are
+ * (disproportionality - PRR / ROR). Pairs above the hospital's
+ * thresholds are kept as "potential signal" records for doctors to
+ * review. The statistics live in services/signalDetectionService.js.
+ *
+ * ENDPOINTS:
+ * - GET  / - Potential signal records of the hospital [doctor/admin]
+ * - GET  /pairs - Every drug-reaction pair with its statistics [doctor/admin]
+ * - POST /detect - Re-run detection now [doctor/admin]
+ * - GET  /cases?drug=&reaction= - Cases behind a pair [doctor/admin]
+ *
+ * WHEN DETECTION RUNS:
+ * - A patient completes an adverse event questionnaire
+ * - A follow-up opens or completes an adverse event case
+ * - The admin changes the thresholds (PATCH /api/auth/hospital-settings)
+ * - Someone presses "Run detection" (POST /detect)
+ *
+ * PRIVACY:
+ * Signals are about drugs, not patients. The case drill-down returns no
+ * patient name or phone; the full case stays behind GET
+ * /api/adverse-events/:id/case (assigned doctor, audited).
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { regulatoryStatusOf } = require('../services/regulatoryWorkflowService');
+const {
+    getSignalThresholds,
+    loadAnalysableCases,
+    analyzeCases,
+    detectSignals,
+    drugKeyOf,
+    listSignals,
+} = require('../services/signalDetectionService');
+
+// ============================================================================
+// SIGNALS
+// ============================================================================
+
+/**
+ * GET /api/signals
+ * Potential signal records of the user's hospital
+ *
+ * RESPONSE:
+ * - 200: { signals: [{ id, drugKey, drugName, reaction, reactionTerm,
+ *          status, active, stats: { a, b, c, d, prr, ror, chiSquare },
+ *          caseIds, thresholds, firstDetectedAt, lastDetectedAt }],
+ *          thresholds }
+ *   active first; prr / ror are { value, lower, upper } (95% CI)
+ * - 401/403: Not logged in / not a doctor or admin
+ * - 500: Server error
+ */
+router.get('/', requireRole('doctor', 'admin'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                signals: await listSignals(req.user.hospitalId),
+                thresholds: await getSignalThresholds(req.user.hospitalId),
+            },
+        });
+    } catch (error) {
+        console.error('List Signals Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch signals',
+        });
+    }
+});
+
+/**
+ * GET /api/signals/pairs
+ * Every drug-reaction pair reported in the hospital, with its statistics
+ * as of now (also the pairs below the thresholds)
+ *
+ * RESPONSE:
+ * - 200: { pairs: [{ drugKey, drugName, reaction, reactionTerm, a, b, c, d,
+ *          prr, ror, chiSquare, isSignal, caseIds }], totalCases, thresholds }
+ *   signals first, then by PRR
+ * - 401/403: Not logged in / not a doctor or admin
+ * - 500: Server error
+ */
+router.get('/pairs', requireRole('doctor', 'admin'), async (req, res) => {
+    try {
+        const [cases, thresholds] = await Promise.all([
+            loadAnalysableCases(req.user.hospitalId),
+            getSignalThresholds(req.user.hospitalId),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                pairs: analyzeCases(cases, thresholds),
+                totalCases: cases.length,
+                thresholds,
+            },
+        });
+    } catch (error) {
+        console.error('List Signal Pairs Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to analyse drug-reaction pairs',
+        });
+    }
+});
+
+/**
+ * POST /api/signals/detect
+ * Re-run signal detection for the user's hospital
+ *
+ * RESPONSE:
+ * - 200: { raised, active, totalCases }
+ *   raised: number of signals new since the last run
+ * - 401/403: Not logged in / not a doctor or admin
+ * - 500: Server error
+ */
+router.post('/detect', requireRole('doctor', 'admin'), async (req, res) => {
+    try {
+        const result = await detectSignals(req.user.hospitalId);
+
+        res.json({
+            success: true,
+            data: {
+                raised: result.raised.length,
+                active: result.active,
+                totalCases: result.totalCases,
+            },
+        });
+    } catch (error) {
+        console.error('Detect Signals Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run signal detection',
+        });
+    }
+});
+
+// ============================================================================
+// CASE DRILL-DOWN
+// ============================================================================
+
+/**
+ * GET /api/signals/cases?drug=&reaction=
+ * Cases of the hospital reporting a drug together with a reaction
+ *
+ * QUERY:
+ * - drug: Drug name (compared case-insensitively, as in the analysis)
+ * - reaction: Symptom value, e.g. 'rash'
+ *
+ * RESPONSE:
+ * - 200: [{ id, caseId, reportedAt, drugName, symptoms, severity,
+ *          seriousness, outcome, regulatoryStatus, doctorName, ownCase }]
+ *   newest first; ownCase = the user is the assigned doctor (can open it)
+ * - 400: drug or reaction missing
+ * - 401/403: Not logged in / not a doctor or admin
+ * - 500: Server error
+ */
+router.get('/cases', requireRole('doctor', 'admin'), async (req, res) => {
+    try {
+        const drugKey = drugKeyOf(req.query.drug);
+        const reaction = String(req.query.reaction || '').trim();
+
+        if (!drugKey || !reaction) {
+            return res.status(400).json({
+                success: false,
+                error: 'drug and reaction are required',
+            });
+        }
+
+        const cases = (await loadAnalysableCases(req.user.hospitalId))
+            .filter(c => c.drugKey === drugKey && c.reactions.includes(reaction))
+            .map(c => ({
+                id: c.id,
+                caseId: c.caseId,
+                reportedAt: c.reportedAt || c.createdAt,
+                drugName: c.drugName,
+                symptoms: c.symptoms,
+                severity: c.overallSeverity || c.severity || null,
+                seriousness: c.overallSeriousness || null,
+                outcome: c.outcome || null,
+                regulatoryStatus: regulatoryStatusOf(c),
+                doctorName: c.doctorName || null,
+                ownCase: c.doctorId === req.user.userId,
+            }))
+            .sort((a, b) => String(b.reportedAt || '').localeCompare(String(a.reportedAt || '')));
+
+        res.json({
+            success: true,
+            data: cases,
+        });
+
+    } catch (error) {
+        console.error('Signal Cases Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch cases',
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+/**
+ * ============================================================================
+ * Two-Factor Routes - TOTP Enrollment for Logged-In Users
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets a doctor, staff member or admin turn on two-factor authentication
+ * from their account page, manage backup codes, and turn it off again
+ * (unless their hospital requires it).
+ *
+ * The login-time side of 2FA (challenge, code check, forced enrollment)
+ * lives in authRoutes.js (POST /login/2fa, POST /login/2fa/setup).
+ *
+ * ENDPOINTS (all require login):
+ * - GET  /status - Is 2FA enabled / required, backup codes left
+ * - POST /setup - Start enrollment: secret + otpauth:// URI + QR code
+ * - POST /enable - Confirm enrollment with a code, get backup codes
+ * - POST /disable - Turn 2FA off (password required)
+ * - POST /backup-codes - Replace all backup codes (code required)
+ *
+ * ENROLLMENT FLOW:
+ * 1. POST /setup → secret stored as twoFactorPendingSecret
+ * 2. User scans the QR code in their authenticator app
+ * 3. POST /enable with the first code → twoFactorEnabled: true
+ * 4. Backup codes shown ONCE - only their hashes are stored
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/firebase');
+const { requireAuth } = require('../middleware/auth');
+const {
+    generateSecret,
+    verifyTotp,
+    buildEnrollment,
+    generateBackupCodes,
+    isTwoFactorRequired,
+} = require('../services/twoFactorService');
+
+// Every route here acts on the caller's own account
+router.use(requireAuth);
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * GET /api/auth/2fa/status
+ *
+ * RESPONSE:
+ * - 200: { enabled, required, backupCodesRemaining }
+ * - 401: Not logged in
+ * - 500: Server error
+ */
+router.get('/status', async (req, res) => {
+    try {
+        const userData = (await db.collection('users').doc(req.user.userId).get()).data();
+
+        res.json({
+            success: true,
+            data: {
+                enabled: userData.twoFactorEnabled === true,
+                required: await isTwoFactorRequired(req.user.hospitalId),
+                backupCodesRemaining: (userData.twoFactorBackupCodes || []).length,
+            },
+        });
+    } catch (error) {
+        console.error('2FA Status Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch two-factor status',
+        });
+    }
+});
+
+// ============================================================================
+// ENROLLMENT
+// ============================================================================
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment - 2FA is NOT active until POST /enable succeeds
+ *
+ * RESPONSE:
+ * - 200: { secret, otpauthUri, qrCode }
+ * - 400: Already enabled
+ * - 401: Not logged in
+ * - 500: Server error
+ */
+router.post('/setup', async (req, res) => {
+    try {
+        const userRef = db.collection('users').doc(req.user.userId);
+        const userData = (await userRef.get()).data();
+
+        if (userData.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled',
+            });
+        }
+
+        const secret = generateSecret();
+        await userRef.update({ twoFactorPendingSecret: secret });
+
+        res.json({
+            success: true,
+            data: await buildEnrollment(secret, userData.email),
+        });
+
+    } catch (error) {
+        console.error('2FA Setup Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start two-factor setup',
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with the first code from the authenticator app
+ *
+ * REQUEST BODY:
+ * - code: string (required) - 6-digit code
+ *
+ * RESPONSE:
+ * - 200: { backupCodes } - shown once, store them safely
+ * - 400: Setup not started or invalid code
+ * - 401: Not logged in
+ * - 500: Server error
+ */
+router.post('/enable', async (req, res) => {
+    try {
+        const userRef = db.collection('users').doc(req.user.userId);
+        const userData = (await userRef.get()).data();
+
+        if (!userData.twoFactorPendingSecret) {
+            return res.status(400).json({
+                success: false,
+                error: 'Start two-factor setup first',
+            });
+        }
+
+        const step = verifyTotp(userData.twoFactorPendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code',
+            });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        await userRef.update({
+            twoFactorEnabled: true,
+            twoFactorSecret: userData.twoFactorPendingSecret,
+            twoFactorPendingSecret: null,
+            twoFactorBackupCodes: hashes,
+            twoFactorLastStep: step,
+            twoFactorEnabledAt: new Date(),
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data: { backupCodes: codes },
+        });
+
+    } catch (error) {
+        console.error('2FA Enable Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to enable two-factor authentication',
+        });
+    }
+});
+
+// ============================================================================
+// DISABLE
+// ============================================================================
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off
+ *
+ * REQUEST BODY:
+ * - password: string (required) - Current password
+ *
+ * RESPONSE:
+ * - 200: Disabled
+ * - 400: Missing or wrong password
+ * - 401: Not logged in
+ * - 403: Hospital requires 2FA
+ * - 500: Server error
+ */
+router.post('/disable', async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: password',
+            });
+        }
+
+        if (await isTwoFactorRequired(req.user.hospitalId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Your hospital requires two-factor authentication',
+            });
+        }
+
+        const userRef = db.collection('users').doc(req.user.userId);
+        const userData = (await userRef.get()).data();
+
+        // 400, not 401 - the session itself is still valid
+        if (!(await bcrypt.compare(password, userData.password))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password is incorrect',
+            });
+        }
+
+        await userRef.update({
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorPendingSecret: null,
+            twoFactorBackupCodes: [],
+            twoFactorLastStep: null,
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled',
+        });
+
+    } catch (error) {
+        console.error('2FA Disable Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable two-factor authentication',
+        });
+    }
+});
+
+// ============================================================================
+// BACKUP CODES
+// ============================================================================
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Replace all backup codes (old ones stop working)
+ *
+ * REQUEST BODY:
+ * - code: string (required) - Current authenticator code
+ *
+ * RESPONSE:
+ * - 200: { backupCodes } - shown once
+ * - 400: 2FA not enabled or invalid code
+ * - 401: Not logged in
+ * - 500: Server error
+ */
+router.post('/backup-codes', async (req, res) => {
+    try {
+        const userRef = db.collection('users').doc(req.user.userId);
+        const userData = (await userRef.get()).data();
+
+        if (!userData.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled',
+            });
+        }
+
+        const step = verifyTotp(userData.twoFactorSecret, req.body.code, userData.twoFactorLastStep ?? -1);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code',
+            });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        await userRef.update({
+            twoFactorBackupCodes: hashes,
+            twoFactorLastStep: step,
+        });
+
+        res.json({
+            success: true,
+            data: { backupCodes: codes },
+        });
+
+    } catch (error) {
+        console.error('2FA Backup Codes Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to regenerate backup codes',
+        });
+    }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -0,0 +1,113 @@
+/**
+ * ============================================================================
+ * Backfill Hospital IDs - Stamp legacy records with their hospital
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Users, prescriptions, follow-ups and adverse events created before
+ * hospital scoping have no hospitalId field. Every list query filters on
+ * where('hospitalId', '==', ...), and Firestore never matches a missing
+ * field, so those records are invisible to every hospital until stamped.
+ *
+ * WHAT IT SETS:
+ * - users: 'default-hospital' (the value the auth middleware already assumed)
+ * - prescriptions, follow-ups, adverse events: the hospital of the
+ *   record's doctor, or 'default-hospital' if the doctor is unknown
+ *
+ * Records that already have a hospitalId are never changed, so the
+ * script is safe to run more than once.
+ *
+ * USAGE:
+ *   npm run backfill-hospital-ids -- [--dry-run]
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Collections stamped from the doctor's hospital (users are done first)
+ */
+const DOCTOR_SCOPED_COLLECTIONS = ['prescriptions', 'followUps', 'adverseEvents'];
+
+/**
+ * Firestore allows at most 500 writes per batch
+ */
+const BATCH_LIMIT = 500;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Set hospitalId on every document of a collection that has none
+ *
+ * @param {string} collection - Collection name
+ * @param {function} hospitalOf - (data) => hospitalId for a legacy document
+ * @param {boolean} dryRun - Count only, write nothing
+ * @returns {Promise<number>} Number of documents (to be) updated
+ */
+async function backfillCollection(collection, hospitalOf, dryRun) {
+    // Firestore cannot query for a missing field - scan the collection
+    const snapshot = await db.collection(collection).get();
+    const legacy = snapshot.docs.filter(doc => !doc.data().hospitalId);
+
+    if (!dryRun) {
+        for (let i = 0; i < legacy.length; i += BATCH_LIMIT) {
+            const batch = db.batch();
+            legacy.slice(i, i + BATCH_LIMIT).forEach(doc => {
+                batch.update(doc.ref, {
+                    hospitalId: hospitalOf(doc.data()),
+                    hospitalIdBackfilledAt: new Date(),
+                });
+            });
+            await batch.commit();
+        }
+    }
+
+    console.log(`${dryRun ? '🔍' : '✅'} ${collection}: ${legacy.length} of ${snapshot.size} without hospitalId`);
+    return legacy.length;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    if (dryRun) {
+        console.log('Dry run - nothing will be written');
+    }
+
+    // ========== USERS ==========
+    await backfillCollection('users', () => DEFAULT_HOSPITAL_ID, dryRun);
+
+    // Hospital of every doctor, as it is after the users backfill
+    const usersSnapshot = await db.collection('users').get();
+    const doctorHospitals = new Map(usersSnapshot.docs.map(doc => [
+        doc.id,
+        doc.data().hospitalId || DEFAULT_HOSPITAL_ID,
+    ]));
+    const hospitalOfDoctor = (data) => doctorHospitals.get(data.doctorId) || DEFAULT_HOSPITAL_ID;
+
+    // ========== RECORDS ==========
+    for (const collection of DOCTOR_SCOPED_COLLECTIONS) {
+        await backfillCollection(collection, hospitalOfDoctor, dryRun);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Backfill Hospital IDs Error:', error.message);
+        process.exit(1);
+    });
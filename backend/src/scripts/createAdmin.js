@@ -0,0 +1,92 @@
+/**
+ * ============================================================================
+ * Create Admin - Bootstrap an administrator account
+ * ============================================================================
+ * 
+ * PURPOSE:
+ * Admins cannot self-register through POST /api/auth/register.
+ * This script creates the first admin of a hospital, or promotes an
+ * existing account with the same email to admin.
+ * 
+ * USAGE:
+ *   npm run create-admin -- <email> <password> "<name>" [hospitalId]
+ * 
+ * EXAMPLE:
+ *   npm run create-admin -- admin@clinic.com S3cret! "Clinic Admin" city-clinic
+ * 
+ * Further admins can then be promoted from the Admin page.
+ * 
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID, MIN_PASSWORD_LENGTH } = require('../config/auth');
+const { revokeAllSessions } = require('../services/sessionService');
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+    const [email, password, name, hospitalId] = process.argv.slice(2);
+
+    if (!email || !password || !name) {
+        console.error('Usage: npm run create-admin -- <email> <password> "<name>" [hospitalId]');
+        process.exit(1);
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        process.exit(1);
+    }
+
+    const normalizedEmail = email.toLowerCase();
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const existing = await db.collection('users').where('email', '==', normalizedEmail).get();
+
+    if (!existing.empty) {
+        // ========== PROMOTE EXISTING ACCOUNT ==========
+        const userDoc = existing.docs[0];
+        await userDoc.ref.update({
+            role: 'admin',
+            specialization: null,
+            password: hashedPassword,
+            passwordChangedAt: new Date(),
+            mustChangePassword: false,
+            isActive: true,
+            emailVerified: true,            // Vouched for by whoever runs the script
+            updatedAt: new Date(),
+        });
+        // Password was replaced - sign out existing sessions
+        await revokeAllSessions(userDoc.id, 'password_change');
+        console.log(`✅ Promoted ${normalizedEmail} to admin (${userDoc.id})`);
+        return;
+    }
+
+    // ========== CREATE NEW ADMIN ==========
+    const userRef = await db.collection('users').add({
+        email: normalizedEmail,
+        password: hashedPassword,
+        name,
+        role: 'admin',
+        specialization: null,
+        hospitalId: hospitalId || DEFAULT_HOSPITAL_ID,
+        phone: null,
+        createdAt: new Date(),
+        isActive: true,
+        emailVerified: true,                // Vouched for by whoever runs the script
+    });
+    console.log(`✅ Created admin ${normalizedEmail} (${userRef.id})`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Create Admin Error:', error.message);
+        process.exit(1);
+    });
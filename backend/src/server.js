@@ -22,7 +22,7 @@
  * 
  * SECURITY PRINCIPLES:
  * 1. OTP verification required before any medical data access
- * 2. Role-based access control (doctor/staff)
+ * 2. Role-based access control (doctor/staff) via JWT middleware
  * 3. CORS configured for specific frontend origin
  * 4. Helmet.js for HTTP security headers
  * 
@@ -47,7 +47,28 @@ require('dotenv').config();               // Loads environment variables from .e
 const prescriptionRoutes = require('./routes/prescriptionRoutes');  // CRUD for prescriptions
 const followUpRoutes = require('./routes/followUpRoutes');          // Follow-up workflow (OTP, submit, summary)
 const authRoutes = require('./routes/authRoutes');                  // Login/register for doctors and staff
+const twoFactorRoutes = require('./routes/twoFactorRoutes');        // TOTP enrollment for logged-in users
 const adverseEventRoutes = require('./routes/adverseEventRoutes');  // Adverse event reporting (pharmacovigilance)
+const auditRoutes = require('./routes/auditRoutes');                // Patient data access log (read-only)
+const scheduleRoutes = require('./routes/scheduleRoutes');          // Automatic follow-up schedules
+const alertRoutes = require('./routes/alertRoutes');                // Urgent case alerts + on-call roster
+const signalRoutes = require('./routes/signalRoutes');              // Drug-reaction signal detection (PRR/ROR)
+
+/**
+ * Follow-up scheduler - sends scheduled follow-ups when they are due
+ */
+const { startFollowUpScheduler } = require('./services/followUpScheduleService');
+
+/**
+ * Urgent alert escalation - re-notifies until an alert is acknowledged
+ */
+const { startUrgentAlertEscalation } = require('./services/alertService');
+
+/**
+ * Authentication middleware - decodes the JWT and attaches req.user
+ * Individual routes enforce roles/ownership with requireRole()
+ */
+const { authenticate } = require('./middleware/auth');
 
 // ============================================================================
 // EXPRESS APP INITIALIZATION
@@ -108,6 +129,18 @@ app.use((req, res, next) => {
     next();  // IMPORTANT: Must call next() to continue to the next middleware/route
 });
 
+/**
+ * AUTHENTICATION MIDDLEWARE
+ * WHY: Doctor-scoped routes must use the identity from a verified token,
+ *      never a doctorId supplied in the query string or body.
+ *
+ * BEHAVIOUR:
+ * - Verifies the bearer token (if any) and attaches req.user
+ * - Does NOT block requests on its own - patient OTP routes are public
+ * - Protected routes add requireRole('doctor', 'staff') to enforce access
+ */
+app.use('/api', authenticate);
+
 // ============================================================================
 // HEALTH CHECK ENDPOINT
 // ============================================================================
@@ -131,10 +164,15 @@ app.get('/api/health', (req, res) => {
 // Mount route modules at their respective base paths
 // ============================================================================
 
+app.use('/api/auth/2fa', twoFactorRoutes);       // /api/auth/2fa/setup, /api/auth/2fa/enable, etc.
 app.use('/api/auth', authRoutes);                // /api/auth/login, /api/auth/register, etc.
 app.use('/api/prescriptions', prescriptionRoutes); // /api/prescriptions, /api/prescriptions/:id, etc.
 app.use('/api/follow-ups', followUpRoutes);       // /api/follow-ups, /api/follow-ups/:id/verify-otp, etc.
 app.use('/api/adverse-events', adverseEventRoutes); // /api/adverse-events - Pharmacovigilance workflow
+app.use('/api/audit-log', auditRoutes);           // /api/audit-log?patientPhone=&caseId= - Access audit trail
+app.use('/api/follow-up-schedules', scheduleRoutes); // /api/follow-up-schedules/defaults, /prescription/:id, etc.
+app.use('/api/alerts', alertRoutes);              // /api/alerts, /api/alerts/:id/acknowledge, /api/alerts/on-call
+app.use('/api/signals', signalRoutes);            // /api/signals, /api/signals/pairs, /api/signals/cases
 
 // ============================================================================
 // ERROR HANDLING
@@ -198,6 +236,12 @@ app.listen(PORT, () => {
 ║  - GET  /api/follow-ups/:id/summary                        ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+    // Background jobs: scheduled follow-ups and reminders
+    // (services/followUpScheduleService.js), urgent alert escalation
+    // (services/alertService.js)
+    startFollowUpScheduler();
+    startUrgentAlertEscalation();
 });
 
 // ============================================================================
@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * Account Token Service
+ * Single-Use Expiring Tokens for Password Reset and Email Verification
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Issues the random tokens embedded in "reset your password" and
+ * "verify your email" links, and redeems them exactly once.
+ *
+ * TOKEN TYPES:
+ * - 'password_reset'     - valid PASSWORD_RESET_TTL_MINUTES (default 60 min)
+ * - 'email_verification' - valid EMAIL_VERIFICATION_TTL_HOURS (default 24 h)
+ *
+ * SECURITY CONSIDERATIONS:
+ * 1. 256-bit random tokens (crypto.randomBytes) - not guessable
+ * 2. Only the SHA-256 hash is stored, and used as the document ID -
+ *    a database leak does not reveal working links
+ * 3. Single use: redeemed inside a transaction, so two clicks on the
+ *    same link cannot both succeed
+ * 4. Issuing a new token supersedes older unused tokens of the same type
+ *    (only the most recent email works)
+ *
+ * COLLECTION: 'accountTokens' (document ID = token hash)
+ * { userId, type, createdAt, expiresAt, usedAt, supersededAt }
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');               // Random tokens + hashing
+const { db } = require('../config/firebase');   // Firestore for token storage
+const { PASSWORD_RESET_TTL_MINUTES, EMAIL_VERIFICATION_TTL_HOURS } = require('../config/auth');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Lifetime of each token type in milliseconds
+ */
+const TOKEN_TTL_MS = {
+    password_reset: PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+};
+
+/**
+ * Hash a raw token for storage/lookup
+ *
+ * @param {string} token - Raw token from the emailed link
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// ============================================================================
+// TOKEN CREATION
+// ============================================================================
+
+/**
+ * Create a new single-use token for a user
+ *
+ * WORKFLOW:
+ * 1. Mark older unused tokens of the same type as superseded
+ * 2. Store the hash of a fresh random token
+ * 3. Return the raw token (goes into the emailed link only)
+ *
+ * @param {string} userId - Owner of the token
+ * @param {string} type - 'password_reset' | 'email_verification'
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+async function createAccountToken(userId, type) {
+    // ========== SUPERSEDE OLDER TOKENS ==========
+    const existing = await db.collection('accountTokens')
+        .where('userId', '==', userId)
+        .where('type', '==', type)
+        .where('usedAt', '==', null)
+        .get();
+
+    if (!existing.empty) {
+        const batch = db.batch();
+        existing.docs.forEach(doc => {
+            batch.update(doc.ref, { usedAt: new Date(), supersededAt: new Date() });
+        });
+        await batch.commit();
+    }
+
+    // ========== STORE NEW TOKEN ==========
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[type]);
+
+    await db.collection('accountTokens').doc(hashToken(token)).set({
+        userId,
+        type,
+        createdAt: new Date(),
+        expiresAt,
+        usedAt: null,
+        supersededAt: null,
+    });
+
+    return { token, expiresAt };
+}
+
+// ============================================================================
+// TOKEN REDEMPTION
+// ============================================================================
+
+/**
+ * Redeem a token (marks it used)
+ *
+ * SECURITY CHECKS PERFORMED:
+ * 1. Token exists and is of the expected type
+ * 2. Not already used or superseded
+ * 3. Not expired
+ *
+ * @param {string} token - Raw token from the link
+ * @param {string} type - Expected token type
+ * @returns {Promise<{success: boolean, message?: string, userId?: string}>}
+ */
+async function consumeAccountToken(token, type) {
+    if (!token) {
+        return { success: false, message: 'Invalid or expired link' };
+    }
+
+    const tokenRef = db.collection('accountTokens').doc(hashToken(token));
+
+    return db.runTransaction(async (transaction) => {
+        const tokenDoc = await transaction.get(tokenRef);
+
+        // Check 1: Exists and correct type (same message - reveal nothing)
+        if (!tokenDoc.exists || tokenDoc.data().type !== type) {
+            return { success: false, message: 'Invalid or expired link' };
+        }
+
+        const data = tokenDoc.data();
+
+        // Check 2: Single use
+        if (data.usedAt) {
+            return { success: false, message: 'This link has already been used. Please request a new one.' };
+        }
+
+        // Check 3: Expiry
+        const expiresAt = data.expiresAt?.toDate?.() || new Date(data.expiresAt);
+        if (new Date() > expiresAt) {
+            return { success: false, message: 'This link has expired. Please request a new one.' };
+        }
+
+        transaction.update(tokenRef, { usedAt: new Date() });
+        return { success: true, userId: data.userId };
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    createAccountToken,   // Issue a reset/verification token
+    consumeAccountToken,  // Redeem it exactly once
+};
@@ -0,0 +1,433 @@
+/**
+ * ============================================================================
+ * Adverse Event Service - Safety Case Assessment
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turns answers about a reaction into the fields of an adverse event
+ * (safety) case and assesses it. Shared by:
+ * - POST /api/adverse-events/:id/submit (patient answers the 7 questions)
+ * - POST /api/follow-ups/:id/submit (patient reports a problem in a
+ *   routine follow-up - openCaseFromFollowUp)
+ *
+ * FOLLOW-UP → SAFETY CASE:
+ * When a follow-up is answered with overallStatus 'had_problem', the
+ * adverse path already asks time-to-onset, symptoms, severity, medical
+ * attention, action taken, outcome and other medicines. Those answers are
+ * mapped onto the adverse event questions (values differ slightly, see
+ * FOLLOW_UP_ANSWER_MAP) and:
+ * 1. An open case for the same prescription that has no data yet is
+ *    completed and linked, or
+ * 2. A new case is opened (reporterType 'patient', source 'follow_up')
+ * Both records point at each other: adverseEvents.followUpId and
+ * followUps.adverseEventId.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+const { ADVERSE_EVENT_QUESTIONS } = require('../config/adverseEventQuestionnaire');
+const { QUESTIONS, getPathType } = require('../config/followUpQuestionnaire');
+const { getPrescriptionMedicines } = require('./medicineService');
+const { assessCausality, WHO_UMC_CATEGORIES } = require('./causalityService');
+const { startReportingClock } = require('./regulatoryWorkflowService');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Follow-up answers → adverse event answers
+ *
+ * adverseEventQuestion: adverse event question it fills in
+ * values: follow-up option value → adverse event option value
+ *         (omitted when both questionnaires use the same values)
+ *
+ * 'doctor_advised' (doctor advised to stop/change) counts as stopped:
+ * either way the patient no longer takes the suspect medicine.
+ */
+const FOLLOW_UP_ANSWER_MAP = {
+    timeToOnset: {
+        adverseEventQuestion: 'timeToOnset',
+        values: {
+            within_1hr: 'immediate',
+            same_day: 'hours',
+            next_day: 'next_day',
+            '2_7_days': 'few_days',
+            after_week: 'week_plus',
+        },
+    },
+    symptoms: { adverseEventQuestion: 'symptoms' },
+    severity: { adverseEventQuestion: 'severity' },
+    medicalAttention: { adverseEventQuestion: 'medicalAttention' },
+    actionTaken: {
+        adverseEventQuestion: 'actionTaken',
+        values: {
+            stopped: 'stopped',
+            reduced: 'reduced',
+            continued: 'continued',
+            doctor_advised: 'stopped',
+        },
+    },
+    outcomeAfterAction: {
+        adverseEventQuestion: 'outcome',
+        values: {
+            resolved: 'resolved',
+            improved: 'improved',
+            no_change: 'unchanged',
+            worsened: 'worsened',
+        },
+    },
+    otherMedications: { adverseEventQuestion: 'concomitantMeds' },
+};
+
+// ============================================================================
+// CASE ASSESSMENT
+// ============================================================================
+
+/**
+ * Identify missing mandatory safety fields
+ */
+function identifyMissingFields(aeData) {
+    const requiredFields = [
+        { field: 'timeToOnset', label: 'Time of onset' },
+        { field: 'symptoms', label: 'Symptoms experienced' },
+        { field: 'severity', label: 'Severity' },
+        { field: 'seriousness', label: 'Seriousness (hospitalization)' },
+        { field: 'actionTaken', label: 'Action taken with drug' },
+        { field: 'outcome', label: 'Outcome' },
+        { field: 'concomitantMeds', label: 'Other medications' },
+    ];
+
+    return requiredFields.filter(f => {
+        const value = aeData[f.field];
+        return !value || (Array.isArray(value) && value.length === 0);
+    });
+}
+
+/**
+ * Process follow-up responses into structured data
+ * (responses are already validated - see POST /:id/submit)
+ */
+function processFollowUpResponses(responses) {
+    return {
+        timeToOnset: responses.timeToOnset?.selected,
+        symptoms: responses.symptoms?.selected || [],
+        symptomsDescription: responses.symptoms?.notes,
+        severity: responses.severity?.selected,
+        medicalAttention: responses.medicalAttention?.selected,
+        actionTaken: responses.actionTaken?.selected,
+        outcome: responses.outcome?.selected,
+        concomitantMeds: responses.concomitantMeds?.selected,
+        concomitantMedsDetails: responses.concomitantMeds?.notes,
+    };
+}
+
+/**
+ * Assess case severity and seriousness
+ * causality is the machine Naranjo / WHO-UMC assessment
+ * (services/causalityService.js); causalityIndicators are the short
+ * readable reasons shown in the case summary
+ */
+function assessCase(data) {
+    // Determine seriousness (regulatory definition)
+    const isSerious =
+        data.medicalAttention === 'hospital' ||
+        data.medicalAttention === 'emergency' ||
+        data.symptoms?.includes('breathing') ||
+        data.symptoms?.includes('swelling');
+
+    // Determine if expedited reporting needed (serious cases need 15-day reporting)
+    const requiresExpedited = isSerious && data.outcome !== 'resolved';
+
+    // Causality indicators
+    const causalityIndicators = [];
+
+    if (['immediate', 'hours'].includes(data.timeToOnset)) {
+        causalityIndicators.push('Temporal association (onset within hours)');
+    }
+
+    if (data.actionTaken === 'stopped' && ['resolved', 'improved'].includes(data.outcome)) {
+        causalityIndicators.push('Positive dechallenge (improved after stopping)');
+    }
+
+    if (data.actionTaken === 'restarted') {
+        causalityIndicators.push('Rechallenge performed');
+    }
+
+    if (data.concomitantMeds === 'none') {
+        causalityIndicators.push('No confounders (no other medications)');
+    }
+
+    return {
+        severity: data.severity,
+        seriousness: isSerious ? 'serious' : 'non-serious',
+        requiresExpedited,
+        causalityIndicators,
+        causality: assessCausality(data),
+    };
+}
+
+/**
+ * Generate case summary for regulatory reporting
+ */
+function generateCaseSummary(original, processed, assessment) {
+    const lines = [
+        `Case ID: ${original.caseId}`,
+        `Drug: ${original.drugName}`,
+        ``,
+        `INITIAL REPORT:`,
+        original.initialReport,
+        ``,
+        `FOLLOW-UP DATA:`,
+        `- Time to onset: ${processed.timeToOnset}`,
+        `- Symptoms: ${processed.symptoms?.join(', ')}`,
+        `- Severity: ${processed.severity}`,
+        `- Medical attention: ${processed.medicalAttention}`,
+        `- Action taken: ${processed.actionTaken}`,
+        `- Outcome: ${processed.outcome}`,
+        `- Concomitant medications: ${processed.concomitantMeds}`,
+        ``,
+        `ASSESSMENT:`,
+        `- Overall severity: ${assessment.severity}`,
+        `- Seriousness: ${assessment.seriousness}`,
+        `- Requires expedited reporting: ${assessment.requiresExpedited ? 'YES' : 'No'}`,
+        ``,
+        `CAUSALITY INDICATORS:`,
+        ...assessment.causalityIndicators.map(c => `- ${c}`),
+        ``,
+        `CAUSALITY ASSESSMENT (computed):`,
+        `- Naranjo score: ${assessment.causality.naranjo.score} (${assessment.causality.naranjo.category})`,
+        `- WHO-UMC: ${WHO_UMC_CATEGORIES[assessment.causality.whoUmc.category]}`,
+    ];
+
+    return lines.join('\n');
+}
+
+// ============================================================================
+// CASES FROM FOLLOW-UPS
+// ============================================================================
+
+/**
+ * Map follow-up questionnaire answers onto the adverse event questions
+ *
+ * @param {object} answers - Validated follow-up answers { questionId: { selected, notes } }
+ * @returns {object} Adverse event answers { questionId: { selected, notes } }
+ */
+function toAdverseEventAnswers(answers) {
+    const mapped = {};
+    for (const [questionId, { adverseEventQuestion, values }] of Object.entries(FOLLOW_UP_ANSWER_MAP)) {
+        const answer = answers[questionId];
+        if (!answer) continue;
+        mapped[adverseEventQuestion] = {
+            selected: values ? values[answer.selected] : answer.selected,
+            notes: answer.notes || null,
+        };
+    }
+    return mapped;
+}
+
+/**
+ * Initial report text for a case opened from a follow-up
+ * The problem type the patient picked, plus what they wrote about it.
+ *
+ * @param {object} followUpData - Follow-up document
+ * @param {object} answers - Validated follow-up answers
+ * @returns {string}
+ */
+function describeFollowUpProblem(followUpData, answers) {
+    const problemType = QUESTIONS.problemType.options
+        .find(o => o.value === answers.problemType?.selected)?.label || 'Problem';
+    const notes = [answers.overallStatus?.notes, answers.problemType?.notes].filter(Boolean);
+
+    const report = `Reported in follow-up ${followUpData.caseId}: ${problemType}.`;
+    return notes.length > 0 ? `${report} Patient notes: ${notes.join('; ')}` : report;
+}
+
+/**
+ * Open case for the same prescription that can take the follow-up's answers
+ *
+ * Either the case already linked to this follow-up (submission repeated),
+ * or the newest case reported for the prescription that is still waiting
+ * for its safety data and is not linked to another follow-up.
+ *
+ * @param {string} followUpId - Follow-up document ID
+ * @param {object} followUpData - Follow-up document
+ * @returns {Promise<object|null>} Adverse event document snapshot
+ */
+async function findCaseToLink(followUpId, followUpData) {
+    const linked = await db.collection('adverseEvents')
+        .where('followUpId', '==', followUpId)
+        .limit(1)
+        .get();
+    if (!linked.empty) return linked.docs[0];
+
+    if (!followUpData.prescriptionId) return null;
+
+    const open = await db.collection('adverseEvents')
+        .where('prescriptionId', '==', followUpData.prescriptionId)
+        .where('dataComplete', '==', false)
+        .get();
+
+    return open.docs
+        .filter(doc => !doc.data().followUpId && doc.data().hospitalId === followUpData.hospitalId)
+        .sort((a, b) => new Date(b.data().createdAt) - new Date(a.data().createdAt))[0] || null;
+}
+
+/**
+ * Open (or complete) the safety case for a follow-up that reported a problem
+ *
+ * WORKFLOW:
+ * 1. Only for the adverse path (overallStatus 'had_problem')
+ * 2. Map the answers onto the adverse event questions and assess them
+ *    (processFollowUpResponses → assessCase → identifyMissingFields)
+ * 3. Complete an open case for the prescription, or create a new one
+ * 4. Link the follow-up to the case (followUps.adverseEventId)
+ *
+ * The patient already consented when submitting the follow-up, so the
+ * case carries that consent.
+ *
+ * @param {string} followUpId - Follow-up document ID
+ * @param {object} followUpData - Follow-up document (before this submission)
+ * @param {object} verifiedResponses - Validated submission { schemaVersion, answers }
+ * @param {object} structuredSummary - From buildStructuredSummary()
+ * @returns {Promise<{adverseEventId: string, caseId: string, hospitalId: string, created: boolean}|null>}
+ *          null when the patient did not report a problem
+ */
+async function openCaseFromFollowUp(followUpId, followUpData, verifiedResponses, structuredSummary) {
+    const { answers } = verifiedResponses;
+    if (getPathType(answers.overallStatus?.selected) !== 'adverse') {
+        return null;
+    }
+
+    // ========== ASSESS THE ANSWERS ==========
+    const processedData = processFollowUpResponses(toAdverseEventAnswers(answers));
+    const caseAssessment = assessCase(processedData);
+
+    const urgentSymptoms = ADVERSE_EVENT_QUESTIONS.find(q => q.id === 'symptoms').options
+        .filter(o => o.urgent && processedData.symptoms.includes(o.value))
+        .map(o => o.value);
+    const isUrgent = structuredSummary.flags.needsUrgentAttention;
+
+    const now = new Date().toISOString();
+    const safetyData = {
+        ...processedData,
+        seriousness: caseAssessment.seriousness,
+        followUpId,
+        consent: true,
+        consentAt: now,
+
+        // Case Assessment
+        overallSeverity: caseAssessment.severity,
+        overallSeriousness: caseAssessment.seriousness,
+        causalityIndicators: caseAssessment.causalityIndicators,
+        machineCausality: caseAssessment.causality,
+        requiresExpedited: caseAssessment.requiresExpedited,
+
+        updatedAt: now,
+        submittedAt: now,
+    };
+
+    // ========== COMPLETE AN OPEN CASE ==========
+    const existing = await findCaseToLink(followUpId, followUpData);
+    let adverseEventId;
+    let caseData;
+
+    if (existing) {
+        adverseEventId = existing.id;
+        caseData = { ...existing.data(), ...safetyData };
+        caseData.isUrgent = existing.data().isUrgent || isUrgent;
+        caseData.urgencyIndicators = [...new Set([...(existing.data().urgencyIndicators || []), ...urgentSymptoms])];
+    } else {
+        // ========== OR OPEN A NEW ONE ==========
+        const prescriptionDoc = followUpData.prescriptionId
+            ? await db.collection('prescriptions').doc(followUpData.prescriptionId).get()
+            : null;
+        const prescriptionData = prescriptionDoc?.exists ? prescriptionDoc.data() : null;
+
+        // Suspect medicine is only known for single-medicine prescriptions
+        const prescribedMedicines = prescriptionData ? getPrescriptionMedicines(prescriptionData) : [];
+        const suspectMedicine = prescribedMedicines.length === 1 ? prescribedMedicines[0] : null;
+
+        adverseEventId = uuidv4();
+        caseData = {
+            id: adverseEventId,
+            caseId: `AE-${Date.now()}`,
+
+            // Patient Info
+            patientPhone: followUpData.patientPhone || prescriptionData?.patientPhone || null,
+            patientName: followUpData.patientName || prescriptionData?.patientName || null,
+            patientAge: prescriptionData?.patientAge || null,
+
+            // Drug Info
+            prescriptionId: followUpData.prescriptionId || null,
+            medicineId: suspectMedicine?.id || null,
+            drugName: suspectMedicine?.name || prescriptionData?.medicineName || null,
+            dosage: suspectMedicine ? suspectMedicine.strength : prescriptionData?.dosage || null,
+            frequency: suspectMedicine?.frequencyText || suspectMedicine?.frequencyCode || null,
+            indication: prescriptionData?.condition || null,
+
+            // Doctor Info
+            doctorId: followUpData.doctorId,
+            doctorName: prescriptionData?.doctorName || null,
+            hospitalId: followUpData.hospitalId || DEFAULT_HOSPITAL_ID,
+
+            // Event Info (from the follow-up)
+            initialReport: describeFollowUpProblem(followUpData, answers),
+            reporterType: 'patient',
+            source: 'follow_up',
+            reportedAt: now,
+
+            isUrgent,
+            urgencyIndicators: urgentSymptoms,
+
+            // Follow-up tracking (answers came with the follow-up - nothing to send)
+            followUpSent: false,
+
+            // Regulatory
+            regulatoryStatus: 'triage',
+
+            createdAt: now,
+            ...safetyData,
+        };
+    }
+
+    // ========== REPORTING CLOCK ==========
+    // Serious → day 0 is now (an already running clock is kept)
+    caseData.reportingClock = startReportingClock(caseData, new Date(now));
+
+    // ========== COMPLETENESS ==========
+    const missingFields = identifyMissingFields(caseData);
+    caseData.dataComplete = missingFields.length === 0;
+    caseData.status = caseData.dataComplete ? 'data_collected' : 'reported';
+    caseData.missingFields = missingFields.map(f => f.field);
+    caseData.summary = generateCaseSummary(caseData, processedData, caseAssessment);
+
+    await db.collection('adverseEvents').doc(adverseEventId).set(caseData);
+
+    // ========== LINK THE FOLLOW-UP ==========
+    await db.collection('followUps').doc(followUpId).update({
+        adverseEventId,
+        adverseEventCaseId: caseData.caseId,
+    });
+
+    return { adverseEventId, caseId: caseData.caseId, hospitalId: caseData.hospitalId, created: !existing };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    identifyMissingFields,      // Safety fields still to collect
+    processFollowUpResponses,   // Adverse event answers → case fields
+    assessCase,                 // Severity, seriousness, causality (indicators + Naranjo/WHO-UMC)
+    generateCaseSummary,        // Regulatory text summary
+    openCaseFromFollowUp,       // Follow-up reported a problem → safety case
+};
@@ -15,7 +15,7 @@
  * WHAT AI DOES:
  * 1. Generates personalized follow-up questions based on prescription
  * 2. Creates draft statements for patient verification
- * 3. Formats doctor summaries (reorganization only, no interpretation)
+ * 3. Writes an optional narrative of the doctor summary (reorganization only)
  * 
  * WHAT AI DOES NOT DO:
  * - Make medical diagnoses or recommendations
@@ -52,6 +52,87 @@ const { isOTPVerified } = require('./otpService');
  */
 const { db } = require('../config/firebase');
 
+/**
+ * Medicine list of a prescription (new list or legacy single fields)
+ */
+const { getPrescriptionMedicines, describeMedicine } = require('./medicineService');
+
+/**
+ * Structured summary as text (input of the doctor narrative)
+ */
+const { formatStructuredSummary } = require('./followUpSummaryService');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Numbered medication list for prompts, one medicine per line
+ * e.g. "1. Amoxicillin 500mg - 1-0-1 (Twice daily ...) - 7 days - After food"
+ *
+ * @param {object} prescription - Prescription data from Firestore
+ * @returns {string} Medication list, or '' when there are no medicines
+ */
+function formatMedicationList(prescription) {
+    return getPrescriptionMedicines(prescription)
+        .map((m, i) => `${i + 1}. ${describeMedicine(m)}`)
+        .join('\n');
+}
+
+/**
+ * Categories the question prompt asks for (anything else becomes 'other')
+ */
+const QUESTION_CATEGORIES = ['primary_symptom', 'red_flags', 'functional', 'medication_response', 'recovery'];
+
+/**
+ * Bring AI-generated questions into one predictable shape
+ *
+ * The model does not always follow the output format exactly, and the
+ * patient form and answer validation rely on it. Questions without text
+ * or with fewer than two options are dropped. IDs are assigned by
+ * position ('ai_1', 'ai_2', ...) so they never clash with the built-in
+ * questionnaire IDs; running this on already-normalized questions
+ * returns them unchanged.
+ *
+ * @param {Array} questions - Raw questions (AI output or stored)
+ * @returns {Array} [{ id, question, category, type: 'single'|'multi',
+ *                     options: [{ value, label }], clinicalRelevance, required }]
+ */
+function normalizePersonalizedQuestions(questions) {
+    if (!Array.isArray(questions)) return [];
+
+    const normalized = [];
+    for (const raw of questions) {
+        const question = String(raw?.question || '').trim();
+        const options = [];
+
+        for (const [index, option] of (Array.isArray(raw?.options) ? raw.options : []).entries()) {
+            // Options may come back as plain strings
+            const entry = typeof option === 'string' ? { label: option } : option;
+            const label = String(entry?.label ?? entry?.value ?? '').trim();
+            if (!label) continue;
+            // Option values must be unique within the question
+            let value = String(entry?.value ?? '').trim();
+            if (!value || options.some(o => o.value === value)) value = `option${index + 1}`;
+            options.push({ value, label });
+        }
+
+        if (!question || options.length < 2) continue;
+
+        normalized.push({
+            id: `ai_${normalized.length + 1}`,
+            question,
+            category: QUESTION_CATEGORIES.includes(raw.category) ? raw.category : 'other',
+            type: raw.type === 'multi' ? 'multi' : 'single',
+            options,
+            clinicalRelevance: raw.clinicalRelevance || null,
+            required: raw.required !== false,
+        });
+    }
+
+    return normalized;
+}
+
 // ============================================================================
 // PERSONALIZED QUESTIONS GENERATION
 // ============================================================================
@@ -86,23 +167,14 @@ const { db } = require('../config/firebase');
  * @example
  * const result = await generatePersonalizedQuestions({
  *     condition: 'Hypertension',
- *     medicines: [{ name: 'Amlodipine', dosage: '5mg daily' }],
+ *     medicines: [{ name: 'Amlodipine', strength: '5mg', frequencyCode: '1-0-0' }],
  *     duration: '30 days'
  * });
  */
 async function generatePersonalizedQuestions(prescription) {
-    // Build medication list string from medicines array
-    // Handles both array format and legacy single-medicine format
-    let medicationDetails = '';
-    if (prescription.medicines && Array.isArray(prescription.medicines)) {
-        // New format: array of medicine objects
-        medicationDetails = prescription.medicines.map((m, i) => 
-            `${i + 1}. ${m.name} - ${m.dosageInstructions || m.dosage || 'As directed'}`
-        ).join('\n');
-    } else if (prescription.medicineName) {
-        // Legacy format: single medicine fields
-        medicationDetails = `${prescription.medicineName} - ${prescription.dosage || 'As directed'}`;
-    }
+    // Full regimen - every medicine with strength, frequency, duration and instructions
+    // (legacy single-medicine prescriptions become a one-line list)
+    const medicationDetails = formatMedicationList(prescription);
 
     /**
      * AI Prompt for Question Generation
@@ -156,7 +228,7 @@ OUTPUT FORMAT (JSON only, no markdown):
       "id": "q1_primary_symptom",
       "question": "Specific, clinically relevant question about the diagnosed condition",
       "category": "primary_symptom|red_flags|functional|medication_response|recovery",
-      "type": "single",
+      "type": "single|multi",
       "options": [
         { "value": "option1", "label": "Clinically meaningful option 1" },
         { "value": "option2", "label": "Clinically meaningful option 2" },
@@ -200,7 +272,7 @@ REMEMBER: Each question should give the doctor actionable clinical information,
         }
 
         // Cap at 7 questions to keep form manageable
-        return { success: true, questions: questions.slice(0, 7) };
+        return { success: true, questions: normalizePersonalizedQuestions(questions).slice(0, 7) };
     } catch (error) {
         console.error('Generate Personalized Questions Error:', error);
         return { success: false, error: 'Failed to generate personalized questions' };
@@ -292,8 +364,8 @@ These statements will be presented as EDITABLE defaults. The patient will confir
 DO NOT treat these as facts - they are SUGGESTIONS only.
 
 PRESCRIPTION METADATA:
-- Medicine Name: ${prescription.medicineName}
-- Dosage: ${prescription.dosage}
+- Medications:
+${formatMedicationList(prescription) || 'Not specified'}
 - Duration: ${prescription.duration}
 - Condition (if provided): ${prescription.condition || 'Not specified'}
 
@@ -350,26 +422,30 @@ Remember: These are DRAFTS. The patient is the final authority.`;
 }
 
 // ============================================================================
-// DOCTOR SUMMARY GENERATION (STEP 8)
+// DOCTOR SUMMARY NARRATIVE (STEP 8)
 // ============================================================================
 
 /**
- * STEP 8: Generate summary for doctor review
+ * AI_SUMMARY_NARRATIVE: set to "false" to skip the AI narrative
+ * (doctors then only see the structured summary)
+ */
+const NARRATIVE_ENABLED = process.env.AI_SUMMARY_NARRATIVE !== 'false' && !!process.env.GROQ_API_KEY;
+
+/**
+ * STEP 8: Write a short narrative on top of the structured summary
  * 
  * PURPOSE:
- * Formats PATIENT-VERIFIED data into a clean summary for the doctor.
+ * The structured summary (followUpSummaryService.js) is always built at
+ * submission and is what the doctor relies on. This adds an optional,
+ * readable paragraph version of it. If it is disabled or fails, the
+ * follow-up is still ready for review.
  * This is REFORMATTING only - no interpretation, no advice, no inference.
  * 
  * SECURITY:
  * - ONLY called AFTER patient explicit consent
- * - Uses ONLY patient-verified data (not AI-generated content)
+ * - Uses ONLY the structured summary of patient-verified data
  * - No medical recommendations or interpretations
  * 
- * WHAT IT DOES:
- * - Reorganizes patient responses into readable format
- * - Includes prescription context
- * - Highlights key information
- * 
  * WHAT IT DOES NOT DO:
  * - Interpret symptoms
  * - Suggest diagnoses
@@ -377,9 +453,13 @@ Remember: These are DRAFTS. The patient is the final authority.`;
  * - Add information beyond what patient provided
  * 
  * @param {string} followUpId - The follow-up document ID
- * @returns {Promise<{success: boolean, summary?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, summary?: string, skipped?: boolean, error?: string}>}
  */
 async function generateDoctorSummary(followUpId) {
+    if (!NARRATIVE_ENABLED) {
+        return { success: false, skipped: true };
+    }
+
     // ========== FETCH DATA ==========
     const followUpDoc = await db.collection('followUps').doc(followUpId).get();
     if (!followUpDoc.exists) {
@@ -397,6 +477,9 @@ async function generateDoctorSummary(followUpId) {
             error: 'Patient consent required before generating summary'
         };
     }
+    if (!followUpData.structuredSummary) {
+        return { success: false, error: 'Structured summary not available' };
+    }
 
     // Get prescription data for context
     const prescriptionDoc = await db.collection('prescriptions').doc(followUpData.prescriptionId).get();
@@ -404,33 +487,28 @@ async function generateDoctorSummary(followUpId) {
 
     // ========== AI PROMPT ==========
     /**
-     * Prompt for Summary Generation
+     * Prompt for Narrative Generation
      * 
      * KEY CONSTRAINTS:
-     * - ONLY reformat existing data
+     * - ONLY reformat the structured summary
      * - NO interpretation or medical advice
      * - NO adding information beyond what's provided
      */
     const prompt = `${SAFETY_PREFIX}
 
-TASK: Format the following PATIENT-VERIFIED follow-up data into a clean summary for the doctor.
+TASK: Rewrite the following PATIENT-VERIFIED follow-up summary as a short paragraph for the doctor.
 DO NOT add any interpretation, advice, or inferred information.
-ONLY reformat what is explicitly provided.
+ONLY reformat what is explicitly provided. Keep every highlight.
 
 PRESCRIPTION INFO:
-- Medicine: ${prescription.medicineName}
-- Dosage: ${prescription.dosage}
+- Medications:
+${formatMedicationList(prescription) || 'Not specified'}
 - Duration: ${prescription.duration}
 - Condition: ${prescription.condition || 'Not specified'}
 
-PATIENT-VERIFIED RESPONSES:
-- Medication Adherence: ${followUpData.verifiedResponses?.medicationAdherence || 'Not provided'}
-- Symptom Status: ${followUpData.verifiedResponses?.symptomStatus || 'Not provided'}
-- Side Effects: ${followUpData.verifiedResponses?.sideEffects || 'Not provided'}
-- Completion Status: ${followUpData.verifiedResponses?.completionStatus || 'Not provided'}
-- Additional Notes: ${followUpData.verifiedResponses?.additionalNotes || 'None'}
+${formatStructuredSummary(followUpData.structuredSummary)}
 
-OUTPUT: A clean, formatted summary. Do NOT add medical advice or interpretation.`;
+OUTPUT: A short, clean paragraph. Do NOT add medical advice or interpretation.`;
 
     try {
         // Call Groq API
@@ -445,12 +523,11 @@ OUTPUT: A clean, formatted summary. Do NOT add medical advice or interpretation.
 
         const summary = completion.choices[0]?.message?.content || '';
 
-        // ========== STORE SUMMARY ==========
-        // Update follow-up with summary and mark as ready for doctor review
+        // ========== STORE NARRATIVE ==========
+        // The follow-up is already ready_for_review (set at submission)
         await db.collection('followUps').doc(followUpId).update({
             doctorSummary: summary,
-            summaryGeneratedAt: new Date(),
-            status: 'ready_for_review',  // Status change triggers doctor notification
+            narrativeGeneratedAt: new Date(),
         });
 
         return { success: true, summary };
@@ -467,6 +544,7 @@ OUTPUT: A clean, formatted summary. Do NOT add medical advice or interpretation.
 
 module.exports = {
     generateDraftStatements,       // Step 5: Create editable drafts for patient
-    generateDoctorSummary,         // Step 8: Format verified data for doctor
+    generateDoctorSummary,         // Step 8: Optional narrative of the structured summary
     generatePersonalizedQuestions, // Generate condition-specific questions
+    normalizePersonalizedQuestions, // Stored/AI questions → form shape
 };
@@ -0,0 +1,492 @@
+/**
+ * ============================================================================
+ * Alert Service
+ * Urgent Case Alerts with Acknowledgement SLA and Escalation
+ * ============================================================================
+ *
+ * PURPOSE:
+ * When a case is flagged urgent - an adverse event report with red-flag
+ * keywords, or a follow-up whose answers need urgent attention - someone
+ * must look at it now. This service tells the right people and keeps
+ * telling more people until one of them acknowledges the alert.
+ *
+ * TIMELINE:
+ *   raised      → prescribing doctor + hospital on-call roster notified
+ *   + SLA       → not acknowledged: escalated - doctor and roster again,
+ *                 plus every active staff member of the hospital
+ *   + SLA again → still not acknowledged: escalated again, and so on
+ *   acknowledged at any point → no more notifications
+ * Escalation has its own background job (startUrgentAlertEscalation),
+ * independent of the follow-up scheduler; it runs every
+ * URGENT_ALERT_ESCALATION_INTERVAL_MINUTES.
+ *
+ * CONFIGURATION:
+ * - URGENT_ALERT_ACK_MINUTES: acknowledgement SLA (default 15), also
+ *   the time between repeated escalations
+ * - URGENT_ALERT_ESCALATION_INTERVAL_MINUTES: escalation check (default 1)
+ * - URGENT_ALERT_ESCALATION_ENABLED: 'false' stops this instance from
+ *   escalating (e.g. on extra API replicas)
+ * - On-call roster: hospitals/{hospitalId}.onCallUserIds - set by the
+ *   hospital admin (PUT /api/alerts/on-call)
+ *
+ * CHANNELS (each only when configured, per recipient):
+ * - WhatsApp and SMS to the user's phone (Twilio)
+ * - Email (EMAIL_USER)
+ * Unacknowledged alerts are also shown as a banner on the doctor and
+ * staff dashboards, so nobody depends on a message arriving.
+ *
+ * ALERT DOCUMENT (urgentAlerts/{source}_{recordId}):
+ * {
+ *   source: 'adverse_event' | 'follow_up', recordId, adverseEventId,
+ *   hospitalId, doctorId, caseId, patientName, patientPhone,
+ *   reasons: ['Urgent: Breathing difficulty', ...],
+ *   status: 'open' | 'acknowledged',
+ *   createdAt, ackDueAt, nextEscalationAt, escalatedAt (first),
+ *   escalationCount,
+ *   notifications: [{ userId, level, sentAt, whatsapp, sms, email }],
+ *   acknowledgedAt, acknowledgedBy: { userId, name, role }
+ * }
+ * One alert per record: raising it again while it exists does nothing.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { admin, db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+const { sendUrgentAlert } = require('./whatsappService');
+const { sendUrgentAlertEmail } = require('./emailService');
+require('dotenv').config();
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * URGENT_ALERT_ACK_MINUTES: How long the first recipients have to
+ * acknowledge before the alert is escalated
+ */
+const ACK_MINUTES = parseFloat(process.env.URGENT_ALERT_ACK_MINUTES) || 15;
+
+/**
+ * URGENT_ALERT_ESCALATION_INTERVAL_MINUTES: How often overdue alerts are
+ * checked - short, since the SLA itself is only minutes
+ */
+const ESCALATION_INTERVAL_MINUTES = parseFloat(process.env.URGENT_ALERT_ESCALATION_INTERVAL_MINUTES) || 1;
+
+/**
+ * URGENT_ALERT_ESCALATION_ENABLED: Set to 'false' to stop this instance
+ * from escalating alerts
+ */
+const ESCALATION_ENABLED = process.env.URGENT_ALERT_ESCALATION_ENABLED !== 'false';
+
+/**
+ * Alerts escalated per run - the rest go next run
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * Roles that receive and acknowledge alerts
+ */
+const ALERT_ROLES = ['doctor', 'staff'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Firestore returns Timestamps, fresh objects use Dates
+ *
+ * @param {*} value - Timestamp | Date | null
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (!value) return null;
+    return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * User IDs on call for a hospital
+ *
+ * @param {string} hospitalId
+ * @returns {Promise<string[]>}
+ */
+async function getOnCallUserIds(hospitalId) {
+    const doc = await db.collection('hospitals').doc(hospitalId || DEFAULT_HOSPITAL_ID).get();
+    return (doc.exists && doc.data().onCallUserIds) || [];
+}
+
+/**
+ * Replace a hospital's on-call roster
+ * The caller validates the user IDs (active doctors/staff of the hospital).
+ *
+ * @param {string} hospitalId
+ * @param {string[]} userIds
+ * @param {string} updatedBy - Admin user ID
+ */
+async function setOnCallUserIds(hospitalId, userIds, updatedBy) {
+    await db.collection('hospitals').doc(hospitalId).set({
+        onCallUserIds: userIds,
+        onCallUpdatedAt: new Date(),
+        onCallUpdatedBy: updatedBy,
+    }, { merge: true });
+}
+
+/**
+ * Active doctor/staff accounts of a hospital among the given IDs
+ *
+ * @param {string[]} userIds
+ * @param {string} hospitalId
+ * @returns {Promise<Array<{userId: string}>>} User data with userId
+ */
+async function getAlertRecipients(userIds, hospitalId) {
+    const recipients = [];
+    for (const userId of new Set(userIds.filter(Boolean))) {
+        const doc = await db.collection('users').doc(userId).get();
+        if (!doc.exists) continue;
+        const data = doc.data();
+        if (data.isActive === false || (data.hospitalId || DEFAULT_HOSPITAL_ID) !== hospitalId || !ALERT_ROLES.includes(data.role)) continue;
+        recipients.push({ userId, ...data });
+    }
+    return recipients;
+}
+
+/**
+ * May this user see and acknowledge the alert?
+ * Staff of the hospital, the prescribing doctor, and doctors on call.
+ *
+ * @param {object} user - req.user
+ * @param {object} alert - Alert data
+ * @param {string[]} onCallUserIds - Roster of the alert's hospital
+ * @returns {boolean}
+ */
+function canHandleAlert(user, alert, onCallUserIds) {
+    if (user.hospitalId !== alert.hospitalId) return false;
+    if (user.role === 'staff') return true;
+    return user.role === 'doctor' && (alert.doctorId === user.userId || onCallUserIds.includes(user.userId));
+}
+
+// ============================================================================
+// NOTIFY
+// ============================================================================
+
+/**
+ * Send the alert to each recipient on every configured channel
+ *
+ * @param {object} alert - Alert data (caseId)
+ * @param {Array} recipients - From getAlertRecipients()
+ * @param {number} level - 0 = raised, 1+ = escalation number
+ * @returns {Promise<Array>} Notification records { userId, level, sentAt, whatsapp, sms, email }
+ */
+async function notifyRecipients(alert, recipients, level) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const records = [];
+
+    for (const recipient of recipients) {
+        const dashboardLink = `${frontendUrl}/${recipient.role === 'staff' ? 'staff' : 'doctor'}/dashboard`;
+        const params = { caseId: alert.caseId, escalated: level > 0, ackMinutes: ACK_MINUTES, dashboardLink };
+        const record = { userId: recipient.userId, level, sentAt: new Date(), whatsapp: false, sms: false, email: false };
+
+        if (recipient.phone && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+            const result = await sendUrgentAlert({ to: recipient.phone, ...params });
+            record.whatsapp = result.whatsapp.success;
+            record.sms = result.sms.success;
+        }
+
+        if (recipient.email && process.env.EMAIL_USER) {
+            const result = await sendUrgentAlertEmail({ to: recipient.email, name: recipient.name, ...params });
+            record.email = result.success;
+        }
+
+        records.push(record);
+    }
+
+    return records;
+}
+
+// ============================================================================
+// RAISE
+// ============================================================================
+
+/**
+ * Raise an urgent alert for a case and notify the first recipients
+ *
+ * Never throws for delivery problems - a failed message is recorded as
+ * false and the dashboard banner still shows the alert.
+ *
+ * @param {object} params
+ * @param {string} params.source - 'adverse_event' | 'follow_up'
+ * @param {string} params.recordId - Adverse event or follow-up document ID
+ * @param {string} params.adverseEventId - Linked adverse event (follow-ups), optional
+ * @param {string} params.hospitalId
+ * @param {string} params.doctorId - Prescribing / assigned doctor (may be null)
+ * @param {string} params.caseId - Case reference shown in messages
+ * @param {string} params.patientName
+ * @param {string} params.patientPhone
+ * @param {string[]} params.reasons - Why the case is urgent (dashboard only)
+ * @returns {Promise<{alertId: string, created: boolean, notified: number}>}
+ */
+async function raiseUrgentAlert({ source, recordId, adverseEventId = null, hospitalId, doctorId, caseId, patientName, patientPhone, reasons = [] }) {
+    const alertId = `${source}_${recordId}`;
+    const alertRef = db.collection('urgentAlerts').doc(alertId);
+    const now = new Date();
+    const ackDueAt = new Date(now.getTime() + ACK_MINUTES * MINUTE_MS);
+
+    const alert = {
+        source,
+        recordId,
+        adverseEventId,
+        hospitalId: hospitalId || DEFAULT_HOSPITAL_ID,
+        doctorId: doctorId || null,
+        caseId,
+        patientName: patientName || null,
+        patientPhone: patientPhone || null,
+        reasons,
+        status: 'open',
+        createdAt: now,
+        ackDueAt,
+        nextEscalationAt: ackDueAt,
+        escalatedAt: null,
+        notifications: [],
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+    };
+
+    // ========== ONE ALERT PER RECORD ==========
+    const created = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(alertRef);
+        if (doc.exists) return false;
+        transaction.set(alertRef, alert);
+        return true;
+    });
+    if (!created) {
+        return { alertId, created: false, notified: 0 };
+    }
+
+    console.log('🚨 URGENT ALERT RAISED:', caseId);
+
+    // ========== DOCTOR + ON-CALL ROSTER ==========
+    const onCallUserIds = await getOnCallUserIds(alert.hospitalId);
+    const recipients = await getAlertRecipients([alert.doctorId, ...onCallUserIds], alert.hospitalId);
+    const notifications = await notifyRecipients(alert, recipients, 0);
+
+    await alertRef.update({ notifications });
+
+    return { alertId, created: true, notified: recipients.length };
+}
+
+// ============================================================================
+// ESCALATE
+// ============================================================================
+
+/**
+ * Reserve the escalation of one alert
+ * Moves nextEscalationAt one SLA ahead before anything is sent, so each
+ * escalation runs once and the next follows if nobody acknowledges.
+ *
+ * @param {object} alertRef - Alert document reference
+ * @param {Date} now - Reference time
+ * @returns {Promise<object|null>} Alert data with escalationCount, or
+ *          null when nothing to do
+ */
+async function claimEscalation(alertRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(alertRef);
+        if (!doc.exists) return null;
+
+        const alert = doc.data();
+        const nextEscalationAt = toDate(alert.nextEscalationAt);
+
+        // Acknowledged, or another instance got here first
+        if (alert.status !== 'open' || !nextEscalationAt || nextEscalationAt > now) {
+            return null;
+        }
+
+        const escalationCount = (alert.escalationCount || 0) + 1;
+        transaction.update(alertRef, {
+            escalatedAt: toDate(alert.escalatedAt) || now,
+            escalationCount,
+            nextEscalationAt: new Date(now.getTime() + ACK_MINUTES * MINUTE_MS),
+        });
+        return { ...alert, escalationCount };
+    });
+}
+
+/**
+ * Escalate every open alert whose acknowledgement SLA has passed
+ *
+ * Recipients: the prescribing doctor, the on-call roster and every active
+ * staff member of the hospital - again every ACK_MINUTES until someone
+ * acknowledges.
+ *
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<{escalated: number, failed: number}>}
+ */
+async function runUrgentAlertEscalations(now = new Date()) {
+    const snapshot = await db.collection('urgentAlerts')
+        .where('status', '==', 'open')
+        .where('nextEscalationAt', '<=', now)
+        .orderBy('nextEscalationAt', 'asc')
+        .limit(BATCH_SIZE)
+        .get();
+
+    let escalated = 0;
+    let failed = 0;
+
+    for (const doc of snapshot.docs) {
+        try {
+            const alert = await claimEscalation(db.collection('urgentAlerts').doc(doc.id), now);
+            if (!alert) continue;
+
+            const staffSnapshot = await db.collection('users')
+                .where('hospitalId', '==', alert.hospitalId)
+                .where('role', '==', 'staff')
+                .where('isActive', '==', true)
+                .get();
+            const onCallUserIds = await getOnCallUserIds(alert.hospitalId);
+
+            const recipients = await getAlertRecipients(
+                [alert.doctorId, ...onCallUserIds, ...staffSnapshot.docs.map(d => d.id)],
+                alert.hospitalId
+            );
+            const notifications = await notifyRecipients(alert, recipients, alert.escalationCount);
+
+            if (notifications.length > 0) {
+                await db.collection('urgentAlerts').doc(doc.id).update({
+                    notifications: admin.firestore.FieldValue.arrayUnion(...notifications),
+                });
+            }
+            escalated++;
+
+        } catch (error) {
+            console.error('Urgent Alert Escalation Error:', doc.id, error);
+            failed++;
+        }
+    }
+
+    if (escalated || failed) {
+        console.log(`🚨 Urgent alerts: ${escalated} escalated, ${failed} failed`);
+    }
+
+    return { escalated, failed };
+}
+
+/**
+ * Start the escalation job (called once from server.js)
+ * Runs on its own timer so escalation continues on instances where the
+ * follow-up scheduler is disabled.
+ *
+ * @returns {object|null} Interval handle, or null when disabled
+ */
+function startUrgentAlertEscalation() {
+    if (!ESCALATION_ENABLED) {
+        console.log('🚨 Urgent alert escalation disabled (URGENT_ALERT_ESCALATION_ENABLED=false)');
+        return null;
+    }
+
+    const run = async () => {
+        try {
+            await runUrgentAlertEscalations();
+        } catch (error) {
+            console.error('Urgent Alert Escalation Job Error:', error);
+        }
+    };
+
+    const timer = setInterval(run, ESCALATION_INTERVAL_MINUTES * MINUTE_MS);
+    timer.unref();  // Never keep the process alive just for escalation
+    run();
+
+    return timer;
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Open alerts the user can handle, oldest first
+ *
+ * @param {object} user - req.user (doctor or staff)
+ * @returns {Promise<Array>}
+ */
+async function listOpenAlerts(user) {
+    const snapshot = await db.collection('urgentAlerts')
+        .where('hospitalId', '==', user.hospitalId)
+        .where('status', '==', 'open')
+        .get();
+    const onCallUserIds = await getOnCallUserIds(user.hospitalId);
+
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(alert => canHandleAlert(user, alert, onCallUserIds))
+        .map(alert => ({
+            id: alert.id,
+            source: alert.source,
+            recordId: alert.recordId,
+            adverseEventId: alert.adverseEventId || null,
+            doctorId: alert.doctorId,
+            caseId: alert.caseId,
+            patientName: alert.patientName,
+            patientPhone: alert.patientPhone,
+            reasons: alert.reasons || [],
+            createdAt: toDate(alert.createdAt),
+            ackDueAt: toDate(alert.ackDueAt),
+            escalatedAt: toDate(alert.escalatedAt),
+        }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Acknowledge an alert - stops further notifications
+ *
+ * @param {string} alertId
+ * @param {object} user - req.user
+ * @returns {Promise<{status: number, error?: string, alert?: object}>}
+ *          status 200 on success, 404 / 403 / 409 otherwise
+ */
+async function acknowledgeAlert(alertId, user) {
+    const alertRef = db.collection('urgentAlerts').doc(alertId);
+    const onCallUserIds = await getOnCallUserIds(user.hospitalId);
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(alertRef);
+        if (!doc.exists) return { status: 404, error: 'Alert not found' };
+
+        const alert = doc.data();
+        if (!canHandleAlert(user, alert, onCallUserIds)) {
+            return { status: 403, error: 'You cannot acknowledge this alert' };
+        }
+        if (alert.status !== 'open') {
+            return { status: 409, error: 'Alert was already acknowledged', alert: { acknowledgedBy: alert.acknowledgedBy } };
+        }
+
+        const update = {
+            status: 'acknowledged',
+            acknowledgedAt: new Date(),
+            acknowledgedBy: { userId: user.userId, name: user.name || null, role: user.role },
+            nextEscalationAt: null,
+        };
+        transaction.update(alertRef, update);
+        return { status: 200, alert: { id: alertId, ...update } };
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    ACK_MINUTES,                 // Acknowledgement SLA (minutes)
+    raiseUrgentAlert,            // Case flagged urgent → notify doctor + on call
+    runUrgentAlertEscalations,   // One escalation pass
+    startUrgentAlertEscalation,  // Background job
+    listOpenAlerts,              // Dashboard banner
+    acknowledgeAlert,            // Stop notifications
+    getOnCallUserIds,            // Roster (admin settings)
+    setOnCallUserIds,            // Roster (admin settings)
+};
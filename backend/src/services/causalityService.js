@@ -0,0 +1,322 @@
+/**
+ * ============================================================================
+ * Causality Service - Naranjo Score & WHO-UMC Category
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Structured causality assessment of an adverse event case: did the
+ * suspect medicine cause the reaction? Two standard methods are computed
+ * from the case's safety fields:
+ * - Naranjo algorithm: 10 questions, each yes/no/don't know, scored
+ *   -4..13 → definite / probable / possible / doubtful
+ * - WHO-UMC system: certain / probable / possible / unlikely /
+ *   conditional / unassessable, from time relationship, dechallenge,
+ *   rechallenge and alternative causes
+ *
+ * MACHINE vs CLINICIAN:
+ * - machineCausality is recomputed whenever the case's safety data changes
+ *   (POST /api/adverse-events/:id/submit, cases opened from follow-ups)
+ * - clinicianCausality is the doctor's assessment
+ *   (PUT /api/adverse-events/:id/causality). The doctor may correct
+ *   Naranjo answers and pick a different WHO-UMC category; a reason is
+ *   required whenever they differ from the machine assessment.
+ * Both are stored on the case, so reviewers see where they disagree.
+ *
+ * INPUTS (case fields):
+ * - timeToOnset: immediate | hours | next_day | few_days | week_plus
+ * - actionTaken: continued | reduced | stopped | restarted (dechallenge /
+ *   rechallenge)
+ * - outcome: resolved | improved | unchanged | worsened | unknown
+ * - concomitantMeds: none | prescription | otc | supplements | multiple
+ *   ("no other medicines" counts as no alternative cause; other
+ *   alternatives, e.g. the underlying illness, are for the doctor to judge)
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Version of the rules below - stored with every machine assessment
+ */
+const CAUSALITY_RULES_VERSION = 1;
+
+/**
+ * Naranjo questionnaire with the points for each answer
+ * (Naranjo et al., Clin Pharmacol Ther 1981)
+ */
+const NARANJO_QUESTIONS = [
+    { id: 'previousReports', question: 'Are there previous conclusive reports on this reaction?', points: { yes: 1, no: 0, unknown: 0 } },
+    { id: 'afterDrug', question: 'Did the adverse event appear after the suspected drug was administered?', points: { yes: 2, no: -1, unknown: 0 } },
+    { id: 'dechallenge', question: 'Did the adverse reaction improve when the drug was discontinued or a specific antagonist was administered?', points: { yes: 1, no: 0, unknown: 0 } },
+    { id: 'rechallenge', question: 'Did the adverse reaction reappear when the drug was readministered?', points: { yes: 2, no: -1, unknown: 0 } },
+    { id: 'alternativeCauses', question: 'Are there alternative causes (other than the drug) that could on their own have caused the reaction?', points: { yes: -1, no: 2, unknown: 0 } },
+    { id: 'placebo', question: 'Did the reaction reappear when a placebo was given?', points: { yes: -1, no: 1, unknown: 0 } },
+    { id: 'toxicLevels', question: 'Was the drug detected in the blood (or other fluids) in concentrations known to be toxic?', points: { yes: 1, no: 0, unknown: 0 } },
+    { id: 'doseResponse', question: 'Was the reaction more severe when the dose was increased, or less severe when the dose was decreased?', points: { yes: 1, no: 0, unknown: 0 } },
+    { id: 'previousSimilar', question: 'Did the patient have a similar reaction to the same or similar drugs in any previous exposure?', points: { yes: 1, no: 0, unknown: 0 } },
+    { id: 'objectiveEvidence', question: 'Was the adverse event confirmed by any objective evidence?', points: { yes: 1, no: 0, unknown: 0 } },
+];
+
+const NARANJO_ANSWERS = ['yes', 'no', 'unknown'];
+
+/**
+ * WHO-UMC causality categories
+ */
+const WHO_UMC_CATEGORIES = {
+    certain: 'Certain',
+    probable: 'Probable / Likely',
+    possible: 'Possible',
+    unlikely: 'Unlikely',
+    conditional: 'Conditional / Unclassified',
+    unassessable: 'Unassessable / Unclassifiable',
+};
+
+/**
+ * Time to onset that makes a causal relationship plausible
+ * ('week_plus' is still possible, but improbable on its own)
+ */
+const PLAUSIBLE_ONSET = ['immediate', 'hours', 'next_day', 'few_days'];
+
+const MAX_REASON_LENGTH = 1000;
+
+// ============================================================================
+// NARANJO
+// ============================================================================
+
+/**
+ * Naranjo category of a total score
+ *
+ * @param {number} score - Sum of the points (-4..13)
+ * @returns {string} 'definite' | 'probable' | 'possible' | 'doubtful'
+ */
+function naranjoCategory(score) {
+    if (score >= 9) return 'definite';
+    if (score >= 5) return 'probable';
+    if (score >= 1) return 'possible';
+    return 'doubtful';
+}
+
+/**
+ * Score a full set of Naranjo answers
+ *
+ * @param {object} answers - { [questionId]: 'yes' | 'no' | 'unknown' }
+ * @returns {{answers: object, score: number, category: string}}
+ */
+function scoreNaranjo(answers) {
+    const score = NARANJO_QUESTIONS
+        .reduce((sum, q) => sum + q.points[answers[q.id] || 'unknown'], 0);
+    return { answers, score, category: naranjoCategory(score) };
+}
+
+/**
+ * Answer the Naranjo questions from the case's safety fields
+ * Questions the patient's answers cannot settle stay 'unknown'
+ * (0 points) - the doctor can answer them.
+ *
+ * @param {object} facts - From caseFacts()
+ * @returns {object} { [questionId]: 'yes' | 'no' | 'unknown' }
+ */
+function deriveNaranjoAnswers(facts) {
+    const answers = Object.fromEntries(NARANJO_QUESTIONS.map(q => [q.id, 'unknown']));
+
+    if (facts.onset) answers.afterDrug = 'yes';
+    if (facts.dechallenge !== 'unknown') answers.dechallenge = facts.dechallenge;
+    if (facts.rechallenge !== 'unknown') answers.rechallenge = facts.rechallenge;
+    if (facts.alternativeCauses !== 'unknown') answers.alternativeCauses = facts.alternativeCauses;
+    if (facts.doseReducedAndImproved) answers.doseResponse = 'yes';
+
+    return answers;
+}
+
+// ============================================================================
+// WHO-UMC
+// ============================================================================
+
+/**
+ * What the case's safety fields say about the causality criteria
+ *
+ * @param {object} caseData - Adverse event case
+ * @returns {object} { onset, plausibleOnset, dechallenge, rechallenge,
+ *   alternativeCauses, doseReducedAndImproved, missing: string[] }
+ */
+function caseFacts(caseData) {
+    const { timeToOnset, actionTaken, outcome, concomitantMeds } = caseData;
+    const improved = ['resolved', 'improved'].includes(outcome);
+    const notImproved = ['unchanged', 'worsened'].includes(outcome);
+
+    // Dechallenge: the medicine was stopped (or reduced) - did it get better?
+    let dechallenge = 'unknown';
+    if (['stopped', 'reduced'].includes(actionTaken) && improved) dechallenge = 'yes';
+    if (actionTaken === 'stopped' && notImproved) dechallenge = 'no';
+
+    // Rechallenge: stopped then restarted - did it come back?
+    // (coming back means it had gone away after stopping - positive dechallenge too)
+    let rechallenge = 'unknown';
+    if (actionTaken === 'restarted' && outcome === 'worsened') {
+        rechallenge = 'yes';
+        dechallenge = 'yes';
+    }
+    if (actionTaken === 'restarted' && outcome === 'resolved') rechallenge = 'no';
+
+    // Alternative causes: excluded only when no other medicines were taken
+    const alternativeCauses = concomitantMeds === 'none' ? 'no' : 'unknown';
+
+    const missing = ['timeToOnset', 'actionTaken', 'outcome', 'concomitantMeds']
+        .filter(field => !caseData[field]);
+
+    return {
+        onset: Boolean(timeToOnset),
+        plausibleOnset: PLAUSIBLE_ONSET.includes(timeToOnset),
+        dechallenge,
+        rechallenge,
+        alternativeCauses,
+        doseReducedAndImproved: actionTaken === 'reduced' && improved,
+        missing,
+    };
+}
+
+/**
+ * WHO-UMC category from the causality criteria
+ *
+ * @param {object} facts - From caseFacts()
+ * @returns {{category: string, criteria: string[]}} criteria explain the category
+ */
+function classifyWhoUmc(facts) {
+    const criteria = [];
+
+    // More data is needed before anything can be said
+    if (facts.missing.length > 0) {
+        criteria.push(`Missing: ${facts.missing.join(', ')}`);
+        return { category: 'conditional', criteria };
+    }
+
+    criteria.push(facts.plausibleOnset
+        ? 'Plausible time relationship'
+        : 'Time relationship improbable (onset after a week or more)');
+    if (facts.dechallenge === 'yes') criteria.push('Positive dechallenge');
+    if (facts.dechallenge === 'no') criteria.push('Negative dechallenge (no improvement after stopping)');
+    if (facts.rechallenge === 'yes') criteria.push('Positive rechallenge');
+    if (facts.rechallenge === 'no') criteria.push('Negative rechallenge');
+    if (facts.alternativeCauses === 'no') criteria.push('No alternative cause (no other medicines)');
+    if (facts.alternativeCauses === 'unknown') criteria.push('Other medicines taken - alternative causes not excluded');
+
+    const noAlternative = facts.alternativeCauses === 'no';
+
+    if (facts.plausibleOnset && facts.dechallenge === 'yes' && facts.rechallenge === 'yes' && noAlternative) {
+        return { category: 'certain', criteria };
+    }
+    if (facts.plausibleOnset && facts.dechallenge === 'yes' && noAlternative) {
+        return { category: 'probable', criteria };
+    }
+    if (!noAlternative && (!facts.plausibleOnset || facts.dechallenge === 'no')) {
+        return { category: 'unlikely', criteria };
+    }
+    return { category: 'possible', criteria };
+}
+
+// ============================================================================
+// ASSESSMENTS
+// ============================================================================
+
+/**
+ * Machine causality assessment of a case
+ *
+ * @param {object} caseData - Adverse event case (safety fields)
+ * @returns {object} { naranjo: { answers, score, category },
+ *   whoUmc: { category, criteria }, rulesVersion, assessedAt }
+ */
+function assessCausality(caseData) {
+    const facts = caseFacts(caseData);
+    return {
+        naranjo: scoreNaranjo(deriveNaranjoAnswers(facts)),
+        whoUmc: classifyWhoUmc(facts),
+        rulesVersion: CAUSALITY_RULES_VERSION,
+        assessedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Validate a doctor's causality assessment and build the stored record
+ *
+ * @param {object} input - { whoUmcCategory, naranjoAnswers?, reason? }
+ *   naranjoAnswers may answer only some questions - the rest keep the
+ *   machine's answer
+ * @param {object} machine - Current machine assessment of the case
+ * @param {object} user - Doctor from the JWT
+ * @returns {{valid: boolean, errors: object[], assessment?: object}}
+ *   errors: [{ field, message }]
+ */
+function buildClinicianAssessment(input, machine, user) {
+    const errors = [];
+    const { whoUmcCategory, naranjoAnswers = {}, reason } = input || {};
+
+    if (!Object.keys(WHO_UMC_CATEGORIES).includes(whoUmcCategory)) {
+        errors.push({ field: 'whoUmcCategory', message: `Choose one of: ${Object.keys(WHO_UMC_CATEGORIES).join(', ')}` });
+    }
+
+    if (!naranjoAnswers || typeof naranjoAnswers !== 'object' || Array.isArray(naranjoAnswers)) {
+        errors.push({ field: 'naranjoAnswers', message: 'must be an object of question answers' });
+    } else {
+        for (const [questionId, answer] of Object.entries(naranjoAnswers)) {
+            if (!NARANJO_QUESTIONS.some(q => q.id === questionId)) {
+                errors.push({ field: `naranjoAnswers.${questionId}`, message: 'Unknown question' });
+            } else if (!NARANJO_ANSWERS.includes(answer)) {
+                errors.push({ field: `naranjoAnswers.${questionId}`, message: `Choose one of: ${NARANJO_ANSWERS.join(', ')}` });
+            }
+        }
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        errors.push({ field: 'reason', message: `must be text of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    // ========== COMPARE WITH THE MACHINE ==========
+    const naranjo = scoreNaranjo({ ...machine.naranjo.answers, ...naranjoAnswers });
+    const changedAnswers = NARANJO_QUESTIONS
+        .map(q => q.id)
+        .filter(id => naranjo.answers[id] !== machine.naranjo.answers[id]);
+    const overridesMachine = whoUmcCategory !== machine.whoUmc.category || changedAnswers.length > 0;
+
+    const trimmedReason = reason?.trim() || null;
+    if (overridesMachine && !trimmedReason) {
+        return {
+            valid: false,
+            errors: [{ field: 'reason', message: 'Give a reason when your assessment differs from the computed one' }],
+        };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        assessment: {
+            naranjo,
+            whoUmc: { category: whoUmcCategory },
+            overridesMachine,
+            changedAnswers,
+            reason: trimmedReason,
+            machineWhoUmcCategory: machine.whoUmc.category,
+            machineNaranjoScore: machine.naranjo.score,
+            assessedBy: { userId: user.userId, name: user.name },
+            assessedAt: new Date().toISOString(),
+        },
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    NARANJO_QUESTIONS,
+    WHO_UMC_CATEGORIES,
+    assessCausality,            // Case fields → machine Naranjo + WHO-UMC
+    buildClinicianAssessment,   // Doctor's assessment (override needs a reason)
+    caseFacts,                  // Dechallenge / rechallenge (also on the CIOMS I form)
+};
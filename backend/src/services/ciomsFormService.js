@@ -0,0 +1,497 @@
+/**
+ * ============================================================================
+ * CIOMS Form Service - CIOMS I Suspect Adverse Reaction Report (PDF)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Many regulators and partners still accept (or ask for) the paper CIOMS I
+ * form next to - or instead of - an E2B message. This service fills the
+ * CIOMS I layout from an adverse event case and renders it as a PDF.
+ *
+ * LAYOUT (CIOMS I box → case field):
+ * I. Reaction information
+ *   1 initials, 2a age                 ← patientName, patientAge
+ *   4-6 reaction onset                  ← timeToOnset (relative - no date is collected)
+ *   7+13 describe reaction(s)           ← symptoms, outcome, summary, causality
+ *   8-12 seriousness                    ← overallSeriousness, medicalAttention
+ * II. Suspect drug information
+ *   14 drug, 15 daily dose, 17 indication ← drugName, dosage/frequency, indication
+ *   18/19 therapy dates / duration      ← linked prescription
+ *   20/21 dechallenge / rechallenge     ← actionTaken + outcome (causalityService)
+ * III. Concomitant drugs and history
+ *   22 concomitant drugs                ← other medicines of the prescription
+ * IV. Manufacturer / reporter information
+ *   24a-d, 25a                          ← hospitalId, caseId, reportedAt,
+ *                                         reporterType, regulatoryStatus
+ *
+ * Fields NEST 2O does not collect (country, date of birth, sex, route)
+ * are left blank rather than guessed. CIOMS_COUNTRY fills box 1a.
+ *
+ * WATERMARK:
+ * Every page carries the caseId and generation time (diagonally across
+ * the page and in the footer), so a printed copy can always be matched
+ * to the case and the version of the data it was made from.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const PDFDocument = require('pdfkit');
+const { ADVERSE_EVENT_QUESTIONS } = require('../config/adverseEventQuestionnaire');
+const { caseFacts } = require('./causalityService');
+const {
+    initialsOf,
+    ageInYears,
+    reactionsOf,
+    seriousnessOf,
+    concomitantDrugsOf,
+    causalityOf,
+} = require('./e2bExportService');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Country where the reaction occurred (box 1a) - blank when not set
+ */
+const CIOMS_COUNTRY = process.env.CIOMS_COUNTRY || '';
+
+/**
+ * Page geometry (A4, points)
+ */
+const PAGE = {
+    margin: 36,
+    width: 595.28 - 2 * 36,
+    bottom: 841.89 - 48,     // Leave room for the footer
+};
+
+/**
+ * Longest reaction description printed in box 7+13 - the rest goes
+ * onto a continuation page, as on the paper form
+ */
+const MAX_DESCRIPTION_HEIGHT = 170;
+
+const LABEL_SIZE = 6.5;
+const VALUE_SIZE = 9;
+const CELL_PADDING = 3;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Patient-facing label of a questionnaire answer ('hours' → 'Within hours')
+ *
+ * @param {string} questionId - e.g. 'timeToOnset'
+ * @param {string} value - Stored answer
+ * @returns {string|null}
+ */
+function answerLabel(questionId, value) {
+    if (!value) return null;
+    const question = ADVERSE_EVENT_QUESTIONS.find(q => q.id === questionId);
+    return question?.options.find(o => o.value === value)?.label || value;
+}
+
+/**
+ * Date as DD-MMM-YYYY (the CIOMS convention), '' when unknown
+ *
+ * @param {string|Date|object} value - ISO string, Date or Firestore Timestamp
+ * @returns {string}
+ */
+function formatDate(value) {
+    const date = value?.toDate ? value.toDate() : value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return '';
+    const month = date.toLocaleString('en-GB', { month: 'short', timeZone: 'UTC' }).toUpperCase();
+    return `${String(date.getUTCDate()).padStart(2, '0')}-${month}-${date.getUTCFullYear()}`;
+}
+
+/**
+ * Yes / No / N/A answer of boxes 20 and 21
+ */
+function yesNoLabel(answer) {
+    return { yes: 'YES', no: 'NO' }[answer] || 'NA';
+}
+
+/**
+ * Height a value needs in a cell of the given width
+ */
+function valueHeight(doc, value, width) {
+    doc.font('Helvetica').fontSize(VALUE_SIZE);
+    return doc.heightOfString(value || ' ', { width: width - 2 * CELL_PADDING });
+}
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+/**
+ * Section header bar ("I. REACTION INFORMATION")
+ *
+ * @returns {number} y below the bar
+ */
+function drawSection(doc, y, title) {
+    doc.rect(PAGE.margin, y, PAGE.width, 14).fill('#1a1a2e');
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(8)
+        .text(title, PAGE.margin + CELL_PADDING, y + 3.5, { width: PAGE.width, lineBreak: false });
+    doc.fillColor('#000000');
+    return y + 14;
+}
+
+/**
+ * One row of labelled boxes
+ *
+ * @param {object} doc - PDFDocument
+ * @param {number} y - Top of the row
+ * @param {object[]} cells - [{ label, value, width (fraction of the row),
+ *   checkboxes: [{ label, checked }] }]
+ * @param {object} [options]
+ * @param {number} [options.maxHeight] - Cut values off (with an ellipsis) at this height
+ * @returns {number} y below the row
+ */
+function drawRow(doc, y, cells, { maxHeight } = {}) {
+    const widths = cells.map(cell => cell.width * PAGE.width);
+    const labelHeight = 10;
+
+    const contentHeight = Math.max(...cells.map((cell, i) => {
+        if (cell.checkboxes) return cell.checkboxes.length * 11;
+        return valueHeight(doc, cell.value, widths[i]);
+    }));
+    const height = labelHeight + Math.min(contentHeight, maxHeight || Infinity) + 2 * CELL_PADDING;
+
+    let x = PAGE.margin;
+    cells.forEach((cell, i) => {
+        const width = widths[i];
+        doc.lineWidth(0.5).rect(x, y, width, height).stroke();
+
+        doc.font('Helvetica-Bold').fontSize(LABEL_SIZE)
+            .text(cell.label, x + CELL_PADDING, y + CELL_PADDING, { width: width - 2 * CELL_PADDING, lineBreak: false, ellipsis: true });
+
+        const top = y + CELL_PADDING + labelHeight;
+        if (cell.checkboxes) {
+            cell.checkboxes.forEach((box, j) => drawCheckbox(doc, x + CELL_PADDING, top + j * 11, box));
+        } else {
+            doc.font('Helvetica').fontSize(VALUE_SIZE).text(cell.value || '', x + CELL_PADDING, top, {
+                width: width - 2 * CELL_PADDING,
+                height: maxHeight,
+                ellipsis: Boolean(maxHeight),
+            });
+        }
+        x += width;
+    });
+
+    return y + height;
+}
+
+/**
+ * Tick box with its label
+ */
+function drawCheckbox(doc, x, y, { label, checked }) {
+    doc.lineWidth(0.5).rect(x, y, 7, 7).stroke();
+    if (checked) {
+        doc.font('Helvetica-Bold').fontSize(7).text('X', x + 1.3, y + 0.5, { lineBreak: false });
+    }
+    doc.font('Helvetica').fontSize(7.5).text(label, x + 11, y, { lineBreak: false });
+}
+
+/**
+ * Start a new page when the next block does not fit
+ */
+function ensureSpace(doc, y, needed) {
+    if (y + needed <= PAGE.bottom) return y;
+    doc.addPage();
+    return PAGE.margin;
+}
+
+/**
+ * Diagonal watermark and footer on every page
+ *
+ * @param {object} doc - PDFDocument (bufferPages: true)
+ * @param {string} stamp - "AE-... · Generated ..."
+ */
+function drawWatermarks(doc, stamp) {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        const { width, height } = doc.page;
+
+        doc.save();
+        doc.rotate(-35, { origin: [width / 2, height / 2] });
+        doc.fillColor('#1a1a2e').fillOpacity(0.08).font('Helvetica-Bold').fontSize(26)
+            .text(stamp, 0, height / 2 - 13, { width, align: 'center', lineBreak: false });
+        doc.restore();
+
+        // Footer sits below the bottom margin - lift it while writing,
+        // or pdfkit starts a new page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fillColor('#666666').fillOpacity(1).font('Helvetica').fontSize(7)
+            .text(`${stamp} · Page ${i - start + 1} of ${count}`, PAGE.margin, height - 30, {
+                width: PAGE.width,
+                align: 'center',
+                lineBreak: false,
+            });
+        doc.page.margins.bottom = bottomMargin;
+    }
+    doc.fillColor('#000000');
+}
+
+// ============================================================================
+// CASE → FORM CONTENT
+// ============================================================================
+
+/**
+ * Text of box 7+13 "Describe reaction(s)"
+ *
+ * @param {object} caseData - Adverse event case
+ * @returns {string}
+ */
+function describeReaction(caseData) {
+    const lines = [];
+
+    const reactions = reactionsOf(caseData).map(r => (r.meddra ? `${r.meddra.term} (MedDRA PT ${r.meddra.code})` : r.reportedText));
+    if (reactions.length > 0) lines.push(`Reaction(s): ${reactions.join('; ')}`);
+    if (caseData.symptomsDescription) lines.push(`Patient's description: ${caseData.symptomsDescription}`);
+    if (caseData.severity) lines.push(`Severity: ${answerLabel('severity', caseData.severity)}`);
+    if (caseData.medicalAttention) lines.push(`Medical attention: ${answerLabel('medicalAttention', caseData.medicalAttention)}`);
+    if (caseData.outcome) lines.push(`Outcome: ${answerLabel('outcome', caseData.outcome)}`);
+
+    const causality = causalityOf(caseData);
+    if (causality) lines.push(`Causality (${causality.method}): ${causality.result} - ${causality.source}`);
+
+    const narrative = caseData.summary || caseData.initialReport;
+    if (narrative) lines.push('', narrative);
+
+    return lines.join('\n');
+}
+
+/**
+ * All boxes of the form, as rows of cells
+ *
+ * @param {object} caseData - Adverse event case
+ * @param {object} context - { prescription, medicines, generatedAt }
+ * @returns {object} { reaction, suspect, concomitant, manufacturer, description }
+ */
+function buildFormContent(caseData, { prescription, medicines, generatedAt }) {
+    const facts = caseFacts(caseData);
+    const seriousness = seriousnessOf(caseData);
+    const age = ageInYears(caseData.patientAge);
+    const suspectMedicine = medicines.find(m => m.id === caseData.medicineId);
+    const reporterType = caseData.reporterType || 'patient';
+
+    const concomitant = concomitantDrugsOf(caseData, medicines)
+        .map(drug => [drug.name, drug.dosageText].filter(Boolean).join(' - '));
+
+    const onset = answerLabel('timeToOnset', caseData.timeToOnset);
+
+    return {
+        description: describeReaction(caseData),
+
+        reaction: [
+            [
+                { label: '1. PATIENT INITIALS', value: initialsOf(caseData.patientName) || '', width: 0.2 },
+                { label: '1a. COUNTRY', value: CIOMS_COUNTRY, width: 0.15 },
+                { label: '2. DATE OF BIRTH', value: '', width: 0.15 },
+                { label: '2a. AGE (YEARS)', value: age !== null ? String(age) : '', width: 0.12 },
+                { label: '3. SEX', value: '', width: 0.1 },
+                { label: '4-6. REACTION ONSET', value: onset ? `${onset} of taking the medicine` : '', width: 0.28 },
+            ],
+        ],
+
+        seriousness: [
+            { label: 'PATIENT DIED', checked: seriousness.includes('resultsInDeath') },
+            { label: 'INVOLVED OR PROLONGED INPATIENT HOSPITALISATION', checked: seriousness.includes('requiresInpatientHospitalization') },
+            { label: 'INVOLVED PERSISTENT OR SIGNIFICANT DISABILITY OR INCAPACITY', checked: seriousness.includes('resultsInPersistentOrSignificantDisability') },
+            { label: 'LIFE THREATENING', checked: seriousness.includes('isLifeThreatening') },
+            { label: 'OTHER MEDICALLY IMPORTANT CONDITION', checked: seriousness.includes('otherMedicallyImportantCondition') },
+        ],
+
+        suspect: [
+            [
+                { label: '14. SUSPECT DRUG(S) (include generic name)', value: caseData.drugName || '', width: 1 },
+            ],
+            [
+                { label: '15. DAILY DOSE(S)', value: [caseData.dosage, caseData.frequency].filter(Boolean).join(', '), width: 0.5 },
+                { label: '16. ROUTE(S) OF ADMINISTRATION', value: '', width: 0.5 },
+            ],
+            [
+                { label: '17. INDICATION(S) FOR USE', value: caseData.indication || '', width: 1 },
+            ],
+            [
+                { label: '18. THERAPY DATES (from/to)', value: prescription ? `From ${formatDate(prescription.createdAt)}` : '', width: 0.5 },
+                { label: '19. THERAPY DURATION', value: suspectMedicine?.duration || prescription?.duration || '', width: 0.5 },
+            ],
+            [
+                {
+                    label: '20. DID REACTION ABATE AFTER STOPPING DRUG?',
+                    width: 0.5,
+                    checkboxes: ['yes', 'no', 'unknown'].map(answer => ({ label: yesNoLabel(answer), checked: facts.dechallenge === answer })),
+                },
+                {
+                    label: '21. DID REACTION REAPPEAR AFTER REINTRODUCTION?',
+                    width: 0.5,
+                    checkboxes: ['yes', 'no', 'unknown'].map(answer => ({ label: yesNoLabel(answer), checked: facts.rechallenge === answer })),
+                },
+            ],
+        ],
+
+        concomitant: [
+            [
+                {
+                    label: '22. CONCOMITANT DRUG(S) AND DATES OF ADMINISTRATION (exclude those used to treat reaction)',
+                    value: concomitant.length > 0
+                        ? concomitant.join('\n')
+                        : caseData.concomitantMeds === 'none' ? 'None reported' : '',
+                    width: 1,
+                },
+            ],
+            [
+                {
+                    label: '23. OTHER RELEVANT HISTORY',
+                    value: caseData.concomitantMeds && caseData.concomitantMeds !== 'none'
+                        ? `Patient reports other medicines: ${answerLabel('concomitantMeds', caseData.concomitantMeds)}`
+                        : '',
+                    width: 1,
+                },
+            ],
+        ],
+
+        manufacturer: [
+            [
+                {
+                    label: '24a. NAME AND ADDRESS OF MANUFACTURER / REPORTING ORGANISATION',
+                    value: [caseData.hospitalId, caseData.doctorName && `Treating doctor: ${caseData.doctorName}`].filter(Boolean).join('\n'),
+                    width: 0.6,
+                },
+                { label: '24b. MFR CONTROL NO.', value: caseData.caseId, width: 0.4 },
+            ],
+            [
+                { label: '24c. DATE RECEIVED BY MANUFACTURER', value: formatDate(caseData.reportedAt || caseData.createdAt), width: 0.3 },
+                {
+                    label: '24d. REPORT SOURCE',
+                    width: 0.4,
+                    checkboxes: [
+                        { label: 'STUDY', checked: false },
+                        { label: 'LITERATURE', checked: false },
+                        { label: 'HEALTH PROFESSIONAL', checked: ['doctor', 'staff'].includes(reporterType) },
+                        { label: 'OTHER: CONSUMER / PATIENT', checked: reporterType === 'patient' },
+                    ],
+                },
+                {
+                    label: '25a. REPORT TYPE',
+                    width: 0.3,
+                    checkboxes: [
+                        { label: 'INITIAL', checked: !['submitted', 'acknowledged'].includes(caseData.regulatoryStatus) },
+                        { label: 'FOLLOW-UP', checked: ['submitted', 'acknowledged'].includes(caseData.regulatoryStatus) },
+                    ],
+                },
+            ],
+            [
+                { label: 'DATE OF THIS REPORT', value: formatDate(generatedAt), width: 1 },
+            ],
+        ],
+    };
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+/**
+ * Render the CIOMS I form of a case
+ *
+ * @param {object} caseData - Adverse event case document
+ * @param {object} options
+ * @param {object|null} [options.prescription] - Linked prescription (therapy dates)
+ * @param {object[]} [options.medicines] - Its medicines (getPrescriptionMedicines)
+ * @param {Date} [options.generatedAt] - Generation time (watermark, "date of this report")
+ * @returns {Promise<Buffer>} PDF file
+ */
+function buildCiomsPdf(caseData, { prescription = null, medicines = [], generatedAt = new Date() } = {}) {
+    const content = buildFormContent(caseData, { prescription, medicines, generatedAt });
+    const stamp = `${caseData.caseId} · Generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE.margin,
+        bufferPages: true,
+        info: {
+            Title: `CIOMS I - ${caseData.caseId}`,
+            Subject: 'Suspect adverse reaction report',
+            Producer: 'NEST 2O',
+            CreationDate: generatedAt,
+        },
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    // ========== TITLE ==========
+    let y = PAGE.margin;
+    doc.font('Helvetica-Bold').fontSize(14).text('CIOMS FORM', PAGE.margin, y, { width: PAGE.width, align: 'right' });
+    doc.fontSize(12).text('SUSPECT ADVERSE REACTION REPORT', PAGE.margin, y + 18, { width: PAGE.width, align: 'center' });
+    y += 40;
+
+    // ========== I. REACTION INFORMATION ==========
+    y = drawSection(doc, y, 'I. REACTION INFORMATION');
+    content.reaction.forEach(row => { y = drawRow(doc, y, row); });
+
+    const descriptionFits = valueHeight(doc, content.description, 0.7 * PAGE.width) <= MAX_DESCRIPTION_HEIGHT;
+    y = drawRow(doc, y, [
+        {
+            label: '7 + 13. DESCRIBE REACTION(S) (including relevant tests/lab data)',
+            value: content.description,
+            width: 0.7,
+        },
+        { label: '8-12. CHECK ALL APPROPRIATE TO ADVERSE REACTION', checkboxes: content.seriousness, width: 0.3 },
+    ], { maxHeight: MAX_DESCRIPTION_HEIGHT });
+    if (!descriptionFits) {
+        doc.font('Helvetica-Oblique').fontSize(7).text('Description continued on the additional page.', PAGE.margin, y + 2);
+        y += 12;
+    }
+
+    // ========== II. SUSPECT DRUG(S) INFORMATION ==========
+    y = ensureSpace(doc, y + 6, 160);
+    y = drawSection(doc, y, 'II. SUSPECT DRUG(S) INFORMATION');
+    content.suspect.forEach(row => { y = drawRow(doc, y, row); });
+
+    // ========== III. CONCOMITANT DRUG(S) AND HISTORY ==========
+    y = ensureSpace(doc, y + 6, 80);
+    y = drawSection(doc, y, 'III. CONCOMITANT DRUG(S) AND HISTORY');
+    content.concomitant.forEach(row => { y = ensureSpace(doc, y, 30); y = drawRow(doc, y, row); });
+
+    // ========== IV. MANUFACTURER INFORMATION ==========
+    y = ensureSpace(doc, y + 6, 120);
+    y = drawSection(doc, y, 'IV. MANUFACTURER INFORMATION');
+    content.manufacturer.forEach(row => { y = drawRow(doc, y, row); });
+
+    // ========== CONTINUATION PAGE ==========
+    if (!descriptionFits) {
+        doc.addPage();
+        y = drawSection(doc, PAGE.margin, 'ADDITIONAL PAGE - 7 + 13. DESCRIBE REACTION(S) (continued)');
+        doc.font('Helvetica').fontSize(VALUE_SIZE).text(content.description, PAGE.margin + CELL_PADDING, y + 6, {
+            width: PAGE.width - 2 * CELL_PADDING,
+        });
+    }
+
+    drawWatermarks(doc, stamp);
+    doc.end();
+
+    return done;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    buildCiomsPdf,      // Case → CIOMS I form (PDF buffer)
+};
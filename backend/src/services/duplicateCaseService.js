@@ -0,0 +1,418 @@
+/**
+ * ============================================================================
+ * Duplicate Case Service
+ * Suspected Duplicate Adverse Event Cases and Merging
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The same reaction often reaches the hospital twice - the patient
+ * reports it through the public form or a follow-up, and staff enter it
+ * again from a phone call. Every report opens its own case, so this
+ * service scores each new case against the hospital's recent cases and
+ * flags the likely duplicates for the reviewing doctor, who either
+ * merges them or dismisses the suggestion.
+ *
+ * SCORING (0-100, new case vs. an earlier case of the same hospital):
+ * - Same patient (required): same phone number (last 10 digits) or the
+ *   same prescription                                          40
+ * - Same suspect drug (case-insensitive name or same medicine)  25
+ * - Onset window: reports ≤ 2 days apart 20, ≤ 7 days 10,
+ *   ≤ DUPLICATE_WINDOW_DAYS 5                                  ≤ 20
+ * - Symptom overlap: share of symptoms in common (answered
+ *   symptoms, or those named in the report text) × 15          ≤ 15
+ * Onset is taken as the time the reaction was reported. A score of
+ * DUPLICATE_SCORE_THRESHOLD or more is a suspected duplicate.
+ * The same patient reporting close together is not enough on its own
+ * (40 + 20 reaches the threshold): the pair must also share the suspect
+ * drug or at least one symptom, otherwise it scores 0.
+ *
+ * RECORDS (both cases of a pair carry the suggestion):
+ * adverseEvents.suspectedDuplicates = [{
+ *   adverseEventId, caseId, reporterType, reportedAt, score, reasons,
+ *   detectedAt, status: 'open' | 'dismissed' | 'merged', resolvedAt, resolvedBy
+ * }]
+ *
+ * MERGE (duplicate → surviving case):
+ * - The surviving case keeps its own data; every report that went into
+ *   it is preserved in sourceReports (its own original report first)
+ * - The duplicate is never deleted: it gets status 'merged' and
+ *   mergedIntoId / mergedInto, and is left out of signal detection, the
+ *   regulatory queue and later duplicate checks
+ * - Cases previously merged into the duplicate move along with it
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { db } = require('../config/firebase');
+const { drugKeyOf } = require('./signalDetectionService');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Score from which a pair of cases is a suspected duplicate
+ */
+const DUPLICATE_SCORE_THRESHOLD = 60;
+
+/**
+ * Only cases reported this many days apart (or less) are compared
+ */
+const DUPLICATE_WINDOW_DAYS = 14;
+
+/**
+ * Points per criterion (see SCORING above)
+ */
+const SCORE_WEIGHTS = {
+    patient: 40,
+    drug: 25,
+    onset: 20,
+    symptoms: 15,
+};
+
+/**
+ * Words in a free-text report that name a questionnaire symptom
+ * (symptom values of config/adverseEventQuestionnaire.js)
+ */
+const SYMPTOM_KEYWORDS = {
+    nausea: ['nausea', 'nauseous', 'vomit', 'throwing up'],
+    dizziness: ['dizz', 'lightheaded', 'light-headed', 'vertigo'],
+    rash: ['rash', 'itch', 'hives', 'red spots'],
+    headache: ['headache', 'migraine'],
+    breathing: ['breath', 'wheez', 'short of breath'],
+    swelling: ['swell', 'swollen'],
+    stomach: ['stomach', 'abdominal', 'diarrh', 'cramp'],
+    fatigue: ['fatigue', 'tired', 'weak', 'exhaust'],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// CASE FACTS
+// ============================================================================
+
+/**
+ * Phone number as compared across reports ("+91 98765-43210",
+ * "09876543210" and "9876543210" are the same patient)
+ *
+ * @param {string|null} phone
+ * @returns {string|null} Last 10 digits
+ */
+function phoneKeyOf(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 6 ? digits.slice(-10) : null;
+}
+
+/**
+ * Symptoms of a case: the patient's answers plus those named in the
+ * report text (a new report has no answers yet)
+ *
+ * @param {object} caseData
+ * @returns {Set<string>} Symptom values, 'other' left out
+ */
+function symptomsOf(caseData) {
+    const symptoms = new Set((caseData.symptoms || []).filter(s => s !== 'other'));
+    const text = `${caseData.initialReport || ''} ${(caseData.urgencyIndicators || []).join(' ')}`.toLowerCase();
+
+    Object.entries(SYMPTOM_KEYWORDS).forEach(([symptom, keywords]) => {
+        if (keywords.some(keyword => text.includes(keyword))) symptoms.add(symptom);
+    });
+    return symptoms;
+}
+
+/**
+ * When the reaction was reported (ms)
+ */
+function reportedTimeOf(caseData) {
+    return Date.parse(caseData.reportedAt || caseData.createdAt) || 0;
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Duplicate score of two cases
+ *
+ * @param {object} caseA - Adverse event case
+ * @param {object} caseB - Adverse event case
+ * @returns {{score: number, reasons: string[]}} score 0 when they are
+ *   not the same patient or too far apart
+ */
+function scoreDuplicate(caseA, caseB) {
+    const reasons = [];
+    let score = 0;
+
+    // ========== SAME PATIENT (required) ==========
+    const phoneA = phoneKeyOf(caseA.patientPhone);
+    const samePhone = Boolean(phoneA) && phoneA === phoneKeyOf(caseB.patientPhone);
+    const samePrescription = Boolean(caseA.prescriptionId) && caseA.prescriptionId === caseB.prescriptionId;
+    if (!samePhone && !samePrescription) {
+        return { score: 0, reasons: [] };
+    }
+    score += SCORE_WEIGHTS.patient;
+    reasons.push(samePhone ? 'Same patient phone' : 'Same prescription');
+
+    // ========== ONSET WINDOW ==========
+    const daysApart = Math.abs(reportedTimeOf(caseA) - reportedTimeOf(caseB)) / DAY_MS;
+    if (daysApart > DUPLICATE_WINDOW_DAYS) {
+        return { score: 0, reasons: [] };
+    }
+    if (daysApart <= 2) score += SCORE_WEIGHTS.onset;
+    else if (daysApart <= 7) score += SCORE_WEIGHTS.onset / 2;
+    else score += SCORE_WEIGHTS.onset / 4;
+    reasons.push(daysApart < 1 ? 'Reported the same day' : `Reported ${Math.round(daysApart)} day(s) apart`);
+
+    // ========== SUSPECT DRUG ==========
+    const sameMedicine = samePrescription && caseA.medicineId && caseA.medicineId === caseB.medicineId;
+    const drugA = drugKeyOf(caseA.drugName);
+    const sameDrug = Boolean(sameMedicine || (drugA && drugA === drugKeyOf(caseB.drugName)));
+    if (sameDrug) {
+        score += SCORE_WEIGHTS.drug;
+        reasons.push(`Same drug (${caseA.drugName || caseB.drugName})`);
+    }
+
+    // ========== SYMPTOM OVERLAP ==========
+    const symptomsA = symptomsOf(caseA);
+    const symptomsB = symptomsOf(caseB);
+    const shared = [...symptomsA].filter(s => symptomsB.has(s));
+    const all = new Set([...symptomsA, ...symptomsB]);
+    if (shared.length > 0) {
+        score += Math.round(SCORE_WEIGHTS.symptoms * shared.length / all.size);
+        reasons.push(`Symptoms in common: ${shared.join(', ')}`);
+    }
+
+    // Two different reactions of the same patient are not duplicates
+    if (!sameDrug && shared.length === 0) {
+        return { score: 0, reasons: [] };
+    }
+
+    return { score: Math.round(score), reasons };
+}
+
+// ============================================================================
+// DETECTION (on creation)
+// ============================================================================
+
+/**
+ * Suggestion entry stored on a case about another case
+ */
+function suggestionAbout(otherId, otherData, score, reasons, detectedAt) {
+    return {
+        adverseEventId: otherId,
+        caseId: otherData.caseId,
+        reporterType: otherData.reporterType || null,
+        reportedAt: otherData.reportedAt || otherData.createdAt || null,
+        score,
+        reasons,
+        detectedAt,
+        status: 'open',
+        resolvedAt: null,
+        resolvedBy: null,
+    };
+}
+
+/**
+ * Score a newly created case against the hospital's cases and record
+ * the suspected duplicates on both cases of each pair
+ *
+ * @param {string} adverseEventId - The new case
+ * @param {object} caseData - Its data (as saved)
+ * @returns {Promise<object[]>} Suggestions stored on the new case, best first
+ */
+async function flagSuspectedDuplicates(adverseEventId, caseData) {
+    const snapshot = await db.collection('adverseEvents')
+        .where('hospitalId', '==', caseData.hospitalId)
+        .get();
+
+    const detectedAt = new Date().toISOString();
+    const matches = [];
+    snapshot.forEach(doc => {
+        const other = doc.data();
+        if (doc.id === adverseEventId || other.mergedIntoId) return;
+
+        const { score, reasons } = scoreDuplicate(caseData, other);
+        if (score >= DUPLICATE_SCORE_THRESHOLD) {
+            matches.push({ id: doc.id, data: other, score, reasons });
+        }
+    });
+
+    if (matches.length === 0) return [];
+    matches.sort((a, b) => b.score - a.score);
+
+    const suggestions = matches.map(m => suggestionAbout(m.id, m.data, m.score, m.reasons, detectedAt));
+    await db.collection('adverseEvents').doc(adverseEventId).update({
+        suspectedDuplicates: [...(caseData.suspectedDuplicates || []), ...suggestions],
+    });
+
+    // The earlier case shows the suggestion too - its reviewer may open it first
+    for (const match of matches) {
+        await db.collection('adverseEvents').doc(match.id).update({
+            suspectedDuplicates: [
+                ...(match.data.suspectedDuplicates || []),
+                suggestionAbout(adverseEventId, caseData, match.score, match.reasons, detectedAt),
+            ],
+        });
+    }
+
+    return suggestions;
+}
+
+/**
+ * Open suggestions of a case (for list badges)
+ *
+ * @param {object} caseData
+ * @returns {number}
+ */
+function openDuplicateCount(caseData) {
+    return (caseData.suspectedDuplicates || []).filter(s => s.status === 'open').length;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Mark the suggestion about otherId on a case as resolved
+ *
+ * @param {object[]} suggestions - suspectedDuplicates of the case
+ * @param {string} otherId - The other case of the pair
+ * @param {string} status - 'dismissed' | 'merged'
+ * @param {object} by - { userId, name }
+ * @param {string} at - ISO timestamp
+ * @returns {object[]}
+ */
+function resolveSuggestion(suggestions, otherId, status, by, at) {
+    return (suggestions || []).map(s => (s.adverseEventId === otherId && s.status === 'open'
+        ? { ...s, status, resolvedAt: at, resolvedBy: by }
+        : s));
+}
+
+/**
+ * "Not a duplicate" - close the suggestion on both cases
+ *
+ * @param {string} caseId - Document ID of the case being reviewed
+ * @param {object} caseData
+ * @param {string} otherId - Document ID of the suggested duplicate
+ * @param {object|null} otherData - null if it no longer exists
+ * @param {object} user - req.user
+ * @returns {Promise<object[]>} suspectedDuplicates of the reviewed case
+ */
+async function dismissSuspectedDuplicate(caseId, caseData, otherId, otherData, user) {
+    const at = new Date().toISOString();
+    const by = { userId: user.userId, name: user.name };
+
+    const suggestions = resolveSuggestion(caseData.suspectedDuplicates, otherId, 'dismissed', by, at);
+    await db.collection('adverseEvents').doc(caseId).update({ suspectedDuplicates: suggestions, updatedAt: at });
+
+    if (otherData) {
+        await db.collection('adverseEvents').doc(otherId).update({
+            suspectedDuplicates: resolveSuggestion(otherData.suspectedDuplicates, caseId, 'dismissed', by, at),
+        });
+    }
+    return suggestions;
+}
+
+/**
+ * The report a case was opened from, as kept on the surviving case
+ *
+ * @param {string} adverseEventId
+ * @param {object} caseData
+ * @returns {object}
+ */
+function sourceReportOf(adverseEventId, caseData) {
+    return {
+        adverseEventId,
+        caseId: caseData.caseId,
+        source: caseData.source || 'report',
+        reporterType: caseData.reporterType || null,
+        reportedAt: caseData.reportedAt || caseData.createdAt || null,
+        patientName: caseData.patientName || null,
+        patientPhone: caseData.patientPhone || null,
+        drugName: caseData.drugName || null,
+        initialReport: caseData.initialReport || null,
+        symptoms: caseData.symptoms || [],
+        followUpId: caseData.followUpId || null,
+        dataComplete: Boolean(caseData.dataComplete),
+        regulatoryStatus: caseData.regulatoryStatus || null,
+        mergedAt: null,
+        mergedBy: null,
+    };
+}
+
+/**
+ * Merge a duplicate into the surviving case
+ *
+ * @param {string} targetId - Surviving case
+ * @param {object} targetData
+ * @param {string} duplicateId - Case merged away
+ * @param {object} duplicateData
+ * @param {object} user - req.user (the reviewing doctor)
+ * @returns {Promise<object>} { sourceReports, suspectedDuplicates } of the surviving case
+ */
+async function mergeDuplicateCase(targetId, targetData, duplicateId, duplicateData, user) {
+    const at = new Date().toISOString();
+    const by = { userId: user.userId, name: user.name };
+
+    // ========== SOURCE REPORTS ==========
+    // The surviving case lists its own report first, then every merged one
+    // (including reports merged into the duplicate earlier)
+    const sourceReports = targetData.sourceReports?.length
+        ? [...targetData.sourceReports]
+        : [sourceReportOf(targetId, targetData)];
+    const carried = (duplicateData.sourceReports?.length
+        ? duplicateData.sourceReports
+        : [sourceReportOf(duplicateId, duplicateData)])
+        .map(report => ({ ...report, mergedAt: report.mergedAt || at, mergedBy: report.mergedBy || by }));
+    sourceReports.push(...carried);
+
+    // ========== SURVIVING CASE ==========
+    let suggestions = resolveSuggestion(targetData.suspectedDuplicates, duplicateId, 'merged', by, at);
+    // Suggestions the duplicate had about other cases carry over (still open ones only)
+    (duplicateData.suspectedDuplicates || [])
+        .filter(s => s.status === 'open' && s.adverseEventId !== targetId
+            && !suggestions.some(t => t.adverseEventId === s.adverseEventId))
+        .forEach(s => suggestions.push(s));
+
+    await db.collection('adverseEvents').doc(targetId).update({
+        sourceReports,
+        suspectedDuplicates: suggestions,
+        updatedAt: at,
+    });
+
+    // ========== DUPLICATE (kept, marked merged) ==========
+    const mergedInto = { adverseEventId: targetId, caseId: targetData.caseId, mergedAt: at, mergedBy: by };
+    await db.collection('adverseEvents').doc(duplicateId).update({
+        status: 'merged',
+        mergedIntoId: targetId,
+        mergedInto,
+        suspectedDuplicates: resolveSuggestion(duplicateData.suspectedDuplicates, targetId, 'merged', by, at),
+        updatedAt: at,
+    });
+
+    // ========== CASES MERGED INTO THE DUPLICATE EARLIER ==========
+    const earlier = await db.collection('adverseEvents').where('mergedIntoId', '==', duplicateId).get();
+    for (const doc of earlier.docs) {
+        await doc.ref.update({ mergedIntoId: targetId, mergedInto: { ...doc.data().mergedInto, adverseEventId: targetId, caseId: targetData.caseId } });
+    }
+
+    return { sourceReports, suspectedDuplicates: suggestions };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DUPLICATE_SCORE_THRESHOLD,
+    DUPLICATE_WINDOW_DAYS,
+    scoreDuplicate,              // Two cases → score + reasons
+    flagSuspectedDuplicates,     // New case → suggestions on both cases
+    openDuplicateCount,
+    dismissSuspectedDuplicate,   // Reviewer: not a duplicate
+    mergeDuplicateCase,          // Reviewer: merge, keeping every source report
+};
@@ -0,0 +1,622 @@
+/**
+ * ============================================================================
+ * E2B Export Service - ICH E2B(R3) ICSR XML for Adverse Event Cases
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Regulators and pharmacovigilance partners exchange Individual Case
+ * Safety Reports (ICSRs) as ICH E2B(R3) XML (HL7 v3 PORR_IN049016UV in an
+ * MCCI_IN200100UV01 batch). This service maps an adverse event case onto
+ * that message and checks the elements a receiver rejects a report
+ * without.
+ *
+ * MAPPING (E2B(R3) element → case field):
+ * - C.1.1 / C.1.8.1 safety report ID     ← caseId
+ * - C.1.4 / C.1.5 first / latest receipt ← reportedAt / updatedAt
+ * - C.1.7 expedited criteria             ← requiresExpedited
+ * - C.2.r.4 reporter qualification       ← reporterType
+ * - D.1 patient initials, D.2.2 age      ← patientName, patientAge
+ * - E.i reactions (MedDRA coded)         ← symptoms (+ symptomsDescription)
+ * - E.i.3.2 seriousness criteria         ← medicalAttention, symptoms
+ * - E.i.7 outcome                        ← outcome
+ * - G.k suspect drug (G.k.1 = 1)         ← drugName, dosage, frequency, indication
+ * - G.k concomitant drugs (G.k.1 = 2)    ← other medicines of the prescription
+ * - G.k.8 action taken (dechallenge)     ← actionTaken
+ * - G.k.9.i.4 rechallenge                ← actionTaken 'restarted' + outcome
+ * - G.k.9.i.2.r causality (WHO-UMC)      ← clinicianCausality / machineCausality
+ * - H.1 case narrative                   ← summary
+ *
+ * VALIDATION:
+ * - errors: required elements that are missing - the case cannot be
+ *   marked submitted until they are fixed
+ * - warnings: recommended elements that are missing
+ * The XML is produced either way, so a reviewer can look at the draft.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Sender / receiver identifiers of the batch (N.1.3 / N.1.4)
+ * The sender defaults to the case's hospital.
+ */
+const E2B_SENDER_ID = process.env.E2B_SENDER_ID || null;
+const E2B_RECEIVER_ID = process.env.E2B_RECEIVER_ID || 'REGULATOR';
+const MEDDRA_VERSION = process.env.MEDDRA_VERSION || '26.0';
+
+/**
+ * ICH OIDs used by E2B(R3)
+ */
+const OID = {
+    batchNumber: '2.16.840.1.113883.3.989.2.1.3.22',
+    batchSender: '2.16.840.1.113883.3.989.2.1.3.13',
+    batchReceiver: '2.16.840.1.113883.3.989.2.1.3.14',
+    messageNumber: '2.16.840.1.113883.3.989.2.1.3.1',
+    messageSender: '2.16.840.1.113883.3.989.2.1.3.11',
+    messageReceiver: '2.16.840.1.113883.3.989.2.1.3.12',
+    reportId: '2.16.840.1.113883.3.989.2.1.3.1',
+    worldwideId: '2.16.840.1.113883.3.989.2.1.3.2',
+    observationCode: '2.16.840.1.113883.3.989.2.1.1.19',
+    organizerCode: '2.16.840.1.113883.3.989.2.1.1.20',
+    reportType: '2.16.840.1.113883.3.989.2.1.1.2',
+    qualification: '2.16.840.1.113883.3.989.2.1.1.6',
+    outcome: '2.16.840.1.113883.3.989.2.1.1.11',
+    drugRole: '2.16.840.1.113883.3.989.2.1.1.13',
+    actionTaken: '2.16.840.1.113883.3.989.2.1.1.15',
+    rechallenge: '2.16.840.1.113883.3.989.2.1.1.16',
+    meddra: '2.16.840.1.113883.6.163',
+};
+
+/**
+ * MedDRA preferred terms for the symptom options of the questionnaire
+ * ('other' has no code - the free-text description is sent as reported)
+ */
+const MEDDRA_TERMS = {
+    nausea: { code: '10028813', term: 'Nausea' },
+    dizziness: { code: '10013573', term: 'Dizziness' },
+    rash: { code: '10037844', term: 'Rash' },
+    headache: { code: '10019211', term: 'Headache' },
+    breathing: { code: '10013968', term: 'Dyspnoea' },
+    swelling: { code: '10042674', term: 'Swelling' },
+    stomach: { code: '10000081', term: 'Abdominal pain' },
+    fatigue: { code: '10016256', term: 'Fatigue' },
+};
+
+/**
+ * Reporter qualification (C.2.r.4): 1 physician, 3 other health
+ * professional, 5 consumer or other non health professional
+ */
+const REPORTER_QUALIFICATION = { doctor: '1', staff: '3', patient: '5' };
+
+/**
+ * Outcome of the reaction (E.i.7)
+ */
+const OUTCOME_CODES = {
+    resolved: '1',      // recovered/resolved
+    improved: '2',      // recovering/resolving
+    unchanged: '3',     // not recovered/not resolved
+    worsened: '3',
+    unknown: '0',
+};
+
+/**
+ * Action taken with the drug (G.k.8)
+ * 'restarted' = withdrawn, then re-introduced (rechallenge in G.k.9.i.4)
+ */
+const ACTION_TAKEN_CODES = {
+    stopped: '1',       // drug withdrawn
+    reduced: '2',       // dose reduced
+    continued: '4',     // dose not changed
+    restarted: '1',
+};
+
+/**
+ * Seriousness criteria (E.i.3.2) - observation codes
+ */
+const SERIOUSNESS_CODES = {
+    resultsInDeath: '34',
+    isLifeThreatening: '21',
+    requiresInpatientHospitalization: '33',
+    resultsInPersistentOrSignificantDisability: '35',
+    congenitalAnomalyBirthDefect: '12',
+    otherMedicallyImportantCondition: '26',
+};
+
+const WHO_UMC_RESULTS = {
+    certain: 'Certain',
+    probable: 'Probable/Likely',
+    possible: 'Possible',
+    unlikely: 'Unlikely',
+    conditional: 'Conditional/Unclassified',
+    unassessable: 'Unassessable/Unclassifiable',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Escape text for an XML element or attribute
+ *
+ * @param {*} value - Any value (null → '')
+ * @returns {string}
+ */
+function xml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * HL7 timestamp (YYYYMMDDHHMMSS+0000, UTC)
+ *
+ * @param {string|Date|object} value - ISO string, Date or Firestore Timestamp
+ * @returns {string|null} null when missing or not a valid date
+ */
+function hl7Time(value) {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + '+0000';
+}
+
+/**
+ * Time attribute of an HL7 element - the timestamp, or nullFlavor="UNK"
+ * when the date is missing or invalid (never value="null")
+ *
+ * @param {*} value - Passed to hl7Time()
+ * @returns {string} e.g. 'value="20240501103000+0000"'
+ */
+function hl7TimeAttr(value) {
+    const time = hl7Time(value);
+    return time ? `value="${time}"` : 'nullFlavor="UNK"';
+}
+
+/**
+ * Patient initials from the name ("Asha K Rao" → "AKR")
+ */
+function initialsOf(name) {
+    if (!name) return null;
+    return name.trim().split(/\s+/).filter(Boolean).map(part => part[0].toUpperCase()).join('').slice(0, 10) || null;
+}
+
+/**
+ * Age in years, when the prescription recorded one
+ */
+function ageInYears(age) {
+    const years = parseInt(age, 10);
+    return Number.isInteger(years) && years >= 0 && years < 150 ? years : null;
+}
+
+// ============================================================================
+// CASE → E2B CONTENT
+// ============================================================================
+
+/**
+ * Reactions (E.i) of a case
+ *
+ * @param {object} caseData - Adverse event case
+ * @returns {object[]} [{ id, reportedText, meddra: { code, term } | null }]
+ */
+function reactionsOf(caseData) {
+    const reactions = (caseData.symptoms || []).map(symptom => ({
+        id: uuidv4(),
+        reportedText: MEDDRA_TERMS[symptom]?.term || caseData.symptomsDescription || symptom,
+        meddra: MEDDRA_TERMS[symptom] || null,
+    }));
+
+    // Nothing collected yet - the initial report is all we have
+    if (reactions.length === 0 && caseData.initialReport) {
+        reactions.push({ id: uuidv4(), reportedText: caseData.initialReport, meddra: null });
+    }
+    return reactions;
+}
+
+/**
+ * Seriousness criteria (E.i.3.2) that apply to the case
+ *
+ * @param {object} caseData - Adverse event case
+ * @returns {string[]} Keys of SERIOUSNESS_CODES
+ */
+function seriousnessOf(caseData) {
+    if (caseData.overallSeriousness !== 'serious') return [];
+    if (caseData.medicalAttention === 'hospital') return ['requiresInpatientHospitalization'];
+    return ['otherMedicallyImportantCondition'];
+}
+
+/**
+ * Rechallenge result (G.k.9.i.4): 1 recurred, 2 did not recur,
+ * 3 outcome unknown - null when the drug was not re-introduced
+ */
+function rechallengeOf(caseData) {
+    if (caseData.actionTaken !== 'restarted') return null;
+    if (caseData.outcome === 'worsened') return '1';
+    if (caseData.outcome === 'resolved') return '2';
+    return '3';
+}
+
+/**
+ * Concomitant drugs of a case: the other medicines of the prescription,
+ * plus whatever the patient named as taken alongside
+ *
+ * @param {object} caseData - Adverse event case
+ * @param {object[]} medicines - Medicines of the linked prescription
+ * @returns {object[]} [{ name, dosageText?, indication? }]
+ */
+function concomitantDrugsOf(caseData, medicines) {
+    const drugs = medicines
+        .filter(m => m.id !== caseData.medicineId && m.name !== caseData.drugName)
+        .map(m => ({
+            name: m.name,
+            dosageText: [m.strength, m.frequencyText].filter(Boolean).join(', '),
+            indication: caseData.indication,
+        }));
+    if (caseData.concomitantMedsDetails) {
+        drugs.push({ name: caseData.concomitantMedsDetails });
+    }
+    return drugs;
+}
+
+/**
+ * Causality assessment sent with the suspect drug
+ * The doctor's assessment wins over the computed one.
+ */
+function causalityOf(caseData) {
+    const assessment = caseData.clinicianCausality || caseData.machineCausality;
+    if (!assessment) return null;
+    return {
+        source: caseData.clinicianCausality ? 'Physician' : 'Computed by NEST 2O',
+        method: 'WHO-UMC',
+        result: WHO_UMC_RESULTS[assessment.whoUmc.category] || assessment.whoUmc.category,
+    };
+}
+
+/**
+ * Check the elements a receiver needs
+ *
+ * Minimum criteria of a valid ICSR: an identifiable patient, an
+ * identifiable reporter, a suspect drug and a reaction - plus the coded
+ * reaction and outcome E2B(R3) requires.
+ *
+ * @param {object} caseData - Adverse event case
+ * @param {object[]} reactions - From reactionsOf()
+ * @returns {{errors: object[], warnings: object[]}} [{ element, message }]
+ */
+function validateCase(caseData, reactions) {
+    const errors = [];
+    const warnings = [];
+
+    if (!initialsOf(caseData.patientName) && ageInYears(caseData.patientAge) === null) {
+        errors.push({ element: 'D.1', message: 'Patient is not identifiable (no name initials or age)' });
+    }
+    if (!REPORTER_QUALIFICATION[caseData.reporterType || 'patient']) {
+        errors.push({ element: 'C.2.r.4', message: 'Reporter qualification is unknown' });
+    }
+    if (!caseData.drugName) {
+        errors.push({ element: 'G.k.2.2', message: 'Suspect drug is missing' });
+    }
+    if (!reactions.some(r => r.meddra)) {
+        errors.push({ element: 'E.i.2.1b', message: 'No reaction could be coded in MedDRA - collect the symptoms' });
+    } else if (reactions.some(r => !r.meddra)) {
+        warnings.push({ element: 'E.i.2.1b', message: 'Some reactions are not MedDRA coded (sent as reported)' });
+    }
+    if (!OUTCOME_CODES[caseData.outcome]) {
+        errors.push({ element: 'E.i.7', message: 'Outcome of the reaction is missing' });
+    }
+    if (!hl7Time(caseData.reportedAt || caseData.createdAt)) {
+        errors.push({ element: 'C.1.4', message: 'Date the report was first received is missing or invalid' });
+    } else if (caseData.updatedAt && !hl7Time(caseData.updatedAt)) {
+        warnings.push({ element: 'C.1.5', message: 'Date of the latest information is invalid (first receipt date used)' });
+    }
+
+    if (!caseData.dosage) warnings.push({ element: 'G.k.4.r', message: 'Dosage of the suspect drug is missing' });
+    if (!caseData.indication) warnings.push({ element: 'G.k.7.r', message: 'Indication is missing' });
+    if (!ACTION_TAKEN_CODES[caseData.actionTaken]) {
+        warnings.push({ element: 'G.k.8', message: 'Action taken with the drug (dechallenge) is missing' });
+    }
+    if (!caseData.medicalAttention) {
+        warnings.push({ element: 'E.i.3.2', message: 'Seriousness not assessed (medical attention unknown)' });
+    }
+    if (!caseData.timeToOnset) warnings.push({ element: 'H.1', message: 'Time to onset is missing from the narrative' });
+    if (caseData.concomitantMeds && caseData.concomitantMeds !== 'none' && !caseData.concomitantMedsDetails) {
+        warnings.push({ element: 'G.k', message: 'Other medicines were taken but not named' });
+    }
+
+    return { errors, warnings };
+}
+
+// ============================================================================
+// XML
+// ============================================================================
+
+/**
+ * One drug (G.k) of the drug information organizer
+ */
+function drugXml(drug) {
+    return `
+                <component typeCode="COMP">
+                  <substanceAdministration classCode="SBADM" moodCode="EVN">
+                    <id root="${xml(drug.id)}"/>
+                    <consumable typeCode="CSM">
+                      <instanceOfKind classCode="INST">
+                        <kindOfProduct classCode="MMAT" determinerCode="KIND">
+                          <name>${xml(drug.name)}</name>
+                        </kindOfProduct>
+                      </instanceOfKind>
+                    </consumable>${drug.dosageText ? `
+                    <outboundRelationship2 typeCode="COMP">
+                      <substanceAdministration classCode="SBADM" moodCode="EVN">
+                        <text>${xml(drug.dosageText)}</text>
+                      </substanceAdministration>
+                    </outboundRelationship2>` : ''}${drug.indication ? `
+                    <inboundRelationship typeCode="RSON">
+                      <observation classCode="OBS" moodCode="EVN">
+                        <code code="19" codeSystem="${OID.observationCode}" displayName="indication"/>
+                        <value xsi:type="CE"><originalText>${xml(drug.indication)}</originalText></value>
+                      </observation>
+                    </inboundRelationship>` : ''}${drug.actionTaken ? `
+                    <inboundRelationship typeCode="CAUS">
+                      <act classCode="ACT" moodCode="EVN">
+                        <code code="${drug.actionTaken}" codeSystem="${OID.actionTaken}"/>
+                      </act>
+                    </inboundRelationship>` : ''}
+                  </substanceAdministration>
+                </component>`;
+}
+
+/**
+ * One reaction (E.i) observation
+ */
+function reactionXml(reaction, caseData) {
+    const seriousness = seriousnessOf(caseData);
+    const value = reaction.meddra
+        ? `<value xsi:type="CE" code="${reaction.meddra.code}" codeSystem="${OID.meddra}" codeSystemVersion="${xml(MEDDRA_VERSION)}"><originalText>${xml(reaction.reportedText)}</originalText></value>`
+        : `<value xsi:type="CE"><originalText>${xml(reaction.reportedText)}</originalText></value>`;
+
+    return `
+              <subjectOf2 typeCode="SBJ">
+                <observation classCode="OBS" moodCode="EVN">
+                  <id root="${reaction.id}"/>
+                  <code code="29" codeSystem="${OID.observationCode}" displayName="reaction"/>
+                  ${value}${Object.keys(SERIOUSNESS_CODES).map(key => `
+                  <outboundRelationship2 typeCode="PERT">
+                    <observation classCode="OBS" moodCode="EVN">
+                      <code code="${SERIOUSNESS_CODES[key]}" codeSystem="${OID.observationCode}" displayName="${key}"/>
+                      <value xsi:type="BL" ${seriousness.includes(key) ? 'value="true"' : 'nullFlavor="NI"'}/>
+                    </observation>
+                  </outboundRelationship2>`).join('')}${OUTCOME_CODES[caseData.outcome] ? `
+                  <outboundRelationship2 typeCode="PERT">
+                    <observation classCode="OBS" moodCode="EVN">
+                      <code code="27" codeSystem="${OID.observationCode}" displayName="outcome"/>
+                      <value xsi:type="CE" code="${OUTCOME_CODES[caseData.outcome]}" codeSystem="${OID.outcome}"/>
+                    </observation>
+                  </outboundRelationship2>` : ''}
+                </observation>
+              </subjectOf2>`;
+}
+
+/**
+ * Build the E2B(R3) ICSR message of a case
+ *
+ * @param {object} caseData - Adverse event case document
+ * @param {object} options
+ * @param {object[]} options.medicines - Medicines of the linked prescription
+ *   (getPrescriptionMedicines) - all but the suspect are concomitant drugs
+ * @param {Date} [options.now] - Creation time of the message
+ * @returns {{xml: string, valid: boolean, errors: object[], warnings: object[], messageId: string}}
+ */
+function buildE2BMessage(caseData, { medicines = [], now = new Date() } = {}) {
+    const reactions = reactionsOf(caseData);
+    const { errors, warnings } = validateCase(caseData, reactions);
+
+    const created = hl7Time(now);
+    const messageId = `${caseData.caseId}-${created.slice(0, 14)}`;
+    const sender = E2B_SENDER_ID || caseData.hospitalId || 'UNKNOWN';
+    const initials = initialsOf(caseData.patientName);
+    const age = ageInYears(caseData.patientAge);
+    const causality = causalityOf(caseData);
+    const rechallenge = rechallengeOf(caseData);
+
+    // ========== DRUGS (G.k) ==========
+    const suspect = {
+        id: uuidv4(),
+        name: caseData.drugName,
+        dosageText: [caseData.dosage, caseData.frequency].filter(Boolean).join(', '),
+        indication: caseData.indication,
+        actionTaken: ACTION_TAKEN_CODES[caseData.actionTaken] || null,
+    };
+    const concomitant = concomitantDrugsOf(caseData, medicines).map(drug => ({ id: uuidv4(), ...drug }));
+    const drugs = [suspect, ...concomitant];
+
+    const narrative = caseData.summary || caseData.initialReport || '';
+
+    const message = `<?xml version="1.0" encoding="UTF-8"?>
+<MCCI_IN200100UV01 ITSVersion="XML_1.0" xmlns="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <id root="${OID.batchNumber}" extension="${xml(messageId)}"/>
+  <creationTime value="${created}"/>
+  <responseModeCode code="D"/>
+  <interactionId root="2.16.840.1.113883.1.6" extension="MCCI_IN200100UV01"/>
+  <name code="1" codeSystem="2.16.840.1.113883.3.989.2.1.1.1" displayName="ichicsr"/>
+  <receiver typeCode="RCV">
+    <device classCode="DEV" determinerCode="INSTANCE">
+      <id root="${OID.batchReceiver}" extension="${xml(E2B_RECEIVER_ID)}"/>
+    </device>
+  </receiver>
+  <sender typeCode="SND">
+    <device classCode="DEV" determinerCode="INSTANCE">
+      <id root="${OID.batchSender}" extension="${xml(sender)}"/>
+    </device>
+  </sender>
+  <PORR_IN049016UV>
+    <id root="${OID.messageNumber}" extension="${xml(messageId)}"/>
+    <creationTime value="${created}"/>
+    <interactionId root="2.16.840.1.113883.1.6" extension="PORR_IN049016UV"/>
+    <processingCode code="P"/>
+    <processingModeCode code="T"/>
+    <acceptAckCode code="AL"/>
+    <receiver typeCode="RCV">
+      <device classCode="DEV" determinerCode="INSTANCE">
+        <id root="${OID.messageReceiver}" extension="${xml(E2B_RECEIVER_ID)}"/>
+      </device>
+    </receiver>
+    <sender typeCode="SND">
+      <device classCode="DEV" determinerCode="INSTANCE">
+        <id root="${OID.messageSender}" extension="${xml(sender)}"/>
+      </device>
+    </sender>
+    <controlActProcess classCode="CACT" moodCode="EVN">
+      <code code="PORR_TE049016UV" codeSystem="2.16.840.1.113883.1.18"/>
+      <effectiveTime value="${created}"/>
+      <subject typeCode="SUBJ">
+        <investigationEvent classCode="INVSTG" moodCode="EVN">
+          <id root="${OID.reportId}" extension="${xml(caseData.caseId)}"/>
+          <id root="${OID.worldwideId}" extension="${xml(`${sender}-${caseData.caseId}`)}"/>
+          <code code="PAT_ADV_EVNT" codeSystem="2.16.840.1.113883.5.4"/>
+          <text>${xml(narrative)}</text>
+          <statusCode code="active"/>
+          <effectiveTime>
+            <low ${hl7TimeAttr(caseData.reportedAt || caseData.createdAt)}/>
+          </effectiveTime>
+          <availabilityTime ${hl7TimeAttr(hl7Time(caseData.updatedAt) ? caseData.updatedAt : caseData.reportedAt || caseData.createdAt)}/>
+          <component typeCode="COMP">
+            <adverseEventAssessment classCode="INVSTG" moodCode="EVN">
+              <subject1 typeCode="SBJ">
+                <primaryRole classCode="INVSBJ">
+                  <player1 classCode="PSN" determinerCode="INSTANCE">
+                    ${initials ? `<name>${xml(initials)}</name>` : '<name nullFlavor="UNK"/>'}
+                  </player1>${age !== null ? `
+                  <subjectOf2 typeCode="SBJ">
+                    <observation classCode="OBS" moodCode="EVN">
+                      <code code="3" codeSystem="${OID.observationCode}" displayName="age"/>
+                      <value xsi:type="PQ" value="${age}" unit="a"/>
+                    </observation>
+                  </subjectOf2>` : ''}${reactions.map(r => reactionXml(r, caseData)).join('')}
+                  <subjectOf2 typeCode="SBJ">
+                    <organizer classCode="CATEGORY" moodCode="EVN">
+                      <code code="4" codeSystem="${OID.organizerCode}" displayName="drugInformation"/>${drugs.map(drugXml).join('')}
+                    </organizer>
+                  </subjectOf2>
+                </primaryRole>
+              </subject1>${drugs.map((drug, i) => `
+              <component typeCode="COMP">
+                <causalityAssessment classCode="OBS" moodCode="EVN">
+                  <code code="20" codeSystem="${OID.observationCode}" displayName="interventionCharacterization"/>
+                  <value xsi:type="CE" code="${i === 0 ? '1' : '2'}" codeSystem="${OID.drugRole}"/>
+                  <subject2 typeCode="SUBJ">
+                    <productUseReference classCode="SBADM" moodCode="EVN">
+                      <id root="${xml(drug.id)}"/>
+                    </productUseReference>
+                  </subject2>
+                </causalityAssessment>
+              </component>`).join('')}${causality ? `
+              <component typeCode="COMP">
+                <causalityAssessment classCode="OBS" moodCode="EVN">
+                  <code code="39" codeSystem="${OID.observationCode}" displayName="causality"/>
+                  <value xsi:type="ST">${xml(causality.result)}</value>
+                  <methodCode><originalText>${xml(causality.method)}</originalText></methodCode>
+                  <author typeCode="AUT">
+                    <assignedEntity classCode="ASSIGNED">
+                      <code><originalText>${xml(causality.source)}</originalText></code>
+                    </assignedEntity>
+                  </author>
+                  <subject1 typeCode="SUBJ">
+                    <adverseEffectReference classCode="OBS" moodCode="EVN">
+                      <id root="${reactions[0]?.id}"/>
+                    </adverseEffectReference>
+                  </subject1>
+                  <subject2 typeCode="SUBJ">
+                    <productUseReference classCode="SBADM" moodCode="EVN">
+                      <id root="${suspect.id}"/>
+                    </productUseReference>
+                  </subject2>
+                </causalityAssessment>
+              </component>` : ''}${rechallenge ? `
+              <component typeCode="COMP">
+                <causalityAssessment classCode="OBS" moodCode="EVN">
+                  <code code="31" codeSystem="${OID.observationCode}" displayName="recurrenceAfterRechallenge"/>
+                  <value xsi:type="CE" code="${rechallenge}" codeSystem="${OID.rechallenge}"/>
+                  <subject2 typeCode="SUBJ">
+                    <productUseReference classCode="SBADM" moodCode="EVN">
+                      <id root="${suspect.id}"/>
+                    </productUseReference>
+                  </subject2>
+                </causalityAssessment>
+              </component>` : ''}
+            </adverseEventAssessment>
+          </component>
+          <outboundRelationship typeCode="SPRT">
+            <relatedInvestigation classCode="INVSTG" moodCode="EVN">
+              <code code="2" codeSystem="2.16.840.1.113883.3.989.2.1.1.22" displayName="sourceReport"/>
+              <subjectOf2 typeCode="SUBJ">
+                <controlActEvent classCode="CACT" moodCode="EVN">
+                  <author typeCode="AUT">
+                    <assignedEntity classCode="ASSIGNED">
+                      <code code="${REPORTER_QUALIFICATION[caseData.reporterType || 'patient'] || ''}" codeSystem="${OID.qualification}"/>
+                    </assignedEntity>
+                  </author>
+                </controlActEvent>
+              </subjectOf2>
+            </relatedInvestigation>
+          </outboundRelationship>
+          <subjectOf2 typeCode="SUBJ">
+            <investigationCharacteristic classCode="OBS" moodCode="EVN">
+              <code code="1" codeSystem="2.16.840.1.113883.3.989.2.1.1.23" displayName="ichReportType"/>
+              <value xsi:type="CE" code="1" codeSystem="${OID.reportType}" displayName="spontaneous"/>
+            </investigationCharacteristic>
+          </subjectOf2>
+          <subjectOf2 typeCode="SUBJ">
+            <investigationCharacteristic classCode="OBS" moodCode="EVN">
+              <code code="3" codeSystem="2.16.840.1.113883.3.989.2.1.1.23" displayName="otherCaseIds"/>
+              <value xsi:type="BL" value="false"/>
+            </investigationCharacteristic>
+          </subjectOf2>
+          <subjectOf2 typeCode="SUBJ">
+            <investigationCharacteristic classCode="OBS" moodCode="EVN">
+              <code code="4" codeSystem="2.16.840.1.113883.3.989.2.1.1.23" displayName="fulfillExpeditedCriteria"/>
+              <value xsi:type="BL" value="${caseData.requiresExpedited ? 'true' : 'false'}"/>
+            </investigationCharacteristic>
+          </subjectOf2>
+        </investigationEvent>
+      </subject>
+    </controlActProcess>
+  </PORR_IN049016UV>
+</MCCI_IN200100UV01>
+`;
+
+    return {
+        xml: message,
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        messageId,
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    MEDDRA_TERMS,
+    buildE2BMessage,    // Case → E2B(R3) XML + missing elements
+
+    // Case mapping shared with the CIOMS I form
+    initialsOf,
+    ageInYears,
+    reactionsOf,
+    seriousnessOf,
+    concomitantDrugsOf,
+    causalityOf,
+};
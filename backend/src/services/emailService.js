@@ -208,7 +208,6 @@ If you did not expect this email, please ignore it.
     try {
         // Send the email and get delivery info
         const info = await transporter.sendMail(mailOptions);
-        console.log('Email sent successfully:', info.messageId);
         return { success: true, messageId: info.messageId };
     } catch (error) {
         // Common errors: invalid credentials, network issues, blocked by Gmail
@@ -217,6 +216,308 @@ If you did not expect this email, please ignore it.
     }
 }
 
+// ============================================================================
+// ACCOUNT EMAILS (Doctor / Staff / Admin)
+// ============================================================================
+
+/**
+ * Send a single-button account email (password reset, email verification)
+ *
+ * WHY A SHARED TEMPLATE?
+ * Both account emails have the same shape: greeting, one sentence,
+ * one button, an expiry note. Only the wording differs.
+ *
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient email address
+ * @param {string} params.subject - Subject line
+ * @param {string} params.name - Recipient name for the greeting
+ * @param {string} params.message - Sentence explaining why the email was sent
+ * @param {string} params.buttonText - Call-to-action label
+ * @param {string} params.link - Full URL behind the button
+ * @param {string} params.expiry - Human-readable link lifetime (e.g. '1 hour')
+ * @returns {Promise<Object>} Result with success status and messageId/error
+ */
+async function sendAccountEmail({ to, subject, name, message, buttonText, link, expiry }) {
+    const mailOptions = {
+        from: `"NEST 2O Medical Follow-Up" <${process.env.EMAIL_USER}>`,
+        to: to,
+        subject: subject,
+
+        // Same branding as the OTP email (inline styles for email clients)
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h1 style="color: white; margin: 0; text-align: center;">NEST 2O</h1>
+                    <p style="color: rgba(255,255,255,0.9); text-align: center; margin: 5px 0 0 0;">Medical Follow-Up System</p>
+                </div>
+
+                <div style="background: #f9f9f9; padding: 30px; border: 1px solid #ddd; border-top: none;">
+                    <p style="font-size: 16px; color: #333;">Hello ${name || ''},</p>
+
+                    <p style="font-size: 16px; color: #333;">${message}</p>
+
+                    <div style="margin: 25px 0;">
+                        <a href="${link}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: bold;">${buttonText}</a>
+                    </div>
+
+                    <p style="font-size: 14px; color: #666;">This link will expire in <strong>${expiry}</strong> and can only be used once.</p>
+
+                    <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+
+                    <p style="font-size: 12px; color: #999;">
+                        If you did not request this email, you can safely ignore it.
+                    </p>
+                </div>
+
+                <div style="background: #333; padding: 15px; border-radius: 0 0 10px 10px; text-align: center;">
+                    <p style="color: #999; font-size: 11px; margin: 0;">
+                        This is an automated message from NEST 2O Medical Follow-Up System.<br>
+                        For educational purposes only. Not for actual medical use.
+                    </p>
+                </div>
+            </div>
+        `,
+
+        // Plain text fallback
+        text: `
+NEST 2O Medical Follow-Up
+
+Hello ${name || ''},
+
+${message}
+
+${buttonText}: ${link}
+
+This link will expire in ${expiry} and can only be used once.
+
+If you did not request this email, you can safely ignore it.
+        `,
+    };
+
+    try {
+        const info = await transporter.sendMail(mailOptions);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('Failed to send email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send a "forgot password" link to a doctor/staff/admin
+ *
+ * WHEN CALLED:
+ * - From authRoutes.js POST /forgot-password
+ *
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Account email address
+ * @param {string} params.name - Account holder name
+ * @param {string} params.resetLink - Full URL to the reset page (contains the token)
+ * @param {string} params.expiry - Human-readable link lifetime
+ * @returns {Promise<Object>} Result with success status and messageId/error
+ */
+async function sendPasswordResetEmail({ to, name, resetLink, expiry }) {
+    return sendAccountEmail({
+        to,
+        name,
+        subject: 'Reset your NEST 2O password',
+        message: 'We received a request to reset the password for your NEST 2O account. Click the button below to choose a new password.',
+        buttonText: 'Reset Password',
+        link: resetLink,
+        expiry,
+    });
+}
+
+/**
+ * Send an email address verification link after registration
+ *
+ * WHEN CALLED:
+ * - From authRoutes.js POST /register
+ * - From authRoutes.js POST /resend-verification
+ *
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Address being verified
+ * @param {string} params.name - Account holder name
+ * @param {string} params.verificationLink - Full URL to the verify page (contains the token)
+ * @param {string} params.expiry - Human-readable link lifetime
+ * @returns {Promise<Object>} Result with success status and messageId/error
+ */
+async function sendVerificationEmail({ to, name, verificationLink, expiry }) {
+    return sendAccountEmail({
+        to,
+        name,
+        subject: 'Verify your NEST 2O email address',
+        message: 'Thanks for registering with NEST 2O. Please confirm your email address to activate your account.',
+        buttonText: 'Verify Email',
+        link: verificationLink,
+        expiry,
+    });
+}
+
+// ============================================================================
+// STAFF NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Tell hospital staff that a patient has not answered a follow-up
+ *
+ * WHEN CALLED:
+ * - From reminderService.js after the last automatic reminder went
+ *   unanswered
+ *
+ * PRIVACY:
+ * Only the case reference is included - staff open the dashboard
+ * (logged in) to see the patient's name and phone number.
+ *
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Staff email address
+ * @param {string} params.name - Staff member name
+ * @param {string} params.caseId - Case reference of the follow-up
+ * @param {number} params.reminderCount - Reminders sent without an answer
+ * @param {string} params.dashboardLink - Full URL to the staff dashboard
+ * @returns {Promise<Object>} Result with success status and messageId/error
+ */
+async function sendFollowUpEscalationEmail({ to, name, caseId, reminderCount, dashboardLink }) {
+    const mailOptions = {
+        from: `"NEST 2O Medical Follow-Up" <${process.env.EMAIL_USER}>`,
+        to: to,
+        subject: `Follow-up unanswered: ${caseId}`,
+
+        // Same branding as the other emails (inline styles for email clients)
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h1 style="color: white; margin: 0; text-align: center;">NEST 2O</h1>
+                    <p style="color: rgba(255,255,255,0.9); text-align: center; margin: 5px 0 0 0;">Medical Follow-Up System</p>
+                </div>
+
+                <div style="background: #f9f9f9; padding: 30px; border: 1px solid #ddd; border-top: none;">
+                    <p style="font-size: 16px; color: #333;">Hello ${name || ''},</p>
+
+                    <p style="font-size: 16px; color: #333;">
+                        The patient for case <strong>${caseId}</strong> has not answered their follow-up
+                        after ${reminderCount} automatic reminder${reminderCount === 1 ? '' : 's'}.
+                        Please contact them directly.
+                    </p>
+
+                    <div style="margin: 25px 0;">
+                        <a href="${dashboardLink}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: bold;">Open Staff Dashboard</a>
+                    </div>
+                </div>
+
+                <div style="background: #333; padding: 15px; border-radius: 0 0 10px 10px; text-align: center;">
+                    <p style="color: #999; font-size: 11px; margin: 0;">
+                        This is an automated message from NEST 2O Medical Follow-Up System.<br>
+                        For educational purposes only. Not for actual medical use.
+                    </p>
+                </div>
+            </div>
+        `,
+
+        // Plain text fallback
+        text: `
+NEST 2O Medical Follow-Up
+
+Hello ${name || ''},
+
+The patient for case ${caseId} has not answered their follow-up after ${reminderCount} automatic reminder${reminderCount === 1 ? '' : 's'}.
+Please contact them directly.
+
+Staff dashboard: ${dashboardLink}
+        `,
+    };
+
+    try {
+        const info = await transporter.sendMail(mailOptions);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('Failed to send email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Alert a doctor or staff member to an urgent case
+ *
+ * Sent when a case is flagged urgent (to the prescribing doctor and the
+ * hospital's on-call roster) and again, marked as escalated, when nobody
+ * acknowledged it in time (see alertService.js).
+ *
+ * PRIVACY:
+ * Only the case reference is included - the recipient opens the dashboard
+ * (logged in) to see the patient and the answers.
+ *
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient email address
+ * @param {string} params.name - Recipient name
+ * @param {string} params.caseId - Case reference
+ * @param {boolean} params.escalated - Not acknowledged in time
+ * @param {number} params.ackMinutes - Acknowledgement window (minutes)
+ * @param {string} params.dashboardLink - Full URL to the recipient's dashboard
+ * @returns {Promise<Object>} Result with success status and messageId/error
+ */
+async function sendUrgentAlertEmail({ to, name, caseId, escalated, ackMinutes, dashboardLink }) {
+    const intro = escalated
+        ? `Urgent case <strong>${caseId}</strong> has not been acknowledged yet.`
+        : `Case <strong>${caseId}</strong> has been flagged as urgent.`;
+
+    const mailOptions = {
+        from: `"NEST 2O Medical Follow-Up" <${process.env.EMAIL_USER}>`,
+        to: to,
+        subject: `${escalated ? 'UNACKNOWLEDGED' : 'URGENT'}: case ${caseId}`,
+
+        // Same branding as the other emails (inline styles for email clients)
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 10px 10px 0 0;">
+                    <h1 style="color: white; margin: 0; text-align: center;">NEST 2O</h1>
+                    <p style="color: rgba(255,255,255,0.9); text-align: center; margin: 5px 0 0 0;">Medical Follow-Up System</p>
+                </div>
+
+                <div style="background: #f9f9f9; padding: 30px; border: 1px solid #ddd; border-top: none;">
+                    <p style="font-size: 16px; color: #333;">Hello ${name || ''},</p>
+
+                    <p style="font-size: 16px; color: #333;">
+                        ${intro}
+                        Please review it and acknowledge the alert on your dashboard within ${ackMinutes} minutes.
+                    </p>
+
+                    <div style="margin: 25px 0;">
+                        <a href="${dashboardLink}" style="display: inline-block; background: #dc3545; color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: bold;">Open Dashboard</a>
+                    </div>
+                </div>
+
+                <div style="background: #333; padding: 15px; border-radius: 0 0 10px 10px; text-align: center;">
+                    <p style="color: #999; font-size: 11px; margin: 0;">
+                        This is an automated message from NEST 2O Medical Follow-Up System.<br>
+                        For educational purposes only. Not for actual medical use.
+                    </p>
+                </div>
+            </div>
+        `,
+
+        // Plain text fallback
+        text: `
+NEST 2O Medical Follow-Up
+
+Hello ${name || ''},
+
+${intro.replace(/<\/?strong>/g, '')}
+Please review it and acknowledge the alert on your dashboard within ${ackMinutes} minutes.
+
+Dashboard: ${dashboardLink}
+        `,
+    };
+
+    try {
+        const info = await transporter.sendMail(mailOptions);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('Failed to send email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Verify email service configuration
  * 
@@ -254,6 +555,10 @@ async function verifyConnection() {
 // ============================================================================
 
 module.exports = {
-    sendOTPEmail,      // Main OTP email function
-    verifyConnection,  // Connection verification for startup check
+    sendOTPEmail,            // Main OTP email function
+    sendPasswordResetEmail,  // Forgot-password link
+    sendVerificationEmail,   // Email address verification link
+    sendFollowUpEscalationEmail, // Unanswered follow-up → hospital staff
+    sendUrgentAlertEmail,    // Urgent case → doctor / on-call staff
+    verifyConnection,        // Connection verification for startup check
 };
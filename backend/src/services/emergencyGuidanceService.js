@@ -0,0 +1,216 @@
+/**
+ * ============================================================================
+ * Emergency Guidance Service
+ * What a Patient Is Told When They Report a Red-Flag Symptom
+ * ============================================================================
+ *
+ * PURPOSE:
+ * An urgent answer (e.g. breathing difficulty, swelling of the face or
+ * throat) alerts the care team, but the patient should not wait for them.
+ * The patient forms show this guidance the moment such an answer is
+ * chosen, and the submission records that it was shown.
+ *
+ * CONFIGURATION (per hospital):
+ * hospitals/{hospitalId}.emergencyGuidance = {
+ *   instructions: ['Call 112 now...', ...],     // shown as steps
+ *   contacts: [{ label: 'Emergency department', phone: '+91...' }],
+ * }
+ * Set by the hospital admin (PATCH /api/auth/hospital-settings).
+ * Hospitals without their own guidance get DEFAULT_EMERGENCY_GUIDANCE.
+ *
+ * RECORD (on the submitted follow-up / adverse event):
+ * emergencyGuidance: { shownAt, triggers: ['breathing', ...], recordedAt }
+ * shownAt comes from the patient's device, recordedAt from the server.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Shown when a hospital has not configured its own guidance
+ */
+const DEFAULT_EMERGENCY_GUIDANCE = {
+    instructions: [
+        'If you have trouble breathing, swelling of the face, lips or throat, chest pain, a seizure or have fainted, call emergency services (112) or go to the nearest emergency department now.',
+        'Do not wait for your doctor to reply to this form.',
+        'Do not take another dose of the medicine until a doctor has seen you.',
+        'If possible, take your prescription or the medicine packet with you.',
+    ],
+    contacts: [
+        { label: 'Emergency services', phone: '112' },
+    ],
+};
+
+/**
+ * Limits for admin-configured guidance
+ */
+const MAX_INSTRUCTIONS = 10;
+const MAX_INSTRUCTION_LENGTH = 500;
+const MAX_CONTACTS = 10;
+const MAX_LABEL_LENGTH = 80;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{1,19}$/;
+
+/**
+ * Limits for the record sent with a submission
+ */
+const MAX_TRIGGERS = 20;
+const MAX_TRIGGER_LENGTH = 50;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// ============================================================================
+// HOSPITAL GUIDANCE
+// ============================================================================
+
+/**
+ * Emergency guidance of a hospital (or the default)
+ *
+ * @param {string} hospitalId - Hospital of the follow-up / case
+ * @returns {Promise<{instructions: string[], contacts: object[], isDefault: boolean}>}
+ */
+async function getEmergencyGuidance(hospitalId) {
+    const doc = await db.collection('hospitals').doc(hospitalId || DEFAULT_HOSPITAL_ID).get();
+    const guidance = doc.exists ? doc.data().emergencyGuidance : null;
+
+    if (!guidance) {
+        return { ...DEFAULT_EMERGENCY_GUIDANCE, isDefault: true };
+    }
+    return {
+        instructions: guidance.instructions || [],
+        contacts: guidance.contacts || [],
+        isDefault: false,
+    };
+}
+
+/**
+ * Validate guidance entered by a hospital admin
+ *
+ * @param {object} input - { instructions: string[], contacts: [{ label, phone }] }
+ * @returns {{valid: boolean, errors: object[], guidance?: object}}
+ *   errors: [{ field, message }], e.g. field 'emergencyGuidance.contacts.0.phone'
+ */
+function validateEmergencyGuidance(input) {
+    const field = 'emergencyGuidance';
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ field, message: 'must be an object with instructions and contacts' }] };
+    }
+
+    // ========== INSTRUCTIONS ==========
+    const { instructions, contacts } = input;
+    if (!Array.isArray(instructions) || instructions.length === 0) {
+        errors.push({ field: `${field}.instructions`, message: 'needs at least one instruction' });
+    } else if (instructions.length > MAX_INSTRUCTIONS) {
+        errors.push({ field: `${field}.instructions`, message: `can have at most ${MAX_INSTRUCTIONS} instructions` });
+    } else {
+        instructions.forEach((text, i) => {
+            if (typeof text !== 'string' || !text.trim()) {
+                errors.push({ field: `${field}.instructions.${i}`, message: 'must not be empty' });
+            } else if (text.trim().length > MAX_INSTRUCTION_LENGTH) {
+                errors.push({ field: `${field}.instructions.${i}`, message: `must be at most ${MAX_INSTRUCTION_LENGTH} characters` });
+            }
+        });
+    }
+
+    // ========== CONTACTS ==========
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+        errors.push({ field: `${field}.contacts`, message: 'needs at least one phone number' });
+    } else if (contacts.length > MAX_CONTACTS) {
+        errors.push({ field: `${field}.contacts`, message: `can have at most ${MAX_CONTACTS} phone numbers` });
+    } else {
+        contacts.forEach((contact, i) => {
+            const label = typeof contact?.label === 'string' ? contact.label.trim() : '';
+            const phone = typeof contact?.phone === 'string' ? contact.phone.trim() : '';
+            if (!label || label.length > MAX_LABEL_LENGTH) {
+                errors.push({ field: `${field}.contacts.${i}.label`, message: `must be 1-${MAX_LABEL_LENGTH} characters` });
+            }
+            if (!PHONE_PATTERN.test(phone)) {
+                errors.push({ field: `${field}.contacts.${i}.phone`, message: 'must be a phone number' });
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        guidance: {
+            instructions: instructions.map(text => text.trim()),
+            contacts: contacts.map(({ label, phone }) => ({ label: label.trim(), phone: phone.trim() })),
+        },
+    };
+}
+
+// ============================================================================
+// SUBMISSION RECORD
+// ============================================================================
+
+/**
+ * Validate the "guidance was shown" record sent with a patient submission
+ *
+ * @param {object|undefined} input - { shownAt: ISO string, triggers: string[] }
+ * @param {Date} now - Server time
+ * @returns {{valid: boolean, errors: object[], record?: object|null}}
+ *   record is null when the patient was not shown the guidance
+ */
+function buildGuidanceRecord(input, now = new Date()) {
+    const field = 'emergencyGuidance';
+
+    if (input === undefined || input === null) {
+        return { valid: true, errors: [], record: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ field, message: 'must be an object with shownAt and triggers' }] };
+    }
+
+    const errors = [];
+    const shownAt = new Date(input.shownAt);
+    if (typeof input.shownAt !== 'string' || Number.isNaN(shownAt.getTime())
+        || shownAt.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+        errors.push({ field: `${field}.shownAt`, message: 'must be the time the guidance was shown' });
+    }
+
+    const { triggers } = input;
+    if (!Array.isArray(triggers) || triggers.length === 0 || triggers.length > MAX_TRIGGERS
+        || !triggers.every(t => typeof t === 'string' && t && t.length <= MAX_TRIGGER_LENGTH)) {
+        errors.push({ field: `${field}.triggers`, message: 'must list the answers that showed the guidance' });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        record: {
+            shownAt,
+            triggers: [...new Set(triggers)],
+            recordedAt: now,
+        },
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DEFAULT_EMERGENCY_GUIDANCE,
+    getEmergencyGuidance,       // Hospital guidance for the patient forms
+    validateEmergencyGuidance,  // Admin input → stored guidance
+    buildGuidanceRecord,        // Patient submission → "shown" record
+};
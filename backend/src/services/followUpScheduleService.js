@@ -0,0 +1,702 @@
+/**
+ * ============================================================================
+ * Follow-Up Schedule Service
+ * Automatic Follow-Ups Tied to Prescription Duration
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Follow-ups used to happen only when someone clicked "send". Now every new
+ * prescription gets a schedule derived from its duration ("5 days",
+ * "2 weeks", ...) and the doctor's default offsets, and a background job
+ * sends each follow-up when it is due. With several medicines, the
+ * longest duration sets the course length.
+ *
+ * OFFSETS:
+ * - percent_of_course: N% of the course after the prescription date
+ *   (50 = mid-course, 100 = end of course)
+ * - days_after_end: N days after the course ends (7 = one week after)
+ * Doctors set their own offsets (users/{doctorId}.followUpSchedule);
+ * DEFAULT_OFFSETS applies until they do.
+ *
+ * PER PRESCRIPTION (prescriptions/{id}.followUpSchedule):
+ * { status: 'active' | 'paused' | 'cancelled' | 'none', durationDays, reason }
+ * - none: duration could not be parsed, or the doctor disabled schedules
+ * - paused: pending entries are held; on resume, entries whose date
+ *   passed meanwhile are skipped rather than sent late
+ * - cancelled: pending entries are cancelled for good - by the doctor, or
+ *   when the doctor closes a follow-up case (reason: 'case_closed')
+ *
+ * COLLECTION: 'scheduledFollowUps' (doc ID: '<prescriptionId>_<offsetId>')
+ * { prescriptionId, doctorId, hospitalId, caseId, offsetId, label, dueAt,
+ *   status, followUpId, error, createdAt, sentAt }
+ * status: scheduled → processing → sent | failed
+ *         (failed also when the follow-up was created but neither
+ *         WhatsApp nor SMS delivered the code - followUpId is kept)
+ *         scheduled ⇄ paused, scheduled/paused → skipped | cancelled
+ *         processing for longer than PROCESSING_TIMEOUT_MINUTES (the
+ *         instance died mid-send) → sent if its follow-up exists,
+ *         otherwise back to scheduled, failed after MAX_SEND_ATTEMPTS
+ *
+ * JOB:
+ * startFollowUpScheduler() runs runDueFollowUps() - and then the reminder
+ * pass, runFollowUpReminders() (reminderService.js) - every
+ * FOLLOW_UP_SCHEDULER_INTERVAL_MINUTES. Urgent alert escalation has its
+ * own job (alertService.startUrgentAlertEscalation). Each entry is claimed in a
+ * transaction before sending, so two server instances never send the
+ * same follow-up twice.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+const { initiateFollowUp } = require('./followUpService');
+const { runFollowUpReminders } = require('./reminderService');
+const { getPrescriptionMedicines } = require('./medicineService');
+require('dotenv').config();
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const COLLECTION = 'scheduledFollowUps';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * FOLLOW_UP_SCHEDULER_INTERVAL_MINUTES: How often due entries are checked
+ * Default: 5 minutes - follow-ups are day-granular, so this is plenty
+ */
+const SCHEDULER_INTERVAL_MINUTES = parseInt(process.env.FOLLOW_UP_SCHEDULER_INTERVAL_MINUTES) || 5;
+
+/**
+ * FOLLOW_UP_SCHEDULER_ENABLED: Set to 'false' to stop this instance from
+ * sending scheduled follow-ups and reminders (e.g. on extra API replicas)
+ */
+const SCHEDULER_ENABLED = process.env.FOLLOW_UP_SCHEDULER_ENABLED !== 'false';
+
+/**
+ * Entries sent per run - keeps one run short; the rest go next run
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * An entry still 'processing' after this long was abandoned by an
+ * instance that stopped mid-send (sending takes seconds)
+ */
+const PROCESSING_TIMEOUT_MINUTES = 15;
+
+/**
+ * Abandoned sends retried before the entry is marked failed
+ */
+const MAX_SEND_ATTEMPTS = 3;
+
+/**
+ * Longest course we schedule for; longer durations are treated as this
+ */
+const MAX_DURATION_DAYS = 365;
+
+/**
+ * Limits for doctor-defined offsets
+ */
+const OFFSET_TYPES = ['percent_of_course', 'days_after_end'];
+const MAX_OFFSETS = 5;
+const MAX_DAYS_AFTER_END = 90;
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Used until a doctor saves their own schedule
+ */
+const DEFAULT_OFFSETS = [
+    { type: 'percent_of_course', value: 50, label: 'Mid-course' },
+    { type: 'percent_of_course', value: 100, label: 'End of course' },
+    { type: 'days_after_end', value: 7, label: '1 week after' },
+];
+
+/**
+ * Days per duration unit
+ */
+const UNIT_DAYS = {
+    d: 1, day: 1, days: 1,
+    w: 7, wk: 7, wks: 7, week: 7, weeks: 7,
+    mo: 30, month: 30, months: 30,
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Firestore returns Timestamps, tests and fresh objects use Dates
+ *
+ * @param {*} value - Timestamp | Date | null
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (!value) return null;
+    return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Stable ID for an offset, used in the entry document ID
+ *
+ * @param {object} offset - { type, value }
+ * @returns {string} e.g. 'course_50', 'after_7'
+ */
+function offsetId(offset) {
+    return `${offset.type === 'percent_of_course' ? 'course' : 'after'}_${offset.value}`;
+}
+
+/**
+ * Readable label for an offset the doctor did not name
+ *
+ * @param {object} offset - { type, value }
+ * @returns {string} e.g. 'End of course', '40% of course', '3 days after'
+ */
+function defaultLabel(offset) {
+    if (offset.type === 'percent_of_course') {
+        if (offset.value === 100) return 'End of course';
+        if (offset.value === 50) return 'Mid-course';
+        return `${offset.value}% of course`;
+    }
+    if (offset.value === 0) return 'End of course';
+    return `${offset.value} day${offset.value === 1 ? '' : 's'} after`;
+}
+
+// ============================================================================
+// DURATION PARSING
+// ============================================================================
+
+/**
+ * Parse a free-text prescription duration into days
+ *
+ * Understands "5 days", "2 weeks", "1 month", "7d", "10-14 days"
+ * (a range uses the upper bound) and a bare number ("5" = 5 days).
+ *
+ * @param {string} duration - Duration as entered on the prescription
+ * @returns {number|null} Days (capped at 365), or null if not understood
+ */
+function parseDurationDays(duration) {
+    if (duration === undefined || duration === null) return null;
+
+    const text = String(duration).trim().toLowerCase();
+    const match = text.match(/^(?:for\s+)?(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*([a-z]+)?\.?$/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[2] || match[1]);
+    const unit = match[3] || 'days';
+    if (!UNIT_DAYS[unit] || amount <= 0) return null;
+
+    return Math.min(Math.ceil(amount * UNIT_DAYS[unit]), MAX_DURATION_DAYS);
+}
+
+/**
+ * Length of the whole course: the longest of the prescription duration
+ * and the per-medicine durations
+ *
+ * @param {object} prescription - Prescription data (duration, medicines)
+ * @returns {number|null} Days, or null if no duration was understood
+ */
+function getCourseDurationDays(prescription) {
+    const days = [prescription.duration, ...getPrescriptionMedicines(prescription).map(m => m.duration)]
+        .map(parseDurationDays)
+        .filter(Boolean);
+    return days.length > 0 ? Math.max(...days) : null;
+}
+
+// ============================================================================
+// DOCTOR DEFAULTS
+// ============================================================================
+
+/**
+ * Check and normalize offsets submitted by a doctor
+ *
+ * @param {Array} offsets - [{ type, value, label }]
+ * @returns {{valid: boolean, error?: string, offsets?: Array}}
+ */
+function validateOffsets(offsets) {
+    if (!Array.isArray(offsets)) {
+        return { valid: false, error: 'offsets must be a list' };
+    }
+    if (offsets.length > MAX_OFFSETS) {
+        return { valid: false, error: `At most ${MAX_OFFSETS} follow-ups per prescription` };
+    }
+
+    const normalized = [];
+    for (const offset of offsets) {
+        const type = offset?.type;
+        const value = Number(offset?.value);
+        const label = String(offset?.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+
+        if (!OFFSET_TYPES.includes(type)) {
+            return { valid: false, error: `type must be one of: ${OFFSET_TYPES.join(', ')}` };
+        }
+        if (!Number.isInteger(value)) {
+            return { valid: false, error: 'value must be a whole number' };
+        }
+        if (type === 'percent_of_course' && (value < 1 || value > 100)) {
+            return { valid: false, error: 'Percent of course must be between 1 and 100' };
+        }
+        if (type === 'days_after_end' && (value < 0 || value > MAX_DAYS_AFTER_END)) {
+            return { valid: false, error: `Days after the course must be between 0 and ${MAX_DAYS_AFTER_END}` };
+        }
+        if (normalized.some(o => o.type === type && o.value === value)) {
+            return { valid: false, error: 'The same follow-up time is listed twice' };
+        }
+
+        normalized.push({ type, value, label: label || defaultLabel({ type, value }) });
+    }
+
+    return { valid: true, offsets: normalized };
+}
+
+/**
+ * Get a doctor's default schedule
+ *
+ * @param {string} doctorId - Doctor user ID
+ * @returns {Promise<{enabled: boolean, offsets: Array, isDefault: boolean}>}
+ */
+async function getDoctorScheduleDefaults(doctorId) {
+    const doctorDoc = await db.collection('users').doc(doctorId).get();
+    const saved = doctorDoc.exists ? doctorDoc.data().followUpSchedule : null;
+
+    if (!saved) {
+        return { enabled: true, offsets: DEFAULT_OFFSETS, isDefault: true };
+    }
+
+    return {
+        enabled: saved.enabled !== false,
+        offsets: saved.offsets || DEFAULT_OFFSETS,
+        isDefault: false,
+    };
+}
+
+/**
+ * Save a doctor's default schedule (applies to prescriptions created later)
+ *
+ * @param {string} doctorId - Doctor user ID
+ * @param {{enabled: boolean, offsets: Array}} schedule - Already validated
+ */
+async function saveDoctorScheduleDefaults(doctorId, { enabled, offsets }) {
+    await db.collection('users').doc(doctorId).update({
+        followUpSchedule: {
+            enabled: enabled !== false,
+            offsets,
+            updatedAt: new Date(),
+        },
+    });
+}
+
+// ============================================================================
+// BUILD SCHEDULE
+// ============================================================================
+
+/**
+ * Compute due dates for a course
+ *
+ * Offsets that land on the same day are merged (e.g. "end of course" and
+ * "0 days after end"); every follow-up is at least one day after the start.
+ *
+ * @param {Date} start - Prescription date
+ * @param {number} durationDays - Course length in days
+ * @param {Array} offsets - [{ type, value, label }]
+ * @returns {Array} [{ offsetId, label, dayOffset, dueAt }] sorted by dueAt
+ */
+function computeSchedule(start, durationDays, offsets) {
+    const seenDays = new Set();
+    const entries = [];
+
+    for (const offset of offsets) {
+        const dayOffset = offset.type === 'percent_of_course'
+            ? Math.max(1, Math.round(durationDays * offset.value / 100))
+            : durationDays + offset.value;
+
+        if (seenDays.has(dayOffset)) continue;
+        seenDays.add(dayOffset);
+
+        entries.push({
+            offsetId: offsetId(offset),
+            label: offset.label,
+            dayOffset,
+            dueAt: new Date(start.getTime() + dayOffset * DAY_MS),
+        });
+    }
+
+    return entries.sort((a, b) => a.dayOffset - b.dayOffset);
+}
+
+/**
+ * Create the schedule for a new prescription
+ * Called right after the prescription is stored.
+ *
+ * @param {string} prescriptionId - Prescription document ID
+ * @param {object} prescription - Prescription data (doctorId, duration, ...)
+ * @returns {Promise<object>} followUpSchedule summary stored on the prescription
+ */
+async function createScheduleForPrescription(prescriptionId, prescription) {
+    const prescriptionRef = db.collection('prescriptions').doc(prescriptionId);
+    const durationDays = getCourseDurationDays(prescription);
+    const defaults = await getDoctorScheduleDefaults(prescription.doctorId);
+
+    // ========== NOTHING TO SCHEDULE ==========
+    let reason = null;
+    if (!defaults.enabled) reason = 'disabled_by_doctor';
+    else if (!durationDays) reason = 'duration_not_understood';
+    else if (defaults.offsets.length === 0) reason = 'no_offsets';
+
+    if (reason) {
+        const summary = { status: 'none', durationDays, reason };
+        await prescriptionRef.update({ followUpSchedule: summary });
+        return summary;
+    }
+
+    // ========== CREATE ENTRIES ==========
+    const start = toDate(prescription.createdAt) || new Date();
+    const entries = computeSchedule(start, durationDays, defaults.offsets);
+    const batch = db.batch();
+
+    for (const entry of entries) {
+        batch.set(db.collection(COLLECTION).doc(`${prescriptionId}_${entry.offsetId}`), {
+            prescriptionId,
+            doctorId: prescription.doctorId,
+            hospitalId: prescription.hospitalId || DEFAULT_HOSPITAL_ID,
+            caseId: prescription.caseId,
+            offsetId: entry.offsetId,
+            label: entry.label,
+            dueAt: entry.dueAt,
+            status: 'scheduled',
+            followUpId: null,
+            error: null,
+            createdAt: new Date(),
+            sentAt: null,
+        });
+    }
+
+    const summary = { status: 'active', durationDays, reason: null };
+    batch.update(prescriptionRef, { followUpSchedule: summary });
+    await batch.commit();
+
+    return summary;
+}
+
+/**
+ * List the schedule entries of one prescription
+ *
+ * @param {string} prescriptionId - Prescription document ID
+ * @returns {Promise<Array>} Entries sorted by due date
+ */
+async function getPrescriptionSchedule(prescriptionId) {
+    const snapshot = await db.collection(COLLECTION)
+        .where('prescriptionId', '==', prescriptionId)
+        .get();
+
+    return snapshot.docs
+        .map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+            dueAt: toDate(doc.data().dueAt),
+            createdAt: toDate(doc.data().createdAt),
+            sentAt: toDate(doc.data().sentAt),
+        }))
+        .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+// ============================================================================
+// PAUSE / RESUME / CANCEL
+// ============================================================================
+
+/**
+ * Move a prescription's schedule to a new status
+ *
+ * TRANSITIONS:
+ * - pause:  active → paused     (scheduled entries → paused)
+ * - resume: paused → active     (paused entries → scheduled, or skipped if overdue)
+ * - cancel: active/paused → cancelled (scheduled/paused entries → cancelled)
+ *
+ * @param {string} prescriptionId - Prescription document ID
+ * @param {string} action - 'pause' | 'resume' | 'cancel'
+ * @param {string} userId - Who made the change
+ * @param {string} reason - Why, when not the doctor's own choice (e.g. 'case_closed')
+ * @returns {Promise<{success: boolean, message?: string, followUpSchedule?: object}>}
+ */
+async function changeScheduleStatus(prescriptionId, action, userId, reason = null) {
+    const transitions = {
+        pause: { from: ['active'], to: 'paused', entries: { scheduled: 'paused' } },
+        resume: { from: ['paused'], to: 'active', entries: { paused: 'scheduled' } },
+        cancel: { from: ['active', 'paused'], to: 'cancelled', entries: { scheduled: 'cancelled', paused: 'cancelled' } },
+    };
+    const transition = transitions[action];
+
+    const prescriptionRef = db.collection('prescriptions').doc(prescriptionId);
+    const prescriptionDoc = await prescriptionRef.get();
+    const current = prescriptionDoc.data().followUpSchedule || { status: 'none' };
+
+    if (!transition.from.includes(current.status)) {
+        return {
+            success: false,
+            message: `Cannot ${action} a schedule that is ${current.status === 'none' ? 'not set up' : current.status}`,
+        };
+    }
+
+    // ========== UPDATE PENDING ENTRIES ==========
+    const now = new Date();
+    const entries = await getPrescriptionSchedule(prescriptionId);
+    const batch = db.batch();
+
+    for (const entry of entries) {
+        let next = transition.entries[entry.status];
+        if (!next) continue;
+
+        // Don't fire a burst of stale follow-ups after a long pause
+        if (action === 'resume' && entry.dueAt <= now) next = 'skipped';
+
+        batch.update(db.collection(COLLECTION).doc(entry.id), { status: next, updatedAt: now });
+    }
+
+    const followUpSchedule = {
+        ...current,
+        status: transition.to,
+        reason,
+        updatedAt: now,
+        updatedBy: userId,
+    };
+    batch.update(prescriptionRef, { followUpSchedule });
+    await batch.commit();
+
+    return { success: true, followUpSchedule };
+}
+
+// ============================================================================
+// RUN DUE FOLLOW-UPS
+// ============================================================================
+
+/**
+ * Claim one due entry so no other instance sends it
+ *
+ * @param {object} entryRef - Schedule entry document reference
+ * @returns {Promise<{claimed: boolean, prescription?: object}>}
+ */
+async function claimEntry(entryRef) {
+    return db.runTransaction(async (transaction) => {
+        const entryDoc = await transaction.get(entryRef);
+        if (!entryDoc.exists || entryDoc.data().status !== 'scheduled') {
+            return { claimed: false };
+        }
+
+        const entry = entryDoc.data();
+        const prescriptionDoc = await transaction.get(db.collection('prescriptions').doc(entry.prescriptionId));
+
+        if (!prescriptionDoc.exists) {
+            transaction.update(entryRef, { status: 'cancelled', error: 'Prescription deleted', updatedAt: new Date() });
+            return { claimed: false };
+        }
+
+        transaction.update(entryRef, {
+            status: 'processing',
+            processingAt: new Date(),
+            attempts: (entry.attempts || 0) + 1,
+        });
+        return { claimed: true, prescription: prescriptionDoc.data() };
+    });
+}
+
+/**
+ * Recover entries left in 'processing' by an instance that stopped
+ * between claiming and finishing them
+ *
+ * - Follow-up already created (crash after sending) → 'sent'
+ * - Otherwise → 'scheduled' again, picked up by this run;
+ *   'failed' once MAX_SEND_ATTEMPTS claims were abandoned
+ *
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of entries recovered
+ */
+async function recoverStaleEntries(now) {
+    const staleBefore = new Date(now.getTime() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+    const snapshot = await db.collection(COLLECTION)
+        .where('status', '==', 'processing')
+        .where('processingAt', '<=', staleBefore)
+        .limit(BATCH_SIZE)
+        .get();
+
+    let recovered = 0;
+
+    for (const doc of snapshot.docs) {
+        const entryRef = db.collection(COLLECTION).doc(doc.id);
+
+        // Sent before the instance stopped? (followUpService stamps the entry ID)
+        const existing = await db.collection('followUps')
+            .where('scheduledFollowUpId', '==', doc.id)
+            .limit(1)
+            .get();
+
+        const changed = await db.runTransaction(async (transaction) => {
+            const entryDoc = await transaction.get(entryRef);
+            const entry = entryDoc.data();
+            if (entry?.status !== 'processing' || toDate(entry.processingAt) > staleBefore) {
+                return false;
+            }
+
+            if (!existing.empty) {
+                transaction.update(entryRef, {
+                    status: 'sent',
+                    followUpId: existing.docs[0].id,
+                    sentAt: toDate(existing.docs[0].data().createdAt) || now,
+                    updatedAt: now,
+                });
+            } else if ((entry.attempts || 1) >= MAX_SEND_ATTEMPTS) {
+                transaction.update(entryRef, {
+                    status: 'failed',
+                    error: `Sending was interrupted ${MAX_SEND_ATTEMPTS} times`,
+                    updatedAt: now,
+                });
+            } else {
+                transaction.update(entryRef, {
+                    status: 'scheduled',
+                    processingAt: null,
+                    error: 'Sending was interrupted - retrying',
+                    updatedAt: now,
+                });
+            }
+            return true;
+        });
+
+        if (changed) recovered++;
+    }
+
+    if (recovered) {
+        console.log(`📅 Recovered ${recovered} interrupted scheduled follow-up(s)`);
+    }
+
+    return recovered;
+}
+
+/**
+ * Send every follow-up whose due date has passed
+ * Entries abandoned mid-send by a stopped instance are recovered first.
+ *
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<{sent: number, failed: number, recovered: number}>}
+ */
+async function runDueFollowUps(now = new Date()) {
+    const recovered = await recoverStaleEntries(now);
+
+    const snapshot = await db.collection(COLLECTION)
+        .where('status', '==', 'scheduled')
+        .where('dueAt', '<=', now)
+        .orderBy('dueAt', 'asc')
+        .limit(BATCH_SIZE)
+        .get();
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const doc of snapshot.docs) {
+        const entryRef = db.collection(COLLECTION).doc(doc.id);
+        const { claimed, prescription } = await claimEntry(entryRef);
+        if (!claimed) continue;
+
+        try {
+            const result = await initiateFollowUp(doc.data().prescriptionId, prescription, {
+                source: 'scheduled',
+                scheduledFollowUpId: doc.id,
+            });
+
+            // Follow-up created but the code reached the patient on no
+            // channel (Twilio not configured or both sends failed). Not
+            // retried - that would create a second follow-up; staff can
+            // resend the code from the follow-up itself.
+            if (!result.whatsappSent && !result.smsSent) {
+                console.error('Scheduled Follow-Up Not Delivered:', doc.id, result.followUpId);
+                await entryRef.update({
+                    status: 'failed',
+                    error: 'Follow-up created but the code could not be sent by WhatsApp or SMS - resend it from the follow-up',
+                    followUpId: result.followUpId,
+                    whatsappSent: false,
+                    smsSent: false,
+                    updatedAt: new Date(),
+                });
+                failed++;
+                continue;
+            }
+
+            await entryRef.update({
+                status: 'sent',
+                error: null,
+                followUpId: result.followUpId,
+                whatsappSent: result.whatsappSent,
+                smsSent: result.smsSent,
+                sentAt: new Date(),
+            });
+            sent++;
+
+        } catch (error) {
+            console.error('Scheduled Follow-Up Error:', doc.id, error);
+            await entryRef.update({
+                status: 'failed',
+                error: error.message,
+                updatedAt: new Date(),
+            });
+            failed++;
+        }
+    }
+
+    if (sent || failed) {
+        console.log(`📅 Scheduled follow-ups: ${sent} sent, ${failed} failed`);
+    }
+
+    return { sent, failed, recovered };
+}
+
+/**
+ * Start the background job (called once from server.js)
+ * Each run sends due scheduled follow-ups, then due reminders.
+ *
+ * @returns {object|null} Interval handle, or null when disabled
+ */
+function startFollowUpScheduler() {
+    if (!SCHEDULER_ENABLED) {
+        console.log('📅 Follow-up scheduler disabled (FOLLOW_UP_SCHEDULER_ENABLED=false)');
+        return null;
+    }
+
+    const run = async () => {
+        try {
+            await runDueFollowUps();
+        } catch (error) {
+            console.error('Follow-Up Scheduler Error:', error);
+        }
+        try {
+            await runFollowUpReminders();
+        } catch (error) {
+            console.error('Follow-Up Reminder Job Error:', error);
+        }
+    };
+
+    const timer = setInterval(run, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();  // Never keep the process alive just for the scheduler
+    run();
+
+    return timer;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DEFAULT_OFFSETS,                 // Shown in settings until a doctor saves their own
+    parseDurationDays,               // "2 weeks" → 14
+    computeSchedule,                 // Due dates for a course
+    validateOffsets,                 // Doctor settings input check
+    getDoctorScheduleDefaults,       // Doctor settings
+    saveDoctorScheduleDefaults,      // Doctor settings
+    createScheduleForPrescription,   // After prescription creation
+    getPrescriptionSchedule,         // Prescription detail view
+    changeScheduleStatus,            // Pause / resume / cancel
+    runDueFollowUps,                 // One scheduler pass
+    startFollowUpScheduler,          // Background job
+};
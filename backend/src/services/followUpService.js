@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * Follow-Up Service - Start a Follow-Up for a Prescription
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Creates the follow-up record, its questions and OTP, and sends the code
+ * to the patient. Shared by:
+ * - POST /api/follow-ups (doctor/staff click "send")
+ * - The follow-up scheduler (followUpScheduleService.js)
+ *
+ * The caller is responsible for authorization - this service trusts the
+ * prescription it is given.
+ *
+ * WORKFLOW:
+ * 1. Create follow-up document (status pending_verification)
+ * 2. Generate personalized questions using AI
+ * 3. Generate OTP for patient verification
+ * 4. Update prescription status to follow_up_sent
+ * 5. Send OTP via WhatsApp and SMS (if Twilio is configured)
+ *
+ * Unanswered follow-ups are then reminded and escalated by
+ * reminderService.js.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { createOTP } = require('./otpService');
+const { generatePersonalizedQuestions } = require('./aiService');
+const { sendOTPBoth } = require('./whatsappService');
+const { initialReminderState } = require('./reminderService');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+
+// ============================================================================
+// INITIATE FOLLOW-UP
+// ============================================================================
+
+/**
+ * Create a follow-up for a prescription and send the OTP to the patient
+ *
+ * @param {string} prescriptionId - Prescription document ID
+ * @param {object} prescription - Prescription data (already authorized)
+ * @param {object} options
+ * @param {string} options.source - 'manual' | 'scheduled'
+ * @param {string} options.scheduledFollowUpId - Schedule entry that triggered it (scheduled only)
+ * @returns {Promise<object>} { followUpId, otp, otpExpiresAt, verificationLink,
+ *                              prescriptionLink, whatsappSent, smsSent }
+ * @throws {Error} If the prescription has no patient phone
+ */
+async function initiateFollowUp(prescriptionId, prescription, { source = 'manual', scheduledFollowUpId = null } = {}) {
+    if (!prescription.patientPhone) {
+        throw new Error('Patient phone number is required for WhatsApp communication');
+    }
+
+    // ========== CREATE FOLLOW-UP DOCUMENT ==========
+    // Follow-up is always owned by the prescribing doctor
+    // (staff and the scheduler send on the doctor's behalf)
+    const followUpId = uuidv4();
+    const createdAt = new Date();
+    const followUpData = {
+        prescriptionId,
+        doctorId: prescription.doctorId,
+        hospitalId: prescription.hospitalId || DEFAULT_HOSPITAL_ID,
+        patientPhone: prescription.patientPhone,
+        patientName: prescription.patientName || null,
+        caseId: prescription.caseId,
+        status: 'pending_verification',  // Initial status - waiting for OTP
+        source,                          // manual | scheduled
+        scheduledFollowUpId,
+        createdAt,
+        otpVerified: false,              // Security flag
+        patientConsent: false,           // Consent flag - CRITICAL
+        ...initialReminderState(createdAt), // Automatic reminders if unanswered
+    };
+
+    await db.collection('followUps').doc(followUpId).set(followUpData);
+
+    // ========== GENERATE PERSONALIZED QUESTIONS ==========
+    // AI generates condition-specific questions based on prescription
+    const questionsResult = await generatePersonalizedQuestions(prescription);
+    if (questionsResult.success && questionsResult.questions) {
+        await db.collection('followUps').doc(followUpId).update({
+            personalizedQuestions: questionsResult.questions,
+        });
+    }
+
+    // ========== GENERATE OTP ==========
+    const { otp, expiresAt } = await createOTP(followUpId);
+
+    // ========== UPDATE PRESCRIPTION STATUS ==========
+    await db.collection('prescriptions').doc(prescriptionId).update({
+        status: 'follow_up_sent',
+    });
+
+    // ========== BUILD VERIFICATION LINKS ==========
+    const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${followUpId}`;
+    const prescriptionLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/prescription/${prescriptionId}`;
+
+    // ========== SEND OTP VIA WHATSAPP AND SMS ==========
+    let whatsappSent = false;
+    let smsSent = false;
+
+    // Only send if Twilio is configured
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+        const results = await sendOTPBoth({
+            to: prescription.patientPhone,
+            otp,
+            verificationLink,
+            caseId: prescription.caseId,
+            followUpId,
+        });
+        whatsappSent = results.whatsapp.success;
+        smsSent = results.sms.success;
+
+        // Log failures for debugging
+        if (!whatsappSent) {
+            console.error('WhatsApp send failed:', results.whatsapp.error);
+        }
+        if (!smsSent) {
+            console.error('SMS send failed:', results.sms.error);
+        }
+    }
+
+    return {
+        followUpId,
+        otp,
+        otpExpiresAt: expiresAt,
+        verificationLink,
+        prescriptionLink,
+        whatsappSent,
+        smsSent,
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    initiateFollowUp,   // Manual send (route) and scheduler
+};
@@ -0,0 +1,217 @@
+/**
+ * ============================================================================
+ * Follow-Up Summary Service
+ * Deterministic Structured Summary of a Submitted Follow-Up
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turns the patient's submitted answers into the summary the doctor
+ * reviews. This is plain code - no LLM - so every submitted follow-up has
+ * a summary, and the same answers always give the same summary.
+ * The AI narrative (aiService.generateDoctorSummary) is an optional layer
+ * written FROM this summary; when it is off or fails, nothing is lost.
+ *
+ * STRUCTURED SUMMARY (followUps/{id}.structuredSummary):
+ * {
+ *   schemaVersion: 1,          // 0 = submitted before the versioned schema
+ *   pathType: 'adverse',       // positive | adverse | neutral | null
+ *   flags: { needsUrgentAttention, isSerious, adherenceIssue, wantsContact },
+ *   highlights: ['Urgent: Breathing difficulty', ...],
+ *   answers: [{ questionId, question, category, selected, selectedLabels, notes }],
+ *   personalizedAnswers: [...],  // As stored on the follow-up
+ *   notes: null                  // Free-text notes that belong to no question (version 0)
+ * }
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const {
+    QUESTIONS,
+    getPathType,
+    getQuestionOrder,
+} = require('../config/followUpQuestionnaire');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Adherence answers worth pointing out to the doctor
+ */
+const ADHERENCE_ISSUES = ['missed_some', 'stopped_early'];
+
+/**
+ * needsFollowUp answers where the patient wants to hear back
+ */
+const CONTACT_REQUESTS = ['questions', 'callback', 'appointment'];
+
+// ============================================================================
+// READING SUBMISSIONS
+// ============================================================================
+
+/**
+ * Answers of a submission, whatever schema version it was made with
+ *
+ * VERSION 1: { schemaVersion: 1, answers: { questionId: { selected, notes } } }
+ * VERSION 0 (no schemaVersion): the flat object the form used to send -
+ *   one value per question, symptoms comma-separated, other medicines as
+ *   concomitantMedications, follow-up needs as followUpNeeded and all
+ *   notes combined in patientNotes.
+ *
+ * @param {object} verifiedResponses - Stored responses of the follow-up
+ * @returns {{schemaVersion: number, answers: object, notes: string|null}}
+ */
+function getAnswers(verifiedResponses = {}) {
+    if (verifiedResponses.schemaVersion === 1) {
+        return { schemaVersion: 1, answers: verifiedResponses.answers || {}, notes: null };
+    }
+
+    // ========== VERSION 0 ==========
+    const legacy = {
+        ...verifiedResponses,
+        otherMedications: verifiedResponses.otherMedications || verifiedResponses.concomitantMedications,
+        needsFollowUp: verifiedResponses.needsFollowUp || verifiedResponses.followUpNeeded,
+    };
+
+    const answers = {};
+    for (const question of Object.values(QUESTIONS)) {
+        const value = legacy[question.id];
+        if (!value || typeof value !== 'string') continue;
+        answers[question.id] = {
+            selected: question.multiSelect ? value.split(',').map(v => v.trim()).filter(Boolean) : value,
+            notes: null,
+        };
+    }
+
+    const notes = verifiedResponses.patientNotes || verifiedResponses.additionalNotes;
+    return {
+        schemaVersion: 0,
+        answers,
+        notes: notes && notes !== 'No additional notes' ? notes : null,
+    };
+}
+
+// ============================================================================
+// STRUCTURED SUMMARY
+// ============================================================================
+
+/**
+ * Build the structured summary of a submitted follow-up
+ *
+ * Only questions on the patient's path are included, in the order they
+ * were asked. Option values are stored with their labels.
+ *
+ * @param {object} followUpData - Follow-up document (verifiedResponses, personalizedAnswers)
+ * @returns {object} Structured summary (see top of file)
+ */
+function buildStructuredSummary(followUpData) {
+    const { schemaVersion, answers, notes } = getAnswers(followUpData.verifiedResponses);
+    const status = answers.overallStatus?.selected;
+    const pathType = getPathType(status);
+
+    // ========== ANSWERS IN QUESTION ORDER ==========
+    const answered = [];
+    const flaggedOptions = [];
+
+    for (const questionId of getQuestionOrder(status)) {
+        const answer = answers[questionId];
+        const question = QUESTIONS[questionId];
+        const selected = [].concat(answer?.selected ?? []);
+        if (selected.length === 0) continue;
+
+        const options = selected.map(value =>
+            question.options.find(o => o.value === value) || { value, label: value }
+        );
+        flaggedOptions.push(...options.filter(o => o.urgent || o.serious));
+
+        answered.push({
+            questionId,
+            question: question.question,
+            category: question.category,
+            selected: answer.selected,
+            selectedLabels: options.map(o => o.label),
+            notes: answer.notes || null,
+        });
+    }
+
+    const valueOf = (questionId) => answers[questionId]?.selected;
+
+    // ========== FLAGS ==========
+    // Urgent / serious only count on the adverse path
+    const flags = {
+        needsUrgentAttention: pathType === 'adverse' && flaggedOptions.some(o => o.urgent),
+        isSerious: pathType === 'adverse' && flaggedOptions.some(o => o.serious),
+        adherenceIssue: ADHERENCE_ISSUES.includes(valueOf('medicationAdherence')),
+        wantsContact: CONTACT_REQUESTS.includes(valueOf('needsFollowUp')),
+    };
+
+    // ========== HIGHLIGHTS ==========
+    const labelOf = (questionId) => answered.find(a => a.questionId === questionId)?.selectedLabels.join(', ');
+    const highlights = [];
+    if (flags.needsUrgentAttention) {
+        highlights.push(`Urgent: ${flaggedOptions.filter(o => o.urgent).map(o => o.label).join(', ')}`);
+    }
+    if (flags.isSerious) highlights.push('Serious: patient needed emergency care or hospital admission');
+    if (flags.adherenceIssue) highlights.push(`Adherence: ${labelOf('medicationAdherence')}`);
+    if (flags.wantsContact) highlights.push(`Patient request: ${labelOf('needsFollowUp')}`);
+
+    return {
+        schemaVersion,
+        pathType,
+        flags,
+        highlights,
+        answers: answered,
+        personalizedAnswers: followUpData.personalizedAnswers || [],
+        notes,
+    };
+}
+
+/**
+ * Plain-text version of a structured summary
+ * Used for the AI narrative prompt and wherever only text fits.
+ *
+ * @param {object} structured - Result of buildStructuredSummary()
+ * @returns {string}
+ */
+function formatStructuredSummary(structured) {
+    const lines = [];
+
+    if (structured.highlights.length > 0) {
+        lines.push('HIGHLIGHTS:', ...structured.highlights.map(h => `- ${h}`), '');
+    }
+
+    lines.push('PATIENT RESPONSES:');
+    for (const answer of structured.answers) {
+        lines.push(`- ${answer.question} ${answer.selectedLabels.join(', ')}`);
+        if (answer.notes) lines.push(`  Patient notes: ${answer.notes}`);
+    }
+    if (structured.answers.length === 0) lines.push('- None');
+
+    if (structured.personalizedAnswers.length > 0) {
+        lines.push('', 'CONDITION-SPECIFIC ANSWERS:');
+        for (const answer of structured.personalizedAnswers) {
+            lines.push(`- ${answer.question} ${answer.selectedLabels.join(', ')}`);
+            if (answer.notes) lines.push(`  Patient notes: ${answer.notes}`);
+        }
+    }
+
+    if (structured.notes) {
+        lines.push('', `ADDITIONAL NOTES: ${structured.notes}`);
+    }
+
+    return lines.join('\n');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    getAnswers,                 // Submitted answers of any schema version
+    buildStructuredSummary,     // Deterministic doctor summary
+    formatStructuredSummary,    // Same, as plain text
+};
@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * Medicine Service
+ * Per-Medicine Regimen of a Prescription
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A prescription usually has more than one medicine. Each medicine is
+ * stored as its own entry on the prescription, so follow-up questions,
+ * summaries and adverse event reports can refer to a specific drug.
+ *
+ * MEDICINE ENTRY (prescriptions/{id}.medicines[]):
+ * {
+ *   id: 'med_1',             // Stable within the prescription
+ *   name: 'Amoxicillin',     // Required
+ *   strength: '500mg',       // Optional
+ *   frequencyCode: '1-0-1',  // Optional, Morning-Afternoon-Evening
+ *   frequencyText: 'Twice daily (Morning & Evening)',
+ *   duration: '7 days',      // Optional - defaults to the prescription duration
+ *   instructions: 'After food'
+ * }
+ *
+ * LEGACY PRESCRIPTIONS:
+ * Older prescriptions only have medicineName / dosage / duration.
+ * getPrescriptionMedicines() turns those into a single entry (id 'med_1'),
+ * so callers never need to check which format they have. New
+ * prescriptions keep medicineName / dosage filled in as a readable
+ * summary of the list for older screens and message templates.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Limits for one prescription
+ */
+const MAX_MEDICINES = 20;
+
+/**
+ * Longest accepted value per field (characters)
+ */
+const FIELD_LIMITS = {
+    name: 100,
+    strength: 100,
+    frequencyText: 100,
+    duration: 50,
+    instructions: 200,
+};
+
+// ============================================================================
+// FREQUENCY CODES
+// ============================================================================
+
+/**
+ * Interpret frequency code (1-0-1 format) to human-readable text
+ *
+ * FREQUENCY CODE FORMAT:
+ * Three digits representing Morning-Afternoon-Evening
+ * 1 = take dose, 0 = skip dose
+ *
+ * EXAMPLES:
+ * - "1-0-1" → "Twice daily (Morning & Evening)"
+ * - "1-1-1" → "Three times daily (Morning, Afternoon, Evening)"
+ * - "0-0-1" → "Once daily (Evening only)"
+ *
+ * @param {string} code - Frequency code like "1-0-1"
+ * @returns {string} Human-readable description
+ */
+function interpretFrequencyCode(code) {
+    if (!code) return null;
+
+    // Normalize input: handle spaces, commas, multiple dashes
+    // "1  0  1" or "1, 0, 1" → "1-0-1"
+    const normalized = code.replace(/[\s,]+/g, '-').replace(/-+/g, '-');
+    const parts = normalized.split('-').map(p => parseInt(p.trim()));
+
+    // Validate format (must be exactly 3 numbers)
+    if (parts.length !== 3 || parts.some(isNaN)) {
+        return code; // Return original if not valid format
+    }
+
+    const [morning, afternoon, evening] = parts;
+    const times = [];
+
+    // Build list of times when dose should be taken
+    if (morning === 1) times.push('Morning');
+    if (afternoon === 1) times.push('Afternoon');
+    if (evening === 1) times.push('Evening');
+
+    // Generate human-readable description
+    if (times.length === 0) return 'As directed';
+    if (times.length === 3) return 'Three times daily (Morning, Afternoon, Evening)';
+    if (times.length === 2) return `Twice daily (${times.join(' & ')})`;
+    if (times.length === 1) return `Once daily (${times[0]} only)`;
+
+    return times.join(', ');
+}
+
+/**
+ * Normalize a frequency code to "d-d-d"
+ *
+ * @param {string} code - "1-0-1", "1 0 1", "1,0,1", ...
+ * @returns {string|null} Normalized code, or null if it is not three digits
+ */
+function normalizeFrequencyCode(code) {
+    const normalized = String(code).trim().replace(/[\s,]+/g, '-').replace(/-+/g, '-');
+    return /^\d-\d-\d$/.test(normalized) ? normalized : null;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Trimmed string value of an optional field (null when empty)
+ *
+ * @param {*} value - Raw value from the request
+ * @returns {string|null}
+ */
+function optionalText(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text || null;
+}
+
+/**
+ * Validate and normalize the medicines of a new prescription
+ *
+ * Accepts either a `medicines` array or - for older clients - the single
+ * medicineName / dosage fields. `dosage` is accepted as an alias of
+ * `strength` on each medicine (that is what the OCR scan returns).
+ *
+ * @param {object} body - Request body
+ * @returns {{valid: boolean, medicines?: Array, error?: string}}
+ */
+function normalizeMedicines(body) {
+    let input = body.medicines;
+
+    // Legacy clients: one medicine in flat fields
+    if (input === undefined || input === null) {
+        if (!body.medicineName) {
+            return { valid: false, error: 'At least one medicine is required' };
+        }
+        input = [{ name: body.medicineName, strength: body.dosage }];
+    }
+
+    if (!Array.isArray(input)) {
+        return { valid: false, error: 'medicines must be a list' };
+    }
+    if (input.length === 0) {
+        return { valid: false, error: 'At least one medicine is required' };
+    }
+    if (input.length > MAX_MEDICINES) {
+        return { valid: false, error: `At most ${MAX_MEDICINES} medicines per prescription` };
+    }
+
+    const medicines = [];
+    for (const [index, raw] of input.entries()) {
+        const position = `Medicine #${index + 1}`;
+
+        if (!raw || typeof raw !== 'object') {
+            return { valid: false, error: `${position} is not valid` };
+        }
+
+        const medicine = {
+            id: `med_${index + 1}`,
+            name: optionalText(raw.name),
+            strength: optionalText(raw.strength ?? raw.dosage),
+            frequencyCode: null,
+            frequencyText: optionalText(raw.frequencyText),
+            duration: optionalText(raw.duration),
+            instructions: optionalText(raw.instructions),
+        };
+
+        if (!medicine.name) {
+            return { valid: false, error: `${position}: name is required` };
+        }
+
+        for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+            if (medicine[field] && medicine[field].length > limit) {
+                return { valid: false, error: `${position}: ${field} must be at most ${limit} characters` };
+            }
+        }
+
+        if (optionalText(raw.frequencyCode)) {
+            medicine.frequencyCode = normalizeFrequencyCode(raw.frequencyCode);
+            if (!medicine.frequencyCode) {
+                return { valid: false, error: `${position}: frequencyCode must look like 1-0-1` };
+            }
+            medicine.frequencyText = medicine.frequencyText || interpretFrequencyCode(medicine.frequencyCode);
+        }
+
+        medicines.push(medicine);
+    }
+
+    return { valid: true, medicines };
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * One line describing how a medicine is taken
+ * e.g. "Amoxicillin 500mg - 1-0-1 (Twice daily (Morning & Evening)) - 7 days - After food"
+ *
+ * @param {object} medicine - Medicine entry
+ * @returns {string}
+ */
+function describeMedicine(medicine) {
+    const frequency = medicine.frequencyCode && medicine.frequencyText
+        ? `${medicine.frequencyCode} (${medicine.frequencyText})`
+        : medicine.frequencyCode || medicine.frequencyText;
+
+    return [
+        [medicine.name, medicine.strength].filter(Boolean).join(' '),
+        frequency,
+        medicine.duration,
+        medicine.instructions,
+    ].filter(Boolean).join(' - ');
+}
+
+/**
+ * Medicines of a stored prescription, old or new format
+ * Entries without their own duration get the prescription duration.
+ *
+ * @param {object} prescription - Prescription data from Firestore
+ * @returns {Array} Medicine entries
+ */
+function getPrescriptionMedicines(prescription) {
+    if (Array.isArray(prescription.medicines) && prescription.medicines.length > 0) {
+        return prescription.medicines.map((medicine, index) => ({
+            ...medicine,
+            id: medicine.id || `med_${index + 1}`,
+            strength: medicine.strength || medicine.dosage || null,
+            duration: medicine.duration || prescription.duration || null,
+        }));
+    }
+
+    if (!prescription.medicineName) return [];
+
+    return [{
+        id: 'med_1',
+        name: prescription.medicineName,
+        strength: prescription.dosage || null,
+        frequencyCode: null,
+        frequencyText: null,
+        duration: prescription.duration || null,
+        instructions: null,
+    }];
+}
+
+/**
+ * Legacy single-medicine fields for a medicine list
+ * (several medicines: medicineName "Amoxicillin, Paracetamol",
+ *  dosage "Amoxicillin 500mg - 1-0-1 (...); Paracetamol 650mg - ...")
+ *
+ * @param {Array} medicines - Normalized medicine entries
+ * @returns {{medicineName: string, dosage: string}}
+ */
+function summarizeMedicines(medicines) {
+    if (medicines.length === 1) {
+        // Same shape the OCR scan produces: "500mg (1-0-1) - Twice daily (...)"
+        const [medicine] = medicines;
+        let dosage = medicine.strength || 'As directed';
+        if (medicine.frequencyCode) dosage += ` (${medicine.frequencyCode})`;
+        if (medicine.frequencyText) dosage += ` - ${medicine.frequencyText}`;
+        return { medicineName: medicine.name, dosage };
+    }
+
+    return {
+        medicineName: medicines.map(m => m.name).join(', '),
+        dosage: medicines.map(describeMedicine).join('; '),
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    MAX_MEDICINES,
+    interpretFrequencyCode,     // "1-0-1" → "Twice daily (Morning & Evening)"
+    normalizeMedicines,         // Validate medicines of a new prescription
+    describeMedicine,           // One-line description (prompts, emails)
+    getPrescriptionMedicines,   // Medicines of a stored prescription (any format)
+    summarizeMedicines,         // Legacy medicineName / dosage fields
+};
@@ -55,6 +55,12 @@ const vision = require('@google-cloud/vision');
  */
 const { groq, SAFETY_PREFIX } = require('../config/groq');
 
+/**
+ * Frequency code interpretation (1-0-1 → "Twice daily ...")
+ * Shared with prescription validation
+ */
+const { interpretFrequencyCode } = require('./medicineService');
+
 /**
  * File system module for checking credentials file
  */
@@ -284,7 +290,7 @@ EXTRACT the following fields:
 10. doctorName - Prescribing doctor's name
 11. prescriptionDate - Date of prescription
 12. additionalNotes - Any other relevant instructions (e.g., "take after food", "take with water")
-13. medicines - Array of medicine objects if multiple medicines are present, each with: name, dosage, frequencyCode, frequencyText, instructions
+13. medicines - Array with one object per medicine, each with: name, strength (e.g., "500mg"), frequencyCode, frequencyText, duration (only if given for that medicine), instructions
 
 OUTPUT FORMAT (JSON only, no markdown):
 {
@@ -303,9 +309,10 @@ OUTPUT FORMAT (JSON only, no markdown):
   "medicines": [
     {
       "name": "medicine name",
-      "dosage": "dosage strength",
+      "strength": "dosage strength or null",
       "frequencyCode": "1-0-1 format or null",
       "frequencyText": "human readable or null",
+      "duration": "duration for this medicine or null",
       "instructions": "any specific instructions or null"
     }
   ]
@@ -373,55 +380,6 @@ IMPORTANT:
     }
 }
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Interpret frequency code (1-0-1 format) to human-readable text
- * 
- * FREQUENCY CODE FORMAT:
- * Three digits representing Morning-Afternoon-Evening
- * 1 = take dose, 0 = skip dose
- * 
- * EXAMPLES:
- * - "1-0-1" → "Twice daily (Morning & Evening)"
- * - "1-1-1" → "Three times daily (Morning, Afternoon, Evening)"
- * - "0-0-1" → "Once daily (Evening only)"
- * 
- * @param {string} code - Frequency code like "1-0-1"
- * @returns {string} Human-readable description
- */
-function interpretFrequencyCode(code) {
-    if (!code) return null;
-    
-    // Normalize input: handle spaces, commas, multiple dashes
-    // "1  0  1" or "1, 0, 1" → "1-0-1"
-    const normalized = code.replace(/[\s,]+/g, '-').replace(/-+/g, '-');
-    const parts = normalized.split('-').map(p => parseInt(p.trim()));
-    
-    // Validate format (must be exactly 3 numbers)
-    if (parts.length !== 3 || parts.some(isNaN)) {
-        return code; // Return original if not valid format
-    }
-
-    const [morning, afternoon, evening] = parts;
-    const times = [];
-    
-    // Build list of times when dose should be taken
-    if (morning === 1) times.push('Morning');
-    if (afternoon === 1) times.push('Afternoon');
-    if (evening === 1) times.push('Evening');
-    
-    // Generate human-readable description
-    if (times.length === 0) return 'As directed';
-    if (times.length === 3) return 'Three times daily (Morning, Afternoon, Evening)';
-    if (times.length === 2) return `Twice daily (${times.join(' & ')})`;
-    if (times.length === 1) return `Once daily (${times[0]} only)`;
-    
-    return times.join(', ');
-}
-
 // ============================================================================
 // MAIN PROCESSING FUNCTION
 // ============================================================================
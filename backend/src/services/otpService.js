@@ -15,20 +15,41 @@
  * - Simple enough for non-tech-savvy patients
  * 
  * FLOW:
- * 1. Doctor initiates follow-up → OTP generated & stored
+ * 1. Doctor initiates follow-up → OTP generated, only its HMAC is stored
  * 2. OTP sent to patient via WhatsApp/SMS
  * 3. Patient enters OTP on verification page
- * 4. If valid → unlock medical content and follow-up form
- * 5. If invalid → increment attempts, maybe block after 5 tries
+ * 4. If valid → challenge consumed, medical content and form unlocked
+ * 5. If invalid → increment attempts, block after 5 tries
  * 
  * ============================================================================
  * SECURITY CONSIDERATIONS
  * ============================================================================
  * 
- * 1. OTP expires after 10 minutes (configurable via OTP_EXPIRY_MINUTES)
- * 2. Maximum 5 attempts before lockout
- * 3. OTP is stored in Firestore (not in memory) for persistence
- * 4. isOTPVerified() MUST be called before ANY medical data access
+ * 1. Codes come from crypto.randomInt() - never Math.random()
+ * 2. The plaintext code is NEVER stored. Each challenge keeps a random
+ *    salt and HMAC-SHA256(OTP_SECRET, salt:target:code)
+ * 3. Hashes are compared with crypto.timingSafeEqual()
+ * 4. Challenges live in their own 'otpChallenges' collection, so reading
+ *    a follow-up / adverse event document never exposes anything usable
+ * 5. OTP expires after 10 minutes (configurable via OTP_EXPIRY_MINUTES)
+ * 6. Maximum 5 attempts before lockout; a correct code is single-use
+ * 7. A correct code yields a short-lived patient token
+ *    (middleware/patientSession.js) - isOTPVerified() alone is not enough
+ *    for patient routes, it only records that verification happened
+ * 
+ * COLLECTION: 'otpChallenges' (doc ID: '<targetType>_<targetId>')
+ * { targetType, targetId, salt, codeHash, expiresAt, attempts, createdAt }
+ * One active challenge per follow-up / adverse event - issuing a new OTP
+ * replaces the previous one.
+ * No new code is issued while the patient session of the last verified
+ * code is live (getLiveSessionEnd) - it would end that session.
+ * 
+ * RESEND LIMITS (reserveOTPResend):
+ * - Cooldown: OTP_RESEND_COOLDOWN_SECONDS since the last code for the
+ *   record AND since the last resend to the same phone number
+ * - Daily cap: OTP_DAILY_RESEND_LIMIT resends per phone number (UTC day)
+ * COLLECTION: 'otpRateLimits' (doc ID: normalized phone)
+ * { phone, day, count, lastSentAt }
  * 
  * @author NEST 2O Team
  */
@@ -37,7 +58,9 @@
 // DEPENDENCIES
 // ============================================================================
 
-const { db } = require('../config/firebase');  // Firestore for OTP storage
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');  // Firestore for OTP storage
+const { JWT_SECRET, PATIENT_SESSION_TTL_MINUTES } = require('../config/auth');
 require('dotenv').config();
 
 // ============================================================================
@@ -58,6 +81,97 @@ const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 4;
  */
 const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
 
+/**
+ * OTP_MAX_ATTEMPTS: Wrong codes allowed before the challenge is locked
+ */
+const OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * OTP_SECRET: HMAC key for stored codes
+ * A 4-digit code has only 10,000 values, so a plain or salted hash could
+ * be brute-forced offline from a database dump. Keying the hash with a
+ * server-side secret prevents that. Falls back to JWT_SECRET for local
+ * development; set OTP_SECRET separately in production.
+ */
+const OTP_SECRET = process.env.OTP_SECRET || JWT_SECRET;
+
+/**
+ * OTP_RESEND_COOLDOWN_SECONDS: Minimum wait between two codes
+ * Default: 60 seconds - long enough for an SMS to arrive
+ */
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+/**
+ * OTP_DAILY_RESEND_LIMIT: Resends allowed per phone number per day
+ * Default: 5 - caps SMS cost and stops a leaked link being used to spam
+ * the patient
+ */
+const OTP_DAILY_RESEND_LIMIT = parseInt(process.env.OTP_DAILY_RESEND_LIMIT) || 5;
+
+/**
+ * Firestore collection for each target type
+ */
+const TARGET_COLLECTIONS = {
+    followUp: 'followUps',
+    adverseEvent: 'adverseEvents',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalize the collection type argument
+ * Accepts both 'adverseEvent' and the collection name 'adverseEvents'.
+ * 
+ * @param {string} collectionType - 'followUp' or 'adverseEvent'
+ * @returns {string} 'followUp' | 'adverseEvent'
+ */
+function toTargetType(collectionType) {
+    return collectionType === 'adverseEvent' || collectionType === 'adverseEvents'
+        ? 'adverseEvent'
+        : 'followUp';
+}
+
+/**
+ * Reference to the challenge of a follow-up / adverse event
+ * 
+ * @param {string} targetType - 'followUp' | 'adverseEvent'
+ * @param {string} docId - Target document ID
+ * @returns {DocumentReference}
+ */
+function challengeRef(targetType, docId) {
+    return db.collection('otpChallenges').doc(`${targetType}_${docId}`);
+}
+
+/**
+ * Normalize a phone number for rate limiting
+ * Same rule as the audit log: keep digits and a leading +
+ * 
+ * @param {string} phone - Phone as stored on the record
+ * @returns {string} e.g. '+919876543210'
+ */
+function normalizePhone(phone) {
+    return String(phone || '').replace(/[^\d+]/g, '');
+}
+
+/**
+ * HMAC of a code, bound to its salt and target
+ * Binding the target ID means a challenge copied onto another record
+ * cannot be used there.
+ * 
+ * @param {string} salt - Random hex salt of the challenge
+ * @param {string} targetId - Follow-up / adverse event ID
+ * @param {string} otp - The code
+ * @returns {Buffer} 32-byte digest
+ */
+function hashOTP(salt, targetId, otp) {
+    return crypto
+        .createHmac('sha256', OTP_SECRET)
+        .update(`${salt}:${targetId}:${otp}`)
+        .digest();
+}
+
 // ============================================================================
 // OTP GENERATION
 // ============================================================================
@@ -65,20 +179,13 @@ const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
 /**
  * Generate a cryptographically random OTP
  * 
- * WHY NOT USE Math.random()?
- * Math.random() is NOT cryptographically secure. For OTPs, we want
- * unpredictable values. However, for simplicity, we use Math.random here.
- * In production, consider using crypto.randomInt() for better security.
+ * crypto.randomInt() draws from the OS CSPRNG without modulo bias,
+ * so every code of the configured length is equally likely.
  * 
  * @returns {string} OTP of configured length (e.g., "4829")
  */
 function generateOTP() {
-    const digits = '0123456789';
-    let otp = '';
-    for (let i = 0; i < OTP_LENGTH; i++) {
-        otp += digits[Math.floor(Math.random() * 10)];
-    }
-    return otp;
+    return String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
 }
 
 // ============================================================================
@@ -90,32 +197,114 @@ function generateOTP() {
  * 
  * This function:
  * 1. Generates a new random OTP
- * 2. Calculates expiration time
- * 3. Stores both in the document
- * 4. Resets verification status and attempt counter
+ * 2. Stores salt + HMAC + expiry in 'otpChallenges' (replacing any
+ *    previous challenge for this record)
+ * 3. Resets the verification flag on the record and removes any
+ *    plaintext OTP fields left by older versions
+ * 
+ * The plaintext code is only returned to the caller for delivery.
  * 
  * @param {string} docId - The Firestore document ID
  * @param {string} collectionType - 'followUp' or 'adverseEvent'
  * @returns {Promise<{otp: string, expiresAt: Date}>} The OTP and expiration time
  */
 async function createOTP(docId, collectionType = 'followUp') {
+    const targetType = toTargetType(collectionType);
     const otp = generateOTP();
+    const salt = crypto.randomBytes(16).toString('hex');
     const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
 
-    // Determine which collection to use
-    const collectionName = collectionType === 'adverseEvent' ? 'adverseEvents' : 'followUps';
+    await challengeRef(targetType, docId).set({
+        targetType,
+        targetId: docId,
+        salt,
+        codeHash: hashOTP(salt, docId, otp).toString('hex'),
+        expiresAt,
+        attempts: 0,
+        createdAt: new Date(),
+    });
 
-    // Update the document with OTP data
-    await db.collection(collectionName).doc(docId).update({
-        otp: otp,                  // The actual OTP value
-        otpExpiresAt: expiresAt,   // When it becomes invalid
+    const deleteField = admin.firestore.FieldValue.delete();
+    await db.collection(TARGET_COLLECTIONS[targetType]).doc(docId).update({
         otpVerified: false,        // Reset verification status
-        otpAttempts: 0,            // Reset attempt counter
+        otp: deleteField,          // Legacy plaintext fields
+        otpExpiresAt: deleteField,
+        otpAttempts: deleteField,
     });
 
     return { otp, expiresAt };
 }
 
+// ============================================================================
+// OTP RESEND LIMITS
+// ============================================================================
+
+/**
+ * Check resend limits and reserve one resend for a phone number
+ * 
+ * Call BEFORE createOTP() when a patient asks for a new code. Runs in a
+ * transaction so two quick clicks cannot both pass the cooldown.
+ * 
+ * @param {string} docId - Follow-up / adverse event ID
+ * @param {string} collectionType - 'followUp' or 'adverseEvent'
+ * @param {string} phone - Patient phone the code will be sent to
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds: number, message?: string}>}
+ *   When allowed, retryAfterSeconds is the cooldown before the next resend
+ */
+async function reserveOTPResend(docId, collectionType, phone) {
+    const targetType = toTargetType(collectionType);
+    const limitRef = db.collection('otpRateLimits').doc(normalizePhone(phone));
+
+    return db.runTransaction(async (transaction) => {
+        const challengeSnapshot = await transaction.get(challengeRef(targetType, docId));
+        const limitSnapshot = await transaction.get(limitRef);
+        const limit = limitSnapshot.exists ? limitSnapshot.data() : {};
+
+        const now = new Date();
+        const today = now.toISOString().slice(0, 10);  // UTC day, e.g. '2024-05-01'
+
+        // Cooldown: since the current code for this record was issued
+        // and since the last resend to this phone (any record)
+        const lastSent = [
+            challengeSnapshot.exists ? challengeSnapshot.data().createdAt : null,
+            limit.lastSentAt,
+        ]
+            .filter(Boolean)
+            .map(date => date?.toDate?.() || new Date(date))
+            .reduce((latest, date) => Math.max(latest, date.getTime()), 0);
+
+        const waitMs = lastSent + OTP_RESEND_COOLDOWN_SECONDS * 1000 - now.getTime();
+        if (waitMs > 0) {
+            const seconds = Math.ceil(waitMs / 1000);
+            return {
+                allowed: false,
+                retryAfterSeconds: seconds,
+                message: `Please wait ${seconds} second${seconds === 1 ? '' : 's'} before requesting a new code.`,
+            };
+        }
+
+        // Daily cap per phone number
+        const count = limit.day === today ? limit.count || 0 : 0;
+        if (count >= OTP_DAILY_RESEND_LIMIT) {
+            const nextDay = new Date(`${today}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+            return {
+                allowed: false,
+                retryAfterSeconds: Math.ceil((nextDay - now.getTime()) / 1000),
+                message: 'Too many new codes requested for this phone number today. Please try again tomorrow or contact your doctor.',
+            };
+        }
+
+        transaction.set(limitRef, {
+            phone: normalizePhone(phone),
+            day: today,
+            count: count + 1,
+            lastSentAt: now,
+        });
+
+        return { allowed: true, retryAfterSeconds: OTP_RESEND_COOLDOWN_SECONDS };
+    });
+}
+
 // ============================================================================
 // OTP VERIFICATION
 // ============================================================================
@@ -125,10 +314,16 @@ async function createOTP(docId, collectionType = 'followUp') {
  * 
  * SECURITY CHECKS PERFORMED:
  * 1. Document exists
- * 2. OTP not already verified (prevent replay attacks)
+ * 2. An active challenge exists
  * 3. OTP not expired
  * 4. Attempt limit not exceeded (brute-force protection)
- * 5. OTP matches
+ * 5. HMAC matches (constant-time)
+ * 
+ * There is no shortcut for records verified earlier: success issues a
+ * patient token, so every call needs a fresh, valid code.
+ * 
+ * The attempt counter is incremented inside a transaction BEFORE the
+ * comparison, so parallel guesses cannot exceed the limit.
  * 
  * @param {string} docId - The document ID
  * @param {string} providedOTP - The OTP entered by the patient
@@ -136,56 +331,57 @@ async function createOTP(docId, collectionType = 'followUp') {
  * @returns {Promise<{success: boolean, message: string}>}
  */
 async function verifyOTP(docId, providedOTP, collectionType = 'followUp') {
-    // Determine which collection to use
-    const collectionName = collectionType === 'adverseEvent' ? 'adverseEvents' : 'followUps';
-    
-    const docRef = db.collection(collectionName).doc(docId);
-    const docSnapshot = await docRef.get();
+    const targetType = toTargetType(collectionType);
+    const docRef = db.collection(TARGET_COLLECTIONS[targetType]).doc(docId);
+    const challenge = challengeRef(targetType, docId);
 
-    // Check 1: Document exists
-    if (!docSnapshot.exists) {
-        return { success: false, message: 'Request not found' };
-    }
+    return db.runTransaction(async (transaction) => {
+        const docSnapshot = await transaction.get(docRef);
 
-    const data = docSnapshot.data();
+        // Check 1: Document exists
+        if (!docSnapshot.exists) {
+            return { success: false, message: 'Request not found' };
+        }
 
-    // Check 2: Not already verified (idempotency)
-    // If already verified, just return success - don't force re-verification
-    if (data.otpVerified) {
-        return { success: true, message: 'OTP already verified' };
-    }
+        // Check 2: Active challenge
+        const challengeSnapshot = await transaction.get(challenge);
+        if (!challengeSnapshot.exists) {
+            return { success: false, message: 'No active OTP. Please request a new one.' };
+        }
 
-    // Check 3: OTP not expired
-    // toDate() converts Firestore Timestamp to JavaScript Date
-    const expiresAt = data.otpExpiresAt?.toDate?.() || new Date(data.otpExpiresAt);
-    if (new Date() > expiresAt) {
-        return { success: false, message: 'OTP has expired. Please request a new one.' };
-    }
+        const data = challengeSnapshot.data();
 
-    // Check 4: Attempt limit (brute-force protection)
-    // After 5 wrong attempts, lock out this OTP
-    if (data.otpAttempts >= 5) {
-        return { success: false, message: 'Maximum OTP attempts exceeded. Please request a new OTP.' };
-    }
+        // Check 3: OTP not expired
+        // toDate() converts Firestore Timestamp to JavaScript Date
+        const expiresAt = data.expiresAt?.toDate?.() || new Date(data.expiresAt);
+        if (new Date() > expiresAt) {
+            return { success: false, message: 'OTP has expired. Please request a new one.' };
+        }
 
-    // Always increment attempt counter (even before checking if correct)
-    // This prevents timing attacks
-    await docRef.update({
-        otpAttempts: (data.otpAttempts || 0) + 1,
-    });
+        // Check 4: Attempt limit (brute-force protection)
+        if (data.attempts >= OTP_MAX_ATTEMPTS) {
+            return { success: false, message: 'Maximum OTP attempts exceeded. Please request a new OTP.' };
+        }
 
-    // Check 5: OTP matches
-    if (data.otp !== providedOTP) {
-        return { success: false, message: 'Invalid OTP. Please try again.' };
-    }
+        // Check 5: Constant-time comparison of HMACs
+        const expected = Buffer.from(data.codeHash, 'hex');
+        const provided = hashOTP(data.salt, docId, String(providedOTP ?? '').trim());
+        const matches = expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
 
-    // SUCCESS: Mark as verified with timestamp
-    await docRef.update({
-        otpVerified: true,
-        otpVerifiedAt: new Date(),  // Record when verification happened
-    });
+        if (!matches) {
+            transaction.update(challenge, { attempts: (data.attempts || 0) + 1 });
+            return { success: false, message: 'Invalid OTP. Please try again.' };
+        }
+
+        // SUCCESS: Consume the challenge and mark the record verified
+        transaction.delete(challenge);
+        transaction.update(docRef, {
+            otpVerified: true,
+            otpVerifiedAt: new Date(),  // Record when verification happened
+        });
 
-    return { success: true, message: 'OTP verified successfully' };
+        return { success: true, message: 'OTP verified successfully' };
+    });
 }
 
 // ============================================================================
@@ -207,9 +403,8 @@ async function verifyOTP(docId, providedOTP, collectionType = 'followUp') {
  * @returns {Promise<boolean>} True if OTP was successfully verified
  */
 async function isOTPVerified(docId, collectionType = 'followUp') {
-    // Determine which collection to use
-    const collectionName = collectionType === 'adverseEvent' ? 'adverseEvents' : 'followUps';
-    
+    const collectionName = TARGET_COLLECTIONS[toTargetType(collectionType)];
+
     const docSnapshot = await db.collection(collectionName).doc(docId).get();
 
     if (!docSnapshot.exists) {
@@ -220,6 +415,27 @@ async function isOTPVerified(docId, collectionType = 'followUp') {
     return docSnapshot.data().otpVerified === true;
 }
 
+/**
+ * End of the patient session opened by the last verified code
+ *
+ * A new code sets otpVerified back to false, which ends the session of a
+ * patient who is still answering (their submit would fail). Resends and
+ * reminders wait until this time instead.
+ *
+ * @param {object} record - Follow-up / adverse event data
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Date|null} When the live session ends, or null if none is live
+ */
+function getLiveSessionEnd(record, now = new Date()) {
+    if (record?.otpVerified !== true || !record.otpVerifiedAt) {
+        return null;
+    }
+
+    const verifiedAt = record.otpVerifiedAt?.toDate?.() || new Date(record.otpVerifiedAt);
+    const sessionEndsAt = new Date(verifiedAt.getTime() + PATIENT_SESSION_TTL_MINUTES * 60 * 1000);
+    return sessionEndsAt > now ? sessionEndsAt : null;
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -227,6 +443,8 @@ async function isOTPVerified(docId, collectionType = 'followUp') {
 module.exports = {
     generateOTP,     // Generate a random OTP (utility)
     createOTP,       // Create and store OTP for a follow-up
+    reserveOTPResend, // Cooldown + daily cap before issuing a new code
     verifyOTP,       // Verify patient-provided OTP
     isOTPVerified,   // Check if OTP was already verified (SECURITY GATEKEEPER)
+    getLiveSessionEnd, // Hold new codes while a verified patient is answering
 };
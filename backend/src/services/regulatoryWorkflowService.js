@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * Regulatory Workflow Service
+ * Case Status Towards the Regulator and Expedited-Reporting Clocks
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every adverse event case goes through the same steps before it is done
+ * with: someone triages it, a doctor reviews it medically, it is sent to
+ * the regulator and the regulator acknowledges it. Serious cases must be
+ * sent within a fixed number of calendar days - this service keeps that
+ * clock so the doctor's queue can show what is due first.
+ *
+ * STATUSES (adverseEvents.regulatoryStatus):
+ * triage → medical_review → submitted → acknowledged
+ * Each step is recorded in regulatoryHistory [{ from, to, notes, by, at }].
+ * Cases created before the workflow have 'pending', read as 'triage'.
+ *
+ * REPORTING CLOCK (adverseEvents.reportingClock, serious cases only):
+ * {
+ *   day0: '2026-10-19',      // Date the information making the case serious was received
+ *   deadlineDays: 7 | 15,
+ *   dueDate: '2026-10-26',   // day0 + deadlineDays (calendar days)
+ *   basis: 'life_threatening' | 'serious',
+ *   startedAt, submittedAt, metDeadline
+ * }
+ * - 7 days: red-flag symptoms of anaphylaxis / airway compromise
+ *   (breathing difficulty, swelling) - treated as life-threatening
+ * - 15 days: any other serious case (emergency visit, hospitalisation)
+ * Day 0 does not move once set. The clock stops when the case is
+ * marked submitted (metDeadline records whether it was in time).
+ * Dates are calendar dates in REPORTING_TIMEZONE.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Workflow order and the only status each one can move to
+ */
+const REGULATORY_STATUSES = ['triage', 'medical_review', 'submitted', 'acknowledged'];
+
+const REGULATORY_NEXT_STATUS = {
+    triage: 'medical_review',
+    medical_review: 'submitted',
+    submitted: 'acknowledged',
+};
+
+/**
+ * Expedited reporting deadlines (calendar days after day 0)
+ */
+const EXPEDITED_DEADLINE_DAYS = {
+    life_threatening: 7,
+    serious: 15,
+};
+
+/**
+ * Symptoms treated as life-threatening (same red flags that alert the
+ * care team - see config/adverseEventQuestionnaire.js)
+ */
+const LIFE_THREATENING_SYMPTOMS = ['breathing', 'swelling'];
+
+/**
+ * Time zone the calendar days are counted in
+ */
+const REPORTING_TIMEZONE = process.env.REPORTING_TIMEZONE || 'UTC';
+
+/**
+ * A case is "due soon" this many days before its due date
+ */
+const DUE_SOON_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in REPORTING_TIMEZONE
+ *
+ * @param {Date|string} value - Date or ISO string
+ * @returns {string}
+ */
+function calendarDate(value) {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: REPORTING_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(new Date(value));
+}
+
+/**
+ * Add calendar days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar days from one YYYY-MM-DD date to another (negative if earlier)
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Current workflow status of a case ('pending' from before the workflow → 'triage')
+ *
+ * @param {object} caseData - Adverse event case
+ * @returns {string}
+ */
+function regulatoryStatusOf(caseData) {
+    const status = caseData.regulatoryStatus;
+    return REGULATORY_STATUSES.includes(status) ? status : 'triage';
+}
+
+// ============================================================================
+// REPORTING CLOCK
+// ============================================================================
+
+/**
+ * Start the expedited-reporting clock of a case that has just been
+ * assessed serious
+ *
+ * @param {object} caseData - Case with its assessment applied
+ *   (overallSeriousness, symptoms, reportingClock if already started)
+ * @param {Date} receivedAt - When the information was received (day 0)
+ * @returns {object|null} The clock - the existing one if already started,
+ *   null for a non-serious case
+ */
+function startReportingClock(caseData, receivedAt = new Date()) {
+    if (caseData.reportingClock) return caseData.reportingClock;
+    if (caseData.overallSeriousness !== 'serious') return null;
+
+    const basis = (caseData.symptoms || []).some(s => LIFE_THREATENING_SYMPTOMS.includes(s))
+        ? 'life_threatening'
+        : 'serious';
+    const deadlineDays = EXPEDITED_DEADLINE_DAYS[basis];
+    const day0 = calendarDate(receivedAt);
+
+    return {
+        day0,
+        deadlineDays,
+        dueDate: addDays(day0, deadlineDays),
+        basis,
+        startedAt: new Date(receivedAt).toISOString(),
+        submittedAt: null,
+        metDeadline: null,
+    };
+}
+
+/**
+ * Stop the clock when the case is submitted
+ *
+ * @param {object|null} clock - reportingClock of the case
+ * @param {Date} submittedAt
+ * @returns {object|null}
+ */
+function stopReportingClock(clock, submittedAt = new Date()) {
+    if (!clock || clock.submittedAt) return clock || null;
+    return {
+        ...clock,
+        submittedAt: new Date(submittedAt).toISOString(),
+        metDeadline: calendarDate(submittedAt) <= clock.dueDate,
+    };
+}
+
+/**
+ * Where the clock stands today
+ *
+ * @param {object|null} clock - reportingClock of the case
+ * @param {Date} now
+ * @returns {object|null} clock + { daysRemaining, overdue, dueSoon }
+ *   daysRemaining is null once the case has been submitted
+ */
+function clockStatus(clock, now = new Date()) {
+    if (!clock) return null;
+    if (clock.submittedAt) {
+        return { ...clock, daysRemaining: null, overdue: false, dueSoon: false };
+    }
+
+    const daysRemaining = daysBetween(calendarDate(now), clock.dueDate);
+    return {
+        ...clock,
+        daysRemaining,
+        overdue: daysRemaining < 0,
+        dueSoon: daysRemaining >= 0 && daysRemaining <= DUE_SOON_DAYS,
+    };
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Order of the doctor's queue: running clocks by due date (overdue
+ * first), then cases without a running clock, oldest first
+ *
+ * @param {object} a - Queue item { reportingClock, reportedAt }
+ * @param {object} b
+ * @returns {number}
+ */
+function compareByDeadline(a, b) {
+    const dueA = a.reportingClock && !a.reportingClock.submittedAt ? a.reportingClock.dueDate : null;
+    const dueB = b.reportingClock && !b.reportingClock.submittedAt ? b.reportingClock.dueDate : null;
+
+    if (dueA && dueB && dueA !== dueB) return dueA < dueB ? -1 : 1;
+    if (dueA && !dueB) return -1;
+    if (!dueA && dueB) return 1;
+    return String(a.reportedAt || '').localeCompare(String(b.reportedAt || ''));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    REGULATORY_STATUSES,
+    REGULATORY_NEXT_STATUS,
+    EXPEDITED_DEADLINE_DAYS,
+    regulatoryStatusOf,     // Stored status → workflow status
+    startReportingClock,    // Serious case assessed → day 0 + due date
+    stopReportingClock,     // Marked submitted → in time or late
+    clockStatus,            // Days remaining / overdue for display
+    compareByDeadline,      // Sort order of the regulatory queue
+};
@@ -0,0 +1,347 @@
+/**
+ * ============================================================================
+ * Reminder Service
+ * Automatic Reminders and Staff Escalation for Unanswered Follow-Ups
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Patients often miss the first WhatsApp/SMS. Follow-ups that are still
+ * pending_verification get reminded automatically - each reminder with a
+ * fresh OTP, since the original code expired long ago - and, when the
+ * last reminder goes unanswered too, hospital staff are asked to call.
+ *
+ * TIMELINE (defaults, hours after the follow-up was sent):
+ *   +24h reminder 1 → +48h reminder 2 → +72h reminder 3
+ *   → 24h after the last reminder: escalated to staff
+ *
+ * CONFIGURATION:
+ * - FOLLOW_UP_REMINDER_HOURS: comma-separated hours after the follow-up
+ *   was sent, one per reminder (default "24,48,72" = 3 reminders)
+ * - FOLLOW_UP_ESCALATION_HOURS: hours after the last reminder before staff
+ *   are alerted (default 24)
+ *
+ * CHANNELS (each only when configured):
+ * - WhatsApp reminder with the new code (Twilio)
+ * - SMS with the new code (Twilio SMS number)
+ * - Email with the new code (EMAIL_USER + patient email on the prescription)
+ *
+ * FIELDS ON THE FOLLOW-UP (followUps/{id}):
+ * - nextReminderAt: when the job next acts (null = nothing left to do)
+ * - reminderCount, lastContactedAt
+ * - reminders: [{ attempt, sentAt, whatsapp, sms, email }]
+ * - escalatedAt, escalation: { notifiedStaff }
+ * The job only looks at follow-ups whose nextReminderAt has passed, and
+ * moves nextReminderAt forward in a transaction before sending, so a
+ * reminder is never sent twice.
+ *
+ * PATIENT ALREADY VERIFIED:
+ * A reminder replaces the OTP, which clears otpVerified. While the
+ * patient's session from a verified code is still valid (they are
+ * filling in the form), the reminder is postponed to the end of that
+ * session instead, so their submission is not rejected.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { admin, db } = require('../config/firebase');
+const { createOTP, getLiveSessionEnd } = require('./otpService');
+const { sendFollowUpReminder, sendOTPSMS } = require('./whatsappService');
+const { sendOTPEmail, sendFollowUpEscalationEmail } = require('./emailService');
+require('dotenv').config();
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * FOLLOW_UP_REMINDER_HOURS: When reminders go out, in hours after the
+ * follow-up was sent. Invalid entries are ignored.
+ */
+const REMINDER_HOURS = (process.env.FOLLOW_UP_REMINDER_HOURS || '24,48,72')
+    .split(',')
+    .map(h => parseFloat(h))
+    .filter(h => h > 0)
+    .sort((a, b) => a - b);
+
+/**
+ * FOLLOW_UP_ESCALATION_HOURS: Wait after the last reminder before staff
+ * are alerted
+ */
+const ESCALATION_HOURS = parseFloat(process.env.FOLLOW_UP_ESCALATION_HOURS) || 24;
+
+/**
+ * Follow-ups handled per run - the rest go next run
+ */
+const BATCH_SIZE = 50;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Firestore returns Timestamps, fresh objects use Dates
+ *
+ * @param {*} value - Timestamp | Date | null
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (!value) return null;
+    return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * When the job should next act on a follow-up
+ *
+ * @param {Date} sentAt - When the follow-up was first sent
+ * @param {number} reminderCount - Reminders already sent
+ * @param {Date} lastContactedAt - Last time the patient was contacted
+ * @returns {Date|null} Next reminder / escalation time
+ */
+function getNextReminderAt(sentAt, reminderCount, lastContactedAt) {
+    if (reminderCount < REMINDER_HOURS.length) {
+        // Never closer than one hour to the previous contact
+        const due = new Date(sentAt.getTime() + REMINDER_HOURS[reminderCount] * HOUR_MS);
+        const earliest = new Date(lastContactedAt.getTime() + HOUR_MS);
+        return due > earliest ? due : earliest;
+    }
+    if (REMINDER_HOURS.length === 0) return null;
+    return new Date(lastContactedAt.getTime() + ESCALATION_HOURS * HOUR_MS);
+}
+
+/**
+ * Reminder fields for a follow-up that was just sent
+ * (spread into the new follow-up document)
+ *
+ * @param {Date} sentAt - When the follow-up was sent
+ * @returns {object} { reminderCount, reminders, lastContactedAt, nextReminderAt, escalatedAt }
+ */
+function initialReminderState(sentAt) {
+    return {
+        reminderCount: 0,
+        reminders: [],
+        lastContactedAt: sentAt,
+        nextReminderAt: getNextReminderAt(sentAt, 0, sentAt),
+        escalatedAt: null,
+    };
+}
+
+// ============================================================================
+// CLAIM
+// ============================================================================
+
+/**
+ * Decide and reserve the next step for one follow-up
+ * Moves nextReminderAt forward before anything is sent.
+ *
+ * @param {object} followUpRef - Follow-up document reference
+ * @param {Date} now - Reference time
+ * @returns {Promise<{action: 'remind'|'escalate'|null, followUp?: object, attempt?: number}>}
+ */
+async function claimFollowUp(followUpRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(followUpRef);
+        if (!doc.exists) return { action: null };
+
+        const followUp = doc.data();
+        const nextReminderAt = toDate(followUp.nextReminderAt);
+
+        // Answered, or another instance got here first
+        if (followUp.status !== 'pending_verification' || !nextReminderAt || nextReminderAt > now) {
+            return { action: null };
+        }
+
+        // ========== PATIENT IS ANSWERING ==========
+        // A new code would invalidate their verification - wait until
+        // the session from the verified code has ended
+        const sessionEndsAt = getLiveSessionEnd(followUp, now);
+        if (sessionEndsAt) {
+            transaction.update(followUpRef, { nextReminderAt: sessionEndsAt });
+            return { action: null };
+        }
+
+        const sentAt = toDate(followUp.createdAt);
+        const reminderCount = followUp.reminderCount || 0;
+
+        // ========== ESCALATE ==========
+        if (reminderCount >= REMINDER_HOURS.length) {
+            transaction.update(followUpRef, {
+                escalatedAt: now,
+                nextReminderAt: null,
+            });
+            return { action: 'escalate', followUp };
+        }
+
+        // ========== REMIND ==========
+        const attempt = reminderCount + 1;
+        transaction.update(followUpRef, {
+            reminderCount: attempt,
+            lastContactedAt: now,
+            nextReminderAt: getNextReminderAt(sentAt, attempt, now),
+        });
+        return { action: 'remind', followUp, attempt };
+    });
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Send one reminder with a fresh OTP on every configured channel
+ *
+ * @param {string} followUpId - Follow-up document ID
+ * @param {object} followUp - Follow-up data
+ * @param {number} attempt - Reminder number (1-based)
+ * @returns {Promise<object>} Reminder record { attempt, sentAt, whatsapp, sms, email }
+ */
+async function sendReminder(followUpId, followUp, attempt) {
+    const prescriptionDoc = await db.collection('prescriptions').doc(followUp.prescriptionId).get();
+    const prescription = prescriptionDoc.exists ? prescriptionDoc.data() : {};
+
+    // The original code expired long ago - replace it
+    const { otp } = await createOTP(followUpId);
+    const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify/${followUpId}`;
+
+    const record = { attempt, sentAt: new Date(), whatsapp: false, sms: false, email: false };
+
+    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+        const whatsapp = await sendFollowUpReminder({
+            to: followUp.patientPhone,
+            patientName: followUp.patientName,
+            verificationLink,
+            medicineName: prescription.medicineName,
+            otp,
+        });
+        record.whatsapp = whatsapp.success;
+
+        if (process.env.TWILIO_SMS_NUMBER) {
+            const sms = await sendOTPSMS({
+                to: followUp.patientPhone,
+                otp,
+                verificationLink,
+                caseId: followUp.caseId,
+                followUpId,
+            });
+            record.sms = sms.success;
+        }
+    }
+
+    if (process.env.EMAIL_USER && prescription.patientEmail) {
+        const email = await sendOTPEmail({
+            to: prescription.patientEmail,
+            otp,
+            verificationLink,
+            caseId: followUp.caseId,
+        });
+        record.email = email.success;
+    }
+
+    await db.collection('followUps').doc(followUpId).update({
+        reminders: admin.firestore.FieldValue.arrayUnion(record),
+    });
+
+    return record;
+}
+
+/**
+ * Alert the hospital's active staff that a follow-up went unanswered
+ *
+ * @param {string} followUpId - Follow-up document ID
+ * @param {object} followUp - Follow-up data
+ * @returns {Promise<number>} Staff members emailed
+ */
+async function escalateFollowUp(followUpId, followUp) {
+    const staffSnapshot = await db.collection('users')
+        .where('hospitalId', '==', followUp.hospitalId)
+        .where('role', '==', 'staff')
+        .where('isActive', '==', true)
+        .get();
+
+    let notifiedStaff = 0;
+
+    if (process.env.EMAIL_USER) {
+        const dashboardLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/staff/dashboard`;
+
+        for (const staffDoc of staffSnapshot.docs) {
+            const staff = staffDoc.data();
+            const result = await sendFollowUpEscalationEmail({
+                to: staff.email,
+                name: staff.name,
+                caseId: followUp.caseId,
+                reminderCount: followUp.reminderCount || 0,
+                dashboardLink,
+            });
+            if (result.success) notifiedStaff++;
+        }
+    }
+
+    // Escalated follow-ups are also listed on the staff dashboard,
+    // so staff without email still see them
+    await db.collection('followUps').doc(followUpId).update({
+        escalation: { notifiedStaff },
+    });
+
+    return notifiedStaff;
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+/**
+ * Remind / escalate every unanswered follow-up that is due
+ *
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<{reminded: number, escalated: number, failed: number}>}
+ */
+async function runFollowUpReminders(now = new Date()) {
+    const snapshot = await db.collection('followUps')
+        .where('status', '==', 'pending_verification')
+        .where('nextReminderAt', '<=', now)
+        .orderBy('nextReminderAt', 'asc')
+        .limit(BATCH_SIZE)
+        .get();
+
+    let reminded = 0;
+    let escalated = 0;
+    let failed = 0;
+
+    for (const doc of snapshot.docs) {
+        try {
+            const { action, followUp, attempt } = await claimFollowUp(db.collection('followUps').doc(doc.id), now);
+
+            if (action === 'remind') {
+                await sendReminder(doc.id, followUp, attempt);
+                reminded++;
+            } else if (action === 'escalate') {
+                await escalateFollowUp(doc.id, followUp);
+                escalated++;
+            }
+
+        } catch (error) {
+            console.error('Follow-Up Reminder Error:', doc.id, error);
+            failed++;
+        }
+    }
+
+    if (reminded || escalated || failed) {
+        console.log(`🔔 Follow-up reminders: ${reminded} sent, ${escalated} escalated, ${failed} failed`);
+    }
+
+    return { reminded, escalated, failed };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    initialReminderState,    // Fields for a newly sent follow-up
+    runFollowUpReminders,    // One reminder pass (run by the scheduler)
+};
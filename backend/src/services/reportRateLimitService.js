@@ -0,0 +1,126 @@
+/**
+ * ============================================================================
+ * Report Rate Limit Service - Daily Cap on Anonymous Adverse Event Reports
+ * ============================================================================
+ *
+ * PURPOSE:
+ * POST /api/adverse-events is public so patients can report without an
+ * account. Each report can text a code to the patient's phone and lands
+ * on a doctor's dashboard, so anonymous reports are capped per phone
+ * number and per client IP, the same way OTP resends are capped
+ * (otpService.reserveOTPResend). Reports from logged-in doctors/staff
+ * are not limited.
+ *
+ * LIMITS (UTC day):
+ * - ADVERSE_EVENT_REPORT_DAILY_LIMIT: reports per phone number (default 5)
+ * - ADVERSE_EVENT_REPORT_IP_DAILY_LIMIT: reports per client IP (default 20)
+ *
+ * COLLECTION: 'reportRateLimits'
+ * (doc ID: 'phone_<normalized phone>' or 'ip_<address>')
+ * { key, day, count, lastReportAt }
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { db } = require('../config/firebase');
+require('dotenv').config();
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * ADVERSE_EVENT_REPORT_DAILY_LIMIT: Anonymous reports per phone number per day
+ */
+const REPORT_DAILY_LIMIT = parseInt(process.env.ADVERSE_EVENT_REPORT_DAILY_LIMIT) || 5;
+
+/**
+ * ADVERSE_EVENT_REPORT_IP_DAILY_LIMIT: Anonymous reports per client IP per day
+ * Higher than the phone limit - a clinic or family may share one connection
+ */
+const REPORT_IP_DAILY_LIMIT = parseInt(process.env.ADVERSE_EVENT_REPORT_IP_DAILY_LIMIT) || 20;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Rate limit document ID for a phone number or IP address
+ * Keeps digits and a leading + of a phone (same rule as OTP limits);
+ * characters Firestore does not allow in IDs are replaced.
+ *
+ * @param {string} kind - 'phone' | 'ip'
+ * @param {string} value - Phone number or IP address
+ * @returns {string} e.g. 'phone_+919876543210', 'ip_203.0.113.7'
+ */
+function limitKey(kind, value) {
+    const normalized = kind === 'phone'
+        ? String(value).replace(/[^\d+]/g, '')
+        : String(value).replace(/[^\w.:-]/g, '_');
+    return `${kind}_${normalized}`;
+}
+
+// ============================================================================
+// RESERVE
+// ============================================================================
+
+/**
+ * Check the daily caps and count one anonymous report
+ *
+ * Runs in a transaction so parallel requests cannot all slip under the cap.
+ * Nothing is counted when a limit is reached.
+ *
+ * @param {string|null} phone - Patient phone of the report (if any)
+ * @param {string|null} ip - Client IP address (req.ip)
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number, message?: string}>}
+ */
+async function reserveAnonymousReport(phone, ip) {
+    const limits = [
+        phone && { ref: db.collection('reportRateLimits').doc(limitKey('phone', phone)), max: REPORT_DAILY_LIMIT },
+        ip && { ref: db.collection('reportRateLimits').doc(limitKey('ip', ip)), max: REPORT_IP_DAILY_LIMIT },
+    ].filter(Boolean);
+
+    return db.runTransaction(async (transaction) => {
+        const snapshots = [];
+        for (const limit of limits) {
+            snapshots.push(await transaction.get(limit.ref));
+        }
+
+        const now = new Date();
+        const today = now.toISOString().slice(0, 10);  // UTC day, e.g. '2024-05-01'
+        const counts = snapshots.map(snapshot =>
+            snapshot.exists && snapshot.data().day === today ? snapshot.data().count || 0 : 0);
+
+        if (limits.some((limit, i) => counts[i] >= limit.max)) {
+            const nextDay = new Date(`${today}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+            return {
+                allowed: false,
+                retryAfterSeconds: Math.ceil((nextDay - now.getTime()) / 1000),
+                message: 'Too many reports have been sent today. Please try again tomorrow, or contact your doctor or hospital directly. In an emergency, call your local emergency number.',
+            };
+        }
+
+        limits.forEach((limit, i) => {
+            transaction.set(limit.ref, {
+                key: limit.ref.id,
+                day: today,
+                count: counts[i] + 1,
+                lastReportAt: now,
+            });
+        });
+
+        return { allowed: true };
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    reserveAnonymousReport,     // Before storing a report from a public (not logged-in) reporter
+};
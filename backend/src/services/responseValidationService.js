@@ -0,0 +1,307 @@
+/**
+ * ============================================================================
+ * Response Validation Service
+ * Declarative Schemas for Patient Submissions
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Patient submissions come from a public page and must never reach
+ * Firestore (or the case assessment) unchecked. The schemas here are
+ * built from the same question definitions the forms render, so a new
+ * question or option is validated without touching this file:
+ * - Follow-ups: config/followUpQuestionnaire.js + the follow-up's
+ *   personalized questions
+ * - Adverse events: config/adverseEventQuestionnaire.js
+ *
+ * SCHEMA (buildResponseSchema):
+ * {
+ *   fields: {
+ *     severity: { type: 'single', values: ['mild', ...], required: true, maxNotesLength: 1000 },
+ *     symptoms: { type: 'multi', values: [...], required: true, maxNotesLength: 1000 },
+ *   }
+ * }
+ * An answer is { selected, notes }: selected is one option value
+ * (single) or a non-empty list of distinct option values (multi); notes
+ * is optional text. Anything else is rejected.
+ *
+ * ERRORS:
+ * Every problem is reported with the field it belongs to, e.g.
+ * [{ field: 'answers.severity', message: 'Choose one of: mild, moderate, severe' }]
+ * Routes return them as `fieldErrors` with a 400.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const {
+    RESPONSE_SCHEMA_VERSION,
+    MAX_NOTES_LENGTH,
+    QUESTIONS,
+    getQuestionOrder,
+} = require('../config/followUpQuestionnaire');
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+/**
+ * Plain object (not null, not an array)
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a response schema from question definitions
+ *
+ * Accepts both question formats in the app: multiSelect: true (follow-up
+ * questionnaire) and type: 'multi' (adverse event and personalized questions).
+ *
+ * @param {Array} questions - Question definitions with id and options
+ * @param {object} options
+ * @param {Function} options.isRequired - (question) => boolean (default: all required)
+ * @returns {{fields: object}} Schema
+ */
+function buildResponseSchema(questions, { isRequired = () => true } = {}) {
+    const fields = {};
+    for (const question of questions) {
+        fields[question.id] = {
+            type: question.multiSelect || question.type === 'multi' ? 'multi' : 'single',
+            values: question.options.map(o => o.value),
+            required: isRequired(question),
+            maxNotesLength: MAX_NOTES_LENGTH,
+        };
+    }
+    return { fields };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check one answer against its field
+ *
+ * @param {object} field - Schema field
+ * @param {*} answer - { selected, notes }
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkAnswer(field, answer) {
+    if (!isPlainObject(answer)) {
+        return 'Answer must be an object with selected and notes';
+    }
+
+    const unexpected = Object.keys(answer).find(key => key !== 'selected' && key !== 'notes');
+    if (unexpected) {
+        return `Unexpected field: ${unexpected}`;
+    }
+
+    const { selected, notes } = answer;
+    if (field.type === 'multi') {
+        const valid = Array.isArray(selected)
+            && selected.length > 0
+            && new Set(selected).size === selected.length
+            && selected.every(v => field.values.includes(v));
+        if (!valid) return `Choose one or more of: ${field.values.join(', ')}`;
+    } else if (typeof selected !== 'string' || !field.values.includes(selected)) {
+        return `Choose one of: ${field.values.join(', ')}`;
+    }
+
+    if (notes !== undefined && notes !== null) {
+        if (typeof notes !== 'string') return 'Notes must be text';
+        if (notes.length > field.maxNotesLength) {
+            return `Notes must be at most ${field.maxNotesLength} characters`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate answers keyed by question ID
+ *
+ * @param {object} schema - From buildResponseSchema()
+ * @param {*} answers - { questionId: { selected, notes } }
+ * @param {string} prefix - Field name prefix for errors (e.g. 'answers')
+ * @returns {{valid: boolean, errors: Array, answers: object}}
+ *          answers: only known questions, notes trimmed (null when empty)
+ */
+function validateAnswers(schema, answers, prefix) {
+    if (!isPlainObject(answers)) {
+        return { valid: false, errors: [{ field: prefix, message: 'Must be an object of answers' }], answers: {} };
+    }
+
+    const errors = [];
+    const cleaned = {};
+
+    for (const key of Object.keys(answers)) {
+        if (!schema.fields[key]) {
+            errors.push({ field: `${prefix}.${key}`, message: 'Unknown question' });
+        }
+    }
+
+    for (const [questionId, field] of Object.entries(schema.fields)) {
+        const answer = answers[questionId];
+        if (answer === undefined || answer === null) {
+            if (field.required) {
+                errors.push({ field: `${prefix}.${questionId}`, message: 'Please answer this question' });
+            }
+            continue;
+        }
+
+        const message = checkAnswer(field, answer);
+        if (message) {
+            errors.push({ field: `${prefix}.${questionId}`, message });
+            continue;
+        }
+
+        cleaned[questionId] = {
+            selected: answer.selected,
+            notes: answer.notes?.trim() || null,
+        };
+    }
+
+    return { valid: errors.length === 0, errors, answers: cleaned };
+}
+
+/**
+ * Validate the answers to a follow-up's personalized (AI) questions
+ *
+ * Answers are returned with the question text, category and option labels,
+ * so the doctor's summary still reads correctly if questions change.
+ *
+ * @param {Array} questions - Normalized personalized questions of the follow-up
+ * @param {*} answers - [{ questionId, selected, notes }] from the patient
+ * @returns {{valid: boolean, errors: Array, answers: Array}}
+ *          answers: [{ questionId, question, category, type, selected,
+ *                      selectedLabels, notes }] in question order
+ */
+function validatePersonalizedAnswers(questions, answers) {
+    answers = answers ?? [];  // Follow-ups without AI questions send none
+    if (!Array.isArray(answers)) {
+        return { valid: false, errors: [{ field: 'personalizedAnswers', message: 'Must be a list' }], answers: [] };
+    }
+
+    const schema = buildResponseSchema(questions, { isRequired: q => q.required });
+    const errors = [];
+    const byQuestion = new Map();
+
+    answers.forEach((answer, index) => {
+        const question = questions.find(q => q.id === answer?.questionId);
+        if (!question) {
+            errors.push({ field: `personalizedAnswers[${index}]`, message: 'Unknown question' });
+            return;
+        }
+        if (byQuestion.has(question.id)) {
+            errors.push({ field: `personalizedAnswers.${question.id}`, message: 'Answered more than once' });
+            return;
+        }
+        byQuestion.set(question.id, answer);
+    });
+
+    // Same checks as the questionnaire answers
+    const checked = validateAnswers(
+        schema,
+        Object.fromEntries([...byQuestion].map(([id, { selected, notes }]) => [id, { selected, notes }])),
+        'personalizedAnswers'
+    );
+    errors.push(...checked.errors);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        answers: questions.filter(q => checked.answers[q.id]).map(q => {
+            const { selected, notes } = checked.answers[q.id];
+            return {
+                questionId: q.id,
+                question: q.question,
+                category: q.category,
+                type: q.type,
+                selected,
+                selectedLabels: [].concat(selected).map(v => q.options.find(o => o.value === v).label),
+                notes,
+            };
+        }),
+    };
+}
+
+/**
+ * Validate a follow-up submission (POST /api/follow-ups/:id/submit)
+ *
+ * RULES:
+ * - responses: { schemaVersion, answers, personalizedAnswers } - nothing else
+ * - schemaVersion must be the current questionnaire version
+ * - Every question on the patient's path (from overallStatus) must be
+ *   answered; answers to questions off the path are rejected
+ * - Required personalized questions must be answered
+ *
+ * @param {*} responses - Submitted responses
+ * @param {Array} personalizedQuestions - Normalized personalized questions of the follow-up
+ * @returns {{valid: boolean, errors: Array, verifiedResponses?: object, personalizedAnswers?: Array}}
+ */
+function validateFollowUpResponses(responses, personalizedQuestions) {
+    if (!isPlainObject(responses)) {
+        return { valid: false, errors: [{ field: 'responses', message: 'Must be an object' }] };
+    }
+
+    const errors = [];
+    for (const key of Object.keys(responses)) {
+        if (!['schemaVersion', 'answers', 'personalizedAnswers'].includes(key)) {
+            errors.push({ field: `responses.${key}`, message: 'Unexpected field' });
+        }
+    }
+
+    if (responses.schemaVersion !== RESPONSE_SCHEMA_VERSION) {
+        errors.push({
+            field: 'responses.schemaVersion',
+            message: 'This questionnaire is out of date. Please reload the page and answer again.',
+        });
+        return { valid: false, errors };
+    }
+
+    // ========== QUESTIONNAIRE ANSWERS ==========
+    // The path (and so the required questions) follows overallStatus
+    const answers = responses.answers;
+    const askedIds = getQuestionOrder(isPlainObject(answers) ? answers.overallStatus?.selected : undefined);
+    const schema = buildResponseSchema(askedIds.map(id => QUESTIONS[id]));
+
+    const checked = validateAnswers(schema, answers, 'answers');
+    errors.push(...checked.errors.map(error => {
+        const questionId = error.field.slice('answers.'.length);
+        return error.message === 'Unknown question' && QUESTIONS[questionId]
+            ? { ...error, message: 'Not asked for this overall status' }
+            : error;
+    }));
+
+    // ========== PERSONALIZED ANSWERS ==========
+    const personalized = validatePersonalizedAnswers(personalizedQuestions, responses.personalizedAnswers);
+    errors.push(...personalized.errors);
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    return {
+        valid: true,
+        errors,
+        verifiedResponses: { schemaVersion: RESPONSE_SCHEMA_VERSION, answers: checked.answers },
+        personalizedAnswers: personalized.answers,
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    buildResponseSchema,          // Question definitions → schema
+    validateAnswers,              // Answers keyed by question ID
+    validatePersonalizedAnswers,  // Answers to a follow-up's AI questions
+    validateFollowUpResponses,    // Whole follow-up submission
+};
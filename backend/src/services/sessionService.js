@@ -0,0 +1,303 @@
+/**
+ * ============================================================================
+ * Session Service
+ * Refresh Tokens, Rotation and Server-Side Revocation
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every doctor/staff/admin login creates a session document. The session
+ * holds the (hashed) refresh token used to obtain new short-lived access
+ * tokens, and can be revoked server-side at any time.
+ *
+ * WHY SESSIONS?
+ * - Access tokens (JWT) are stateless: once issued they stay valid until
+ *   they expire. A stolen token used to be good for 24 hours.
+ * - Access tokens now carry a sessionId and live only 15 minutes;
+ *   the auth middleware also rejects them as soon as their session is revoked.
+ * - Logout, "log out all devices", password resets and deactivation
+ *   all revoke sessions here.
+ *
+ * REFRESH TOKEN FORMAT:
+ *   <sessionId>.<random secret>
+ * Only a SHA-256 hash of the secret is stored - a database leak does not
+ * expose usable refresh tokens.
+ *
+ * ROTATION & REUSE DETECTION:
+ * 1. Each refresh replaces the secret (old token stops working)
+ * 2. The previous hash is remembered
+ * 3. If the previous token is presented again after the grace period,
+ *    someone else is holding a copy → the whole session is revoked
+ *
+ * COLLECTION: 'sessions'
+ * { userId, refreshTokenHash, previousRefreshTokenHash, rotatedAt,
+ *   createdAt, lastUsedAt, expiresAt, revokedAt, revokedReason,
+ *   userAgent, ipAddress }
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');               // Random secrets + hashing
+const { v4: uuidv4 } = require('uuid');         // Session IDs
+const { db } = require('../config/firebase');   // Firestore for session storage
+const { REFRESH_TOKEN_TTL_DAYS, REFRESH_REUSE_GRACE_SECONDS } = require('../config/auth');
+
+// ============================================================================
+// TOKEN HELPERS
+// ============================================================================
+
+/**
+ * Hash a refresh token secret for storage/comparison
+ *
+ * @param {string} secret - Random part of the refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Build a new refresh token for a session
+ *
+ * @param {string} sessionId - Session document ID
+ * @returns {{refreshToken: string, refreshTokenHash: string}}
+ */
+function generateRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return {
+        refreshToken: `${sessionId}.${secret}`,
+        refreshTokenHash: hashSecret(secret),
+    };
+}
+
+/**
+ * Split a refresh token into session ID and secret
+ *
+ * @param {string} refreshToken - Token from the client
+ * @returns {{sessionId: string, secret: string}|null} null if malformed
+ */
+function parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret) return null;
+    return { sessionId, secret };
+}
+
+/**
+ * Compare two hex hashes in constant time
+ */
+function hashesMatch(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Sliding expiry: now + REFRESH_TOKEN_TTL_DAYS
+ */
+function nextExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Convert a Firestore Timestamp (or Date/string) to a Date
+ */
+function toDate(value) {
+    if (!value) return null;
+    return value.toDate?.() || new Date(value);
+}
+
+// ============================================================================
+// SESSION LIFECYCLE
+// ============================================================================
+
+/**
+ * Create a session at login/registration
+ *
+ * @param {string} userId - Authenticated user
+ * @param {object} req - Express request (for device info shown to the user)
+ * @returns {Promise<{sessionId: string, refreshToken: string}>}
+ */
+async function createSession(userId, req) {
+    const sessionId = uuidv4();
+    const { refreshToken, refreshTokenHash } = generateRefreshToken(sessionId);
+
+    await db.collection('sessions').doc(sessionId).set({
+        userId,
+        refreshTokenHash,
+        previousRefreshTokenHash: null,
+        rotatedAt: null,
+        createdAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: nextExpiry(),
+        revokedAt: null,
+        revokedReason: null,
+        userAgent: req?.headers?.['user-agent'] || null,
+        ipAddress: req?.ip || null,
+    });
+
+    return { sessionId, refreshToken };
+}
+
+/**
+ * Check whether a session document is still usable
+ *
+ * @param {object|undefined} sessionData - Firestore session data
+ * @returns {boolean} True if not revoked and not expired
+ */
+function isSessionActive(sessionData) {
+    if (!sessionData || sessionData.revokedAt) return false;
+    const expiresAt = toDate(sessionData.expiresAt);
+    return !expiresAt || expiresAt > new Date();
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ *
+ * SECURITY CHECKS PERFORMED:
+ * 1. Token well-formed and session exists
+ * 2. Session not revoked or expired
+ * 3. Secret matches the CURRENT hash
+ *    - Matches the PREVIOUS hash within the grace period → concurrent refresh,
+ *      rejected without side effects
+ *    - Matches the PREVIOUS hash after the grace period → reuse of a stolen
+ *      token, the whole session is revoked
+ *
+ * @param {string} refreshToken - Token from the client
+ * @returns {Promise<{success: boolean, message?: string, sessionId?: string,
+ *                    userId?: string, refreshToken?: string}>}
+ */
+async function rotateRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return { success: false, message: 'Invalid refresh token' };
+    }
+
+    const sessionRef = db.collection('sessions').doc(parsed.sessionId);
+    const sessionDoc = await sessionRef.get();
+    const session = sessionDoc.exists ? sessionDoc.data() : null;
+
+    if (!isSessionActive(session)) {
+        return { success: false, message: 'Session has expired. Please log in again.' };
+    }
+
+    const presentedHash = hashSecret(parsed.secret);
+
+    if (!hashesMatch(presentedHash, session.refreshTokenHash)) {
+        const rotatedAt = toDate(session.rotatedAt);
+        const isPrevious = hashesMatch(presentedHash, session.previousRefreshTokenHash);
+        const withinGrace = rotatedAt && (Date.now() - rotatedAt.getTime()) < REFRESH_REUSE_GRACE_SECONDS * 1000;
+
+        if (isPrevious && withinGrace) {
+            return { success: false, message: 'Refresh token already used' };
+        }
+
+        // Old or foreign token presented - assume it was stolen
+        if (isPrevious) {
+            await revokeSession(parsed.sessionId, 'refresh_token_reuse');
+            console.warn(`⚠️ Refresh token reuse detected - session ${parsed.sessionId} revoked`);
+        }
+        return { success: false, message: 'Invalid refresh token' };
+    }
+
+    // ========== ROTATE ==========
+    const next = generateRefreshToken(parsed.sessionId);
+    await sessionRef.update({
+        refreshTokenHash: next.refreshTokenHash,
+        previousRefreshTokenHash: session.refreshTokenHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: nextExpiry(),
+    });
+
+    return {
+        success: true,
+        sessionId: parsed.sessionId,
+        userId: session.userId,
+        refreshToken: next.refreshToken,
+    };
+}
+
+/**
+ * Find the session a refresh token belongs to (without rotating)
+ * Used by logout, where the access token may already have expired.
+ *
+ * @param {string} refreshToken - Token from the client
+ * @returns {Promise<string|null>} Session ID if the token is current
+ */
+async function findSessionByRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const sessionDoc = await db.collection('sessions').doc(parsed.sessionId).get();
+    if (!sessionDoc.exists || !hashesMatch(hashSecret(parsed.secret), sessionDoc.data().refreshTokenHash)) {
+        return null;
+    }
+    return parsed.sessionId;
+}
+
+// ============================================================================
+// REVOCATION
+// ============================================================================
+
+/**
+ * Revoke one session
+ *
+ * @param {string} sessionId - Session to revoke
+ * @param {string} reason - e.g. 'logout', 'refresh_token_reuse'
+ */
+async function revokeSession(sessionId, reason) {
+    await db.collection('sessions').doc(sessionId).update({
+        revokedAt: new Date(),
+        revokedReason: reason,
+    });
+}
+
+/**
+ * Revoke every active session of a user
+ *
+ * USED BY:
+ * - "Log out all devices"
+ * - Password change / admin password reset
+ * - Admin deactivation
+ *
+ * @param {string} userId - Owner of the sessions
+ * @param {string} reason - Stored on each revoked session
+ * @param {string|null} exceptSessionId - Session to keep (e.g. the one
+ *                                        changing its own password)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const snapshot = await db.collection('sessions')
+        .where('userId', '==', userId)
+        .where('revokedAt', '==', null)
+        .get();
+
+    const batch = db.batch();
+    let count = 0;
+    snapshot.docs.forEach(doc => {
+        if (doc.id === exceptSessionId) return;
+        batch.update(doc.ref, { revokedAt: new Date(), revokedReason: reason });
+        count++;
+    });
+
+    if (count > 0) {
+        await batch.commit();
+    }
+    return count;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    createSession,              // New session + refresh token at login
+    isSessionActive,            // Used by auth middleware on every request
+    rotateRefreshToken,         // POST /auth/refresh
+    findSessionByRefreshToken,  // POST /auth/logout without access token
+    revokeSession,              // Single-device logout
+    revokeAllSessions,          // Log out everywhere / password reset
+};
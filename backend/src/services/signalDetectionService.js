@@ -0,0 +1,414 @@
+/**
+ * ============================================================================
+ * Signal Detection Service
+ * Disproportionality Analysis of Drug-Reaction Pairs (PRR / ROR)
+ * ============================================================================
+ *
+ * PURPOSE:
+ * One case says little about a drug; many cases can. This service looks
+ * across a hospital's adverse event cases and asks, for every drug and
+ * reaction reported together: is this reaction reported with this drug
+ * more often than with the other drugs? Pairs that stand out are raised
+ * as "potential signal" records for a doctor to review.
+ *
+ * 2x2 TABLE (unit = case, per drug D and reaction R):
+ *                  R reported   R not reported
+ *   drug D             a              b
+ *   other drugs        c              d
+ *
+ * STATISTICS:
+ * - PRR = [a / (a+b)] / [c / (c+d)]
+ *   95% CI: exp(ln PRR ± 1.96 · √(1/a − 1/(a+b) + 1/c − 1/(c+d)))
+ * - ROR = (a · d) / (b · c)
+ *   95% CI: exp(ln ROR ± 1.96 · √(1/a + 1/b + 1/c + 1/d))
+ * - χ² with Yates' correction:
+ *   N · (|ad − bc| − N/2)² / [(a+b)(c+d)(a+c)(b+d)]
+ * A table with an empty cell gets 0.5 added to every cell (Haldane)
+ * for PRR / ROR, so a reaction seen only with one drug still gets a
+ * finite value.
+ *
+ * THRESHOLDS (per hospital, hospitals/{id}.signalThresholds - set by the
+ * hospital admin through PATCH /api/auth/hospital-settings):
+ * A pair is a potential signal when all of these hold (defaults after
+ * Evans et al.): a ≥ minCases (3), PRR ≥ minPrr (2), χ² ≥ minChiSquare
+ * (4) and the lower 95% bound of the ROR > minRorLower (1).
+ *
+ * CASES COUNTED:
+ * Consented cases of the hospital with a drug name and at least one
+ * coded symptom ('other' is not a reaction of its own). Cases merged
+ * into another case are left out so a reaction is not counted twice.
+ * Drug names are compared case-insensitively.
+ *
+ * SIGNAL RECORD (signals/{id}):
+ * { hospitalId, drugKey, drugName, reaction, reactionTerm,
+ *   status: 'potential', active, stats, caseIds, thresholds,
+ *   firstDetectedAt, lastDetectedAt }
+ * active turns false when a later run no longer finds the pair above
+ * the thresholds - the record is kept.
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const { DEFAULT_HOSPITAL_ID } = require('../config/auth');
+const { MEDDRA_TERMS } = require('./e2bExportService');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Used when a hospital has not set its own thresholds
+ */
+const DEFAULT_SIGNAL_THRESHOLDS = {
+    minCases: 3,
+    minPrr: 2,
+    minChiSquare: 4,
+    minRorLower: 1,
+};
+
+/**
+ * Accepted range per threshold (admin input)
+ */
+const THRESHOLD_LIMITS = {
+    minCases: { min: 1, max: 1000, integer: true },
+    minPrr: { min: 1, max: 100 },
+    minChiSquare: { min: 0, max: 1000 },
+    minRorLower: { min: 0, max: 100 },
+};
+
+/**
+ * Symptom values that are not a specific reaction
+ */
+const NON_SPECIFIC_SYMPTOMS = ['other'];
+
+const Z_95 = 1.96;
+
+// ============================================================================
+// THRESHOLDS
+// ============================================================================
+
+/**
+ * Signal thresholds of a hospital (or the defaults)
+ *
+ * @param {string} hospitalId
+ * @returns {Promise<object>} { minCases, minPrr, minChiSquare, minRorLower, isDefault }
+ */
+async function getSignalThresholds(hospitalId) {
+    const doc = await db.collection('hospitals').doc(hospitalId || DEFAULT_HOSPITAL_ID).get();
+    const thresholds = doc.exists ? doc.data().signalThresholds : null;
+
+    if (!thresholds) {
+        return { ...DEFAULT_SIGNAL_THRESHOLDS, isDefault: true };
+    }
+    return { ...DEFAULT_SIGNAL_THRESHOLDS, ...thresholds, isDefault: false };
+}
+
+/**
+ * Validate thresholds entered by a hospital admin
+ *
+ * @param {object} input - { minCases, minPrr, minChiSquare, minRorLower }
+ * @returns {{valid: boolean, errors: object[], thresholds?: object}}
+ *   errors: [{ field, message }], e.g. field 'signalThresholds.minPrr'
+ */
+function validateSignalThresholds(input) {
+    const field = 'signalThresholds';
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ field, message: 'must be an object of thresholds' }] };
+    }
+
+    const errors = [];
+    const thresholds = {};
+    Object.entries(THRESHOLD_LIMITS).forEach(([key, { min, max, integer }]) => {
+        const value = input[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max
+            || (integer && !Number.isInteger(value))) {
+            errors.push({ field: `${field}.${key}`, message: `must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}` });
+        } else {
+            thresholds[key] = value;
+        }
+    });
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, errors: [], thresholds };
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Round for storage and display
+ */
+function round(value, digits = 3) {
+    if (!Number.isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * PRR, ROR (with 95% CIs) and Yates χ² of a 2x2 table
+ *
+ * @param {number} a - Drug with reaction
+ * @param {number} b - Drug without reaction
+ * @param {number} c - Other drugs with reaction
+ * @param {number} d - Other drugs without reaction
+ * @returns {object} { prr: { value, lower, upper }, ror: { value, lower, upper }, chiSquare }
+ */
+function disproportionality(a, b, c, d) {
+    // Haldane correction for empty cells (PRR / ROR only)
+    const k = [a, b, c, d].some(n => n === 0) ? 0.5 : 0;
+    const [ca, cb, cc, cd] = [a + k, b + k, c + k, d + k];
+
+    const prr = (ca / (ca + cb)) / (cc / (cc + cd));
+    const prrSe = Math.sqrt(Math.max(0, 1 / ca - 1 / (ca + cb) + 1 / cc - 1 / (cc + cd)));
+
+    const ror = (ca * cd) / (cb * cc);
+    const rorSe = Math.sqrt(1 / ca + 1 / cb + 1 / cc + 1 / cd);
+
+    const n = a + b + c + d;
+    const denominator = (a + b) * (c + d) * (a + c) * (b + d);
+    const chiSquare = denominator > 0
+        ? n * (Math.max(0, Math.abs(a * d - b * c) - n / 2) ** 2) / denominator
+        : 0;
+
+    return {
+        prr: {
+            value: round(prr),
+            lower: round(Math.exp(Math.log(prr) - Z_95 * prrSe)),
+            upper: round(Math.exp(Math.log(prr) + Z_95 * prrSe)),
+        },
+        ror: {
+            value: round(ror),
+            lower: round(Math.exp(Math.log(ror) - Z_95 * rorSe)),
+            upper: round(Math.exp(Math.log(ror) + Z_95 * rorSe)),
+        },
+        chiSquare: round(chiSquare),
+    };
+}
+
+/**
+ * Whether a pair's statistics meet the thresholds
+ */
+function meetsThresholds(pair, thresholds) {
+    return pair.a >= thresholds.minCases
+        && pair.prr.value >= thresholds.minPrr
+        && pair.chiSquare >= thresholds.minChiSquare
+        && pair.ror.lower > thresholds.minRorLower;
+}
+
+// ============================================================================
+// CASES → PAIRS
+// ============================================================================
+
+/**
+ * Drug name as compared across cases
+ */
+function drugKeyOf(drugName) {
+    return String(drugName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Most often reported spelling of a drug name
+ *
+ * @param {Map<string, number>} spellings - name → number of cases
+ * @returns {string}
+ */
+function mostReported(spellings) {
+    return [...spellings].sort((x, y) => y[1] - x[1])[0][0];
+}
+
+/**
+ * Reaction name for display (MedDRA preferred term where coded)
+ */
+function reactionTermOf(reaction) {
+    return MEDDRA_TERMS[reaction]?.term || reaction;
+}
+
+/**
+ * Cases of a hospital that can take part in the analysis
+ *
+ * @param {string} hospitalId
+ * @returns {Promise<object[]>} [{ id, ...case, drugKey, reactions }]
+ */
+async function loadAnalysableCases(hospitalId) {
+    const snapshot = await db.collection('adverseEvents')
+        .where('hospitalId', '==', hospitalId)
+        .get();
+
+    const cases = [];
+    snapshot.forEach(doc => {
+        const data = doc.data();
+        const drugKey = drugKeyOf(data.drugName);
+        const reactions = [...new Set((data.symptoms || []).filter(s => !NON_SPECIFIC_SYMPTOMS.includes(s)))];
+        if (!data.consent || data.mergedIntoId || !drugKey || reactions.length === 0) return;
+
+        cases.push({ id: doc.id, ...data, drugKey, reactions });
+    });
+    return cases;
+}
+
+/**
+ * Drug-reaction pair counts and disproportionality statistics
+ *
+ * @param {object[]} cases - From loadAnalysableCases
+ * @param {object} thresholds - Signal thresholds
+ * @returns {object[]} [{ drugKey, drugName, reaction, reactionTerm,
+ *   a, b, c, d, prr, ror, chiSquare, isSignal, caseIds }]
+ *   signals first, then by PRR (highest first)
+ */
+function analyzeCases(cases, thresholds) {
+    const total = cases.length;
+    const casesByDrug = new Map();       // drugKey → count
+    const casesByReaction = new Map();   // reaction → count
+    const pairs = new Map();             // drugKey|reaction → { caseIds }
+    const drugNames = new Map();         // drugKey → Map(name as reported → count)
+
+    cases.forEach(c => {
+        casesByDrug.set(c.drugKey, (casesByDrug.get(c.drugKey) || 0) + 1);
+        if (!drugNames.has(c.drugKey)) drugNames.set(c.drugKey, new Map());
+        const spellings = drugNames.get(c.drugKey);
+        const name = c.drugName.trim();
+        spellings.set(name, (spellings.get(name) || 0) + 1);
+
+        c.reactions.forEach(reaction => {
+            casesByReaction.set(reaction, (casesByReaction.get(reaction) || 0) + 1);
+            const key = `${c.drugKey}|${reaction}`;
+            if (!pairs.has(key)) pairs.set(key, { drugKey: c.drugKey, reaction, caseIds: [] });
+            pairs.get(key).caseIds.push(c.id);
+        });
+    });
+
+    return [...pairs.values()]
+        .map(({ drugKey, reaction, caseIds }) => {
+            const a = caseIds.length;
+            const b = casesByDrug.get(drugKey) - a;
+            const c = casesByReaction.get(reaction) - a;
+            const d = total - a - b - c;
+
+            const pair = {
+                drugKey,
+                drugName: mostReported(drugNames.get(drugKey)),
+                reaction,
+                reactionTerm: reactionTermOf(reaction),
+                a, b, c, d,
+                ...disproportionality(a, b, c, d),
+                caseIds,
+            };
+            return { ...pair, isSignal: meetsThresholds(pair, thresholds) };
+        })
+        .sort((x, y) => (y.isSignal - x.isSignal) || (y.prr.value - x.prr.value) || (y.a - x.a));
+}
+
+// ============================================================================
+// SIGNAL RECORDS
+// ============================================================================
+
+/**
+ * Stable document ID of a hospital's drug-reaction pair
+ */
+function signalIdOf(hospitalId, drugKey, reaction) {
+    return crypto.createHash('sha256').update(`${hospitalId}|${drugKey}|${reaction}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Run the analysis for a hospital and raise / update potential signals
+ *
+ * @param {string} hospitalId
+ * @param {Date} [now]
+ * @returns {Promise<{raised: object[], active: number, totalCases: number}>}
+ *   raised: signals found for the first time (or again after going inactive)
+ */
+async function detectSignals(hospitalId, now = new Date()) {
+    const [cases, thresholds, existingSnapshot] = await Promise.all([
+        loadAnalysableCases(hospitalId),
+        getSignalThresholds(hospitalId),
+        db.collection('signals').where('hospitalId', '==', hospitalId).get(),
+    ]);
+    const { isDefault, ...usedThresholds } = thresholds;
+    const pairs = analyzeCases(cases, thresholds);
+    const timestamp = now.toISOString();
+
+    const existing = new Map();
+    existingSnapshot.forEach(doc => existing.set(doc.id, doc.data()));
+
+    const raised = [];
+    const signalIds = new Set();
+
+    for (const pair of pairs.filter(p => p.isSignal)) {
+        const id = signalIdOf(hospitalId, pair.drugKey, pair.reaction);
+        const previous = existing.get(id);
+        signalIds.add(id);
+
+        const record = {
+            id,
+            hospitalId,
+            drugKey: pair.drugKey,
+            drugName: pair.drugName,
+            reaction: pair.reaction,
+            reactionTerm: pair.reactionTerm,
+            status: previous?.status || 'potential',
+            active: true,
+            stats: {
+                a: pair.a, b: pair.b, c: pair.c, d: pair.d,
+                prr: pair.prr,
+                ror: pair.ror,
+                chiSquare: pair.chiSquare,
+            },
+            caseIds: pair.caseIds,
+            thresholds: usedThresholds,
+            firstDetectedAt: previous?.firstDetectedAt || timestamp,
+            lastDetectedAt: timestamp,
+            updatedAt: timestamp,
+        };
+        await db.collection('signals').doc(id).set(record);
+
+        if (!previous || !previous.active) raised.push(record);
+    }
+
+    // Pairs no longer above the thresholds stay on record, inactive
+    for (const [id, previous] of existing) {
+        if (!signalIds.has(id) && previous.active) {
+            await db.collection('signals').doc(id).update({ active: false, updatedAt: timestamp });
+        }
+    }
+
+    return { raised, active: signalIds.size, totalCases: cases.length };
+}
+
+/**
+ * Signal records of a hospital (active first, newest detection first)
+ *
+ * @param {string} hospitalId
+ * @returns {Promise<object[]>}
+ */
+async function listSignals(hospitalId) {
+    const snapshot = await db.collection('signals').where('hospitalId', '==', hospitalId).get();
+    const signals = [];
+    snapshot.forEach(doc => signals.push(doc.data()));
+    return signals.sort((x, y) => (y.active - x.active) || y.lastDetectedAt.localeCompare(x.lastDetectedAt));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    DEFAULT_SIGNAL_THRESHOLDS,
+    getSignalThresholds,        // Hospital thresholds (or defaults)
+    validateSignalThresholds,   // Admin input → stored thresholds
+    disproportionality,         // 2x2 table → PRR, ROR, χ²
+    drugKeyOf,
+    loadAnalysableCases,        // Hospital cases that take part
+    analyzeCases,               // Cases → drug-reaction pairs with statistics
+    detectSignals,              // Run + raise / update potential signals
+    listSignals,
+};
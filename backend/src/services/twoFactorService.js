@@ -0,0 +1,345 @@
+/**
+ * ============================================================================
+ * Two-Factor Service - TOTP (RFC 6238), Backup Codes and Login Challenges
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Second login factor for doctors, staff and admins. After the password
+ * check, login issues a short-lived CHALLENGE instead of a JWT; the
+ * session only starts once a code from the user's authenticator app
+ * (Google Authenticator, Authy, 1Password, ...) or a backup code is verified.
+ *
+ * WHY TOTP?
+ * - Works offline on the clinician's phone - no SMS/WhatsApp cost or delay
+ * - Standard: any authenticator app can scan the otpauth:// QR code
+ * - Implemented with Node's crypto (HMAC-SHA1, 30 s steps, 6 digits)
+ *
+ * SECURITY CONSIDERATIONS:
+ * 1. ±1 step clock drift tolerated; each step accepted only once
+ *    (users.twoFactorLastStep prevents replay of a seen code)
+ * 2. Backup codes: 10 single-use codes, only SHA-256 hashes stored in users
+ * 3. Login challenges: random token, hash stored, 5 minutes, 5 attempts
+ * 4. Secrets are never returned by any API after enrollment
+ *
+ * USER FIELDS:
+ * { twoFactorEnabled, twoFactorSecret, twoFactorPendingSecret,
+ *   twoFactorBackupCodes: [hash], twoFactorLastStep, twoFactorEnabledAt }
+ *
+ * COLLECTIONS:
+ * - 'loginChallenges' (document ID = token hash)
+ *   { userId, setupRequired, attempts, createdAt, expiresAt, usedAt }
+ * - 'hospitals' - { requireTwoFactor } per-hospital enforcement
+ *
+ * @author NEST 2O Team
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');               // HMAC, random secrets, hashing
+const QRCode = require('qrcode');               // otpauth:// → PNG data URL
+const { db } = require('../config/firebase');   // Firestore for challenges/settings
+const {
+    TOTP_ISSUER,
+    TWO_FACTOR_CHALLENGE_TTL_MINUTES,
+    TWO_FACTOR_MAX_ATTEMPTS,
+    DEFAULT_HOSPITAL_ID,
+} = require('../config/auth');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const TOTP_STEP_SECONDS = 30;   // Standard authenticator period
+const TOTP_DIGITS = 6;          // Standard code length
+const TOTP_WINDOW = 1;          // Accept previous/next step (clock drift)
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * RFC 4648 base32 alphabet (authenticator apps expect base32 secrets)
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================================================
+// BASE32 HELPERS
+// ============================================================================
+
+/**
+ * Encode bytes as unpadded base32
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode a base32 string (spaces/padding ignored, case-insensitive)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Raw bytes
+ */
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+/**
+ * Generate a new random TOTP secret (160 bits, as recommended by RFC 4226)
+ *
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for one time step (RFC 4226 HOTP)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded 6-digit code
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code against a secret
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} lastStep - Last step already accepted for this user
+ *                            (codes from that step or earlier are rejected)
+ * @returns {number|null} Matching time step, or null if invalid
+ */
+function verifyTotp(secret, code, lastStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        const step = currentStep + drift;
+        if (step <= lastStep) continue;  // Replay of an already-used code
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the enrollment payload shown to the user
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account label shown in the authenticator app
+ * @returns {Promise<{secret: string, otpauthUri: string, qrCode: string}>}
+ */
+async function buildEnrollment(secret, email) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}`
+        + `&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+    return {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri),  // data:image/png;base64,...
+    };
+}
+
+// ============================================================================
+// BACKUP CODES
+// ============================================================================
+
+/**
+ * Hash a backup code for storage (dashes/case ignored)
+ */
+function hashBackupCode(code) {
+    const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of backup codes
+ *
+ * @returns {{codes: string[], hashes: string[]}} Plain codes (shown once)
+ *          and the hashes to store in users.twoFactorBackupCodes
+ */
+function generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();  // 10 hex chars
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Find a backup code among the stored hashes
+ *
+ * @param {string[]} storedHashes - users.twoFactorBackupCodes
+ * @param {string} code - Code typed by the user
+ * @returns {string[]|null} Remaining hashes (code removed), or null if no match
+ */
+function consumeBackupCode(storedHashes, code) {
+    const hash = hashBackupCode(code);
+    const hashes = storedHashes || [];
+    if (!hashes.includes(hash)) return null;
+    return hashes.filter(h => h !== hash);
+}
+
+// ============================================================================
+// LOGIN CHALLENGES
+// ============================================================================
+
+/**
+ * Hash a challenge token for storage/lookup
+ */
+function hashChallenge(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a login challenge after a correct password
+ *
+ * @param {string} userId - User who passed the password check
+ * @param {boolean} setupRequired - True if the user must enroll first
+ *                                  (hospital requires 2FA, not yet enabled)
+ * @returns {Promise<string>} Challenge token for the second login step
+ */
+async function createLoginChallenge(userId, setupRequired) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await db.collection('loginChallenges').doc(hashChallenge(token)).set({
+        userId,
+        setupRequired,
+        attempts: 0,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000),
+        usedAt: null,
+    });
+
+    return token;
+}
+
+/**
+ * Load an open login challenge
+ *
+ * @param {string} token - Challenge token from the client
+ * @returns {Promise<{success: boolean, message?: string, ref?: object, data?: object}>}
+ */
+async function getLoginChallenge(token) {
+    if (!token) {
+        return { success: false, message: 'Login session expired. Please log in again.' };
+    }
+
+    const ref = db.collection('loginChallenges').doc(hashChallenge(token));
+    const doc = await ref.get();
+    const data = doc.exists ? doc.data() : null;
+    const expiresAt = data && (data.expiresAt?.toDate?.() || new Date(data.expiresAt));
+
+    if (!data || data.usedAt || new Date() > expiresAt) {
+        return { success: false, message: 'Login session expired. Please log in again.' };
+    }
+
+    if (data.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        return { success: false, message: 'Too many invalid codes. Please log in again.' };
+    }
+
+    return { success: true, ref, data };
+}
+
+/**
+ * Record a wrong code against a challenge
+ *
+ * @param {object} ref - Challenge document reference
+ * @param {object} data - Challenge data
+ * @returns {Promise<number>} Attempts remaining
+ */
+async function recordFailedAttempt(ref, data) {
+    const attempts = data.attempts + 1;
+    await ref.update({ attempts });
+    return Math.max(0, TWO_FACTOR_MAX_ATTEMPTS - attempts);
+}
+
+// ============================================================================
+// HOSPITAL POLICY
+// ============================================================================
+
+/**
+ * Does this user's hospital require two-factor authentication?
+ *
+ * @param {string} hospitalId - users.hospitalId
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(hospitalId) {
+    const doc = await db.collection('hospitals').doc(hospitalId || DEFAULT_HOSPITAL_ID).get();
+    return doc.exists && doc.data().requireTwoFactor === true;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    generateSecret,        // New TOTP secret at enrollment
+    verifyTotp,            // Check an authenticator code
+    buildEnrollment,       // otpauth:// URI + QR code
+    generateBackupCodes,   // 10 single-use recovery codes
+    consumeBackupCode,     // Redeem one recovery code
+    createLoginChallenge,  // Password OK → second step pending
+    getLoginChallenge,     // Load challenge for the second step
+    recordFailedAttempt,   // Wrong code → attempts++
+    isTwoFactorRequired,   // Per-hospital enforcement
+};
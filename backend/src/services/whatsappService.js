@@ -26,6 +26,7 @@
  * MESSAGE TYPES:
  * 1. OTP Messages: Verification codes with follow-up links
  * 2. Reminder Messages: Gentle nudges to complete follow-up
+ * 3. Urgent Case Alerts: To doctors and on-call staff (alertService.js)
  * 
  * ENVIRONMENT VARIABLES REQUIRED:
  * - TWILIO_ACCOUNT_SID: Your Twilio account ID
@@ -336,20 +337,20 @@ async function sendOTPBoth(params) {
  * 
  * WHEN USED:
  * - Patient hasn't completed follow-up after X hours
- * - Doctor requests a reminder
- * - Scheduled reminder job
+ * - Reminder job (services/reminderService.js), with a fresh OTP
  * 
- * NOTE: This is a GENTLE reminder, not the OTP.
- * Patient will need to request a new OTP to continue.
+ * NOTE: Without an otp this is a GENTLE reminder only -
+ * the patient will need to request a new OTP to continue.
  * 
  * @param {Object} params - Reminder parameters
  * @param {string} params.to - Patient's phone number
  * @param {string} params.patientName - Patient's name (optional)
  * @param {string} params.verificationLink - Link to follow-up page
  * @param {string} params.medicineName - Medicine name for context
+ * @param {string} params.otp - Fresh verification code (optional)
  * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
  */
-async function sendFollowUpReminder({ to, patientName, verificationLink, medicineName }) {
+async function sendFollowUpReminder({ to, patientName, verificationLink, medicineName, otp }) {
     try {
         const client = getTwilioClient();
         const fromNumber = `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`;
@@ -363,7 +364,9 @@ Hello${patientName ? ` ${patientName}` : ''}!
 This is a friendly reminder to complete your follow-up for *${medicineName || 'your recent prescription'}*.
 
 Your feedback helps your doctor provide better care.
-
+${otp ? `
+🔐 Your new verification code: *${otp}*
+` : ''}
 📋 Complete your follow-up here:
 ${verificationLink}
 
@@ -382,6 +385,79 @@ _This is an automated reminder from NEST 2O._`;
     }
 }
 
+// ============================================================================
+// URGENT CASE ALERTS (Doctors & On-Call Staff)
+// ============================================================================
+
+/**
+ * Alert a doctor or staff member to an urgent case
+ * Sent on WhatsApp and SMS (each only when a sender number is configured).
+ * 
+ * PRIVACY:
+ * Only the case reference - the recipient opens the dashboard (logged in)
+ * to see the patient and the answers.
+ * 
+ * @param {Object} params - Alert parameters
+ * @param {string} params.to - Recipient's phone number
+ * @param {string} params.caseId - Case reference
+ * @param {boolean} params.escalated - Not acknowledged in time
+ * @param {number} params.ackMinutes - Acknowledgement window (minutes)
+ * @param {string} params.dashboardLink - Full URL to the recipient's dashboard
+ * @returns {Promise<{whatsapp: {success: boolean}, sms: {success: boolean}}>}
+ */
+async function sendUrgentAlert({ to, caseId, escalated, ackMinutes, dashboardLink }) {
+    const result = {
+        whatsapp: { success: false, error: 'Not configured' },
+        sms: { success: false, error: 'Not configured' },
+    };
+
+    let client;
+    try {
+        client = getTwilioClient();
+    } catch (error) {
+        console.error('Urgent Alert Error:', error);
+        return result;
+    }
+
+    if (process.env.TWILIO_WHATSAPP_NUMBER) {
+        try {
+            const message = await client.messages.create({
+                body: `🚨 *NEST 2O - Urgent Case*
+
+Case *${caseId}* needs urgent review${escalated ? ' and has *not been acknowledged yet*' : ''}.
+
+Please acknowledge within ${ackMinutes} minutes:
+${dashboardLink}
+
+_This is an automated alert from NEST 2O._`,
+                from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
+                to: formatWhatsAppNumber(to),
+            });
+            result.whatsapp = { success: true, messageId: message.sid };
+        } catch (error) {
+            console.error('WhatsApp Urgent Alert Error:', error);
+            result.whatsapp = { success: false, error: error.message };
+        }
+    }
+
+    if (process.env.TWILIO_SMS_NUMBER) {
+        try {
+            // Single segment: case reference and link only
+            const message = await client.messages.create({
+                body: `NEST 2O URGENT${escalated ? ' (unacknowledged)' : ''}: case ${caseId} needs review. Acknowledge: ${dashboardLink}`,
+                from: process.env.TWILIO_SMS_NUMBER,
+                to: formatSMSNumber(to),
+            });
+            result.sms = { success: true, messageId: message.sid };
+        } catch (error) {
+            console.error('SMS Urgent Alert Error:', error);
+            result.sms = { success: false, error: error.message };
+        }
+    }
+
+    return result;
+}
+
 // ============================================================================
 // CONNECTION VERIFICATION
 // ============================================================================
@@ -426,6 +502,9 @@ module.exports = {
     // Reminder functions
     sendFollowUpReminder,  // Send reminder to complete follow-up
     
+    // Staff alerts
+    sendUrgentAlert,       // Urgent case → doctor / on-call staff
+    
     // Utility functions
     verifyConnection,      // Test Twilio configuration
     formatWhatsAppNumber,  // Format number for WhatsApp
@@ -16,6 +16,7 @@
  * USER ROLES:
  * - doctor: Can create prescriptions, initiate follow-ups, view summaries
  * - staff: Can help with data entry and verification
+ * - admin: Manages doctor/staff accounts of their hospital
  * - patient: No login - accesses via OTP-protected links
  * 
  * ROUTE STRUCTURE:
@@ -34,10 +35,14 @@
  *   /doctor/prescriptions/new - Create new prescription
  *   /doctor/follow-ups       - List all follow-ups
  *   /doctor/follow-ups/:id   - View follow-up summary (STEP 9)
+ *   /doctor/follow-up-schedule - Default automatic follow-up schedule
  * 
  * STAFF (Protected):
  *   /staff/dashboard         - Staff data entry dashboard
  * 
+ * ADMIN (Protected):
+ *   /admin/users             - User management (activate, roles, password resets)
+ * 
  * ============================================================================
  */
 
@@ -53,6 +58,9 @@ import React, { useState, useEffect } from 'react';
 // - Navigate: Programmatic redirects
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 
+// Session helpers (token refresh and server-side logout live in the API client)
+import { getCurrentUser, logout, logoutAllDevices, clearSession } from './services/api';
+
 // ============================================================================
 // COMPONENT IMPORTS
 // ============================================================================
@@ -63,6 +71,9 @@ import Header from './components/Header';
 // Public Pages (No auth required)
 import HomePage from './pages/HomePage';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import VerifyInfo from './pages/VerifyInfo';
 import ViewPrescription from './pages/ViewPrescription';
 
@@ -77,14 +88,29 @@ import NewPrescription from './pages/NewPrescription';
 import PrescriptionsList from './pages/PrescriptionsList';
 import FollowUpsList from './pages/FollowUpsList';
 import FollowUpSummary from './pages/FollowUpSummary';
+import FollowUpScheduleSettings from './pages/FollowUpScheduleSettings';
 
 // Staff Pages (Login + role required)
 import StaffDashboard from './pages/StaffDashboard';
 
+// Admin Pages (Login + role required)
+import AdminUsers from './pages/AdminUsers';
+
+// Account Pages (any logged-in role)
+import AccountSecurity from './pages/AccountSecurity';
+
+// Audit Pages (doctor and admin)
+import AuditLog from './pages/AuditLog';
+
+// Signal Detection Pages (doctor and admin)
+import SignalsPage from './pages/SignalsPage';
+
 // Adverse Event Pages (Pharmacovigilance)
 import AdverseEventReport from './pages/AdverseEventReport';
 import AdverseEventFollowUp from './pages/AdverseEventFollowUp';
 import AdverseEventsList from './pages/AdverseEventsList';
+import AdverseEventCase from './pages/AdverseEventCase';
+import RegulatoryQueue from './pages/RegulatoryQueue';
 
 // ============================================================================
 // MAIN APP COMPONENT
@@ -95,7 +121,7 @@ function App() {
     
     /**
      * user: Current authenticated user object
-     * Structure: { id, name, email, role, token }
+     * Structure: { userId, name, email, role, hospitalId }
      * null when not logged in
      */
     const [user, setUser] = useState(null);
@@ -112,7 +138,7 @@ function App() {
      * Check for existing session when app loads
      * 
      * WHY: Users shouldn't have to log in again if they have a valid session
-     * HOW: Check localStorage for token, verify with backend
+     * HOW: Check localStorage for tokens, verify with backend
      * FALLBACK: If server is down, use cached user data
      */
     useEffect(() => {
@@ -120,8 +146,8 @@ function App() {
         const token = localStorage.getItem('token');
         
         if (storedUser && token) {
-            // Token exists - verify it's still valid with backend
-            verifyToken(token, JSON.parse(storedUser));
+            // Token exists - verify the session is still valid with backend
+            verifySession(JSON.parse(storedUser));
         } else {
             // No session - done loading
             setLoading(false);
@@ -129,38 +155,31 @@ function App() {
     }, []); // Empty deps = run once on mount
 
     /**
-     * Verify JWT token with backend
+     * Verify the stored session with backend
      * 
-     * @param {string} token - JWT token from localStorage
      * @param {object} storedUser - Cached user data as fallback
      * 
      * SECURITY: Even if we have a token, verify it's still valid
+     * The access token has usually expired since the last visit -
+     * the API client renews it with the refresh token automatically.
      * RESILIENCE: If server is down, use cached user (better UX)
      */
-    const verifyToken = async (token, storedUser) => {
+    const verifySession = async (storedUser) => {
         try {
-            const response = await fetch('http://localhost:5000/api/auth/me', {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                if (result.success) {
-                    // Token valid - use fresh user data from server
-                    setUser({ ...result.data, token });
-                } else {
-                    // Token invalid - clear session
-                    handleLogout();
-                }
+            const result = await getCurrentUser();
+            // Session valid - use fresh user data from server
+            setUser(result.data);
+        } catch (err) {
+            if (err instanceof TypeError) {
+                // Network error (server down)
+                // Use cached user for better UX - they can still browse
+                // Most protected actions will fail anyway without server
+                setUser(storedUser);
             } else {
-                // HTTP error - clear session
-                handleLogout();
+                // Session revoked or account deactivated - clear it
+                clearSession();
+                setUser(null);
             }
-        } catch (err) {
-            // Network error (server down)
-            // Use cached user for better UX - they can still browse
-            // Most protected actions will fail anyway without server
-            setUser(storedUser);
         } finally {
             setLoading(false);
         }
@@ -180,13 +199,26 @@ function App() {
 
     /**
      * Handle logout
-     * Clears all session data and resets state
+     * Revokes the session on the server, clears all session data
+     * and resets state
      * 
      * WHY separate function: Called from multiple places (Header, token expiry)
      */
-    const handleLogout = () => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    const handleLogout = async () => {
+        await logout();
+        setUser(null);
+    };
+
+    /**
+     * Handle "log out all devices"
+     * Revokes every session of this user (other browsers, phones, etc.)
+     */
+    const handleLogoutAll = async () => {
+        try {
+            await logoutAllDevices();
+        } catch (err) {
+            console.error('Logout all error:', err);
+        }
         setUser(null);
     };
 
@@ -254,7 +286,7 @@ function App() {
     return (
         <Router>
             {/* Header appears on all pages - handles nav and logout */}
-            <Header user={user} onLogout={handleLogout} />
+            <Header user={user} onLogout={handleLogout} onLogoutAll={handleLogoutAll} />
             
             <Routes>
                 {/* ============ PUBLIC ROUTES ============ */}
@@ -265,9 +297,16 @@ function App() {
                 
                 {/* Login page - redirect if already logged in */}
                 <Route path="/login" element={
-                    user ? <Navigate to={user.role === 'doctor' ? '/doctor/dashboard' : '/staff/dashboard'} /> : <Login onLogin={handleLogin} />
+                    user ? <Navigate to={getHomePath(user.role)} /> : <Login onLogin={handleLogin} />
                 } />
                 
+                {/* Password reset - request a link, then land on it from the email */}
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password/:token" element={<ResetPassword />} />
+
+                {/* Email verification link sent at registration */}
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                
                 {/* Information page about the verification process */}
                 <Route path="/verify-info" element={<VerifyInfo />} />
                 
@@ -324,6 +363,13 @@ function App() {
                     </ProtectedRoute>
                 } />
                 
+                {/* Default schedule for automatic follow-ups */}
+                <Route path="/doctor/follow-up-schedule" element={
+                    <ProtectedRoute allowedRoles={['doctor']}>
+                        <FollowUpScheduleSettings user={user} />
+                    </ProtectedRoute>
+                } />
+                
                 {/* List all adverse events for this doctor */}
                 <Route path="/doctor/adverse-events" element={
                     <ProtectedRoute allowedRoles={['doctor']}>
@@ -331,6 +377,20 @@ function App() {
                     </ProtectedRoute>
                 } />
 
+                {/* One adverse event case: safety data + causality assessment */}
+                <Route path="/doctor/adverse-events/:id" element={
+                    <ProtectedRoute allowedRoles={['doctor']}>
+                        <AdverseEventCase />
+                    </ProtectedRoute>
+                } />
+
+                {/* Cases due for regulatory reporting, by deadline */}
+                <Route path="/doctor/regulatory-queue" element={
+                    <ProtectedRoute allowedRoles={['doctor']}>
+                        <RegulatoryQueue />
+                    </ProtectedRoute>
+                } />
+
                 {/* ============ ADVERSE EVENT ROUTES ============ */}
                 {/* Report adverse event (can be accessed by anyone) */}
                 <Route path="/report-adverse-event" element={<AdverseEventReport />} />
@@ -349,6 +409,40 @@ function App() {
                     </ProtectedRoute>
                 } />
 
+                {/* ============ ADMIN ROUTES (Protected) ============ */}
+                {/* Require login + admin role */}
+                
+                {/* User management for the admin's hospital */}
+                <Route path="/admin/users" element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                        <AdminUsers user={user} />
+                    </ProtectedRoute>
+                } />
+
+                {/* ============ ACCOUNT ROUTES (Protected) ============ */}
+                {/* Two-factor authentication settings - every role */}
+                <Route path="/account/security" element={
+                    <ProtectedRoute allowedRoles={['doctor', 'staff', 'admin']}>
+                        <AccountSecurity />
+                    </ProtectedRoute>
+                } />
+
+                {/* ============ AUDIT ROUTES (Protected) ============ */}
+                {/* Patient data access log - doctor (own records) and admin (hospital) */}
+                <Route path="/audit-log" element={
+                    <ProtectedRoute allowedRoles={['doctor', 'admin']}>
+                        <AuditLog user={user} />
+                    </ProtectedRoute>
+                } />
+
+                {/* ============ SIGNAL DETECTION ROUTES (Protected) ============ */}
+                {/* Drug-reaction signals across the hospital's cases - doctor and admin */}
+                <Route path="/signals" element={
+                    <ProtectedRoute allowedRoles={['doctor', 'admin']}>
+                        <SignalsPage user={user} />
+                    </ProtectedRoute>
+                } />
+
                 {/* ============ FALLBACK ============ */}
                 {/* Any unknown route redirects to home */}
                 <Route path="*" element={<Navigate to="/" />} />
@@ -357,6 +451,22 @@ function App() {
     );
 }
 
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Landing page for a logged-in user
+ * 
+ * @param {string} role - 'doctor' | 'staff' | 'admin'
+ * @returns {string} Route path
+ */
+function getHomePath(role) {
+    if (role === 'doctor') return '/doctor/dashboard';
+    if (role === 'admin') return '/admin/users';
+    return '/staff/dashboard';
+}
+
 // ============================================================================
 // EXPORT
 // ============================================================================
@@ -0,0 +1,63 @@
+/**
+ * ============================================================================
+ * BackupCodes.js - One-Time Display of Two-Factor Backup Codes
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shows the 10 backup codes generated when 2FA is enabled (or the codes
+ * are regenerated). The backend only keeps hashes, so this is the ONLY
+ * time the user can see them.
+ *
+ * USAGE:
+ * <BackupCodes codes={backupCodes} onDone={() => ...} />
+ *
+ * ============================================================================
+ */
+
+import React from 'react';
+
+/**
+ * BackupCodes Component
+ *
+ * @param {object} props
+ * @param {string[]} props.codes - Plain backup codes from the backend
+ * @param {function} props.onDone - Called when the user confirms they saved them
+ * @param {string} props.doneLabel - Confirm button text
+ */
+function BackupCodes({ codes, onDone, doneLabel = 'I have saved my backup codes' }) {
+    return (
+        <div className="alert alert-warning mb-3" style={{ display: 'block' }}>
+            <strong>Save your backup codes</strong>
+            <p className="text-sm mt-2">
+                Each code can be used once to log in if you lose your phone.
+                They will not be shown again.
+            </p>
+
+            {/* Two columns of monospace codes */}
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.25rem 1rem', margin: '1rem 0' }}>
+                {codes.map(code => (
+                    <code key={code} style={{ fontSize: '1rem', fontWeight: 'bold' }}>{code}</code>
+                ))}
+            </div>
+
+            <div className="d-flex gap-2">
+                <button
+                    type="button"
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => navigator.clipboard.writeText(codes.join('\n'))}
+                >
+                    📋 Copy
+                </button>
+                <button type="button" className="btn btn-sm btn-primary" onClick={onDone}>
+                    {doneLabel}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default BackupCodes;
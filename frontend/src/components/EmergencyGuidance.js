@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * EmergencyGuidance.js - Red-Flag Interstitial for Patient Forms
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A patient who reports breathing difficulty, facial swelling and the like
+ * must not just carry on filling in a form. As soon as such an answer is
+ * chosen, this full-screen notice tells them what to do now and which
+ * numbers to call (configured per hospital by its admin).
+ *
+ * USED BY:
+ * - PatientFollowUp (options marked urgent)
+ * - AdverseEventFollowUp (options marked urgent)
+ * - AdverseEventReport (emergency symptom checkboxes)
+ *
+ * RECORD:
+ * useEmergencyGuidance() keeps { shownAt, triggers } - when the notice was
+ * first shown and for which answers. The forms send it with the
+ * submission as `emergencyGuidance`, so the record shows the patient
+ * was given the advice.
+ *
+ * USAGE:
+ * const emergency = useEmergencyGuidance();
+ * emergency.showFor(['breathing']);                   // on an urgent answer
+ * <EmergencyGuidanceModal guidance={...} open={emergency.open} onClose={emergency.close} />
+ * submit({ ..., emergencyGuidance: emergency.record });
+ *
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * Track when the guidance was shown, and for which answers
+ *
+ * @returns {{record: object|null, open: boolean, showFor: function, reopen: function, close: function}}
+ */
+export function useEmergencyGuidance() {
+    const [record, setRecord] = useState(null);  // { shownAt, triggers } - sent with the submission
+    const [open, setOpen] = useState(false);
+
+    /**
+     * Show the guidance for newly chosen red-flag answers
+     * (once per answer - unticking and ticking again does not re-open it)
+     *
+     * @param {string[]} values - Option values that are red flags
+     */
+    const showFor = (values) => {
+        const newTriggers = values.filter(v => !record?.triggers.includes(v));
+        if (newTriggers.length === 0) return;
+
+        setRecord({
+            shownAt: record?.shownAt || new Date().toISOString(),
+            triggers: [...(record?.triggers || []), ...newTriggers],
+        });
+        setOpen(true);
+    };
+
+    return {
+        record,
+        open,
+        showFor,
+        reopen: () => setOpen(true),
+        close: () => setOpen(false),
+    };
+}
+
+/**
+ * Full-screen emergency notice
+ *
+ * @param {object} props
+ * @param {object} props.guidance - { instructions: string[], contacts: [{ label, phone }] }
+ * @param {boolean} props.open - Whether to show it
+ * @param {function} props.onClose - "I understand" - back to the form
+ */
+function EmergencyGuidanceModal({ guidance, open, onClose }) {
+    if (!open) return null;
+
+    return (
+        <div
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="emergency-guidance-title"
+            style={{
+                position: 'fixed',
+                inset: 0,
+                zIndex: 1000,
+                background: 'rgba(0, 0, 0, 0.6)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                padding: '1rem',
+            }}
+        >
+            <div style={{
+                background: '#fff',
+                borderRadius: '16px',
+                maxWidth: '480px',
+                width: '100%',
+                maxHeight: '90vh',
+                overflowY: 'auto',
+                borderTop: '6px solid #dc2626',
+                padding: '1.5rem',
+                boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+            }}>
+                <div style={{ fontSize: '3rem', textAlign: 'center' }}>🚨</div>
+                <h2 id="emergency-guidance-title" style={{ color: '#dc2626', textAlign: 'center', margin: '0.5rem 0 1rem' }}>
+                    This may need urgent medical help
+                </h2>
+
+                {/* ---------- What to do now ---------- */}
+                {/* (guidance not loaded, e.g. offline - still say the one thing that matters) */}
+                {!guidance?.instructions?.length && (
+                    <p style={{ marginBottom: '1rem' }}>
+                        Call your local emergency number or go to the nearest emergency department now.
+                    </p>
+                )}
+                {guidance?.instructions?.length > 0 && (
+                    <ol style={{ paddingLeft: '1.25rem', marginBottom: '1rem', lineHeight: 1.5 }}>
+                        {guidance.instructions.map((text, i) => (
+                            <li key={i} style={{ marginBottom: '0.5rem' }}>{text}</li>
+                        ))}
+                    </ol>
+                )}
+
+                {/* ---------- Numbers to call (tap to call on a phone) ---------- */}
+                {guidance?.contacts?.length > 0 && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1rem' }}>
+                        {guidance.contacts.map((contact, i) => (
+                            <a
+                                key={i}
+                                href={`tel:${contact.phone.replace(/[^0-9+]/g, '')}`}
+                                style={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    alignItems: 'center',
+                                    padding: '0.75rem 1rem',
+                                    borderRadius: '10px',
+                                    background: '#fef2f2',
+                                    border: '1px solid #fecaca',
+                                    color: '#991b1b',
+                                    textDecoration: 'none',
+                                    fontWeight: 600,
+                                }}
+                            >
+                                <span>📞 {contact.label}</span>
+                                <span>{contact.phone}</span>
+                            </a>
+                        ))}
+                    </div>
+                )}
+
+                <p style={{ fontSize: '0.85rem', color: '#666', marginBottom: '1rem' }}>
+                    Your answers go to your care team when you submit, but do not wait for them
+                    to contact you if you feel unwell now.
+                </p>
+
+                <button
+                    onClick={onClose}
+                    style={{
+                        width: '100%',
+                        padding: '0.85rem',
+                        borderRadius: '10px',
+                        border: 'none',
+                        background: '#1a1a2e',
+                        color: '#fff',
+                        fontSize: '1rem',
+                        fontWeight: 600,
+                        cursor: 'pointer',
+                    }}
+                >
+                    I understand - continue
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default EmergencyGuidanceModal;
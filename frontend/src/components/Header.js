@@ -14,6 +14,7 @@
  * ROLE-BASED NAVIGATION:
  * - Doctor: Dashboard, Prescriptions, Follow-Ups links
  * - Staff: Dashboard link only
+ * - Admin: Users link only
  * - Guest (no user): Login link only
  * 
  * THEME SUPPORT:
@@ -24,6 +25,7 @@
  * PROPS:
  * - user: Current user object or null
  * - onLogout: Callback function to handle logout
+ * - onLogoutAll: Callback to log out every device of this user
  * 
  * ============================================================================
  */
@@ -42,8 +44,9 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
  * @param {object} props
  * @param {object|null} props.user - Current user object { name, role, ... } or null
  * @param {function} props.onLogout - Callback to clear auth state
+ * @param {function} props.onLogoutAll - Callback to revoke all sessions
  */
-function Header({ user, onLogout }) {
+function Header({ user, onLogout, onLogoutAll }) {
     // Get current path for active link highlighting
     const location = useLocation();
     
@@ -90,8 +93,18 @@ function Header({ user, onLogout }) {
      * 1. Call parent's onLogout to clear auth state
      * 2. Navigate to home page
      */
-    const handleLogout = () => {
-        onLogout();
+    const handleLogout = async () => {
+        await onLogout();
+        navigate('/');
+    };
+
+    /**
+     * Handle "log out all devices"
+     * Useful after a lost phone or a shared computer
+     */
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Log out from all devices, including this one?')) return;
+        await onLogoutAll();
         navigate('/');
     };
 
@@ -137,6 +150,14 @@ function Header({ user, onLogout }) {
                             >
                                 Follow-Ups
                             </Link>
+
+                            {/* Audit Log - Who accessed patient data */}
+                            <Link
+                                to="/audit-log"
+                                className={`nav-link ${location.pathname === '/audit-log' ? 'active' : ''}`}
+                            >
+                                Audit Log
+                            </Link>
                         </>
                     )}
 
@@ -151,6 +172,31 @@ function Header({ user, onLogout }) {
                         </Link>
                     )}
 
+                    {/* ========== ADMIN NAVIGATION ========== */}
+                    {/* Only shown when logged in as admin */}
+                    {user?.role === 'admin' && (
+                        <>
+                            <Link
+                                to="/admin/users"
+                                className={`nav-link ${location.pathname === '/admin/users' ? 'active' : ''}`}
+                            >
+                                Users
+                            </Link>
+                            <Link
+                                to="/signals"
+                                className={`nav-link ${location.pathname === '/signals' ? 'active' : ''}`}
+                            >
+                                Signals
+                            </Link>
+                            <Link
+                                to="/audit-log"
+                                className={`nav-link ${location.pathname === '/audit-log' ? 'active' : ''}`}
+                            >
+                                Audit Log
+                            </Link>
+                        </>
+                    )}
+
                     {/* ========== THEME TOGGLE ========== */}
                     {/* Always visible - sun for light mode, moon for dark mode */}
                     <button
@@ -170,6 +216,15 @@ function Header({ user, onLogout }) {
                                 {user.role === 'doctor' ? `Dr. ${user.name}` : user.name}
                             </span>
                             
+                            {/* Two-factor settings */}
+                            <Link
+                                to="/account/security"
+                                className={`nav-link ${location.pathname === '/account/security' ? 'active' : ''}`}
+                                title="Account security"
+                            >
+                                🔒
+                            </Link>
+
                             {/* Logout button */}
                             <button
                                 className="btn btn-sm btn-outline"
@@ -177,6 +232,15 @@ function Header({ user, onLogout }) {
                             >
                                 Logout
                             </button>
+
+                            {/* Revoke every session of this user */}
+                            <button
+                                className="btn btn-sm btn-link"
+                                onClick={handleLogoutAll}
+                                title="Log out from all devices"
+                            >
+                                All devices
+                            </button>
                         </div>
                     ) : (
                         // Not logged in - show login button
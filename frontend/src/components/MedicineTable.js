@@ -0,0 +1,86 @@
+/**
+ * ============================================================================
+ * MedicineTable.js - Medicines of a Prescription
+ * ============================================================================
+ *
+ * PURPOSE:
+ * One row per prescribed medicine: name and strength, how to take it
+ * (frequency code + text, instructions) and for how long.
+ *
+ * DATA:
+ * The backend returns `medicines` for every prescription - older
+ * single-medicine prescriptions come back as a one-entry list.
+ *
+ * USAGE:
+ * <MedicineTable medicines={prescription.medicines} />
+ *
+ * ============================================================================
+ */
+
+import React from 'react';
+
+// Shared cell styles
+const headerStyle = {
+    textAlign: 'left',
+    padding: '0.75rem',
+    fontSize: '0.85rem',
+    fontWeight: '600',
+    borderBottom: '2px solid var(--color-border)',
+};
+const cellStyle = { padding: '0.75rem', verticalAlign: 'top', borderBottom: '1px solid var(--color-border)' };
+
+/**
+ * MedicineTable Component
+ *
+ * @param {object} props
+ * @param {Array} props.medicines - [{ id, name, strength, frequencyCode, frequencyText, duration, instructions }]
+ */
+function MedicineTable({ medicines = [] }) {
+    if (medicines.length === 0) {
+        return <p className="text-muted text-sm" style={{ margin: 0 }}>No medicines recorded.</p>;
+    }
+
+    return (
+        <table style={{ width: '100%', borderCollapse: 'collapse', background: '#fff', border: '1px solid var(--color-border)', borderRadius: '8px' }}>
+            <thead>
+                <tr style={{ background: 'var(--color-bg-secondary)' }}>
+                    <th style={{ ...headerStyle, width: '35%' }}>Medicine</th>
+                    <th style={headerStyle}>How to Take</th>
+                    <th style={{ ...headerStyle, width: '20%' }}>Duration</th>
+                </tr>
+            </thead>
+            <tbody>
+                {medicines.map(med => (
+                    <tr key={med.id || med.name}>
+                        {/* Name and strength */}
+                        <td style={cellStyle}>
+                            <div style={{ fontWeight: '600', color: 'var(--color-primary)' }}>{med.name}</div>
+                            {med.strength && <div className="text-sm text-muted">{med.strength}</div>}
+                        </td>
+
+                        {/* Frequency (1-0-1 = Morning-Afternoon-Evening) and instructions */}
+                        <td style={cellStyle}>
+                            {med.frequencyCode && (
+                                <span style={{ fontFamily: 'monospace', fontWeight: '600', background: 'var(--color-info-bg)', padding: '0.1rem 0.4rem', borderRadius: '4px', marginRight: '0.5rem' }}>
+                                    {med.frequencyCode}
+                                </span>
+                            )}
+                            {med.frequencyText || (!med.frequencyCode && '-')}
+                            {med.instructions && (
+                                <div className="text-sm text-muted" style={{ marginTop: '0.25rem' }}>{med.instructions}</div>
+                            )}
+                        </td>
+
+                        <td style={cellStyle}>{med.duration || '-'}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default MedicineTable;
@@ -0,0 +1,174 @@
+/**
+ * ============================================================================
+ * PrescriptionSchedule.js - Automatic Follow-Ups of One Prescription
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shows when automatic follow-ups for a prescription are due / were sent,
+ * and lets the doctor or staff pause, resume or cancel them.
+ *
+ * BEHAVIOUR:
+ * - Pause: pending follow-ups are held
+ * - Resume: held follow-ups continue; any that fell due while paused
+ *   are skipped (the backend marks them), not sent late
+ * - Cancel: pending follow-ups are cancelled for good (asks to confirm)
+ * - Failed follow-ups (e.g. the code reached the patient on no channel)
+ *   are listed below the table with the reason
+ *
+ * USAGE:
+ * <PrescriptionSchedule prescriptionId={prescription.id} />
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    getPrescriptionSchedule,
+    pausePrescriptionSchedule,
+    resumePrescriptionSchedule,
+    cancelPrescriptionSchedule,
+} from '../services/api';
+
+// Badge class per entry status
+const ENTRY_BADGES = {
+    scheduled: 'badge-info',
+    paused: 'badge-warning',
+    processing: 'badge-info',
+    sent: 'badge-success',
+    failed: 'badge-error',
+    skipped: 'badge-warning',
+    cancelled: 'badge-error',
+};
+
+// Why a prescription has no schedule
+const NO_SCHEDULE_REASONS = {
+    duration_not_understood: 'The duration could not be read (use e.g. "5 days" or "2 weeks").',
+    disabled_by_doctor: 'Automatic follow-ups were turned off when this prescription was created.',
+    no_offsets: 'No follow-up times were configured when this prescription was created.',
+};
+
+/**
+ * PrescriptionSchedule Component
+ *
+ * @param {object} props
+ * @param {string} props.prescriptionId - Prescription document ID
+ */
+function PrescriptionSchedule({ prescriptionId }) {
+    // ========== STATE ==========
+    const [schedule, setSchedule] = useState(null);   // { followUpSchedule, entries }
+    const [loading, setLoading] = useState(true);
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+
+        getPrescriptionSchedule(prescriptionId)
+            .then(result => { if (!cancelled) setSchedule(result.data); })
+            .catch(err => { if (!cancelled) setError(err.message); })
+            .finally(() => { if (!cancelled) setLoading(false); });
+
+        return () => { cancelled = true; };
+    }, [prescriptionId]);
+
+    /**
+     * Run pause / resume / cancel and show the updated schedule
+     *
+     * @param {function} action - API function taking the prescription ID
+     */
+    const runAction = async (action) => {
+        setWorking(true);
+        setError(null);
+        try {
+            const result = await action(prescriptionId);
+            setSchedule(result.data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleCancel = () => {
+        if (window.confirm('Cancel all remaining automatic follow-ups for this prescription? This cannot be undone.')) {
+            runAction(cancelPrescriptionSchedule);
+        }
+    };
+
+    if (loading) return <p className="text-muted text-sm">Loading follow-up schedule...</p>;
+
+    const status = schedule?.followUpSchedule?.status || 'none';
+    const entries = schedule?.entries || [];
+
+    // ========== RENDER ==========
+    return (
+        <div style={{ background: 'var(--color-bg-secondary)', padding: '1rem', borderRadius: '8px', marginBottom: '1rem' }}>
+            <div className="d-flex justify-between align-center mb-2">
+                <h4 style={{ margin: 0, fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>
+                    📅 Automatic Follow-Ups {status !== 'none' && <span className={`badge ${status === 'active' ? 'badge-success' : status === 'paused' ? 'badge-warning' : 'badge-error'}`}>{status}</span>}
+                </h4>
+                <div className="d-flex gap-2">
+                    {status === 'active' && (
+                        <button className="btn btn-sm btn-secondary" onClick={() => runAction(pausePrescriptionSchedule)} disabled={working}>
+                            ⏸ Pause
+                        </button>
+                    )}
+                    {status === 'paused' && (
+                        <button className="btn btn-sm btn-primary" onClick={() => runAction(resumePrescriptionSchedule)} disabled={working}>
+                            ▶ Resume
+                        </button>
+                    )}
+                    {(status === 'active' || status === 'paused') && (
+                        <button className="btn btn-sm btn-danger" onClick={handleCancel} disabled={working}>
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error && <p className="text-sm" style={{ color: 'var(--color-error)' }}>{error}</p>}
+
+            {status === 'cancelled' && schedule?.followUpSchedule?.reason === 'case_closed' && (
+                <p className="text-muted text-sm">Cancelled when the follow-up case was closed.</p>
+            )}
+
+            {status === 'none' ? (
+                <p className="text-muted text-sm" style={{ margin: 0 }}>
+                    No automatic follow-ups. {NO_SCHEDULE_REASONS[schedule?.followUpSchedule?.reason] || ''}
+                </p>
+            ) : (
+                <table style={{ width: '100%', fontSize: '0.85rem' }}>
+                    <tbody>
+                        {entries.map(entry => (
+                            <tr key={entry.id}>
+                                <td style={{ padding: '0.25rem 0' }}>{entry.label}</td>
+                                <td style={{ padding: '0.25rem 0' }}>
+                                    {new Date(entry.sentAt || entry.dueAt).toLocaleDateString()}
+                                </td>
+                                <td style={{ padding: '0.25rem 0', textAlign: 'right' }}>
+                                    <span className={`badge ${ENTRY_BADGES[entry.status] || 'badge-info'}`} title={entry.error || ''}>
+                                        {entry.status}
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {entries.filter(entry => entry.status === 'failed' && entry.error).map(entry => (
+                <p key={entry.id} className="text-sm" style={{ color: 'var(--color-error)', margin: '0.5rem 0 0' }}>
+                    {entry.label}: {entry.error}
+                </p>
+            ))}
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default PrescriptionSchedule;
@@ -0,0 +1,82 @@
+/**
+ * ============================================================================
+ * ReportingClock.js - Expedited-Reporting Deadline of an Adverse Event Case
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Serious cases must reach the regulator within 7 days (life-threatening)
+ * or 15 days (other serious) of day 0. This badge shows where a case
+ * stands: days left, due soon, overdue - or, once submitted, whether it
+ * was in time.
+ *
+ * USED BY:
+ * - RegulatoryQueue (one per row)
+ * - AdverseEventCase (regulatory report card)
+ *
+ * USAGE:
+ * <ReportingClock clock={caseData.reportingClock} />
+ * clock: { day0, dueDate, deadlineDays, basis, daysRemaining, overdue,
+ *          dueSoon, submittedAt, metDeadline } or null (not serious)
+ *
+ * ============================================================================
+ */
+
+import React from 'react';
+
+/**
+ * Regulatory workflow steps, in order
+ */
+export const REGULATORY_STATUS_LABELS = {
+    triage: 'Triage',
+    medical_review: 'Medical review',
+    submitted: 'Submitted',
+    acknowledged: 'Acknowledged',
+};
+
+const BASIS_LABELS = {
+    life_threatening: 'Life-threatening',
+    serious: 'Serious',
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) for display - kept on its own day
+ */
+export function formatDay(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' });
+}
+
+/**
+ * Deadline badge + due date
+ *
+ * @param {object} props
+ * @param {object|null} props.clock - reportingClock from the API
+ */
+function ReportingClock({ clock }) {
+    if (!clock) {
+        return <span className="text-muted text-sm">No expedited deadline</span>;
+    }
+
+    let badge;
+    if (clock.submittedAt) {
+        badge = clock.metDeadline
+            ? <span className="badge badge-success">Submitted on time</span>
+            : <span className="badge badge-error">Submitted late</span>;
+    } else if (clock.overdue) {
+        badge = <span className="badge badge-error">Overdue by {-clock.daysRemaining} day(s)</span>;
+    } else if (clock.dueSoon) {
+        badge = <span className="badge badge-warning">{clock.daysRemaining === 0 ? 'Due today' : `Due in ${clock.daysRemaining} day(s)`}</span>;
+    } else {
+        badge = <span className="badge badge-info">{clock.daysRemaining} days left</span>;
+    }
+
+    return (
+        <span>
+            {badge}
+            <span className="text-sm text-muted" style={{ marginLeft: '0.5rem' }}>
+                {BASIS_LABELS[clock.basis] || clock.basis} · {clock.deadlineDays}-day report · day 0 {formatDay(clock.day0)} · due {formatDay(clock.dueDate)}
+            </span>
+        </span>
+    );
+}
+
+export default ReportingClock;
@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * ResendCodeButton.js - "Resend code" Link with Cooldown Countdown
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets a patient whose OTP expired (or never arrived) request a new one
+ * from the verification screen, without going back to the doctor.
+ *
+ * BEHAVIOUR:
+ * - Disabled with a countdown while the backend cooldown runs
+ * - The countdown comes from the backend (resendAvailableInSeconds on
+ *   success, retryAfterSeconds on a 429), so it always matches the limit
+ * - Shows a confirmation or the backend's error below the button
+ *
+ * USAGE:
+ * <ResendCodeButton onResend={() => resendOTP(id)} onSent={() => ...} />
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Format seconds as m:ss (or "N h" for the daily cap)
+ *
+ * @param {number} seconds - Remaining seconds
+ * @returns {string} e.g. "0:45", "3 h"
+ */
+function formatWait(seconds) {
+    if (seconds >= 3600) return `${Math.ceil(seconds / 3600)} h`;
+    const m = Math.floor(seconds / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return `${m}:${s}`;
+}
+
+/**
+ * ResendCodeButton Component
+ *
+ * @param {object} props
+ * @param {function} props.onResend - Calls the resend API, resolves to its response
+ * @param {function} props.onSent - Optional, called after a new code was sent
+ */
+function ResendCodeButton({ onResend, onSent }) {
+    // ========== STATE ==========
+    const [secondsLeft, setSecondsLeft] = useState(0);  // Cooldown countdown
+    const [sending, setSending] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Tick the countdown once per second
+    useEffect(() => {
+        if (secondsLeft <= 0) return undefined;
+        const timer = setTimeout(() => setSecondsLeft(s => s - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [secondsLeft]);
+
+    /**
+     * Ask the backend for a new code
+     */
+    const handleClick = async () => {
+        setSending(true);
+        setMessage(null);
+        setError(null);
+
+        try {
+            const result = await onResend();
+            setMessage(result.message);
+            setSecondsLeft(result.data?.resendAvailableInSeconds || 0);
+            if (onSent) onSent();
+        } catch (err) {
+            setError(err.message);
+            // Cooldown / daily cap: count down to when it is allowed again
+            if (err.data?.retryAfterSeconds) {
+                setSecondsLeft(err.data.retryAfterSeconds);
+            }
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="mt-3">
+            <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={handleClick}
+                disabled={sending || secondsLeft > 0}
+            >
+                {sending
+                    ? 'Sending...'
+                    : secondsLeft > 0
+                        ? `Resend code in ${formatWait(secondsLeft)}`
+                        : '🔄 Resend code'}
+            </button>
+
+            {message && <p className="text-sm text-muted mt-2">{message}</p>}
+            {error && <p className="text-sm mt-2" style={{ color: 'var(--color-error)' }}>{error}</p>}
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default ResendCodeButton;
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * UrgentAlertsBanner.js - Unacknowledged Urgent Case Alerts
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shown at the top of the doctor and staff dashboards while an urgent
+ * case (adverse event or follow-up answer) has not been acknowledged.
+ * The same alert was also sent by WhatsApp/SMS/email; acknowledging it
+ * here stops the escalation and removes it for everyone.
+ *
+ * BEHAVIOUR:
+ * - Polls the backend every minute, renders nothing when there are no alerts
+ * - "Overdue" once the acknowledgement deadline has passed,
+ *   "Escalated" once all staff were alerted
+ * - Doctors get a link to their own cases (follow-up summary or
+ *   adverse event list)
+ *
+ * USAGE:
+ * <UrgentAlertsBanner user={user} />
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getUrgentAlerts, acknowledgeUrgentAlert } from '../services/api';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * UrgentAlertsBanner Component
+ *
+ * @param {object} props
+ * @param {object} props.user - Current logged-in doctor or staff member
+ */
+function UrgentAlertsBanner({ user }) {
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [alerts, setAlerts] = useState([]);
+    const [ackMinutes, setAckMinutes] = useState(null);    // Acknowledgement SLA
+    const [ackingId, setAckingId] = useState(null);        // Alert being acknowledged
+    const [message, setMessage] = useState(null);
+
+    /**
+     * Fetch open alerts - errors are logged, the dashboard still works
+     */
+    const loadAlerts = async () => {
+        try {
+            const result = await getUrgentAlerts();
+            setAlerts(result.data?.alerts || []);
+            setAckMinutes(result.data?.ackMinutes ?? null);
+        } catch (err) {
+            console.error('Urgent alerts load error:', err);
+        }
+    };
+
+    // Load on mount, then poll
+    useEffect(() => {
+        loadAlerts();
+        const timer = setInterval(loadAlerts, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    /**
+     * Acknowledge an alert
+     * A 409 means a colleague was faster - the alert is gone either way.
+     *
+     * @param {object} alert - Alert to acknowledge
+     */
+    const handleAcknowledge = async (alert) => {
+        setAckingId(alert.id);
+        setMessage(null);
+        try {
+            await acknowledgeUrgentAlert(alert.id);
+            setAlerts(prev => prev.filter(a => a.id !== alert.id));
+        } catch (err) {
+            if (err.status === 409) {
+                const by = err.data?.data?.acknowledgedBy?.name;
+                setMessage(`Case ${alert.caseId} was already acknowledged${by ? ` by ${by}` : ''}.`);
+                setAlerts(prev => prev.filter(a => a.id !== alert.id));
+            } else {
+                setMessage(err.message);
+            }
+        } finally {
+            setAckingId(null);
+        }
+    };
+
+    /**
+     * Where a doctor can open the case (own cases only)
+     *
+     * @param {object} alert
+     * @returns {string|null} Route, or null when there is nothing to open
+     */
+    const caseLink = (alert) => {
+        if (user?.role !== 'doctor' || alert.doctorId !== user.userId) return null;
+        if (alert.source === 'follow_up') return `/doctor/follow-ups/${alert.recordId}`;
+        return `/doctor/adverse-events?case=${alert.adverseEventId || alert.recordId}`;
+    };
+
+    if (alerts.length === 0 && !message) return null;
+
+    return (
+        <div className="card mb-4" style={{ border: '2px solid var(--color-error)', background: '#f8d7da' }}>
+            <div className="d-flex justify-between align-center mb-2">
+                <h3 style={{ margin: 0 }}>🚨 Urgent Cases ({alerts.length})</h3>
+                {message && (
+                    <button className="btn btn-sm btn-secondary" onClick={() => setMessage(null)}>✕</button>
+                )}
+            </div>
+            {ackMinutes && (
+                <p className="text-sm text-muted mb-2">
+                    Acknowledge within {ackMinutes} minutes - otherwise every staff member is alerted.
+                </p>
+            )}
+            {message && <p className="text-sm mb-2">{message}</p>}
+
+            {alerts.map((alert) => {
+                const overdue = new Date(alert.ackDueAt) < new Date();
+                const link = caseLink(alert);
+
+                return (
+                    <div key={alert.id} style={{ background: '#fff', padding: '0.75rem 1rem', borderRadius: '8px', marginBottom: '0.5rem' }}>
+                        <div className="d-flex justify-between align-center gap-2">
+                            <div>
+                                <strong>{alert.caseId}</strong>
+                                {' - '}{alert.patientName || 'Unknown patient'}
+                                {alert.patientPhone && <span className="text-sm text-muted"> 📱 {alert.patientPhone}</span>}
+                                {' '}
+                                <span className="badge badge-info">
+                                    {alert.source === 'follow_up' ? 'Follow-up' : 'Adverse event'}
+                                </span>
+                                {alert.escalatedAt ? (
+                                    <span className="badge badge-error ml-2">Escalated</span>
+                                ) : overdue && (
+                                    <span className="badge badge-warning ml-2">Overdue</span>
+                                )}
+                            </div>
+                            <div className="d-flex gap-2">
+                                {link && (
+                                    <button className="btn btn-sm btn-secondary" onClick={() => navigate(link)}>
+                                        View Case
+                                    </button>
+                                )}
+                                <button
+                                    className="btn btn-sm btn-primary"
+                                    onClick={() => handleAcknowledge(alert)}
+                                    disabled={ackingId === alert.id}
+                                >
+                                    {ackingId === alert.id ? '⏳ Saving...' : '✓ Acknowledge'}
+                                </button>
+                            </div>
+                        </div>
+                        {alert.reasons?.length > 0 && (
+                            <ul className="text-sm mb-0 mt-2">
+                                {alert.reasons.map((reason, i) => <li key={i}>{reason}</li>)}
+                            </ul>
+                        )}
+                        <div className="text-sm text-muted mt-2">
+                            Raised {new Date(alert.createdAt).toLocaleString()}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default UrgentAlertsBanner;
@@ -0,0 +1,222 @@
+/**
+ * ============================================================================
+ * AccountSecurity.js - Two-Factor Authentication Settings
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets any logged-in doctor, staff member or admin protect their account
+ * with an authenticator app (TOTP).
+ *
+ * FEATURES:
+ * - Enable 2FA: scan QR code, confirm with the first code
+ * - Backup codes shown once after enabling / regenerating
+ * - Disable 2FA (password required; blocked when the hospital requires it)
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+} from '../services/api';
+import Loading from '../components/Loading';
+import OTPInput from '../components/OTPInput';
+import BackupCodes from '../components/BackupCodes';
+
+/**
+ * AccountSecurity Component
+ */
+function AccountSecurity() {
+    // ========== STATE ==========
+    const [status, setStatus] = useState(null);           // { enabled, required, backupCodesRemaining }
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [enrollment, setEnrollment] = useState(null);   // { qrCode, secret } while enrolling
+    const [backupCodes, setBackupCodes] = useState(null); // Shown once
+    const [regenerating, setRegenerating] = useState(false);
+    const [password, setPassword] = useState('');         // For disabling
+    const [codeAttempt, setCodeAttempt] = useState(0);    // Remount code boxes after a wrong code
+
+    useEffect(() => { loadStatus(); }, []);
+
+    /**
+     * Fetch the current 2FA status
+     */
+    const loadStatus = async () => {
+        try {
+            const result = await getTwoFactorStatus();
+            setStatus(result.data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Run an action with busy/error handling
+     *
+     * @param {function} action - Async work to perform
+     */
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+            setCodeAttempt(n => n + 1);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /**
+     * Step 1: get a QR code
+     */
+    const handleStartSetup = () => run(async () => {
+        const result = await setupTwoFactor();
+        setEnrollment(result.data);
+    });
+
+    /**
+     * Step 2: confirm with the first code
+     */
+    const handleEnable = (code) => run(async () => {
+        const result = await enableTwoFactor(code);
+        setEnrollment(null);
+        setBackupCodes(result.data.backupCodes);
+        await loadStatus();
+    });
+
+    /**
+     * Replace backup codes (requires a current code)
+     */
+    const handleRegenerate = (code) => run(async () => {
+        const result = await regenerateBackupCodes(code);
+        setRegenerating(false);
+        setBackupCodes(result.data.backupCodes);
+        await loadStatus();
+    });
+
+    /**
+     * Turn 2FA off
+     */
+    const handleDisable = (e) => {
+        e.preventDefault();
+        if (!window.confirm('Turn off two-factor authentication?')) return;
+        run(async () => {
+            await disableTwoFactor(password);
+            setPassword('');
+            await loadStatus();
+        });
+    };
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading security settings..." />;
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container" style={{ maxWidth: '600px' }}>
+                <div className="mb-4">
+                    <h1>🔒 Account Security</h1>
+                    <p className="text-muted">Two-factor authentication with an authenticator app</p>
+                </div>
+
+                {error && <div className="alert alert-error mb-4">{error}</div>}
+
+                {backupCodes && (
+                    <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />
+                )}
+
+                <div className="card">
+                    {/* ========== STATUS ========== */}
+                    <div className="d-flex align-center gap-2 mb-3">
+                        <strong>Status:</strong>
+                        {status?.enabled
+                            ? <span className="badge badge-success">Enabled</span>
+                            : <span className="badge badge-error">Disabled</span>}
+                        {status?.required && (
+                            <span className="badge badge-info">Required by your hospital</span>
+                        )}
+                    </div>
+
+                    {/* ========== NOT ENABLED: ENROLL ========== */}
+                    {!status?.enabled && !enrollment && (
+                        <button className="btn btn-primary" disabled={busy} onClick={handleStartSetup}>
+                            📱 Set Up Authenticator App
+                        </button>
+                    )}
+
+                    {enrollment && (
+                        <div className="text-center">
+                            <p className="text-muted">
+                                Scan this QR code with Google Authenticator, Authy or a similar app,
+                                then enter the 6-digit code it shows.
+                            </p>
+                            <img src={enrollment.qrCode} alt="Authenticator QR code" style={{ width: '200px' }} />
+                            <p className="text-muted text-sm">
+                                Can't scan? Enter this key: <code>{enrollment.secret}</code>
+                            </p>
+                            <OTPInput key={codeAttempt} length={6} onComplete={handleEnable} />
+                            <button className="btn btn-sm btn-secondary mt-3" onClick={() => setEnrollment(null)}>
+                                Cancel
+                            </button>
+                        </div>
+                    )}
+
+                    {/* ========== ENABLED: MANAGE ========== */}
+                    {status?.enabled && (
+                        <>
+                            <p className="text-muted">
+                                Backup codes remaining: <strong>{status.backupCodesRemaining}</strong>
+                            </p>
+
+                            {regenerating ? (
+                                <div className="text-center mb-3">
+                                    <p className="text-muted">Enter a code from your authenticator app to create new backup codes.</p>
+                                    <OTPInput key={codeAttempt} length={6} onComplete={handleRegenerate} />
+                                    <button className="btn btn-sm btn-secondary mt-3" onClick={() => setRegenerating(false)}>
+                                        Cancel
+                                    </button>
+                                </div>
+                            ) : (
+                                <button className="btn btn-sm btn-secondary mb-3" disabled={busy} onClick={() => setRegenerating(true)}>
+                                    🔄 New Backup Codes
+                                </button>
+                            )}
+
+                            {!status.required && (
+                                <form onSubmit={handleDisable} className="d-flex align-center gap-2">
+                                    <input
+                                        type="password"
+                                        className="form-input"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        required
+                                        placeholder="Current password"
+                                    />
+                                    <button type="submit" className="btn btn-sm btn-danger" disabled={busy}>
+                                        Turn Off
+                                    </button>
+                                </form>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default AccountSecurity;
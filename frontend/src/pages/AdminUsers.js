@@ -0,0 +1,733 @@
+/**
+ * ============================================================================
+ * AdminUsers.js - Administrator User Management Page
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets a hospital administrator manage the doctor/staff accounts of
+ * their own hospital.
+ *
+ * FEATURES:
+ * - Search users by name or email, filter by role and status
+ * - Approve self-registered accounts, activate / deactivate accounts
+ *   (takes effect immediately)
+ * - Move a user to another hospital (an admin there approves them)
+ * - Change role and specialization
+ * - Force a password reset (temporary password shown ONCE)
+ * - Require two-factor authentication for the whole hospital
+ * - Remove 2FA from a user who lost their authenticator device
+ * - Choose who is on call for urgent case alerts (doctors/staff)
+ * - Edit the emergency guidance patients see when they report a
+ *   red-flag symptom (instructions + numbers to call)
+ * - Set the thresholds that raise potential drug-reaction signals
+ *
+ * SECURITY:
+ * - Route is wrapped in ProtectedRoute with allowedRoles={['admin']}
+ * - The backend enforces the admin role and hospital scoping again;
+ *   this page is only a convenience UI on top of /api/auth/users
+ * - An admin cannot deactivate, demote or reset their own account
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    getUsers,
+    updateUserStatus,
+    updateUserRole,
+    updateUserHospital,
+    resetUserPassword,
+    resetUserTwoFactor,
+    getHospitalSettings,
+    updateHospitalSettings,
+    getOnCallRoster,
+    updateOnCallRoster,
+} from '../services/api';
+import Loading from '../components/Loading';
+
+/**
+ * Specializations offered for doctors (same list as registration)
+ */
+const SPECIALIZATIONS = [
+    'General Physician', 'Cardiologist', 'Dermatologist', 'Orthopedic', 'Pediatrician',
+    'Neurologist', 'Psychiatrist', 'Gynecologist', 'ENT Specialist', 'Other',
+];
+
+/**
+ * AdminUsers Component
+ *
+ * @param {object} props
+ * @param {object} props.user - Current logged-in admin
+ */
+function AdminUsers({ user }) {
+    // ========== STATE ==========
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [filters, setFilters] = useState({ search: '', role: '', status: '' });
+    const [busyId, setBusyId] = useState(null);          // User currently being updated
+    const [editing, setEditing] = useState(null);        // { userId, role, specialization }
+    const [resetResult, setResetResult] = useState(null); // { name, temporaryPassword }
+    const [settings, setSettings] = useState(null);       // { requireTwoFactor, emergencyGuidance, signalThresholds }
+    const [onCall, setOnCall] = useState(null);           // { userIds, ackMinutes }
+    const [guidanceDraft, setGuidanceDraft] = useState(null); // { instructions: text, contacts } while editing
+    const [guidanceErrors, setGuidanceErrors] = useState([]); // [{ field, message }] from the backend
+    const [thresholdsDraft, setThresholdsDraft] = useState(null); // { minCases, ... } as typed while editing
+    const [thresholdErrors, setThresholdErrors] = useState([]);   // [{ field, message }] from the backend
+
+    // Reload whenever role/status filters change (search is applied on submit)
+    useEffect(() => { loadUsers(); }, [filters.role, filters.status]);
+
+    // Hospital policy and on-call roster are loaded once
+    useEffect(() => {
+        getHospitalSettings()
+            .then(result => setSettings(result.data))
+            .catch(err => setError(err.message));
+        getOnCallRoster()
+            .then(result => setOnCall(result.data))
+            .catch(err => setError(err.message));
+    }, []);
+
+    /**
+     * Fetch users matching the current filters
+     */
+    const loadUsers = async () => {
+        setError(null);
+        try {
+            const result = await getUsers(filters);
+            setUsers(result.data || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Run an update against one user and refresh the list
+     *
+     * @param {string} userId - Target user
+     * @param {function} action - Async API call to perform
+     */
+    const runAction = async (userId, action) => {
+        setBusyId(userId);
+        setError(null);
+        try {
+            await action();
+            await loadUsers();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    /**
+     * Toggle isActive for a user
+     */
+    const handleToggleStatus = (u) => {
+        const verb = u.isActive ? 'Deactivate' : u.approvalPending ? 'Approve' : 'Reactivate';
+        if (!window.confirm(`${verb} ${u.name}?`)) return;
+        runAction(u.userId, () => updateUserStatus(u.userId, !u.isActive));
+    };
+
+    /**
+     * Save role/specialization changes from the edit row
+     */
+    const handleSaveRole = () => {
+        const { userId, role, specialization } = editing;
+        runAction(userId, async () => {
+            await updateUserRole(userId, { role, specialization });
+            setEditing(null);
+        });
+    };
+
+    /**
+     * Move a user to another hospital - they leave this list and wait
+     * for approval by an admin of the new hospital
+     */
+    const handleMoveHospital = (u) => {
+        const hospitalId = window.prompt(`Move ${u.name} to which hospital ID?`);
+        if (!hospitalId?.trim()) return;
+        runAction(u.userId, () => updateUserHospital(u.userId, hospitalId.trim()));
+    };
+
+    /**
+     * Force a password reset and show the temporary password
+     */
+    const handleResetPassword = (u) => {
+        if (!window.confirm(`Reset the password for ${u.name}? All of their sessions will be signed out.`)) return;
+        runAction(u.userId, async () => {
+            const result = await resetUserPassword(u.userId);
+            setResetResult({ name: u.name, temporaryPassword: result.data.temporaryPassword });
+        });
+    };
+
+    /**
+     * Remove 2FA from a user (lost authenticator device)
+     */
+    const handleResetTwoFactor = (u) => {
+        if (!window.confirm(`Remove two-factor authentication for ${u.name}?`)) return;
+        runAction(u.userId, () => resetUserTwoFactor(u.userId));
+    };
+
+    /**
+     * Turn the hospital-wide 2FA requirement on or off
+     */
+    const handleToggleRequireTwoFactor = async () => {
+        const requireTwoFactor = !settings.requireTwoFactor;
+        const message = requireTwoFactor
+            ? 'Require two-factor authentication for everyone in this hospital? Users without it will have to set it up at their next login.'
+            : 'Stop requiring two-factor authentication?';
+        if (!window.confirm(message)) return;
+
+        setError(null);
+        try {
+            const result = await updateHospitalSettings({ requireTwoFactor });
+            setSettings(result.data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    /**
+     * Start editing the emergency guidance (one instruction per line)
+     */
+    const handleEditGuidance = () => {
+        const { instructions, contacts } = settings.emergencyGuidance;
+        setGuidanceDraft({
+            instructions: instructions.join('\n'),
+            contacts: contacts.map(c => ({ ...c })),
+        });
+        setGuidanceErrors([]);
+    };
+
+    /**
+     * Change one field of a contact row
+     */
+    const handleGuidanceContactChange = (index, field, value) => {
+        const contacts = guidanceDraft.contacts.map((c, i) => (i === index ? { ...c, [field]: value } : c));
+        setGuidanceDraft({ ...guidanceDraft, contacts });
+    };
+
+    /**
+     * Save the emergency guidance
+     * Field errors (e.g. an invalid phone number) are listed under the form.
+     */
+    const handleSaveGuidance = async () => {
+        const emergencyGuidance = {
+            instructions: guidanceDraft.instructions.split('\n').map(line => line.trim()).filter(Boolean),
+            contacts: guidanceDraft.contacts,
+        };
+
+        setError(null);
+        setGuidanceErrors([]);
+        try {
+            const result = await updateHospitalSettings({ emergencyGuidance });
+            setSettings(result.data);
+            setGuidanceDraft(null);
+        } catch (err) {
+            if (err.data?.fieldErrors) {
+                setGuidanceErrors(err.data.fieldErrors);
+            } else {
+                setError(err.message);
+            }
+        }
+    };
+
+    /**
+     * Start editing the signal detection thresholds
+     */
+    const handleEditThresholds = () => {
+        const { minCases, minPrr, minChiSquare, minRorLower } = settings.signalThresholds;
+        setThresholdsDraft({ minCases, minPrr, minChiSquare, minRorLower });
+        setThresholdErrors([]);
+    };
+
+    /**
+     * Save the signal detection thresholds (signals are re-evaluated
+     * by the backend straight away)
+     */
+    const handleSaveThresholds = async () => {
+        const signalThresholds = Object.fromEntries(
+            Object.entries(thresholdsDraft).map(([key, value]) => [key, Number(value)])
+        );
+
+        setError(null);
+        setThresholdErrors([]);
+        try {
+            const result = await updateHospitalSettings({ signalThresholds });
+            setSettings(result.data);
+            setThresholdsDraft(null);
+        } catch (err) {
+            if (err.data?.fieldErrors) {
+                setThresholdErrors(err.data.fieldErrors);
+            } else {
+                setError(err.message);
+            }
+        }
+    };
+
+    /**
+     * Add a user to, or remove them from, the on-call roster
+     */
+    const handleToggleOnCall = (u) => {
+        const userIds = onCall.userIds.includes(u.userId)
+            ? onCall.userIds.filter(id => id !== u.userId)
+            : [...onCall.userIds, u.userId];
+        runAction(u.userId, async () => {
+            const result = await updateOnCallRoster(userIds);
+            setOnCall({ ...onCall, userIds: result.data.userIds });
+        });
+    };
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading users..." />;
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container">
+                {/* ========== HEADER ========== */}
+                <div className="mb-4">
+                    <h1>🛡️ User Management</h1>
+                    <p className="text-muted">
+                        Hospital: <strong>{user?.hospitalId}</strong>
+                    </p>
+                </div>
+
+                {error && <div className="alert alert-error mb-4">{error}</div>}
+
+                {/* ========== TEMPORARY PASSWORD (shown once) ========== */}
+                {resetResult && (
+                    <div className="alert alert-warning mb-4">
+                        <div>
+                            <strong>Temporary password for {resetResult.name}:</strong>
+                            <code style={{ marginLeft: '0.5rem', fontSize: '1.1rem', fontWeight: 'bold' }}>
+                                {resetResult.temporaryPassword}
+                            </code>
+                            <button
+                                className="btn btn-sm btn-primary ml-2"
+                                onClick={() => navigator.clipboard.writeText(resetResult.temporaryPassword)}
+                            >
+                                Copy
+                            </button>
+                            <p className="text-sm mt-2">
+                                Share it securely. It will not be shown again, and the user must
+                                choose a new password at their next login.
+                            </p>
+                        </div>
+                        <button className="btn btn-sm btn-secondary" onClick={() => setResetResult(null)}>✕</button>
+                    </div>
+                )}
+
+                {/* ========== HOSPITAL SECURITY POLICY ========== */}
+                {settings && (
+                    <div className="card mb-4 d-flex align-center gap-2" style={{ justifyContent: 'space-between' }}>
+                        <div>
+                            <strong>🔐 Two-factor authentication</strong>
+                            <p className="text-muted text-sm">
+                                {settings.requireTwoFactor
+                                    ? 'Required for every user in this hospital'
+                                    : 'Optional - users can enable it from their account page'}
+                            </p>
+                        </div>
+                        <button
+                            className={`btn btn-sm ${settings.requireTwoFactor ? 'btn-secondary' : 'btn-primary'}`}
+                            onClick={handleToggleRequireTwoFactor}
+                        >
+                            {settings.requireTwoFactor ? 'Make Optional' : 'Require 2FA'}
+                        </button>
+                    </div>
+                )}
+
+                {/* ========== ON-CALL ROSTER ========== */}
+                {onCall && (
+                    <div className="card mb-4">
+                        <strong>📟 On call for urgent cases</strong>
+                        <p className="text-muted text-sm">
+                            {onCall.userIds.length > 0
+                                ? `${onCall.userIds.length} on call. `
+                                : 'Nobody on call - only the prescribing doctor is alerted first. '}
+                            Urgent cases not acknowledged within {onCall.ackMinutes} minutes
+                            are escalated to every active staff member.
+                        </p>
+                    </div>
+                )}
+
+                {/* ========== EMERGENCY GUIDANCE (shown to patients) ========== */}
+                {settings?.emergencyGuidance && (
+                    <div className="card mb-4">
+                        <div className="d-flex justify-between align-center gap-2">
+                            <div>
+                                <strong>🚨 Emergency guidance for patients</strong>
+                                <p className="text-muted text-sm">
+                                    Shown as soon as a patient reports a red-flag symptom.
+                                    {settings.emergencyGuidance.isDefault && ' Using the default text - add your own numbers.'}
+                                </p>
+                            </div>
+                            {!guidanceDraft && (
+                                <button className="btn btn-sm btn-secondary" onClick={handleEditGuidance}>Edit</button>
+                            )}
+                        </div>
+
+                        {!guidanceDraft ? (
+                            <>
+                                <ol className="text-sm" style={{ paddingLeft: '1.25rem' }}>
+                                    {settings.emergencyGuidance.instructions.map((text, i) => <li key={i}>{text}</li>)}
+                                </ol>
+                                <p className="text-sm">
+                                    {settings.emergencyGuidance.contacts.map(c => `📞 ${c.label}: ${c.phone}`).join('  ·  ')}
+                                </p>
+                            </>
+                        ) : (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Instructions (one per line)</label>
+                                    <textarea
+                                        className="form-input"
+                                        rows={5}
+                                        value={guidanceDraft.instructions}
+                                        onChange={(e) => setGuidanceDraft({ ...guidanceDraft, instructions: e.target.value })}
+                                    />
+                                </div>
+                                <label className="form-label">Numbers to call</label>
+                                {guidanceDraft.contacts.map((contact, i) => (
+                                    <div key={i} className="d-flex align-center gap-2 mb-2">
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            placeholder="e.g. Emergency department"
+                                            value={contact.label}
+                                            onChange={(e) => handleGuidanceContactChange(i, 'label', e.target.value)}
+                                        />
+                                        <input
+                                            type="tel"
+                                            className="form-input"
+                                            style={{ maxWidth: '200px' }}
+                                            placeholder="+91 ..."
+                                            value={contact.phone}
+                                            onChange={(e) => handleGuidanceContactChange(i, 'phone', e.target.value)}
+                                        />
+                                        <button
+                                            className="btn btn-sm btn-secondary"
+                                            onClick={() => setGuidanceDraft({
+                                                ...guidanceDraft,
+                                                contacts: guidanceDraft.contacts.filter((_, j) => j !== i),
+                                            })}
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                ))}
+                                <button
+                                    className="btn btn-sm btn-secondary mb-2"
+                                    onClick={() => setGuidanceDraft({
+                                        ...guidanceDraft,
+                                        contacts: [...guidanceDraft.contacts, { label: '', phone: '' }],
+                                    })}
+                                >
+                                    + Add number
+                                </button>
+
+                                {guidanceErrors.length > 0 && (
+                                    <div className="alert alert-error mb-2">
+                                        <ul className="text-sm mb-0">
+                                            {guidanceErrors.map((e, i) => <li key={i}>{e.field}: {e.message}</li>)}
+                                        </ul>
+                                    </div>
+                                )}
+
+                                <div className="d-flex gap-2">
+                                    <button className="btn btn-sm btn-primary" onClick={handleSaveGuidance}>Save</button>
+                                    <button className="btn btn-sm btn-secondary" onClick={() => setGuidanceDraft(null)}>Cancel</button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* ========== SIGNAL DETECTION THRESHOLDS ========== */}
+                {settings?.signalThresholds && (
+                    <div className="card mb-4">
+                        <div className="d-flex justify-between align-center gap-2">
+                            <div>
+                                <strong>📊 Signal detection thresholds</strong>
+                                <p className="text-muted text-sm">
+                                    A drug-reaction pair is raised as a potential signal when all of these are met.
+                                    {settings.signalThresholds.isDefault && ' Using the defaults.'}
+                                </p>
+                            </div>
+                            {!thresholdsDraft && (
+                                <button className="btn btn-sm btn-secondary" onClick={handleEditThresholds}>Edit</button>
+                            )}
+                        </div>
+
+                        {!thresholdsDraft ? (
+                            <p className="text-sm">
+                                At least {settings.signalThresholds.minCases} case(s) · PRR ≥ {settings.signalThresholds.minPrr}
+                                {' '}· χ² ≥ {settings.signalThresholds.minChiSquare} · ROR lower bound &gt; {settings.signalThresholds.minRorLower}
+                            </p>
+                        ) : (
+                            <>
+                                <div className="d-flex gap-2 mb-2">
+                                    {[
+                                        ['minCases', 'Minimum cases', 1],
+                                        ['minPrr', 'Minimum PRR', 0.1],
+                                        ['minChiSquare', 'Minimum χ²', 0.1],
+                                        ['minRorLower', 'ROR lower bound above', 0.1],
+                                    ].map(([key, label, step]) => (
+                                        <div key={key} className="form-group">
+                                            <label className="form-label">{label}</label>
+                                            <input
+                                                type="number"
+                                                className="form-input"
+                                                step={step}
+                                                value={thresholdsDraft[key]}
+                                                onChange={(e) => setThresholdsDraft({ ...thresholdsDraft, [key]: e.target.value })}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+
+                                {thresholdErrors.length > 0 && (
+                                    <div className="alert alert-error mb-2">
+                                        <ul className="text-sm mb-0">
+                                            {thresholdErrors.map((e, i) => <li key={i}>{e.field}: {e.message}</li>)}
+                                        </ul>
+                                    </div>
+                                )}
+
+                                <div className="d-flex gap-2">
+                                    <button className="btn btn-sm btn-primary" onClick={handleSaveThresholds}>Save</button>
+                                    <button className="btn btn-sm btn-secondary" onClick={() => setThresholdsDraft(null)}>Cancel</button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* ========== FILTERS ========== */}
+                <div className="card mb-4">
+                    <form
+                        className="d-flex align-center gap-2"
+                        onSubmit={(e) => { e.preventDefault(); loadUsers(); }}
+                    >
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="Search name or email"
+                            value={filters.search}
+                            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                        />
+                        <select
+                            className="form-input"
+                            style={{ maxWidth: '160px' }}
+                            value={filters.role}
+                            onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+                        >
+                            <option value="">All roles</option>
+                            <option value="doctor">Doctor</option>
+                            <option value="staff">Staff</option>
+                            <option value="admin">Admin</option>
+                        </select>
+                        <select
+                            className="form-input"
+                            style={{ maxWidth: '160px' }}
+                            value={filters.status}
+                            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+                        >
+                            <option value="">All statuses</option>
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                        </select>
+                        <button type="submit" className="btn btn-primary">Search</button>
+                    </form>
+                </div>
+
+                {/* ========== USERS TABLE ========== */}
+                <div className="card">
+                    {users.length === 0 ? (
+                        <div className="text-center py-4">
+                            <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>📭</div>
+                            <p className="text-muted">No users found</p>
+                        </div>
+                    ) : (
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Email</th>
+                                        <th>Role</th>
+                                        <th>Status</th>
+                                        <th>Last Login</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {users.map((u) => {
+                                        const isSelf = u.userId === user?.userId;
+                                        const isEditing = editing?.userId === u.userId;
+                                        const isBusy = busyId === u.userId;
+
+                                        return (
+                                            <tr key={u.userId}>
+                                                <td>
+                                                    <strong>{u.name}</strong>
+                                                    {isSelf && <span className="text-muted text-sm"> (you)</span>}
+                                                </td>
+                                                <td className="text-muted">{u.email}</td>
+
+                                                {/* Role - editable inline */}
+                                                <td>
+                                                    {isEditing ? (
+                                                        <div className="d-flex gap-2">
+                                                            <select
+                                                                className="form-input"
+                                                                value={editing.role}
+                                                                disabled={isSelf}
+                                                                onChange={(e) => setEditing({ ...editing, role: e.target.value })}
+                                                            >
+                                                                <option value="doctor">Doctor</option>
+                                                                <option value="staff">Staff</option>
+                                                                <option value="admin">Admin</option>
+                                                            </select>
+                                                            {editing.role === 'doctor' && (
+                                                                <select
+                                                                    className="form-input"
+                                                                    value={editing.specialization}
+                                                                    onChange={(e) => setEditing({ ...editing, specialization: e.target.value })}
+                                                                >
+                                                                    <option value="">Select specialization</option>
+                                                                    {SPECIALIZATIONS.map(s => (
+                                                                        <option key={s} value={s}>{s}</option>
+                                                                    ))}
+                                                                </select>
+                                                            )}
+                                                        </div>
+                                                    ) : (
+                                                        <>
+                                                            <span className="badge badge-info">{u.role}</span>
+                                                            {u.specialization && (
+                                                                <div className="text-muted text-sm">{u.specialization}</div>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                </td>
+
+                                                {/* Status */}
+                                                <td>
+                                                    {u.isActive
+                                                        ? <span className="badge badge-success">Active</span>
+                                                        : u.approvalPending
+                                                            ? <span className="badge badge-warning">Awaiting Approval</span>
+                                                            : <span className="badge badge-error">Inactive</span>}
+                                                    {u.mustChangePassword && (
+                                                        <div className="text-muted text-sm">Password reset pending</div>
+                                                    )}
+                                                    {!u.emailVerified && (
+                                                        <div className="text-muted text-sm">Email not verified</div>
+                                                    )}
+                                                    {u.twoFactorEnabled && (
+                                                        <div className="text-muted text-sm">🔐 2FA on</div>
+                                                    )}
+                                                    {onCall?.userIds.includes(u.userId) && (
+                                                        <div className="text-muted text-sm">📟 On call</div>
+                                                    )}
+                                                </td>
+
+                                                <td className="text-muted">
+                                                    {u.lastLogin ? new Date(u.lastLogin).toLocaleString() : 'Never'}
+                                                </td>
+
+                                                {/* Actions */}
+                                                <td>
+                                                    {isEditing ? (
+                                                        <div className="d-flex gap-2">
+                                                            <button className="btn btn-sm btn-primary" disabled={isBusy} onClick={handleSaveRole}>
+                                                                Save
+                                                            </button>
+                                                            <button className="btn btn-sm btn-secondary" onClick={() => setEditing(null)}>
+                                                                Cancel
+                                                            </button>
+                                                        </div>
+                                                    ) : (
+                                                        <div className="d-flex gap-2">
+                                                            <button
+                                                                className="btn btn-sm btn-secondary"
+                                                                disabled={isBusy}
+                                                                onClick={() => setEditing({
+                                                                    userId: u.userId,
+                                                                    role: u.role,
+                                                                    specialization: u.specialization || '',
+                                                                })}
+                                                            >
+                                                                Edit Role
+                                                            </button>
+                                                            {!isSelf && (
+                                                                <button
+                                                                    className={`btn btn-sm ${u.isActive ? 'btn-danger' : 'btn-success'}`}
+                                                                    disabled={isBusy}
+                                                                    onClick={() => handleToggleStatus(u)}
+                                                                >
+                                                                    {u.isActive ? 'Deactivate' : u.approvalPending ? 'Approve' : 'Reactivate'}
+                                                                </button>
+                                                            )}
+                                                            {!isSelf && (
+                                                                <button
+                                                                    className="btn btn-sm btn-outline"
+                                                                    disabled={isBusy}
+                                                                    onClick={() => handleMoveHospital(u)}
+                                                                >
+                                                                    Move Hospital
+                                                                </button>
+                                                            )}
+                                                            {!isSelf && (
+                                                                <button
+                                                                    className="btn btn-sm btn-outline"
+                                                                    disabled={isBusy}
+                                                                    onClick={() => handleResetPassword(u)}
+                                                                >
+                                                                    Reset Password
+                                                                </button>
+                                                            )}
+                                                            {onCall && u.isActive && ['doctor', 'staff'].includes(u.role) && (
+                                                                <button
+                                                                    className="btn btn-sm btn-outline"
+                                                                    disabled={isBusy}
+                                                                    onClick={() => handleToggleOnCall(u)}
+                                                                >
+                                                                    {onCall.userIds.includes(u.userId) ? 'Take Off Call' : 'Put On Call'}
+                                                                </button>
+                                                            )}
+                                                            {!isSelf && u.twoFactorEnabled && (
+                                                                <button
+                                                                    className="btn btn-sm btn-outline"
+                                                                    disabled={isBusy}
+                                                                    onClick={() => handleResetTwoFactor(u)}
+                                                                >
+                                                                    Reset 2FA
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default AdminUsers;
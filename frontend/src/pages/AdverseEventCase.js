@@ -0,0 +1,607 @@
+/**
+ * ============================================================================
+ * AdverseEventCase.js - Doctor's View of One Adverse Event Case
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shows the complete safety case (report, collected safety data,
+ * assessment) to the assigned doctor and lets them record their
+ * causality assessment.
+ *
+ * FEATURES:
+ * - Initial report, suspect medicine and the patient's safety answers
+ * - Seriousness / expedited reporting flags
+ * - Computed causality: Naranjo score and WHO-UMC category with the
+ *   criteria behind it
+ * - Doctor's causality assessment: answer the Naranjo questions the
+ *   patient could not, pick the WHO-UMC category - a reason is required
+ *   when it differs from the computed one. Both stay on the case.
+ * - Regulatory report: check and download the ICH E2B(R3) XML, move the
+ *   case through triage → medical review → submitted (only when no
+ *   required element is missing) → acknowledged, with the 7/15-day
+ *   reporting deadline of serious cases
+ * - CIOMS I form: download the filled-in PDF (each generation is listed)
+ * - Possible duplicates: reports of the same reaction by the same
+ *   patient (scored when reported) - merge one into this case or
+ *   dismiss it; every merged report stays listed under Source Reports
+ *
+ * DATA FLOW:
+ * - GET /api/adverse-events/:id/case (403 until the patient consented)
+ * - PUT /api/adverse-events/:id/causality
+ * - GET /api/adverse-events/:id/export/e2b, POST .../regulatory-status
+ * - GET /api/adverse-events/:id/export/cioms
+ * - POST /api/adverse-events/:id/duplicates/:duplicateId/merge | dismiss
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+    getAdverseEventCase,
+    updateCausalityAssessment,
+    getE2BExport,
+    downloadCiomsForm,
+    updateRegulatoryStatus,
+    mergeDuplicateCase,
+    dismissDuplicateCase,
+} from '../services/api';
+import Loading from '../components/Loading';
+import Disclaimer from '../components/Disclaimer';
+import ReportingClock, { REGULATORY_STATUS_LABELS } from '../components/ReportingClock';
+
+/**
+ * Safety fields in display order
+ */
+const SAFETY_FIELDS = [
+    { key: 'timeToOnset', label: 'Time to onset' },
+    { key: 'symptoms', label: 'Symptoms' },
+    { key: 'severity', label: 'Severity' },
+    { key: 'medicalAttention', label: 'Medical attention' },
+    { key: 'actionTaken', label: 'Action taken with the medicine' },
+    { key: 'outcome', label: 'Outcome' },
+    { key: 'concomitantMeds', label: 'Other medicines' },
+];
+
+const NARANJO_ANSWER_LABELS = { yes: 'Yes', no: 'No', unknown: "Don't know" };
+
+/**
+ * Regulatory status → next status and its button
+ */
+const REGULATORY_ACTIONS = {
+    triage: { status: 'medical_review', label: 'Start Medical Review' },
+    medical_review: { status: 'submitted', label: 'Mark Submitted' },
+    submitted: { status: 'acknowledged', label: 'Mark Acknowledged' },
+};
+
+/**
+ * AdverseEventCase Component
+ *
+ * Uses case (adverse event) ID from URL params
+ */
+function AdverseEventCase() {
+    // Get case ID from URL (/doctor/adverse-events/:id)
+    const { id } = useParams();
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [caseData, setCaseData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [form, setForm] = useState(null);             // { whoUmcCategory, naranjoAnswers, reason }
+    const [fieldErrors, setFieldErrors] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [e2b, setE2b] = useState(null);               // { valid, errors, warnings, messageId, xml }
+    const [regulatoryError, setRegulatoryError] = useState(null);
+    const [generatingCioms, setGeneratingCioms] = useState(false);
+    const [duplicateError, setDuplicateError] = useState(null);
+
+    // Load case on mount
+    useEffect(() => { loadCase(); }, [id]);
+
+    /**
+     * Fetch the case - backend checks assignment and consent
+     */
+    const loadCase = async () => {
+        try {
+            const result = await getAdverseEventCase(id);
+            setCaseData(result.data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Open the causality form, starting from the doctor's previous
+     * assessment or the computed one
+     */
+    const handleStartAssessment = () => {
+        const base = caseData.clinicianCausality || caseData.machineCausality;
+        setForm({
+            whoUmcCategory: base.whoUmc.category,
+            naranjoAnswers: { ...base.naranjo.answers },
+            reason: caseData.clinicianCausality?.reason || '',
+        });
+        setFieldErrors([]);
+    };
+
+    /**
+     * Save the doctor's assessment
+     */
+    const handleSaveAssessment = async () => {
+        setSaving(true);
+        setFieldErrors([]);
+        try {
+            const result = await updateCausalityAssessment(id, form);
+            setCaseData({ ...caseData, ...result.data });
+            setForm(null);
+            setE2b(null);   // The report carries the causality - check it again
+        } catch (err) {
+            setFieldErrors(err.data?.fieldErrors || [{ field: 'assessment', message: err.message }]);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Build the E2B report and show what is missing
+     */
+    const handleCheckE2B = async () => {
+        setRegulatoryError(null);
+        try {
+            const result = await getE2BExport(id);
+            setE2b(result.data);
+        } catch (err) {
+            setRegulatoryError(err.message);
+        }
+    };
+
+    /**
+     * Save the checked E2B report as an XML file
+     */
+    const handleDownloadE2B = () => {
+        const url = URL.createObjectURL(new Blob([e2b.xml], { type: 'application/xml' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${caseData.caseId}-e2b.xml`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Generate and save the CIOMS I form, then reload the case so the
+     * new generation shows up in the list
+     */
+    const handleDownloadCioms = async () => {
+        setRegulatoryError(null);
+        setGeneratingCioms(true);
+        try {
+            await downloadCiomsForm(id, caseData.caseId);
+            await loadCase();
+        } catch (err) {
+            setRegulatoryError(err.message);
+        } finally {
+            setGeneratingCioms(false);
+        }
+    };
+
+    /**
+     * Move the case to its next regulatory status
+     */
+    const handleRegulatoryStatus = async () => {
+        const action = REGULATORY_ACTIONS[caseData.regulatoryStatus];
+        const notes = window.prompt(`${action.label}: notes (optional, e.g. reference number)`);
+        if (notes === null) return;
+
+        setRegulatoryError(null);
+        try {
+            const result = await updateRegulatoryStatus(id, action.status, notes);
+            setCaseData({ ...caseData, ...result.data });
+        } catch (err) {
+            // 409: the report is missing required elements - show which
+            if (err.data?.data?.errors) setE2b({ ...e2b, valid: false, errors: err.data.data.errors });
+            setRegulatoryError(err.message);
+        }
+    };
+
+    /**
+     * Merge a suggested duplicate into this case (this case survives)
+     */
+    const handleMergeDuplicate = async (suggestion) => {
+        const message = `Merge ${suggestion.caseId} into this case? `
+            + `${suggestion.caseId} will be marked merged and its report kept here as a source report.`;
+        if (!window.confirm(message)) return;
+
+        setDuplicateError(null);
+        try {
+            const result = await mergeDuplicateCase(id, suggestion.adverseEventId);
+            setCaseData({ ...caseData, ...result.data });
+        } catch (err) {
+            setDuplicateError(err.message);
+        }
+    };
+
+    /**
+     * Close a duplicate suggestion - the reports are about different reactions
+     */
+    const handleDismissDuplicate = async (suggestion) => {
+        setDuplicateError(null);
+        try {
+            const result = await dismissDuplicateCase(id, suggestion.adverseEventId);
+            setCaseData({ ...caseData, ...result.data });
+        } catch (err) {
+            setDuplicateError(err.message);
+        }
+    };
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading case..." />;
+
+    // ========== ERROR STATE ==========
+    if (error) return (
+        <div className="page">
+            <div className="container">
+                <div className="alert alert-error">{error}</div>
+            </div>
+        </div>
+    );
+
+    const { machineCausality: machine, clinicianCausality: clinician, causalityOptions } = caseData;
+    const categoryLabel = (category) => causalityOptions.whoUmcCategories[category] || category;
+
+    // Naranjo score of the form, as the doctor changes answers
+    const formScore = form && causalityOptions.naranjoQuestions
+        .reduce((sum, q) => sum + q.points[form.naranjoAnswers[q.id] || 'unknown'], 0);
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container" style={{ maxWidth: '800px' }}>
+                <Disclaimer />
+
+                {/* ========== HEADER ========== */}
+                <div className="d-flex justify-between align-center mb-4">
+                    <div>
+                        <h1>Adverse Event Case</h1>
+                        <p className="text-muted">Case ID: {caseData.caseId}</p>
+                    </div>
+                    <div className="d-flex gap-2">
+                        {caseData.isUrgent && <span className="badge badge-error">🚨 Urgent</span>}
+                        <span className={`badge ${caseData.overallSeriousness === 'serious' ? 'badge-error' : 'badge-info'}`}>
+                            {caseData.overallSeriousness === 'serious' ? 'Serious' : 'Non-serious'}
+                        </span>
+                    </div>
+                </div>
+
+                {/* Merged into another case - that case is the one to report */}
+                {caseData.mergedInto && (
+                    <div className="alert alert-warning mb-3">
+                        <span>⧉</span>
+                        <span>
+                            Merged into {caseData.mergedInto.caseId} by {caseData.mergedInto.mergedBy?.name}
+                            {' '}({new Date(caseData.mergedInto.mergedAt).toLocaleString()}).
+                        </span>
+                        <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => navigate(`/doctor/adverse-events/${caseData.mergedInto.adverseEventId}`)}
+                        >
+                            Open {caseData.mergedInto.caseId}
+                        </button>
+                    </div>
+                )}
+
+                {caseData.requiresExpedited && (
+                    <div className="alert alert-error mb-3">
+                        <span>🚨</span>
+                        <span>This case requires expedited reporting.</span>
+                    </div>
+                )}
+
+                {/* ========== REPORT ========== */}
+                <div className="card mb-3">
+                    <h3 className="mb-2">📋 Report</h3>
+                    <p><strong>Patient:</strong> {caseData.patientName || 'Unknown'}</p>
+                    <p>
+                        <strong>Suspect medicine:</strong> {caseData.drugName || 'Not specified'}
+                        {caseData.dosage && ` (${caseData.dosage})`}
+                        {caseData.indication && ` · for ${caseData.indication}`}
+                    </p>
+                    <p><strong>Reported:</strong> {new Date(caseData.reportedAt || caseData.createdAt).toLocaleString()}</p>
+                    <p className="mt-2">{caseData.initialReport}</p>
+                    {caseData.followUpId && (
+                        <button
+                            className="btn btn-sm btn-secondary mt-2"
+                            onClick={() => navigate(`/doctor/follow-ups/${caseData.followUpId}`)}
+                        >
+                            📋 From follow-up - view summary
+                        </button>
+                    )}
+                </div>
+
+                {/* ========== POSSIBLE DUPLICATES ========== */}
+                {caseData.suspectedDuplicates?.length > 0 && (
+                    <div className="card mb-3">
+                        <h3 className="mb-2">⧉ Possible Duplicates</h3>
+                        <p className="text-sm text-muted mb-2">
+                            Other reports that look like the same reaction of the same patient.
+                        </p>
+                        {caseData.suspectedDuplicates.map(suggestion => (
+                            <div
+                                key={suggestion.adverseEventId}
+                                className="d-flex justify-between align-center gap-2"
+                                style={{ padding: '0.5rem 0', borderBottom: '1px solid var(--color-border)' }}
+                            >
+                                <div>
+                                    <strong>{suggestion.caseId}</strong>
+                                    <span className="badge badge-warning" style={{ marginLeft: '0.5rem' }}>Score {suggestion.score}</span>
+                                    <div className="text-sm text-muted">
+                                        {suggestion.reporterType && `Reported by ${suggestion.reporterType}, `}
+                                        {suggestion.reportedAt && new Date(suggestion.reportedAt).toLocaleString()}
+                                    </div>
+                                    <div className="text-sm">{suggestion.reasons.join(' · ')}</div>
+                                </div>
+                                {suggestion.status === 'open' && !caseData.mergedInto ? (
+                                    <div className="d-flex gap-2">
+                                        <button className="btn btn-sm btn-primary" onClick={() => handleMergeDuplicate(suggestion)}>
+                                            Merge into This Case
+                                        </button>
+                                        <button className="btn btn-sm btn-secondary" onClick={() => handleDismissDuplicate(suggestion)}>
+                                            Not a Duplicate
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <span className="text-sm text-muted">
+                                        {suggestion.status === 'merged' ? 'Merged' : suggestion.status === 'dismissed' ? 'Not a duplicate' : 'Open'}
+                                        {suggestion.resolvedBy && ` - ${suggestion.resolvedBy.name}`}
+                                    </span>
+                                )}
+                            </div>
+                        ))}
+                        {duplicateError && <div className="alert alert-error mt-2">{duplicateError}</div>}
+                    </div>
+                )}
+
+                {/* ========== SOURCE REPORTS (merged cases) ========== */}
+                {caseData.sourceReports?.length > 1 && (
+                    <div className="card mb-3">
+                        <h3 className="mb-2">🗂️ Source Reports</h3>
+                        {caseData.sourceReports.map(report => (
+                            <div key={report.adverseEventId} style={{ padding: '0.5rem 0', borderBottom: '1px solid var(--color-border)' }}>
+                                <div className="text-sm text-muted">
+                                    <strong>{report.caseId}</strong>
+                                    {' '}· {report.reporterType || 'unknown reporter'}
+                                    {report.source === 'follow_up' && ' (follow-up)'}
+                                    {report.reportedAt && ` · ${new Date(report.reportedAt).toLocaleString()}`}
+                                    {report.mergedBy
+                                        ? ` · merged by ${report.mergedBy.name}, ${new Date(report.mergedAt).toLocaleString()}`
+                                        : ' · original report'}
+                                </div>
+                                <p className="text-sm">{report.initialReport}</p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {/* ========== SAFETY DATA ========== */}
+                <div className="card mb-3">
+                    <h3 className="mb-2">🩺 Safety Data</h3>
+                    {SAFETY_FIELDS.map(({ key, label }) => (
+                        <div key={key} style={{ padding: '0.5rem 0', borderBottom: '1px solid var(--color-border)' }}>
+                            <div className="text-sm text-muted">{label}</div>
+                            <div style={{ fontWeight: '600' }}>
+                                {[].concat(caseData[key] ?? []).join(', ') || 'Not collected yet'}
+                            </div>
+                        </div>
+                    ))}
+                    {caseData.symptomsDescription && (
+                        <p className="text-sm mt-2">Symptom notes: {caseData.symptomsDescription}</p>
+                    )}
+                    {caseData.concomitantMedsDetails && (
+                        <p className="text-sm mt-2">Other medicines: {caseData.concomitantMedsDetails}</p>
+                    )}
+                </div>
+
+                {/* ========== CAUSALITY ========== */}
+                <div className="card mb-3">
+                    <div className="d-flex justify-between align-center mb-2">
+                        <h3 style={{ margin: 0 }}>🔬 Causality</h3>
+                        {!form && (
+                            <button className="btn btn-sm btn-primary" onClick={handleStartAssessment}>
+                                {clinician ? 'Revise Assessment' : 'Assess Causality'}
+                            </button>
+                        )}
+                    </div>
+
+                    {/* Computed from the patient's answers */}
+                    <div style={{ background: '#f8f9fa', padding: '0.75rem 1rem', borderRadius: '8px' }} className="mb-2">
+                        <div className="text-sm text-muted">Computed</div>
+                        <div>
+                            <strong>WHO-UMC:</strong> {categoryLabel(machine.whoUmc.category)}
+                            {' · '}
+                            <strong>Naranjo:</strong> {machine.naranjo.score} ({machine.naranjo.category})
+                        </div>
+                        {machine.whoUmc.criteria?.length > 0 && (
+                            <ul className="text-sm mb-0 mt-2">
+                                {machine.whoUmc.criteria.map(c => <li key={c}>{c}</li>)}
+                            </ul>
+                        )}
+                    </div>
+
+                    {/* The doctor's assessment */}
+                    {clinician && !form && (
+                        <div style={{ background: '#eef2ff', padding: '0.75rem 1rem', borderRadius: '8px' }}>
+                            <div className="text-sm text-muted">
+                                Assessed by {clinician.assessedBy?.name} ({new Date(clinician.assessedAt).toLocaleString()})
+                                {clinician.overridesMachine && <span className="badge badge-warning ml-2">Differs from computed</span>}
+                            </div>
+                            <div>
+                                <strong>WHO-UMC:</strong> {categoryLabel(clinician.whoUmc.category)}
+                                {' · '}
+                                <strong>Naranjo:</strong> {clinician.naranjo.score} ({clinician.naranjo.category})
+                            </div>
+                            {clinician.reason && <p className="text-sm mt-2">Reason: {clinician.reason}</p>}
+                        </div>
+                    )}
+
+                    {/* Assessment form */}
+                    {form && (
+                        <>
+                            <table style={{ width: '100%', fontSize: '0.9rem' }} className="mb-2">
+                                <tbody>
+                                    {causalityOptions.naranjoQuestions.map((q, i) => (
+                                        <tr key={q.id} style={{ borderBottom: '1px solid var(--color-border)' }}>
+                                            <td style={{ padding: '0.4rem 0' }}>
+                                                {i + 1}. {q.question}
+                                                {form.naranjoAnswers[q.id] !== machine.naranjo.answers[q.id] && (
+                                                    <span className="text-sm text-muted">
+                                                        {' '}(computed: {NARANJO_ANSWER_LABELS[machine.naranjo.answers[q.id]]})
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td style={{ width: '130px' }}>
+                                                <select
+                                                    className="form-input"
+                                                    value={form.naranjoAnswers[q.id]}
+                                                    onChange={(e) => setForm({
+                                                        ...form,
+                                                        naranjoAnswers: { ...form.naranjoAnswers, [q.id]: e.target.value },
+                                                    })}
+                                                >
+                                                    {Object.entries(NARANJO_ANSWER_LABELS).map(([value, label]) => (
+                                                        <option key={value} value={value}>{label}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="text-sm mb-2">Naranjo score: <strong>{formScore}</strong></p>
+
+                            <div className="form-group">
+                                <label className="form-label">WHO-UMC category</label>
+                                <select
+                                    className="form-input"
+                                    value={form.whoUmcCategory}
+                                    onChange={(e) => setForm({ ...form, whoUmcCategory: e.target.value })}
+                                >
+                                    {Object.entries(causalityOptions.whoUmcCategories).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Reason (required if it differs from the computed assessment)</label>
+                                <textarea
+                                    className="form-input"
+                                    rows={3}
+                                    value={form.reason}
+                                    onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                                />
+                            </div>
+
+                            {fieldErrors.length > 0 && (
+                                <div className="alert alert-error mb-2">
+                                    <ul className="text-sm mb-0">
+                                        {fieldErrors.map((e, i) => <li key={i}>{e.field}: {e.message}</li>)}
+                                    </ul>
+                                </div>
+                            )}
+
+                            <div className="d-flex gap-2">
+                                <button className="btn btn-sm btn-primary" onClick={handleSaveAssessment} disabled={saving}>
+                                    {saving ? '⏳ Saving...' : 'Save Assessment'}
+                                </button>
+                                <button className="btn btn-sm btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* ========== REGULATORY REPORT ========== */}
+                <div className="card mb-3">
+                    <div className="d-flex justify-between align-center mb-2">
+                        <h3 style={{ margin: 0 }}>📤 Regulatory Report</h3>
+                        <span className="badge badge-info">{REGULATORY_STATUS_LABELS[caseData.regulatoryStatus] || caseData.regulatoryStatus}</span>
+                    </div>
+
+                    {/* Expedited-reporting deadline (serious cases) */}
+                    <div className="mb-2">
+                        <ReportingClock clock={caseData.reportingClock} />
+                    </div>
+
+                    <div className="d-flex gap-2 mb-2">
+                        <button className="btn btn-sm btn-secondary" onClick={handleCheckE2B}>Check E2B Report</button>
+                        {e2b && (
+                            <button className="btn btn-sm btn-secondary" onClick={handleDownloadE2B}>⬇ Download XML</button>
+                        )}
+                        <button className="btn btn-sm btn-secondary" onClick={handleDownloadCioms} disabled={generatingCioms}>
+                            {generatingCioms ? '⏳ Generating...' : '⬇ CIOMS I PDF'}
+                        </button>
+                        {REGULATORY_ACTIONS[caseData.regulatoryStatus] && (
+                            <button
+                                className="btn btn-sm btn-primary"
+                                onClick={handleRegulatoryStatus}
+                                disabled={caseData.regulatoryStatus === 'medical_review' && !e2b?.valid}
+                                title={caseData.regulatoryStatus === 'medical_review' && !e2b?.valid ? 'Check the E2B report first' : undefined}
+                            >
+                                {REGULATORY_ACTIONS[caseData.regulatoryStatus].label}
+                            </button>
+                        )}
+                    </div>
+
+                    {regulatoryError && <div className="alert alert-error mb-2">{regulatoryError}</div>}
+
+                    {/* What the E2B report is missing */}
+                    {e2b && (
+                        e2b.valid ? (
+                            <p className="text-sm mb-2">✅ All required E2B elements are present (message {e2b.messageId}).</p>
+                        ) : (
+                            <div className="alert alert-error mb-2">
+                                <ul className="text-sm mb-0">
+                                    {e2b.errors.map(e => <li key={e.element}><strong>{e.element}</strong>: {e.message}</li>)}
+                                </ul>
+                            </div>
+                        )
+                    )}
+                    {e2b?.warnings?.length > 0 && (
+                        <div className="alert alert-warning mb-2">
+                            <ul className="text-sm mb-0">
+                                {e2b.warnings.map((w, i) => <li key={i}><strong>{w.element}</strong>: {w.message}</li>)}
+                            </ul>
+                        </div>
+                    )}
+
+                    {caseData.ciomsExports?.length > 0 && (
+                        <p className="text-sm mb-2" style={{ color: '#666' }}>
+                            CIOMS I form generated {caseData.ciomsExports.length} time(s), last by{' '}
+                            {caseData.ciomsExports[caseData.ciomsExports.length - 1].generatedBy?.name} (
+                            {new Date(caseData.ciomsExports[caseData.ciomsExports.length - 1].generatedAt).toLocaleString()})
+                        </p>
+                    )}
+
+                    {caseData.regulatoryHistory?.length > 0 && (
+                        <ul className="text-sm mb-0">
+                            {caseData.regulatoryHistory.map((entry, i) => (
+                                <li key={i}>
+                                    {REGULATORY_STATUS_LABELS[entry.to] || entry.to} by {entry.by?.name} ({new Date(entry.at).toLocaleString()})
+                                    {entry.notes && ` - ${entry.notes}`}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {/* ========== BACK ========== */}
+                <button className="btn btn-secondary" onClick={() => navigate('/doctor/adverse-events')}>
+                    ← Back to Adverse Events
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default AdverseEventCase;
@@ -3,7 +3,9 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { api } from '../services/api';
 import Header from '../components/Header';
 import Loading from '../components/Loading';
+import EmergencyGuidanceModal, { useEmergencyGuidance } from '../components/EmergencyGuidance';
 import OTPInput from '../components/OTPInput';
+import ResendCodeButton from '../components/ResendCodeButton';
 
 /**
  * Adverse Event Follow-Up Page
@@ -13,6 +15,13 @@ import OTPInput from '../components/OTPInput';
  * - Answers 7 smart follow-up questions
  * - Provides consent for data sharing
  * - Completes the regulatory-ready safety case
+ * 
+ * The OTP verification returns a patient token (kept in sessionStorage);
+ * it is sent with the questions and submit calls. When it is missing or
+ * expired, the code screen is shown again.
+ * 
+ * Choosing an urgent answer shows the hospital's emergency guidance at
+ * once (components/EmergencyGuidance.js); the submission records it.
  */
 const AdverseEventFollowUp = () => {
     const { adverseEventId } = useParams();
@@ -21,6 +30,8 @@ const AdverseEventFollowUp = () => {
     const [loading, setLoading] = useState(true);
     const [submitting, setSubmitting] = useState(false);
     const [otpVerified, setOtpVerified] = useState(false);
+    const [otpError, setOtpError] = useState(null);
+    const [codeAttempt, setCodeAttempt] = useState(0); // Remount code boxes after an error/resend
     const [caseData, setCaseData] = useState(null);
     const [questions, setQuestions] = useState([]);
     const [currentQuestion, setCurrentQuestion] = useState(0);
@@ -28,12 +39,11 @@ const AdverseEventFollowUp = () => {
     const [consent, setConsent] = useState(false);
     const [showComplete, setShowComplete] = useState(false);
     const [result, setResult] = useState(null);
+    const emergency = useEmergencyGuidance();  // Shown on an urgent answer
 
     useEffect(() => {
-        // Check if already verified (from URL params or session)
-        const urlParams = new URLSearchParams(window.location.search);
-        const verified = urlParams.get('verified') === 'true';
-        if (verified) {
+        // Already verified in this tab? The patient token proves it
+        if (api.getPatientToken(adverseEventId)) {
             setOtpVerified(true);
             loadQuestions();
         } else {
@@ -41,29 +51,48 @@ const AdverseEventFollowUp = () => {
         }
     }, [adverseEventId]);
 
+    /**
+     * Patient token missing/expired - back to the code screen
+     */
+    const requireVerification = () => {
+        api.clearPatientToken(adverseEventId);
+        setOtpVerified(false);
+        setOtpError('Your session has expired. Please request a new code.');
+    };
+
     const handleOTPVerify = async (otp) => {
+        setOtpError(null);
         try {
             const response = await api.verifyAdverseEventOTP(adverseEventId, otp);
             if (response.success) {
+                api.savePatientToken(adverseEventId, response.data.patientToken);
                 setOtpVerified(true);
                 await loadQuestions();
             } else {
                 throw new Error(response.error);
             }
         } catch (error) {
-            throw error;
+            setOtpError(error.message);
+            setCodeAttempt(n => n + 1);
         }
     };
 
     const loadQuestions = async () => {
         try {
             setLoading(true);
-            const response = await api.getAdverseEventQuestions(adverseEventId);
+            const response = await api.getAdverseEventQuestions(
+                adverseEventId,
+                api.getPatientToken(adverseEventId)
+            );
             if (response.success) {
                 setCaseData(response.data);
                 setQuestions(response.data.questions);
             }
         } catch (error) {
+            if (api.isPatientSessionError(error)) {
+                requireVerification();
+                return;
+            }
             console.error('Error loading questions:', error);
         } finally {
             setLoading(false);
@@ -71,6 +100,13 @@ const AdverseEventFollowUp = () => {
     };
 
     const handleSelect = (questionId, value, isMulti = false) => {
+        // Red-flag answer - tell the patient what to do right now
+        const question = questions.find(q => q.id === questionId);
+        const alreadySelected = [].concat(responses[questionId]?.selected ?? []).includes(value);
+        if (!alreadySelected && question?.options.some(o => o.urgent && o.value === value)) {
+            emergency.showFor([value]);
+        }
+
         setResponses(prev => {
             if (isMulti) {
                 const currentSelected = prev[questionId]?.selected || [];
@@ -130,13 +166,27 @@ const AdverseEventFollowUp = () => {
             const response = await api.submitAdverseEventFollowUp(adverseEventId, {
                 responses,
                 consent,
-            });
+                ...(emergency.record && { emergencyGuidance: emergency.record }),
+            }, api.getPatientToken(adverseEventId));
 
             if (response.success) {
+                api.clearPatientToken(adverseEventId);
                 setResult(response.data);
                 setShowComplete(true);
             }
         } catch (error) {
+            if (api.isPatientSessionError(error)) {
+                requireVerification();
+                return;
+            }
+            // Rejected answers (field is 'responses.<questionId>')
+            if (error.data?.fieldErrors) {
+                alert('Please check your answers:\n' + error.data.fieldErrors.map(({ field, message }) => {
+                    const question = questions.find(q => q.id === field.split('.')[1]);
+                    return `- ${question ? question.question : field}: ${message}`;
+                }).join('\n'));
+                return;
+            }
             console.error('Error submitting follow-up:', error);
             alert('Failed to submit. Please try again.');
         } finally {
@@ -161,10 +211,23 @@ const AdverseEventFollowUp = () => {
                                 Please enter the OTP sent to your phone to continue with the follow-up questionnaire.
                             </p>
                             
+                            {otpError && (
+                                <div className="alert alert-error mb-3">{otpError}</div>
+                            )}
+
                             <OTPInput 
-                                onVerify={handleOTPVerify}
+                                key={codeAttempt}
+                                onComplete={handleOTPVerify}
                                 length={4}
                             />
+
+                            <ResendCodeButton
+                                onResend={() => api.resendAdverseEventOTP(adverseEventId)}
+                                onSent={() => {
+                                    setOtpError(null);
+                                    setCodeAttempt(n => n + 1);
+                                }}
+                            />
                             
                             <div className="text-sm text-gray-500 mt-4">
                                 This helps us protect your health information.
@@ -251,6 +314,13 @@ const AdverseEventFollowUp = () => {
     return (
         <div className="min-h-screen bg-gradient-to-b from-purple-50 to-white">
             <Header title="Safety Follow-Up" />
+
+            {/* Emergency guidance (red-flag answer) */}
+            <EmergencyGuidanceModal
+                guidance={caseData?.emergencyGuidance}
+                open={emergency.open}
+                onClose={emergency.close}
+            />
             
             <div className="max-w-lg mx-auto px-4 py-4">
                 {/* Case Info */}
@@ -339,6 +409,7 @@ const AdverseEventFollowUp = () => {
                                     placeholder="Add more details (optional)..."
                                     value={responses[currentQ.id]?.notes || ''}
                                     onChange={(e) => handleNotes(currentQ.id, e.target.value)}
+                                    maxLength={caseData?.maxNotesLength}
                                     rows={3}
                                 />
                             </div>
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { api } from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import EmergencyGuidanceModal, { useEmergencyGuidance } from '../components/EmergencyGuidance';
 
 /**
  * Adverse Event Reporting Page
@@ -10,6 +11,9 @@ import Disclaimer from '../components/Disclaimer';
  * STEP 2 in the AE workflow:
  * Patient or Doctor reports an adverse event via this simple form.
  * Minimal initial info required - detailed follow-up handled separately.
+ * 
+ * Ticking an emergency symptom shows the emergency guidance at once
+ * (components/EmergencyGuidance.js); the report records it.
  */
 const AdverseEventReport = () => {
     const navigate = useNavigate();
@@ -20,12 +24,15 @@ const AdverseEventReport = () => {
     const [prescription, setPrescription] = useState(null);
     const [showSuccess, setShowSuccess] = useState(false);
     const [reportResult, setReportResult] = useState(null);
+    const [emergencyGuidance, setEmergencyGuidance] = useState(null);  // Instructions + numbers
+    const emergency = useEmergencyGuidance();                          // Shown on an emergency symptom
     
     // Form state
     const [formData, setFormData] = useState({
         patientPhone: '',
         patientName: '',
         drugName: '',
+        medicineId: '',     // Suspect medicine of the linked prescription ('' = not sure)
         eventDescription: '',
         reporterType: 'patient',
         urgencyIndicators: [],
@@ -47,16 +54,22 @@ const AdverseEventReport = () => {
         }
     }, [prescriptionId]);
 
+    // Emergency guidance of the prescription's hospital (default without one)
+    useEffect(() => {
+        api.getEmergencyGuidance(prescriptionId)
+            .then(response => setEmergencyGuidance(response.data))
+            .catch(error => console.error('Error loading emergency guidance:', error));
+    }, [prescriptionId]);
+
     const loadPrescriptionData = async () => {
         setLoading(true);
         try {
-            const response = await api.getPrescription(prescriptionId);
+            const response = await api.getPatientPrescription(prescriptionId);
             if (response.success) {
                 setPrescription(response.data);
+                // Patient view carries no name or phone - the patient enters them
                 setFormData(prev => ({
                     ...prev,
-                    patientPhone: response.data.patientPhone || '',
-                    patientName: response.data.patientName || '',
                     drugName: response.data.medicineName || '',
                 }));
             }
@@ -74,7 +87,9 @@ const AdverseEventReport = () => {
         try {
             const reportData = {
                 ...formData,
+                medicineId: formData.medicineId || null,
                 prescriptionId: prescriptionId || null,
+                ...(emergency.record && { emergencyGuidance: emergency.record }),
             };
 
             const response = await api.reportAdverseEvent(reportData);
@@ -91,7 +106,25 @@ const AdverseEventReport = () => {
         }
     };
 
+    /**
+     * Pick the medicine the reaction is attributed to
+     * ('' = not sure - the report then names the whole prescription)
+     */
+    const handleMedicineSelect = (medicineId) => {
+        const medicine = prescription.medicines.find(m => m.id === medicineId);
+        setFormData(prev => ({
+            ...prev,
+            medicineId,
+            drugName: medicine ? medicine.name : prescription.medicineName || '',
+        }));
+    };
+
     const handleUrgencyToggle = (value) => {
+        // Every emergency symptom is a red flag - tell the reporter what to do now
+        if (!formData.urgencyIndicators.includes(value)) {
+            emergency.showFor([value]);
+        }
+
         setFormData(prev => ({
             ...prev,
             urgencyIndicators: prev.urgencyIndicators.includes(value)
@@ -117,6 +150,12 @@ const AdverseEventReport = () => {
                                 </p>
                                 <div style={{ background: '#fef2f2', padding: '1rem', borderRadius: '8px', marginBottom: '1.5rem' }}>
                                     <strong>⚠️ If you're having a medical emergency, please call emergency services immediately.</strong>
+                                    {emergencyGuidance?.contacts?.map((contact, i) => (
+                                        <div key={i} style={{ marginTop: '0.5rem' }}>
+                                            📞 {contact.label}:{' '}
+                                            <a href={`tel:${contact.phone.replace(/[^0-9+]/g, '')}`}><strong>{contact.phone}</strong></a>
+                                        </div>
+                                    ))}
                                 </div>
                             </>
                         ) : (
@@ -158,6 +197,13 @@ const AdverseEventReport = () => {
 
     return (
         <div className="page" style={{ background: 'linear-gradient(180deg, #f8f9fc 0%, #eef1f8 100%)', minHeight: '100vh' }}>
+            {/* Emergency guidance (emergency symptom ticked) */}
+            <EmergencyGuidanceModal
+                guidance={emergencyGuidance}
+                open={emergency.open}
+                onClose={emergency.close}
+            />
+
             <div className="container" style={{ maxWidth: '600px', margin: '0 auto', padding: '1rem' }}>
                 {/* Header */}
                 <div style={{ textAlign: 'center', marginBottom: '1.5rem' }}>
@@ -187,6 +233,45 @@ const AdverseEventReport = () => {
 
                 {/* Report Form */}
                 <form onSubmit={handleSubmit}>
+                    {/* Suspect Medicine (prescriptions with several medicines) */}
+                    {prescription?.medicines?.length > 1 && (
+                        <div className="card" style={{ marginBottom: '1rem', padding: '1.5rem' }}>
+                            <h3 style={{ fontWeight: '600', marginBottom: '0.5rem' }}>💊 Which Medicine?</h3>
+                            <p style={{ fontSize: '0.875rem', color: '#666', marginBottom: '1rem' }}>
+                                Which medicine do you think caused the reaction?
+                            </p>
+
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                                {[...prescription.medicines, { id: '', name: 'Not sure' }].map(med => (
+                                    <label
+                                        key={med.id || 'not-sure'}
+                                        style={{
+                                            display: 'flex',
+                                            alignItems: 'center',
+                                            gap: '0.75rem',
+                                            padding: '0.75rem',
+                                            borderRadius: '8px',
+                                            border: formData.medicineId === med.id ? '2px solid #7c3aed' : '1px solid #ddd',
+                                            background: formData.medicineId === med.id ? '#f3e8ff' : 'white',
+                                            cursor: 'pointer',
+                                        }}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name="medicineId"
+                                            checked={formData.medicineId === med.id}
+                                            onChange={() => handleMedicineSelect(med.id)}
+                                        />
+                                        <span>
+                                            {med.name}
+                                            {med.strength && <span style={{ color: '#666' }}> {med.strength}</span>}
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
                     {/* Patient Info */}
                     {!prescription && (
                         <div className="card" style={{ marginBottom: '1rem', padding: '1.5rem' }}>
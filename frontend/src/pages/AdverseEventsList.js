@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { api } from '../services/api';
 import Header from '../components/Header';
 import Loading from '../components/Loading';
@@ -9,15 +9,23 @@ import Loading from '../components/Loading';
  * 
  * For doctors to view all adverse event reports from their patients.
  * Shows case status, severity, and allows access to complete cases.
+ * Cases opened from a follow-up link back to its summary; ?case=<id>
+ * highlights one case (link from the follow-up summary).
+ * Opening a case shows it in full with its causality assessment
+ * (AdverseEventCase). Cases the patient consented to share can be
+ * downloaded as a CIOMS I form straight from the list.
  */
-const AdverseEventsList = () => {
+const AdverseEventsList = ({ user }) => {
     const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const highlightedId = searchParams.get('case');
     const [loading, setLoading] = useState(true);
     const [events, setEvents] = useState([]);
     const [filter, setFilter] = useState('all'); // all, urgent, pending, complete
+    const [generatingId, setGeneratingId] = useState(null); // Case whose CIOMS form is being generated
 
-    // Get doctorId from localStorage (set during login)
-    const doctorId = localStorage.getItem('doctorId');
+    // Doctor ID from the logged-in session
+    const doctorId = user?.userId;
 
     useEffect(() => {
         loadAdverseEvents();
@@ -36,6 +44,18 @@ const AdverseEventsList = () => {
         }
     };
 
+    // Generate and save a case's CIOMS I form (without opening the case)
+    const handleDownloadCioms = async (event) => {
+        setGeneratingId(event.id);
+        try {
+            await api.downloadCiomsForm(event.id, event.caseId);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setGeneratingId(null);
+        }
+    };
+
     const getStatusBadge = (status, isUrgent) => {
         if (isUrgent) {
             return <span className="badge badge-error">🚨 Urgent</span>;
@@ -50,6 +70,8 @@ const AdverseEventsList = () => {
                 return <span className="badge badge-success">Complete</span>;
             case 'closed':
                 return <span className="badge badge-ghost">Closed</span>;
+            case 'merged':
+                return <span className="badge badge-ghost">Merged</span>;
             default:
                 return <span className="badge">{status}</span>;
         }
@@ -155,8 +177,8 @@ const AdverseEventsList = () => {
                                 key={event.id}
                                 className={`card bg-white shadow cursor-pointer hover:shadow-lg transition-shadow ${
                                     event.isUrgent ? 'border-l-4 border-red-500' : ''
-                                }`}
-                                onClick={() => navigate(`/adverse-events/${event.id}`)}
+                                } ${event.id === highlightedId ? 'ring-2 ring-purple-500' : ''}`}
+                                onClick={() => navigate(`/doctor/adverse-events/${event.id}`)}
                             >
                                 <div className="card-body p-4">
                                     <div className="flex items-start justify-between">
@@ -165,7 +187,19 @@ const AdverseEventsList = () => {
                                                 {getSeverityIndicator(event.severity)}
                                                 <span className="font-semibold">{event.patientName}</span>
                                                 {getStatusBadge(event.status, event.isUrgent)}
+                                                {event.suspectedDuplicates > 0 && (
+                                                    <span className="badge badge-warning">⧉ Possible duplicate</span>
+                                                )}
+                                                {event.anonymousReport && (
+                                                    <span className="badge badge-info" title="Reported without login or prescription - no alert was sent">Anonymous report</span>
+                                                )}
                                             </div>
+
+                                            {event.mergedInto && (
+                                                <div className="text-xs text-gray-500 mb-2">
+                                                    Merged into {event.mergedInto}
+                                                </div>
+                                            )}
                                             
                                             <div className="text-sm text-purple-600 font-medium mb-2">
                                                 {event.drugName}
@@ -174,6 +208,19 @@ const AdverseEventsList = () => {
                                             <p className="text-sm text-gray-600 line-clamp-2">
                                                 {event.initialReport}
                                             </p>
+
+                                            {/* Opened from a follow-up - link back to its summary */}
+                                            {event.followUpId && (
+                                                <button
+                                                    className="btn btn-xs btn-outline mt-2"
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        navigate(`/doctor/follow-ups/${event.followUpId}`);
+                                                    }}
+                                                >
+                                                    📋 From follow-up - view summary
+                                                </button>
+                                            )}
                                         </div>
                                         
                                         <div className="text-right ml-4">
@@ -183,6 +230,23 @@ const AdverseEventsList = () => {
                                             <div className="text-xs font-mono text-gray-500">
                                                 {event.caseId}
                                             </div>
+                                            {event.whoUmcCategory && (
+                                                <div className="text-xs text-gray-500 mt-1">
+                                                    Causality: {event.whoUmcCategory}
+                                                </div>
+                                            )}
+                                            {event.consent && (
+                                                <button
+                                                    className="btn btn-xs btn-outline mt-2"
+                                                    disabled={generatingId === event.id}
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        handleDownloadCioms(event);
+                                                    }}
+                                                >
+                                                    {generatingId === event.id ? '⏳ Generating...' : '⬇ CIOMS I PDF'}
+                                                </button>
+                                            )}
                                         </div>
                                     </div>
                                 </div>
@@ -0,0 +1,211 @@
+/**
+ * ============================================================================
+ * AuditLog.js - Patient Data Access Log
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shows who viewed or changed patient records, when, from where and
+ * whether the attempt succeeded. Entries are written by the backend and
+ * can never be edited from here.
+ *
+ * FEATURES:
+ * - Most recent access on load
+ * - Search by patient phone number and/or case ID
+ * - Outcome badges (success / denied / not found / failed)
+ *
+ * SCOPE (enforced by backend):
+ * - Doctor: access to their own patients' records
+ * - Admin: access to every record of their hospital
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getAuditLog } from '../services/api';
+import Loading from '../components/Loading';
+
+// Human-readable action names
+const ACTION_LABELS = {
+    'followUp.summary.view': 'Viewed follow-up summary',
+    'followUp.case.close': 'Closed follow-up case',
+    'followUp.otp.verify': 'Follow-up OTP verification',
+    'followUp.otp.resend': 'Follow-up OTP resent',
+    'adverseEvent.case.view': 'Viewed adverse event case',
+    'adverseEvent.otp.verify': 'Adverse event OTP verification',
+    'adverseEvent.otp.resend': 'Adverse event OTP resent',
+    'prescription.view': 'Viewed prescription',
+};
+
+// Badge class per outcome
+const OUTCOME_BADGES = {
+    success: 'badge-success',
+    denied: 'badge-error',
+    not_found: 'badge-warning',
+    failed: 'badge-warning',
+    error: 'badge-error',
+};
+
+/**
+ * AuditLog Component
+ *
+ * @param {object} props
+ * @param {object} props.user - Current logged-in doctor or admin
+ */
+function AuditLog({ user }) {
+    // ========== STATE ==========
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState(null);
+    const [filters, setFilters] = useState({ patientPhone: '', caseId: '' });
+
+    useEffect(() => { loadEntries({}); }, []);
+
+    /**
+     * Fetch entries for the given filters
+     *
+     * @param {object} query - { patientPhone?, caseId? }
+     */
+    const loadEntries = async (query) => {
+        setSearching(true);
+        setError(null);
+        try {
+            const result = await getAuditLog(query);
+            setEntries(result.data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSearching(false);
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Search form submit
+     */
+    const handleSearch = (e) => {
+        e.preventDefault();
+        loadEntries({
+            patientPhone: filters.patientPhone.trim(),
+            caseId: filters.caseId.trim(),
+        });
+    };
+
+    /**
+     * Clear filters and show the most recent entries again
+     */
+    const handleClear = () => {
+        setFilters({ patientPhone: '', caseId: '' });
+        loadEntries({});
+    };
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading audit log..." />;
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container">
+                <div className="mb-4">
+                    <h1>📜 Audit Log</h1>
+                    <p className="text-muted">
+                        {user?.role === 'admin'
+                            ? 'Access to patient data across your hospital'
+                            : 'Access to your patients\' data'}
+                    </p>
+                </div>
+
+                {/* ========== SEARCH ========== */}
+                <form className="card mb-4" onSubmit={handleSearch}>
+                    <div className="grid grid-2" style={{ gap: '1rem' }}>
+                        <div className="form-group">
+                            <label className="form-label">Patient Phone</label>
+                            <input
+                                type="tel"
+                                className="form-input"
+                                value={filters.patientPhone}
+                                onChange={(e) => setFilters({ ...filters, patientPhone: e.target.value })}
+                                placeholder="+91 98765 43210"
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Case ID</label>
+                            <input
+                                type="text"
+                                className="form-input"
+                                value={filters.caseId}
+                                onChange={(e) => setFilters({ ...filters, caseId: e.target.value })}
+                                placeholder="CASE-... or AE-..."
+                            />
+                        </div>
+                    </div>
+                    <div className="d-flex gap-2">
+                        <button type="submit" className="btn btn-primary" disabled={searching}>
+                            {searching ? 'Searching...' : '🔍 Search'}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={handleClear} disabled={searching}>
+                            Clear
+                        </button>
+                    </div>
+                </form>
+
+                {error && <div className="alert alert-error mb-4">{error}</div>}
+
+                {/* ========== RESULTS ========== */}
+                {entries.length === 0 ? (
+                    <div className="card text-center">
+                        <p className="text-muted">No access recorded for this search.</p>
+                    </div>
+                ) : (
+                    <div className="card">
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>When</th>
+                                        <th>Action</th>
+                                        <th>Case / Patient</th>
+                                        <th>By</th>
+                                        <th>From</th>
+                                        <th>Outcome</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {entries.map(entry => (
+                                        <tr key={entry.id}>
+                                            <td className="text-sm">{new Date(entry.timestamp).toLocaleString()}</td>
+                                            <td>
+                                                {ACTION_LABELS[entry.action] || entry.action}
+                                                <div className="text-muted text-sm"><code>{entry.method} {entry.route}</code></div>
+                                            </td>
+                                            <td>
+                                                <strong>{entry.caseId || '—'}</strong>
+                                                <div className="text-muted text-sm">{entry.patientPhone || ''}</div>
+                                            </td>
+                                            <td>
+                                                {entry.actorName || (entry.actorRole === 'public' ? 'Patient link' : 'Unknown')}
+                                                <div className="text-muted text-sm">{entry.actorRole}</div>
+                                            </td>
+                                            <td className="text-sm">{entry.ipAddress || '—'}</td>
+                                            <td>
+                                                <span className={`badge ${OUTCOME_BADGES[entry.outcome] || 'badge-info'}`}>
+                                                    {entry.outcome.replace('_', ' ')}
+                                                </span>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default AuditLog;
@@ -11,6 +11,7 @@
  * - Statistics cards showing key metrics
  * - Quick action cards for common tasks
  * - Recent follow-ups list (top 5)
+ * - "Urgent Cases" banner: urgent alerts to acknowledge (UrgentAlertsBanner)
  * 
  * STATISTICS TRACKED:
  * - Total Prescriptions: All prescriptions created by this doctor
@@ -36,6 +37,7 @@ import { useNavigate } from 'react-router-dom';
 import { getDoctorPrescriptions, getDoctorFollowUps } from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import UrgentAlertsBanner from '../components/UrgentAlertsBanner';
 
 /**
  * DoctorDashboard Component
@@ -69,8 +71,8 @@ function DoctorDashboard({ user }) {
      */
     const [loading, setLoading] = useState(true);
 
-    // Get doctor ID from user object (fallback for development)
-    const doctorId = user?.id || 'doctor-001';
+    // Get doctor ID from the logged-in session
+    const doctorId = user?.userId;
 
     // ========== DATA LOADING ==========
     
@@ -128,6 +130,10 @@ function DoctorDashboard({ user }) {
         <div className="page">
             <div className="container">
                 <Disclaimer />
+
+                {/* ========== URGENT CASES ========== */}
+                {/* Unacknowledged urgent alerts - hidden when there are none */}
+                <UrgentAlertsBanner user={user} />
                 
                 {/* ========== HEADER WITH WELCOME + ACTION ========== */}
                 <div className="d-flex justify-between align-center mb-4">
@@ -211,6 +217,27 @@ function DoctorDashboard({ user }) {
                         <h4>Adverse Events</h4>
                         <p className="text-muted text-sm">Review safety reports</p>
                     </div>
+
+                    {/* Regulatory Queue - reporting deadlines */}
+                    <div className="card" style={{ cursor: 'pointer' }} onClick={() => navigate('/doctor/regulatory-queue')}>
+                        <div style={{ fontSize: '2rem' }}>⏱️</div>
+                        <h4>Regulatory Queue</h4>
+                        <p className="text-muted text-sm">Cases due for reporting, by deadline</p>
+                    </div>
+
+                    {/* Signals - drug-reaction patterns across cases */}
+                    <div className="card" style={{ cursor: 'pointer' }} onClick={() => navigate('/signals')}>
+                        <div style={{ fontSize: '2rem' }}>📊</div>
+                        <h4>Signals</h4>
+                        <p className="text-muted text-sm">Drugs reported with a reaction more often than others</p>
+                    </div>
+
+                    {/* Automatic Follow-Up Schedule */}
+                    <div className="card" style={{ cursor: 'pointer' }} onClick={() => navigate('/doctor/follow-up-schedule')}>
+                        <div style={{ fontSize: '2rem' }}>📅</div>
+                        <h4>Follow-Up Schedule</h4>
+                        <p className="text-muted text-sm">When automatic follow-ups are sent</p>
+                    </div>
                 </div>
             </div>
         </div>
@@ -0,0 +1,244 @@
+/**
+ * ============================================================================
+ * FollowUpScheduleSettings.js - Doctor's Automatic Follow-Up Schedule
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets a doctor choose when follow-ups are sent automatically for their
+ * new prescriptions, relative to the prescribed duration.
+ *
+ * FEATURES:
+ * - Turn automatic follow-ups on or off
+ * - Up to 5 follow-up times, each either:
+ *     "% of course"        (50 = mid-course, 100 = end of course)
+ *     "days after course"  (7 = one week after the last dose)
+ * - Restore the system defaults
+ * - Example dates for a 14-day course
+ *
+ * NOTES:
+ * - Changes apply to prescriptions created afterwards
+ * - Individual prescriptions can be paused/cancelled from the
+ *   prescription details (PrescriptionSchedule component)
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getScheduleDefaults, updateScheduleDefaults } from '../services/api';
+import Loading from '../components/Loading';
+
+// Limits enforced by the backend as well
+const MAX_OFFSETS = 5;
+const EXAMPLE_COURSE_DAYS = 14;
+
+/**
+ * Day on which an offset fires for a course of the given length
+ * (mirrors computeSchedule() in the backend schedule service)
+ *
+ * @param {object} offset - { type, value }
+ * @param {number} durationDays - Course length
+ * @returns {number} Days after the prescription date
+ */
+function offsetDay(offset, durationDays) {
+    const value = Number(offset.value) || 0;
+    return offset.type === 'percent_of_course'
+        ? Math.max(1, Math.round(durationDays * value / 100))
+        : durationDays + value;
+}
+
+/**
+ * FollowUpScheduleSettings Component
+ */
+function FollowUpScheduleSettings() {
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [enabled, setEnabled] = useState(true);
+    const [offsets, setOffsets] = useState([]);
+    const [systemDefaults, setSystemDefaults] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        loadDefaults();
+    }, []);
+
+    /**
+     * Fetch the doctor's current schedule
+     */
+    const loadDefaults = async () => {
+        try {
+            const result = await getScheduleDefaults();
+            setEnabled(result.data.enabled);
+            setOffsets(result.data.offsets);
+            setSystemDefaults(result.data.systemDefaults);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Update one field of one offset row
+     */
+    const updateOffset = (index, field, value) => {
+        setOffsets(offsets.map((o, i) => (i === index ? { ...o, [field]: value } : o)));
+    };
+
+    const addOffset = () => {
+        setOffsets([...offsets, { type: 'days_after_end', value: 3, label: '' }]);
+    };
+
+    const removeOffset = (index) => {
+        setOffsets(offsets.filter((_, i) => i !== index));
+    };
+
+    /**
+     * Save the schedule
+     */
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        setMessage(null);
+
+        try {
+            const result = await updateScheduleDefaults({
+                enabled,
+                offsets: offsets.map(o => ({ ...o, value: Number(o.value) })),
+            });
+            setOffsets(result.data.offsets);
+            setMessage(result.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading follow-up schedule..." />;
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container" style={{ maxWidth: '760px' }}>
+                <div className="mb-4">
+                    <button className="btn btn-sm btn-secondary mb-3" onClick={() => navigate('/doctor/dashboard')}>
+                        ← Back to Dashboard
+                    </button>
+                    <h1>📅 Automatic Follow-Ups</h1>
+                    <p className="text-muted">
+                        Follow-ups are sent to the patient automatically, based on the duration
+                        of each new prescription.
+                    </p>
+                </div>
+
+                {error && <div className="alert alert-error mb-4">{error}</div>}
+                {message && <div className="alert alert-success mb-4">{message}</div>}
+
+                <form className="card" onSubmit={handleSave}>
+                    {/* ---------- On / Off ---------- */}
+                    <label className="d-flex gap-2 mb-4" style={{ alignItems: 'center', cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={enabled}
+                            onChange={(e) => setEnabled(e.target.checked)}
+                        />
+                        <strong>Send follow-ups automatically for new prescriptions</strong>
+                    </label>
+
+                    {/* ---------- Offsets ---------- */}
+                    {enabled && (
+                        <>
+                            {offsets.length === 0 && (
+                                <p className="text-muted">No follow-up times - add one below.</p>
+                            )}
+
+                            {offsets.map((offset, index) => (
+                                <div key={index} className="d-flex gap-2 mb-3" style={{ alignItems: 'center', flexWrap: 'wrap' }}>
+                                    <input
+                                        type="number"
+                                        className="form-input"
+                                        style={{ maxWidth: '90px' }}
+                                        min={offset.type === 'percent_of_course' ? 1 : 0}
+                                        max={offset.type === 'percent_of_course' ? 100 : 90}
+                                        value={offset.value}
+                                        onChange={(e) => updateOffset(index, 'value', e.target.value)}
+                                        required
+                                    />
+                                    <select
+                                        className="form-input"
+                                        style={{ maxWidth: '200px' }}
+                                        value={offset.type}
+                                        onChange={(e) => updateOffset(index, 'type', e.target.value)}
+                                    >
+                                        <option value="percent_of_course">% of the course</option>
+                                        <option value="days_after_end">days after the course</option>
+                                    </select>
+                                    <input
+                                        type="text"
+                                        className="form-input"
+                                        style={{ flex: 1, minWidth: '140px' }}
+                                        maxLength={40}
+                                        placeholder="Label (optional)"
+                                        value={offset.label || ''}
+                                        onChange={(e) => updateOffset(index, 'label', e.target.value)}
+                                    />
+                                    <span className="text-muted text-sm" style={{ minWidth: '70px' }}>
+                                        day {offsetDay(offset, EXAMPLE_COURSE_DAYS)}
+                                    </span>
+                                    <button type="button" className="btn btn-sm btn-secondary" onClick={() => removeOffset(index)}>
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+
+                            <p className="text-muted text-sm mb-3">
+                                "day N" shows when each follow-up would be sent for a {EXAMPLE_COURSE_DAYS}-day course.
+                                Follow-ups that fall on the same day are sent once.
+                            </p>
+
+                            <div className="d-flex gap-2 mb-4">
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-secondary"
+                                    onClick={addOffset}
+                                    disabled={offsets.length >= MAX_OFFSETS}
+                                >
+                                    + Add follow-up
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-sm btn-secondary"
+                                    onClick={() => setOffsets(systemDefaults)}
+                                >
+                                    Restore defaults
+                                </button>
+                            </div>
+                        </>
+                    )}
+
+                    <div className="alert alert-info mb-3 text-sm">
+                        Changes apply to prescriptions created from now on. To stop follow-ups for one
+                        patient, pause or cancel them from the prescription details.
+                    </div>
+
+                    <button type="submit" className="btn btn-primary" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Schedule'}
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default FollowUpScheduleSettings;
@@ -10,16 +10,21 @@
  * ⚠️ CRITICAL PRIVACY:
  * - Only accessible AFTER patient has given explicit consent
  * - Patient verified all responses before they became visible here
- * - Shows prescription details + AI-generated summary
+ * - Shows prescription details + the structured summary of the answers
  * 
  * FEATURES:
- * - Prescription details (medicine, dosage, duration)
- * - Patient-verified summary from AI
+ * - Prescription details (each medicine, course duration)
+ * - Structured summary: highlights (urgent, serious, adherence, requests)
+ *   and every answer with the patient's notes - built without AI
+ * - Optional AI narrative of the same answers (when enabled)
+ * - Answers to the condition-specific (personalized) questions
+ * - Link to the adverse event case opened when the patient reported a problem
+ * - Whether the patient was shown emergency guidance for a red-flag answer
  * - Submission timestamp (audit trail)
  * - Close case action
  * 
  * DATA FLOW:
- * - Fetches summary via API (requires doctorId for authorization)
+ * - Fetches summary via API (doctor identity comes from the login token)
  * - API returns 403 if patient hasn't consented yet
  * - Doctor can "Close Case" when review is complete
  * 
@@ -31,10 +36,28 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { getFollowUpSummary, closeFollowUp } from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import MedicineTable from '../components/MedicineTable';
 
-// Hardcoded doctor ID for development
-// TODO: Replace with user.id from props in production
-const DOCTOR_ID = 'doctor-001';
+/**
+ * Display names for the questionnaire paths
+ */
+const PATH_LABELS = {
+    positive: { label: 'Improving', badge: 'badge-success' },
+    adverse: { label: 'Reported a problem', badge: 'badge-error' },
+    neutral: { label: 'No change', badge: 'badge-info' },
+};
+
+/**
+ * Display names for personalized question categories
+ */
+const CATEGORY_LABELS = {
+    primary_symptom: 'Primary symptom',
+    red_flags: 'Red flags',
+    functional: 'Functional status',
+    medication_response: 'Medication response',
+    recovery: 'Recovery',
+    other: 'Other',
+};
 
 /**
  * FollowUpSummary Component
@@ -58,12 +81,12 @@ function FollowUpSummary() {
     /**
      * Fetch follow-up summary from backend
      * 
-     * SECURITY: API requires doctorId to verify ownership
-     * Will return 403 if patient hasn't consented
+     * SECURITY: Backend verifies ownership from the JWT
+     * Will return 403 if patient hasn't consented or case isn't ours
      */
     const loadSummary = async () => {
         try {
-            const result = await getFollowUpSummary(id, DOCTOR_ID);
+            const result = await getFollowUpSummary(id);
             setSummary(result.data);
         } catch (err) {
             setError(err.message);
@@ -81,11 +104,11 @@ function FollowUpSummary() {
      * 3. Navigate back to follow-ups list
      */
     const handleClose = async () => {
-        if (!window.confirm('Are you sure you want to close this case?')) return;
+        if (!window.confirm('Are you sure you want to close this case? Remaining automatic follow-ups for this prescription will be cancelled.')) return;
         
         setClosing(true);
         try {
-            await closeFollowUp(id, DOCTOR_ID, 'Reviewed and closed');
+            await closeFollowUp(id, 'Reviewed and closed');
             navigate('/doctor/follow-ups');
         } catch (err) {
             alert('Failed to close: ' + err.message);
@@ -96,6 +119,20 @@ function FollowUpSummary() {
 
     // ========== LOADING STATE ==========
     if (loading) return <Loading message="Loading summary..." />;
+
+    const structured = summary?.structuredSummary;
+
+    /**
+     * Label of an answer that showed the patient the emergency guidance
+     * (falls back to the option value)
+     */
+    const triggerLabel = (value) => {
+        for (const answer of structured?.answers || []) {
+            const index = [].concat(answer.selected).indexOf(value);
+            if (index !== -1) return answer.selectedLabels[index];
+        }
+        return value;
+    };
     
     // ========== ERROR STATE ==========
     if (error) return (
@@ -128,57 +165,122 @@ function FollowUpSummary() {
                 <div className="card mb-3">
                     <h3 className="mb-2">💊 Prescription</h3>
                     <div style={{ background: 'linear-gradient(135deg, #667eea15 0%, #764ba215 100%)', padding: '1rem', borderRadius: '8px' }}>
-                        <table style={{ width: '100%', borderCollapse: 'collapse', background: '#fff', border: '1px solid var(--color-border)', borderRadius: '8px' }}>
-                            <thead>
-                                <tr style={{ background: 'var(--color-bg-secondary)' }}>
-                                    <th style={{ textAlign: 'left', padding: '0.85rem', fontSize: '0.9rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '40%' }}>
-                                        Medicine Name
-                                    </th>
-                                    <th style={{ textAlign: 'left', padding: '0.85rem', fontSize: '0.9rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)' }}>
-                                        Dosage Instructions
-                                    </th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                <tr>
-                                    {/* Medicine name - highlighted */}
-                                    <td style={{ padding: '0.85rem', fontWeight: '600', color: 'var(--color-primary)', fontSize: '1.05rem', verticalAlign: 'top' }}>
-                                        {summary?.prescription?.medicineName}
-                                    </td>
-                                    {/* Dosage and duration */}
-                                    <td style={{ padding: '0.85rem', verticalAlign: 'top' }}>
-                                        <div style={{ marginBottom: '0.5rem', fontSize: '1rem' }}>
-                                            {summary?.prescription?.dosage}
-                                        </div>
-                                        <div style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>
-                                            Duration: {summary?.prescription?.duration}
-                                        </div>
-                                        {summary?.prescription?.condition && (
-                                            <div style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)', marginTop: '0.25rem' }}>
-                                                Condition: {summary?.prescription?.condition}
-                                            </div>
-                                        )}
-                                    </td>
-                                </tr>
-                            </tbody>
-                        </table>
+                        <MedicineTable medicines={summary?.prescription?.medicines} />
+                        <div style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)', marginTop: '0.5rem' }}>
+                            Course duration: {summary?.prescription?.duration}
+                            {summary?.prescription?.condition && <> · Condition: {summary?.prescription?.condition}</>}
+                        </div>
                     </div>
                 </div>
 
                 {/* ========== PATIENT SUMMARY ========== */}
-                {/* This is the AI-generated, patient-verified summary */}
+                {/* Structured summary - built from the patient's answers without AI */}
                 <div className="card mb-3">
-                    <h3 className="mb-2">Patient-Verified Summary</h3>
-                    {/* Pre-formatted text preserves line breaks from AI */}
-                    <div style={{ whiteSpace: 'pre-wrap', lineHeight: '1.8' }}>
-                        {summary?.summary || 'No summary available'}
+                    <div className="d-flex justify-between align-center mb-2">
+                        <h3 style={{ margin: 0 }}>Patient-Verified Summary</h3>
+                        {PATH_LABELS[structured?.pathType] && (
+                            <span className={`badge ${PATH_LABELS[structured.pathType].badge}`}>
+                                {PATH_LABELS[structured.pathType].label}
+                            </span>
+                        )}
                     </div>
+
+                    {/* Urgent, serious, adherence and contact requests first */}
+                    {structured?.highlights?.length > 0 && (
+                        <div className={`alert ${structured.flags.needsUrgentAttention ? 'alert-error' : 'alert-warning'} mb-2`}>
+                            {structured.highlights.map(highlight => (
+                                <div key={highlight}>{highlight}</div>
+                            ))}
+                        </div>
+                    )}
+
+                    {structured?.answers?.map(answer => (
+                        <div key={answer.questionId} style={{ padding: '0.75rem 0', borderBottom: '1px solid var(--color-border)' }}>
+                            <div className="text-sm text-muted">{answer.question}</div>
+                            <div style={{ fontWeight: '600' }}>{answer.selectedLabels.join(', ')}</div>
+                            {answer.notes && (
+                                <div className="text-sm" style={{ marginTop: '0.25rem' }}>Patient notes: {answer.notes}</div>
+                            )}
+                        </div>
+                    ))}
+                    {structured?.answers?.length === 0 && <p className="text-muted">No answers recorded.</p>}
+
+                    {/* Older submissions kept all notes in one field */}
+                    {structured?.notes && (
+                        <p className="text-sm mt-2">Additional notes: {structured.notes}</p>
+                    )}
+
                     {/* Submission timestamp for audit trail */}
                     <p className="text-muted text-sm mt-3">
                         Submitted: {summary?.submittedAt ? new Date(summary.submittedAt).toLocaleString() : 'N/A'}
                     </p>
                 </div>
 
+                {/* ========== AI NARRATIVE (OPTIONAL) ========== */}
+                {/* Reformatted by AI from the answers above - only when enabled and successful */}
+                {summary?.summary && (
+                    <div className="card mb-3">
+                        <h3 className="mb-2">AI Narrative</h3>
+                        <p className="text-muted text-sm">Written by AI from the answers above. The answers are the record.</p>
+                        {/* Pre-formatted text preserves line breaks from AI */}
+                        <div style={{ whiteSpace: 'pre-wrap', lineHeight: '1.8' }}>
+                            {summary.summary}
+                        </div>
+                    </div>
+                )}
+
+                {/* ========== ADVERSE EVENT CASE ========== */}
+                {/* Opened automatically from this follow-up's problem report */}
+                {summary?.adverseEvent && (
+                    <div className={`alert ${summary.adverseEvent.isUrgent ? 'alert-error' : 'alert-warning'} mb-3`}>
+                        <div className="d-flex justify-between align-center" style={{ gap: '0.5rem', width: '100%' }}>
+                            <div>
+                                <strong>Adverse event case {summary.adverseEvent.caseId}</strong>
+                                <div className="text-sm">Opened from the problem reported in this follow-up.</div>
+                            </div>
+                            <button
+                                className="btn btn-sm btn-secondary"
+                                onClick={() => navigate(`/doctor/adverse-events?case=${summary.adverseEvent.id}`)}
+                            >
+                                View Case
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* ========== EMERGENCY GUIDANCE ========== */}
+                {/* Patient picked a red-flag answer and was told to seek urgent care */}
+                {summary?.emergencyGuidance && (
+                    <div className="alert alert-warning mb-3">
+                        <span>🚨</span>
+                        <span>
+                            Emergency guidance was shown to the patient
+                            {' '}({new Date(summary.emergencyGuidance.shownAt).toLocaleString()})
+                            {' '}after answering: {summary.emergencyGuidance.triggers.map(triggerLabel).join(', ')}.
+                        </span>
+                    </div>
+                )}
+
+                {/* ========== CONDITION-SPECIFIC ANSWERS ========== */}
+                {/* One row per personalized question the patient answered */}
+                {summary?.personalizedAnswers?.length > 0 && (
+                    <div className="card mb-3">
+                        <h3 className="mb-2">Condition-Specific Questions</h3>
+                        {summary.personalizedAnswers.map(answer => (
+                            <div key={answer.questionId} style={{ padding: '0.75rem 0', borderBottom: '1px solid var(--color-border)' }}>
+                                <div className="d-flex justify-between align-center" style={{ gap: '0.5rem' }}>
+                                    <strong>{answer.question}</strong>
+                                    <span className="badge badge-info">{CATEGORY_LABELS[answer.category] || CATEGORY_LABELS.other}</span>
+                                </div>
+                                <div style={{ marginTop: '0.25rem' }}>{answer.selectedLabels.join(', ')}</div>
+                                {answer.notes && (
+                                    <div className="text-sm text-muted" style={{ marginTop: '0.25rem' }}>Patient notes: {answer.notes}</div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 {/* ========== ACTION BUTTONS ========== */}
                 <div className="d-flex gap-2">
                     <button className="btn btn-secondary" onClick={() => navigate('/doctor/follow-ups')}>
@@ -15,6 +15,7 @@
  * FEATURES:
  * - Table view of all follow-ups
  * - Status badges with color coding
+ * - Automatic reminders sent and last contact (escalated = staff asked to call)
  * - Click to view summary (when available)
  * - Empty state with call-to-action
  * 
@@ -46,8 +47,8 @@ function FollowUpsList({ user }) {
     const [followUps, setFollowUps] = useState([]);
     const [loading, setLoading] = useState(true);
     
-    // Get doctor ID (fallback for development)
-    const doctorId = user?.id || 'doctor-001';
+    // Doctor ID from the logged-in session
+    const doctorId = user?.userId;
 
     // Load follow-ups on mount
     useEffect(() => { loadFollowUps(); }, [doctorId]);
@@ -112,6 +113,7 @@ function FollowUpsList({ user }) {
                                         <th>Case ID</th>
                                         <th>Status</th>
                                         <th>Created</th>
+                                        <th>Reminders</th>
                                         <th>Action</th>
                                     </tr>
                                 </thead>
@@ -122,13 +124,28 @@ function FollowUpsList({ user }) {
                                             <td><strong>{f.caseId}</strong></td>
                                             
                                             {/* Status badge */}
-                                            <td>{getStatusBadge(f.status, f.hasSummary)}</td>
+                                            <td>
+                                                {getStatusBadge(f.status, f.hasSummary)}
+                                                {/* Patient reported a problem - safety case opened */}
+                                                {f.adverseEventId && <span className="badge badge-error" style={{ marginLeft: '0.5rem' }}>Adverse Event</span>}
+                                            </td>
                                             
                                             {/* Creation date */}
                                             <td className="text-muted">
                                                 {new Date(f.createdAt).toLocaleDateString()}
                                             </td>
                                             
+                                            {/* Automatic reminders and last contact */}
+                                            <td className="text-sm">
+                                                {f.reminderCount || 0}
+                                                {f.escalatedAt && <span className="badge badge-error" style={{ marginLeft: '0.5rem' }}>Escalated</span>}
+                                                {f.lastContactedAt && (
+                                                    <div className="text-muted">
+                                                        Last contacted {new Date(f.lastContactedAt).toLocaleString()}
+                                                    </div>
+                                                )}
+                                            </td>
+                                            
                                             {/* Action - View Summary or Pending message */}
                                             <td>
                                                 {f.hasSummary ? (
@@ -0,0 +1,121 @@
+/**
+ * ============================================================================
+ * ForgotPassword.js - Request a Password Reset Link
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets a doctor, staff member or admin who forgot their password
+ * request a reset link by email.
+ *
+ * FLOW:
+ * 1. User enters their account email
+ * 2. Backend emails a single-use link: /reset-password/<token>
+ * 3. The same confirmation is shown whether or not the account exists
+ *    (the backend never reveals which emails are registered)
+ *
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { forgotPassword } from '../services/api';
+
+/**
+ * ForgotPassword Component
+ */
+function ForgotPassword() {
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [email, setEmail] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);  // Confirmation after submit
+
+    /**
+     * Request the reset email
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+
+        try {
+            const result = await forgotPassword(email);
+            setMessage(result.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container" style={{ maxWidth: '450px' }}>
+                <div className="card animate-slide-up">
+                    <div className="text-center mb-4">
+                        <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>🔑</div>
+                        <h1>Forgot Password</h1>
+                        <p className="text-muted">
+                            Enter your account email and we will send you a link to reset your password.
+                        </p>
+                    </div>
+
+                    {error && (
+                        <div className="alert alert-error mb-3">
+                            <span>❌</span>
+                            <span>{error}</span>
+                        </div>
+                    )}
+
+                    {message ? (
+                        <div className="alert alert-success mb-3">
+                            <span>📧</span>
+                            <span>{message}</span>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit}>
+                            <div className="form-group">
+                                <label className="form-label">Email *</label>
+                                <input
+                                    type="email"
+                                    className="form-input"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    required
+                                    placeholder="email@hospital.com"
+                                />
+                            </div>
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                style={{ width: '100%', marginTop: '1rem' }}
+                                disabled={loading}
+                            >
+                                {loading ? '⏳ Please wait...' : '📧 Send Reset Link'}
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="text-center mt-4">
+                        <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => navigate('/login')}
+                        >
+                            ← Back to Login
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default ForgotPassword;
@@ -5,14 +5,20 @@
  * 
  * PURPOSE:
  * Combined login and registration page for Doctors and Staff.
+ * Admins log in here too (they cannot register - see createAdmin.js).
  * Patients do NOT use this page - they authenticate via OTP.
  * 
  * FEATURES:
  * - Toggle between login and registration modes
  * - Role selection (Doctor vs Staff)
  * - Dynamic form fields based on role
- * - Stores JWT token and user info in localStorage
+ * - Stores access/refresh tokens and user info in localStorage
  * - Redirects to appropriate dashboard after login
+ * - Forces a new password after an admin password reset
+ * - "Forgot password?" link and email verification notices
+ *   (new accounts must verify their email before the first login)
+ * - Second login step for two-factor authentication (authenticator
+ *   or backup code), including enrollment when the hospital requires it
  * 
  * FORM FIELDS:
  * Login:
@@ -35,6 +41,15 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Disclaimer from '../components/Disclaimer';
+import OTPInput from '../components/OTPInput';
+import BackupCodes from '../components/BackupCodes';
+import {
+    changePassword,
+    saveSession,
+    resendVerification,
+    verifyLoginTwoFactor,
+    startLoginTwoFactorSetup,
+} from '../services/api';
 
 /**
  * Login Component
@@ -62,6 +77,52 @@ function Login({ onLogin }) {
      * error: Error message from failed login/registration
      */
     const [error, setError] = useState(null);
+
+    /**
+     * notice: Success message (e.g. "check your email" after registering)
+     */
+    const [notice, setNotice] = useState(null);
+
+    /**
+     * unverifiedEmail: Set when login is refused because the email
+     * address is not verified yet - offers to resend the link
+     */
+    const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+
+    /**
+     * pendingUser: Logged-in user who must replace a temporary password
+     * before continuing (set after an admin reset)
+     */
+    const [pendingUser, setPendingUser] = useState(null);
+
+    /**
+     * twoFactor: Second login step after a correct password
+     * { challengeToken, setupRequired, enrollment: { qrCode, secret } | null }
+     */
+    const [twoFactor, setTwoFactor] = useState(null);
+
+    /**
+     * useBackupCode / backupCode: Log in with a backup code instead
+     */
+    const [useBackupCode, setUseBackupCode] = useState(false);
+    const [backupCode, setBackupCode] = useState('');
+
+    /**
+     * codeAttempt: Remounts the code boxes (clears them) after a wrong code
+     */
+    const [codeAttempt, setCodeAttempt] = useState(0);
+
+    /**
+     * enrolled: Login data + backup codes after enrolling during login -
+     * the codes are shown before continuing to the dashboard
+     */
+    const [enrolled, setEnrolled] = useState(null);
+
+    /**
+     * newPassword / confirmPassword: Fields of the forced change form
+     */
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
     
     /**
      * formData: Form field values
@@ -76,6 +137,7 @@ function Login({ onLogin }) {
         role: 'doctor',          // Default role
         specialization: '',      // Doctor only
         phone: '',
+        hospitalId: '',          // Blank → backend assigns 'default-hospital'
     });
 
     // ========== HANDLERS ==========
@@ -94,14 +156,17 @@ function Login({ onLogin }) {
      * FLOW:
      * 1. Determine endpoint (login vs register)
      * 2. Send appropriate data to backend
-     * 3. Store token and user in localStorage
-     * 4. Call parent's onLogin callback
-     * 5. Navigate to role-appropriate dashboard
+     * 3. Registration: ask the user to verify their email, switch to login
+     * 4. Login: store token and user in localStorage
+     * 5. Call parent's onLogin callback
+     * 6. Navigate to role-appropriate dashboard
      */
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError(null);
+        setNotice(null);
+        setUnverifiedEmail(null);
 
         try {
             // Choose endpoint based on mode
@@ -121,32 +186,332 @@ function Login({ onLogin }) {
             const result = await response.json();
 
             if (!result.success) {
+                if (result.code === 'EMAIL_NOT_VERIFIED') {
+                    setUnverifiedEmail(formData.email);
+                }
                 throw new Error(result.error);
             }
 
-            // ========== SUCCESS: STORE SESSION ==========
-            // Store JWT token for subsequent API calls
-            localStorage.setItem('token', result.data.token);
-            // Store user object for UI display
-            localStorage.setItem('user', JSON.stringify(result.data));
+            // ========== REGISTERED: VERIFY EMAIL FIRST ==========
+            if (result.data.emailVerificationRequired) {
+                setNotice(result.message);
+                setIsLogin(true);
+                setFormData({ ...formData, password: '' });
+                return;
+            }
+
+            // ========== TWO-FACTOR: SECOND STEP ==========
+            if (result.data.twoFactorRequired) {
+                const { challengeToken, setupRequired } = result.data;
+                // Hospital requires 2FA and the user has not enrolled yet
+                const enrollment = setupRequired
+                    ? (await startLoginTwoFactorSetup(challengeToken)).data
+                    : null;
+                setTwoFactor({ challengeToken, setupRequired, enrollment });
+                return;
+            }
+
+            handleAuthenticated(result.data);
 
-            // Update parent App component's user state
-            onLogin(result.data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
 
-            // Redirect to appropriate dashboard based on role
-            if (result.data.role === 'doctor') {
-                navigate('/doctor/dashboard');
-            } else {
-                navigate('/staff/dashboard');
+    /**
+     * Store the session once every login step has passed
+     * 
+     * @param {object} data - Login response data (user + tokens)
+     */
+    const handleAuthenticated = (data) => {
+        // ========== SUCCESS: STORE SESSION ==========
+        // Store access + refresh tokens for subsequent API calls
+        saveSession(data);
+        // The refresh token lives only in its own storage key
+        const { refreshToken, backupCodes, backupCodesRemaining, ...userData } = data;
+
+        // Temporary password from an admin reset - must be replaced first
+        if (userData.mustChangePassword) {
+            setPendingUser(userData);
+            return;
+        }
+
+        completeLogin(userData);
+    };
+
+    /**
+     * Verify the second factor
+     * 
+     * @param {object} proof - { code } or { backupCode }
+     */
+    const handleTwoFactor = async (proof) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const result = await verifyLoginTwoFactor(twoFactor.challengeToken, proof);
+            setTwoFactor(null);
+
+            // Just enrolled - show the backup codes before continuing
+            if (result.data.backupCodes) {
+                setEnrolled(result.data);
+                return;
             }
 
+            handleAuthenticated(result.data);
         } catch (err) {
             setError(err.message);
+            setCodeAttempt(codeAttempt + 1);
         } finally {
             setLoading(false);
         }
     };
 
+    /**
+     * Abandon the second step and start over with the password
+     */
+    const resetTwoFactor = () => {
+        setTwoFactor(null);
+        setUseBackupCode(false);
+        setBackupCode('');
+        setError(null);
+    };
+
+    /**
+     * Send a new verification link to an unverified account
+     */
+    const handleResendVerification = async () => {
+        setError(null);
+        try {
+            const result = await resendVerification(unverifiedEmail);
+            setNotice(result.message);
+            setUnverifiedEmail(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    /**
+     * Finish login: store user, update App state, go to dashboard
+     * 
+     * @param {object} userData - User object from the backend (with token)
+     */
+    const completeLogin = (userData) => {
+        // Store user object for UI display
+        localStorage.setItem('user', JSON.stringify(userData));
+
+        // Update parent App component's user state
+        onLogin(userData);
+
+        // Redirect to appropriate dashboard based on role
+        if (userData.role === 'doctor') {
+            navigate('/doctor/dashboard');
+        } else if (userData.role === 'admin') {
+            navigate('/admin/users');
+        } else {
+            navigate('/staff/dashboard');
+        }
+    };
+
+    /**
+     * Replace the temporary password after an admin reset
+     * 
+     * The backend keeps this session and signs out every other device.
+     */
+    const handleChangePassword = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        if (newPassword !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await changePassword(formData.password, newPassword);
+            completeLogin({ ...pendingUser, mustChangePassword: false });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ========== BACKUP CODES AFTER ENROLLMENT ==========
+    if (enrolled) {
+        return (
+            <div className="page">
+                <div className="container" style={{ maxWidth: '450px' }}>
+                    <div className="card animate-slide-up">
+                        <div className="text-center mb-4">
+                            <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>✅</div>
+                            <h1>Two-Factor Enabled</h1>
+                        </div>
+                        <BackupCodes
+                            codes={enrolled.backupCodes}
+                            doneLabel="Continue"
+                            onDone={() => handleAuthenticated(enrolled)}
+                        />
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    // ========== TWO-FACTOR STEP ==========
+    if (twoFactor) {
+        return (
+            <div className="page">
+                <div className="container" style={{ maxWidth: '450px' }}>
+                    <div className="card animate-slide-up">
+                        <div className="text-center mb-4">
+                            <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>🔐</div>
+                            <h1>{twoFactor.setupRequired ? 'Set Up Two-Factor' : 'Two-Factor Verification'}</h1>
+                            <p className="text-muted">
+                                {twoFactor.setupRequired
+                                    ? 'Your hospital requires two-factor authentication. Scan this QR code with an authenticator app, then enter the 6-digit code.'
+                                    : useBackupCode
+                                        ? 'Enter one of your backup codes.'
+                                        : 'Enter the 6-digit code from your authenticator app.'}
+                            </p>
+                        </div>
+
+                        {error && (
+                            <div className="alert alert-error mb-3">
+                                <span>❌</span>
+                                <span>{error}</span>
+                            </div>
+                        )}
+
+                        {/* ===== ENROLLMENT QR CODE ===== */}
+                        {twoFactor.enrollment && (
+                            <div className="text-center mb-3">
+                                <img src={twoFactor.enrollment.qrCode} alt="Authenticator QR code" style={{ width: '200px' }} />
+                                <p className="text-muted text-sm">
+                                    Can't scan? Enter this key: <code>{twoFactor.enrollment.secret}</code>
+                                </p>
+                            </div>
+                        )}
+
+                        {/* ===== CODE ENTRY ===== */}
+                        {useBackupCode ? (
+                            <form onSubmit={(e) => { e.preventDefault(); handleTwoFactor({ backupCode }); }}>
+                                <div className="form-group">
+                                    <input
+                                        type="text"
+                                        className="form-input"
+                                        value={backupCode}
+                                        onChange={(e) => setBackupCode(e.target.value)}
+                                        required
+                                        placeholder="XXXXX-XXXXX"
+                                        autoFocus
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    className="btn btn-primary"
+                                    style={{ width: '100%' }}
+                                    disabled={loading}
+                                >
+                                    {loading ? '⏳ Please wait...' : '🔐 Verify'}
+                                </button>
+                            </form>
+                        ) : (
+                            <OTPInput
+                                key={codeAttempt}
+                                length={6}
+                                onComplete={(code) => handleTwoFactor({ code })}
+                            />
+                        )}
+
+                        <div className="text-center mt-4">
+                            {!twoFactor.setupRequired && (
+                                <button
+                                    type="button"
+                                    className="btn btn-link"
+                                    style={{ textDecoration: 'underline' }}
+                                    onClick={() => { setUseBackupCode(!useBackupCode); setError(null); }}
+                                >
+                                    {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+                                </button>
+                            )}
+                            <div className="mt-3">
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={resetTwoFactor}>
+                                    ← Back to Login
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    // ========== FORCED PASSWORD CHANGE ==========
+    if (pendingUser) {
+        return (
+            <div className="page">
+                <div className="container" style={{ maxWidth: '450px' }}>
+                    <div className="card animate-slide-up">
+                        <div className="text-center mb-4">
+                            <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>🔑</div>
+                            <h1>Choose a New Password</h1>
+                            <p className="text-muted">
+                                Your password was reset by an administrator.
+                                Please set a new one to continue.
+                            </p>
+                        </div>
+
+                        {error && (
+                            <div className="alert alert-error mb-3">
+                                <span>❌</span>
+                                <span>{error}</span>
+                            </div>
+                        )}
+
+                        <form onSubmit={handleChangePassword}>
+                            <div className="form-group">
+                                <label className="form-label">New Password *</label>
+                                <input
+                                    type="password"
+                                    className="form-input"
+                                    value={newPassword}
+                                    onChange={(e) => setNewPassword(e.target.value)}
+                                    required
+                                    minLength={6}
+                                    placeholder="••••••••"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Confirm New Password *</label>
+                                <input
+                                    type="password"
+                                    className="form-input"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    required
+                                    minLength={6}
+                                    placeholder="••••••••"
+                                />
+                            </div>
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                style={{ width: '100%', marginTop: '1rem' }}
+                                disabled={loading}
+                            >
+                                {loading ? '⏳ Please wait...' : '🔐 Save Password'}
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     // ========== RENDER ==========
     return (
         <div className="page">
@@ -196,6 +561,27 @@ function Login({ onLogin }) {
                         </div>
                     )}
 
+                    {/* Login refused until the email is verified */}
+                    {unverifiedEmail && (
+                        <div className="text-center mb-3">
+                            <button
+                                type="button"
+                                className="btn btn-outline btn-sm"
+                                onClick={handleResendVerification}
+                            >
+                                📧 Resend verification email
+                            </button>
+                        </div>
+                    )}
+
+                    {/* ========== NOTICE DISPLAY ========== */}
+                    {notice && (
+                        <div className="alert alert-success mb-3">
+                            <span>📧</span>
+                            <span>{notice}</span>
+                        </div>
+                    )}
+
                     {/* ========== LOGIN/REGISTER FORM ========== */}
                     <form onSubmit={handleSubmit}>
                         
@@ -253,6 +639,22 @@ function Login({ onLogin }) {
                                         placeholder="+91 9876543210"
                                     />
                                 </div>
+
+                                {/* Hospital ID - Scopes all data this user can see */}
+                                <div className="form-group">
+                                    <label className="form-label">Hospital ID</label>
+                                    <input
+                                        type="text"
+                                        name="hospitalId"
+                                        className="form-input"
+                                        value={formData.hospitalId}
+                                        onChange={handleChange}
+                                        placeholder="default-hospital"
+                                    />
+                                    <p className="text-muted text-sm">
+                                        An administrator of this hospital approves your account before you can log in.
+                                    </p>
+                                </div>
                             </>
                         )}
 
@@ -287,6 +689,20 @@ function Login({ onLogin }) {
                             />
                         </div>
 
+                        {/* Forgot password - login mode only */}
+                        {isLogin && (
+                            <div style={{ textAlign: 'right' }}>
+                                <button
+                                    type="button"
+                                    className="btn btn-link"
+                                    style={{ padding: 0, textDecoration: 'underline' }}
+                                    onClick={() => navigate('/forgot-password')}
+                                >
+                                    Forgot password?
+                                </button>
+                            </div>
+                        )}
+
                         {/* Submit Button */}
                         <button
                             type="submit"
@@ -310,6 +726,8 @@ function Login({ onLogin }) {
                                 onClick={() => {
                                     setIsLogin(!isLogin);
                                     setError(null);  // Clear any errors when switching
+                                    setNotice(null);
+                                    setUnverifiedEmail(null);
                                 }}
                             >
                                 {isLogin ? 'Register' : 'Login'}
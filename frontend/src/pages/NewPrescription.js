@@ -37,7 +37,7 @@
  * 
  * DATA CAPTURED:
  * - Patient: name, phone, age
- * - Medicines: name, dosage, frequency, instructions
+ * - Medicines: name, strength, frequency, duration, instructions
  * - Additional: condition, doctor's notes, duration
  * 
  * ============================================================================
@@ -48,6 +48,16 @@ import { useNavigate } from 'react-router-dom';
 import { createPrescription, scanPrescription } from '../services/api';
 import Disclaimer from '../components/Disclaimer';
 
+// A new, empty medicine row (duration blank = same as the course)
+const EMPTY_MEDICINE = {
+    name: '',
+    strength: '',
+    frequencyCode: '1-0-1',
+    frequencyText: 'Twice daily (Morning & Evening)',
+    duration: '',
+    instructions: '',
+};
+
 /**
  * NewPrescription Component
  * 
@@ -69,8 +79,6 @@ function NewPrescription({ user }) {
     const [voiceTarget, setVoiceTarget] = useState(null);    // Which field is receiving voice
     const recognitionRef = useRef(null);                     // Speech recognition instance
     
-    // Get doctor ID (fallback for development)
-    const doctorId = user?.id || 'doctor-001';
     
     // Patient and prescription data
     const [formData, setFormData] = useState({
@@ -84,9 +92,7 @@ function NewPrescription({ user }) {
     
     // Medicines list - each medicine is a separate entry
     // Allows multiple medications per prescription
-    const [medicines, setMedicines] = useState([
-        { name: '', dosage: '', frequencyCode: '1-0-1', frequencyText: 'Twice daily (Morning & Evening)', instructions: '' }
-    ]);
+    const [medicines, setMedicines] = useState([{ ...EMPTY_MEDICINE }]);
 
     // ========== SPEECH RECOGNITION SETUP ==========
     /**
@@ -237,10 +243,7 @@ function NewPrescription({ user }) {
      * Add a new medicine row to the form
      */
     const addMedicine = () => {
-        setMedicines(prev => [
-            ...prev,
-            { name: '', dosage: '', frequencyCode: '1-0-1', frequencyText: 'Twice daily (Morning & Evening)', instructions: '' }
-        ]);
+        setMedicines(prev => [...prev, { ...EMPTY_MEDICINE }]);
     };
 
     /**
@@ -297,10 +300,6 @@ function NewPrescription({ user }) {
                     ...prev,
                     patientName: extracted.patientName || prev.patientName,
                     patientPhone: extracted.patientPhone || prev.patientPhone,
-                    medicineName: extracted.medicineName || prev.medicineName,
-                    dosage: extracted.dosage || prev.dosage,
-                    frequencyCode: extracted.frequencyCode || prev.frequencyCode,
-                    frequencyText: extracted.frequencyText || prev.frequencyText,
                     duration: extracted.duration || prev.duration,
                     condition: extracted.condition || prev.condition,
                     notes: extracted.additionalNotes || prev.notes,
@@ -310,16 +309,18 @@ function NewPrescription({ user }) {
                 if (extracted.medicines && extracted.medicines.length > 0) {
                     setMedicines(extracted.medicines.map(m => ({
                         name: m.name || '',
-                        dosage: m.dosage || '',
+                        strength: m.strength || m.dosage || '',
                         frequencyCode: m.frequencyCode || '1-0-1',
                         frequencyText: m.frequencyText || 'Twice daily (Morning & Evening)',
+                        duration: m.duration || '',
                         instructions: m.instructions || ''
                     })));
                 } else if (extracted.medicineName) {
                     // Create single medicine entry from legacy format
                     setMedicines([{
+                        ...EMPTY_MEDICINE,
                         name: extracted.medicineName,
-                        dosage: extracted.dosage?.split('(')[0]?.trim() || '',
+                        strength: extracted.dosage?.split('(')[0]?.trim() || '',
                         frequencyCode: extracted.frequencyCode || '1-0-1',
                         frequencyText: extracted.frequencyText || 'Twice daily (Morning & Evening)',
                         instructions: extracted.additionalNotes || ''
@@ -373,13 +374,11 @@ function NewPrescription({ user }) {
             // Build prescription data object
             const prescriptionData = {
                 ...formData,
-                doctorId,
+                // doctorId is taken from the login token by the backend
                 doctorName: user?.name || 'Doctor',
-                // Filter out empty medicines
+                // Filter out empty medicines - the backend validates each one
+                // and fills the legacy medicineName/dosage fields itself
                 medicines: medicines.filter(m => m.name.trim() !== ''),
-                // Legacy fields for backward compatibility
-                medicineName: medicines[0]?.name || '',
-                dosage: medicines[0]?.dosage || '',
             };
             
             console.log('📤 Sending prescription data:', prescriptionData);
@@ -455,7 +454,7 @@ function NewPrescription({ user }) {
                                     <thead>
                                         <tr style={{ background: 'var(--color-bg-secondary)' }}>
                                             <th style={{ textAlign: 'left', padding: '0.75rem', fontSize: '0.85rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '30%' }}>Medicine Name</th>
-                                            <th style={{ textAlign: 'left', padding: '0.75rem', fontSize: '0.85rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '20%' }}>Dosage</th>
+                                            <th style={{ textAlign: 'left', padding: '0.75rem', fontSize: '0.85rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '20%' }}>Strength</th>
                                             <th style={{ textAlign: 'center', padding: '0.75rem', fontSize: '0.85rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '25%' }}>
                                                 <div>Frequency</div>
                                                 <div style={{ fontSize: '0.7rem', fontWeight: 'normal', color: 'var(--color-text-muted)' }}>🌅 Morning | ☀️ Afternoon | 🌙 Evening</div>
@@ -471,7 +470,7 @@ function NewPrescription({ user }) {
                                                     {med.name || '-'}
                                                 </td>
                                                 <td style={{ padding: '0.75rem', verticalAlign: 'top', borderBottom: '1px solid var(--color-border)' }}>
-                                                    {med.dosage || '-'}
+                                                    {med.strength || '-'}
                                                 </td>
                                                 {/* Visual frequency code display */}
                                                 <td style={{ padding: '0.75rem', textAlign: 'center', verticalAlign: 'top', borderBottom: '1px solid var(--color-border)' }}>
@@ -507,6 +506,9 @@ function NewPrescription({ user }) {
                                                 </td>
                                                 <td style={{ padding: '0.75rem', verticalAlign: 'top', borderBottom: '1px solid var(--color-border)', fontSize: '0.9rem' }}>
                                                     {med.frequencyText || '-'}
+                                                    {med.duration && (
+                                                        <div style={{ fontSize: '0.8rem', marginTop: '0.25rem' }}>⏱️ {med.duration}</div>
+                                                    )}
                                                     {med.instructions && (
                                                         <div style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', marginTop: '0.25rem', fontStyle: 'italic' }}>
                                                             📝 {med.instructions}
@@ -624,15 +626,15 @@ function NewPrescription({ user }) {
                                 </div>
                             </div>
 
-                            {/* Dosage and Frequency in 2-column grid */}
+                            {/* Strength and Frequency in 2-column grid */}
                             <div className="grid grid-2">
                                 <div className="form-group">
-                                    <label className="form-label">Dosage</label>
+                                    <label className="form-label">Strength</label>
                                     <input 
                                         type="text" 
                                         className="form-input" 
-                                        value={med.dosage} 
-                                        onChange={(e) => handleMedicineChange(idx, 'dosage', e.target.value)} 
+                                        value={med.strength} 
+                                        onChange={(e) => handleMedicineChange(idx, 'strength', e.target.value)} 
                                         placeholder="e.g., 500mg" 
                                     />
                                 </div>
@@ -662,6 +664,18 @@ function NewPrescription({ user }) {
                                 </div>
                             </div>
 
+                            {/* Per-medicine duration - only when it differs from the course */}
+                            <div className="form-group">
+                                <label className="form-label">Duration</label>
+                                <input 
+                                    type="text" 
+                                    className="form-input" 
+                                    value={med.duration} 
+                                    onChange={(e) => handleMedicineChange(idx, 'duration', e.target.value)} 
+                                    placeholder={`Same as course${formData.duration ? ` (${formData.duration})` : ''}`} 
+                                />
+                            </div>
+
                             {/* Additional instructions (food timing, warnings, etc.) */}
                             <div className="form-group mb-0">
                                 <label className="form-label">Instructions</label>
@@ -683,7 +697,7 @@ function NewPrescription({ user }) {
 
                     {/* ---------- Treatment Duration ---------- */}
                     <div className="form-group">
-                        <label className="form-label">Duration *</label>
+                        <label className="form-label">Course Duration *</label>
                         <input type="text" name="duration" className="form-input" value={formData.duration} onChange={handleChange} required placeholder="e.g., 7 days" />
                     </div>
 
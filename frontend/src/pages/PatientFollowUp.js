@@ -35,437 +35,136 @@
  * - Supports MedDRA coding for symptoms
  * - Includes dechallenge/rechallenge data
  * 
+ * PERSONALIZED QUESTIONS:
+ * The backend generates condition-specific questions for each follow-up
+ * (returned with the drafts). They are asked on every path, right after
+ * the two base questions. Questions marked required: false can be skipped.
+ * Their answers are submitted separately as `personalizedAnswers`.
+ * 
  * FLOW SEQUENCE:
  * PatientVerify (STEP 4) → PatientFollowUp (STEP 5) → SuccessPage (STEP 6)
  * 
+ * EMERGENCY GUIDANCE:
+ * Choosing an urgent option (e.g. breathing difficulty) immediately shows
+ * the hospital's emergency instructions and phone numbers
+ * (components/EmergencyGuidance.js). The submission records that they
+ * were shown, and the success page repeats the phone numbers.
+ * 
+ * PATIENT SESSION:
+ * Every call sends the patient token from PatientVerify. Without one (or
+ * once it expires) the patient is sent back to enter a new code.
+ * 
  * ============================================================================
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { getFollowUpDrafts, submitFollowUp } from '../services/api';
+import {
+    getFollowUpDrafts,
+    submitFollowUp,
+    getPatientToken,
+    clearPatientToken,
+    isPatientSessionError,
+} from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import EmergencyGuidanceModal, { useEmergencyGuidance } from '../components/EmergencyGuidance';
 
 // ============================================================================
 // QUESTION DEFINITIONS - SMART BRANCHING FLOW
 // ============================================================================
 // 
-// Each question object contains:
-// - id: Unique identifier for tracking responses
-// - question: Main question text shown to patient
-// - subtext: Explanatory text to help patient understand
-// - options: Array of selectable answers with value, label, icon
-// - textPrompt: Prompt for optional free-text input
-// - dataExtracted: Array of safety fields this question populates
-// - category: Grouping for the question
-// - conditional: Function that returns true if question should be shown
-// - multiSelect: If true, allows selecting multiple options
+// The questions, their options and the branching paths come from the
+// backend with the drafts (backend/src/config/followUpQuestionnaire.js), so
+// the form and the doctor's summary always use the same definitions:
+// {
+//   version: 1,                       // Sent back as schemaVersion
+//   questions: { overallStatus: { id, question, subtext, options, ... } },
+//   baseQuestions: ['overallStatus', 'medicationAdherence'],
+//   paths: { positive: { statuses: [...], questions: [...] }, ... }
+// }
 //
-// First understand patient status (Q1), then branch accordingly
+// Options marked urgent: true (e.g. breathing difficulty) make the case
+// urgent on the adverse path.
 // ============================================================================
 
-const QUESTIONS = {
-    // ===================================================================
-    // PHASE 1: UNDERSTAND PATIENT STATUS
-    // These questions are asked of ALL patients to determine branching
-    // ===================================================================
-    
-    /**
-     * Q1: Overall Status - THE MOST IMPORTANT FIRST QUESTION
-     * 
-     * This question determines which path the questionnaire takes:
-     * - fully_recovered/improving → Positive path (6 questions)
-     * - had_problem → Adverse event path (11 questions)
-     * - same → Neutral path (4 questions)
-     * 
-     * CRITICAL: The selected value here controls getQuestionOrder()
-     */
-    overallStatus: {
-        id: 'overallStatus',
-        question: "How are you feeling after taking the prescribed medicine?",
-        subtext: "This helps us understand your current health status",
-        options: [
-            { value: 'fully_recovered', label: 'Fully recovered / Feeling great', icon: '✅' },
-            { value: 'improving', label: 'Getting better gradually', icon: '📈' },
-            { value: 'same', label: 'No change in my condition', icon: '➡️' },
-            { value: 'had_problem', label: 'Experienced some problems', icon: '⚠️' },
-        ],
-        textPrompt: "Tell us more about how you're feeling:",
-        dataExtracted: ['Treatment outcome', 'Patient status', 'Recovery assessment', 'Follow-up priority'],
-        category: 'status'
-    },
-
-    /**
-     * Q2: Medication Adherence - Did they complete the course?
-     * 
-     * Important for causality assessment:
-     * - If patient didn't complete course, adverse events may be due to discontinuation
-     * - If patient completed course and had issues, stronger causality signal
-     */
-    medicationAdherence: {
-        id: 'medicationAdherence',
-        question: "Did you complete the full course of medication?",
-        subtext: "Taking medication as prescribed is important for recovery",
-        options: [
-            { value: 'completed', label: 'Yes, completed the full course', icon: '✓' },
-            { value: 'still_taking', label: 'Still taking it as prescribed', icon: '💊' },
-            { value: 'missed_some', label: 'Missed a few doses', icon: '📅' },
-            { value: 'stopped_early', label: 'Stopped before completing', icon: '🛑' },
-        ],
-        textPrompt: "If you missed doses or stopped early, please explain why:",
-        dataExtracted: ['Medication adherence', 'Compliance status', 'Treatment completion', 'Dose regularity'],
-        category: 'adherence'
-    },
-
-    // ===================================================================
-    // PHASE 1b: POSITIVE PATH QUESTIONS
-    // Only shown if overallStatus is 'fully_recovered' or 'improving'
-    // ===================================================================
-
-    /**
-     * Q3: Symptom Improvement (Positive Path)
-     * 
-     * Quantifies treatment efficacy for outcomes tracking
-     * Conditional: Only shown for positive outcomes
-     */
-    symptomImprovement: {
-        id: 'symptomImprovement',
-        question: "How much have your original symptoms improved?",
-        subtext: "Compared to when you first visited the doctor",
-        options: [
-            { value: 'fully_resolved', label: 'Completely gone', icon: '🎉' },
-            { value: 'mostly_better', label: 'Mostly better (70-90%)', icon: '😊' },
-            { value: 'somewhat_better', label: 'Somewhat better (30-70%)', icon: '🙂' },
-            { value: 'little_better', label: 'Only slightly better', icon: '😐' },
-        ],
-        textPrompt: "Which symptoms have improved the most?",
-        dataExtracted: ['Symptom resolution', 'Treatment efficacy', 'Recovery rate', 'Clinical response'],
-        category: 'improvement',
-        // Conditional function - only show for positive outcomes
-        conditional: (responses) => ['fully_recovered', 'improving'].includes(responses.overallStatus?.selected)
-    },
-
-    /**
-     * Q4: Improvement Timeline (Positive Path)
-     * 
-     * Captures time-to-response for efficacy analysis
-     * Helps doctors understand expected treatment duration
-     */
-    improvementTimeline: {
-        id: 'improvementTimeline',
-        question: "When did you start noticing improvement?",
-        subtext: "This helps assess how well the treatment worked",
-        options: [
-            { value: 'within_24hrs', label: 'Within 24 hours', icon: '⚡' },
-            { value: '2_3_days', label: 'After 2-3 days', icon: '📅' },
-            { value: 'within_week', label: 'Within a week', icon: '📆' },
-            { value: 'after_week', label: 'After a week or more', icon: '🗓️' },
-        ],
-        textPrompt: "Describe how your recovery progressed:",
-        dataExtracted: ['Time to improvement', 'Treatment response time', 'Efficacy timeline', 'Recovery pattern'],
-        category: 'timeline',
-        conditional: (responses) => ['fully_recovered', 'improving'].includes(responses.overallStatus?.selected)
-    },
-
-    // ===================================================================
-    // PHASE 2: ADVERSE EVENT PATH QUESTIONS
-    // Only shown if overallStatus is 'had_problem'
-    // These questions capture full ICSR (Individual Case Safety Report) data
-    // ===================================================================
-
-    /**
-     * Q5: Problem Type (Adverse Path)
-     * 
-     * Classifies the type of adverse experience:
-     * - side_effects: Direct drug-related event
-     * - condition_worse: Treatment failure or worsening
-     * - new_symptoms: Possibly drug-related new condition
-     * - not_working: Treatment inefficacy
-     */
-    problemType: {
-        id: 'problemType',
-        question: "What kind of problem did you experience?",
-        subtext: "Select the option that best describes your situation",
-        options: [
-            { value: 'side_effects', label: 'Side effects from the medicine', icon: '💊' },
-            { value: 'condition_worse', label: 'Original condition got worse', icon: '📉' },
-            { value: 'new_symptoms', label: 'New unrelated symptoms appeared', icon: '🆕' },
-            { value: 'not_working', label: 'Medicine doesn\'t seem to work', icon: '❌' },
-        ],
-        textPrompt: "Please describe what happened:",
-        dataExtracted: ['Problem classification', 'Event type', 'Causality assessment', 'Clinical concern'],
-        category: 'problem_type',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    /**
-     * Q6: Time to Onset (Adverse Path) - CRITICAL FOR CAUSALITY
-     * 
-     * Time-to-onset is one of the strongest causality indicators:
-     * - Immediate (within 1 hour): Strong causality for allergic reactions
-     * - Same day: Strong causality for GI effects
-     * - 2-7 days: Moderate causality
-     * - After 1 week: Weaker causality unless known delayed effect
-     */
-    timeToOnset: {
-        id: 'timeToOnset',
-        question: "When did this problem start after taking the medicine?",
-        subtext: "This helps determine if the medicine is related",
-        options: [
-            { value: 'within_1hr', label: 'Within 1 hour', icon: '⚡' },
-            { value: 'same_day', label: 'Same day', icon: '📅' },
-            { value: 'next_day', label: 'Next day', icon: '➡️' },
-            { value: '2_7_days', label: '2-7 days later', icon: '📆' },
-            { value: 'after_week', label: 'After 1 week', icon: '🗓️' },
-        ],
-        textPrompt: "Can you describe what you first noticed?",
-        dataExtracted: ['Time-to-onset', 'Temporal association', 'Causality strength', 'Signal detection'],
-        category: 'onset',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    /**
-     * Q7: Symptoms Experienced (Adverse Path) - MULTI-SELECT
-     * 
-     * Captures specific adverse event terms for MedDRA coding
-     * Multi-select because patients often experience multiple symptoms
-     * 
-     * SERIOUSNESS FLAGS:
-     * - breathing, swelling → Potentially life-threatening (anaphylaxis risk)
-     * These trigger urgent case handling
-     */
-    symptoms: {
-        id: 'symptoms',
-        question: "What symptoms did you experience?",
-        subtext: "Select all that apply",
-        multiSelect: true,  // Patient can select multiple symptoms
-        options: [
-            { value: 'nausea', label: 'Nausea / Vomiting', icon: '🤢' },
-            { value: 'dizziness', label: 'Dizziness / Lightheadedness', icon: '💫' },
-            { value: 'rash', label: 'Skin rash / Itching', icon: '🔴' },
-            { value: 'stomach', label: 'Stomach pain / Diarrhea', icon: '😣' },
-            { value: 'headache', label: 'Severe headache', icon: '🤕' },
-            { value: 'fatigue', label: 'Extreme fatigue / Weakness', icon: '😴' },
-            { value: 'breathing', label: 'Breathing difficulty', icon: '😮‍💨' },  // URGENT FLAG
-            { value: 'swelling', label: 'Swelling (face/lips/throat)', icon: '😶' },  // URGENT FLAG
-            { value: 'other', label: 'Other symptoms', icon: '📝' },
-        ],
-        textPrompt: "Describe your symptoms in detail:",
-        dataExtracted: ['Event terms', 'Medical classification', 'Seriousness indicators', 'MedDRA coding'],
-        category: 'symptoms',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    /**
-     * Q8: Severity (Adverse Path)
-     * 
-     * Severity grading per regulatory standards:
-     * - mild: Grade 1 - noticeable but no functional impact
-     * - moderate: Grade 2 - some functional limitation
-     * - severe: Grade 3 - significant functional impact
-     */
-    severity: {
-        id: 'severity',
-        question: "How severe was the problem at its worst?",
-        subtext: "This helps prioritize your case",
-        options: [
-            { value: 'mild', label: 'Mild - Noticed but didn\'t affect daily life', icon: '🟢' },
-            { value: 'moderate', label: 'Moderate - Affected some daily activities', icon: '🟡' },
-            { value: 'severe', label: 'Severe - Significantly impacted daily life', icon: '🔴' },
-        ],
-        textPrompt: "How did this affect your daily routine?",
-        dataExtracted: ['Severity grading', 'Clinical impact', 'Risk prioritization', 'Follow-up urgency'],
-        category: 'severity',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    /**
-     * Q9: Medical Attention Needed (Adverse Path) - SERIOUSNESS CRITERIA
-     * 
-     * Determines seriousness per ICH E2D criteria:
-     * - hospital → SERIOUS: Required hospitalization
-     * - emergency → SERIOUS: Life-threatening or ER visit
-     * - doctor → May be serious depending on intervention
-     * - none → Non-serious (managed at home)
-     */
-    medicalAttention: {
-        id: 'medicalAttention',
-        question: "Did you need medical attention for this problem?",
-        subtext: "This determines case seriousness",
-        options: [
-            { value: 'none', label: 'No, managed at home', icon: '🏠' },
-            { value: 'doctor', label: 'Visited a doctor', icon: '👨‍⚕️' },
-            { value: 'emergency', label: 'Emergency room visit', icon: '🚑' },
-            { value: 'hospital', label: 'Hospital admission', icon: '🏥' },
-        ],
-        textPrompt: "What treatment or advice did you receive?",
-        dataExtracted: ['Seriousness assessment', 'Hospitalization flag', 'Regulatory criteria', 'Escalation trigger'],
-        category: 'seriousness',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    /**
-     * Q10: Action Taken with Medicine (Adverse Path) - DECHALLENGE DATA
-     * 
-     * Dechallenge = What happens when drug is stopped
-     * This is crucial for causality assessment:
-     * - If problem resolves when drug stopped → Strong causality
-     * - If problem persists when drug stopped → Weaker causality
-     */
-    actionTaken: {
-        id: 'actionTaken',
-        question: "What did you do with the medicine after the problem?",
-        subtext: "Your response helps assess the situation",
-        options: [
-            { value: 'stopped', label: 'Stopped taking it', icon: '🛑' },
-            { value: 'reduced', label: 'Reduced the dose', icon: '📉' },
-            { value: 'continued', label: 'Continued as prescribed', icon: '➡️' },
-            { value: 'doctor_advised', label: 'Doctor advised to stop/change', icon: '👨‍⚕️' },
-        ],
-        textPrompt: "Who made this decision?",
-        dataExtracted: ['Action taken', 'Dechallenge status', 'Risk-benefit decision', 'Physician response'],
-        category: 'action',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    /**
-     * Q11: Outcome After Action (Adverse Path) - DECHALLENGE RESULT
-     * 
-     * Completes the dechallenge assessment:
-     * - resolved: Positive dechallenge → Strong causality
-     * - improved: Partial positive dechallenge → Moderate causality
-     * - no_change: Negative dechallenge → Weaker causality (or irreversible event)
-     * - worsened: Requires immediate attention
-     */
-    outcomeAfterAction: {
-        id: 'outcomeAfterAction',
-        question: "What happened after taking this action?",
-        subtext: "This helps establish the link between medicine and problem",
-        options: [
-            { value: 'resolved', label: 'Problem completely resolved', icon: '✅' },
-            { value: 'improved', label: 'Improved significantly', icon: '📈' },
-            { value: 'no_change', label: 'No change', icon: '➡️' },
-            { value: 'worsened', label: 'Got worse', icon: '📉' },
-        ],
-        textPrompt: "How long did it take to see this change?",
-        dataExtracted: ['Outcome', 'Dechallenge result', 'Causality reinforcement', 'Case completeness'],
-        category: 'outcome',
-        conditional: (responses) => responses.overallStatus?.selected === 'had_problem'
-    },
-
-    // ===================================================================
-    // PHASE 3: COMMON QUESTIONS FOR ALL PATHS
-    // These questions are asked regardless of path taken
-    // ===================================================================
-
-    /**
-     * Q12: Other Medications - CONCOMITANT DRUG DATA
-     * 
-     * Essential for causality assessment:
-     * - Drug-drug interactions may explain events
-     * - Confounding factors need documentation
-     * - Required for complete ICSR submission
-     */
-    otherMedications: {
-        id: 'otherMedications',
-        question: "Were you taking any other medicines during this time?",
-        subtext: "Including vitamins, supplements, or herbal products",
-        options: [
-            { value: 'none', label: 'No other medications', icon: '✓' },
-            { value: 'prescription', label: 'Other prescription medicines', icon: '💊' },
-            { value: 'otc', label: 'Over-the-counter medicines', icon: '🏪' },
-            { value: 'supplements', label: 'Vitamins/Supplements/Herbal', icon: '🌿' },
-        ],
-        textPrompt: "Please list them if possible:",
-        dataExtracted: ['Concomitant medications', 'Drug interactions', 'Confounding factors', 'Complete picture'],
-        category: 'concomitant'
-    },
+// ============================================================================
+// PERSONALIZED QUESTIONS - GENERATED PER FOLLOW-UP
+// ============================================================================
 
-    /**
-     * Q13: Follow-Up Needs - PATIENT ENGAGEMENT
-     * 
-     * Determines next steps and closes the loop:
-     * - all_good: Case can be closed
-     * - questions: May need additional communication
-     * - callback: Requires proactive outreach
-     * - appointment: Needs scheduling action
-     */
-    needsFollowUp: {
-        id: 'needsFollowUp',
-        question: "Would you like any further assistance?",
-        subtext: "We're here to help",
-        options: [
-            { value: 'all_good', label: 'No, I\'m doing fine', icon: '👍' },
-            { value: 'questions', label: 'I have some questions', icon: '❓' },
-            { value: 'callback', label: 'Please call me back', icon: '📞' },
-            { value: 'appointment', label: 'Need a follow-up appointment', icon: '📅' },
-        ],
-        textPrompt: "Any specific questions or concerns?",
-        dataExtracted: ['Follow-up need', 'Patient engagement', 'Support required', 'Next steps'],
-        category: 'followup'
-    },
+/**
+ * Patient-facing heading per personalized question category
+ * (categories come from the question generator in the backend)
+ */
+const CATEGORY_LABELS = {
+    primary_symptom: 'Your symptoms',
+    red_flags: 'Warning signs',
+    functional: 'Daily activities',
+    medication_response: 'Effects of your medicine',
+    recovery: 'Your recovery',
+    other: 'Your condition',
 };
 
+/**
+ * Convert a personalized question from the backend into the same shape
+ * as the questionnaire's questions
+ * 
+ * @param {object} q - { id, question, category, type, options, required }
+ * @returns {object} Question definition for the flow
+ */
+const toFlowQuestion = (q) => ({
+    id: q.id,
+    question: q.question,
+    subtext: q.type === 'multi' ? 'Select all that apply' : 'Personalized for your condition',
+    options: q.options,
+    multiSelect: q.type === 'multi',
+    textPrompt: 'Anything you would like to add?',
+    category: q.category,
+    categoryLabel: CATEGORY_LABELS[q.category] || CATEGORY_LABELS.other,
+    required: q.required !== false,
+    personalized: true,
+});
+
 // ============================================================================
 // DYNAMIC QUESTION ORDER - SMART BRANCHING LOGIC
 // ============================================================================
 /**
  * Determines which questions to show based on patient's first response
  * 
- * THREE PATHS:
- * 1. POSITIVE (fully_recovered/improving): 6 questions - recovery data
- * 2. ADVERSE (had_problem): 11 questions - full safety report
- * 3. NEUTRAL (same): 4 questions - basic follow-up
+ * THREE PATHS (questionnaire.paths):
+ * 1. POSITIVE (fully_recovered/improving): recovery data
+ * 2. ADVERSE (had_problem): full safety report
+ * 3. NEUTRAL (same): basic follow-up
  * 
+ * Personalized questions follow the base questions on every path.
+ * 
+ * @param {object} questionnaire - Questionnaire from the backend
  * @param {object} responses - Current response state
+ * @param {string[]} personalizedIds - IDs of this follow-up's personalized questions
  * @returns {string[]} Array of question IDs in order
  */
-const getQuestionOrder = (responses) => {
-    // Base questions asked of everyone
-    const baseQuestions = ['overallStatus', 'medicationAdherence'];
-    
-    const status = responses.overallStatus?.selected;
-    
-    if (status === 'fully_recovered' || status === 'improving') {
-        // ===== POSITIVE PATH =====
-        // Happy path - patient is doing well
-        // Captures recovery data and treatment efficacy
-        return [
-            ...baseQuestions,
-            'symptomImprovement',   // How much better?
-            'improvementTimeline',  // How quickly?
-            'otherMedications',     // Other drugs?
-            'needsFollowUp'         // Need anything else?
-        ];
-    } else if (status === 'had_problem') {
-        // ===== ADVERSE EVENT PATH =====
-        // Problem path - need detailed adverse event info
-        // Full ICSR-compliant data collection
-        return [
-            ...baseQuestions,
-            'problemType',          // What kind of problem?
-            'timeToOnset',          // When did it start?
-            'symptoms',             // What symptoms?
-            'severity',             // How bad?
-            'medicalAttention',     // Need medical help?
-            'actionTaken',          // What did you do?
-            'outcomeAfterAction',   // What happened?
-            'otherMedications',     // Other drugs?
-            'needsFollowUp'         // Need anything else?
-        ];
-    } else if (status === 'same') {
-        // ===== NEUTRAL PATH =====
-        // No change path - minimal questions
-        return [
-            ...baseQuestions,
-            'otherMedications',     // Other drugs?
-            'needsFollowUp'         // Need anything else?
-        ];
+const getQuestionOrder = (questionnaire, responses, personalizedIds = []) => {
+    // Base questions asked of everyone, then the personalized ones
+    const baseQuestions = [...questionnaire.baseQuestions, ...personalizedIds];
+
+    const pathType = getPathTypeOf(questionnaire, responses.overallStatus?.selected);
+    if (!pathType) {
+        // Default - just ask the base questions until status determined
+        return baseQuestions;
     }
-    
-    // Default - just ask first two questions until status determined
-    return baseQuestions;
+    return [...baseQuestions, ...questionnaire.paths[pathType].questions];
+};
+
+/**
+ * Path for an overallStatus answer
+ * 
+ * @param {object} questionnaire - Questionnaire from the backend
+ * @param {string} status - overallStatus value
+ * @returns {'positive'|'adverse'|'neutral'|null} null until the status is known
+ */
+const getPathTypeOf = (questionnaire, status) => {
+    const entry = Object.entries(questionnaire?.paths || {}).find(([, path]) => path.statuses.includes(status));
+    return entry ? entry[0] : null;
 };
 
 // ============================================================================
@@ -721,6 +420,10 @@ function PatientFollowUp() {
     const [error, setError] = useState(null);
     const [prescription, setPrescription] = useState(null);      // Prescription context
     const [prescriptionId, setPrescriptionId] = useState(null);  // For linking back
+    const [questionnaire, setQuestionnaire] = useState(null);                // From the backend
+    const [personalizedQuestions, setPersonalizedQuestions] = useState([]);  // From the backend
+    const [emergencyGuidance, setEmergencyGuidance] = useState(null);        // Hospital's instructions + numbers
+    const emergency = useEmergencyGuidance();                                // Shown on an urgent answer
     
     /**
      * Responses state structure:
@@ -734,6 +437,7 @@ function PatientFollowUp() {
     const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
     const [consent, setConsent] = useState(false);       // Required for submission
     const [showSummary, setShowSummary] = useState(false);  // Review screen
+    const [submitErrors, setSubmitErrors] = useState([]);  // Answers the backend rejected
 
     /**
      * Load prescription context and any saved drafts
@@ -741,44 +445,67 @@ function PatientFollowUp() {
      */
     useEffect(() => { loadDrafts(); }, [id]);
 
+    /**
+     * Back to the code screen when the patient token is missing/expired
+     */
+    const requireVerification = () => {
+        clearPatientToken(id);
+        navigate(`/verify/${id}`, { replace: true });
+    };
+
     const loadDrafts = async () => {
+        const patientToken = getPatientToken(id);
+        if (!patientToken) {
+            requireVerification();
+            return;
+        }
+
         try {
-            const result = await getFollowUpDrafts(id);
+            const result = await getFollowUpDrafts(id, patientToken);
             setPrescription(result.data.prescriptionInfo);
             setPrescriptionId(result.data.prescriptionId);
+            setQuestionnaire(result.data.questionnaire);
+            setPersonalizedQuestions(result.data.personalizedQuestions || []);
+            setEmergencyGuidance(result.data.emergencyGuidance || null);
         } catch (err) {
+            if (isPatientSessionError(err)) {
+                requireVerification();
+                return;
+            }
             setError(err.message);
         } finally {
             setLoading(false);
         }
     };
 
+    /**
+     * All question definitions for this follow-up:
+     * the questionnaire's questions plus the personalized ones
+     */
+    const questionMap = useMemo(() => ({
+        ...questionnaire?.questions,
+        ...Object.fromEntries(personalizedQuestions.map(q => [q.id, toFlowQuestion(q)])),
+    }), [questionnaire, personalizedQuestions]);
+    const personalizedIds = useMemo(() => personalizedQuestions.map(q => q.id), [personalizedQuestions]);
+
     /**
      * Get active questions based on current responses
      * Uses useCallback to memoize and avoid unnecessary recalculations
      * 
      * This is where the SMART BRANCHING happens:
      * - Calls getQuestionOrder() to get path-specific questions
-     * - Filters out questions whose conditional returns false
      * 
      * @returns {string[]} Array of question IDs to show
      */
     const getActiveQuestions = useCallback(() => {
-        return getQuestionOrder(responses).filter(qId => {
-            const q = QUESTIONS[qId];
-            if (!q) return false;
-            // If question has a conditional, evaluate it
-            if (q.conditional) {
-                return q.conditional(responses);
-            }
-            return true;
-        });
-    }, [responses]);
+        if (!questionnaire) return [];
+        return getQuestionOrder(questionnaire, responses, personalizedIds).filter(qId => questionMap[qId]);
+    }, [questionnaire, responses, personalizedIds, questionMap]);
 
     // Derived state - recalculates when responses change
     const activeQuestions = getActiveQuestions();
     const currentQuestionId = activeQuestions[currentQuestionIndex];
-    const currentQuestion = currentQuestionId ? QUESTIONS[currentQuestionId] : null;
+    const currentQuestion = currentQuestionId ? questionMap[currentQuestionId] : null;
     const totalQuestions = activeQuestions.length;
 
     /**
@@ -789,6 +516,12 @@ function PatientFollowUp() {
      */
     const handleOptionSelect = (value) => {
         const q = currentQuestion;
+
+        // Red-flag answer - tell the patient what to do right now
+        const alreadySelected = [].concat(responses[q.id]?.selected ?? []).includes(value);
+        if (!alreadySelected && q.options.some(o => o.urgent && o.value === value)) {
+            emergency.showFor([value]);
+        }
         
         if (q.multiSelect) {
             // For multi-select, toggle the value in an array
@@ -828,6 +561,8 @@ function PatientFollowUp() {
      */
     const hasValidResponse = () => {
         if (!currentQuestion) return false;
+        // Optional personalized questions can be skipped
+        if (currentQuestion.required === false) return true;
         const response = responses[currentQuestion.id];
         if (!response) return false;
         
@@ -875,11 +610,12 @@ function PatientFollowUp() {
      * @returns {string} Human-readable answer
      */
     const getReadableAnswer = (questionId) => {
-        const q = QUESTIONS[questionId];
+        const q = questionMap[questionId];
         const response = responses[questionId];
         if (!response || !response.selected) return 'Not answered';
         
         if (q.multiSelect) {
+            if (response.selected.length === 0) return 'Not answered';
             // Join multiple selections with commas
             return response.selected.map(v => {
                 const opt = q.options.find(o => o.value === v);
@@ -896,54 +632,41 @@ function PatientFollowUp() {
      * Check if this is an URGENT case requiring immediate attention
      * 
      * URGENT CRITERIA (per regulatory requirements):
-     * - Hospital admission required
-     * - Emergency room visit
-     * - Severe symptoms
-     * - Breathing difficulty (anaphylaxis risk)
-     * - Swelling of face/lips/throat (anaphylaxis risk)
+     * Any selected option marked urgent in the questionnaire - hospital
+     * admission, emergency room visit, severe symptoms, breathing
+     * difficulty or swelling of face/lips/throat (anaphylaxis risk)
      * 
      * @returns {boolean} True if case is urgent
      */
     const isUrgentCase = () => {
-        const status = responses.overallStatus?.selected;
-        const medicalAttention = responses.medicalAttention?.selected;
-        const severity = responses.severity?.selected;
-        const symptoms = responses.symptoms?.selected || [];
-        
         // Only urgent if patient had problems AND serious indicators
-        if (status !== 'had_problem') return false;
-        
-        return medicalAttention === 'hospital' || 
-               medicalAttention === 'emergency' ||
-               severity === 'severe' ||
-               symptoms.includes('breathing') ||  // Potential anaphylaxis
-               symptoms.includes('swelling');     // Potential anaphylaxis
+        if (getPathType() !== 'adverse') return false;
+
+        return activeQuestions.some(qId => {
+            const selected = [].concat(responses[qId]?.selected ?? []);
+            return questionMap[qId].options.some(o => o.urgent && selected.includes(o.value));
+        });
     };
 
     /**
      * Determine which path the patient took
      * Used for displaying appropriate summary and data fields
      * 
-     * @returns {'positive'|'adverse'|'neutral'} Path type
+     * @returns {'positive'|'adverse'|'neutral'|null} Path type
      */
-    const getPathType = () => {
-        const status = responses.overallStatus?.selected;
-        if (status === 'fully_recovered' || status === 'improving') return 'positive';
-        if (status === 'had_problem') return 'adverse';
-        return 'neutral';
-    };
+    const getPathType = () => getPathTypeOf(questionnaire, responses.overallStatus?.selected);
 
     /**
      * Submit the completed form to backend (STEP 6)
      * 
      * FLOW:
      * 1. Validate consent checkbox
-     * 2. Build comprehensive safety data object
+     * 2. Build the versioned submission (answers keyed by question ID)
      * 3. Submit via API
      * 4. Navigate to success page
      * 
      * DATA STRUCTURE:
-     * Builds a flat object with all collected fields for regulatory reporting
+     * { schemaVersion, answers: { questionId: { selected, notes } }, personalizedAnswers }
      */
     const handleSubmit = async () => {
         // ⚠️ CRITICAL: Consent is legally required
@@ -953,62 +676,61 @@ function PatientFollowUp() {
         }
         
         setSubmitting(true);
+        setSubmitErrors([]);
         try {
-            const pathType = getPathType();
-            
             /**
-             * Build comprehensive response object
-             * Structure varies by path but includes all fields
-             * AI service will use these to generate draft statements
+             * Answers keyed by question ID, in the versioned schema of the
+             * questionnaire that was shown. Only questions on the patient's
+             * path are sent; the backend builds the doctor's summary from them.
              */
-            const safetyData = {
-                // ===== CORE STATUS (always present) =====
-                overallStatus: responses.overallStatus?.selected || '',
-                medicationAdherence: responses.medicationAdherence?.selected || '',
-                pathType: pathType,
-                
-                // ===== POSITIVE PATH FIELDS =====
-                symptomImprovement: responses.symptomImprovement?.selected || '',
-                improvementTimeline: responses.improvementTimeline?.selected || '',
-                
-                // ===== ADVERSE EVENT FIELDS (only populated if had_problem) =====
-                problemType: responses.problemType?.selected || '',
-                timeToOnset: responses.timeToOnset?.selected || '',
-                symptoms: (responses.symptoms?.selected || []).join(', '),  // Comma-separated
-                severity: responses.severity?.selected || '',
-                medicalAttention: responses.medicalAttention?.selected || '',
-                actionTaken: responses.actionTaken?.selected || '',
-                outcomeAfterAction: responses.outcomeAfterAction?.selected || '',
-                
-                // ===== COMMON FIELDS =====
-                concomitantMedications: responses.otherMedications?.selected || '',
-                followUpNeeded: responses.needsFollowUp?.selected || '',
-                
-                // ===== COMBINED NOTES =====
-                // Join all free-text notes with question context
-                patientNotes: Object.entries(responses)
-                    .filter(([key, r]) => r.notes && r.notes.trim())
-                    .map(([qId, r]) => `${QUESTIONS[qId]?.question}: ${r.notes}`)
-                    .join(' | ') || 'No additional notes',
-                
-                // ===== DERIVED FLAGS (for prioritization) =====
-                isSerious: responses.medicalAttention?.selected === 'hospital' || 
-                          responses.medicalAttention?.selected === 'emergency',
-                needsUrgentAttention: isUrgentCase(),
-                isPositiveOutcome: pathType === 'positive',
-                
-                // ===== FULL SUMMARY TEXT =====
-                summaryText: activeQuestions.map(qId => 
-                    `${QUESTIONS[qId].question}: ${getReadableAnswer(qId)}`
-                ).join(' | ')
+            const submission = {
+                schemaVersion: questionnaire.version,
+                answers: Object.fromEntries(
+                    activeQuestions
+                        .filter(qId => !questionMap[qId].personalized && [].concat(responses[qId]?.selected ?? []).length > 0)
+                        .map(qId => [qId, {
+                            selected: responses[qId].selected,
+                            notes: responses[qId].notes?.trim() || '',
+                        }])
+                ),
+
+                // ===== PERSONALIZED QUESTIONS (structured, one entry per answer) =====
+                // Skipped optional questions are left out
+                personalizedAnswers: personalizedIds
+                    .filter(qId => {
+                        const selected = responses[qId]?.selected;
+                        return Array.isArray(selected) ? selected.length > 0 : !!selected;
+                    })
+                    .map(qId => ({
+                        questionId: qId,
+                        selected: responses[qId].selected,
+                        notes: responses[qId].notes || '',
+                    })),
             };
             
-            // Submit to backend - AI will process and generate drafts
-            await submitFollowUp(id, safetyData, true);
+            // Submit to backend - it builds the doctor's summary
+            await submitFollowUp(id, submission, true, getPatientToken(id), emergency.record);
             
-            // Navigate to success page (STEP 6)
-            navigate(`/follow-up/${id}/success`);
+            // Navigate to success page (STEP 6) - it repeats the emergency
+            // numbers if the patient was shown them
+            clearPatientToken(id);
+            navigate(`/follow-up/${id}/success`, {
+                state: emergency.record ? { emergencyGuidance } : undefined,
+            });
         } catch (err) {
+            if (isPatientSessionError(err)) {
+                requireVerification();
+                return;
+            }
+            // Rejected answers: list them on the review screen so they can be fixed
+            // (field is 'answers.<questionId>' or 'personalizedAnswers.<questionId>')
+            if (err.data?.fieldErrors) {
+                setSubmitErrors(err.data.fieldErrors.map(({ field, message }) => {
+                    const question = questionMap[field.split('.')[1]];
+                    return question ? `${question.question} ${message}` : message;
+                }));
+                return;
+            }
             setError(err.message);
         } finally {
             setSubmitting(false);
@@ -1102,10 +824,25 @@ function PatientFollowUp() {
                             <span style={{ fontSize: '0.9rem', opacity: 0.9 }}>
                                 Based on your responses, please consult a healthcare provider
                             </span>
+                            {emergency.record && (
+                                <button
+                                    onClick={emergency.reopen}
+                                    style={{ display: 'block', marginTop: '0.5rem', background: 'none', border: 'none', padding: 0, color: '#fff', textDecoration: 'underline', cursor: 'pointer', fontSize: '0.9rem' }}
+                                >
+                                    What to do now →
+                                </button>
+                            )}
                         </div>
                     </div>
                 )}
 
+                {/* ========== EMERGENCY GUIDANCE (red-flag answer) ========== */}
+                <EmergencyGuidanceModal
+                    guidance={emergencyGuidance}
+                    open={emergency.open}
+                    onClose={emergency.close}
+                />
+
                 {/* ========== QUESTION CARD ========== */}
                 {/* Main question display - shown when not on summary screen */}
                 {!showSummary && currentQuestion && (
@@ -1113,6 +850,8 @@ function PatientFollowUp() {
                         {/* Question number indicator */}
                         <div style={styles.questionNumber}>
                             Question {currentQuestionIndex + 1} of {totalQuestions}
+                            {currentQuestion.personalized && ` · ${currentQuestion.categoryLabel}`}
+                            {currentQuestion.required === false && ' · Optional'}
                         </div>
                         
                         {/* Main question text */}
@@ -1150,7 +889,7 @@ function PatientFollowUp() {
                                         }}
                                         onClick={() => handleOptionSelect(option.value)}
                                     >
-                                        <span style={styles.optionIcon}>{option.icon}</span>
+                                        {option.icon && <span style={styles.optionIcon}>{option.icon}</span>}
                                         <span style={styles.optionLabel}>{option.label}</span>
                                         {/* Checkmark indicator */}
                                         <span style={{
@@ -1180,6 +919,7 @@ function PatientFollowUp() {
                                 value={responses[currentQuestion.id]?.notes || ''}
                                 onChange={(e) => handleNotesChange(e.target.value)}
                                 placeholder="Your description helps us understand better... (optional)"
+                                maxLength={questionnaire.maxNotesLength}
                                 style={styles.textInput}
                             />
                             <div style={styles.textInputHint}>
@@ -1190,16 +930,18 @@ function PatientFollowUp() {
 
                         {/* ========== DATA EXTRACTED INFO ========== */}
                         {/* Shows patient what data this question captures */}
-                        <div style={styles.dataExtractedBox}>
-                            <div style={styles.dataExtractedTitle}>
-                                📊 This question captures:
-                            </div>
-                            <div style={styles.dataExtractedTags}>
-                                {currentQuestion.dataExtracted.map((field, i) => (
-                                    <span key={i} style={styles.dataTag}>{field}</span>
-                                ))}
+                        {currentQuestion.dataExtracted && (
+                            <div style={styles.dataExtractedBox}>
+                                <div style={styles.dataExtractedTitle}>
+                                    📊 This question captures:
+                                </div>
+                                <div style={styles.dataExtractedTags}>
+                                    {currentQuestion.dataExtracted.map((field, i) => (
+                                        <span key={i} style={styles.dataTag}>{field}</span>
+                                    ))}
+                                </div>
                             </div>
-                        </div>
+                        )}
 
                         {/* ========== NAVIGATION BUTTONS ========== */}
                         <div style={styles.navigationButtons}>
@@ -1224,7 +966,11 @@ function PatientFollowUp() {
                                     opacity: hasValidResponse() ? 1 : 0.6,
                                 }}
                             >
-                                {currentQuestionIndex === totalQuestions - 1 ? 'Review Answers' : 'Continue →'}
+                                {currentQuestionIndex === totalQuestions - 1
+                                    ? 'Review Answers'
+                                    : currentQuestion.required === false && !responses[currentQuestion.id]?.selected?.length
+                                        ? 'Skip →'
+                                        : 'Continue →'}
                             </button>
                         </div>
                     </div>
@@ -1276,7 +1022,7 @@ function PatientFollowUp() {
                             
                             {/* List all answered questions */}
                             {activeQuestions.map((qId, index) => {
-                                const q = QUESTIONS[qId];
+                                const q = questionMap[qId];
                                 const response = responses[qId];
                                 
                                 return (
@@ -1323,6 +1069,14 @@ function PatientFollowUp() {
                         {/* ---------- Consent & Submit Card ---------- */}
                         {/* ⚠️ CRITICAL: Consent is legally required for data sharing */}
                         <div style={styles.summaryCard}>
+                            {/* Answers the backend rejected - go back and change them */}
+                            {submitErrors.length > 0 && (
+                                <div className="alert alert-error" style={{ marginBottom: '1rem' }}>
+                                    <div>Some answers could not be saved. Please go back and check:</div>
+                                    {submitErrors.map(message => <div key={message}>• {message}</div>)}
+                                </div>
+                            )}
+
                             {/* Consent checkbox */}
                             <label style={{ 
                                 display: 'flex', 
@@ -1452,7 +1206,9 @@ function PatientFollowUp() {
                             {/* Handle multi-medicine prescriptions */}
                             {prescription.medicines && prescription.medicines.length > 0 ? (
                                 prescription.medicines.map((med, i) => (
-                                    <p key={i}><strong>{med.name}:</strong> {med.dosageInstructions || med.dosage}</p>
+                                    <p key={med.id || i}>
+                                        <strong>{med.name}:</strong> {[med.strength, med.frequencyText || med.frequencyCode, med.instructions].filter(Boolean).join(' · ') || 'As directed'}
+                                    </p>
                                 ))
                             ) : (
                                 <>
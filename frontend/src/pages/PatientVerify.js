@@ -11,7 +11,9 @@
  * - NO medical content shown until OTP verified
  * - OTP expires after 10 minutes
  * - Rate limiting on backend prevents brute force
- * - Successful verification unlocks the follow-up form
+ * - Successful verification returns a short-lived patient token that
+ *   unlocks the follow-up form (kept in sessionStorage for this tab)
+ * - "Resend code" issues a new OTP (cooldown + daily cap on backend)
  * 
  * PATIENT FLOW CONTEXT:
  * STEP 3: Patient receives SMS/WhatsApp with OTP and link
@@ -27,8 +29,9 @@
 
 import React, { useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { verifyOTP } from '../services/api';
+import { verifyOTP, resendOTP, savePatientToken } from '../services/api';
 import OTPInput from '../components/OTPInput';
+import ResendCodeButton from '../components/ResendCodeButton';
 import Disclaimer from '../components/Disclaimer';
 
 /**
@@ -47,6 +50,7 @@ function PatientVerify() {
     // ========== STATE ==========
     const [error, setError] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [codeAttempt, setCodeAttempt] = useState(0);  // Remount code boxes after a resend
 
     /**
      * Handle OTP completion
@@ -65,8 +69,9 @@ function PatientVerify() {
         
         try {
             // Verify OTP with backend
-            // This marks the follow-up as OTP verified
-            await verifyOTP(id, otp);
+            // Returns the patient token the follow-up form sends with every call
+            const result = await verifyOTP(id, otp);
+            savePatientToken(id, result.data.patientToken);
             
             // SUCCESS: Redirect to follow-up form
             // Patient can now answer questions
@@ -105,7 +110,7 @@ function PatientVerify() {
                     {/* ========== OTP INPUT ========== */}
                     {/* Custom 4-box OTP input with auto-focus */}
                     <div className="mb-4">
-                        <OTPInput length={4} onComplete={handleOTPComplete} />
+                        <OTPInput key={codeAttempt} length={4} onComplete={handleOTPComplete} />
                     </div>
 
                     {/* ========== LOADING STATE ========== */}
@@ -115,6 +120,16 @@ function PatientVerify() {
                     <p className="text-sm text-muted">
                         OTP expires in 10 minutes. Check your spam folder if you don't see the email.
                     </p>
+
+                    {/* ========== RESEND ========== */}
+                    {/* Old code stops working once a new one is sent */}
+                    <ResendCodeButton
+                        onResend={() => resendOTP(id)}
+                        onSent={() => {
+                            setError(null);
+                            setCodeAttempt(n => n + 1);
+                        }}
+                    />
                 </div>
             </div>
         </div>
@@ -13,6 +13,7 @@
  * - View prescription details
  * - Edit patient contact info
  * - Manual fallback if WhatsApp fails
+ * - Automatic follow-up schedule per prescription (pause/resume/cancel)
  * 
  * FOLLOW-UP INITIATION (STEP 3):
  * When doctor clicks "Send Follow-up":
@@ -37,9 +38,11 @@
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getDoctorPrescriptions, createFollowUp } from '../services/api';
+import { getDoctorPrescriptions, createFollowUp, updatePrescription } from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import PrescriptionSchedule from '../components/PrescriptionSchedule';
+import MedicineTable from '../components/MedicineTable';
 
 /**
  * PrescriptionsList Component
@@ -57,8 +60,8 @@ function PrescriptionsList({ user }) {
     const [followUpDetails, setFollowUpDetails] = useState(null);  // Result modal data
     const [viewPrescription, setViewPrescription] = useState(null); // Detail view modal
     
-    // Get doctor ID (fallback for development)
-    const doctorId = user?.id || 'doctor-001';
+    // Doctor ID from the logged-in session
+    const doctorId = user?.userId;
 
     // Load prescriptions on mount
     useEffect(() => { loadPrescriptions(); }, [doctorId]);
@@ -90,7 +93,7 @@ function PrescriptionsList({ user }) {
     const handleSendFollowUp = async (prescription) => {
         setSendingId(prescription.id);
         try {
-            const result = await createFollowUp(prescription.id, doctorId);
+            const result = await createFollowUp(prescription.id);
             const { otp, verificationLink, patientPhone, prescriptionLink, caseId, followUpId, whatsappSent, smsSent } = result.data;
 
             if (whatsappSent || smsSent) {
@@ -134,19 +137,10 @@ function PrescriptionsList({ user }) {
      */
     const handleUpdatePatientDetails = async (prescriptionId, updates) => {
         try {
-            const response = await fetch(`http://localhost:5000/api/prescriptions/${prescriptionId}`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updates),
-            });
-            const result = await response.json();
-            if (result.success) {
-                alert('Patient details updated successfully!');
-                loadPrescriptions();
-                setViewPrescription(null);
-            } else {
-                alert('Failed to update: ' + result.error);
-            }
+            await updatePrescription(prescriptionId, updates);
+            alert('Patient details updated successfully!');
+            loadPrescriptions();
+            setViewPrescription(null);
         } catch (err) {
             alert('Failed to update patient details: ' + err.message);
         }
@@ -249,30 +243,17 @@ function PrescriptionsList({ user }) {
                         </div>
                         
                         {/* ---------- Medication Section ---------- */}
-                        {/* Table showing medicine name, dosage, and duration */}
+                        {/* One row per medicine: strength, frequency, duration, instructions */}
                         <div style={{ background: 'linear-gradient(135deg, #667eea15 0%, #764ba215 100%)', padding: '1rem', borderRadius: '8px', marginBottom: '1rem' }}>
                             <h4 style={{ margin: '0 0 0.75rem 0', fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>💊 Prescription</h4>
-                            <table style={{ width: '100%', borderCollapse: 'collapse', background: '#fff', border: '1px solid var(--color-border)', borderRadius: '8px' }}>
-                                <thead>
-                                    <tr style={{ background: 'var(--color-bg-secondary)' }}>
-                                        <th style={{ textAlign: 'left', padding: '0.75rem', fontSize: '0.85rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '40%' }}>Medicine Name</th>
-                                        <th style={{ textAlign: 'left', padding: '0.75rem', fontSize: '0.85rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)' }}>Dosage Instructions</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    <tr>
-                                        <td style={{ padding: '0.75rem', fontWeight: '600', color: 'var(--color-primary)', verticalAlign: 'top' }}>
-                                            {viewPrescription.medicineName}
-                                        </td>
-                                        <td style={{ padding: '0.75rem', verticalAlign: 'top' }}>
-                                            <div style={{ marginBottom: '0.25rem' }}>{viewPrescription.dosage}</div>
-                                            <div style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>Duration: {viewPrescription.duration}</div>
-                                        </td>
-                                    </tr>
-                                </tbody>
-                            </table>
+                            <MedicineTable medicines={viewPrescription.medicines} />
+                            <div style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)', marginTop: '0.5rem' }}>Course duration: {viewPrescription.duration}</div>
                         </div>
                         
+                        {/* ---------- Automatic Follow-Ups ---------- */}
+                        {/* Scheduled from the duration; pause/resume/cancel per prescription */}
+                        <PrescriptionSchedule prescriptionId={viewPrescription.id} />
+                        
                         {/* ---------- Status and Additional Info ---------- */}
                         <div className="grid grid-2" style={{ gap: '1rem' }}>
                             <div><strong>Status:</strong> <span className={`badge ${viewPrescription.status === 'active' ? 'badge-info' : viewPrescription.status === 'follow_up_sent' ? 'badge-warning' : 'badge-success'}`}>{viewPrescription.status}</span></div>
@@ -327,8 +308,14 @@ function PrescriptionsList({ user }) {
                                             {/* Medication details column */}
                                             <td>
                                                 <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
-                                                    <span style={{ fontWeight: '600', color: 'var(--color-primary)' }}>💊 {p.medicineName}</span>
-                                                    <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>📋 {p.dosage}</span>
+                                                    {p.medicines.map(med => (
+                                                        <span key={med.id} style={{ fontWeight: '600', color: 'var(--color-primary)' }}>
+                                                            💊 {med.name}
+                                                            <span style={{ fontWeight: 'normal', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                                                                {[med.strength, med.frequencyCode].filter(Boolean).map(v => ` · ${v}`).join('')}
+                                                            </span>
+                                                        </span>
+                                                    ))}
                                                     {p.duration && <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>⏱️ {p.duration}</span>}
                                                 </div>
                                             </td>
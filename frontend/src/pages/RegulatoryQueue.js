@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ * RegulatoryQueue.js - Doctor's Queue of Cases Due for Regulatory Reporting
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lists the doctor's adverse event cases that have not yet been
+ * acknowledged by the regulator, most urgent deadline first, so serious
+ * cases are sent within their 7/15-day window.
+ *
+ * FEATURES:
+ * - Workflow step of each case (triage → medical review → submitted →
+ *   acknowledged) and who moved it last
+ * - Expedited-reporting deadline; overdue rows in red, due-soon rows in
+ *   amber
+ * - Open the case to move it along (only after patient consent)
+ *
+ * DATA FLOW:
+ * - GET /api/adverse-events/regulatory-queue (sorted by the backend)
+ * - Case page: /doctor/adverse-events/:id
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getRegulatoryQueue } from '../services/api';
+import Loading from '../components/Loading';
+import Disclaimer from '../components/Disclaimer';
+import ReportingClock, { REGULATORY_STATUS_LABELS } from '../components/ReportingClock';
+
+/**
+ * Row highlight by deadline
+ */
+const ROW_STYLES = {
+    overdue: { background: '#fef2f2', borderLeft: '4px solid #dc2626' },
+    dueSoon: { background: '#fffbeb', borderLeft: '4px solid #f59e0b' },
+};
+
+/**
+ * RegulatoryQueue Component
+ */
+function RegulatoryQueue() {
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [queue, setQueue] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Load queue on mount
+    useEffect(() => { loadQueue(); }, []);
+
+    /**
+     * Fetch the doctor's open cases (already sorted by deadline)
+     */
+    const loadQueue = async () => {
+        try {
+            const result = await getRegulatoryQueue();
+            setQueue(result.data || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading regulatory queue..." />;
+
+    const overdueCount = queue.filter(c => c.reportingClock?.overdue).length;
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container">
+                <Disclaimer />
+                <h1 className="mb-4">Regulatory Queue</h1>
+
+                {error && <div className="alert alert-error mb-3">{error}</div>}
+
+                {overdueCount > 0 && (
+                    <div className="alert alert-error mb-3">
+                        🚨 {overdueCount} serious case(s) past their reporting deadline
+                    </div>
+                )}
+
+                {/* ========== EMPTY STATE ========== */}
+                {queue.length === 0 ? (
+                    <div className="card text-center">
+                        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>✅</div>
+                        <h3>Nothing to Report</h3>
+                        <p className="text-muted">Every case has been acknowledged by the regulator.</p>
+                    </div>
+                ) : (
+                    /* ========== QUEUE TABLE ========== */
+                    <div className="card">
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Case ID</th>
+                                        <th>Patient / Drug</th>
+                                        <th>Step</th>
+                                        <th>Deadline</th>
+                                        <th>Action</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {queue.map((c) => (
+                                        <tr
+                                            key={c.id}
+                                            style={c.reportingClock?.overdue ? ROW_STYLES.overdue : c.reportingClock?.dueSoon ? ROW_STYLES.dueSoon : undefined}
+                                        >
+                                            <td>
+                                                <strong>{c.caseId}</strong>
+                                                <div className="text-sm text-muted">
+                                                    Reported {new Date(c.reportedAt).toLocaleDateString()}
+                                                </div>
+                                            </td>
+
+                                            <td>
+                                                {c.patientName || '-'}
+                                                <div className="text-sm text-muted">{c.drugName || '-'}</div>
+                                            </td>
+
+                                            {/* Workflow step and who moved it last */}
+                                            <td>
+                                                <span className="badge badge-info">{REGULATORY_STATUS_LABELS[c.regulatoryStatus] || c.regulatoryStatus}</span>
+                                                {c.lastStep && (
+                                                    <div className="text-sm text-muted">
+                                                        by {c.lastStep.by?.name}, {new Date(c.lastStep.at).toLocaleDateString()}
+                                                    </div>
+                                                )}
+                                            </td>
+
+                                            <td><ReportingClock clock={c.reportingClock} /></td>
+
+                                            <td>
+                                                {c.consent ? (
+                                                    <button
+                                                        className="btn btn-sm btn-primary"
+                                                        onClick={() => navigate(`/doctor/adverse-events/${c.id}`)}
+                                                    >
+                                                        Open Case
+                                                    </button>
+                                                ) : (
+                                                    <span className="text-muted text-sm">
+                                                        {c.dataComplete ? 'Awaiting consent' : 'Awaiting patient data'}
+                                                    </span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default RegulatoryQueue;
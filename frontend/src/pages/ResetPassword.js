@@ -0,0 +1,149 @@
+/**
+ * ============================================================================
+ * ResetPassword.js - Choose a New Password from an Emailed Link
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Landing page of the link sent by "Forgot password?".
+ * URL: /reset-password/:token
+ *
+ * FLOW:
+ * 1. User enters and confirms a new password
+ * 2. Backend redeems the token (single use, expires after 1 hour)
+ * 3. Every existing session is signed out; the user logs in again
+ *
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { resetPassword } from '../services/api';
+
+/**
+ * ResetPassword Component
+ */
+function ResetPassword() {
+    const { token } = useParams();
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [done, setDone] = useState(false);
+
+    /**
+     * Submit the new password
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        if (newPassword !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await resetPassword(token, newPassword);
+            setDone(true);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container" style={{ maxWidth: '450px' }}>
+                <div className="card animate-slide-up">
+                    <div className="text-center mb-4">
+                        <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>{done ? '✅' : '🔐'}</div>
+                        <h1>{done ? 'Password Reset' : 'Choose a New Password'}</h1>
+                        {done && (
+                            <p className="text-muted">
+                                Your password has been changed and all devices were signed out.
+                            </p>
+                        )}
+                    </div>
+
+                    {error && (
+                        <div className="alert alert-error mb-3">
+                            <span>❌</span>
+                            <span>{error}</span>
+                        </div>
+                    )}
+
+                    {done ? (
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            style={{ width: '100%' }}
+                            onClick={() => navigate('/login')}
+                        >
+                            🔐 Go to Login
+                        </button>
+                    ) : (
+                        <>
+                            <form onSubmit={handleSubmit}>
+                                <div className="form-group">
+                                    <label className="form-label">New Password *</label>
+                                    <input
+                                        type="password"
+                                        className="form-input"
+                                        value={newPassword}
+                                        onChange={(e) => setNewPassword(e.target.value)}
+                                        required
+                                        minLength={6}
+                                        placeholder="••••••••"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Confirm New Password *</label>
+                                    <input
+                                        type="password"
+                                        className="form-input"
+                                        value={confirmPassword}
+                                        onChange={(e) => setConfirmPassword(e.target.value)}
+                                        required
+                                        minLength={6}
+                                        placeholder="••••••••"
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    className="btn btn-primary"
+                                    style={{ width: '100%', marginTop: '1rem' }}
+                                    disabled={loading}
+                                >
+                                    {loading ? '⏳ Please wait...' : '🔐 Save Password'}
+                                </button>
+                            </form>
+
+                            <div className="text-center mt-4">
+                                <button
+                                    type="button"
+                                    className="btn btn-link"
+                                    style={{ textDecoration: 'underline' }}
+                                    onClick={() => navigate('/forgot-password')}
+                                >
+                                    Request a new link
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default ResetPassword;
@@ -0,0 +1,349 @@
+/**
+ * ============================================================================
+ * SignalsPage.js - Drug-Reaction Signals Across the Hospital's Cases
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A single case says little about a drug. This page shows the drugs that
+ * are reported with a reaction more often than other drugs are, across
+ * every consented adverse event case of the hospital, so a pattern is
+ * noticed before it becomes a problem.
+ *
+ * FEATURES:
+ * - Potential signals: pairs above the hospital's thresholds, with
+ *   PRR / ROR (95% confidence interval) and chi-square
+ * - All drug-reaction pairs (also below the thresholds), on request
+ * - Case drill-down for any pair; the assigned doctor can open the case
+ * - Run detection now (it also runs whenever a case is completed)
+ *
+ * THRESHOLDS:
+ * Set by the hospital admin on the Users page (hospital settings).
+ *
+ * DATA FLOW:
+ * - GET /api/signals, GET /api/signals/pairs, POST /api/signals/detect
+ * - GET /api/signals/cases?drug=&reaction= (no patient details)
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getSignals, getSignalPairs, runSignalDetection, getSignalCases } from '../services/api';
+import Loading from '../components/Loading';
+import Disclaimer from '../components/Disclaimer';
+import { REGULATORY_STATUS_LABELS } from '../components/ReportingClock';
+
+/**
+ * "5.4 (1.22–23.96)" - value with its 95% confidence interval
+ */
+function formatRatio(ratio) {
+    if (!ratio || ratio.value === null) return '-';
+    return `${ratio.value.toFixed(2)} (${ratio.lower.toFixed(2)}–${ratio.upper.toFixed(2)})`;
+}
+
+/**
+ * SignalsPage Component
+ *
+ * @param {object} props
+ * @param {object} props.user - Logged-in user (doctor or admin)
+ */
+function SignalsPage({ user }) {
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [signals, setSignals] = useState([]);
+    const [thresholds, setThresholds] = useState(null);
+    const [pairs, setPairs] = useState(null);            // { pairs, totalCases } once requested
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [detecting, setDetecting] = useState(false);
+    const [detectResult, setDetectResult] = useState(null); // { raised, active, totalCases }
+    const [openPair, setOpenPair] = useState(null);      // { key, cases } of the expanded pair
+
+    // Load signals on mount
+    useEffect(() => { loadSignals(); }, []);
+
+    /**
+     * Fetch the hospital's signal records
+     */
+    const loadSignals = async () => {
+        try {
+            const result = await getSignals();
+            setSignals(result.data.signals || []);
+            setThresholds(result.data.thresholds);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Fetch every drug-reaction pair (shown below the signals)
+     */
+    const loadPairs = async () => {
+        setError(null);
+        try {
+            const result = await getSignalPairs();
+            setPairs(result.data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    /**
+     * Re-run detection, then refresh what is on screen
+     */
+    const handleDetect = async () => {
+        setDetecting(true);
+        setError(null);
+        try {
+            const result = await runSignalDetection();
+            setDetectResult(result.data);
+            await loadSignals();
+            if (pairs) await loadPairs();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setDetecting(false);
+        }
+    };
+
+    /**
+     * Show / hide the cases behind a drug-reaction pair
+     */
+    const handleToggleCases = async (drugName, reaction) => {
+        const key = `${drugName}|${reaction}`;
+        if (openPair?.key === key) {
+            setOpenPair(null);
+            return;
+        }
+
+        setOpenPair({ key, cases: null });
+        try {
+            const result = await getSignalCases(drugName, reaction);
+            setOpenPair({ key, cases: result.data || [] });
+        } catch (err) {
+            setError(err.message);
+            setOpenPair(null);
+        }
+    };
+
+    /**
+     * Expanded case list under a pair's row
+     */
+    const renderCases = (columns) => (
+        <tr>
+            <td colSpan={columns} style={{ background: 'var(--color-bg-tertiary)' }}>
+                {!openPair.cases ? (
+                    <span className="text-muted text-sm">Loading cases...</span>
+                ) : (
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Case ID</th>
+                                <th>Reported</th>
+                                <th>Symptoms</th>
+                                <th>Seriousness / Outcome</th>
+                                <th>Step</th>
+                                <th>Doctor</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {openPair.cases.map(c => (
+                                <tr key={c.id}>
+                                    <td><strong>{c.caseId}</strong></td>
+                                    <td>{c.reportedAt ? new Date(c.reportedAt).toLocaleDateString() : '-'}</td>
+                                    <td className="text-sm">{(c.symptoms || []).join(', ')}</td>
+                                    <td>
+                                        <span className={`badge ${c.seriousness === 'serious' ? 'badge-error' : 'badge-info'}`}>
+                                            {c.seriousness || 'not assessed'}
+                                        </span>
+                                        <div className="text-sm text-muted">{c.outcome || '-'}</div>
+                                    </td>
+                                    <td className="text-sm">{REGULATORY_STATUS_LABELS[c.regulatoryStatus] || c.regulatoryStatus}</td>
+                                    <td className="text-sm">{c.doctorName || '-'}</td>
+                                    <td>
+                                        {c.ownCase && user?.role === 'doctor' && (
+                                            <button
+                                                className="btn btn-sm btn-primary"
+                                                onClick={() => navigate(`/doctor/adverse-events/${c.id}`)}
+                                            >
+                                                Open Case
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </td>
+        </tr>
+    );
+
+    // ========== LOADING STATE ==========
+    if (loading) return <Loading message="Loading signals..." />;
+
+    const activeSignals = signals.filter(s => s.active);
+    const pastSignals = signals.filter(s => !s.active);
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container">
+                <Disclaimer />
+                <div className="d-flex justify-between align-center mb-4">
+                    <h1>Drug-Reaction Signals</h1>
+                    <button className="btn btn-primary" onClick={handleDetect} disabled={detecting}>
+                        {detecting ? 'Running...' : '🔄 Run Detection'}
+                    </button>
+                </div>
+
+                {error && <div className="alert alert-error mb-3">{error}</div>}
+
+                {detectResult && (
+                    <div className="alert alert-success mb-3">
+                        Analysed {detectResult.totalCases} case(s): {detectResult.active} potential signal(s),
+                        {' '}{detectResult.raised} new.
+                    </div>
+                )}
+
+                {/* ========== THRESHOLDS ========== */}
+                {thresholds && (
+                    <p className="text-muted text-sm mb-3">
+                        A pair is a potential signal with at least {thresholds.minCases} case(s),
+                        PRR ≥ {thresholds.minPrr}, χ² ≥ {thresholds.minChiSquare} and the lower
+                        bound of the ROR above {thresholds.minRorLower}
+                        {thresholds.isDefault ? ' (default thresholds).' : '.'}
+                        {' '}A signal is a reason to look closer, not proof that the drug causes the reaction.
+                    </p>
+                )}
+
+                {/* ========== POTENTIAL SIGNALS ========== */}
+                {activeSignals.length === 0 ? (
+                    <div className="card text-center mb-4">
+                        <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>📊</div>
+                        <h3>No Potential Signals</h3>
+                        <p className="text-muted">No drug is reported with a reaction notably more often than the others.</p>
+                    </div>
+                ) : (
+                    <div className="card mb-4">
+                        <h3 className="mb-2">Potential Signals</h3>
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Drug</th>
+                                        <th>Reaction</th>
+                                        <th>Cases</th>
+                                        <th>PRR (95% CI)</th>
+                                        <th>ROR (95% CI)</th>
+                                        <th>χ²</th>
+                                        <th>Detected</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {activeSignals.map(s => (
+                                        <React.Fragment key={s.id}>
+                                            <tr style={{ borderLeft: '4px solid #f59e0b' }}>
+                                                <td><strong>{s.drugName}</strong></td>
+                                                <td>{s.reactionTerm}</td>
+                                                <td>{s.stats.a}</td>
+                                                <td>{formatRatio(s.stats.prr)}</td>
+                                                <td>{formatRatio(s.stats.ror)}</td>
+                                                <td>{s.stats.chiSquare}</td>
+                                                <td className="text-sm">
+                                                    {new Date(s.firstDetectedAt).toLocaleDateString()}
+                                                    <div className="text-muted">last {new Date(s.lastDetectedAt).toLocaleDateString()}</div>
+                                                </td>
+                                                <td>
+                                                    <button className="btn btn-sm btn-secondary" onClick={() => handleToggleCases(s.drugName, s.reaction)}>
+                                                        {openPair?.key === `${s.drugName}|${s.reaction}` ? 'Hide Cases' : 'Cases'}
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                            {openPair?.key === `${s.drugName}|${s.reaction}` && renderCases(8)}
+                                        </React.Fragment>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {/* ========== NO LONGER ABOVE THRESHOLDS ========== */}
+                {pastSignals.length > 0 && (
+                    <div className="card mb-4">
+                        <h3 className="mb-2">Earlier Signals</h3>
+                        <p className="text-muted text-sm mb-2">Raised before, below the thresholds at the last run.</p>
+                        <ul className="text-sm">
+                            {pastSignals.map(s => (
+                                <li key={s.id}>
+                                    <strong>{s.drugName}</strong> - {s.reactionTerm}
+                                    {' '}<span className="text-muted">(first {new Date(s.firstDetectedAt).toLocaleDateString()})</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {/* ========== ALL PAIRS ========== */}
+                {!pairs ? (
+                    <button className="btn btn-secondary" onClick={loadPairs}>Show All Drug-Reaction Pairs</button>
+                ) : (
+                    <div className="card">
+                        <h3 className="mb-2">All Drug-Reaction Pairs</h3>
+                        <p className="text-muted text-sm mb-2">{pairs.totalCases} consented case(s) with coded symptoms.</p>
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Drug</th>
+                                        <th>Reaction</th>
+                                        <th>Cases</th>
+                                        <th>PRR (95% CI)</th>
+                                        <th>ROR (95% CI)</th>
+                                        <th>χ²</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {pairs.pairs.map(p => (
+                                        <React.Fragment key={`${p.drugKey}|${p.reaction}`}>
+                                            <tr>
+                                                <td>
+                                                    {p.drugName}
+                                                    {p.isSignal && <span className="badge badge-warning" style={{ marginLeft: '0.5rem' }}>Signal</span>}
+                                                </td>
+                                                <td>{p.reactionTerm}</td>
+                                                <td>{p.a}</td>
+                                                <td>{formatRatio(p.prr)}</td>
+                                                <td>{formatRatio(p.ror)}</td>
+                                                <td>{p.chiSquare}</td>
+                                                <td>
+                                                    <button className="btn btn-sm btn-secondary" onClick={() => handleToggleCases(p.drugName, p.reaction)}>
+                                                        {openPair?.key === `${p.drugName}|${p.reaction}` ? 'Hide Cases' : 'Cases'}
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                            {openPair?.key === `${p.drugName}|${p.reaction}` && renderCases(7)}
+                                        </React.Fragment>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default SignalsPage;
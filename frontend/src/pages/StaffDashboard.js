@@ -10,7 +10,8 @@
  * 
  * STAFF vs DOCTOR ROLE DIFFERENCES:
  * - Doctors: See only THEIR prescriptions
- * - Staff: See ALL prescriptions from ALL doctors
+ * - Staff: See ALL prescriptions from ALL doctors in their own hospital
+ *   (the backend scopes /prescriptions/all and /auth/doctors by hospitalId)
  * - Staff: Can filter by doctor to focus on specific workloads
  * - Both: Can send follow-ups (initiates STEP 3)
  * 
@@ -20,9 +21,11 @@
  * - Send follow-ups via WhatsApp/SMS
  * - Manual fallback with OTP sharing
  * - View all prescription details
+ * - "Patients to Call": follow-ups escalated after unanswered reminders
+ * - "Urgent Cases" banner: urgent alerts to acknowledge (UrgentAlertsBanner)
  * 
  * WORKFLOW:
- * 1. Staff logs in → sees all prescriptions
+ * 1. Staff logs in → sees all prescriptions of their hospital
  * 2. Can filter by doctor to organize work
  * 3. Click "Send Follow-up" → triggers STEP 3
  * 4. Backend sends WhatsApp/SMS to patient
@@ -33,8 +36,10 @@
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { getDoctors, getAllPrescriptions, createFollowUp, getEscalatedFollowUps } from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import UrgentAlertsBanner from '../components/UrgentAlertsBanner';
 
 /**
  * StaffDashboard Component
@@ -47,7 +52,8 @@ function StaffDashboard() {
     
     // ========== STATE ==========
     const [user, setUser] = useState(null);                    // Current logged-in staff user
-    const [prescriptions, setPrescriptions] = useState([]);    // All prescriptions (all doctors)
+    const [prescriptions, setPrescriptions] = useState([]);    // All prescriptions (all doctors in this hospital)
+    const [escalated, setEscalated] = useState([]);            // Unanswered follow-ups to call about
     const [doctors, setDoctors] = useState([]);                // List of doctors for filter dropdown
     const [loading, setLoading] = useState(true);
     const [sendingId, setSendingId] = useState(null);          // ID of prescription being sent
@@ -67,30 +73,24 @@ function StaffDashboard() {
 
     /**
      * Fetch doctors list and all prescriptions
-     * Staff can see ALL prescriptions unlike doctors who see only their own
+     * Staff can see ALL prescriptions of their hospital,
+     * unlike doctors who see only their own
      */
     const loadData = async () => {
         try {
-            const token = localStorage.getItem('token');
-            
             // ---------- Load doctors for filter dropdown ----------
-            const doctorsRes = await fetch('http://localhost:5000/api/auth/doctors', {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const doctorsData = await doctorsRes.json();
-            if (doctorsData.success) {
-                setDoctors(doctorsData.data);
-            }
+            const doctorsData = await getDoctors();
+            setDoctors(doctorsData.data || []);
 
             // ---------- Load ALL prescriptions ----------
-            // Staff sees all prescriptions from all doctors
-            const prescRes = await fetch('http://localhost:5000/api/prescriptions/all', {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const prescData = await prescRes.json();
-            if (prescData.success) {
-                setPrescriptions(prescData.data || []);
-            }
+            // Staff sees all prescriptions from all doctors in their hospital
+            const prescData = await getAllPrescriptions();
+            setPrescriptions(prescData.data || []);
+
+            // ---------- Load escalated follow-ups ----------
+            // Patients who did not answer any automatic reminder
+            const escalatedData = await getEscalatedFollowUps();
+            setEscalated(escalatedData.data || []);
         } catch (err) {
             console.error('Load data error:', err);
         } finally {
@@ -113,41 +113,23 @@ function StaffDashboard() {
         setFollowUpResult(null);
         
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch('http://localhost:5000/api/follow-ups', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    prescriptionId: prescription.id,
-                    doctorId: prescription.doctorId,  // Staff sends on behalf of doctor
-                }),
-            });
+            // Backend assigns the follow-up to the prescribing doctor
+            // (staff send on the doctor's behalf)
+            const result = await createFollowUp(prescription.id);
 
-            const result = await response.json();
-            
-            if (result.success) {
-                // ========== SUCCESS: Show delivery status ==========
-                setFollowUpResult({
-                    success: true,
-                    whatsappSent: result.data.whatsappSent,
-                    smsSent: result.data.smsSent,
-                    patientPhone: result.data.patientPhone,
-                    otp: result.data.otp,
-                    followUpId: result.data.followUpId,
-                    verificationLink: result.data.verificationLink,
-                });
-                loadData(); // Refresh list to update status badges
-            } else {
-                // ========== FAILURE: Show error ==========
-                setFollowUpResult({
-                    success: false,
-                    error: result.error,
-                });
-            }
+            // ========== SUCCESS: Show delivery status ==========
+            setFollowUpResult({
+                success: true,
+                whatsappSent: result.data.whatsappSent,
+                smsSent: result.data.smsSent,
+                patientPhone: result.data.patientPhone,
+                otp: result.data.otp,
+                followUpId: result.data.followUpId,
+                verificationLink: result.data.verificationLink,
+            });
+            loadData(); // Refresh list to update status badges
         } catch (err) {
+            // ========== FAILURE: Show error ==========
             setFollowUpResult({
                 success: false,
                 error: err.message,
@@ -181,11 +163,20 @@ function StaffDashboard() {
             <div className="container">
                 <Disclaimer />
 
+                {/* ========== URGENT CASES ========== */}
+                {/* Unacknowledged urgent alerts - hidden when there are none */}
+                <UrgentAlertsBanner user={user} />
+
                 {/* ========== HEADER ========== */}
                 <div className="d-flex justify-between align-center mb-4">
                     <div>
                         <h1>👩‍💼 Staff Dashboard</h1>
                         <p className="text-muted">Welcome, {user?.name || 'Staff Member'}</p>
+                        {user?.hospitalId && (
+                            <p className="text-muted" style={{ fontSize: '0.875rem' }}>
+                                🏥 Hospital: <strong>{user.hospitalId}</strong>
+                            </p>
+                        )}
                     </div>
                 </div>
 
@@ -270,6 +261,50 @@ function StaffDashboard() {
                     </div>
                 )}
 
+                {/* ========== ESCALATED FOLLOW-UPS ========== */}
+                {/* Reminder job gave up - these patients need a phone call */}
+                {escalated.length > 0 && (
+                    <div className="card mb-4" style={{ borderLeft: '4px solid var(--color-error)' }}>
+                        <h3 className="mb-2">📞 Patients to Call</h3>
+                        <p className="text-muted text-sm mb-3">
+                            These patients have not answered their follow-up after all automatic reminders.
+                            They leave this list once they submit.
+                        </p>
+                        <div className="table-container">
+                            <table className="table">
+                                <thead>
+                                    <tr>
+                                        <th>Case ID</th>
+                                        <th>Patient</th>
+                                        <th>Doctor</th>
+                                        <th>Reminders</th>
+                                        <th>Escalated</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {escalated.map((f) => (
+                                        <tr key={f.id}>
+                                            <td><strong>{f.caseId}</strong></td>
+                                            <td>
+                                                <div>{f.patientName || 'N/A'}</div>
+                                                <div className="text-sm text-muted">📱 {f.patientPhone}</div>
+                                            </td>
+                                            <td>{doctors.find(d => d.id === f.doctorId)?.name || f.doctorId}</td>
+                                            <td>
+                                                {f.reminderCount}
+                                                {f.lastContactedAt && (
+                                                    <div className="text-sm text-muted">last {new Date(f.lastContactedAt).toLocaleString()}</div>
+                                                )}
+                                            </td>
+                                            <td className="text-sm">{new Date(f.escalatedAt).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
                 {/* ========== DOCTOR FILTER ========== */}
                 {/* Filter prescriptions by doctor - staff can see all doctors */}
                 <div className="card mb-4">
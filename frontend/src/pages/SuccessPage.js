@@ -16,6 +16,8 @@
  * 2. Doctor will review the information
  * 3. Data is now visible to doctor (consent was given)
  * 4. Patient can close the window
+ * 5. If the patient reported a red-flag symptom, the emergency numbers
+ *    once more (passed in router state by PatientFollowUp)
  * 
  * UX CONSIDERATIONS:
  * - Large success checkmark for immediate recognition
@@ -27,13 +29,16 @@
  */
 
 import React from 'react';
+import { useLocation } from 'react-router-dom';
 
 /**
  * SuccessPage Component
  * 
- * Simple static page - no props or state needed
+ * No props - emergency guidance comes from router state (if any)
  */
 function SuccessPage() {
+    const emergencyGuidance = useLocation().state?.emergencyGuidance;
+
     return (
         <div className="page">
             <div className="container" style={{ maxWidth: '500px' }}>
@@ -51,6 +56,19 @@ function SuccessPage() {
                         They will review your information and may contact you if needed.
                     </p>
                     
+                    {/* Red-flag symptom reported - keep the numbers in view */}
+                    {emergencyGuidance?.contacts?.length > 0 && (
+                        <div className="alert alert-error mb-4" style={{ display: 'block', textAlign: 'left' }}>
+                            <strong>🚨 If you feel unwell now, do not wait for your doctor:</strong>
+                            {emergencyGuidance.contacts.map((contact, i) => (
+                                <div key={i} className="mt-2">
+                                    📞 {contact.label}:{' '}
+                                    <a href={`tel:${contact.phone.replace(/[^0-9+]/g, '')}`}><strong>{contact.phone}</strong></a>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    
                     {/* Privacy/Consent reminder */}
                     {/* Reinforces that data sharing was with patient's consent */}
                     <div className="alert alert-success">
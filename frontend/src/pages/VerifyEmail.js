@@ -0,0 +1,89 @@
+/**
+ * ============================================================================
+ * VerifyEmail.js - Confirm an Email Address from the Registration Link
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Landing page of the link emailed after registration.
+ * URL: /verify-email/:token
+ *
+ * FLOW:
+ * 1. Token is sent to the backend as soon as the page opens
+ * 2. On success the account can log in
+ * 3. On failure (expired/used link) a new link can be requested
+ *    from the login page
+ *
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { verifyEmail } from '../services/api';
+import Loading from '../components/Loading';
+
+/**
+ * VerifyEmail Component
+ */
+function VerifyEmail() {
+    const { token } = useParams();
+    const navigate = useNavigate();
+
+    // ========== STATE ==========
+    const [status, setStatus] = useState('loading');  // 'loading' | 'success' | 'error'
+    const [message, setMessage] = useState('');
+
+    // Tokens are single use - guard against React StrictMode double effects
+    const submitted = useRef(false);
+
+    useEffect(() => {
+        if (submitted.current) return;
+        submitted.current = true;
+
+        verifyEmail(token)
+            .then((result) => {
+                setStatus('success');
+                setMessage(result.message);
+            })
+            .catch((err) => {
+                setStatus('error');
+                setMessage(err.message);
+            });
+    }, [token]);
+
+    // ========== LOADING STATE ==========
+    if (status === 'loading') return <Loading message="Verifying your email..." />;
+
+    // ========== RENDER ==========
+    return (
+        <div className="page">
+            <div className="container" style={{ maxWidth: '450px' }}>
+                <div className="card animate-slide-up text-center">
+                    <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>
+                        {status === 'success' ? '✅' : '⚠️'}
+                    </div>
+                    <h1>{status === 'success' ? 'Email Verified' : 'Verification Failed'}</h1>
+                    <p className="text-muted mb-4">{message}</p>
+                    {status === 'error' && (
+                        <p className="text-muted text-sm mb-4">
+                            Try logging in - you will be offered a new verification link.
+                        </p>
+                    )}
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        style={{ width: '100%' }}
+                        onClick={() => navigate('/login')}
+                    >
+                        🔐 Go to Login
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export default VerifyEmail;
@@ -8,7 +8,7 @@
  * This is a PUBLIC page - no authentication required.
  * 
  * SECURITY NOTE:
- * - Only shows prescription info (medicine, dosage, instructions)
+ * - Only shows prescription info (medicines, dosage, instructions)
  * - Does NOT show follow-up responses or sensitive data
  * - Safe to share link with patient
  * 
@@ -18,9 +18,8 @@
  * - Before or after follow-up process
  * 
  * DISPLAYED INFO:
- * - Medicine name
- * - Dosage instructions
- * - Duration
+ * - Each medicine: name, strength, frequency, duration, instructions
+ * - Course duration
  * - Condition (if specified)
  * - Doctor's notes
  * - Prescription status
@@ -34,9 +33,10 @@
 
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getPrescription } from '../services/api';
+import { getPatientPrescription } from '../services/api';
 import Loading from '../components/Loading';
 import Disclaimer from '../components/Disclaimer';
+import MedicineTable from '../components/MedicineTable';
 
 function ViewPrescription() {
     const { id } = useParams();
@@ -51,7 +51,7 @@ function ViewPrescription() {
 
     const loadPrescription = async () => {
         try {
-            const result = await getPrescription(id);
+            const result = await getPatientPrescription(id);
             setPrescription(result.data);
         } catch (err) {
             setError(err.message || 'Prescription not found');
@@ -92,29 +92,10 @@ function ViewPrescription() {
                     <div style={{ background: 'var(--color-primary-bg)', padding: '1.5rem', borderRadius: '8px', marginBottom: '1.5rem' }}>
                         {/* Structured Medication Table */}
                         <h3 style={{ marginBottom: '1rem', fontSize: '1rem', color: 'var(--color-text-muted)' }}>💊 Prescription</h3>
-                        <div style={{ background: '#fff', borderRadius: '8px', overflow: 'hidden', border: '1px solid var(--color-border)' }}>
-                            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                                <thead>
-                                    <tr style={{ background: 'var(--color-bg-secondary)' }}>
-                                        <th style={{ textAlign: 'left', padding: '0.85rem 1rem', fontSize: '0.9rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)', width: '40%' }}>Medicine Name</th>
-                                        <th style={{ textAlign: 'left', padding: '0.85rem 1rem', fontSize: '0.9rem', fontWeight: '600', borderBottom: '2px solid var(--color-border)' }}>Dosage Instructions</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    <tr>
-                                        <td style={{ padding: '1rem', fontWeight: '600', color: 'var(--color-primary)', fontSize: '1.1rem', verticalAlign: 'top' }}>
-                                            {prescription.medicineName}
-                                        </td>
-                                        <td style={{ padding: '1rem', verticalAlign: 'top' }}>
-                                            <div style={{ fontSize: '1rem', marginBottom: '0.5rem' }}>{prescription.dosage}</div>
-                                            <div style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)', background: 'var(--color-info-bg)', padding: '0.35rem 0.75rem', borderRadius: '6px', display: 'inline-block' }}>
-                                                ⏱️ Duration: {prescription.duration}
-                                            </div>
-                                        </td>
-                                    </tr>
-                                </tbody>
-                            </table>
+                        <div style={{ borderRadius: '8px', overflow: 'hidden' }}>
+                            <MedicineTable medicines={prescription.medicines} />
                         </div>
+                        <p className="text-sm text-muted mt-2 mb-0">⏱️ Course duration: {prescription.duration}</p>
 
                         {/* Additional Info */}
                         <div className="grid grid-2 mt-3" style={{ gap: '1rem' }}>
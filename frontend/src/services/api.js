@@ -14,8 +14,17 @@
  * 4. Simplifies mocking for unit tests
  * 5. Type safety and documentation in one place
  * 
+ * AUTHENTICATION:
+ * The doctor/staff access token (stored in localStorage at login) is sent
+ * as a Bearer token on every request. The backend derives the doctor's
+ * identity from this token - doctorId is never sent as a query parameter.
+ * Access tokens are short-lived; a refresh token renews them.
+ * 
  * ERROR HANDLING:
  * All functions throw errors on failure. Components should use try/catch.
+ * A 401 on an authenticated request first triggers a silent token refresh
+ * and a single retry. Only if the refresh fails (session revoked/expired)
+ * is the stored session cleared and the user sent back to /login.
  * 
  * RESPONSE FORMAT:
  * All endpoints return: { success: boolean, data?: any, error?: string }
@@ -33,6 +42,75 @@
  */
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// ============================================================================
+// SESSION STORAGE
+// ============================================================================
+
+/**
+ * Store tokens returned by login, register or refresh
+ * 
+ * @param {object} tokens - { token, refreshToken }
+ *   - token: short-lived access token (JWT, ~15 minutes)
+ *   - refreshToken: long-lived token used to get new access tokens
+ */
+export function saveSession({ token, refreshToken }) {
+    if (token) localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+}
+
+/**
+ * Remove every trace of the local session
+ */
+export function clearSession() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+}
+
+/**
+ * In-flight refresh request (shared)
+ * 
+ * WHY? A dashboard fires several requests at once. When the access token
+ * expires they all get 401 together - only ONE of them may use the refresh
+ * token, because the backend rotates it on every use.
+ */
+let refreshPromise = null;
+
+/**
+ * Get a new access token using the stored refresh token
+ * 
+ * @returns {Promise<boolean>} True if a usable access token is now stored
+ * 
+ * BACKEND: POST /api/auth/refresh
+ */
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken }),
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                saveSession(data.data);
+                return true;
+            }
+
+            // Another browser tab may have rotated the token meanwhile -
+            // if so, it already stored a fresh pair we can use
+            return localStorage.getItem('refreshToken') !== refreshToken;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
 // ============================================================================
 // GENERIC API CALL WRAPPER
 // ============================================================================
@@ -42,37 +120,154 @@ const API_BASE_URL = 'http://localhost:5000/api';
  * 
  * @param {string} endpoint - API endpoint (e.g., '/prescriptions')
  * @param {object} options - Fetch options (method, body, headers, etc.)
+ * @param {boolean} isRetry - Internal: true when replaying after a refresh
  * @returns {Promise<object>} Parsed JSON response
  * @throws {Error} If response is not OK or if there's a network error
  * 
  * WHY A WRAPPER?
- * - Automatically adds Content-Type header
+ * - Automatically adds Content-Type and Authorization headers
  * - Handles JSON parsing
  * - Extracts error messages from response
+ * - Renews expired access tokens transparently
  * - Reduces boilerplate in individual API functions
  */
-async function apiCall(endpoint, options = {}) {
+async function apiCall(endpoint, options = {}, isRetry = false) {
     const url = `${API_BASE_URL}${endpoint}`;
 
-    // Default headers - can be overridden by options
-    const defaultOptions = {
-        headers: {
-            'Content-Type': 'application/json',
-        },
+    // Attach JWT if logged in (patients have no token - OTP routes are public)
+    const token = localStorage.getItem('token');
+
+    // Default headers - can be extended by options.headers
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        ...options.headers,
     };
 
     // Merge default options with provided options
-    const response = await fetch(url, { ...defaultOptions, ...options });
+    const response = await fetch(url, { ...options, headers });
     const data = await response.json();
 
+    // Access token expired or revoked - refresh once and replay the request.
+    // Only when the session itself is gone is the user sent back to login.
+    if (response.status === 401 && token) {
+        if (!isRetry && await refreshAccessToken()) {
+            return apiCall(endpoint, options, true);
+        }
+        clearSession();
+        window.location.assign('/login');
+    }
+
     // If response status is not 2xx, throw an error
+    // status/data let callers react to e.g. 429 { retryAfterSeconds }
     if (!response.ok) {
-        throw new Error(data.error || 'API request failed');
+        const error = new Error(data.error || 'API request failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
     }
 
     return data;
 }
 
+/**
+ * Download a file (e.g. a PDF) and save it in the browser
+ * 
+ * Same auth and token refresh as apiCall; errors come back as JSON and
+ * are thrown the same way.
+ * 
+ * @param {string} endpoint - API endpoint returning the file
+ * @param {string} filename - Name to save the file as
+ * @param {boolean} isRetry - Internal: true when replaying after a refresh
+ * @returns {Promise<void>}
+ * @throws {Error} If response is not OK (error.status / error.data)
+ */
+async function apiDownload(endpoint, filename, isRetry = false) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+    });
+
+    if (response.status === 401 && token) {
+        if (!isRetry && await refreshAccessToken()) {
+            return apiDownload(endpoint, filename, true);
+        }
+        clearSession();
+        window.location.assign('/login');
+    }
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Download failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// PATIENT SESSION
+// Patients don't log in - verifying the OTP returns a short-lived token
+// scoped to one follow-up / adverse event. Kept in sessionStorage so it
+// disappears with the browser tab.
+// ============================================================================
+
+/**
+ * Store the patient token returned by an OTP verification
+ * 
+ * @param {string} recordId - Follow-up or adverse event ID
+ * @param {string} patientToken - Token from verify-otp
+ */
+export function savePatientToken(recordId, patientToken) {
+    if (patientToken) sessionStorage.setItem(`patientToken:${recordId}`, patientToken);
+}
+
+/**
+ * Patient token for a record, if the patient verified in this tab
+ * 
+ * @param {string} recordId - Follow-up or adverse event ID
+ * @returns {string|null}
+ */
+export function getPatientToken(recordId) {
+    return sessionStorage.getItem(`patientToken:${recordId}`);
+}
+
+/**
+ * Forget an expired patient token
+ * 
+ * @param {string} recordId - Follow-up or adverse event ID
+ */
+export function clearPatientToken(recordId) {
+    sessionStorage.removeItem(`patientToken:${recordId}`);
+}
+
+/**
+ * True when a request failed because the patient token is missing/expired
+ * 
+ * @param {Error} error - Error thrown by apiCall
+ * @returns {boolean}
+ */
+export function isPatientSessionError(error) {
+    return error?.data?.code === 'PATIENT_SESSION_REQUIRED';
+}
+
+/**
+ * Header carrying the patient token
+ * 
+ * @param {string} patientToken - Token from verify-otp
+ * @returns {object} Headers for apiCall options
+ */
+function patientHeaders(patientToken) {
+    return patientToken ? { 'X-Patient-Token': patientToken } : {};
+}
+
 // ============================================================================
 // PRESCRIPTION APIs
 // These handle prescription CRUD operations (STEP 2 of the workflow)
@@ -99,11 +294,10 @@ export async function scanPrescription(imageBase64) {
  * Create a new prescription record
  * 
  * @param {object} prescriptionData - Prescription details
- *   - medicineName: Name of the medicine
- *   - dosage: Dosage instructions
- *   - duration: Treatment duration
+ *   - medicines: [{ name, strength, frequencyCode, frequencyText, duration, instructions }]
+ *   - duration: Course duration (medicines without their own duration use it)
  *   - patientPhone: Patient's phone number (required for WhatsApp)
- *   - doctorId: ID of the creating doctor
+ *   - doctorId: Prescribing doctor (staff only - doctors use their token identity)
  * @returns {Promise<object>} Created prescription with ID and caseId
  * 
  * BACKEND: POST /api/prescriptions
@@ -115,10 +309,22 @@ export async function createPrescription(prescriptionData) {
     });
 }
 
+/**
+ * Get all prescriptions in the staff member's hospital
+ * 
+ * @returns {Promise<object>} Array of prescriptions (newest first)
+ * 
+ * BACKEND: GET /api/prescriptions/all
+ * ACCESS: staff only
+ */
+export async function getAllPrescriptions() {
+    return apiCall('/prescriptions/all');
+}
+
 /**
  * Get all prescriptions for a specific doctor
  * 
- * @param {string} doctorId - Doctor's user ID
+ * @param {string} doctorId - Doctor's user ID (must match the logged-in doctor)
  * @returns {Promise<object>} Array of prescriptions
  * 
  * BACKEND: GET /api/prescriptions/doctor/:doctorId
@@ -128,18 +334,46 @@ export async function getDoctorPrescriptions(doctorId) {
 }
 
 /**
- * Get a single prescription by ID
+ * Get a single prescription by ID (full record)
  * 
  * @param {string} id - Prescription document ID
  * @returns {Promise<object>} Prescription details
  * 
  * BACKEND: GET /api/prescriptions/:id
- * NOTE: This is a PUBLIC endpoint - used for patient prescription view
  */
 export async function getPrescription(id) {
     return apiCall(`/prescriptions/${id}`);
 }
 
+/**
+ * Get the patient's view of a prescription (medicines, duration, status)
+ * 
+ * @param {string} id - Prescription document ID
+ * @returns {Promise<object>} Prescription without patient contact details
+ * 
+ * BACKEND: GET /api/prescriptions/:id/patient-view
+ * NOTE: This is a PUBLIC endpoint - used for patient prescription view
+ */
+export async function getPatientPrescription(id) {
+    return apiCall(`/prescriptions/${id}/patient-view`);
+}
+
+/**
+ * Update patient contact details on a prescription
+ * 
+ * @param {string} id - Prescription document ID
+ * @param {object} updates - { patientPhone?, patientEmail?, patientName? }
+ * @returns {Promise<object>} Updated fields
+ * 
+ * BACKEND: PATCH /api/prescriptions/:id
+ */
+export async function updatePrescription(id, updates) {
+    return apiCall(`/prescriptions/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates),
+    });
+}
+
 // ============================================================================
 // FOLLOW-UP APIs
 // These handle the follow-up workflow (STEPS 3-9)
@@ -150,16 +384,16 @@ export async function getPrescription(id) {
  * Doctor initiates follow-up → OTP generated → WhatsApp sent
  * 
  * @param {string} prescriptionId - ID of the prescription to follow up on
- * @param {string} doctorId - ID of the doctor initiating the follow-up
  * @returns {Promise<object>} Follow-up details including OTP and verification link
  * 
  * BACKEND: POST /api/follow-ups
  * TRIGGERS: WhatsApp/SMS with OTP sent to patient
+ * AUTH: Doctor must own the prescription (staff may send for any doctor)
  */
-export async function createFollowUp(prescriptionId, doctorId) {
+export async function createFollowUp(prescriptionId) {
     return apiCall('/follow-ups', {
         method: 'POST',
-        body: JSON.stringify({ prescriptionId, doctorId }),
+        body: JSON.stringify({ prescriptionId }),
     });
 }
 
@@ -169,7 +403,7 @@ export async function createFollowUp(prescriptionId, doctorId) {
  * 
  * @param {string} followUpId - Follow-up document ID
  * @param {string} otp - 4-digit OTP entered by patient
- * @returns {Promise<object>} Success message
+ * @returns {Promise<object>} { patientToken, expiresAt } for the next calls
  * 
  * BACKEND: POST /api/follow-ups/:id/verify-otp
  */
@@ -180,17 +414,37 @@ export async function verifyOTP(followUpId, otp) {
     });
 }
 
+/**
+ * Request a new OTP for a follow-up (expired or lost code)
+ * The code is sent to the patient's phone, never returned here.
+ * 
+ * @param {string} followUpId - Follow-up document ID
+ * @returns {Promise<object>} { expiresAt, resendAvailableInSeconds }
+ * @throws 429 error with error.data.retryAfterSeconds during cooldown
+ * 
+ * BACKEND: POST /api/follow-ups/:id/resend-otp
+ */
+export async function resendOTP(followUpId) {
+    return apiCall(`/follow-ups/${followUpId}/resend-otp`, {
+        method: 'POST',
+    });
+}
+
 /**
  * Get AI-generated drafts and personalized questions (STEP 5)
  * ONLY available AFTER OTP verification
  * 
  * @param {string} followUpId - Follow-up document ID
- * @returns {Promise<object>} Draft statements and questions
+ * @param {string} patientToken - Token from verifyOTP
+ * @returns {Promise<object>} Draft statements and questions, plus the
+ *   hospital's emergencyGuidance { instructions, contacts }
  * 
  * BACKEND: GET /api/follow-ups/:id/drafts
  */
-export async function getFollowUpDrafts(followUpId) {
-    return apiCall(`/follow-ups/${followUpId}/drafts`);
+export async function getFollowUpDrafts(followUpId, patientToken) {
+    return apiCall(`/follow-ups/${followUpId}/drafts`, {
+        headers: patientHeaders(patientToken),
+    });
 }
 
 /**
@@ -198,16 +452,23 @@ export async function getFollowUpDrafts(followUpId) {
  * Patient verifies/edits drafts and submits with consent
  * 
  * @param {string} followUpId - Follow-up document ID
- * @param {object} responses - Patient's answers to questions
+ * @param {object} responses - { schemaVersion, answers: { questionId: { selected, notes } },
+ *   personalizedAnswers: [{ questionId, selected, notes }] } - schemaVersion is the
+ *   version of the questionnaire returned with the drafts
  * @param {boolean} consent - Patient's explicit consent to share with doctor
+ * @param {string} patientToken - Token from verifyOTP
+ * @param {object} emergencyGuidance - { shownAt, triggers } if the emergency
+ *   guidance was shown (optional)
  * @returns {Promise<object>} Confirmation
+ * @throws {Error} 400 with error.data.fieldErrors [{ field, message }] for invalid answers
  * 
  * BACKEND: POST /api/follow-ups/:id/submit
  */
-export async function submitFollowUp(followUpId, responses, consent) {
+export async function submitFollowUp(followUpId, responses, consent, patientToken, emergencyGuidance = null) {
     return apiCall(`/follow-ups/${followUpId}/submit`, {
         method: 'POST',
-        body: JSON.stringify({ responses, consent }),
+        headers: patientHeaders(patientToken),
+        body: JSON.stringify({ responses, consent, ...(emergencyGuidance && { emergencyGuidance }) }),
     });
 }
 
@@ -216,13 +477,15 @@ export async function submitFollowUp(followUpId, responses, consent) {
  * Doctor views patient-verified summary
  * 
  * @param {string} followUpId - Follow-up document ID
- * @param {string} doctorId - Doctor's ID (for authorization)
- * @returns {Promise<object>} Summary including prescription and responses
+ * @returns {Promise<object>} Summary including prescription, structuredSummary,
+ *   the optional AI narrative (summary), personalizedAnswers and the
+ *   adverseEvent case opened from it ({ id, caseId, status, isUrgent } or null)
  * 
  * BACKEND: GET /api/follow-ups/:id/summary
+ * AUTH: Only the doctor who owns the follow-up (from JWT)
  */
-export async function getFollowUpSummary(followUpId, doctorId) {
-    return apiCall(`/follow-ups/${followUpId}/summary?doctorId=${doctorId}`);
+export async function getFollowUpSummary(followUpId) {
+    return apiCall(`/follow-ups/${followUpId}/summary`);
 }
 
 /**
@@ -237,24 +500,118 @@ export async function getDoctorFollowUps(doctorId) {
     return apiCall(`/follow-ups/doctor/${doctorId}`);
 }
 
+/**
+ * Get unanswered follow-ups escalated to staff after the last reminder
+ * 
+ * @returns {Promise<object>} Array of follow-ups with patient contact details
+ * 
+ * BACKEND: GET /api/follow-ups/escalated
+ * AUTH: Staff only (own hospital)
+ */
+export async function getEscalatedFollowUps() {
+    return apiCall('/follow-ups/escalated');
+}
+
 /**
  * Close a follow-up case (doctor action)
  * Marks the follow-up as reviewed and closed
  * 
  * @param {string} followUpId - Follow-up document ID
- * @param {string} doctorId - Doctor's ID (for authorization)
  * @param {string} resolution - Doctor's resolution notes
  * @returns {Promise<object>} Confirmation
  * 
  * BACKEND: POST /api/follow-ups/:id/close
+ * AUTH: Only the doctor who owns the follow-up (from JWT)
  */
-export async function closeFollowUp(followUpId, doctorId, resolution) {
+export async function closeFollowUp(followUpId, resolution) {
     return apiCall(`/follow-ups/${followUpId}/close`, {
         method: 'POST',
-        body: JSON.stringify({ doctorId, resolution }),
+        body: JSON.stringify({ resolution }),
+    });
+}
+
+// ============================================================================
+// FOLLOW-UP SCHEDULE APIs (Automatic Follow-Ups)
+// ============================================================================
+
+/**
+ * Get the logged-in doctor's default follow-up schedule
+ * 
+ * @returns {Promise<object>} { enabled, offsets, isDefault, systemDefaults }
+ * 
+ * BACKEND: GET /api/follow-up-schedules/defaults
+ * AUTH: Doctor only
+ */
+export async function getScheduleDefaults() {
+    return apiCall('/follow-up-schedules/defaults');
+}
+
+/**
+ * Save the logged-in doctor's default follow-up schedule
+ * Applies to prescriptions created afterwards.
+ * 
+ * @param {object} schedule - { enabled, offsets: [{ type, value, label }] }
+ * @returns {Promise<object>} Saved schedule
+ * 
+ * BACKEND: PUT /api/follow-up-schedules/defaults
+ * AUTH: Doctor only
+ */
+export async function updateScheduleDefaults(schedule) {
+    return apiCall('/follow-up-schedules/defaults', {
+        method: 'PUT',
+        body: JSON.stringify(schedule),
     });
 }
 
+/**
+ * Get the automatic follow-ups of one prescription
+ * 
+ * @param {string} prescriptionId - Prescription document ID
+ * @returns {Promise<object>} { followUpSchedule, entries }
+ * 
+ * BACKEND: GET /api/follow-up-schedules/prescription/:id
+ * AUTH: Owning doctor or staff of the same hospital
+ */
+export async function getPrescriptionSchedule(prescriptionId) {
+    return apiCall(`/follow-up-schedules/prescription/${prescriptionId}`);
+}
+
+/**
+ * Pause the automatic follow-ups of one prescription
+ * 
+ * @param {string} prescriptionId - Prescription document ID
+ * @returns {Promise<object>} Updated { followUpSchedule, entries }
+ * 
+ * BACKEND: POST /api/follow-up-schedules/prescription/:id/pause
+ */
+export async function pausePrescriptionSchedule(prescriptionId) {
+    return apiCall(`/follow-up-schedules/prescription/${prescriptionId}/pause`, { method: 'POST' });
+}
+
+/**
+ * Resume paused follow-ups (those that fell due while paused are skipped)
+ * 
+ * @param {string} prescriptionId - Prescription document ID
+ * @returns {Promise<object>} Updated { followUpSchedule, entries }
+ * 
+ * BACKEND: POST /api/follow-up-schedules/prescription/:id/resume
+ */
+export async function resumePrescriptionSchedule(prescriptionId) {
+    return apiCall(`/follow-up-schedules/prescription/${prescriptionId}/resume`, { method: 'POST' });
+}
+
+/**
+ * Cancel all pending automatic follow-ups of one prescription
+ * 
+ * @param {string} prescriptionId - Prescription document ID
+ * @returns {Promise<object>} Updated { followUpSchedule, entries }
+ * 
+ * BACKEND: POST /api/follow-up-schedules/prescription/:id/cancel
+ */
+export async function cancelPrescriptionSchedule(prescriptionId) {
+    return apiCall(`/follow-up-schedules/prescription/${prescriptionId}/cancel`, { method: 'POST' });
+}
+
 // ============================================================================
 // ADVERSE EVENT APIs (Pharmacovigilance)
 // ============================================================================
@@ -263,6 +620,8 @@ export async function closeFollowUp(followUpId, doctorId, resolution) {
  * Report a new adverse event
  * 
  * @param {object} data - Adverse event report data
+ *   (medicineId: suspect medicine of the linked prescription, optional;
+ *   emergencyGuidance: { shownAt, triggers } if the guidance was shown)
  * @returns {Promise<object>} Case ID and follow-up details
  * 
  * BACKEND: POST /api/adverse-events
@@ -274,12 +633,25 @@ export async function reportAdverseEvent(data) {
     });
 }
 
+/**
+ * Emergency instructions and phone numbers for the report form
+ * 
+ * @param {string} prescriptionId - Linked prescription (optional) - picks its hospital
+ * @returns {Promise<object>} { instructions, contacts }
+ * 
+ * BACKEND: GET /api/adverse-events/emergency-guidance
+ */
+export async function getEmergencyGuidance(prescriptionId) {
+    const query = prescriptionId ? `?prescriptionId=${encodeURIComponent(prescriptionId)}` : '';
+    return apiCall(`/adverse-events/emergency-guidance${query}`);
+}
+
 /**
  * Verify OTP for adverse event follow-up
  * 
  * @param {string} adverseEventId - Adverse event document ID
  * @param {string} otp - OTP entered by patient
- * @returns {Promise<object>} Verification result
+ * @returns {Promise<object>} { patientToken, expiresAt } for the next calls
  * 
  * BACKEND: POST /api/adverse-events/:id/verify-otp
  */
@@ -290,30 +662,53 @@ export async function verifyAdverseEventOTP(adverseEventId, otp) {
     });
 }
 
+/**
+ * Request a new OTP for an adverse event follow-up
+ * 
+ * @param {string} adverseEventId - Adverse event document ID
+ * @returns {Promise<object>} { expiresAt, resendAvailableInSeconds }
+ * @throws 429 error with error.data.retryAfterSeconds during cooldown
+ * 
+ * BACKEND: POST /api/adverse-events/:id/resend-otp
+ */
+export async function resendAdverseEventOTP(adverseEventId) {
+    return apiCall(`/adverse-events/${adverseEventId}/resend-otp`, {
+        method: 'POST',
+    });
+}
+
 /**
  * Get smart follow-up questions for adverse event
  * 
  * @param {string} adverseEventId - Adverse event document ID
- * @returns {Promise<object>} Questions array and case info
+ * @param {string} patientToken - Token from verifyAdverseEventOTP
+ * @returns {Promise<object>} Questions array and case info, plus the
+ *   hospital's emergencyGuidance { instructions, contacts }
  * 
  * BACKEND: GET /api/adverse-events/:id/questions
  */
-export async function getAdverseEventQuestions(adverseEventId) {
-    return apiCall(`/adverse-events/${adverseEventId}/questions`);
+export async function getAdverseEventQuestions(adverseEventId, patientToken) {
+    return apiCall(`/adverse-events/${adverseEventId}/questions`, {
+        headers: patientHeaders(patientToken),
+    });
 }
 
 /**
  * Submit adverse event follow-up responses
  * 
  * @param {string} adverseEventId - Adverse event document ID
- * @param {object} data - Responses and consent
+ * @param {object} data - Responses and consent (and emergencyGuidance
+ *   { shownAt, triggers } if the guidance was shown)
+ * @param {string} patientToken - Token from verifyAdverseEventOTP
  * @returns {Promise<object>} Case assessment result
+ * @throws {Error} 400 with error.data.fieldErrors [{ field, message }] for invalid answers
  * 
  * BACKEND: POST /api/adverse-events/:id/submit
  */
-export async function submitAdverseEventFollowUp(adverseEventId, data) {
+export async function submitAdverseEventFollowUp(adverseEventId, data, patientToken) {
     return apiCall(`/adverse-events/${adverseEventId}/submit`, {
         method: 'POST',
+        headers: patientHeaders(patientToken),
         body: JSON.stringify(data),
     });
 }
@@ -322,20 +717,134 @@ export async function submitAdverseEventFollowUp(adverseEventId, data) {
  * Get adverse event case (for doctor)
  * 
  * @param {string} adverseEventId - Adverse event document ID
- * @param {string} doctorId - Doctor's ID for authorization
- * @returns {Promise<object>} Complete case data
+ * @returns {Promise<object>} Complete case data, including
+ *   machineCausality, clinicianCausality and causalityOptions
+ *   ({ naranjoQuestions, whoUmcCategories })
  * 
  * BACKEND: GET /api/adverse-events/:id/case
+ * AUTH: Only the doctor assigned to the case (from JWT)
  */
-export async function getAdverseEventCase(adverseEventId, doctorId) {
-    return apiCall(`/adverse-events/${adverseEventId}/case?doctorId=${doctorId}`);
+export async function getAdverseEventCase(adverseEventId) {
+    return apiCall(`/adverse-events/${adverseEventId}/case`);
+}
+
+/**
+ * Record the doctor's causality assessment of a case
+ * 
+ * @param {string} adverseEventId - Adverse event document ID
+ * @param {object} assessment - { whoUmcCategory, naranjoAnswers, reason }
+ *   (reason is required when it differs from the computed assessment)
+ * @returns {Promise<object>} { machineCausality, clinicianCausality }
+ * @throws {Error} 400 with error.data.fieldErrors for an invalid assessment
+ * 
+ * BACKEND: PUT /api/adverse-events/:id/causality
+ * AUTH: Only the doctor assigned to the case (from JWT)
+ */
+export async function updateCausalityAssessment(adverseEventId, assessment) {
+    return apiCall(`/adverse-events/${adverseEventId}/causality`, {
+        method: 'PUT',
+        body: JSON.stringify(assessment),
+    });
+}
+
+/**
+ * Build the case's ICH E2B(R3) XML report and check it
+ * 
+ * @param {string} adverseEventId - Adverse event document ID
+ * @returns {Promise<object>} { valid, errors, warnings, messageId, xml }
+ *   errors/warnings: [{ element, message }] - errors block submission
+ * 
+ * BACKEND: GET /api/adverse-events/:id/export/e2b?format=json
+ * AUTH: Only the doctor assigned to the case (from JWT)
+ */
+export async function getE2BExport(adverseEventId) {
+    return apiCall(`/adverse-events/${adverseEventId}/export/e2b?format=json`);
+}
+
+/**
+ * Generate the case's CIOMS I form and save it as a PDF
+ * (watermarked with the caseId and generation time; the generation is
+ * recorded on the case)
+ * 
+ * @param {string} adverseEventId - Adverse event document ID
+ * @param {string} caseId - Case number, for the file name
+ * @returns {Promise<void>}
+ * 
+ * BACKEND: GET /api/adverse-events/:id/export/cioms
+ * AUTH: Only the doctor assigned to the case (from JWT)
+ */
+export async function downloadCiomsForm(adverseEventId, caseId) {
+    return apiDownload(`/adverse-events/${adverseEventId}/export/cioms`, `${caseId}-cioms.pdf`);
+}
+
+/**
+ * Move a case to its next regulatory step
+ * (triage → medical_review → submitted → acknowledged)
+ * 
+ * @param {string} adverseEventId - Adverse event document ID
+ * @param {string} status - 'medical_review' | 'submitted' | 'acknowledged' (next status only)
+ * @param {string} notes - Optional, e.g. the acknowledgement number
+ * @returns {Promise<object>} { regulatoryStatus, regulatoryHistory, reportingClock }
+ * @throws {Error} 409 with error.data.data.errors when the E2B report is
+ *   missing required elements
+ * 
+ * BACKEND: POST /api/adverse-events/:id/regulatory-status
+ */
+export async function updateRegulatoryStatus(adverseEventId, status, notes) {
+    return apiCall(`/adverse-events/${adverseEventId}/regulatory-status`, {
+        method: 'POST',
+        body: JSON.stringify({ status, notes }),
+    });
+}
+
+/**
+ * Merge a suspected duplicate into this case
+ * This case survives and keeps every source report; the duplicate is
+ * marked merged (never deleted)
+ * 
+ * @param {string} adverseEventId - Case that survives
+ * @param {string} duplicateId - Suggested duplicate to merge into it
+ * @returns {Promise<object>} { sourceReports, suspectedDuplicates }
+ * 
+ * BACKEND: POST /api/adverse-events/:id/duplicates/:duplicateId/merge
+ */
+export async function mergeDuplicateCase(adverseEventId, duplicateId) {
+    return apiCall(`/adverse-events/${adverseEventId}/duplicates/${duplicateId}/merge`, { method: 'POST' });
+}
+
+/**
+ * Dismiss a duplicate suggestion ("not a duplicate")
+ * 
+ * @param {string} adverseEventId - Case being reviewed
+ * @param {string} duplicateId - Suggested duplicate
+ * @returns {Promise<object>} { suspectedDuplicates }
+ * 
+ * BACKEND: POST /api/adverse-events/:id/duplicates/:duplicateId/dismiss
+ */
+export async function dismissDuplicateCase(adverseEventId, duplicateId) {
+    return apiCall(`/adverse-events/${adverseEventId}/duplicates/${duplicateId}/dismiss`, { method: 'POST' });
+}
+
+/**
+ * The logged-in doctor's cases not yet acknowledged by the regulator,
+ * most urgent reporting deadline first
+ * 
+ * @returns {Promise<object>} Array of { id, caseId, patientName, drugName,
+ *   regulatoryStatus, seriousness, reportingClock, consent, dataComplete,
+ *   reportedAt, lastStep }
+ * 
+ * BACKEND: GET /api/adverse-events/regulatory-queue
+ */
+export async function getRegulatoryQueue() {
+    return apiCall('/adverse-events/regulatory-queue');
 }
 
 /**
  * Get all adverse events for a doctor
  * 
  * @param {string} doctorId - Doctor's user ID
- * @returns {Promise<object>} Array of adverse events
+ * @returns {Promise<object>} Array of adverse events (followUpId set for
+ *   cases opened from a follow-up; whoUmcCategory = causality category)
  * 
  * BACKEND: GET /api/adverse-events/doctor/:doctorId
  */
@@ -343,6 +852,508 @@ export async function getAdverseEventsByDoctor(doctorId) {
     return apiCall(`/adverse-events/doctor/${doctorId}`);
 }
 
+// ============================================================================
+// ACCOUNT & ADMIN APIs
+// Session, password change for any logged-in user; user management for admins
+// ============================================================================
+
+/**
+ * Get the logged-in user (fresh from the database)
+ * 
+ * @returns {Promise<object>} { userId, name, email, role, hospitalId, ... }
+ * 
+ * BACKEND: GET /api/auth/me
+ */
+export async function getCurrentUser() {
+    return apiCall('/auth/me');
+}
+
+/**
+ * Log out this device
+ * Revokes the session on the server, then clears local storage.
+ * Local state is cleared even if the server cannot be reached.
+ * 
+ * BACKEND: POST /api/auth/logout
+ */
+export async function logout() {
+    try {
+        await apiCall('/auth/logout', {
+            method: 'POST',
+            body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+        });
+    } catch (err) {
+        console.error('Logout error:', err);
+    } finally {
+        clearSession();
+    }
+}
+
+/**
+ * Log out every device of the logged-in user (including this one)
+ * 
+ * BACKEND: POST /api/auth/logout-all
+ */
+export async function logoutAllDevices() {
+    try {
+        await apiCall('/auth/logout-all', { method: 'POST' });
+    } finally {
+        clearSession();
+    }
+}
+
+/**
+ * List active doctors in the caller's hospital
+ * 
+ * @returns {Promise<object>} Array of { id, name, email, specialization }
+ * 
+ * BACKEND: GET /api/auth/doctors
+ */
+export async function getDoctors() {
+    return apiCall('/auth/doctors');
+}
+
+/**
+ * Change the logged-in user's password
+ * 
+ * @param {string} currentPassword - Current (or temporary) password
+ * @param {string} newPassword - New password (min 6 chars)
+ * @returns {Promise<object>} Success message - the user's other sessions
+ *                            are revoked, this one stays logged in
+ * 
+ * BACKEND: POST /api/auth/change-password
+ */
+export async function changePassword(currentPassword, newPassword) {
+    return apiCall('/auth/change-password', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword, newPassword }),
+    });
+}
+
+/**
+ * Request a password reset link by email
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<object>} Same message whether or not the account exists
+ * 
+ * BACKEND: POST /api/auth/forgot-password
+ */
+export async function forgotPassword(email) {
+    return apiCall('/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+    });
+}
+
+/**
+ * Set a new password using the token from a reset link
+ * 
+ * @param {string} token - Token from /reset-password/:token
+ * @param {string} newPassword - New password (min 6 chars)
+ * @returns {Promise<object>} Success message - all sessions are revoked
+ * 
+ * BACKEND: POST /api/auth/reset-password
+ */
+export async function resetPassword(token, newPassword) {
+    return apiCall('/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, newPassword }),
+    });
+}
+
+/**
+ * Confirm an email address using the token from the registration email
+ * 
+ * @param {string} token - Token from /verify-email/:token
+ * @returns {Promise<object>} Success message
+ * 
+ * BACKEND: POST /api/auth/verify-email
+ */
+export async function verifyEmail(token) {
+    return apiCall('/auth/verify-email', {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+    });
+}
+
+/**
+ * Send a new email verification link
+ * 
+ * @param {string} email - Account email
+ * @returns {Promise<object>} Same message whether or not the account exists
+ * 
+ * BACKEND: POST /api/auth/resend-verification
+ */
+export async function resendVerification(email) {
+    return apiCall('/auth/resend-verification', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+    });
+}
+
+/**
+ * Complete a login that returned twoFactorRequired
+ * 
+ * @param {string} challengeToken - From the login response
+ * @param {object} proof - { code } (authenticator) or { backupCode }
+ * @returns {Promise<object>} Same data as login (token, refreshToken, user)
+ * 
+ * BACKEND: POST /api/auth/login/2fa
+ */
+export async function verifyLoginTwoFactor(challengeToken, proof) {
+    return apiCall('/auth/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken, ...proof }),
+    });
+}
+
+/**
+ * Get the QR code for enrollment during login (hospital requires 2FA)
+ * 
+ * @param {string} challengeToken - From the login response
+ * @returns {Promise<object>} { secret, otpauthUri, qrCode }
+ * 
+ * BACKEND: POST /api/auth/login/2fa/setup
+ */
+export async function startLoginTwoFactorSetup(challengeToken) {
+    return apiCall('/auth/login/2fa/setup', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken }),
+    });
+}
+
+/**
+ * Two-factor status of the logged-in user
+ * 
+ * @returns {Promise<object>} { enabled, required, backupCodesRemaining }
+ * 
+ * BACKEND: GET /api/auth/2fa/status
+ */
+export async function getTwoFactorStatus() {
+    return apiCall('/auth/2fa/status');
+}
+
+/**
+ * Start 2FA enrollment from the account page
+ * 
+ * @returns {Promise<object>} { secret, otpauthUri, qrCode }
+ * 
+ * BACKEND: POST /api/auth/2fa/setup
+ */
+export async function setupTwoFactor() {
+    return apiCall('/auth/2fa/setup', { method: 'POST' });
+}
+
+/**
+ * Confirm enrollment with the first authenticator code
+ * 
+ * @param {string} code - 6-digit code
+ * @returns {Promise<object>} { backupCodes } - shown once
+ * 
+ * BACKEND: POST /api/auth/2fa/enable
+ */
+export async function enableTwoFactor(code) {
+    return apiCall('/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+    });
+}
+
+/**
+ * Turn 2FA off (not allowed when the hospital requires it)
+ * 
+ * @param {string} password - Current password
+ * 
+ * BACKEND: POST /api/auth/2fa/disable
+ */
+export async function disableTwoFactor(password) {
+    return apiCall('/auth/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ password }),
+    });
+}
+
+/**
+ * Replace all backup codes
+ * 
+ * @param {string} code - Current authenticator code
+ * @returns {Promise<object>} { backupCodes } - shown once
+ * 
+ * BACKEND: POST /api/auth/2fa/backup-codes
+ */
+export async function regenerateBackupCodes(code) {
+    return apiCall('/auth/2fa/backup-codes', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+    });
+}
+
+/**
+ * List users in the admin's hospital
+ * 
+ * @param {object} filters - Optional { search, role, status: 'active'|'inactive' }
+ * @returns {Promise<object>} Array of users (no passwords)
+ * 
+ * BACKEND: GET /api/auth/users
+ * ACCESS: admin only
+ */
+export async function getUsers(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+    });
+    const query = params.toString();
+    return apiCall(`/auth/users${query ? `?${query}` : ''}`);
+}
+
+/**
+ * Activate or deactivate a user account
+ * 
+ * @param {string} userId - Target user ID
+ * @param {boolean} isActive - New status
+ * @returns {Promise<object>} Updated user
+ * 
+ * BACKEND: PATCH /api/auth/users/:id/status
+ * ACCESS: admin only
+ */
+export async function updateUserStatus(userId, isActive) {
+    return apiCall(`/auth/users/${userId}/status`, {
+        method: 'PATCH',
+        body: JSON.stringify({ isActive }),
+    });
+}
+
+/**
+ * Change a user's role and/or specialization
+ * 
+ * @param {string} userId - Target user ID
+ * @param {object} updates - { role?, specialization? }
+ * @returns {Promise<object>} Updated user
+ * 
+ * BACKEND: PATCH /api/auth/users/:id/role
+ * ACCESS: admin only
+ */
+export async function updateUserRole(userId, updates) {
+    return apiCall(`/auth/users/${userId}/role`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates),
+    });
+}
+
+/**
+ * Move a user to another hospital (pending approval there)
+ * 
+ * @param {string} userId - Target user ID
+ * @param {string} hospitalId - Target hospital identifier
+ * @returns {Promise<object>} Updated user
+ * 
+ * BACKEND: PATCH /api/auth/users/:id/hospital
+ * ACCESS: admin only
+ */
+export async function updateUserHospital(userId, hospitalId) {
+    return apiCall(`/auth/users/${userId}/hospital`, {
+        method: 'PATCH',
+        body: JSON.stringify({ hospitalId }),
+    });
+}
+
+/**
+ * Force a password reset for a user
+ * 
+ * @param {string} userId - Target user ID
+ * @returns {Promise<object>} { data: { temporaryPassword } } - shown once
+ * 
+ * BACKEND: POST /api/auth/users/:id/reset-password
+ * ACCESS: admin only
+ */
+export async function resetUserPassword(userId) {
+    return apiCall(`/auth/users/${userId}/reset-password`, {
+        method: 'POST',
+    });
+}
+
+/**
+ * Remove 2FA from a user who lost their authenticator device
+ * 
+ * @param {string} userId - Target user ID
+ * 
+ * BACKEND: POST /api/auth/users/:id/reset-2fa
+ * ACCESS: admin only
+ */
+export async function resetUserTwoFactor(userId) {
+    return apiCall(`/auth/users/${userId}/reset-2fa`, {
+        method: 'POST',
+    });
+}
+
+/**
+ * Settings of the admin's hospital
+ * 
+ * @returns {Promise<object>} { hospitalId, requireTwoFactor,
+ *   emergencyGuidance: { instructions, contacts, isDefault } }
+ * 
+ * BACKEND: GET /api/auth/hospital-settings
+ * ACCESS: admin only
+ */
+export async function getHospitalSettings() {
+    return apiCall('/auth/hospital-settings');
+}
+
+/**
+ * Update the settings of the admin's hospital
+ * 
+ * @param {object} settings - { requireTwoFactor?: boolean,
+ *   emergencyGuidance?: { instructions: string[], contacts: [{ label, phone }] },
+ *   signalThresholds?: { minCases, minPrr, minChiSquare, minRorLower } }
+ * @throws {Error} 400 with error.data.fieldErrors for invalid emergency
+ *   guidance or signal thresholds
+ * 
+ * BACKEND: PATCH /api/auth/hospital-settings
+ * ACCESS: admin only
+ */
+export async function updateHospitalSettings(settings) {
+    return apiCall('/auth/hospital-settings', {
+        method: 'PATCH',
+        body: JSON.stringify(settings),
+    });
+}
+
+// ============================================================================
+// AUDIT LOG API
+// ============================================================================
+
+/**
+ * Search the patient data access log
+ * 
+ * @param {object} filters - { patientPhone?, caseId?, limit? }
+ * @returns {Promise<object>} Audit entries, newest first
+ * 
+ * BACKEND: GET /api/audit-log
+ * ACCESS: doctor (own records), admin (own hospital)
+ */
+export async function getAuditLog(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+    });
+    const query = params.toString();
+    return apiCall(`/audit-log${query ? `?${query}` : ''}`);
+}
+
+// ============================================================================
+// URGENT ALERTS API
+// ============================================================================
+
+/**
+ * Urgent case alerts nobody has acknowledged yet
+ * 
+ * @returns {Promise<object>} { alerts: [...], ackMinutes } - oldest first
+ * 
+ * BACKEND: GET /api/alerts
+ * ACCESS: doctor (own cases, or all while on call), staff (own hospital)
+ */
+export async function getUrgentAlerts() {
+    return apiCall('/alerts');
+}
+
+/**
+ * Acknowledge an urgent alert - stops escalation
+ * 
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<object>} { id, status, acknowledgedAt, acknowledgedBy }
+ * 
+ * BACKEND: POST /api/alerts/:id/acknowledge
+ * ACCESS: doctor, staff
+ */
+export async function acknowledgeUrgentAlert(alertId) {
+    return apiCall(`/alerts/${alertId}/acknowledge`, { method: 'POST' });
+}
+
+/**
+ * On-call roster of the admin's hospital
+ * 
+ * @returns {Promise<object>} { userIds, ackMinutes }
+ * 
+ * BACKEND: GET /api/alerts/on-call
+ * ACCESS: admin only
+ */
+export async function getOnCallRoster() {
+    return apiCall('/alerts/on-call');
+}
+
+/**
+ * Replace the on-call roster of the admin's hospital
+ * 
+ * @param {string[]} userIds - Active doctors/staff to alert
+ * 
+ * BACKEND: PUT /api/alerts/on-call
+ * ACCESS: admin only
+ */
+export async function updateOnCallRoster(userIds) {
+    return apiCall('/alerts/on-call', {
+        method: 'PUT',
+        body: JSON.stringify({ userIds }),
+    });
+}
+
+// ============================================================================
+// SIGNAL DETECTION API
+// ============================================================================
+
+/**
+ * Potential drug-reaction signals of the user's hospital
+ * 
+ * @returns {Promise<object>} { signals: [{ id, drugName, reaction,
+ *   reactionTerm, status, active, stats, caseIds, firstDetectedAt,
+ *   lastDetectedAt }], thresholds }
+ * 
+ * BACKEND: GET /api/signals
+ * ACCESS: doctor, admin
+ */
+export async function getSignals() {
+    return apiCall('/signals');
+}
+
+/**
+ * Every drug-reaction pair of the hospital with PRR / ROR / chi-square
+ * 
+ * @returns {Promise<object>} { pairs: [...], totalCases, thresholds }
+ * 
+ * BACKEND: GET /api/signals/pairs
+ * ACCESS: doctor, admin
+ */
+export async function getSignalPairs() {
+    return apiCall('/signals/pairs');
+}
+
+/**
+ * Re-run signal detection now
+ * 
+ * @returns {Promise<object>} { raised, active, totalCases }
+ * 
+ * BACKEND: POST /api/signals/detect
+ * ACCESS: doctor, admin
+ */
+export async function runSignalDetection() {
+    return apiCall('/signals/detect', { method: 'POST' });
+}
+
+/**
+ * Cases reporting a drug together with a reaction (no patient details)
+ * 
+ * @param {string} drug - Drug name
+ * @param {string} reaction - Symptom value, e.g. 'rash'
+ * @returns {Promise<object>} Array of { id, caseId, reportedAt, drugName,
+ *   symptoms, severity, seriousness, outcome, regulatoryStatus,
+ *   doctorName, ownCase }
+ * 
+ * BACKEND: GET /api/signals/cases?drug=&reaction=
+ * ACCESS: doctor, admin
+ */
+export async function getSignalCases(drug, reaction) {
+    const query = new URLSearchParams({ drug, reaction }).toString();
+    return apiCall(`/signals/cases?${query}`);
+}
+
 // ============================================================================
 // DEFAULT EXPORT
 // Exports all functions as an object for alternative import style
@@ -350,22 +1361,85 @@ export async function getAdverseEventsByDoctor(doctorId) {
 
 const api = {
     createPrescription,
+    getAllPrescriptions,
     getDoctorPrescriptions,
     getPrescription,
+    getPatientPrescription,
+    updatePrescription,
     createFollowUp,
     verifyOTP,
+    resendOTP,
+    // Patient session helpers
+    savePatientToken,
+    getPatientToken,
+    clearPatientToken,
+    isPatientSessionError,
     getFollowUpDrafts,
     submitFollowUp,
     getFollowUpSummary,
     getDoctorFollowUps,
+    getEscalatedFollowUps,
     closeFollowUp,
+    // Follow-Up Schedule APIs
+    getScheduleDefaults,
+    updateScheduleDefaults,
+    getPrescriptionSchedule,
+    pausePrescriptionSchedule,
+    resumePrescriptionSchedule,
+    cancelPrescriptionSchedule,
     // Adverse Event APIs
     reportAdverseEvent,
+    getEmergencyGuidance,
     verifyAdverseEventOTP,
+    resendAdverseEventOTP,
     getAdverseEventQuestions,
     submitAdverseEventFollowUp,
     getAdverseEventCase,
+    updateCausalityAssessment,
+    getE2BExport,
+    downloadCiomsForm,
+    updateRegulatoryStatus,
+    mergeDuplicateCase,
+    dismissDuplicateCase,
+    getRegulatoryQueue,
     getAdverseEventsByDoctor,
+    // Account & Admin APIs
+    getCurrentUser,
+    logout,
+    logoutAllDevices,
+    getDoctors,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    verifyLoginTwoFactor,
+    startLoginTwoFactorSetup,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    getUsers,
+    updateUserStatus,
+    updateUserRole,
+    updateUserHospital,
+    resetUserPassword,
+    resetUserTwoFactor,
+    getHospitalSettings,
+    updateHospitalSettings,
+    // Audit APIs
+    getAuditLog,
+    // Urgent Alert APIs
+    getUrgentAlerts,
+    acknowledgeUrgentAlert,
+    getOnCallRoster,
+    updateOnCallRoster,
+    // Signal Detection APIs
+    getSignals,
+    getSignalPairs,
+    runSignalDetection,
+    getSignalCases,
 };
 
 // Named export for destructured imports: import { api } from './api'